@@ -0,0 +1,73 @@
+/* eslint-env serviceworker */
+
+// Web Push handler for SkillBridge notifications.
+// The user-service sends { title, body, actionUrl, notificationId, category, priority, tag }.
+
+const DEFAULT_URL = "/notifications";
+const ICON_URL = "/skillbridge.svg";
+
+self.addEventListener("install", () => {
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+// Only deep-link inside the app; anything else opens the notifications page
+const resolveActionUrl = (actionUrl) => {
+  try {
+    const url = new URL(actionUrl || DEFAULT_URL, self.location.origin);
+    return url.origin === self.location.origin ? url.href : new URL(DEFAULT_URL, self.location.origin).href;
+  } catch {
+    return new URL(DEFAULT_URL, self.location.origin).href;
+  }
+};
+
+self.addEventListener("push", (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch {
+    payload = { body: event.data ? event.data.text() : "" };
+  }
+
+  const title = payload.title || "SkillBridge";
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: payload.body || "",
+      icon: ICON_URL,
+      badge: ICON_URL,
+      tag: payload.tag,
+      renotify: Boolean(payload.tag),
+      requireInteraction: payload.priority === "high",
+      data: {
+        url: resolveActionUrl(payload.actionUrl),
+        notificationId: payload.notificationId,
+      },
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const targetUrl = event.notification.data?.url || resolveActionUrl(DEFAULT_URL);
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windowClients) => {
+      // Reuse an open app tab when there is one
+      const appClient = windowClients.find((client) => new URL(client.url).origin === self.location.origin);
+      if (appClient) {
+        return appClient.focus().then((client) => (client.navigate ? client.navigate(targetUrl) : client));
+      }
+      return self.clients.openWindow(targetUrl);
+    })
+  );
+});
+
+// The browser rotated the subscription; the app re-registers it on its next load
+self.addEventListener("pushsubscriptionchange", (event) => {
+  const options = event.oldSubscription?.options;
+  if (!options) return;
+  event.waitUntil(self.registration.pushManager.subscribe(options));
+});
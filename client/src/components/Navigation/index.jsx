@@ -42,6 +42,8 @@ import { logOut } from "../../modules/authentication/slice/userSlice";
 import { useDispatch } from "react-redux";
 import { getToken } from "../../services/utils";
 import { getNotifications, getUnreadCount } from "../../modules/notifications/slice/notificationSlice";
+import { useNotificationSocket } from "../../modules/notifications/hooks/useNotificationSocket";
+import { useWebPush } from "../../modules/notifications/hooks/useWebPush";
 import { getConversations } from "../../modules/chat/slice/chatSlice";
 import { 
   getNavigationItems, 
@@ -156,6 +158,11 @@ const Navigation = ({ isHome = false, isSearchBar = false }) => {
     return location.pathname.startsWith(path);
   };
 
+  // New notifications and unread-count changes arrive over the socket
+  useNotificationSocket(Boolean(token && user));
+  // Keep this browser's Web Push subscription attached to the logged-in user
+  useWebPush(Boolean(token && user));
+
   // Fetch notifications when component mounts and user is logged in
   useEffect(() => {
     if (token && user) {
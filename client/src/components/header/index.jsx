@@ -8,6 +8,8 @@ import {Button,Input} from "../../components"
 import { ConfirmModal } from "../index";
 import { logOut } from "../../modules/authentication/slice/userSlice";
 import { getNotifications, getUnreadCount } from "../../modules/notifications/slice/notificationSlice";
+import { useNotificationSocket } from "../../modules/notifications/hooks/useNotificationSocket";
+import { useWebPush } from "../../modules/notifications/hooks/useWebPush";
 import { getConversations } from "../../modules/chat/slice/chatSlice";
 
 const Navbar = ({
@@ -135,6 +137,11 @@ const Navbar = ({
     { label: "Logout", action: () => setIsLogoutOpen(true) },
   ];
 
+  // New notifications and unread-count changes arrive over the socket
+  useNotificationSocket(Boolean(token && user));
+  // Keep this browser's Web Push subscription attached to the logged-in user
+  useWebPush(Boolean(token && user));
+
   // Fetch notifications when component mounts and user is logged in
   useEffect(() => {
     if (token && user) {
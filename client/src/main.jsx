@@ -7,6 +7,7 @@ import "./style/icons.css";
 import "./style/ui-controls.css";
 import "react-toastify/dist/ReactToastify.css";
 import App from "./App.jsx";
+import { register as registerServiceWorker } from "./services/sw/serviceWorker";
 
 createRoot(document.getElementById("root")).render(
   <>
@@ -14,3 +15,6 @@ createRoot(document.getElementById("root")).render(
     <App />
   </>
 );
+
+// Handles Web Push notifications (public/service-worker.js)
+registerServiceWorker();
@@ -13,6 +13,7 @@ import {
   logoutApi,
 } from "./userAction";
 import { removeToken, setToken } from "../../../services/utils";
+import { detachWebPush } from "../../notifications/hooks/useWebPush";
 
 // Initial state
 const initialState = {
@@ -157,6 +158,7 @@ export const logOut = createAsyncThunk(
   "user/logout",
   async (_, { rejectWithValue }) => {
     try {
+      await detachWebPush(); // stop pushes to this browser while the token is still valid
       await logoutApi(); // optional backend call
       removeToken();
       return {}; // reset state
@@ -20,6 +20,7 @@ import {
   FileText,
   UserX,
   CreditCard,
+  Tag,
 } from "lucide-react";
 
 const AdminBillSubsDash = ({ data }) => {
@@ -37,6 +38,7 @@ const AdminBillSubsDash = ({ data }) => {
   };
   const disputes = adminData.disputes || data?.disputes || [];
   const suspendedAccounts = adminData.suspendedAccounts || data?.suspendedAccounts || [];
+  const couponAnalytics = adminData.couponAnalytics || {};
 
   useEffect(() => {
     if (!billingState.adminData || Object.keys(billingState.adminData).length === 0) {
@@ -47,15 +49,35 @@ const AdminBillSubsDash = ({ data }) => {
     }
   }, [dispatch, billingState.adminData]);
 
-  const handleResolveDispute = async (disputeId, resolution) => {
+  const handleResolveDispute = async (dispute) => {
     const resolutionText = prompt('Enter resolution notes:');
     if (resolutionText) {
+      // Disputed milestone escrows are either released to the developer or refunded in full to the owner
+      let refund = null;
+      let escrowAction = null;
+      if (dispute.escrow?.status === 'disputed') {
+        escrowAction = window.confirm(
+          `Release the ${formatCurrency(dispute.escrow.amount)} held for this milestone to the developer?\n\nOK releases the payment, Cancel refunds it to the project owner.`
+        ) ? 'release' : 'refund';
+      // Disputes linked to a payment can be refunded in full or in part when resolved in the user's favor
+      } else if (dispute.billingHistoryId && window.confirm('Refund the user for this dispute?')) {
+        const amountText = prompt('Refund amount (leave as is for the disputed amount):', dispute.amount);
+        if (amountText === null) return;
+        refund = { amount: amountText.trim() ? parseFloat(amountText) : null };
+      }
       try {
-        await dispatch(resolveDispute({ disputeId, resolution: resolutionText })).unwrap();
+        const result = await dispatch(resolveDispute({ disputeId: dispute.id, resolution: resolutionText, refund, escrowAction })).unwrap();
+        if (result?.escrow?.status === 'released') {
+          toast.success('The milestone payment has been released to the developer.');
+        } else if (result?.refund) {
+          toast.success(result.refund.status === 'succeeded'
+            ? `Refunded ${formatCurrency(result.refund.amount)} to the user.`
+            : 'Refund submitted; it will complete once the payment provider confirms it.');
+        }
         dispatch(getDisputes()); // Refresh disputes
       } catch (error) {
         console.error('Failed to resolve dispute:', error);
-        toast.error('Failed to resolve dispute. Please try again.');
+        toast.error(error?.message || 'Failed to resolve dispute. Please try again.');
       }
     }
   };
@@ -253,6 +275,11 @@ const AdminBillSubsDash = ({ data }) => {
                         <p className='text-sm text-gray-300'>
                           {dispute.reason}
                         </p>
+                        {dispute.escrow && (
+                          <p className='text-xs text-amber-300'>
+                            Milestone escrow #{dispute.escrow.id} · {dispute.escrow.status}
+                          </p>
+                        )}
                       </div>
                     </div>
 
@@ -291,7 +318,7 @@ const AdminBillSubsDash = ({ data }) => {
                         <Button 
                           variant='ghost'
                           className='w-8 h-8 bg-gradient-to-br from-emerald-500/20 to-green-600/20 rounded-lg flex items-center justify-center'
-                          onClick={() => handleResolveDispute(dispute.id)}
+                          onClick={() => handleResolveDispute(dispute)}
                           disabled={billingState.loading}
                           title="Resolve dispute"
                         >
@@ -450,6 +477,55 @@ const AdminBillSubsDash = ({ data }) => {
               <p className='text-sm text-gray-300'>Per active subscription</p>
             </div>
           </div>
+
+          <div className='bg-black/20 backdrop-blur-sm rounded-xl p-6 border border-white/10 mt-6'>
+            <div className='flex items-center gap-3 mb-4'>
+              <div className='w-8 h-8 bg-gradient-to-br from-pink-500/20 to-rose-600/20 rounded-lg flex items-center justify-center'>
+                <Tag className='w-4 h-4 text-pink-400' />
+              </div>
+              <h3 className='text-lg font-semibold text-white'>
+                Promo Codes
+              </h3>
+            </div>
+            <div className='grid grid-cols-1 md:grid-cols-3 gap-6'>
+              <div>
+                <div className='text-2xl font-bold text-white mb-1'>
+                  {couponAnalytics.totalRedemptions || 0}
+                </div>
+                <p className='text-sm text-gray-300'>Redemptions</p>
+              </div>
+              <div>
+                <div className='text-2xl font-bold text-white mb-1'>
+                  {formatCurrency(couponAnalytics.discountedRevenue || 0)}
+                </div>
+                <p className='text-sm text-gray-300'>Revenue from discounted purchases</p>
+              </div>
+              <div>
+                <div className='text-2xl font-bold text-white mb-1'>
+                  {Object.keys(couponAnalytics.discountsByCurrency || {}).length > 0
+                    ? Object.entries(couponAnalytics.discountsByCurrency)
+                        .map(([currency, amount]) =>
+                          new Intl.NumberFormat("en-US", { style: "currency", currency }).format(amount)
+                        )
+                        .join(' + ')
+                    : formatCurrency(0)}
+                </div>
+                <p className='text-sm text-gray-300'>Discounts given</p>
+              </div>
+            </div>
+            {couponAnalytics.topCoupons?.length > 0 && (
+              <div className='mt-4 space-y-2'>
+                {couponAnalytics.topCoupons.map((coupon) => (
+                  <div key={coupon.code} className='flex items-center justify-between text-sm'>
+                    <span className='text-white font-mono'>{coupon.code}</span>
+                    <span className='text-gray-300'>
+                      {coupon.redemptions} redemption{coupon.redemptions === 1 ? '' : 's'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
         </div>
       </div>
     </div>
@@ -1,9 +1,35 @@
-import React from "react";
-import { Clock, Calendar, DollarSign, CheckCircle, XCircle } from "lucide-react";
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { Clock, Calendar, DollarSign, CheckCircle, XCircle, Download, Loader } from "lucide-react";
+import { downloadInvoicePdfApi } from "../slice/billingAction";
 
 const BillingHistory = ({ userRole = 'developer', billingHistory = [] }) => {
   // Use billingHistory from props (which comes from Redux state)
   const history = billingHistory && billingHistory.length > 0 ? billingHistory : [];
+  const [downloadingInvoice, setDownloadingInvoice] = useState(null);
+
+  const handleDownloadInvoice = async (event, invoiceNumber) => {
+    event.stopPropagation();
+    setDownloadingInvoice(invoiceNumber);
+    try {
+      const response = await downloadInvoicePdfApi(invoiceNumber);
+      const blob = new Blob([response.data], { type: 'application/pdf' });
+      const url = window.URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `invoice-${invoiceNumber}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error("Failed to download invoice. Please try again.");
+    } finally {
+      setDownloadingInvoice(null);
+    }
+  };
 
   const getStatusIcon = (status) => {
     switch (status) {
@@ -119,8 +145,24 @@ const BillingHistory = ({ userRole = 'developer', billingHistory = [] }) => {
                   </div>
                 </div>
 
-                {/* Right side - Status */}
+                {/* Right side - Invoice + Status */}
                 <div className="flex items-center gap-3">
+                  {item.invoiceId && (
+                    <button
+                      type="button"
+                      onClick={(event) => handleDownloadInvoice(event, item.invoiceId)}
+                      disabled={downloadingInvoice === item.invoiceId}
+                      title="Download invoice PDF"
+                      className="flex items-center gap-2 px-3 py-2 rounded-lg bg-white/10 hover:bg-white/20 border border-white/10 text-white text-sm transition-colors duration-300 disabled:opacity-50"
+                    >
+                      {downloadingInvoice === item.invoiceId ? (
+                        <Loader className="w-4 h-4 animate-spin" />
+                      ) : (
+                        <Download className="w-4 h-4" />
+                      )}
+                      <span>Invoice</span>
+                    </button>
+                  )}
                   <div className="text-right">
                     <p className="text-xs text-gray-300 mb-1">Status</p>
                     <div className={`flex items-center gap-2 px-4 py-2 rounded-lg bg-gradient-to-r ${getStatusColor(item.status)} text-white font-semibold shadow-md group-hover:shadow-lg transition-all duration-300`}>
@@ -2,6 +2,8 @@ import React, { useEffect } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { toast } from "react-toastify";
 import Button from '../../../components/Button';
+import DeveloperEarnings from "./DeveloperEarnings";
+import HourlyInvoices from "./HourlyInvoices";
 import { getBillingData, cancelSubscription, purchaseSubscription, getSubscriptionPlans } from "../slice/billingSlice";
 import { 
   Zap, 
@@ -169,6 +171,12 @@ const DeveloperBillSubsDash = ({ data }) => {
         </div>
       </div>
 
+      {/* Earnings and payouts */}
+      <DeveloperEarnings />
+
+      {/* Hourly invoices to review */}
+      <HourlyInvoices role="developer" />
+
       {/* Upgrade Options */}
       <div className="bg-white/5 backdrop-blur-sm rounded-2xl p-8 shadow-2xl border border-white/10 relative overflow-hidden">
         <div className="absolute inset-0 bg-black/20 backdrop-blur-sm rounded-2xl"></div>
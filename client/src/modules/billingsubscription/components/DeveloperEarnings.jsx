@@ -0,0 +1,305 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import Button from '../../../components/Button';
+import { getEarnings, requestPayout } from "../slice/billingSlice";
+import { downloadEarningsStatementApi } from "../slice/billingAction";
+import { Wallet, Clock, Lock, CheckCircle, Download, Loader, FolderKanban, Send } from "lucide-react";
+
+const PAYOUT_METHOD_LABELS = {
+  bank_transfer: 'Bank transfer',
+  paypal: 'PayPal',
+  wise: 'Wise',
+};
+
+const formatMoney = (amount, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+  } catch (error) {
+    return `${parseFloat(amount || 0).toFixed(2)} ${currency}`;
+  }
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+// First and last day of the current month, as YYYY-MM-DD
+const currentMonthRange = () => {
+  const now = new Date();
+  const from = new Date(Date.UTC(now.getFullYear(), now.getMonth(), 1));
+  const to = new Date(Date.UTC(now.getFullYear(), now.getMonth() + 1, 0));
+  return { from: from.toISOString().split('T')[0], to: to.toISOString().split('T')[0] };
+};
+
+const getPayoutStatusColor = (status) => {
+  switch (status) {
+    case 'paid':
+      return 'from-emerald-500 to-green-500';
+    case 'rejected':
+      return 'from-red-500 to-pink-500';
+    default:
+      return 'from-yellow-500 to-orange-500';
+  }
+};
+
+const DeveloperEarnings = () => {
+  const dispatch = useDispatch();
+  const { earnings, loading } = useSelector((state) => state.billing);
+  const { balances = [], projects = [], payouts = [], payoutSettings } = earnings || {};
+
+  const [payoutForm, setPayoutForm] = useState({ amount: '', currency: '', method: 'bank_transfer', destination: '' });
+  const [statementRange, setStatementRange] = useState(currentMonthRange);
+  const [downloadingFormat, setDownloadingFormat] = useState(null);
+
+  useEffect(() => {
+    dispatch(getEarnings());
+  }, [dispatch]);
+
+  const payoutCurrency = payoutForm.currency || balances[0]?.currency || 'USD';
+  const selectedBalance = balances.find((balance) => balance.currency === payoutCurrency);
+  const minimumAmount = payoutSettings?.minimumAmount ?? 0;
+
+  const handleRequestPayout = async (event) => {
+    event.preventDefault();
+    const amount = parseFloat(payoutForm.amount);
+    if (!amount || amount < minimumAmount) {
+      toast.error(`The minimum payout is ${formatMoney(minimumAmount, payoutCurrency)}.`);
+      return;
+    }
+    if (!payoutForm.destination.trim()) {
+      toast.error('Enter where the payout should be sent.');
+      return;
+    }
+    try {
+      await dispatch(requestPayout({
+        amount,
+        currency: payoutCurrency,
+        method: payoutForm.method,
+        destination: { details: payoutForm.destination.trim() },
+      })).unwrap();
+      toast.success('Payout requested. Our team will process it shortly.');
+      setPayoutForm((form) => ({ ...form, amount: '' }));
+    } catch (error) {
+      toast.error(error?.message || 'Failed to request payout. Please try again.');
+    }
+  };
+
+  const handleDownloadStatement = async (format) => {
+    setDownloadingFormat(format);
+    try {
+      const response = await downloadEarningsStatementApi({ format, ...statementRange });
+      const blob = new Blob([response.data], { type: format === 'csv' ? 'text/csv' : 'application/pdf' });
+      const url = window.URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `earnings-statement-${statementRange.from}-to-${statementRange.to}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download statement. Please try again.');
+    } finally {
+      setDownloadingFormat(null);
+    }
+  };
+
+  return (
+    <div className="bg-white/5 backdrop-blur-sm rounded-2xl p-8 shadow-2xl border border-white/10 relative overflow-hidden">
+      <div className="absolute inset-0 bg-black/20 backdrop-blur-sm rounded-2xl"></div>
+
+      <div className="relative z-10 space-y-8">
+        <div className="flex items-center gap-3">
+          <div className="w-8 h-8 bg-gradient-to-r from-emerald-400 to-teal-500 rounded-lg flex items-center justify-center shadow-lg">
+            <Wallet className="w-5 h-5 text-white" />
+          </div>
+          <h2 className="text-2xl font-bold text-white">Earnings</h2>
+        </div>
+
+        {/* Balances */}
+        {balances.length === 0 ? (
+          <div className="text-center py-8">
+            <p className="text-gray-400">No earnings yet. Milestone payments show up here once they are released.</p>
+          </div>
+        ) : (
+          balances.map((balance) => (
+            <div key={balance.currency} className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className="bg-black/20 rounded-xl p-5 border border-white/10">
+                <div className="flex items-center gap-2 mb-2 text-emerald-400">
+                  <CheckCircle className="w-4 h-4" />
+                  <span className="text-sm text-gray-300">Available</span>
+                </div>
+                <p className="text-2xl font-bold text-white">{formatMoney(balance.available, balance.currency)}</p>
+              </div>
+              <div className="bg-black/20 rounded-xl p-5 border border-white/10">
+                <div className="flex items-center gap-2 mb-2 text-yellow-400">
+                  <Clock className="w-4 h-4" />
+                  <span className="text-sm text-gray-300">Pending</span>
+                </div>
+                <p className="text-2xl font-bold text-white">{formatMoney(balance.pending, balance.currency)}</p>
+                {payoutSettings && (
+                  <p className="text-xs text-gray-400 mt-1">Clears {payoutSettings.clearanceDays} days after release</p>
+                )}
+              </div>
+              <div className="bg-black/20 rounded-xl p-5 border border-white/10">
+                <div className="flex items-center gap-2 mb-2 text-blue-400">
+                  <Lock className="w-4 h-4" />
+                  <span className="text-sm text-gray-300">In escrow</span>
+                </div>
+                <p className="text-2xl font-bold text-white">{formatMoney(balance.inEscrow, balance.currency)}</p>
+              </div>
+              <div className="bg-black/20 rounded-xl p-5 border border-white/10">
+                <div className="flex items-center gap-2 mb-2 text-purple-400">
+                  <Send className="w-4 h-4" />
+                  <span className="text-sm text-gray-300">Paid out</span>
+                </div>
+                <p className="text-2xl font-bold text-white">{formatMoney(balance.paidOut, balance.currency)}</p>
+                {balance.requested > 0 && (
+                  <p className="text-xs text-gray-400 mt-1">{formatMoney(balance.requested, balance.currency)} requested</p>
+                )}
+              </div>
+            </div>
+          ))
+        )}
+
+        {/* Payout request */}
+        {balances.length > 0 && (
+          <form onSubmit={handleRequestPayout} className="bg-black/20 rounded-xl p-6 border border-white/10 space-y-4">
+            <h3 className="text-lg font-semibold text-white">Request a payout</h3>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <input
+                type="number"
+                min={minimumAmount}
+                step="0.01"
+                placeholder={`Amount (min ${formatMoney(minimumAmount, payoutCurrency)})`}
+                value={payoutForm.amount}
+                onChange={(e) => setPayoutForm({ ...payoutForm, amount: e.target.value })}
+                className="px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-white"
+              />
+              <select
+                value={payoutCurrency}
+                onChange={(e) => setPayoutForm({ ...payoutForm, currency: e.target.value })}
+                className="px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-white"
+              >
+                {balances.map((balance) => (
+                  <option key={balance.currency} value={balance.currency}>{balance.currency}</option>
+                ))}
+              </select>
+              <select
+                value={payoutForm.method}
+                onChange={(e) => setPayoutForm({ ...payoutForm, method: e.target.value })}
+                className="px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-white"
+              >
+                {(payoutSettings?.methods || Object.keys(PAYOUT_METHOD_LABELS)).map((method) => (
+                  <option key={method} value={method}>{PAYOUT_METHOD_LABELS[method] || method}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                placeholder="IBAN, PayPal email, ..."
+                value={payoutForm.destination}
+                onChange={(e) => setPayoutForm({ ...payoutForm, destination: e.target.value })}
+                className="px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-white"
+              />
+            </div>
+            <div className="flex items-center justify-between">
+              <p className="text-sm text-gray-300">
+                Available: {formatMoney(selectedBalance?.available, payoutCurrency)}
+              </p>
+              <Button
+                type="submit"
+                className="px-4 py-2 bg-gradient-to-r from-emerald-500 to-teal-600 text-white font-semibold rounded-lg"
+                disabled={loading || !selectedBalance || selectedBalance.available < minimumAmount}
+              >
+                {loading ? 'Processing...' : 'Request Payout'}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {/* Earnings per project */}
+        {projects.length > 0 && (
+          <div className="space-y-3">
+            <h3 className="text-lg font-semibold text-white">Earnings by project</h3>
+            {projects.map((project) => (
+              <div key={`${project.projectId}-${project.currency}`} className="bg-black/20 rounded-xl p-5 border border-white/10">
+                <div className="flex items-center justify-between mb-2">
+                  <div className="flex items-center gap-2">
+                    <FolderKanban className="w-4 h-4 text-blue-400" />
+                    <span className="text-white font-medium">{project.projectTitle}</span>
+                  </div>
+                  <span className="text-white font-semibold">{formatMoney(project.amount, project.currency)}</span>
+                </div>
+                {project.milestones.map((milestone) => (
+                  <div key={milestone.milestoneId || 'none'} className="flex items-center justify-between text-sm text-gray-300 pl-6">
+                    <span>{milestone.milestoneTitle || 'Other'} · {formatDate(milestone.lastPaidAt)}</span>
+                    <span>{formatMoney(milestone.amount, project.currency)}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Payout history */}
+        {payouts.length > 0 && (
+          <div className="space-y-3">
+            <h3 className="text-lg font-semibold text-white">Payouts</h3>
+            {payouts.map((payout) => (
+              <div key={payout.id} className="flex items-center justify-between bg-black/20 rounded-xl p-4 border border-white/10">
+                <div>
+                  <p className="text-white font-medium">{formatMoney(payout.amount, payout.currency)}</p>
+                  <p className="text-xs text-gray-400">
+                    {PAYOUT_METHOD_LABELS[payout.method] || payout.method} · {formatDate(payout.createdAt)}
+                    {payout.reference ? ` · Ref ${payout.reference}` : ''}
+                  </p>
+                </div>
+                <span className={`px-3 py-1 rounded-lg text-sm font-semibold text-white bg-gradient-to-r ${getPayoutStatusColor(payout.status)}`}>
+                  {payout.status}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Statements */}
+        <div className="bg-black/20 rounded-xl p-6 border border-white/10">
+          <h3 className="text-lg font-semibold text-white mb-4">Statements</h3>
+          <div className="flex flex-wrap items-center gap-3">
+            <input
+              type="date"
+              value={statementRange.from}
+              onChange={(e) => setStatementRange({ ...statementRange, from: e.target.value })}
+              className="px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-white"
+            />
+            <span className="text-gray-400">to</span>
+            <input
+              type="date"
+              value={statementRange.to}
+              onChange={(e) => setStatementRange({ ...statementRange, to: e.target.value })}
+              className="px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-white"
+            />
+            {['csv', 'pdf'].map((format) => (
+              <button
+                key={format}
+                type="button"
+                onClick={() => handleDownloadStatement(format)}
+                disabled={downloadingFormat !== null}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-white/10 text-white hover:bg-white/20 transition-colors duration-300 disabled:opacity-50"
+              >
+                {downloadingFormat === format ? <Loader className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeveloperEarnings;
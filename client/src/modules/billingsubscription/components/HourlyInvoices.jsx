@@ -0,0 +1,391 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import Button from '../../../components/Button';
+import { getHourlyInvoices, generateHourlyInvoice, finalizeHourlyInvoice } from "../slice/billingSlice";
+import {
+  getHourlyInvoiceApi,
+  adjustHourlyInvoiceEntryApi,
+  contestHourlyInvoiceEntryApi,
+  resolveHourlyInvoiceContestApi,
+  voidHourlyInvoiceApi,
+} from "../slice/billingAction";
+import { Timer, ChevronDown, ChevronUp, AlertTriangle, CheckCircle, XCircle, Trash2, Loader } from "lucide-react";
+
+const formatMoney = (amount, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+  } catch (error) {
+    return `${parseFloat(amount || 0).toFixed(2)} ${currency}`;
+  }
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+const formatMinutes = (minutes) => `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+
+// First and last day of the previous month, as YYYY-MM-DD
+const previousMonthRange = () => {
+  const now = new Date();
+  const from = new Date(Date.UTC(now.getFullYear(), now.getMonth() - 1, 1));
+  const to = new Date(Date.UTC(now.getFullYear(), now.getMonth(), 0));
+  return { from: from.toISOString().split('T')[0], to: to.toISOString().split('T')[0] };
+};
+
+const getInvoiceStatusColor = (status) => {
+  switch (status) {
+    case 'paid':
+      return 'from-emerald-500 to-green-500';
+    case 'finalized':
+      return 'from-blue-500 to-indigo-500';
+    default:
+      return 'from-yellow-500 to-orange-500';
+  }
+};
+
+/**
+ * Hourly invoices from tracked time. Project owners generate, adjust and pay them;
+ * developers review the entries and contest the ones they disagree with.
+ */
+const HourlyInvoices = ({ role = 'developer', projects = [] }) => {
+  const dispatch = useDispatch();
+  const { hourlyInvoices = [], loading } = useSelector((state) => state.billing);
+  const isOwner = role === 'owner';
+
+  const [generateForm, setGenerateForm] = useState({ projectId: '', developerId: '', hourlyRate: '', ...previousMonthRange() });
+  const [expanded, setExpanded] = useState(null);
+  const [loadingDetails, setLoadingDetails] = useState(false);
+
+  const invoices = hourlyInvoices.filter((invoice) => (invoice.role || 'owner') === role);
+
+  useEffect(() => {
+    dispatch(getHourlyInvoices());
+  }, [dispatch]);
+
+  const loadDetails = async (invoiceId) => {
+    setLoadingDetails(true);
+    try {
+      const response = await getHourlyInvoiceApi(invoiceId);
+      setExpanded(response?.data?.data || null);
+    } catch (error) {
+      toast.error('Failed to load invoice entries.');
+    } finally {
+      setLoadingDetails(false);
+    }
+  };
+
+  const toggleInvoice = (invoiceId) => {
+    if (expanded?.id === invoiceId) {
+      setExpanded(null);
+      return;
+    }
+    loadDetails(invoiceId);
+  };
+
+  // Reload the open invoice and the list after a change to its entries
+  const refresh = async (invoiceId) => {
+    await loadDetails(invoiceId);
+    dispatch(getHourlyInvoices());
+  };
+
+  const handleGenerate = async (event) => {
+    event.preventDefault();
+    if (!generateForm.projectId || !generateForm.developerId) {
+      toast.error('Choose a project and enter the developer ID.');
+      return;
+    }
+    try {
+      const invoice = await dispatch(generateHourlyInvoice({
+        projectId: parseInt(generateForm.projectId),
+        developerId: parseInt(generateForm.developerId),
+        from: generateForm.from,
+        to: generateForm.to,
+        hourlyRate: generateForm.hourlyRate ? parseFloat(generateForm.hourlyRate) : undefined,
+      })).unwrap();
+      toast.success('Draft invoice created. The developer can review it before you finalize.');
+      setExpanded(invoice);
+    } catch (error) {
+      toast.error(error?.message || 'Failed to generate invoice.');
+    }
+  };
+
+  const handleAdjust = async (invoiceId, entry, changes) => {
+    try {
+      await adjustHourlyInvoiceEntryApi(invoiceId, entry.id, changes);
+      await refresh(invoiceId);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update entry.');
+    }
+  };
+
+  const handleContest = async (invoiceId, entry) => {
+    const reason = window.prompt('Why are you contesting this entry?');
+    if (!reason) return;
+    const proposed = window.prompt('How many minutes should be billed?', String(entry.trackedMinutes));
+    try {
+      await contestHourlyInvoiceEntryApi(invoiceId, entry.id, reason, proposed ? parseInt(proposed) : null);
+      toast.success('Entry contested. The project owner has been notified.');
+      await refresh(invoiceId);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to contest entry.');
+    }
+  };
+
+  const handleResolve = async (invoiceId, entry, accept) => {
+    const response = window.prompt(accept ? 'Add a note for the developer (optional)' : 'Why are you rejecting this contest?') || null;
+    try {
+      await resolveHourlyInvoiceContestApi(invoiceId, entry.id, accept, response);
+      await refresh(invoiceId);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to resolve contest.');
+    }
+  };
+
+  const handleFinalize = async (invoice) => {
+    if (!window.confirm(`Finalize and pay ${formatMoney(invoice.amount, invoice.currency)} for ${invoice.billableHours} hours?`)) return;
+    try {
+      // Charged to the default payment method
+      const result = await dispatch(finalizeHourlyInvoice({ invoiceId: invoice.id })).unwrap();
+      if (result?.payment?.status === 'pending') {
+        toast.info('Payment is being processed. The invoice is marked as paid once the payment is confirmed.');
+      } else {
+        toast.success('Invoice paid.');
+      }
+      setExpanded(null);
+    } catch (error) {
+      toast.error(error?.message || 'Failed to finalize invoice.');
+    }
+  };
+
+  const handleVoid = async (invoice) => {
+    if (!window.confirm('Discard this draft invoice? Its hours can be invoiced again.')) return;
+    try {
+      await voidHourlyInvoiceApi(invoice.id);
+      setExpanded(null);
+      dispatch(getHourlyInvoices());
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to discard invoice.');
+    }
+  };
+
+  const renderEntry = (invoice, entry) => {
+    const isDraft = invoice.status === 'draft';
+    const contest = entry.contest;
+    return (
+      <div key={entry.id} className="bg-black/30 rounded-lg p-4 border border-white/10 space-y-2">
+        <div className="flex items-center justify-between">
+          <div>
+            <p className={`text-white font-medium ${entry.status === 'excluded' ? 'line-through opacity-50' : ''}`}>
+              {entry.taskTitle || `Task ${entry.taskId}`}
+            </p>
+            <p className="text-xs text-gray-400">
+              {formatDate(entry.startTime)} · tracked {formatMinutes(entry.trackedMinutes)}
+              {entry.description ? ` · ${entry.description}` : ''}
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+            {isOwner && isDraft ? (
+              <input
+                key={entry.billableMinutes}
+                type="number"
+                min="0"
+                defaultValue={entry.billableMinutes}
+                onBlur={(e) => {
+                  const minutes = parseInt(e.target.value);
+                  if (!isNaN(minutes) && minutes !== entry.billableMinutes) {
+                    handleAdjust(invoice.id, entry, { billableMinutes: minutes });
+                  }
+                }}
+                className="w-24 px-2 py-1 rounded-lg bg-black/30 border border-white/10 text-white text-sm"
+                title="Billable minutes"
+              />
+            ) : (
+              <span className="text-sm text-gray-300">{formatMinutes(entry.billableMinutes)} billed</span>
+            )}
+            {isOwner && isDraft && (
+              <button
+                type="button"
+                onClick={() => handleAdjust(invoice.id, entry, { excluded: entry.status !== 'excluded' })}
+                className="text-xs px-2 py-1 rounded-lg bg-white/10 text-white hover:bg-white/20"
+              >
+                {entry.status === 'excluded' ? 'Include' : 'Exclude'}
+              </button>
+            )}
+            {!isOwner && isDraft && contest?.status !== 'open' && (
+              <button
+                type="button"
+                onClick={() => handleContest(invoice.id, entry)}
+                className="text-xs px-2 py-1 rounded-lg bg-orange-500/20 text-orange-300 hover:bg-orange-500/30"
+              >
+                Contest
+              </button>
+            )}
+          </div>
+        </div>
+
+        {contest && (
+          <div className="flex items-center justify-between text-sm bg-white/5 rounded-lg px-3 py-2">
+            <div className="text-gray-300">
+              <span className="font-semibold capitalize">{contest.status === 'open' ? 'Contested' : `Contest ${contest.status}`}</span>
+              {`: ${contest.reason}`}
+              {contest.proposedMinutes !== null && ` (proposes ${formatMinutes(contest.proposedMinutes)})`}
+              {contest.response && <span className="block text-xs text-gray-400">Owner: {contest.response}</span>}
+            </div>
+            {isOwner && isDraft && contest.status === 'open' && (
+              <div className="flex gap-2">
+                <button type="button" onClick={() => handleResolve(invoice.id, entry, true)} title="Accept">
+                  <CheckCircle className="w-5 h-5 text-emerald-400" />
+                </button>
+                <button type="button" onClick={() => handleResolve(invoice.id, entry, false)} title="Reject">
+                  <XCircle className="w-5 h-5 text-red-400" />
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white/5 backdrop-blur-sm rounded-2xl p-8 shadow-2xl border border-white/10 relative overflow-hidden">
+      <div className="absolute inset-0 bg-black/20 backdrop-blur-sm rounded-2xl"></div>
+
+      <div className="relative z-10 space-y-6">
+        <div className="flex items-center gap-3">
+          <div className="w-8 h-8 bg-gradient-to-r from-sky-400 to-indigo-500 rounded-lg flex items-center justify-center shadow-lg">
+            <Timer className="w-5 h-5 text-white" />
+          </div>
+          <h2 className="text-2xl font-bold text-white">Hourly Invoices</h2>
+        </div>
+
+        {/* Generate (project owner) */}
+        {isOwner && (
+          <form onSubmit={handleGenerate} className="bg-black/20 rounded-xl p-6 border border-white/10 space-y-4">
+            <h3 className="text-lg font-semibold text-white">Invoice approved hours</h3>
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+              <select
+                value={generateForm.projectId}
+                onChange={(e) => setGenerateForm({ ...generateForm, projectId: e.target.value })}
+                className="px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-white"
+              >
+                <option value="">Project</option>
+                {projects.map((project) => (
+                  <option key={project.id} value={project.id}>{project.name}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                placeholder="Developer ID"
+                value={generateForm.developerId}
+                onChange={(e) => setGenerateForm({ ...generateForm, developerId: e.target.value })}
+                className="px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-white"
+              />
+              <input
+                type="date"
+                value={generateForm.from}
+                onChange={(e) => setGenerateForm({ ...generateForm, from: e.target.value })}
+                className="px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-white"
+              />
+              <input
+                type="date"
+                value={generateForm.to}
+                onChange={(e) => setGenerateForm({ ...generateForm, to: e.target.value })}
+                className="px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-white"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Rate (developer's default)"
+                value={generateForm.hourlyRate}
+                onChange={(e) => setGenerateForm({ ...generateForm, hourlyRate: e.target.value })}
+                className="px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-white"
+              />
+            </div>
+            <div className="flex justify-end">
+              <Button
+                type="submit"
+                className="px-4 py-2 bg-gradient-to-r from-sky-500 to-indigo-600 text-white font-semibold rounded-lg"
+                disabled={loading}
+              >
+                {loading ? 'Processing...' : 'Create Draft'}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {/* Invoices */}
+        {invoices.length === 0 ? (
+          <div className="text-center py-8">
+            <p className="text-gray-400">
+              {isOwner ? 'No hourly invoices yet.' : 'No hourly invoices yet. Invoices for your tracked hours show up here for review.'}
+            </p>
+          </div>
+        ) : (
+          invoices.map((invoice) => {
+            const isOpen = expanded?.id === invoice.id;
+            return (
+              <div key={invoice.id} className="bg-black/20 rounded-xl p-5 border border-white/10 space-y-4">
+                <div className="flex items-center justify-between cursor-pointer" onClick={() => toggleInvoice(invoice.id)}>
+                  <div>
+                    <p className="text-white font-medium">
+                      #{invoice.id} · {invoice.counterpartName || (isOwner ? `Developer ${invoice.developerId}` : `Owner ${invoice.ownerId}`)}
+                    </p>
+                    <p className="text-xs text-gray-400">
+                      {formatDate(invoice.periodStart)} – {formatDate(invoice.periodEnd)} · {invoice.billableHours} h at {formatMoney(invoice.hourlyRate, invoice.currency)}/h
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <span className="text-white font-semibold">{formatMoney(invoice.amount, invoice.currency)}</span>
+                    <span className={`px-3 py-1 rounded-lg text-sm font-semibold text-white bg-gradient-to-r ${getInvoiceStatusColor(invoice.status)}`}>
+                      {invoice.status}
+                    </span>
+                    {loadingDetails && !isOpen ? null : isOpen ? <ChevronUp className="w-4 h-4 text-gray-300" /> : <ChevronDown className="w-4 h-4 text-gray-300" />}
+                  </div>
+                </div>
+
+                {isOpen && (
+                  <div className="space-y-3">
+                    {expanded.openContests > 0 && (
+                      <div className="flex items-center gap-2 text-sm text-orange-300">
+                        <AlertTriangle className="w-4 h-4" />
+                        {expanded.openContests} contested {expanded.openContests === 1 ? 'entry needs' : 'entries need'} a decision before the invoice can be finalized.
+                      </div>
+                    )}
+                    {(expanded.entries || []).map((entry) => renderEntry(expanded, entry))}
+
+                    {isOwner && expanded.status === 'draft' && (
+                      <div className="flex justify-end gap-3">
+                        <button
+                          type="button"
+                          onClick={() => handleVoid(expanded)}
+                          className="flex items-center gap-2 px-4 py-2 rounded-lg bg-white/10 text-white hover:bg-white/20"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                          Discard
+                        </button>
+                        <Button
+                          className="px-4 py-2 bg-gradient-to-r from-emerald-500 to-teal-600 text-white font-semibold rounded-lg"
+                          onClick={() => handleFinalize(expanded)}
+                          disabled={loading || expanded.openContests > 0 || expanded.amount <= 0}
+                        >
+                          {loading ? <Loader className="w-4 h-4 animate-spin" /> : `Finalize & Pay ${formatMoney(expanded.amount, expanded.currency)}`}
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HourlyInvoices;
@@ -1,8 +1,11 @@
-import React, { useEffect } from "react";
+import React, { useEffect, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { toast } from "react-toastify";
 import Button from '../../../components/Button';
 import { getBillingData, upgradeProjectVisibility, cancelSubscription } from "../slice/billingSlice";
+import { getUpgradeRequired } from "../utils/subscriptionLimits";
+import UpgradePrompt from "./UpgradePrompt";
+import HourlyInvoices from "./HourlyInvoices";
 import {
   Building2,
   TrendingUp,
@@ -23,6 +26,7 @@ import {
 const ProjectOwnBillSubsDash = ({ data }) => {
   const dispatch = useDispatch();
   const billingState = useSelector((state) => state.billing);
+  const [upgradeRequired, setUpgradeRequired] = useState(null);
   
   // Use Redux state if available, otherwise fallback to props
   const subscription = billingState.currentSubscription || data?.subscription || {};
@@ -39,11 +43,19 @@ const ProjectOwnBillSubsDash = ({ data }) => {
 
   const handleUpgradeVisibility = async (projectId, visibilityType) => {
     try {
-      await dispatch(upgradeProjectVisibility({ projectId, visibilityType })).unwrap();
+      const result = await dispatch(upgradeProjectVisibility({ projectId, visibilityType })).unwrap();
+      if (result?.payment?.status === 'pending') {
+        toast.info('Payment is being processed. Your boost will start once the payment is confirmed.');
+      }
       // Refresh billing data to get updated boosted projects
       dispatch(getBillingData());
     } catch (error) {
       console.error('Failed to upgrade project visibility:', error);
+      const upgrade = getUpgradeRequired(error);
+      if (upgrade) {
+        setUpgradeRequired(upgrade);
+        return;
+      }
       toast.error('Failed to upgrade project visibility. Please try again.');
     }
   };
@@ -283,6 +295,9 @@ const ProjectOwnBillSubsDash = ({ data }) => {
         </div>
       </div>
 
+      {/* Hourly invoices from tracked time */}
+      <HourlyInvoices role="owner" projects={projectListings} />
+
       {/* Payment Methods */}
       <div className='bg-white/5 backdrop-blur-sm rounded-2xl p-8 shadow-2xl border border-white/10 relative overflow-hidden'>
         <div className='absolute inset-0 bg-black/20 backdrop-blur-sm rounded-2xl'></div>
@@ -442,6 +457,13 @@ const ProjectOwnBillSubsDash = ({ data }) => {
           </div>
         </div>
       </div>
+
+      <UpgradePrompt
+        isOpen={Boolean(upgradeRequired)}
+        onClose={() => setUpgradeRequired(null)}
+        title="Boost Limit Reached"
+        upgrade={upgradeRequired}
+      />
     </div>
   );
 };
@@ -2,14 +2,27 @@ import React, { useState, useEffect } from "react";
 import { createPortal } from "react-dom";
 import { useDispatch, useSelector } from "react-redux";
 import { toast } from "react-toastify";
-import { X, CreditCard, Plus, CheckCircle, AlertCircle, Loader } from "lucide-react";
+import { X, CreditCard, Plus, CheckCircle, AlertCircle, Loader, Tag } from "lucide-react";
 import { Button } from "../../../components";
 import { 
   purchaseSubscription, 
   getPaymentMethods, 
   addPaymentMethod,
-  getBillingData 
+  getBillingData,
+  getPaymentStatus
 } from "../slice/billingSlice";
+import { validateCouponApi } from "../slice/billingAction";
+
+const PAYMENT_POLL_INTERVAL_MS = 2000;
+const PAYMENT_POLL_ATTEMPTS = 15;
+
+const formatAmount = (amount, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${Number(amount).toFixed(2)} ${currency}`;
+  }
+};
 
 const PurchaseModal = ({ isOpen, onClose, plan, onSuccess }) => {
   const dispatch = useDispatch();
@@ -26,6 +39,10 @@ const PurchaseModal = ({ isOpen, onClose, plan, onSuccess }) => {
   });
   const [formErrors, setFormErrors] = useState({});
   const [isProcessing, setIsProcessing] = useState(false);
+  const [couponCode, setCouponCode] = useState("");
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [couponError, setCouponError] = useState("");
+  const [isApplyingCoupon, setIsApplyingCoupon] = useState(false);
 
   useEffect(() => {
     if (isOpen && paymentMethods.length === 0) {
@@ -40,6 +57,9 @@ const PurchaseModal = ({ isOpen, onClose, plan, onSuccess }) => {
     if (!isOpen) {
       setFormErrors({});
       setShowAddPaymentForm(false);
+      setCouponCode("");
+      setAppliedCoupon(null);
+      setCouponError("");
     }
   }, [isOpen, paymentMethods, dispatch]);
   
@@ -231,6 +251,68 @@ const PurchaseModal = ({ isOpen, onClose, plan, onSuccess }) => {
     }
   };
 
+  // Poll the payment until the provider webhook moves it out of "pending"
+  const waitForPaymentConfirmation = async (billingHistoryId) => {
+    for (let attempt = 0; attempt < PAYMENT_POLL_ATTEMPTS; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, PAYMENT_POLL_INTERVAL_MS));
+      try {
+        const status = await dispatch(getPaymentStatus(billingHistoryId)).unwrap();
+        if (status?.status && status.status !== 'pending') {
+          return status;
+        }
+      } catch (error) {
+        console.error('Failed to fetch payment status:', error);
+      }
+    }
+    return null;
+  };
+
+  // The discount depends on the billing address (currency), so re-check it when the card changes
+  useEffect(() => {
+    setAppliedCoupon(null);
+  }, [selectedPaymentMethod]);
+
+  const handleApplyCoupon = async () => {
+    const code = couponCode.trim();
+    if (!code || !plan) return;
+
+    setIsApplyingCoupon(true);
+    setCouponError("");
+    try {
+      const response = await validateCouponApi(code, {
+        planId: plan.id,
+        paymentMethodId: selectedPaymentMethod,
+        currency: plan.currency,
+      });
+      setAppliedCoupon(response?.data?.data || null);
+    } catch (error) {
+      setAppliedCoupon(null);
+      setCouponError(error.response?.data?.message || 'This promo code could not be applied.');
+    } finally {
+      setIsApplyingCoupon(false);
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    setAppliedCoupon(null);
+    setCouponCode("");
+    setCouponError("");
+  };
+
+  // Downgrades are scheduled for the end of the billing period instead of charged now
+  const handleScheduledChange = async (result) => {
+    if (!result || !('scheduledChange' in result)) return false;
+    await dispatch(getBillingData());
+    if (result.scheduledChange) {
+      toast.info(`Your plan will switch to ${plan.name} on ${result.scheduledChange.effectiveDate}. You keep your current features until then.`);
+    } else {
+      toast.info(`Scheduled plan change cancelled. You will stay on the ${plan.name} plan.`);
+    }
+    onSuccess && onSuccess();
+    onClose();
+    return true;
+  };
+
   const handlePurchase = async () => {
     if (!plan) return;
 
@@ -238,10 +320,11 @@ const PurchaseModal = ({ isOpen, onClose, plan, onSuccess }) => {
     if (plan.name.toLowerCase() === 'free') {
       setIsProcessing(true);
       try {
-        await dispatch(purchaseSubscription({ 
+        const result = await dispatch(purchaseSubscription({ 
           planId: plan.id, 
           paymentMethodId: null 
         })).unwrap();
+        if (await handleScheduledChange(result)) return;
         // Refresh billing data to get updated subscription
         await dispatch(getBillingData());
         toast.success('Subscription updated successfully! You now have access to Free plan features.');
@@ -270,10 +353,30 @@ const PurchaseModal = ({ isOpen, onClose, plan, onSuccess }) => {
 
     setIsProcessing(true);
     try {
-      await dispatch(purchaseSubscription({ 
+      const result = await dispatch(purchaseSubscription({ 
         planId: plan.id, 
-        paymentMethodId: selectedPaymentMethod 
+        paymentMethodId: selectedPaymentMethod,
+        currency: plan.currency,
+        couponCode: appliedCoupon?.code || null,
       })).unwrap();
+
+      if (await handleScheduledChange(result)) return;
+
+      // Paid plans are activated only after the payment provider confirms the charge
+      if (result?.payment?.status === 'pending') {
+        toast.info('Processing your payment...');
+        const status = await waitForPaymentConfirmation(result.payment.billingHistoryId);
+        if (status?.status === 'failed') {
+          toast.error(status.failureReason ? `Payment failed: ${status.failureReason}` : 'Payment failed. Please try another payment method.');
+          return;
+        }
+        if (status?.status !== 'completed') {
+          toast.info("Your payment is still being processed. We'll notify you once your plan is active.");
+          onClose();
+          return;
+        }
+      }
+
       // Refresh billing data to get updated subscription with new features
       await dispatch(getBillingData());
       toast.success(`Congratulations! You've successfully upgraded to the ${plan.name} plan. You now have access to all premium features including unlimited projects!`);
@@ -317,6 +420,9 @@ const PurchaseModal = ({ isOpen, onClose, plan, onSuccess }) => {
             <div className="text-right">
               <div className="text-3xl font-bold text-white">{plan?.price}</div>
               <p className="text-gray-400 text-sm">per {plan?.period === 'forever' ? 'forever' : 'month'}</p>
+              {plan?.period !== 'forever' && (
+                <p className="text-gray-500 text-xs">plus applicable taxes</p>
+              )}
             </div>
           </div>
           <div className="space-y-2">
@@ -499,6 +605,66 @@ const PurchaseModal = ({ isOpen, onClose, plan, onSuccess }) => {
           </div>
         )}
 
+        {/* Promo Code */}
+        {plan?.name.toLowerCase() !== 'free' && !showAddPaymentForm && (
+          <div className="mb-6">
+            <h3 className="text-lg font-semibold text-white mb-4">Promo Code</h3>
+            {appliedCoupon ? (
+              <div className="bg-green-500/10 border border-green-500/30 rounded-xl p-4">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-3">
+                    <Tag className="w-5 h-5 text-green-400" />
+                    <div>
+                      <p className="text-white font-semibold">{appliedCoupon.code}</p>
+                      <p className="text-green-200 text-sm">
+                        -{formatAmount(appliedCoupon.discount, appliedCoupon.currency)} · You pay {formatAmount(appliedCoupon.total, appliedCoupon.currency)} plus applicable taxes
+                      </p>
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={handleRemoveCoupon}
+                    className="text-sm text-gray-300 hover:text-white"
+                    disabled={isProcessing}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <>
+                <div className="flex gap-3">
+                  <input
+                    type="text"
+                    value={couponCode}
+                    onChange={(e) => {
+                      setCouponCode(e.target.value.toUpperCase());
+                      if (couponError) setCouponError("");
+                    }}
+                    placeholder="Enter promo code"
+                    className={`flex-1 px-4 py-2 bg-black/20 border rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 ${
+                      couponError
+                        ? 'border-red-500 focus:ring-red-500'
+                        : 'border-white/10 focus:ring-blue-500'
+                    }`}
+                  />
+                  <Button
+                    type="button"
+                    onClick={handleApplyCoupon}
+                    className="bg-white/10 hover:bg-white/20 text-white border border-white/20 disabled:opacity-50 disabled:cursor-not-allowed"
+                    disabled={!couponCode.trim() || isApplyingCoupon || isProcessing}
+                  >
+                    {isApplyingCoupon ? <Loader className="w-4 h-4 animate-spin" /> : 'Apply'}
+                  </Button>
+                </div>
+                {couponError && (
+                  <p className="mt-1 text-sm text-red-400">{couponError}</p>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
         {/* Error Message */}
         {error && (
           <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4 mb-4">
@@ -26,7 +26,8 @@ const SubscriptionPlans = ({ userRole = 'developer' }) => {
   const plans = plansData.map((plan) => ({
     id: plan.id,
     name: plan.name,
-    price: `$${plan.price}`,
+    price: new Intl.NumberFormat('en-US', { style: 'currency', currency: plan.currency || 'USD' }).format(plan.price),
+    currency: plan.currency || 'USD',
     period: plan.period,
     features: plan.features || [],
     popular: plan.popular || plan.id === 2,
@@ -4,6 +4,10 @@ import { useNavigate } from "react-router-dom";
 import { Crown, Lock, ArrowRight, X } from "lucide-react";
 import { Button } from "../../../components";
 
+/**
+ * Upgrade modal. Pass `upgrade` (the `data` of an UPGRADE_REQUIRED API error) to
+ * fill in the plan, limit and upgrade details; explicit props take precedence.
+ */
 const UpgradePrompt = ({ 
   isOpen, 
   onClose, 
@@ -11,15 +15,22 @@ const UpgradePrompt = ({
   message,
   feature,
   currentLimit,
-  upgradeLimit 
+  upgradeLimit,
+  upgrade
 }) => {
   const navigate = useNavigate();
 
   if (!isOpen) return null;
 
+  const featureLabel = feature || upgrade?.featureLabel;
+  const limit = currentLimit ?? upgrade?.limit;
+  // The API sends null for an unlimited upgrade
+  const nextLimit = upgradeLimit ?? (upgrade?.upgradePlan ? (upgrade.upgradeLimit ?? Infinity) : undefined);
+  const resetsAt = upgrade?.resetsAt ? new Date(upgrade.resetsAt).toLocaleDateString() : null;
+
   const handleUpgrade = () => {
     onClose();
-    navigate("/billing-subscription");
+    navigate(upgrade?.upgradeUrl || "/billing-subscription");
   };
 
   const modalContent = (
@@ -43,13 +54,17 @@ const UpgradePrompt = ({
         <div className="mb-6">
           <div className="flex items-center gap-2 mb-3">
             <Lock className="w-5 h-5 text-yellow-400" />
-            <p className="text-gray-300">{message || `You've reached your limit of ${currentLimit} ${feature || 'items'}.`}</p>
+            <p className="text-gray-300">{message || `You've reached your limit of ${limit} ${featureLabel || 'items'}${upgrade?.currentPlan ? ` on the ${upgrade.currentPlan} plan` : ''}.`}</p>
           </div>
+
+          {resetsAt && (
+            <p className="text-gray-400 text-sm mb-3">Your allowance resets on {resetsAt}.</p>
+          )}
           
-          {upgradeLimit && (
+          {nextLimit && (
             <div className="bg-blue-500/10 border border-blue-500/30 rounded-xl p-4">
               <p className="text-blue-200 text-sm">
-                Upgrade to unlock up to {upgradeLimit === Infinity ? 'unlimited' : upgradeLimit} {feature || 'items'}!
+                Upgrade{upgrade?.upgradePlan ? ` to ${upgrade.upgradePlan}` : ''} to unlock {nextLimit === Infinity ? 'unlimited' : `up to ${nextLimit}`} {featureLabel || 'items'}!
               </p>
             </div>
           )}
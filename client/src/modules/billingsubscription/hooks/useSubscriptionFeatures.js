@@ -7,12 +7,16 @@ import { hasFeatureAccess, getProjectLimit, canPostProject } from "../utils/subs
 export const useSubscriptionFeatures = () => {
   const billingState = useSelector((state) => state.billing || {});
   const currentSubscription = billingState.currentSubscription || {};
+  const entitlements = billingState.entitlements;
   const projectState = useSelector((state) => state.project || {});
   const projects = projectState.projects || [];
   const currentProjectCount = projects.length;
 
   return {
     subscription: currentSubscription,
+    entitlements,
+    // Server-side limit and usage for a feature (see getEntitlements), or null until loaded
+    getEntitlement: (feature) => entitlements?.features?.[feature] || null,
     hasFeature: (feature) => hasFeatureAccess(currentSubscription, feature),
     getProjectLimit: () => getProjectLimit(currentSubscription),
     canPostProject: () => canPostProject(currentSubscription, currentProjectCount),
@@ -17,17 +17,35 @@ export const getSubscriptionPlansApi = async () => {
   return await fetchFromApiServer("GET", url);
 };
 
+/**
+ * Get the current user's plan limits and usage
+ */
+export const getEntitlementsApi = async () => {
+  const url = `api/v1/user/billing/entitlements`;
+  return await fetchFromApiServer("GET", url);
+};
+
 /**
  * Purchase a subscription plan
  */
-export const purchaseSubscriptionApi = async (planId, paymentMethodId = null) => {
+export const purchaseSubscriptionApi = async (planId, paymentMethodId = null, currency, couponCode = null) => {
   const url = `api/v1/user/billing/subscription/purchase`;
   return await fetchFromApiServer("POST", url, {
     planId,
     paymentMethodId,
+    currency,
+    couponCode,
   });
 };
 
+/**
+ * Check a promo code against a plan ({ planId }) or boost ({ projectId, visibilityType })
+ */
+export const validateCouponApi = async (code, purchase) => {
+  const url = `api/v1/user/billing/coupons/validate`;
+  return await fetchFromApiServer("POST", url, { code, ...purchase });
+};
+
 /**
  * Cancel current subscription
  */
@@ -39,14 +57,31 @@ export const cancelSubscriptionApi = async () => {
 /**
  * Upgrade project visibility (Project Owners)
  */
-export const upgradeProjectVisibilityApi = async (projectId, visibilityType) => {
+export const upgradeProjectVisibilityApi = async (projectId, visibilityType, couponCode = null) => {
   const url = `api/v1/user/billing/project/upgrade-visibility`;
   return await fetchFromApiServer("POST", url, {
     projectId,
     visibilityType,
+    couponCode,
   });
 };
 
+/**
+ * Get the status of a payment (used to poll pending payments)
+ */
+export const getPaymentStatusApi = async (billingHistoryId) => {
+  const url = `api/v1/user/billing/payments/${billingHistoryId}`;
+  return await fetchFromApiServer("GET", url);
+};
+
+/**
+ * Download an invoice PDF (returns a Blob)
+ */
+export const downloadInvoicePdfApi = async (invoiceNumber) => {
+  const url = `api/v1/billing/invoices/${encodeURIComponent(invoiceNumber)}/pdf`;
+  return await fetchFromApiServer("BLOB", url);
+};
+
 /**
  * Get payment methods
  */
@@ -99,9 +134,14 @@ export const getDisputesApi = async (status = null) => {
 /**
  * Resolve a dispute (Admin only)
  */
-export const resolveDisputeApi = async (disputeId, resolution) => {
+export const resolveDisputeApi = async (disputeId, resolution, refund = null, escrowAction = null) => {
   const url = `api/v1/user/billing/disputes/${disputeId}/resolve`;
-  return await fetchFromApiServer("PUT", url, { resolution });
+  return await fetchFromApiServer("PUT", url, {
+    resolution,
+    refund: Boolean(refund),
+    refundAmount: refund?.amount ?? null,
+    ...(escrowAction && { escrowAction }),
+  });
 };
 
 /**
@@ -128,6 +168,99 @@ export const unsuspendAccountApi = async (accountId) => {
   return await fetchFromApiServer("PUT", url);
 };
 
+/**
+ * Get developer earnings (balances, per-project earnings, payout requests)
+ */
+export const getEarningsApi = async () => {
+  const url = `api/v1/user/billing/earnings`;
+  return await fetchFromApiServer("GET", url);
+};
+
+/**
+ * Request a payout of available earnings
+ */
+export const requestPayoutApi = async (payoutData) => {
+  const url = `api/v1/user/billing/earnings/payouts`;
+  return await fetchFromApiServer("POST", url, payoutData);
+};
+
+/**
+ * Download an earnings statement (returns a Blob); format is 'csv' or 'pdf', dates are YYYY-MM-DD
+ */
+export const downloadEarningsStatementApi = async ({ format = "pdf", from = null, to = null } = {}) => {
+  const params = new URLSearchParams({ format });
+  if (from) params.append("from", from);
+  if (to) params.append("to", to);
+  const url = `api/v1/billing/earnings/statement?${params.toString()}`;
+  return await fetchFromApiServer("BLOB", url);
+};
+
+/**
+ * Get hourly invoices the user owes (project owner) or is paid by (developer)
+ */
+export const getHourlyInvoicesApi = async (projectId = null) => {
+  const url = projectId
+    ? `api/v1/user/billing/hourly-invoices?projectId=${projectId}`
+    : `api/v1/user/billing/hourly-invoices`;
+  return await fetchFromApiServer("GET", url);
+};
+
+/**
+ * Generate a draft hourly invoice from approved tracked time (project owner)
+ */
+export const generateHourlyInvoiceApi = async (invoiceData) => {
+  const url = `api/v1/user/billing/hourly-invoices`;
+  return await fetchFromApiServer("POST", url, invoiceData);
+};
+
+/**
+ * Get an hourly invoice with its entries
+ */
+export const getHourlyInvoiceApi = async (invoiceId) => {
+  const url = `api/v1/user/billing/hourly-invoices/${invoiceId}`;
+  return await fetchFromApiServer("GET", url);
+};
+
+/**
+ * Change the billable minutes of an entry or exclude it (project owner)
+ */
+export const adjustHourlyInvoiceEntryApi = async (invoiceId, entryId, changes) => {
+  const url = `api/v1/user/billing/hourly-invoices/${invoiceId}/entries/${entryId}`;
+  return await fetchFromApiServer("PUT", url, changes);
+};
+
+/**
+ * Contest an entry of a draft invoice (developer)
+ */
+export const contestHourlyInvoiceEntryApi = async (invoiceId, entryId, reason, proposedMinutes = null) => {
+  const url = `api/v1/user/billing/hourly-invoices/${invoiceId}/entries/${entryId}/contest`;
+  return await fetchFromApiServer("POST", url, { reason, proposedMinutes });
+};
+
+/**
+ * Accept or reject a contested entry (project owner)
+ */
+export const resolveHourlyInvoiceContestApi = async (invoiceId, entryId, accept, response = null) => {
+  const url = `api/v1/user/billing/hourly-invoices/${invoiceId}/entries/${entryId}/contest`;
+  return await fetchFromApiServer("PUT", url, { accept, response });
+};
+
+/**
+ * Finalize and pay an hourly invoice (project owner)
+ */
+export const finalizeHourlyInvoiceApi = async (invoiceId, paymentMethodId = null) => {
+  const url = `api/v1/user/billing/hourly-invoices/${invoiceId}/finalize`;
+  return await fetchFromApiServer("POST", url, { paymentMethodId });
+};
+
+/**
+ * Discard a draft hourly invoice (project owner)
+ */
+export const voidHourlyInvoiceApi = async (invoiceId) => {
+  const url = `api/v1/user/billing/hourly-invoices/${invoiceId}`;
+  return await fetchFromApiServer("DELETE", url);
+};
+
 /**
  * Get admin dashboard data (Admin only)
  */
@@ -2,9 +2,11 @@ import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import {
   getBillingDataApi,
   getSubscriptionPlansApi,
+  getEntitlementsApi,
   purchaseSubscriptionApi,
   cancelSubscriptionApi,
   upgradeProjectVisibilityApi,
+  getPaymentStatusApi,
   getPaymentMethodsApi,
   addPaymentMethodApi,
   deletePaymentMethodApi,
@@ -16,6 +18,11 @@ import {
   suspendAccountApi,
   unsuspendAccountApi,
   getAdminDashboardApi,
+  getEarningsApi,
+  requestPayoutApi,
+  getHourlyInvoicesApi,
+  generateHourlyInvoiceApi,
+  finalizeHourlyInvoiceApi,
 } from './billingAction';
 
 const initialState = {
@@ -55,6 +62,9 @@ const initialState = {
   
   // Subscription plans
   subscriptionPlans: [],
+
+  // Plan limits and usage ({ plan, period, features }), enforced server-side
+  entitlements: null,
   
   // Admin-specific data
   adminData: {
@@ -65,6 +75,17 @@ const initialState = {
     suspendedAccounts: [],
   },
   
+  // Developer earnings from released milestone payments
+  earnings: {
+    balances: [],
+    projects: [],
+    payouts: [],
+    payoutSettings: null,
+  },
+
+  // Hourly invoices from tracked time (as project owner or developer)
+  hourlyInvoices: [],
+  
   // Project Owner specific data
   projectOwnerData: {
     projectListings: [],
@@ -105,11 +126,25 @@ export const getSubscriptionPlans = createAsyncThunk(
   }
 );
 
+export const getEntitlements = createAsyncThunk(
+  'billing/getEntitlements',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await getEntitlementsApi();
+      return response?.data?.data || response?.data || null;
+    } catch (error) {
+      return rejectWithValue({
+        message: error.response?.data?.message || error.message || 'Failed to fetch plan limits',
+      });
+    }
+  }
+);
+
 export const purchaseSubscription = createAsyncThunk(
   'billing/purchaseSubscription',
-  async ({ planId, paymentMethodId }, { rejectWithValue }) => {
+  async ({ planId, paymentMethodId, currency, couponCode }, { rejectWithValue }) => {
     try {
-      const response = await purchaseSubscriptionApi(planId, paymentMethodId);
+      const response = await purchaseSubscriptionApi(planId, paymentMethodId, currency, couponCode);
       return response?.data?.data || response?.data || {};
     } catch (error) {
       return rejectWithValue({
@@ -135,13 +170,28 @@ export const cancelSubscription = createAsyncThunk(
 
 export const upgradeProjectVisibility = createAsyncThunk(
   'billing/upgradeProjectVisibility',
-  async ({ projectId, visibilityType }, { rejectWithValue }) => {
+  async ({ projectId, visibilityType, couponCode }, { rejectWithValue }) => {
     try {
-      const response = await upgradeProjectVisibilityApi(projectId, visibilityType);
+      const response = await upgradeProjectVisibilityApi(projectId, visibilityType, couponCode);
       return response?.data?.data || response?.data || {};
     } catch (error) {
       return rejectWithValue({
         message: error.response?.data?.message || error.message || 'Failed to upgrade project visibility',
+        data: error.response?.data?.data || null,
+      });
+    }
+  }
+);
+
+export const getPaymentStatus = createAsyncThunk(
+  'billing/getPaymentStatus',
+  async (billingHistoryId, { rejectWithValue }) => {
+    try {
+      const response = await getPaymentStatusApi(billingHistoryId);
+      return response?.data?.data || response?.data || {};
+    } catch (error) {
+      return rejectWithValue({
+        message: error.response?.data?.message || error.message || 'Failed to fetch payment status',
       });
     }
   }
@@ -233,9 +283,9 @@ export const getDisputes = createAsyncThunk(
 
 export const resolveDispute = createAsyncThunk(
   'billing/resolveDispute',
-  async ({ disputeId, resolution }, { rejectWithValue }) => {
+  async ({ disputeId, resolution, refund, escrowAction }, { rejectWithValue }) => {
     try {
-      const response = await resolveDisputeApi(disputeId, resolution);
+      const response = await resolveDisputeApi(disputeId, resolution, refund, escrowAction);
       return { disputeId, ...response?.data?.data || response?.data || {} };
     } catch (error) {
       return rejectWithValue({
@@ -301,6 +351,78 @@ export const getAdminDashboard = createAsyncThunk(
   }
 );
 
+export const getEarnings = createAsyncThunk(
+  'billing/getEarnings',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await getEarningsApi();
+      return response?.data?.data || response?.data || {};
+    } catch (error) {
+      return rejectWithValue({
+        message: error.response?.data?.message || error.message || 'Failed to fetch earnings',
+      });
+    }
+  }
+);
+
+export const requestPayout = createAsyncThunk(
+  'billing/requestPayout',
+  async (payoutData, { rejectWithValue }) => {
+    try {
+      const response = await requestPayoutApi(payoutData);
+      return response?.data?.data || response?.data || {};
+    } catch (error) {
+      return rejectWithValue({
+        message: error.response?.data?.message || error.message || 'Failed to request payout',
+        data: error.response?.data?.data,
+      });
+    }
+  }
+);
+
+export const getHourlyInvoices = createAsyncThunk(
+  'billing/getHourlyInvoices',
+  async (projectId = null, { rejectWithValue }) => {
+    try {
+      const response = await getHourlyInvoicesApi(projectId);
+      return response?.data?.data || response?.data || [];
+    } catch (error) {
+      return rejectWithValue({
+        message: error.response?.data?.message || error.message || 'Failed to fetch hourly invoices',
+      });
+    }
+  }
+);
+
+export const generateHourlyInvoice = createAsyncThunk(
+  'billing/generateHourlyInvoice',
+  async (invoiceData, { rejectWithValue }) => {
+    try {
+      const response = await generateHourlyInvoiceApi(invoiceData);
+      return response?.data?.data || response?.data || {};
+    } catch (error) {
+      return rejectWithValue({
+        message: error.response?.data?.message || error.message || 'Failed to generate hourly invoice',
+      });
+    }
+  }
+);
+
+export const finalizeHourlyInvoice = createAsyncThunk(
+  'billing/finalizeHourlyInvoice',
+  async ({ invoiceId, paymentMethodId = null }, { rejectWithValue }) => {
+    try {
+      const response = await finalizeHourlyInvoiceApi(invoiceId, paymentMethodId);
+      return response?.data?.data || response?.data || {};
+    } catch (error) {
+      return rejectWithValue({
+        message: error.response?.data?.message || error.message || 'Failed to finalize hourly invoice',
+        data: error.response?.data?.data,
+      });
+    }
+  }
+);
+
 const billingSlice = createSlice({
   name: 'billing',
   initialState,
@@ -410,6 +532,12 @@ const billingSlice = createSlice({
         state.error = action.payload?.message || 'Failed to fetch subscription plans';
       });
 
+    // Get Entitlements
+    builder
+      .addCase(getEntitlements.fulfilled, (state, action) => {
+        state.entitlements = action.payload;
+      });
+
     // Purchase Subscription
     builder
       .addCase(purchaseSubscription.pending, (state) => {
@@ -469,6 +597,17 @@ const billingSlice = createSlice({
         state.error = action.payload?.message || 'Failed to upgrade project visibility';
       });
 
+    // Get Payment Status
+    builder
+      .addCase(getPaymentStatus.fulfilled, (state, action) => {
+        const record = action.payload.billingHistory;
+        if (record) {
+          state.billingHistory = state.billingHistory.map(item =>
+            item.id === record.id ? { ...item, ...record } : item
+          );
+        }
+      });
+
     // Get Payment Methods
     builder
       .addCase(getPaymentMethods.pending, (state) => {
@@ -623,6 +762,94 @@ const billingSlice = createSlice({
         state.error = action.payload?.message || 'Failed to unsuspend account';
       });
 
+    // Get Earnings
+    builder
+      .addCase(getEarnings.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getEarnings.fulfilled, (state, action) => {
+        state.loading = false;
+        state.earnings = { ...state.earnings, ...action.payload };
+      })
+      .addCase(getEarnings.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || 'Failed to fetch earnings';
+      });
+
+    // Request Payout
+    builder
+      .addCase(requestPayout.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(requestPayout.fulfilled, (state, action) => {
+        state.loading = false;
+        if (action.payload.payout) {
+          state.earnings.payouts = [action.payload.payout, ...state.earnings.payouts];
+        }
+        if (action.payload.balances) {
+          state.earnings.balances = action.payload.balances;
+        }
+      })
+      .addCase(requestPayout.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || 'Failed to request payout';
+      });
+
+    // Get Hourly Invoices
+    builder
+      .addCase(getHourlyInvoices.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getHourlyInvoices.fulfilled, (state, action) => {
+        state.loading = false;
+        state.hourlyInvoices = action.payload;
+      })
+      .addCase(getHourlyInvoices.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || 'Failed to fetch hourly invoices';
+      });
+
+    // Generate Hourly Invoice
+    builder
+      .addCase(generateHourlyInvoice.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(generateHourlyInvoice.fulfilled, (state, action) => {
+        state.loading = false;
+        if (action.payload.id) {
+          const { entries, openContests, ...invoice } = action.payload;
+          state.hourlyInvoices = [{ ...invoice, role: 'owner' }, ...state.hourlyInvoices];
+        }
+      })
+      .addCase(generateHourlyInvoice.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || 'Failed to generate hourly invoice';
+      });
+
+    // Finalize Hourly Invoice
+    builder
+      .addCase(finalizeHourlyInvoice.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(finalizeHourlyInvoice.fulfilled, (state, action) => {
+        state.loading = false;
+        const updated = action.payload.hourlyInvoice;
+        if (updated) {
+          state.hourlyInvoices = state.hourlyInvoices.map((invoice) =>
+            invoice.id === updated.id ? { ...invoice, ...updated } : invoice
+          );
+        }
+      })
+      .addCase(finalizeHourlyInvoice.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || 'Failed to finalize hourly invoice';
+      });
+
     // Get Admin Dashboard
     builder
       .addCase(getAdminDashboard.pending, (state) => {
@@ -83,3 +83,11 @@ export const getSubscriptionTier = (subscription) => {
   return subscription.plan.toLowerCase();
 };
 
+/**
+ * Structured "upgrade required" details from a rejected API call, or null.
+ * Accepts an axios error or a thunk's rejected value (the API error body).
+ */
+export const getUpgradeRequired = (error) => {
+  const body = error?.response?.data || error;
+  return body?.data?.code === 'UPGRADE_REQUIRED' ? body.data : null;
+};
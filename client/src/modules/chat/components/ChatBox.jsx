@@ -1,16 +1,113 @@
 import React, { useState, useRef, useEffect } from "react";
-import { Send, Paperclip, Smile, Mic, MicOff } from "lucide-react";
+import { Send, Paperclip, Smile, Mic, MicOff, X, FileText, UploadCloud } from "lucide-react";
 import {Button,Input} from "../../../components"
+import { formatDuration } from "./VoiceNotePlayer";
 
+// Mirrors the chat-service allow-list; the server has the final say
+const ACCEPTED_FILE_TYPES = "image/jpeg,image/png,image/gif,image/webp,application/pdf,text/plain,text/csv,application/zip,.doc,.docx,.xls,.xlsx,.pptx,.md,.log,audio/mpeg,audio/mp4,audio/ogg,audio/webm,audio/wav,audio/aac,.m4a";
+const MAX_FILE_SIZE_MB = 10;
+const MAX_VOICE_NOTE_SECONDS = 300;
+const WAVEFORM_SAMPLES = 48;
+// First one the browser can record wins (Safari only does mp4)
+const RECORDER_MIME_TYPES = ["audio/webm;codecs=opus", "audio/ogg;codecs=opus", "audio/mp4"];
+const VOICE_NOTE_EXTENSIONS = { "audio/webm": "webm", "audio/ogg": "ogg", "audio/mp4": "m4a" };
 
-const ChatBox = ({ onSend, onTyping, typingUsers }) => {
+const MAX_MENTION_SUGGESTIONS = 5;
+
+// "@que" right before the caret, at the start or after whitespace
+const getMentionQuery = (text, caret) => {
+  const match = /(?:^|\s)@([^\s@]*)$/.exec(text.slice(0, caret));
+  return match ? match[1] : null;
+};
+
+const getRecorderMimeType = () =>
+  RECORDER_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported?.(type)) || "";
+
+// Decode the recording to measure its duration and peak levels (0-100) for the waveform
+const analyzeRecording = async (blob) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+
+  const context = new AudioContextClass();
+  try {
+    const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+    const samples = buffer.getChannelData(0);
+    const blockSize = Math.max(1, Math.floor(samples.length / WAVEFORM_SAMPLES));
+    const peaks = [];
+    for (let i = 0; i < WAVEFORM_SAMPLES; i++) {
+      let peak = 0;
+      const end = Math.min(samples.length, (i + 1) * blockSize);
+      for (let j = i * blockSize; j < end; j++) {
+        peak = Math.max(peak, Math.abs(samples[j]));
+      }
+      peaks.push(peak);
+    }
+    const loudest = Math.max(...peaks) || 1;
+    return {
+      duration: buffer.duration,
+      waveform: peaks.map((peak) => Math.round((peak / loudest) * 100)),
+    };
+  } catch (error) {
+    console.warn("Could not analyze voice message:", error);
+    return null;
+  } finally {
+    context.close?.();
+  }
+};
+
+const ChatBox = ({ onSend, onSendFile, onTyping, typingUsers, mentionCandidates = [] }) => {
   const [message, setMessage] = useState("");
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
   const [isRecording, setIsRecording] = useState(false);
+  const [pendingFile, setPendingFile] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadError, setUploadError] = useState("");
+  const [audioMetadata, setAudioMetadata] = useState(null);
+  const [recordingSeconds, setRecordingSeconds] = useState(0);
   const inputRef = useRef(null);
+  const fileInputRef = useRef(null);
   const typingTimeoutRef = useRef(null);
+  const dragDepthRef = useRef(0);
+  const recorderRef = useRef(null);
+  const recordingTimerRef = useRef(null);
+  const recordingStartRef = useRef(0);
+
+  // Local preview for images and voice messages waiting to be sent
+  useEffect(() => {
+    if (!pendingFile || !/^(image|audio)\//.test(pendingFile.type)) {
+      setPreviewUrl(null);
+      return;
+    }
+    const url = URL.createObjectURL(pendingFile);
+    setPreviewUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [pendingFile]);
+
+  const selectFile = (file, metadata = null) => {
+    if (!file) return;
+    setUploadError("");
+    if (file.size > MAX_FILE_SIZE_MB * 1024 * 1024) {
+      setUploadError(`File is too large. The maximum size is ${MAX_FILE_SIZE_MB} MB`);
+      return;
+    }
+    setPendingFile(file);
+    setAudioMetadata(metadata);
+    inputRef.current?.focus();
+  };
 
-  const handleSend = () => {
-    if (!message?.trim()) return;
+  const clearFile = () => {
+    setPendingFile(null);
+    setAudioMetadata(null);
+    setUploadError("");
+    if (fileInputRef.current) fileInputRef.current.value = "";
+  };
+
+  const handleSend = async () => {
+    if (isUploading || isRecording) return;
+    if (!message?.trim() && !pendingFile) return;
     
     // Stop typing indicator
     onTyping?.(false);
@@ -18,12 +115,68 @@ const ChatBox = ({ onSend, onTyping, typingUsers }) => {
       clearTimeout(typingTimeoutRef.current);
       typingTimeoutRef.current = null;
     }
+
+    if (pendingFile) {
+      setIsUploading(true);
+      setUploadError("");
+      try {
+        await onSendFile?.(pendingFile, message.trim(), audioMetadata);
+        clearFile();
+        setMessage("");
+      } catch (error) {
+        setUploadError(error?.response?.data?.message || error?.message || "Failed to upload file");
+      } finally {
+        setIsUploading(false);
+      }
+      return;
+    }
     
     onSend?.(message);
     setMessage("");
+    setMentionQuery(null);
+  };
+
+  const mentionSuggestions =
+    mentionQuery === null
+      ? []
+      : mentionCandidates
+          .filter((candidate) => candidate.name?.toLowerCase().includes(mentionQuery.toLowerCase()))
+          .slice(0, MAX_MENTION_SUGGESTIONS);
+
+  // Replace the "@que" being typed with the full name
+  const insertMention = (candidate) => {
+    const input = inputRef.current;
+    const caret = input?.selectionStart ?? message.length;
+    const start = caret - (mentionQuery?.length || 0) - 1;
+    const before = message.slice(0, start);
+    const after = message.slice(caret);
+    const inserted = `@${candidate.name} `;
+    setMessage(`${before}${inserted}${after}`);
+    setMentionQuery(null);
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange?.(before.length + inserted.length, before.length + inserted.length);
+    });
   };
 
   const handleKeyDown = (e) => {
+    if (mentionSuggestions.length > 0) {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        setMentionIndex((index) => (index + step + mentionSuggestions.length) % mentionSuggestions.length);
+        return;
+      }
+      if (e.key === "Enter" || e.key === "Tab") {
+        e.preventDefault();
+        insertMention(mentionSuggestions[Math.min(mentionIndex, mentionSuggestions.length - 1)]);
+        return;
+      }
+      if (e.key === "Escape") {
+        setMentionQuery(null);
+        return;
+      }
+    }
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
       handleSend();
@@ -33,6 +186,10 @@ const ChatBox = ({ onSend, onTyping, typingUsers }) => {
   const handleInputChange = (e) => {
     const newValue = e?.target?.value || "";
     setMessage(newValue);
+    setMentionQuery(
+      mentionCandidates.length > 0 ? getMentionQuery(newValue, e?.target?.selectionStart ?? newValue.length) : null
+    );
+    setMentionIndex(0);
 
     // Handle typing indicator
     if (onTyping) {
@@ -56,13 +213,118 @@ const ChatBox = ({ onSend, onTyping, typingUsers }) => {
     }
   };
 
+  const stopRecording = () => {
+    clearInterval(recordingTimerRef.current);
+    recordingTimerRef.current = null;
+    const recorder = recorderRef.current;
+    if (recorder && recorder.state !== "inactive") recorder.stop();
+    recorder?.stream.getTracks().forEach((track) => track.stop());
+    recorderRef.current = null;
+    setIsRecording(false);
+  };
+
+  // The recording becomes the pending attachment, so it can be played back before sending
+  const handleRecordingComplete = async (chunks, recorderMimeType) => {
+    const type = (recorderMimeType || "audio/webm").split(";")[0];
+    const blob = new Blob(chunks, { type });
+    if (!blob.size) return;
+
+    const elapsedSeconds = (Date.now() - recordingStartRef.current) / 1000;
+    const analysis = await analyzeRecording(blob);
+    const file = new File([blob], `voice-message-${Date.now()}.${VOICE_NOTE_EXTENSIONS[type] || "webm"}`, { type });
+    selectFile(file, {
+      duration: analysis?.duration || elapsedSeconds,
+      waveform: analysis?.waveform || null,
+    });
+  };
+
+  const startRecording = async () => {
+    setUploadError("");
+    if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === "undefined") {
+      setUploadError("Voice messages are not supported in this browser");
+      return;
+    }
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      setUploadError("Microphone access was denied");
+      return;
+    }
+
+    const mimeType = getRecorderMimeType();
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data?.size) chunks.push(e.data);
+    };
+    recorder.onstop = () => handleRecordingComplete(chunks, recorder.mimeType || mimeType);
+
+    clearFile();
+    recorderRef.current = recorder;
+    recordingStartRef.current = Date.now();
+    recorder.start();
+    setRecordingSeconds(0);
+    setIsRecording(true);
+
+    recordingTimerRef.current = setInterval(() => {
+      const seconds = Math.floor((Date.now() - recordingStartRef.current) / 1000);
+      setRecordingSeconds(seconds);
+      if (seconds >= MAX_VOICE_NOTE_SECONDS) stopRecording();
+    }, 250);
+  };
+
   const handleVoiceToggle = () => {
-    setIsRecording(!isRecording);
-    // Voice recording functionality would be implemented here
+    if (isRecording) {
+      stopRecording();
+    } else {
+      startRecording();
+    }
   };
 
+  // Release the microphone if the chat closes mid-recording
+  useEffect(() => {
+    return () => {
+      clearInterval(recordingTimerRef.current);
+      const recorder = recorderRef.current;
+      if (recorder) {
+        recorder.onstop = null;
+        if (recorder.state !== "inactive") recorder.stop();
+        recorder.stream.getTracks().forEach((track) => track.stop());
+      }
+    };
+  }, []);
+
   const handleFileUpload = () => {
+    fileInputRef.current?.click();
+  };
+
+  const handleDragEnter = (e) => {
+    if (!onSendFile || !e.dataTransfer?.types?.includes("Files")) return;
+    e.preventDefault();
+    dragDepthRef.current += 1;
+    setIsDragging(true);
+  };
+
+  const handleDragOver = (e) => {
+    if (!onSendFile) return;
+    e.preventDefault();
+  };
+
+  const handleDragLeave = (e) => {
+    if (!onSendFile) return;
+    e.preventDefault();
+    dragDepthRef.current = Math.max(dragDepthRef.current - 1, 0);
+    if (dragDepthRef.current === 0) setIsDragging(false);
+  };
 
+  const handleDrop = (e) => {
+    if (!onSendFile) return;
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDragging(false);
+    selectFile(e.dataTransfer?.files?.[0]);
   };
 
   const handleEmojiClick = () => {
@@ -77,7 +339,94 @@ const ChatBox = ({ onSend, onTyping, typingUsers }) => {
   }, []);
 
   return (
-    <div className="relative">
+    <div
+      className="relative"
+      onDragEnter={handleDragEnter}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {/* Drop zone overlay */}
+      {isDragging && (
+        <div className="absolute inset-0 z-20 flex items-center justify-center gap-2 border-2 border-dashed border-blue-400/70 bg-slate-900/90 rounded-lg text-sm text-blue-200 pointer-events-none">
+          <UploadCloud className="w-5 h-5" />
+          Drop a file to attach it
+        </div>
+      )}
+
+      {/* Recording indicator */}
+      {isRecording && (
+        <div className="flex items-center gap-2 px-3 py-2 bg-slate-900/95 border border-b-0 border-white/10 text-sm text-red-300">
+          <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse" />
+          Recording {formatDuration(recordingSeconds * 1000)} / {formatDuration(MAX_VOICE_NOTE_SECONDS * 1000)}
+          <span className="text-xs text-gray-400">Click the microphone again to stop</span>
+        </div>
+      )}
+
+      {/* Mention suggestions */}
+      {mentionSuggestions.length > 0 && (
+        <div className="bg-slate-900/95 border border-b-0 border-white/10 py-1" role="listbox" aria-label="Mention someone">
+          {mentionSuggestions.map((candidate, index) => (
+            <button
+              key={candidate.id}
+              role="option"
+              aria-selected={index === mentionIndex}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                insertMention(candidate);
+              }}
+              className={`w-full flex items-center gap-2 px-3 py-1.5 text-left text-sm ${
+                index === mentionIndex ? "bg-blue-500/20 text-white" : "text-gray-300 hover:bg-white/5"
+              }`}
+            >
+              <span className="w-6 h-6 rounded-full bg-gradient-to-br from-blue-500 via-purple-500 to-pink-500 flex items-center justify-center text-[10px] font-bold text-white">
+                {candidate.name.charAt(0)}
+              </span>
+              {candidate.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Pending attachment */}
+      {(pendingFile || uploadError) && (
+        <div className="flex items-center gap-3 px-3 py-2 bg-slate-900/95 border border-b-0 border-white/10 text-sm">
+          {pendingFile && (
+            <>
+              {previewUrl && pendingFile.type.startsWith("image/") ? (
+                <img src={previewUrl} alt={pendingFile.name} className="w-10 h-10 rounded object-cover" />
+              ) : audioMetadata ? (
+                <Mic className="w-6 h-6 text-blue-300" />
+              ) : (
+                <FileText className="w-6 h-6 text-blue-300" />
+              )}
+              <div className="flex-1 min-w-0">
+                <p className="text-white truncate">{audioMetadata ? "Voice message" : pendingFile.name}</p>
+                <p className="text-xs text-gray-400">
+                  {isUploading
+                    ? "Uploading..."
+                    : audioMetadata
+                      ? formatDuration(audioMetadata.duration * 1000)
+                      : `${(pendingFile.size / 1024).toFixed(0)} KB`}
+                </p>
+              </div>
+              {previewUrl && pendingFile.type.startsWith("audio/") && (
+                <audio src={previewUrl} controls className="h-8 max-w-[220px]" />
+              )}
+              <button
+                onClick={clearFile}
+                disabled={isUploading}
+                className="p-1 rounded-full text-gray-400 hover:text-white hover:bg-white/10"
+                title="Remove attachment"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </>
+          )}
+          {uploadError && <p className="text-xs text-red-400">{uploadError}</p>}
+        </div>
+      )}
+
       {/* Enhanced Chat Input Container */}
       <div className="bg-gradient-to-br from-slate-900 via-blue-900 to-indigo-900 backdrop-blur-sm py-1 px-3 shadow-2xl border border-white/10 relative overflow-hidden">
         {/* Background decoration */}
@@ -88,15 +437,26 @@ const ChatBox = ({ onSend, onTyping, typingUsers }) => {
           {/* Main input area */}
           <div className="flex items-center gap-1.5">
             {/* Attachment button */}
-            <Button
-              onClick={handleFileUpload}
-              variant="ghost"
-              size="sm"
-              className="p-1.5 rounded-lg bg-gradient-to-br from-blue-500/20 via-purple-500/20 to-pink-500/20 hover:from-blue-500/30 hover:via-purple-500/30 hover:to-pink-500/30 transition-all duration-300 group"
-              title="Attach file"
-            >
-              <Paperclip className="w-4 h-4 text-gray-300 group-hover:text-blue-300 transition-colors duration-300" />
-            </Button>
+            {onSendFile && (
+              <>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept={ACCEPTED_FILE_TYPES}
+                  className="hidden"
+                  onChange={(e) => selectFile(e.target.files?.[0])}
+                />
+                <Button
+                  onClick={handleFileUpload}
+                  variant="ghost"
+                  size="sm"
+                  className="p-1.5 rounded-lg bg-gradient-to-br from-blue-500/20 via-purple-500/20 to-pink-500/20 hover:from-blue-500/30 hover:via-purple-500/30 hover:to-pink-500/30 transition-all duration-300 group"
+                  title="Attach file (or drag and drop)"
+                >
+                  <Paperclip className="w-4 h-4 text-gray-300 group-hover:text-blue-300 transition-colors duration-300" />
+                </Button>
+              </>
+            )}
 
             {/* Message input */}
             <div className="flex-1 relative">
@@ -104,7 +464,7 @@ const ChatBox = ({ onSend, onTyping, typingUsers }) => {
                 ref={inputRef}
                 type="text"
                 aria-label="Type a message"
-                placeholder="Type your message here..."
+                placeholder={pendingFile ? "Add a caption (optional)..." : "Type your message here..."}
                 value={message}
                 onChange={handleInputChange}
                 onKeyDown={handleKeyDown}
@@ -131,28 +491,31 @@ const ChatBox = ({ onSend, onTyping, typingUsers }) => {
             </Button>
 
             {/* Voice recording button */}
-            <Button
-              onClick={handleVoiceToggle}
-              variant="ghost"
-              size="sm"
-              className={`p-1.5 rounded-lg transition-all duration-300 group ${isRecording
-                  ? "bg-gradient-to-br from-red-500/30 via-pink-500/30 to-red-500/30 animate-pulse"
-                  : "bg-gradient-to-br from-blue-500/20 via-purple-500/20 to-pink-500/20 hover:from-blue-500/30 hover:via-purple-500/30 hover:to-pink-500/30"
-                }`}
-              title={isRecording ? "Stop recording" : "Start voice message"}
-            >
-              {isRecording ? (
-                <MicOff className="w-4 h-4 text-red-400 group-hover:text-red-300 transition-colors duration-300" />
-              ) : (
-                <Mic className="w-4 h-4 text-gray-300 group-hover:text-blue-300 transition-colors duration-300" />
-              )}
-            </Button>
+            {onSendFile && (
+              <Button
+                onClick={handleVoiceToggle}
+                disabled={isUploading}
+                variant="ghost"
+                size="sm"
+                className={`p-1.5 rounded-lg transition-all duration-300 group ${isRecording
+                    ? "bg-gradient-to-br from-red-500/30 via-pink-500/30 to-red-500/30 animate-pulse"
+                    : "bg-gradient-to-br from-blue-500/20 via-purple-500/20 to-pink-500/20 hover:from-blue-500/30 hover:via-purple-500/30 hover:to-pink-500/30"
+                  }`}
+                title={isRecording ? "Stop recording" : "Start voice message"}
+              >
+                {isRecording ? (
+                  <MicOff className="w-4 h-4 text-red-400 group-hover:text-red-300 transition-colors duration-300" />
+                ) : (
+                  <Mic className="w-4 h-4 text-gray-300 group-hover:text-blue-300 transition-colors duration-300" />
+                )}
+              </Button>
+            )}
 
             {/* Send button */}
             <Button
               onClick={handleSend}
-              disabled={!message?.trim()}
-              className={`p-1.5 rounded-lg transition-all duration-300 ${message?.trim()
+              disabled={(!message?.trim() && !pendingFile) || isUploading || isRecording}
+              className={`p-1.5 rounded-lg transition-all duration-300 ${(message?.trim() || pendingFile) && !isUploading && !isRecording
                   ? "bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 hover:from-blue-600 hover:via-purple-600 hover:to-pink-600 hover:shadow-lg hover:shadow-blue-500/25"
                   : "bg-gray-600/50 opacity-50 cursor-not-allowed"
                 }`}
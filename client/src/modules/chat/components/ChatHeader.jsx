@@ -1,22 +1,33 @@
 import React, { useState, useRef, useEffect } from "react";
 import { useSelector, useDispatch } from "react-redux";
 import { useNavigate } from "react-router-dom";
-import { User, Phone, Video, MoreVertical, Search, Settings, Archive, Star, Trash2 } from "lucide-react";
+import { User, Phone, Video, MoreVertical, Search, Settings, Archive, Star, Trash2, Clock, Download, Bell, BellOff, AtSign, Check } from "lucide-react";
 import { toast } from "react-toastify";
 import Button from "../../../components/Button";
 import ParticipantListModal from "./ParticipantListModal";
+import ScheduledMessagesModal from "./ScheduledMessagesModal";
+import ConversationDataModal from "./ConversationDataModal";
 import { ConfirmModal } from "../../../components";
 import { deleteGroupConversation } from "../slice/chatSlice";
 
-const ChatHeader = ({ user, permissions }) => {
+const NOTIFICATION_MODE_OPTIONS = [
+  { value: "all", label: "All messages", icon: Bell },
+  { value: "mentions", label: "Only @mentions", icon: AtSign },
+  { value: "none", label: "Nothing", icon: BellOff },
+];
+
+const ChatHeader = ({ user, permissions, onUpdateNotifications }) => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const { user: currentUser } = useSelector((state) => state?.user || {});
   const currentUserRole = currentUser?.role || currentUser?.roles?.[0];
   const isProjectOwner = currentUserRole === 'project-owner';
   const isDeveloper = currentUserRole === 'developer';
+  const isAdmin = currentUserRole === 'admin';
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [isParticipantsModalOpen, setIsParticipantsModalOpen] = useState(false);
+  const [isScheduledModalOpen, setIsScheduledModalOpen] = useState(false);
+  const [isDataModalOpen, setIsDataModalOpen] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
   const [isDeleteConfirmModalOpen, setIsDeleteConfirmModalOpen] = useState(false);
   const [lastSeen, setLastSeen] = useState("Active now");
@@ -346,6 +357,40 @@ const ChatHeader = ({ user, permissions }) => {
                       <span className="text-left">Archive Chat</span>
                     </Button>
 
+                    {/* Scheduled Messages - group chats only */}
+                    {user?.isGroup && (
+                      <Button
+                        onClick={() => {
+                          setIsScheduledModalOpen(true);
+                          setIsMenuOpen(false);
+                        }}
+                        variant="ghost"
+                        size="sm"
+                        className="w-full justify-start px-3 py-2.5 text-left text-sm text-gray-300 hover:text-white hover:bg-blue-500/20 rounded-lg flex items-center gap-3"
+                        style={{ margin: 0, paddingLeft: '12px', paddingRight: '12px' }}
+                      >
+                        <Clock className="w-4 h-4 flex-shrink-0" style={{ minWidth: '16px' }} />
+                        <span className="text-left">Scheduled Messages</span>
+                      </Button>
+                    )}
+
+                    {/* Export & Retention - admins and project owners */}
+                    {(isAdmin || isProjectOwner) && !user?.isSystem && (
+                      <Button
+                        onClick={() => {
+                          setIsDataModalOpen(true);
+                          setIsMenuOpen(false);
+                        }}
+                        variant="ghost"
+                        size="sm"
+                        className="w-full justify-start px-3 py-2.5 text-left text-sm text-gray-300 hover:text-white hover:bg-blue-500/20 rounded-lg flex items-center gap-3"
+                        style={{ margin: 0, paddingLeft: '12px', paddingRight: '12px' }}
+                      >
+                        <Download className="w-4 h-4 flex-shrink-0" style={{ minWidth: '16px' }} />
+                        <span className="text-left">Export & Retention</span>
+                      </Button>
+                    )}
+
                     {/* Settings */}
                     <Button
                       onClick={() => {
@@ -400,20 +445,47 @@ const ChatHeader = ({ user, permissions }) => {
                       </Button>
                     )}
 
-                    {/* Mute Notifications */}
-                    <Button
-                      onClick={() => {
-                        console.log("Mute notifications clicked");
-                        setIsMenuOpen(false);
-                      }}
-                      variant="ghost"
-                      size="sm"
-                      className="w-full justify-start px-3 py-2.5 text-left text-sm text-gray-300 hover:text-white hover:bg-blue-500/20 rounded-lg flex items-center gap-3"
-                      style={{ margin: 0, paddingLeft: '12px', paddingRight: '12px' }}
-                    >
-                      <Phone className="w-4 h-4 flex-shrink-0" style={{ minWidth: '16px' }} />
-                      <span className="text-left">Mute Notifications</span>
-                    </Button>
+                    {/* Notifications - mentions still notify while muted, unless the mode is "Nothing" */}
+                    {!user?.isSystem && !user?.isFlagged && onUpdateNotifications && (
+                      <>
+                        <Button
+                          onClick={() => {
+                            onUpdateNotifications(user?.conversationId, { isMuted: !user?.isMuted });
+                            setIsMenuOpen(false);
+                          }}
+                          variant="ghost"
+                          size="sm"
+                          className="w-full justify-start px-3 py-2.5 text-left text-sm text-gray-300 hover:text-white hover:bg-blue-500/20 rounded-lg flex items-center gap-3"
+                          style={{ margin: 0, paddingLeft: '12px', paddingRight: '12px' }}
+                        >
+                          {user?.isMuted ? (
+                            <Bell className="w-4 h-4 flex-shrink-0" style={{ minWidth: '16px' }} />
+                          ) : (
+                            <BellOff className="w-4 h-4 flex-shrink-0" style={{ minWidth: '16px' }} />
+                          )}
+                          <span className="text-left">{user?.isMuted ? 'Unmute Conversation' : 'Mute Conversation'}</span>
+                        </Button>
+
+                        <div className="px-3 pt-2 pb-1 text-[11px] uppercase tracking-wide text-gray-500">Notify me about</div>
+                        {NOTIFICATION_MODE_OPTIONS.map(({ value, label, icon: Icon }) => (
+                          <Button
+                            key={value}
+                            onClick={() => {
+                              onUpdateNotifications(user?.conversationId, { notificationMode: value });
+                              setIsMenuOpen(false);
+                            }}
+                            variant="ghost"
+                            size="sm"
+                            className="w-full justify-start px-3 py-2.5 text-left text-sm text-gray-300 hover:text-white hover:bg-blue-500/20 rounded-lg flex items-center gap-3"
+                            style={{ margin: 0, paddingLeft: '12px', paddingRight: '12px' }}
+                          >
+                            <Icon className="w-4 h-4 flex-shrink-0" style={{ minWidth: '16px' }} />
+                            <span className="text-left flex-1">{label}</span>
+                            {(user?.notificationMode || 'all') === value && <Check className="w-4 h-4 text-blue-400" />}
+                          </Button>
+                        ))}
+                      </>
+                    )}
 
                     {/* Block User - Only for direct chats */}
                     {!user?.isGroup && (
@@ -451,6 +523,29 @@ const ChatHeader = ({ user, permissions }) => {
         />
       )}
 
+      {/* Scheduled Messages Modal */}
+      {user?.isGroup && (
+        <ScheduledMessagesModal
+          isOpen={isScheduledModalOpen}
+          onClose={() => setIsScheduledModalOpen(false)}
+          conversationId={user?.conversationId}
+          conversationName={user?.name}
+          canManage={isProjectOwner}
+        />
+      )}
+
+      {/* Export & Retention Modal */}
+      {(isAdmin || isProjectOwner) && !user?.isSystem && (
+        <ConversationDataModal
+          isOpen={isDataModalOpen}
+          onClose={() => setIsDataModalOpen(false)}
+          conversationId={user?.conversationId || user?.id}
+          conversationName={user?.name}
+          canExport={isAdmin || isProjectOwner}
+          isAdmin={isAdmin}
+        />
+      )}
+
       {/* Delete Conversation Confirmation Modal */}
       <ConfirmModal
         isOpen={isDeleteConfirmModalOpen}
@@ -1,10 +1,23 @@
 import React, { useState } from "react";
-import { Search, Plus, MessageCircle, Users, Settings, Archive, Star } from "lucide-react";
+import { Search, Plus, MessageCircle, Users, Settings, Archive, Star, TextSearch, ShieldCheck } from "lucide-react";
 import { Button } from "../../../components";
+import MessageSearchPanel from "./MessageSearchPanel";
+import ModerationQueuePanel from "./ModerationQueuePanel";
 
-const ChatSidebar = ({ users = [], onSelectUser, activeUser, userRole, permissions }) => {
+const ChatSidebar = ({
+  users = [],
+  onSelectUser,
+  activeUser,
+  userRole,
+  permissions,
+  usersMap,
+  currentUserId,
+  onSelectSearchResult,
+}) => {
   const [search, setSearch] = useState("");
   const [showNewChat, setShowNewChat] = useState(false);
+  const [showMessageSearch, setShowMessageSearch] = useState(false);
+  const [showModerationQueue, setShowModerationQueue] = useState(false);
   const [filterType, setFilterType] = useState("all"); // all, favorites, archived, groups, system, flagged
 
   const filteredUsers = (users || []).filter((u) => {
@@ -36,6 +49,25 @@ const ChatSidebar = ({ users = [], onSelectUser, activeUser, userRole, permissio
       <div className="absolute inset-0 bg-black/20 backdrop-blur-sm"></div>
       <div className="absolute top-0 right-0 w-32 h-32 bg-gradient-to-br from-blue-500/10 via-purple-500/5 to-pink-500/10 blur-3xl"></div>
       
+      {showMessageSearch ? (
+        <div className="relative z-10 flex flex-col h-full">
+          <MessageSearchPanel
+            conversations={users}
+            usersMap={usersMap}
+            currentUserId={currentUserId}
+            onSelectResult={onSelectSearchResult}
+            onClose={() => setShowMessageSearch(false)}
+          />
+        </div>
+      ) : showModerationQueue ? (
+        <div className="relative z-10 flex flex-col h-full">
+          <ModerationQueuePanel
+            conversations={users}
+            usersMap={usersMap}
+            onClose={() => setShowModerationQueue(false)}
+          />
+        </div>
+      ) : (
       <div className="relative z-10 flex flex-col h-full">
         {/* Enhanced Header */}
         <div className="p-4 border-b border-white/10">
@@ -52,6 +84,30 @@ const ChatSidebar = ({ users = [], onSelectUser, activeUser, userRole, permissio
                 className="w-full pl-10 pr-4 py-2.5 bg-transparent text-white placeholder-gray-400 focus:outline-none focus:ring-0 border-0 transition-all duration-300"
               />
             </div>
+
+            {/* Message Search Button */}
+            <Button
+              onClick={() => setShowMessageSearch(true)}
+              variant="ghost"
+              size="sm"
+              className="h-[42px] p-2 rounded-xl bg-gradient-to-br from-blue-500/20 via-purple-500/20 to-pink-500/20 hover:from-blue-500/30 hover:via-purple-500/30 hover:to-pink-500/30 transition-all duration-300 group flex-shrink-0 flex items-center justify-center"
+              title="Search Messages"
+            >
+              <TextSearch className="w-5 h-5 text-gray-300 group-hover:text-blue-300 transition-colors duration-300" />
+            </Button>
+
+            {/* Moderation Queue Button (admins only) */}
+            {userRole === 'admin' && (
+              <Button
+                onClick={() => setShowModerationQueue(true)}
+                variant="ghost"
+                size="sm"
+                className="h-[42px] p-2 rounded-xl bg-gradient-to-br from-blue-500/20 via-purple-500/20 to-pink-500/20 hover:from-blue-500/30 hover:via-purple-500/30 hover:to-pink-500/30 transition-all duration-300 group flex-shrink-0 flex items-center justify-center"
+                title="Moderation Queue"
+              >
+                <ShieldCheck className="w-5 h-5 text-gray-300 group-hover:text-amber-300 transition-colors duration-300" />
+              </Button>
+            )}
             
             {/* Plus Icon Button */}
             <Button
@@ -300,6 +356,7 @@ const ChatSidebar = ({ users = [], onSelectUser, activeUser, userRole, permissio
           </div>
         </div>
       </div>
+      )}
 
       <style jsx>{`
         @keyframes fadeInUp {
@@ -0,0 +1,210 @@
+import React, { useEffect, useState } from "react";
+import { X, Download, Archive } from "lucide-react";
+import { toast } from "react-toastify";
+import Button from "../../../components/Button";
+import { exportConversationApi, getRetentionPolicyApi, updateRetentionPolicyApi } from "../slice/chatAction";
+
+// "" = the default for the conversation type, "0" = keep forever
+const RETENTION_OPTIONS = [
+  { value: "", label: "Service default" },
+  { value: "0", label: "Keep forever" },
+  { value: "30", label: "30 days" },
+  { value: "90", label: "90 days" },
+  { value: "180", label: "180 days" },
+  { value: "365", label: "1 year" },
+  { value: "custom", label: "Custom..." },
+];
+
+const describeRetention = (policy) => {
+  if (!policy) return "";
+  if (!policy.effectiveRetentionDays) return "Messages are kept indefinitely.";
+  const origin = policy.source === "default" ? " (service default)" : "";
+  return `Messages older than ${policy.effectiveRetentionDays} days are deleted${origin}.`;
+};
+
+const ConversationDataModal = ({ isOpen, onClose, conversationId, conversationName, canExport, isAdmin }) => {
+  const [policy, setPolicy] = useState(null);
+  const [selection, setSelection] = useState("");
+  const [customDays, setCustomDays] = useState("");
+  const [includeDeleted, setIncludeDeleted] = useState(false);
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const applyPolicy = (data) => {
+    setPolicy(data);
+    const days = data?.retentionDays;
+    if (days === null || days === undefined) {
+      setSelection("");
+    } else if (RETENTION_OPTIONS.some((option) => option.value === String(days))) {
+      setSelection(String(days));
+    } else {
+      setSelection("custom");
+      setCustomDays(String(days));
+    }
+  };
+
+  useEffect(() => {
+    if (!isOpen || !conversationId) return;
+    getRetentionPolicyApi(conversationId)
+      .then((response) => applyPolicy(response?.data?.data || null))
+      .catch((err) => toast.error(err?.response?.data?.message || "Failed to load retention policy"));
+  }, [isOpen, conversationId]);
+
+  const handleExport = async (format) => {
+    setExportingFormat(format);
+    try {
+      const response = await exportConversationApi(conversationId, format, includeDeleted);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `conversation-${conversationId}-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      // Errors come back as a Blob because of the download response type
+      let message = "Failed to export conversation";
+      try {
+        message = JSON.parse(await err?.response?.data?.text())?.message || message;
+      } catch (parseError) {
+        // keep the generic message
+      }
+      toast.error(message);
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  const handleSaveRetention = async () => {
+    let retentionDays = selection === "" ? null : Number(selection);
+    if (selection === "custom") {
+      retentionDays = Number(customDays);
+      if (!Number.isInteger(retentionDays) || retentionDays < 1) {
+        toast.error("Enter a whole number of days");
+        return;
+      }
+    }
+
+    setSaving(true);
+    try {
+      const response = await updateRetentionPolicyApi(conversationId, retentionDays);
+      applyPolicy(response?.data?.data || null);
+      toast.success("Retention policy updated");
+    } catch (err) {
+      toast.error(err?.response?.data?.message || "Failed to update retention policy");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-[100000] flex items-center justify-center p-4">
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/60 backdrop-blur-sm" onClick={onClose}></div>
+
+      {/* Modal */}
+      <div className="relative bg-slate-900 rounded-2xl border border-white/20 shadow-2xl w-full max-w-md max-h-[80vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-white/10">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-gradient-to-br from-blue-500 to-purple-500 flex items-center justify-center">
+              <Archive className="w-5 h-5 text-white" />
+            </div>
+            <div>
+              <h2 className="text-white font-semibold text-lg">Export & Retention</h2>
+              <p className="text-gray-400 text-sm">{conversationName || "Conversation"}</p>
+            </div>
+          </div>
+          <Button onClick={onClose} variant="ghost" size="sm" className="p-2 rounded-lg hover:bg-white/10 transition-colors">
+            <X className="w-5 h-5 text-gray-400" />
+          </Button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {canExport && (
+            <section className="space-y-3">
+              <h3 className="text-sm font-semibold text-white">Export conversation</h3>
+              <p className="text-xs text-gray-400">
+                Messages, participants and a manifest of attachments, for compliance or disputes.
+              </p>
+              {isAdmin && (
+                <label className="flex items-center gap-2 text-xs text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={includeDeleted}
+                    onChange={(e) => setIncludeDeleted(e.target.checked)}
+                  />
+                  Include deleted messages that haven't been purged yet
+                </label>
+              )}
+              <div className="flex gap-2">
+                {["json", "html"].map((format) => (
+                  <button
+                    key={format}
+                    onClick={() => handleExport(format)}
+                    disabled={Boolean(exportingFormat)}
+                    className="flex-1 flex items-center justify-center gap-2 py-2 rounded-lg text-sm bg-blue-500/20 text-blue-200 hover:bg-blue-500/30 disabled:opacity-50"
+                  >
+                    <Download className="w-4 h-4" />
+                    {exportingFormat === format ? "Exporting..." : format.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+            </section>
+          )}
+
+          <section className="space-y-3">
+            <h3 className="text-sm font-semibold text-white">Retention policy</h3>
+            <p className="text-xs text-gray-400">{describeRetention(policy)}</p>
+            {policy?.purgeDeletedAfterDays ? (
+              <p className="text-xs text-gray-500">
+                Deleted messages are removed permanently after {policy.purgeDeletedAfterDays} days.
+              </p>
+            ) : null}
+            {policy?.canManage && (
+              <div className="space-y-2">
+                <div className="flex gap-2">
+                  <select
+                    value={selection}
+                    onChange={(e) => setSelection(e.target.value)}
+                    className="flex-1 px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-sm text-gray-200"
+                  >
+                    {RETENTION_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                  {selection === "custom" && (
+                    <input
+                      type="number"
+                      min={1}
+                      max={3650}
+                      value={customDays}
+                      onChange={(e) => setCustomDays(e.target.value)}
+                      placeholder="Days"
+                      className="w-24 px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-sm text-gray-200"
+                    />
+                  )}
+                </div>
+                <Button
+                  onClick={handleSaveRetention}
+                  disabled={saving}
+                  className="w-full py-2 rounded-lg bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 text-white text-sm disabled:opacity-50"
+                >
+                  {saving ? "Saving..." : "Save retention policy"}
+                </Button>
+              </div>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConversationDataModal;
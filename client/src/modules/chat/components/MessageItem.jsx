@@ -1,10 +1,15 @@
 import React, { useState } from "react";
 import { motion } from "framer-motion";
-import { MoreVertical, Copy, Reply, Forward, Delete, Check, CheckCheck } from "lucide-react";
+import { MoreVertical, Copy, Reply, Forward, Delete, Check, CheckCheck, SmilePlus, MessageSquare, FileText, Download, Clock, Pin, PinOff, AtSign } from "lucide-react";
 import Button from "../../../components/Button";
+import { getAttachmentUrl } from "../slice/chatAction";
+import VoiceNotePlayer from "./VoiceNotePlayer";
 
-const MessageItem = ({ message, currentUserId }) => {
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "🎉", "😮", "🙏"];
+
+const MessageItem = ({ message, currentUserId, onReact, onOpenThread, onTogglePin, hideThreadLink = false, isHighlighted = false }) => {
   const [showMenu, setShowMenu] = useState(false);
+  const [showReactionPicker, setShowReactionPicker] = useState(false);
   const [isCopied, setIsCopied] = useState(false);
   // Robust check: use sender === "me" OR senderId matches currentUserId
   const isSent = message.sender === "me" || 
@@ -18,10 +23,35 @@ const MessageItem = ({ message, currentUserId }) => {
   };
 
   const handleReply = () => {
-    console.log("Reply to:", message.text);
+    onOpenThread?.(message);
+    setShowMenu(false);
+  };
+
+  const handleTogglePin = () => {
+    onTogglePin?.(message);
     setShowMenu(false);
   };
 
+  const handleReact = (emoji) => {
+    onReact?.(message, emoji);
+    setShowReactionPicker(false);
+  };
+
+  const hasReacted = (reaction) =>
+    (reaction.userIds || []).some((id) => Number(id) === Number(currentUserId));
+
+  const formatFileSize = (bytes) => {
+    if (!bytes) return "";
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
+  const attachment = message.attachment;
+  const reactions = message.reactions || [];
+  const replyCount = message.replyCount || 0;
+  const isMentioned = !isSent && (message.mentions || []).some((id) => Number(id) === Number(currentUserId));
+  const canPin = Boolean(onTogglePin) && !String(message.id).startsWith("temp-") && message.status !== "held";
+
   const handleForward = () => {
     console.log("Forward:", message.text);
     setShowMenu(false);
@@ -34,17 +64,49 @@ const MessageItem = ({ message, currentUserId }) => {
 
   const getMessageStatus = () => {
     if (isSent) {
-      if (message.status === "delivered") {
+      if (message.status === "read") {
         return <CheckCheck className="w-3 h-3 text-blue-400" />;
+      } else if (message.status === "delivered") {
+        return <CheckCheck className="w-3 h-3 text-gray-400" />;
       } else if (message.status === "sent") {
         return <Check className="w-3 h-3 text-gray-400" />;
+      } else if (message.status === "held") {
+        return (
+          <span className="flex items-center gap-0.5 text-[10px] text-amber-300" title="Waiting for moderator review">
+            <Clock className="w-3 h-3" />
+            Pending review
+          </span>
+        );
       }
     }
     return null;
   };
 
+  // Scheduled system messages (stand-ups, reminders) are shown as centered notices
+  if (message.messageType === "system") {
+    return (
+      <motion.div
+        id={`message-${message.id}`}
+        initial={{ opacity: 0, y: 10 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.25 }}
+        className="flex justify-center mb-4"
+      >
+        <div
+          className={`max-w-[85%] px-4 py-2.5 rounded-xl bg-purple-500/10 border border-purple-500/30 text-sm text-gray-200 whitespace-pre-line break-words ${
+            isHighlighted ? "ring-2 ring-yellow-400/70" : ""
+          }`}
+        >
+          {String(message.text || "").trim()}
+          <div className="text-[10px] text-gray-400 mt-1 text-right">{message.time}</div>
+        </div>
+      </motion.div>
+    );
+  }
+
   return (
     <motion.div
+      id={`message-${message.id}`}
       initial={{ opacity: 0, y: 10 }}
       animate={{ opacity: 1, y: 0 }}
       transition={{ duration: 0.25 }}
@@ -63,163 +125,295 @@ const MessageItem = ({ message, currentUserId }) => {
 
       {/* Enhanced Message Bubble */}
       <div className="relative group/message" style={{ flexShrink: 0, minWidth: 0, maxWidth: '70%', width: 'fit-content' }}>
-        <div
-          className={`group px-4 py-3 rounded-2xl text-sm shadow-lg transition-all duration-300 hover:shadow-xl ${
-            isSent
-              ? "bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 text-white rounded-br-none hover:from-blue-600 hover:via-purple-600 hover:to-pink-600"
-              : "bg-black/20 backdrop-blur-sm text-gray-200 rounded-bl-none border border-white/10 hover:border-blue-500/30"
-          }`}
-          style={{ 
-            display: 'block',
-            width: '100%',
-            minWidth: '120px'
-          }}
-        >
-          {/* Message content */}
-          <div className="relative" style={{ width: '100%' }}>
-            {/* Sender role badge (for received messages only) */}
-            {!isSent && message.senderRole && (
-              <div className="flex items-center gap-2 mb-1">
-                <span className={`text-[10px] px-2 py-0.5 rounded-full font-medium ${
-                  message.senderRole === 'project-owner' 
-                    ? "bg-blue-500/30 text-blue-300 border border-blue-500/50"
-                    : message.senderRole === 'developer'
-                    ? "bg-green-500/30 text-green-300 border border-green-500/50"
-                    : message.senderRole === 'admin'
-                    ? "bg-red-500/30 text-red-300 border border-red-500/50"
-                    : "bg-gray-500/30 text-gray-300 border border-gray-500/50"
+        <div className="relative">
+          <div
+            className={`group px-4 py-3 rounded-2xl text-sm shadow-lg transition-all duration-300 hover:shadow-xl ${
+              isSent
+                ? "bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 text-white rounded-br-none hover:from-blue-600 hover:via-purple-600 hover:to-pink-600"
+                : "bg-black/20 backdrop-blur-sm text-gray-200 rounded-bl-none border border-white/10 hover:border-blue-500/30"
+            } ${
+              isHighlighted
+                ? "ring-2 ring-yellow-400/80 ring-offset-2 ring-offset-slate-900"
+                : isMentioned
+                  ? "ring-1 ring-amber-400/70"
+                  : ""
+            }`}
+            style={{ 
+              display: 'block',
+              width: '100%',
+              minWidth: '120px'
+            }}
+          >
+            {/* Message content */}
+            <div className="relative" style={{ width: '100%' }}>
+              {/* Sender role badge (for received messages only) */}
+              {!isSent && message.senderRole && (
+                <div className="flex items-center gap-2 mb-1">
+                  <span className={`text-[10px] px-2 py-0.5 rounded-full font-medium ${
+                    message.senderRole === 'project-owner' 
+                      ? "bg-blue-500/30 text-blue-300 border border-blue-500/50"
+                      : message.senderRole === 'developer'
+                      ? "bg-green-500/30 text-green-300 border border-green-500/50"
+                      : message.senderRole === 'admin'
+                      ? "bg-red-500/30 text-red-300 border border-red-500/50"
+                      : "bg-gray-500/30 text-gray-300 border border-gray-500/50"
+                  }`}>
+                    {message.senderRole}
+                  </span>
+                  {isMentioned && (
+                    <span className="flex items-center gap-0.5 text-[10px] text-amber-300" title="You were mentioned">
+                      <AtSign className="w-3 h-3" />
+                      you
+                    </span>
+                  )}
+                </div>
+              )}
+              {/* "You" text (for sent messages only, no role badge) */}
+              {isSent && (
+                <div className="flex items-center gap-2 mb-1 justify-end">
+                  <span className="text-xs font-semibold text-blue-100">
+                    You
+                  </span>
+                </div>
+              )}
+              {/* Attachment */}
+              {attachment && (attachment.mimeType?.startsWith("audio/") ? (
+                <VoiceNotePlayer
+                  src={getAttachmentUrl(attachment.url)}
+                  durationMs={attachment.durationMs}
+                  waveform={attachment.waveform}
+                  isSent={isSent}
+                />
+              ) : attachment.mimeType?.startsWith("image/") ? (
+                <a
+                  href={getAttachmentUrl(attachment.url)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="block mb-2"
+                  title={attachment.fileName}
+                >
+                  <img
+                    src={getAttachmentUrl(attachment.thumbnailUrl || attachment.url)}
+                    alt={attachment.fileName}
+                    loading="lazy"
+                    className="max-w-full max-h-64 rounded-lg object-cover"
+                  />
+                </a>
+              ) : (
+                <a
+                  href={getAttachmentUrl(attachment.url)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  download={attachment.fileName}
+                  className={`flex items-center gap-3 mb-2 px-3 py-2 rounded-lg border transition-colors duration-200 ${
+                    isSent ? "bg-white/10 border-white/20 hover:bg-white/20" : "bg-black/20 border-white/10 hover:border-blue-500/30"
+                  }`}
+                >
+                  <FileText className="w-6 h-6 flex-shrink-0" />
+                  <div className="min-w-0 flex-1">
+                    <p className="text-xs font-medium truncate">{attachment.fileName}</p>
+                    <p className={`text-[10px] ${isSent ? "text-blue-100" : "text-gray-400"}`}>
+                      {formatFileSize(attachment.fileSize)}
+                    </p>
+                  </div>
+                  <Download className="w-4 h-4 flex-shrink-0" />
+                </a>
+              ))}
+              {String(message.text || '').trim() && (
+              <p 
+                className={`leading-relaxed ${isSent ? 'text-left' : 'text-left'}`}
+                style={{ 
+                  margin: 0,
+                  padding: 0,
+                  wordBreak: 'normal',
+                  overflowWrap: 'break-word',
+                  whiteSpace: 'normal',
+                  display: 'block',
+                  lineHeight: '1.5',
+                  width: '100%',
+                  textAlign: 'left'
+                }}
+              >
+                {String(message.text || '').trim()}
+              </p>
+              )}
+              
+              {/* Message metadata */}
+              <div className={`flex items-center justify-between mt-2 gap-2 ${
+                isSent ? "flex-row-reverse" : "flex-row"
+              }`}>
+                <span className={`flex items-center gap-1 text-[10px] ${
+                  isSent ? "text-blue-100" : "text-gray-400"
                 }`}>
-                  {message.senderRole}
-                </span>
-              </div>
-            )}
-            {/* "You" text (for sent messages only, no role badge) */}
-            {isSent && (
-              <div className="flex items-center gap-2 mb-1 justify-end">
-                <span className="text-xs font-semibold text-blue-100">
-                  You
+                  {message.pinnedAt && <span title="Pinned"><Pin className="w-3 h-3" /></span>}
+                  {message.time}
                 </span>
+                
+                {/* Message status for sent messages */}
+                {isSent && (
+                  <div className="flex items-center gap-1">
+                    {getMessageStatus()}
+                  </div>
+                )}
               </div>
-            )}
-            <p 
-              className={`leading-relaxed ${isSent ? 'text-left' : 'text-left'}`}
-              style={{ 
-                margin: 0,
-                padding: 0,
-                wordBreak: 'normal',
-                overflowWrap: 'break-word',
-                whiteSpace: 'normal',
-                display: 'block',
-                lineHeight: '1.5',
-                width: '100%',
-                textAlign: 'left'
-              }}
-            >
-              {String(message.text || '').trim()}
-            </p>
-            
-            {/* Message metadata */}
-            <div className={`flex items-center justify-between mt-2 gap-2 ${
-              isSent ? "flex-row-reverse" : "flex-row"
-            }`}>
-              <span className={`text-[10px] ${
-                isSent ? "text-blue-100" : "text-gray-400"
-              }`}>
-                {message.time}
-              </span>
-              
-              {/* Message status for sent messages */}
-              {isSent && (
-                <div className="flex items-center gap-1">
-                  {getMessageStatus()}
-                </div>
+
+              {/* Thread replies link */}
+              {!hideThreadLink && replyCount > 0 && (
+                <button
+                  onClick={() => onOpenThread?.(message)}
+                  className={`mt-2 flex items-center gap-1 text-[11px] font-medium hover:underline ${
+                    isSent ? "text-blue-100" : "text-blue-300"
+                  }`}
+                >
+                  <MessageSquare className="w-3 h-3" />
+                  {replyCount} {replyCount === 1 ? "reply" : "replies"}
+                </button>
               )}
             </div>
-          </div>
 
-          {/* Message actions menu */}
-          <div className={`absolute top-2 ${
-            isSent ? "left-2" : "right-2"
-          } opacity-0 group-hover/message:opacity-100 transition-opacity duration-300`}>
-            <div className="relative">
-              <Button
-                onClick={() => setShowMenu(!showMenu)}
-                variant="ghost"
-                size="sm"
-                className="p-1 rounded-full bg-black/20 backdrop-blur-sm hover:bg-black/40 transition-colors duration-200"
-                title="Message options"
-              >
-                <MoreVertical className="w-3 h-3 text-gray-300" />
-              </Button>
-
-              {/* Dropdown menu */}
-              {showMenu && (
-                <div className={`absolute ${
-                  isSent ? "left-0" : "right-0"
-                } top-full mt-1 w-40 bg-black/20 backdrop-blur-sm rounded-lg border border-white/10 shadow-xl overflow-hidden z-50`}>
-                  <div className="p-1">
-                    <Button
-                      onClick={handleCopy}
-                      variant="ghost"
-                      size="sm"
-                      className="w-full px-3 py-2 text-left text-xs text-gray-300 hover:text-white hover:bg-blue-500/20 rounded-md flex items-center gap-2"
-                    >
-                      <Copy className="w-3 h-3" />
-                      {isCopied ? "Copied!" : "Copy"}
-                    </Button>
-                    <Button
-                      onClick={handleReply}
-                      variant="ghost"
-                      size="sm"
-                      className="w-full px-3 py-2 text-left text-xs text-gray-300 hover:text-white hover:bg-blue-500/20 rounded-md flex items-center gap-2"
-                    >
-                      <Reply className="w-3 h-3" />
-                      Reply
-                    </Button>
-                    <Button
-                      onClick={handleForward}
-                      variant="ghost"
-                      size="sm"
-                      className="w-full px-3 py-2 text-left text-xs text-gray-300 hover:text-white hover:bg-blue-500/20 rounded-md flex items-center gap-2"
-                    >
-                      <Forward className="w-3 h-3" />
-                      Forward
-                    </Button>
-                    {isSent && (
+            {/* Message actions menu */}
+            <div className={`absolute top-2 ${
+              isSent ? "left-2" : "right-2"
+            } opacity-0 group-hover/message:opacity-100 transition-opacity duration-300`}>
+              <div className="relative">
+                <Button
+                  onClick={() => setShowMenu(!showMenu)}
+                  variant="ghost"
+                  size="sm"
+                  className="p-1 rounded-full bg-black/20 backdrop-blur-sm hover:bg-black/40 transition-colors duration-200"
+                  title="Message options"
+                >
+                  <MoreVertical className="w-3 h-3 text-gray-300" />
+                </Button>
+
+                {/* Dropdown menu */}
+                {showMenu && (
+                  <div className={`absolute ${
+                    isSent ? "left-0" : "right-0"
+                  } top-full mt-1 w-40 bg-black/20 backdrop-blur-sm rounded-lg border border-white/10 shadow-xl overflow-hidden z-50`}>
+                    <div className="p-1">
                       <Button
-                        onClick={handleDelete}
+                        onClick={handleCopy}
                         variant="ghost"
                         size="sm"
-                        className="w-full px-3 py-2 text-left text-xs text-red-400 hover:text-red-300 hover:bg-red-500/20 rounded-md flex items-center gap-2"
+                        className="w-full px-3 py-2 text-left text-xs text-gray-300 hover:text-white hover:bg-blue-500/20 rounded-md flex items-center gap-2"
                       >
-                        <Delete className="w-3 h-3" />
-                        Delete
+                        <Copy className="w-3 h-3" />
+                        {isCopied ? "Copied!" : "Copy"}
                       </Button>
-                    )}
+                      {onOpenThread && !hideThreadLink && (
+                        <Button
+                          onClick={handleReply}
+                          variant="ghost"
+                          size="sm"
+                          className="w-full px-3 py-2 text-left text-xs text-gray-300 hover:text-white hover:bg-blue-500/20 rounded-md flex items-center gap-2"
+                        >
+                          <Reply className="w-3 h-3" />
+                          Reply in thread
+                        </Button>
+                      )}
+                      {canPin && (
+                        <Button
+                          onClick={handleTogglePin}
+                          variant="ghost"
+                          size="sm"
+                          className="w-full px-3 py-2 text-left text-xs text-gray-300 hover:text-white hover:bg-blue-500/20 rounded-md flex items-center gap-2"
+                        >
+                          {message.pinnedAt ? <PinOff className="w-3 h-3" /> : <Pin className="w-3 h-3" />}
+                          {message.pinnedAt ? "Unpin" : "Pin"}
+                        </Button>
+                      )}
+                      <Button
+                        onClick={handleForward}
+                        variant="ghost"
+                        size="sm"
+                        className="w-full px-3 py-2 text-left text-xs text-gray-300 hover:text-white hover:bg-blue-500/20 rounded-md flex items-center gap-2"
+                      >
+                        <Forward className="w-3 h-3" />
+                        Forward
+                      </Button>
+                      {isSent && (
+                        <Button
+                          onClick={handleDelete}
+                          variant="ghost"
+                          size="sm"
+                          className="w-full px-3 py-2 text-left text-xs text-red-400 hover:text-red-300 hover:bg-red-500/20 rounded-md flex items-center gap-2"
+                        >
+                          <Delete className="w-3 h-3" />
+                          Delete
+                        </Button>
+                      )}
+                    </div>
                   </div>
-                </div>
-              )}
+                )}
+              </div>
             </div>
           </div>
+
+          {/* Message tail */}
+          <div className={`absolute ${
+            isSent ? "right-0 bottom-0" : "left-0 bottom-0"
+          } w-3 h-3 ${
+            isSent 
+              ? "bg-gradient-to-br from-blue-500 via-purple-500 to-pink-500" 
+              : "bg-black/20 backdrop-blur-sm border-l border-b border-white/10"
+          } transform rotate-45 translate-y-1 ${
+            isSent ? "-translate-x-1" : "translate-x-1"
+          }`}></div>
         </div>
 
-        {/* Message tail */}
-        <div className={`absolute ${
-          isSent ? "right-0 bottom-0" : "left-0 bottom-0"
-        } w-3 h-3 ${
-          isSent 
-            ? "bg-gradient-to-br from-blue-500 via-purple-500 to-pink-500" 
-            : "bg-black/20 backdrop-blur-sm border-l border-b border-white/10"
-        } transform rotate-45 translate-y-1 ${
-          isSent ? "-translate-x-1" : "translate-x-1"
-        }`}></div>
+        {/* Reactions */}
+        {(reactions.length > 0 || onReact) && (
+          <div className={`relative flex flex-wrap items-center gap-1 mt-1 ${isSent ? "justify-end" : "justify-start"}`}>
+            {reactions.map((reaction) => (
+              <button
+                key={reaction.emoji}
+                onClick={() => handleReact(reaction.emoji)}
+                title={hasReacted(reaction) ? "Remove reaction" : "React"}
+                className={`px-2 py-0.5 rounded-full text-xs flex items-center gap-1 border transition-colors duration-200 ${
+                  hasReacted(reaction)
+                    ? "bg-blue-500/30 border-blue-400/60 text-white"
+                    : "bg-black/20 border-white/10 text-gray-300 hover:border-blue-500/30"
+                }`}
+              >
+                <span>{reaction.emoji}</span>
+                <span>{reaction.count}</span>
+              </button>
+            ))}
+            {onReact && (
+              <button
+                onClick={() => setShowReactionPicker(!showReactionPicker)}
+                title="Add reaction"
+                className="p-1 rounded-full text-gray-400 hover:text-white hover:bg-black/30 opacity-0 group-hover/message:opacity-100 transition-opacity duration-300"
+              >
+                <SmilePlus className="w-3.5 h-3.5" />
+              </button>
+            )}
+            {showReactionPicker && (
+              <div className={`absolute ${isSent ? "right-0" : "left-0"} bottom-full mb-1 flex gap-1 p-1 bg-slate-900/90 backdrop-blur-sm rounded-full border border-white/10 shadow-xl z-50`}>
+                {QUICK_REACTIONS.map((emoji) => (
+                  <button
+                    key={emoji}
+                    onClick={() => handleReact(emoji)}
+                    className="w-7 h-7 rounded-full hover:bg-white/10 text-base"
+                  >
+                    {emoji}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Click outside to close menu */}
-      {showMenu && (
+      {(showMenu || showReactionPicker) && (
         <div
           className="fixed inset-0 z-40"
-          onClick={() => setShowMenu(false)}
+          onClick={() => {
+            setShowMenu(false);
+            setShowReactionPicker(false);
+          }}
         ></div>
       )}
     </motion.div>
@@ -3,18 +3,36 @@ import MessageItem from "./MessageItem";
 import { ArrowDown } from "lucide-react";
 import { CircularLoader } from "../../../components";
 
-const MessageList = ({ messages, isLoading = false, typingUsers = new Set(), currentUserId }) => {
+const MessageList = ({
+  messages,
+  isLoading = false,
+  typingUsers = new Set(),
+  currentUserId,
+  onReact,
+  onOpenThread,
+  onTogglePin,
+  highlightMessageId = null,
+  hasNewer = false,
+  onJumpToLatest,
+}) => {
   const messagesEndRef = useRef(null);
   const messagesContainerRef = useRef(null);
   const [showScrollButton, setShowScrollButton] = useState(false);
   const [isAtBottom, setIsAtBottom] = useState(true);
 
-  // Scroll to bottom whenever messages change
+  // Scroll to bottom whenever messages change (unless a search result is being shown)
   useEffect(() => {
-    if (isAtBottom) {
+    if (isAtBottom && !highlightMessageId) {
       messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
     }
-  }, [messages, isAtBottom]);
+  }, [messages, isAtBottom, highlightMessageId]);
+
+  // Bring a message opened from search into view
+  useEffect(() => {
+    if (!highlightMessageId) return;
+    const element = document.getElementById(`message-${highlightMessageId}`);
+    element?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [highlightMessageId]);
 
   // Handle scroll events
   const handleScroll = () => {
@@ -110,6 +128,10 @@ const MessageList = ({ messages, isLoading = false, typingUsers = new Set(), cur
                   key={msg.id} 
                   message={msg}
                   currentUserId={currentUserId}
+                  onReact={onReact}
+                  onOpenThread={onOpenThread}
+                  onTogglePin={onTogglePin}
+                  isHighlighted={msg.id === highlightMessageId}
                   isFirstInGroup={msgIndex === 0}
                   isLastInGroup={msgIndex === group.messages.length - 1}
                 />
@@ -156,6 +178,17 @@ const MessageList = ({ messages, isLoading = false, typingUsers = new Set(), cur
         </div>
       </div>
 
+      {/* Viewing older messages opened from search */}
+      {hasNewer && (
+        <button
+          onClick={onJumpToLatest}
+          className="absolute top-4 left-1/2 -translate-x-1/2 flex items-center gap-2 px-4 py-2 bg-black/60 backdrop-blur-sm rounded-full border border-white/10 text-xs text-white shadow-lg hover:bg-black/80 transition-all duration-300 z-50"
+        >
+          <ArrowDown className="w-4 h-4" />
+          Jump to latest messages
+        </button>
+      )}
+
       {/* Scroll to bottom button */}
       {showScrollButton && (
         <button
@@ -0,0 +1,240 @@
+import React, { useEffect, useState } from "react";
+import { Search, X, SlidersHorizontal, MessageSquare } from "lucide-react";
+import { searchMessagesApi } from "../slice/chatAction";
+
+const PAGE_SIZE = 20;
+
+// Render a server snippet safely: text stays text, only <mark> tags become highlights
+const renderSnippet = (snippet = "") =>
+  snippet.split(/(<mark>[\s\S]*?<\/mark>)/g).map((part, index) => {
+    if (part.startsWith("<mark>") && part.endsWith("</mark>")) {
+      return (
+        <mark key={index} className="bg-yellow-400/30 text-yellow-100 rounded px-0.5">
+          {part.slice(6, -7)}
+        </mark>
+      );
+    }
+    return <React.Fragment key={index}>{part}</React.Fragment>;
+  });
+
+const formatResultDate = (timestamp) => {
+  const date = new Date(timestamp);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString();
+};
+
+const MessageSearchPanel = ({ conversations = [], usersMap = {}, currentUserId, onSelectResult, onClose }) => {
+  const [query, setQuery] = useState("");
+  const [filters, setFilters] = useState({ conversationId: "", messageType: "", from: "", to: "" });
+  const [showFilters, setShowFilters] = useState(false);
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const conversationNames = conversations.reduce((names, conv) => {
+    if (conv?.conversationId) names[conv.conversationId] = conv.name;
+    return names;
+  }, {});
+
+  const runSearch = async (offset = 0) => {
+    const response = await searchMessagesApi({
+      q: query.trim(),
+      ...filters,
+      limit: PAGE_SIZE,
+      offset,
+    });
+    return {
+      items: response?.data?.data || [],
+      total: response?.data?.pagination?.total || 0,
+    };
+  };
+
+  // Debounced search whenever the query or filters change
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setResults([]);
+      setTotal(0);
+      setError("");
+      return;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      setIsLoading(true);
+      setError("");
+      try {
+        const { items, total: count } = await runSearch(0);
+        if (!cancelled) {
+          setResults(items);
+          setTotal(count);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err?.response?.data?.message || "Search failed");
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [query, filters]);
+
+  const handleLoadMore = async () => {
+    setIsLoading(true);
+    try {
+      const { items } = await runSearch(results.length);
+      setResults((prev) => [...prev, ...items]);
+    } catch (err) {
+      setError(err?.response?.data?.message || "Search failed");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const updateFilter = (name, value) => setFilters((prev) => ({ ...prev, [name]: value }));
+
+  const getSenderName = (senderId) =>
+    Number(senderId) === Number(currentUserId) ? "You" : usersMap[senderId]?.name || "Unknown";
+
+  return (
+    <div className="flex flex-col h-full">
+      {/* Search input */}
+      <div className="p-4 border-b border-white/10 space-y-2">
+        <div className="relative flex items-center gap-2">
+          <div className="relative flex-1 border border-white/20 rounded-xl overflow-hidden focus-within:border-blue-500/50 transition-all duration-300">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400 pointer-events-none z-10" />
+            <input
+              type="text"
+              autoFocus
+              placeholder='Search messages ("exact phrase", -exclude)'
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              className="w-full pl-10 pr-4 py-2.5 bg-transparent text-white placeholder-gray-400 focus:outline-none focus:ring-0 border-0 text-sm"
+            />
+          </div>
+          <button
+            onClick={() => setShowFilters(!showFilters)}
+            className={`h-[42px] p-2 rounded-xl transition-colors ${showFilters ? "bg-blue-500/30 text-white" : "bg-black/20 text-gray-300 hover:text-white"}`}
+            title="Filters"
+          >
+            <SlidersHorizontal className="w-5 h-5" />
+          </button>
+          <button
+            onClick={onClose}
+            className="h-[42px] p-2 rounded-xl bg-black/20 text-gray-300 hover:text-white transition-colors"
+            title="Close search"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {showFilters && (
+          <div className="grid grid-cols-2 gap-2 text-xs">
+            <select
+              value={filters.conversationId}
+              onChange={(e) => updateFilter("conversationId", e.target.value)}
+              className="col-span-2 px-2 py-1.5 rounded-lg bg-black/30 border border-white/10 text-gray-200"
+            >
+              <option value="">All conversations</option>
+              {conversations
+                .filter((conv) => conv?.conversationId)
+                .map((conv) => (
+                  <option key={conv.conversationId} value={conv.conversationId}>
+                    {conv.name}
+                  </option>
+                ))}
+            </select>
+            <select
+              value={filters.messageType}
+              onChange={(e) => updateFilter("messageType", e.target.value)}
+              className="col-span-2 px-2 py-1.5 rounded-lg bg-black/30 border border-white/10 text-gray-200"
+            >
+              <option value="">Any type</option>
+              <option value="text">Text</option>
+              <option value="image">Images</option>
+              <option value="file">Files</option>
+              <option value="audio">Voice messages</option>
+            </select>
+            <label className="flex flex-col gap-1 text-gray-400">
+              From
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => updateFilter("from", e.target.value)}
+                className="px-2 py-1.5 rounded-lg bg-black/30 border border-white/10 text-gray-200"
+              />
+            </label>
+            <label className="flex flex-col gap-1 text-gray-400">
+              To
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => updateFilter("to", e.target.value)}
+                className="px-2 py-1.5 rounded-lg bg-black/30 border border-white/10 text-gray-200"
+              />
+            </label>
+          </div>
+        )}
+      </div>
+
+      {/* Results */}
+      <div className="flex-1 overflow-y-auto overflow-x-hidden sidebar-scrollbar">
+        {query.trim().length >= 2 && !isLoading && !error && (
+          <p className="px-4 pt-3 text-xs text-gray-400">
+            {total} {total === 1 ? "result" : "results"}
+          </p>
+        )}
+        {error && <p className="px-4 pt-3 text-xs text-red-400">{error}</p>}
+
+        {results.map((result) => (
+          <button
+            key={result.id}
+            onClick={() => onSelectResult?.(result)}
+            className="w-full text-left px-4 py-3 border-b border-white/5 hover:bg-black/20 transition-colors"
+          >
+            <div className="flex items-center justify-between gap-2 mb-1">
+              <span className="text-sm text-white font-medium truncate">
+                {conversationNames[result.conversationId] || `Conversation #${result.conversationId}`}
+              </span>
+              <span className="text-[10px] text-gray-400 flex-shrink-0">{formatResultDate(result.createdAt)}</span>
+            </div>
+            <p className="text-xs text-gray-300 break-words">
+              <span className="text-gray-400">{getSenderName(result.senderId)}: </span>
+              {renderSnippet(result.snippet)}
+            </p>
+            {result.replyToId && (
+              <span className="mt-1 inline-flex items-center gap-1 text-[10px] text-blue-300">
+                <MessageSquare className="w-3 h-3" />
+                In a thread
+              </span>
+            )}
+          </button>
+        ))}
+
+        {isLoading && <p className="px-4 py-3 text-xs text-gray-400">Searching...</p>}
+
+        {!isLoading && results.length < total && (
+          <button
+            onClick={handleLoadMore}
+            className="w-full py-3 text-xs text-blue-300 hover:text-blue-200"
+          >
+            Load more results
+          </button>
+        )}
+
+        {query.trim().length < 2 && (
+          <div className="flex flex-col items-center justify-center py-8 text-center px-4">
+            <Search className="w-10 h-10 text-gray-500 mb-3" />
+            <p className="text-gray-400 text-sm">Search all your conversations by keyword</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MessageSearchPanel;
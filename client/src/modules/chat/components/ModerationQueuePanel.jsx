@@ -0,0 +1,184 @@
+import React, { useEffect, useState } from "react";
+import { ShieldCheck, X, Check, Trash2, AlertTriangle, RefreshCw } from "lucide-react";
+import { toast } from "react-toastify";
+import { getModerationReviewsApi, resolveModerationReviewApi } from "../slice/chatAction";
+
+const PAGE_SIZE = 20;
+
+const formatReviewDate = (timestamp) => {
+  const date = new Date(timestamp);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString();
+};
+
+const ModerationQueuePanel = ({ conversations = [], usersMap = {}, onClose }) => {
+  const [reviews, setReviews] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [notes, setNotes] = useState({});
+  const [resolvingId, setResolvingId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const conversationNames = conversations.reduce((names, conv) => {
+    if (conv?.conversationId) names[conv.conversationId] = conv.name;
+    return names;
+  }, {});
+
+  const loadReviews = async (offset = 0) => {
+    setIsLoading(true);
+    setError("");
+    try {
+      const response = await getModerationReviewsApi({ status: "pending", limit: PAGE_SIZE, offset });
+      const items = response?.data?.data || [];
+      setReviews((prev) => (offset === 0 ? items : [...prev, ...items]));
+      setTotal(response?.data?.pagination?.total || 0);
+    } catch (err) {
+      setError(err?.response?.data?.message || "Failed to load the review queue");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadReviews(0);
+  }, []);
+
+  const handleResolve = async (review, action) => {
+    setResolvingId(review.id);
+    try {
+      const note = notes[review.id]?.trim();
+      await resolveModerationReviewApi(review.id, {
+        action,
+        note: note || undefined,
+        warning: action === "warn" ? note || undefined : undefined,
+      });
+      setReviews((prev) => prev.filter((item) => item.id !== review.id));
+      setTotal((prev) => Math.max(prev - 1, 0));
+    } catch (err) {
+      toast.error(err?.response?.data?.message || "Failed to resolve the review");
+      // Another admin may have resolved it already
+      if (err?.response?.status === 409) {
+        setReviews((prev) => prev.filter((item) => item.id !== review.id));
+      }
+    } finally {
+      setResolvingId(null);
+    }
+  };
+
+  return (
+    <div className="flex flex-col h-full">
+      {/* Header */}
+      <div className="p-4 border-b border-white/10 flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-white font-medium">
+          <ShieldCheck className="w-5 h-5 text-amber-300" />
+          Moderation Queue
+          <span className="text-xs text-gray-400 font-normal">({total} pending)</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => loadReviews(0)}
+            className="h-[42px] p-2 rounded-xl bg-black/20 text-gray-300 hover:text-white transition-colors"
+            title="Refresh"
+          >
+            <RefreshCw className="w-5 h-5" />
+          </button>
+          <button
+            onClick={onClose}
+            className="h-[42px] p-2 rounded-xl bg-black/20 text-gray-300 hover:text-white transition-colors"
+            title="Close moderation queue"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Reviews */}
+      <div className="flex-1 overflow-y-auto overflow-x-hidden sidebar-scrollbar">
+        {error && <p className="px-4 pt-3 text-xs text-red-400">{error}</p>}
+
+        {reviews.map((review) => (
+          <div key={review.id} className="px-4 py-3 border-b border-white/5 space-y-2">
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-sm text-white font-medium truncate">
+                {conversationNames[review.conversationId] || `Conversation #${review.conversationId}`}
+              </span>
+              <span className="text-[10px] text-gray-400 flex-shrink-0">{formatReviewDate(review.createdAt)}</span>
+            </div>
+            <p className="text-xs text-gray-300 break-words whitespace-pre-line">
+              <span className="text-gray-400">{usersMap[review.senderId]?.name || `User #${review.senderId}`}: </span>
+              {review.content || (review.attachmentId ? "[Attachment]" : "")}
+            </p>
+            <div className="flex flex-wrap gap-1">
+              <span
+                className={`px-1.5 py-0.5 rounded text-[10px] font-medium ${
+                  review.action === "hold" ? "bg-amber-500/20 text-amber-300" : "bg-blue-500/20 text-blue-300"
+                }`}
+              >
+                {review.action === "hold" ? "Held" : "Delivered"}
+              </span>
+              {(review.rules || []).map((finding, index) => (
+                <span key={index} className="px-1.5 py-0.5 rounded text-[10px] bg-red-500/15 text-red-300">
+                  {finding.reason}
+                </span>
+              ))}
+            </div>
+            <input
+              type="text"
+              placeholder="Note / warning text (optional)"
+              value={notes[review.id] || ""}
+              onChange={(e) => setNotes((prev) => ({ ...prev, [review.id]: e.target.value }))}
+              className="w-full px-2 py-1.5 rounded-lg bg-black/30 border border-white/10 text-xs text-gray-200 placeholder-gray-500 focus:outline-none"
+            />
+            <div className="flex gap-2">
+              <button
+                disabled={resolvingId === review.id}
+                onClick={() => handleResolve(review, "approve")}
+                className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs bg-green-500/20 text-green-300 hover:bg-green-500/30 disabled:opacity-50"
+              >
+                <Check className="w-3 h-3" />
+                Approve
+              </button>
+              <button
+                disabled={resolvingId === review.id}
+                onClick={() => handleResolve(review, "remove")}
+                className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs bg-red-500/20 text-red-300 hover:bg-red-500/30 disabled:opacity-50"
+              >
+                <Trash2 className="w-3 h-3" />
+                Remove
+              </button>
+              <button
+                disabled={resolvingId === review.id}
+                onClick={() => handleResolve(review, "warn")}
+                className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs bg-amber-500/20 text-amber-300 hover:bg-amber-500/30 disabled:opacity-50"
+              >
+                <AlertTriangle className="w-3 h-3" />
+                Warn
+              </button>
+            </div>
+          </div>
+        ))}
+
+        {isLoading && <p className="px-4 py-3 text-xs text-gray-400">Loading...</p>}
+
+        {!isLoading && reviews.length < total && (
+          <button
+            onClick={() => loadReviews(reviews.length)}
+            className="w-full py-3 text-xs text-blue-300 hover:text-blue-200"
+          >
+            Load more reviews
+          </button>
+        )}
+
+        {!isLoading && !error && reviews.length === 0 && (
+          <div className="flex flex-col items-center justify-center py-8 text-center px-4">
+            <ShieldCheck className="w-10 h-10 text-gray-500 mb-3" />
+            <p className="text-gray-400 text-sm">No messages waiting for review</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ModerationQueuePanel;
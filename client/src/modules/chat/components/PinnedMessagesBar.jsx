@@ -0,0 +1,73 @@
+import React, { useState } from "react";
+import { Pin, PinOff, ChevronDown, ChevronUp } from "lucide-react";
+
+const previewOf = (message) => {
+  const text = String(message.content || message.text || "").trim();
+  if (text) return text;
+  return message.attachment?.fileName ? `📎 ${message.attachment.fileName}` : "Attachment";
+};
+
+// Pinned messages of the active conversation, newest pin first; click one to jump to it
+const PinnedMessagesBar = ({ pinnedMessages = [], usersMap = {}, currentUserId, onOpen, onUnpin }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  if (pinnedMessages.length === 0) return null;
+
+  const [latest] = pinnedMessages;
+  const senderName = (message) =>
+    Number(message.senderId) === Number(currentUserId) ? "You" : usersMap[message.senderId]?.name || "Unknown";
+
+  return (
+    <div className="border-b border-white/10 bg-slate-900/80 backdrop-blur-sm text-sm">
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center gap-2 px-4 py-2 text-left text-gray-300 hover:bg-white/5"
+      >
+        <Pin className="w-4 h-4 flex-shrink-0 text-amber-300" />
+        <span className="text-xs text-amber-300 flex-shrink-0">
+          {pinnedMessages.length} pinned
+        </span>
+        {!isExpanded && (
+          <span className="truncate text-gray-400">
+            {senderName(latest)}: {previewOf(latest)}
+          </span>
+        )}
+        <span className="ml-auto flex-shrink-0">
+          {isExpanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        </span>
+      </button>
+
+      {isExpanded && (
+        <ul className="max-h-56 overflow-y-auto sidebar-scrollbar px-2 pb-2 space-y-1">
+          {pinnedMessages.map((message) => (
+            <li key={message.id} className="flex items-start gap-2 rounded-lg px-2 py-1.5 hover:bg-white/5 group">
+              <button
+                onClick={() => {
+                  onOpen?.(message);
+                  setIsExpanded(false);
+                }}
+                className="flex-1 min-w-0 text-left"
+              >
+                <span className="block text-xs text-gray-400">
+                  {senderName(message)} · {new Date(message.createdAt).toLocaleString()}
+                </span>
+                <span className="block truncate text-gray-200">{previewOf(message)}</span>
+              </button>
+              {onUnpin && (
+                <button
+                  onClick={() => onUnpin(message)}
+                  className="p-1 rounded text-gray-500 hover:text-white hover:bg-white/10 opacity-0 group-hover:opacity-100"
+                  title="Unpin"
+                >
+                  <PinOff className="w-3.5 h-3.5" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PinnedMessagesBar;
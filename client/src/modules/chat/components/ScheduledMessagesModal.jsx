@@ -0,0 +1,305 @@
+import React, { useEffect, useState } from "react";
+import { X, Clock, Pause, Play, Trash2, Plus } from "lucide-react";
+import { toast } from "react-toastify";
+import Button from "../../../components/Button";
+import {
+  getScheduledMessagesApi,
+  createScheduledMessageApi,
+  updateScheduledMessageApi,
+  deleteScheduledMessageApi,
+} from "../slice/chatAction";
+
+const KIND_LABELS = {
+  custom: "Custom message",
+  standup: "Daily stand-up prompt",
+  sprint_kickoff: "Sprint kickoff reminder",
+  deadline_countdown: "Deadline countdown",
+};
+
+const RECURRENCE_LABELS = {
+  none: "Once",
+  daily: "Every day",
+  weekdays: "Weekdays",
+  weekly: "Every week",
+};
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const EMPTY_FORM = {
+  kind: "standup",
+  content: "",
+  recurrence: "weekdays",
+  timeOfDay: "09:00",
+  dayOfWeek: 1,
+  runAt: "",
+  daysAhead: 3,
+};
+
+const describeSchedule = (schedule) => {
+  if (schedule.recurrence === "none") return "Once";
+  const day = schedule.recurrence === "weekly" ? ` on ${WEEKDAYS[schedule.dayOfWeek]}` : "";
+  return `${RECURRENCE_LABELS[schedule.recurrence]}${day} at ${schedule.timeOfDay} (${schedule.timezone})`;
+};
+
+const ScheduledMessagesModal = ({ isOpen, onClose, conversationId, conversationName, canManage }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const fetchSchedules = async () => {
+    setLoading(true);
+    try {
+      const response = await getScheduledMessagesApi(conversationId);
+      setSchedules(response?.data?.data || []);
+    } catch (err) {
+      console.error("Error fetching scheduled messages:", err);
+      toast.error(err?.response?.data?.message || "Failed to load scheduled messages");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen && conversationId) {
+      fetchSchedules();
+    } else {
+      setSchedules([]);
+      setShowForm(false);
+      setForm(EMPTY_FORM);
+    }
+  }, [isOpen, conversationId]);
+
+  const updateForm = (name, value) => setForm((prev) => ({ ...prev, [name]: value }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const payload = {
+        kind: form.kind,
+        content: form.content.trim() || undefined,
+        recurrence: form.recurrence,
+        timezone: getLocalTimeZone(),
+      };
+      if (form.recurrence === "none") {
+        payload.runAt = form.runAt ? new Date(form.runAt).toISOString() : undefined;
+      } else {
+        payload.timeOfDay = form.timeOfDay;
+      }
+      if (form.recurrence === "weekly") payload.dayOfWeek = Number(form.dayOfWeek);
+      if (form.kind === "deadline_countdown") payload.daysAhead = Number(form.daysAhead);
+
+      const response = await createScheduledMessageApi(conversationId, payload);
+      if (response?.data?.success === false) {
+        toast.error(response?.data?.message || "Failed to schedule message");
+        return;
+      }
+      toast.success("Message scheduled");
+      setShowForm(false);
+      setForm(EMPTY_FORM);
+      fetchSchedules();
+    } catch (err) {
+      toast.error(err?.response?.data?.message || "Failed to schedule message");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    try {
+      await updateScheduledMessageApi(conversationId, schedule.id, { isActive: !schedule.isActive });
+      fetchSchedules();
+    } catch (err) {
+      toast.error(err?.response?.data?.message || "Failed to update scheduled message");
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    try {
+      await deleteScheduledMessageApi(conversationId, schedule.id);
+      setSchedules((prev) => prev.filter((item) => item.id !== schedule.id));
+    } catch (err) {
+      toast.error(err?.response?.data?.message || "Failed to delete scheduled message");
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const inputClass = "w-full px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-gray-200 text-sm";
+
+  return (
+    <div className="fixed inset-0 z-[100000] flex items-center justify-center p-4">
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/60 backdrop-blur-sm" onClick={onClose}></div>
+
+      {/* Modal */}
+      <div className="relative bg-slate-900 rounded-2xl border border-white/20 shadow-2xl w-full max-w-md max-h-[80vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-white/10">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-gradient-to-br from-purple-500 to-pink-500 flex items-center justify-center">
+              <Clock className="w-5 h-5 text-white" />
+            </div>
+            <div>
+              <h2 className="text-white font-semibold text-lg">Scheduled Messages</h2>
+              <p className="text-gray-400 text-sm">{conversationName || "Group Chat"}</p>
+            </div>
+          </div>
+          <Button onClick={onClose} variant="ghost" size="sm" className="p-2 rounded-lg hover:bg-white/10 transition-colors">
+            <X className="w-5 h-5 text-gray-400" />
+          </Button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-purple-500"></div>
+            </div>
+          ) : schedules.length === 0 && !showForm ? (
+            <div className="text-center py-12">
+              <Clock className="w-12 h-12 text-gray-500 mx-auto mb-4" />
+              <p className="text-gray-400">No scheduled messages yet</p>
+            </div>
+          ) : (
+            schedules.map((schedule) => (
+              <div key={schedule.id} className={`p-3 rounded-lg bg-black/20 ${schedule.isActive ? "" : "opacity-60"}`}>
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <p className="text-white text-sm font-medium">{KIND_LABELS[schedule.kind] || schedule.kind}</p>
+                    <p className="text-gray-400 text-xs">{describeSchedule(schedule)}</p>
+                    {schedule.content && <p className="text-gray-300 text-xs mt-1 break-words">{schedule.content}</p>}
+                    <p className="text-gray-500 text-[10px] mt-1">
+                      {schedule.isActive && schedule.nextRunAt
+                        ? `Next: ${new Date(schedule.nextRunAt).toLocaleString()}`
+                        : "Paused"}
+                    </p>
+                  </div>
+                  {canManage && (
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      <button
+                        onClick={() => handleToggle(schedule)}
+                        className="p-2 rounded-lg bg-blue-500/20 hover:bg-blue-500/30 text-blue-400 transition-colors"
+                        title={schedule.isActive ? "Pause" : "Resume"}
+                      >
+                        {schedule.isActive ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                      </button>
+                      <button
+                        onClick={() => handleDelete(schedule)}
+                        className="p-2 rounded-lg bg-red-500/20 hover:bg-red-500/30 text-red-400 transition-colors"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+
+          {canManage && showForm && (
+            <form onSubmit={handleCreate} className="p-3 rounded-lg bg-black/20 space-y-2">
+              <select value={form.kind} onChange={(e) => updateForm("kind", e.target.value)} className={inputClass}>
+                {Object.entries(KIND_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <textarea
+                value={form.content}
+                onChange={(e) => updateForm("content", e.target.value)}
+                placeholder={form.kind === "custom" ? "Message" : form.kind === "deadline_countdown" ? "Heading (optional)" : "Custom text (optional)"}
+                rows={2}
+                maxLength={4000}
+                className={inputClass}
+              />
+              <select value={form.recurrence} onChange={(e) => updateForm("recurrence", e.target.value)} className={inputClass}>
+                {Object.entries(RECURRENCE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {form.recurrence === "none" ? (
+                <input
+                  type="datetime-local"
+                  value={form.runAt}
+                  onChange={(e) => updateForm("runAt", e.target.value)}
+                  className={inputClass}
+                  required
+                />
+              ) : (
+                <div className="flex gap-2">
+                  {form.recurrence === "weekly" && (
+                    <select value={form.dayOfWeek} onChange={(e) => updateForm("dayOfWeek", e.target.value)} className={inputClass}>
+                      {WEEKDAYS.map((day, index) => (
+                        <option key={day} value={index}>{day}</option>
+                      ))}
+                    </select>
+                  )}
+                  <input
+                    type="time"
+                    value={form.timeOfDay}
+                    onChange={(e) => updateForm("timeOfDay", e.target.value)}
+                    className={inputClass}
+                    required
+                  />
+                </div>
+              )}
+              {form.kind === "deadline_countdown" && (
+                <label className="flex items-center gap-2 text-xs text-gray-400">
+                  Tasks due within
+                  <input
+                    type="number"
+                    min={1}
+                    max={30}
+                    value={form.daysAhead}
+                    onChange={(e) => updateForm("daysAhead", e.target.value)}
+                    className="w-16 px-2 py-1 rounded-lg bg-black/30 border border-white/10 text-gray-200"
+                  />
+                  days
+                </label>
+              )}
+              <p className="text-[10px] text-gray-500">Times use your time zone ({getLocalTimeZone()})</p>
+              <div className="flex justify-end gap-2">
+                <Button type="button" onClick={() => setShowForm(false)} variant="ghost" size="sm" className="text-gray-300">
+                  Cancel
+                </Button>
+                <Button type="submit" size="sm" disabled={saving}>
+                  {saving ? "Saving..." : "Schedule"}
+                </Button>
+              </div>
+            </form>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="p-4 border-t border-white/10 flex justify-between">
+          {canManage && !showForm ? (
+            <Button
+              onClick={() => setShowForm(true)}
+              variant="ghost"
+              className="px-4 py-2 text-blue-300 hover:text-white hover:bg-white/10 rounded-lg flex items-center gap-2"
+            >
+              <Plus className="w-4 h-4" />
+              New schedule
+            </Button>
+          ) : (
+            <span />
+          )}
+          <Button
+            onClick={onClose}
+            variant="ghost"
+            className="px-4 py-2 text-gray-300 hover:text-white hover:bg-white/10 rounded-lg"
+          >
+            Close
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduledMessagesModal;
@@ -0,0 +1,91 @@
+import React, { useEffect, useRef } from "react";
+import { X, MessageSquare } from "lucide-react";
+import MessageItem from "./MessageItem";
+import ChatBox from "./ChatBox";
+import { CircularLoader } from "../../../components";
+
+const ThreadPanel = ({ thread, currentUserId, onClose, onReact, onTogglePin, onSend, canReply = true, mentionCandidates = [] }) => {
+  const repliesEndRef = useRef(null);
+  const replies = thread?.replies || [];
+
+  // Keep the newest reply in view
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [replies.length]);
+
+  if (!thread) return null;
+
+  return (
+    <div className="flex flex-col w-full sm:w-96 h-full border-l border-white/10 bg-slate-900/95">
+      {/* Thread header */}
+      <div className="flex items-center justify-between px-4 py-3 border-b border-white/10">
+        <div className="flex items-center gap-2 text-white">
+          <MessageSquare className="w-4 h-4 text-blue-400" />
+          <span className="font-semibold">Thread</span>
+          {thread.root && (
+            <span className="text-xs text-gray-400">
+              {thread.root.replyCount || 0} {thread.root.replyCount === 1 ? "reply" : "replies"}
+            </span>
+          )}
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-full text-gray-400 hover:text-white hover:bg-white/10 transition-colors"
+          title="Close thread"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Root message and replies */}
+      <div className="flex-1 overflow-y-auto sidebar-scrollbar p-4">
+        {thread.loading && (
+          <div className="relative h-32">
+            <CircularLoader />
+          </div>
+        )}
+
+        {!thread.loading && thread.root && (
+          <>
+            <MessageItem
+              message={thread.root}
+              currentUserId={currentUserId}
+              onReact={onReact}
+              onTogglePin={onTogglePin}
+              hideThreadLink
+            />
+
+            <div className="flex items-center gap-3 my-4">
+              <div className="flex-1 h-px bg-white/10"></div>
+              <span className="text-xs text-gray-400">
+                {replies.length > 0 ? "Replies" : "No replies yet"}
+              </span>
+              <div className="flex-1 h-px bg-white/10"></div>
+            </div>
+
+            {replies.map((reply) => (
+              <MessageItem
+                key={reply.id}
+                message={reply}
+                currentUserId={currentUserId}
+                onReact={onReact}
+                onTogglePin={onTogglePin}
+                hideThreadLink
+              />
+            ))}
+          </>
+        )}
+
+        {!thread.loading && !thread.root && (
+          <p className="text-sm text-gray-400 text-center mt-8">This thread is no longer available.</p>
+        )}
+
+        <div ref={repliesEndRef} className="h-1" />
+      </div>
+
+      {canReply && thread.root && <ChatBox onSend={onSend} mentionCandidates={mentionCandidates} />}
+    </div>
+  );
+};
+
+export default ThreadPanel;
@@ -0,0 +1,110 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Play, Pause } from "lucide-react";
+
+// Flat bars for clips uploaded without a waveform (e.g. audio files picked from disk)
+const FALLBACK_WAVEFORM = Array.from({ length: 32 }, () => 30);
+
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round((ms || 0) / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+};
+
+const VoiceNotePlayer = ({ src, durationMs, waveform, isSent = false }) => {
+  const audioRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [progress, setProgress] = useState(0); // 0-1
+  const [mediaDurationMs, setMediaDurationMs] = useState(null);
+
+  const bars = waveform?.length ? waveform : FALLBACK_WAVEFORM;
+  const totalMs = durationMs || mediaDurationMs || 0;
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    return () => audio?.pause();
+  }, []);
+
+  const togglePlayback = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    if (audio.paused) {
+      audio.play().catch(() => setIsPlaying(false));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const handleTimeUpdate = () => {
+    const audio = audioRef.current;
+    if (!audio || !totalMs) return;
+    setProgress(Math.min(1, (audio.currentTime * 1000) / totalMs));
+  };
+
+  const handleLoadedMetadata = () => {
+    const seconds = audioRef.current?.duration;
+    // WebM recordings often report Infinity until played through
+    if (Number.isFinite(seconds)) setMediaDurationMs(seconds * 1000);
+  };
+
+  const handleSeek = (e) => {
+    const audio = audioRef.current;
+    if (!audio || !totalMs) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    audio.currentTime = (ratio * totalMs) / 1000;
+    setProgress(ratio);
+  };
+
+  const playedColor = isSent ? "bg-white" : "bg-blue-400";
+  const unplayedColor = isSent ? "bg-white/40" : "bg-gray-500";
+
+  return (
+    <div className="flex items-center gap-3 mb-2 min-w-[220px]">
+      <audio
+        ref={audioRef}
+        src={src}
+        preload="metadata"
+        onPlay={() => setIsPlaying(true)}
+        onPause={() => setIsPlaying(false)}
+        onEnded={() => {
+          setIsPlaying(false);
+          setProgress(0);
+        }}
+        onTimeUpdate={handleTimeUpdate}
+        onLoadedMetadata={handleLoadedMetadata}
+      />
+      <button
+        onClick={togglePlayback}
+        className={`flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center transition-colors ${
+          isSent ? "bg-white/20 hover:bg-white/30" : "bg-blue-500/30 hover:bg-blue-500/40"
+        }`}
+        title={isPlaying ? "Pause" : "Play voice message"}
+      >
+        {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4 ml-0.5" />}
+      </button>
+      <div
+        onClick={handleSeek}
+        className="flex-1 flex items-center gap-[2px] h-8 cursor-pointer"
+        role="slider"
+        aria-label="Voice message progress"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(progress * 100)}
+      >
+        {bars.map((level, index) => (
+          <span
+            key={index}
+            className={`flex-1 rounded-full ${index / bars.length < progress ? playedColor : unplayedColor}`}
+            style={{ height: `${Math.max(12, level)}%` }}
+          />
+        ))}
+      </div>
+      <span className={`text-[10px] flex-shrink-0 tabular-nums ${isSent ? "text-blue-100" : "text-gray-400"}`}>
+        {formatDuration(isPlaying || progress > 0 ? progress * totalMs : totalMs)}
+      </span>
+    </div>
+  );
+};
+
+export default VoiceNotePlayer;
@@ -4,18 +4,37 @@ import ChatHeader from "../components/ChatHeader";
 import MessageList from "../components/MessageList";
 import ChatBox from "../components/ChatBox";
 import ChatSidebar from "../components/ChatSidebar";
+import ThreadPanel from "../components/ThreadPanel";
+import PinnedMessagesBar from "../components/PinnedMessagesBar";
 import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
 import { Menu, X, Shield, Users, MessageCircle, AlertTriangle, Code, ArrowLeft } from "lucide-react";
 import { CircularLoader } from "../../../components";
 import { 
   getConversationsApi, 
   getMessagesApi, 
+  getMessagesAroundApi,
   sendMessageApi,
   markAsReadApi,
-  getChatUsersApi
+  getChatUsersApi,
+  getThreadApi,
+  uploadAttachmentApi,
+  addReactionApi,
+  removeReactionApi,
+  getPinnedMessagesApi,
+  pinMessageApi,
+  unpinMessageApi,
+  updateParticipantSettingsApi
 } from "../slice/chatAction";
 import { connectSocket, disconnectSocket, getSocket } from "../../../services/socket";
 
+// Conversation list preview for a message without text
+const getMessagePreview = (message) => {
+  if (message.content) return message.content;
+  if (message.messageType === "audio") return "🎤 Voice message";
+  return message.fileName ? `📎 ${message.fileName}` : "";
+};
+
 // System notifications and flagged chats (UI elements, not real conversations)
 const systemNotifications = [
   { 
@@ -65,6 +84,14 @@ const formatTime = (timestamp) => {
   return date.toLocaleDateString();
 };
 
+// Apply a new reply count / reaction list to one message in a list
+const updateMessageInList = (list, messageId, changes) =>
+  (list || []).map(msg => (msg.id === messageId ? { ...msg, ...changes } : msg));
+
+// Newest server-assigned message ID in a list (optimistic messages have temp- IDs)
+const getLastMessageId = (list) =>
+  (list || []).reduce((lastId, msg) => (Number.isInteger(msg.id) && msg.id > lastId ? msg.id : lastId), 0) || null;
+
 // Helper function to get initials from name
 const getInitials = (name) => {
   if (!name) return "U";
@@ -84,10 +111,15 @@ const ChatContainer = () => {
   const [loadingMessages, setLoadingMessages] = useState({});
   const [typingUsers, setTypingUsers] = useState({}); // conversationId -> Set of userIds
   const [onlineUsers, setOnlineUsers] = useState(new Set()); // Set of online user IDs
+  const [activeThread, setActiveThread] = useState(null); // { rootId, conversationId, root, replies, loading }
+  const [jumpTarget, setJumpTarget] = useState(null); // { conversationId, messageId, hasNewer } after opening a search result
+  const [pinnedMessages, setPinnedMessages] = useState({}); // conversationId -> pinned messages (server format), newest pin first
+  const jumpTargetRef = useRef(null); // Lets the message fetch effect skip a conversation that is being jumped into
   const socketRef = useRef(null);
   const typingTimeoutRef = useRef({}); // conversationId -> timeout
   const refreshTimeoutRef = useRef(null); // Ref to track refresh timeout
   const isRefreshingRef = useRef(false); // Flag to prevent multiple simultaneous refreshes
+  const messagesRef = useRef({}); // Latest messages for socket handlers (they'd otherwise see a stale copy)
 
   const currentUserId = user?.id || user?.userId;
 
@@ -100,9 +132,27 @@ const ChatContainer = () => {
 
     socketRef.current = socket;
 
-    // Handle successful connection
+    // Handle successful connection (also fires after every reconnect)
     socket.on("connect", () => {
       console.log("✅ Socket.io connected");
+
+      // Rooms don't survive a reconnect
+      if (activeUser?.conversationId && !activeUser?.isSystem && !activeUser?.isFlagged) {
+        socket.emit("join_conversation", { conversationId: activeUser.conversationId });
+      }
+
+      // Ask for everything newer than the last message we have in each loaded conversation
+      // (a conversation opened from search only holds a window of older messages, so it's skipped)
+      const conversationsToSync = Object.entries(messagesRef.current)
+        .filter(([conversationId]) => Number(conversationId) !== jumpTargetRef.current?.conversationId)
+        .map(([conversationId, list]) => ({
+          conversationId: Number(conversationId),
+          lastMessageId: getLastMessageId(list),
+        }))
+        .filter(({ lastMessageId }) => lastMessageId);
+      if (conversationsToSync.length > 0) {
+        socket.emit("sync_messages", { conversations: conversationsToSync });
+      }
     });
 
     // Handle disconnection
@@ -156,12 +206,21 @@ const ChatContainer = () => {
           minute: "2-digit",
         }),
         timestamp: timestamp || date.toISOString(),
-        status: "delivered"
+        status: message.status || "sent",
+        replyToId: message.replyToId || null,
+        replyCount: message.replyCount || 0,
+        lastReplyAt: message.lastReplyAt || null,
+        reactions: message.reactions || [],
+        messageType: message.messageType || "text",
+        attachment: message.attachment || null,
+        mentions: message.mentions || [],
+        pinnedAt: message.pinnedAt || null,
       };
 
-      // Add message to state
+      // Add message to state (conversations that were never opened load their history when opened)
       setMessages(prev => {
-        const existingMessages = prev[conversationId] || [];
+        if (!prev[conversationId]) return prev;
+        const existingMessages = prev[conversationId];
         // Check if message already exists (avoid duplicates)
         if (existingMessages.some(m => m.id === transformedMessage.id)) {
           console.log('[Socket] ⚠️ Message already exists, skipping duplicate:', transformedMessage.id);
@@ -182,7 +241,7 @@ const ChatContainer = () => {
               ...conv,
               lastMessage: {
                 id: message.id,
-                content: message.content,
+                content: getMessagePreview(message),
                 senderId: message.senderId,
                 timestamp: timestamp,
               },
@@ -193,12 +252,48 @@ const ChatContainer = () => {
         });
       });
 
+      if (!isCurrentUser) {
+        socket.emit("message_delivered", { conversationId, messageIds: [message.id] });
+      }
+
       // Auto-mark as read if this is the active conversation
       if (activeUser?.conversationId === conversationId && !isCurrentUser) {
         socket.emit("mark_read", { conversationId, messageIds: [message.id] });
       }
     });
 
+    // Handle thread replies (they don't show up in the main timeline)
+    socket.on("thread_reply", (data) => {
+      const { conversationId, rootMessageId, message, replyCount, lastReplyAt } = data;
+      if (!conversationId || !rootMessageId || !message) return;
+
+      if (Number(message.senderId) !== Number(currentUserId)) {
+        socket.emit("message_delivered", { conversationId, messageIds: [message.id] });
+      }
+
+      setMessages(prev => ({
+        ...prev,
+        [conversationId]: updateMessageInList(prev[conversationId], rootMessageId, { replyCount, lastReplyAt }),
+      }));
+
+      setActiveThread(prev => {
+        if (!prev || prev.rootId !== rootMessageId) return prev;
+        if (prev.replies.some(reply => reply.id === message.id)) return prev;
+        return {
+          ...prev,
+          root: prev.root ? { ...prev.root, replyCount, lastReplyAt } : prev.root,
+          replies: [...prev.replies, toChatMessage(message)],
+        };
+      });
+    });
+
+    // Handle reaction changes on any message (timeline or thread)
+    socket.on("reaction_updated", (data) => {
+      const { conversationId, messageId, reactions } = data;
+      if (!conversationId || !messageId) return;
+      applyReactions(conversationId, messageId, reactions);
+    });
+
     // Handle typing indicators
     socket.on("user_typing", (data) => {
       const { conversationId, userId, isTyping } = data;
@@ -243,6 +338,133 @@ const ChatContainer = () => {
       }
     });
 
+    // Our messages reached every recipient
+    socket.on("messages_delivered", ({ conversationId, messageIds = [] }) => {
+      setMessages(prev => {
+        if (!prev[conversationId]) return prev;
+        return {
+          ...prev,
+          [conversationId]: prev[conversationId].map(msg =>
+            messageIds.includes(msg.id) && msg.status === "sent" ? { ...msg, status: "delivered" } : msg
+          ),
+        };
+      });
+    });
+
+    // A message we sent is waiting for a moderator before it is delivered
+    socket.on("message_held", ({ conversationId, reviewId, content }) => {
+      setMessages(prev => {
+        const list = prev[conversationId];
+        if (!list) return prev;
+        const index = list
+          .map(msg => String(msg.id).startsWith("temp-") && msg.status === "sending" && msg.text === content)
+          .lastIndexOf(true);
+        if (index === -1) return prev;
+        const updated = [...list];
+        updated[index] = { ...updated[index], status: "held", reviewId };
+        return { ...prev, [conversationId]: updated };
+      });
+      toast.info("Your message will be delivered once a moderator has reviewed it");
+    });
+
+    // A moderator decided on one of our held or flagged messages (approved ones arrive as new_message)
+    socket.on("message_review_resolved", ({ reviewId, conversationId, status }) => {
+      setMessages(prev => {
+        if (!prev[conversationId]) return prev;
+        return { ...prev, [conversationId]: prev[conversationId].filter(msg => msg.reviewId !== reviewId) };
+      });
+      if (status !== "approved") {
+        toast.warn("A moderator removed one of your messages");
+      }
+    });
+
+    // A moderator took a delivered message down
+    socket.on("message_removed", ({ conversationId, messageId }) => {
+      setMessages(prev => {
+        if (!prev[conversationId]) return prev;
+        return { ...prev, [conversationId]: prev[conversationId].filter(msg => msg.id !== messageId) };
+      });
+    });
+
+    // The retention policy deleted everything older than `before`
+    socket.on("messages_expired", ({ conversationId, before }) => {
+      const cutoff = new Date(before).getTime();
+      setMessages(prev => {
+        if (!prev[conversationId]) return prev;
+        return {
+          ...prev,
+          [conversationId]: prev[conversationId].filter(msg => new Date(msg.timestamp).getTime() >= cutoff),
+        };
+      });
+    });
+
+    // Someone pinned or unpinned a message
+    socket.on("message_pinned", ({ conversationId, message }) => applyPin(conversationId, message, true));
+    socket.on("message_unpinned", ({ conversationId, message }) => applyPin(conversationId, message, false));
+
+    // Messages we missed while disconnected
+    socket.on("messages_synced", ({ conversations: synced = [] }) => {
+      synced.forEach(({ conversationId, messages: missed = [], threadStats = {}, hasMore }) => {
+        const timeline = missed.filter(msg => !msg.replyToId).map(toChatMessage);
+        const replies = missed.filter(msg => msg.replyToId).map(toChatMessage);
+
+        setMessages(prev => {
+          const existing = prev[conversationId];
+          if (!existing) return prev;
+
+          // Too much was missed to patch in: drop the cache so the conversation reloads
+          if (hasMore) {
+            const { [conversationId]: _, ...rest } = prev;
+            return rest;
+          }
+
+          const known = new Set(existing.map(msg => msg.id));
+          const merged = [...existing, ...timeline.filter(msg => !known.has(msg.id))].map(msg =>
+            threadStats[msg.id] ? { ...msg, ...threadStats[msg.id] } : msg
+          );
+          return { ...prev, [conversationId]: merged };
+        });
+
+        setActiveThread(prev => {
+          if (!prev || prev.conversationId !== conversationId) return prev;
+          const known = new Set(prev.replies.map(reply => reply.id));
+          const newReplies = replies.filter(reply => reply.replyToId === prev.rootId && !known.has(reply.id));
+          if (newReplies.length === 0) return prev;
+          return {
+            ...prev,
+            root: prev.root && threadStats[prev.rootId] ? { ...prev.root, ...threadStats[prev.rootId] } : prev.root,
+            replies: [...prev.replies, ...newReplies],
+          };
+        });
+
+        const lastMessage = missed.filter(msg => !msg.replyToId).pop();
+        if (lastMessage) {
+          setConversations(prev => prev.map(conv => conv.id === conversationId
+            ? {
+                ...conv,
+                lastMessage: {
+                  id: lastMessage.id,
+                  content: getMessagePreview(lastMessage),
+                  senderId: lastMessage.senderId,
+                  timestamp: lastMessage.createdAt,
+                },
+                updatedAt: lastMessage.createdAt,
+              }
+            : conv));
+        }
+
+        const receivedIds = missed
+          .filter(msg => Number(msg.senderId) !== Number(currentUserId))
+          .map(msg => msg.id);
+        if (receivedIds.length > 0) {
+          socket.emit("message_delivered", { conversationId, messageIds: receivedIds });
+        }
+        if (activeUser?.conversationId === conversationId && receivedIds.length > 0) {
+          socket.emit("mark_read", { conversationId });
+        }
+      });
+    });
+
     // Handle user status changes (online/offline)
     socket.on("user_status_change", (data) => {
       const { userId, status } = data;
@@ -258,6 +480,11 @@ const ChatContainer = () => {
       });
     });
 
+    // Contacts that were already online when we connected
+    socket.on("presence_snapshot", ({ onlineUserIds = [] } = {}) => {
+      setOnlineUsers(new Set(onlineUserIds.map(Number)));
+    });
+
     // Handle joining conversation confirmation
     socket.on("joined_conversation", ({ conversationId }) => {
       console.log(`✅ Joined conversation ${conversationId}`);
@@ -279,6 +506,10 @@ const ChatContainer = () => {
     };
   }, [currentUserId, activeUser?.conversationId, usersMap, user]);
 
+  useEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
+
   // Join/leave conversation rooms when active user changes
   useEffect(() => {
     const socket = socketRef.current;
@@ -642,6 +873,8 @@ const ChatContainer = () => {
         lastSeen,
         isFavorite: conv.participant?.isFavorite || false,
         isArchived: conv.participant?.isArchived || false,
+        isMuted: conv.participant?.isMuted || false,
+        notificationMode: conv.participant?.notificationMode || "all",
         unreadCount: conv.participant?.unreadCount || 0,
         status: onlineUsers.has(conv.otherParticipantIds?.[0] || conv.participantIds?.[0]) ? "online" : "offline",
         avatar,
@@ -655,6 +888,14 @@ const ChatContainer = () => {
     });
   }, [conversations, usersMap]);
 
+  // People who can be @mentioned in the open conversation
+  const mentionCandidates = useMemo(() => {
+    const conversation = conversations.find(conv => conv.id === activeUser?.conversationId);
+    return (conversation?.participantIds || [])
+      .filter(id => Number(id) !== Number(currentUserId) && usersMap[id]?.name)
+      .map(id => ({ id: Number(id), name: usersMap[id].name }));
+  }, [conversations, usersMap, activeUser?.conversationId, currentUserId]);
+
   // Combine conversations with system notifications
   const allChatUsers = useMemo(() => {
     const chatUsers = [...transformedConversations];
@@ -719,6 +960,11 @@ const ChatContainer = () => {
 
       const conversationId = activeUser.conversationId;
 
+      // A search result is loading the messages around its match instead
+      if (jumpTargetRef.current?.conversationId === conversationId) {
+        return;
+      }
+
       // If messages already loaded, don't reload (unless it's a new group that might have welcome message)
       // For new groups, always fetch to ensure welcome message is visible
       const isNewGroup = activeUser?.isGroup && !messages[conversationId];
@@ -757,7 +1003,15 @@ const ChatContainer = () => {
               minute: "2-digit",
             }),
             timestamp: timestamp || date.toISOString(),
-            status: msg.status || "delivered"
+            status: msg.status || "delivered",
+            replyToId: msg.replyToId || null,
+            replyCount: msg.replyCount || 0,
+            lastReplyAt: msg.lastReplyAt || null,
+            reactions: msg.reactions || [],
+            messageType: msg.messageType || "text",
+            attachment: msg.attachment || null,
+            mentions: msg.mentions || [],
+            pinnedAt: msg.pinnedAt || null,
           };
         });
 
@@ -766,6 +1020,14 @@ const ChatContainer = () => {
           [conversationId]: transformedMessages,
         }));
 
+        // Acknowledge delivery of what we just loaded
+        const receivedIds = messagesData
+          .filter(msg => Number(msg.senderId) !== Number(currentUserId))
+          .map(msg => msg.id);
+        if (receivedIds.length > 0 && socketRef.current?.connected) {
+          socketRef.current.emit("message_delivered", { conversationId, messageIds: receivedIds });
+        }
+
         // Mark as read
         await markAsReadApi(conversationId);
       } catch (error) {
@@ -778,6 +1040,37 @@ const ChatContainer = () => {
     fetchMessages();
   }, [activeUser?.conversationId, currentUserId, usersMap]);
 
+  // Close the open thread when switching conversations
+  useEffect(() => {
+    setActiveThread(null);
+  }, [activeUser?.conversationId]);
+
+  // Load the pinned messages of the opened conversation
+  useEffect(() => {
+    const conversationId = activeUser?.conversationId;
+    if (!conversationId || activeUser?.isSystem || activeUser?.isFlagged) return;
+
+    getPinnedMessagesApi(conversationId)
+      .then((response) => {
+        const pinned = response?.data?.data || [];
+        setPinnedMessages(prev => ({ ...prev, [conversationId]: pinned }));
+      })
+      .catch((error) => console.error("Error fetching pinned messages:", error));
+  }, [activeUser?.conversationId]);
+
+  // Leaving a conversation opened from search: drop its partial history so it reloads from the latest messages
+  useEffect(() => {
+    if (!jumpTarget || jumpTarget.conversationId === activeUser?.conversationId) return;
+    if (jumpTarget.hasNewer) {
+      setMessages(prev => {
+        const { [jumpTarget.conversationId]: _, ...rest } = prev;
+        return rest;
+      });
+    }
+    jumpTargetRef.current = null;
+    setJumpTarget(null);
+  }, [activeUser?.conversationId]);
+
   // Set default active user if none selected and users are available
   useEffect(() => {
     if (!activeUser && filteredUsers?.length > 0 && !loadingConversations) {
@@ -818,6 +1111,321 @@ const ChatContainer = () => {
 
   const permissions = getRolePermissions();
 
+  // Transform a server message (thread root / reply) to frontend format
+  function toChatMessage(msg) {
+    const isCurrentUser = Number(msg.senderId) === Number(currentUserId);
+    const senderName = isCurrentUser
+      ? (user?.name || "You")
+      : (usersMap[msg.senderId]?.name || "Unknown");
+    const timestamp = msg.createdAt || msg.timestamp;
+    const date = timestamp ? new Date(timestamp) : new Date();
+
+    return {
+      id: msg.id,
+      sender: isCurrentUser ? "me" : senderName,
+      senderId: msg.senderId,
+      senderName,
+      senderRole: isCurrentUser
+        ? (user?.role || "developer")
+        : (usersMap[msg.senderId]?.role || "developer"),
+      text: msg.content || "",
+      time: date.toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      }),
+      timestamp: timestamp || date.toISOString(),
+      status: msg.status || "sent",
+      replyToId: msg.replyToId || null,
+      replyCount: msg.replyCount || 0,
+      lastReplyAt: msg.lastReplyAt || null,
+      reactions: msg.reactions || [],
+      messageType: msg.messageType || "text",
+      attachment: msg.attachment || null,
+      mentions: msg.mentions || [],
+      pinnedAt: msg.pinnedAt || null,
+    };
+  }
+
+  // Add or remove a message from the pinned list and update its pin marker wherever it is shown
+  function applyPin(conversationId, message, pinned) {
+    if (!conversationId || !message) return;
+    const pinnedAt = pinned ? message.pinnedAt : null;
+
+    setPinnedMessages(prev => {
+      if (!prev[conversationId]) return prev;
+      const others = prev[conversationId].filter(pin => pin.id !== message.id);
+      return { ...prev, [conversationId]: pinned ? [message, ...others] : others };
+    });
+    setMessages(prev => (prev[conversationId]
+      ? { ...prev, [conversationId]: updateMessageInList(prev[conversationId], message.id, { pinnedAt }) }
+      : prev));
+    setActiveThread(prev => {
+      if (!prev || prev.conversationId !== conversationId) return prev;
+      return {
+        ...prev,
+        root: prev.root?.id === message.id ? { ...prev.root, pinnedAt } : prev.root,
+        replies: updateMessageInList(prev.replies, message.id, { pinnedAt }),
+      };
+    });
+  }
+
+  // Replace the reactions of a message wherever it is shown
+  function applyReactions(conversationId, messageId, reactions) {
+    setMessages(prev => ({
+      ...prev,
+      [conversationId]: updateMessageInList(prev[conversationId], messageId, { reactions }),
+    }));
+    setActiveThread(prev => {
+      if (!prev || prev.conversationId !== conversationId) return prev;
+      return {
+        ...prev,
+        root: prev.root?.id === messageId ? { ...prev.root, reactions } : prev.root,
+        replies: updateMessageInList(prev.replies, messageId, { reactions }),
+      };
+    });
+  }
+
+  // Toggle the current user's reaction on a message
+  const handleReact = async (message, emoji) => {
+    const conversationId = activeUser?.conversationId;
+    if (!conversationId || !emoji || String(message.id).startsWith("temp-")) return;
+
+    const existing = (message.reactions || []).find(r => r.emoji === emoji);
+    const hasReacted = existing?.userIds?.some(id => Number(id) === Number(currentUserId));
+    const socket = socketRef.current;
+
+    try {
+      if (socket && socket.connected) {
+        socket.emit(hasReacted ? "remove_reaction" : "add_reaction", { messageId: message.id, emoji });
+        return;
+      }
+
+      const response = hasReacted
+        ? await removeReactionApi(message.id, emoji)
+        : await addReactionApi(message.id, emoji);
+      const data = response?.data?.data || response?.data;
+      if (data?.reactions) {
+        applyReactions(conversationId, message.id, data.reactions);
+      }
+    } catch (error) {
+      console.error("Error updating reaction:", error);
+    }
+  };
+
+  // Pin or unpin a message for everyone in the conversation
+  const handleTogglePin = async (message) => {
+    const conversationId = activeUser?.conversationId;
+    if (!conversationId || String(message.id).startsWith("temp-")) return;
+
+    const pinned = !message.pinnedAt;
+    try {
+      const response = pinned ? await pinMessageApi(message.id) : await unpinMessageApi(message.id);
+      applyPin(conversationId, response?.data?.data, pinned);
+    } catch (error) {
+      toast.error(error?.response?.data?.message || `Failed to ${pinned ? "pin" : "unpin"} message`);
+    }
+  };
+
+  // Change how the current user is notified about a conversation (mute, all / mentions / none)
+  const handleUpdateNotifications = async (conversationId, settings) => {
+    try {
+      const response = await updateParticipantSettingsApi(conversationId, settings);
+      const participant = response?.data?.data || settings;
+      setConversations(prev => prev.map(conv => conv.id === conversationId
+        ? {
+            ...conv,
+            participant: {
+              ...conv.participant,
+              isMuted: participant.isMuted ?? conv.participant?.isMuted,
+              notificationMode: participant.notificationMode || conv.participant?.notificationMode,
+            },
+          }
+        : conv));
+      setActiveUser(prev => (prev?.conversationId === conversationId
+        ? {
+            ...prev,
+            isMuted: participant.isMuted ?? prev.isMuted,
+            notificationMode: participant.notificationMode || prev.notificationMode,
+          }
+        : prev));
+    } catch (error) {
+      toast.error(error?.response?.data?.message || "Failed to update notification settings");
+    }
+  };
+
+  // Open the thread of a message (replies resolve to their root)
+  const handleOpenThread = async (message, conversationId = activeUser?.conversationId) => {
+    if (!conversationId || String(message.id).startsWith("temp-")) return;
+
+    const rootId = message.replyToId || message.id;
+    setActiveThread({ rootId, conversationId, root: null, replies: [], loading: true });
+
+    try {
+      const response = await getThreadApi(rootId, 50, 0);
+      const data = response?.data?.data || response?.data || {};
+      setActiveThread(prev => {
+        if (!prev || prev.rootId !== rootId) return prev;
+        return {
+          ...prev,
+          root: data.root ? toChatMessage(data.root) : null,
+          replies: (data.replies || []).map(toChatMessage),
+          loading: false,
+        };
+      });
+    } catch (error) {
+      console.error("Error fetching thread:", error);
+      setActiveThread(prev => (prev && prev.rootId === rootId ? { ...prev, loading: false } : prev));
+    }
+  };
+
+  // Open a search result: load the messages around it and highlight it (thread replies open their thread)
+  const handleJumpToMessage = async (result) => {
+    const conversation = filteredUsers.find(u => u?.conversationId === result.conversationId);
+    if (!conversation) return;
+
+    const conversationId = result.conversationId;
+    jumpTargetRef.current = { conversationId, messageId: result.id };
+    setActiveUser(conversation);
+    setSidebarOpen(false);
+
+    try {
+      setLoadingMessages(prev => ({ ...prev, [conversationId]: true }));
+      const response = await getMessagesAroundApi(conversationId, result.id, 50);
+      const messagesData = response?.data?.data || [];
+      const context = response?.data?.context || {};
+
+      setMessages(prev => ({
+        ...prev,
+        [conversationId]: messagesData.map(toChatMessage),
+      }));
+      setJumpTarget({
+        conversationId,
+        messageId: context.anchorMessageId || result.id,
+        hasNewer: Boolean(context.hasNewer),
+      });
+
+      if (result.replyToId) {
+        handleOpenThread({ id: result.id, replyToId: result.replyToId }, conversationId);
+      }
+    } catch (error) {
+      console.error("Error jumping to message:", error);
+      jumpTargetRef.current = null;
+    } finally {
+      setLoadingMessages(prev => ({ ...prev, [conversationId]: false }));
+    }
+  };
+
+  // Leave the search context and reload the latest messages of the conversation
+  const handleJumpToLatest = async () => {
+    const conversationId = jumpTarget?.conversationId;
+    if (!conversationId) return;
+
+    try {
+      const response = await getMessagesApi(conversationId, 50, 0);
+      const messagesData = response?.data?.data || response?.data || [];
+      setMessages(prev => ({
+        ...prev,
+        [conversationId]: messagesData.map(toChatMessage),
+      }));
+      await markAsReadApi(conversationId);
+    } catch (error) {
+      console.error("Error fetching latest messages:", error);
+    } finally {
+      jumpTargetRef.current = null;
+      setJumpTarget(null);
+    }
+  };
+
+  // Upload a file and send it as a message (errors are shown by ChatBox)
+  const handleSendFile = async (file, caption, audioMetadata) => {
+    const conversationId = activeUser?.conversationId;
+    if (!conversationId || !permissions?.canSendMessages) return;
+
+    const uploadResponse = await uploadAttachmentApi(conversationId, file, audioMetadata);
+    const attachment = uploadResponse?.data?.data || uploadResponse?.data;
+    if (!attachment?.id) {
+      throw new Error("Upload failed");
+    }
+
+    const socket = socketRef.current;
+    if (socket && socket.connected) {
+      // The message comes back through new_message
+      socket.emit("send_message", {
+        conversationId,
+        content: caption || "",
+        attachmentId: attachment.id,
+      });
+      return;
+    }
+
+    const response = await sendMessageApi({
+      conversationId,
+      content: caption || "",
+      attachmentId: attachment.id,
+    });
+    const message = response?.data?.data || response?.data;
+    if (!message?.id) return;
+
+    setMessages(prev => {
+      const existingMessages = prev[conversationId] || [];
+      if (existingMessages.some(m => m.id === message.id)) return prev;
+      return {
+        ...prev,
+        [conversationId]: [...existingMessages, toChatMessage(message)],
+      };
+    });
+  };
+
+  // Reply inside the open thread
+  const handleSendThreadReply = async (text) => {
+    if (!text?.trim() || !activeThread?.rootId || !permissions?.canSendMessages) return;
+
+    const { conversationId, rootId } = activeThread;
+    const socket = socketRef.current;
+
+    try {
+      if (socket && socket.connected) {
+        // The server answers with a thread_reply event for everyone, including us
+        socket.emit("send_message", {
+          conversationId,
+          content: text.trim(),
+          messageType: "text",
+          replyToId: rootId,
+        });
+        return;
+      }
+
+      const response = await sendMessageApi({
+        conversationId,
+        content: text.trim(),
+        messageType: "text",
+        replyToId: rootId,
+      });
+      const reply = response?.data?.data || response?.data;
+      if (!reply?.id) return;
+
+      setActiveThread(prev => {
+        if (!prev || prev.rootId !== rootId || prev.replies.some(r => r.id === reply.id)) return prev;
+        const replyCount = (prev.root?.replyCount || 0) + 1;
+        return {
+          ...prev,
+          root: prev.root ? { ...prev.root, replyCount, lastReplyAt: reply.createdAt } : prev.root,
+          replies: [...prev.replies, toChatMessage(reply)],
+        };
+      });
+      setMessages(prev => ({
+        ...prev,
+        [conversationId]: (prev[conversationId] || []).map(msg =>
+          msg.id === rootId
+            ? { ...msg, replyCount: (msg.replyCount || 0) + 1, lastReplyAt: reply.createdAt }
+            : msg
+        ),
+      }));
+    } catch (error) {
+      console.error("Error sending thread reply:", error);
+    }
+  };
+
   const handleSend = async (text) => {
     console.log('[HandleSend] Starting send message process', { 
       text: text?.trim(), 
@@ -895,11 +1503,13 @@ const ChatContainer = () => {
         });
         
         console.log('[HandleSend] ✅ REST API response:', response);
+        // 202: the message is waiting for moderation review
+        const heldReview = response?.data?.status === 202 ? response.data.data : null;
 
         // Optimistically add message to UI
         const currentMessages = messages?.[conversationId] || [];
         const newMessage = {
-          id: Date.now(), // Temporary ID
+          id: heldReview ? `temp-${Date.now()}` : Date.now(), // Temporary ID
           sender: "me",
           senderId: currentUserId, // Include senderId for robust isSent check
           senderName: user?.name || "You",
@@ -910,7 +1520,8 @@ const ChatContainer = () => {
             minute: "2-digit",
           }),
           timestamp: new Date().toISOString(),
-          status: "sent"
+          status: heldReview ? "held" : "sent",
+          reviewId: heldReview?.reviewId,
         };
         
         setMessages(prev => ({
@@ -918,6 +1529,11 @@ const ChatContainer = () => {
           [conversationId]: [...currentMessages, newMessage],
         }));
 
+        if (heldReview) {
+          toast.info("Your message will be delivered once a moderator has reviewed it");
+          return;
+        }
+
         // Refresh messages to get the actual message from server
         try {
           console.log('[HandleSend] 🔄 Refreshing messages from server...');
@@ -949,7 +1565,13 @@ const ChatContainer = () => {
                 minute: "2-digit",
               }),
               timestamp: timestamp || date.toISOString(),
-              status: msg.status || "delivered"
+              status: msg.status || "delivered",
+              replyToId: msg.replyToId || null,
+              replyCount: msg.replyCount || 0,
+              lastReplyAt: msg.lastReplyAt || null,
+              reactions: msg.reactions || [],
+              messageType: msg.messageType || "text",
+              attachment: msg.attachment || null,
             };
           });
 
@@ -1106,12 +1728,24 @@ const ChatContainer = () => {
             }}
             userRole={user?.role}
             permissions={permissions}
+            usersMap={usersMap}
+            currentUserId={currentUserId}
+            onSelectSearchResult={handleJumpToMessage}
           />
         </div>
 
         {/* Chat Area */}
         <div className="flex flex-col flex-1 bg-gradient-to-b from-slate-900 to-indigo-900">
-          {activeUser && <ChatHeader user={activeUser} permissions={permissions} />}
+          {activeUser && (
+            <ChatHeader user={activeUser} permissions={permissions} onUpdateNotifications={handleUpdateNotifications} />
+          )}
+          <PinnedMessagesBar
+            pinnedMessages={pinnedMessages[activeUser?.conversationId] || []}
+            usersMap={usersMap}
+            currentUserId={currentUserId}
+            onOpen={handleJumpToMessage}
+            onUnpin={activeUser?.isFlagged ? undefined : (message) => handleTogglePin(message)}
+          />
           <MessageList 
             messages={activeUser?.conversationId 
               ? (messages?.[activeUser.conversationId] || []) 
@@ -1119,12 +1753,22 @@ const ChatContainer = () => {
             isLoading={loadingMessages[activeUser?.conversationId] || false}
             typingUsers={typingUsers[activeUser?.conversationId] || new Set()}
             currentUserId={currentUserId}
+            onReact={activeUser?.isFlagged ? undefined : handleReact}
+            onOpenThread={handleOpenThread}
+            onTogglePin={activeUser?.isFlagged ? undefined : handleTogglePin}
+            highlightMessageId={
+              jumpTarget?.conversationId === activeUser?.conversationId ? jumpTarget?.messageId : null
+            }
+            hasNewer={jumpTarget?.conversationId === activeUser?.conversationId && jumpTarget?.hasNewer}
+            onJumpToLatest={handleJumpToLatest}
           />
           {permissions?.canSendMessages && !activeUser?.isFlagged && (
             <ChatBox 
               onSend={handleSend} 
+              onSendFile={handleSendFile}
               onTyping={handleTyping}
               typingUsers={typingUsers[activeUser?.conversationId] || new Set()}
+              mentionCandidates={mentionCandidates}
             />
           )}
           {!permissions?.canSendMessages && (
@@ -1136,6 +1780,22 @@ const ChatContainer = () => {
             </div>
           )}
         </div>
+
+        {/* Thread side panel */}
+        {activeThread && activeThread.conversationId === activeUser?.conversationId && (
+          <div className="fixed inset-0 z-30 sm:static sm:z-auto flex">
+            <ThreadPanel
+              thread={activeThread}
+              currentUserId={currentUserId}
+              onClose={() => setActiveThread(null)}
+              onReact={activeUser?.isFlagged ? undefined : handleReact}
+              onTogglePin={activeUser?.isFlagged ? undefined : handleTogglePin}
+              onSend={handleSendThreadReply}
+              canReply={permissions?.canSendMessages && !activeUser?.isFlagged}
+              mentionCandidates={mentionCandidates}
+            />
+          </div>
+        )}
       </div>
     </>
   );
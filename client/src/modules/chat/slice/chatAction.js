@@ -43,12 +43,90 @@ export const getMessagesApi = async (conversationId, limit = 50, offset = 0) =>
   return await fetchFromApiServer("GET", url);
 };
 
+// Get the messages around one message (to show a search result in context)
+export const getMessagesAroundApi = async (conversationId, messageId, limit = 50) => {
+  const url = `api/v1/chat/conversations/${conversationId}/messages?around=${messageId}&limit=${limit}`;
+  return await fetchFromApiServer("GET", url);
+};
+
+// Full-text search across the user's conversations
+export const searchMessagesApi = async (params = {}) => {
+  const { q, conversationId, senderId, messageType, from, to, limit, offset } = params;
+  const queryParams = new URLSearchParams();
+
+  queryParams.append("q", q || "");
+  if (conversationId) queryParams.append("conversationId", conversationId);
+  if (senderId) queryParams.append("senderId", senderId);
+  if (messageType) queryParams.append("messageType", messageType);
+  if (from) queryParams.append("from", from);
+  if (to) queryParams.append("to", to);
+  if (limit) queryParams.append("limit", limit);
+  if (offset) queryParams.append("offset", offset);
+
+  const url = `api/v1/chat/search?${queryParams.toString()}`;
+  return await fetchFromApiServer("GET", url);
+};
+
 // Send a message
 export const sendMessageApi = async (messageData) => {
   const url = `api/v1/chat/messages`;
   return await fetchFromApiServer("POST", url, messageData);
 };
 
+// Upload a file to a conversation (sent afterwards with sendMessage / send_message using attachmentId)
+// Voice notes also pass { duration (seconds), waveform (0-100 peaks) } for the player
+export const uploadAttachmentApi = async (conversationId, file, audioMetadata = {}) => {
+  const url = `api/v1/chat/attachments`;
+  const formData = new FormData();
+  formData.append("conversationId", conversationId);
+  formData.append("file", file);
+  if (audioMetadata.duration) formData.append("duration", audioMetadata.duration);
+  if (audioMetadata.waveform?.length) formData.append("waveform", JSON.stringify(audioMetadata.waveform));
+  return await fetchFromApiServer("MULTIPART", url, formData);
+};
+
+// Attachment URLs from local storage are relative to the API server
+export const getAttachmentUrl = (url) => {
+  if (!url || /^https?:\/\//.test(url)) return url;
+  return `${(import.meta.env.VITE_API_URL || "").replace(/\/+$/, "")}${url}`;
+};
+
+// Get a message thread (root message + replies)
+export const getThreadApi = async (messageId, limit = 50, offset = 0) => {
+  const url = `api/v1/chat/messages/${messageId}/thread?limit=${limit}&offset=${offset}`;
+  return await fetchFromApiServer("GET", url);
+};
+
+// Add an emoji reaction to a message
+export const addReactionApi = async (messageId, emoji) => {
+  const url = `api/v1/chat/messages/${messageId}/reactions`;
+  return await fetchFromApiServer("POST", url, { emoji });
+};
+
+// Remove an emoji reaction from a message
+export const removeReactionApi = async (messageId, emoji) => {
+  const url = `api/v1/chat/messages/${messageId}/reactions/${encodeURIComponent(emoji)}`;
+  return await fetchFromApiServer("DELETE", url);
+};
+
+// Get the pinned messages of a conversation
+export const getPinnedMessagesApi = async (conversationId) => {
+  const url = `api/v1/chat/conversations/${conversationId}/pins`;
+  return await fetchFromApiServer("GET", url);
+};
+
+// Pin a message to its conversation
+export const pinMessageApi = async (messageId) => {
+  const url = `api/v1/chat/messages/${messageId}/pin`;
+  return await fetchFromApiServer("POST", url);
+};
+
+// Unpin a message
+export const unpinMessageApi = async (messageId) => {
+  const url = `api/v1/chat/messages/${messageId}/pin`;
+  return await fetchFromApiServer("DELETE", url);
+};
+
 // Mark messages as read
 export const markAsReadApi = async (conversationId, messageIds = null) => {
   const url = `api/v1/chat/conversations/${conversationId}/read`;
@@ -74,7 +152,7 @@ export const createGroupConversationApi = async (groupData) => {
   return await fetchFromApiServer("POST", url, groupData);
 };
 
-// Update participant settings (archive, favorite, mute)
+// Update participant settings (archive, favorite, mute, notificationMode: all | mentions | none)
 export const updateParticipantSettingsApi = async (conversationId, settings) => {
   const url = `api/v1/chat/conversations/${conversationId}/participant`;
   return await fetchFromApiServer("PUT", url, settings);
@@ -110,3 +188,67 @@ export const deleteGroupConversationApi = async (conversationId) => {
   return await fetchFromApiServer("DELETE", url);
 };
 
+// Get scheduled messages of a group conversation
+export const getScheduledMessagesApi = async (conversationId) => {
+  const url = `api/v1/chat/conversations/${conversationId}/scheduled-messages`;
+  return await fetchFromApiServer("GET", url);
+};
+
+// Schedule a system message in a group (project owners only)
+export const createScheduledMessageApi = async (conversationId, scheduleData) => {
+  const url = `api/v1/chat/conversations/${conversationId}/scheduled-messages`;
+  return await fetchFromApiServer("POST", url, scheduleData);
+};
+
+// Update, pause or resume a scheduled message (project owners only)
+export const updateScheduledMessageApi = async (conversationId, scheduleId, updates) => {
+  const url = `api/v1/chat/conversations/${conversationId}/scheduled-messages/${scheduleId}`;
+  return await fetchFromApiServer("PUT", url, updates);
+};
+
+// Delete a scheduled message (project owners only)
+export const deleteScheduledMessageApi = async (conversationId, scheduleId) => {
+  const url = `api/v1/chat/conversations/${conversationId}/scheduled-messages/${scheduleId}`;
+  return await fetchFromApiServer("DELETE", url);
+};
+
+// Get the moderation review queue (admins only)
+export const getModerationReviewsApi = async (params = {}) => {
+  const { status, conversationId, limit, offset } = params;
+  const queryParams = new URLSearchParams();
+
+  if (status) queryParams.append("status", status);
+  if (conversationId) queryParams.append("conversationId", conversationId);
+  if (limit) queryParams.append("limit", limit);
+  if (offset) queryParams.append("offset", offset);
+
+  const url = `api/v1/chat/moderation/reviews?${queryParams.toString()}`;
+  return await fetchFromApiServer("GET", url);
+};
+
+// Approve, remove or warn on a moderation review (admins only)
+export const resolveModerationReviewApi = async (reviewId, resolution) => {
+  const url = `api/v1/chat/moderation/reviews/${reviewId}/resolve`;
+  return await fetchFromApiServer("POST", url, resolution);
+};
+
+// Download a conversation export (admins and project owners); format is "json" or "html"
+export const exportConversationApi = async (conversationId, format = "json", includeDeleted = false) => {
+  const url = `api/v1/chat/conversations/${conversationId}/export`;
+  return await fetchFromApiServer("BLOB", url, null, {
+    format,
+    ...(includeDeleted ? { includeDeleted: "true" } : {}),
+  });
+};
+
+// Get the retention policy of a conversation
+export const getRetentionPolicyApi = async (conversationId) => {
+  const url = `api/v1/chat/conversations/${conversationId}/retention`;
+  return await fetchFromApiServer("GET", url);
+};
+
+// Set the retention policy (null = default, 0 = keep forever, N = delete messages older than N days)
+export const updateRetentionPolicyApi = async (conversationId, retentionDays) => {
+  const url = `api/v1/chat/conversations/${conversationId}/retention`;
+  return await fetchFromApiServer("PUT", url, { retentionDays });
+};
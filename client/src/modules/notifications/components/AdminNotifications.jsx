@@ -74,22 +74,12 @@ const AdminNotifications = ({ user }) => {
   const [sortBy, setSortBy] = useState("newest");
   const [showArchived, setShowArchived] = useState(false);
 
-  // Fetch notifications on component mount
+  // Fetch notifications on component mount; later changes are pushed over the socket
   useEffect(() => {
     dispatch(getNotifications({ archived: false }));
     dispatch(getUnreadCount());
   }, [dispatch]);
 
-  // Refresh notifications periodically
-  useEffect(() => {
-    const interval = setInterval(() => {
-      dispatch(getNotifications({ archived: false }));
-      dispatch(getUnreadCount());
-    }, 30000); // Refresh every 30 seconds
-
-    return () => clearInterval(interval);
-  }, [dispatch]);
-
   const handleMarkRead = async (id) => {
     try {
       await dispatch(markAsRead(id)).unwrap();
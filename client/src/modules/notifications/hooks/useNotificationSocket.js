@@ -0,0 +1,34 @@
+import { useEffect } from "react";
+import { useDispatch } from "react-redux";
+import { connectSocket } from "../../../services/socket";
+import { getUnreadCount, notificationReceived, notificationsUpdated } from "../slice/notificationSlice";
+
+/**
+ * Keep the notifications store live: applies notifications and unread-count changes
+ * pushed over the socket, and re-syncs the unread count after a reconnect
+ */
+export const useNotificationSocket = (enabled = true) => {
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const socket = connectSocket();
+    if (!socket) return undefined;
+
+    const handleCreated = (payload) => dispatch(notificationReceived(payload));
+    const handleUpdated = (payload) => dispatch(notificationsUpdated(payload));
+    // Pushes sent while the socket was down are lost
+    const handleReconnect = () => dispatch(getUnreadCount());
+
+    socket.on("notification_created", handleCreated);
+    socket.on("notifications_updated", handleUpdated);
+    socket.io.on("reconnect", handleReconnect);
+
+    return () => {
+      socket.off("notification_created", handleCreated);
+      socket.off("notifications_updated", handleUpdated);
+      socket.io.off("reconnect", handleReconnect);
+    };
+  }, [enabled, dispatch]);
+};
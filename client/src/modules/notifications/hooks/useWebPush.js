@@ -0,0 +1,64 @@
+import { useEffect } from "react";
+import {
+  isPushSupported,
+  getPushSubscription,
+  subscribeToPush,
+  unsubscribeFromPush,
+} from "../../../services/sw/serviceWorker";
+import {
+  getPushPublicKeyApi,
+  savePushSubscriptionApi,
+  deletePushSubscriptionApi,
+} from "../slice/notificationAction";
+
+const getPushConfig = async () => {
+  const response = await getPushPublicKeyApi();
+  return response?.data?.data || { enabled: false, publicKey: null };
+};
+
+/**
+ * Turn on push notifications for this browser (prompts for permission; call from a click).
+ * Resolves to "enabled", "denied" (permission refused), "unsupported" or "not_configured".
+ */
+export const enableWebPush = async () => {
+  if (!isPushSupported()) return "unsupported";
+  const { enabled, publicKey } = await getPushConfig();
+  if (!enabled || !publicKey) return "not_configured";
+
+  const subscription = await subscribeToPush(publicKey);
+  if (!subscription) return "denied";
+
+  await savePushSubscriptionApi(subscription);
+  return "enabled";
+};
+
+// Turn off push notifications for this browser
+export const disableWebPush = async () => {
+  const endpoint = await unsubscribeFromPush();
+  if (endpoint) {
+    await deletePushSubscriptionApi(endpoint).catch(() => {});
+  }
+};
+
+// On logout: stop pushes for this user but keep the browser subscription for the next login
+export const detachWebPush = async () => {
+  const subscription = await getPushSubscription().catch(() => null);
+  if (subscription) {
+    await deletePushSubscriptionApi(subscription.endpoint).catch(() => {});
+  }
+};
+
+/**
+ * Re-register this browser's existing push subscription for the logged-in user,
+ * so a rotated subscription or a new login on the same device keeps receiving pushes.
+ * Never prompts: new subscriptions are only created from notification settings.
+ */
+export const useWebPush = (enabled = true) => {
+  useEffect(() => {
+    if (!enabled || !isPushSupported() || Notification.permission !== "granted") return;
+
+    getPushSubscription()
+      .then((subscription) => subscription && savePushSubscriptionApi(subscription.toJSON()))
+      .catch((error) => console.error("Failed to sync push subscription:", error));
+  }, [enabled]);
+};
@@ -53,3 +53,21 @@ export const deleteAllNotificationsApi = async () => {
   return await fetchFromApiServer("DELETE", url);
 };
 
+
+// Web Push: VAPID public key ({ enabled, publicKey })
+export const getPushPublicKeyApi = async () => {
+  const url = `api/v1/user/notifications/push/public-key`;
+  return await fetchFromApiServer("GET", url);
+};
+
+// Web Push: save this browser's PushSubscription
+export const savePushSubscriptionApi = async (subscription) => {
+  const url = `api/v1/user/notifications/push/subscriptions`;
+  return await fetchFromApiServer("POST", url, { subscription });
+};
+
+// Web Push: remove this browser's subscription
+export const deletePushSubscriptionApi = async (endpoint) => {
+  const url = `api/v1/user/notifications/push/subscriptions`;
+  return await fetchFromApiServer("DELETE", url, { endpoint });
+};
@@ -122,6 +122,35 @@ const notificationSlice = createSlice({
     clearError: (state) => {
       state.error = null;
     },
+    // Pushed over the socket when a notification is created for the user
+    notificationReceived: (state, action) => {
+      const { notification, unreadCount } = action.payload || {};
+      if (notification && !state.notifications.some((n) => n.id === notification.id)) {
+        state.notifications.unshift(notification);
+      }
+      if (typeof unreadCount === "number") {
+        state.unreadCount = unreadCount;
+      }
+    },
+    // Pushed over the socket when notifications are read or deleted (possibly in another tab)
+    notificationsUpdated: (state, action) => {
+      const { action: change, notificationId, unreadCount } = action.payload || {};
+      if (change === "read") {
+        const notification = state.notifications.find((n) => n.id === notificationId);
+        if (notification) {
+          notification.read = true;
+        }
+      } else if (change === "read_all") {
+        state.notifications = state.notifications.map((n) => ({ ...n, read: true }));
+      } else if (change === "deleted") {
+        state.notifications = state.notifications.filter((n) => n.id !== notificationId);
+      } else if (change === "deleted_all") {
+        state.notifications = [];
+      }
+      if (typeof unreadCount === "number") {
+        state.unreadCount = unreadCount;
+      }
+    },
   },
   extraReducers: (builder) => {
     // Get notifications
@@ -207,6 +236,6 @@ const notificationSlice = createSlice({
   },
 });
 
-export const { clearNotifications, clearError } = notificationSlice.actions;
+export const { clearNotifications, clearError, notificationReceived, notificationsUpdated } = notificationSlice.actions;
 export default notificationSlice.reducer;
 
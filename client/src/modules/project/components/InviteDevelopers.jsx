@@ -19,6 +19,8 @@ import {
 } from 'lucide-react';
 import { toast } from 'react-toastify';
 import { getDevelopers, createInvite, listProjects, generateApplicantsReport } from '../slice/projectSlice';
+import { getUpgradeRequired } from '../../billingsubscription/utils/subscriptionLimits';
+import UpgradePrompt from '../../billingsubscription/components/UpgradePrompt';
 
 const InviteDevelopers = ({ selectedProject, onClose, onInviteSent }) => {
   const dispatch = useDispatch();
@@ -35,6 +37,7 @@ const InviteDevelopers = ({ selectedProject, onClose, onInviteSent }) => {
   const [showInviteModal, setShowInviteModal] = useState(false);
   const [selectedDeveloper, setSelectedDeveloper] = useState(null);
   const [customMessage, setCustomMessage] = useState('');
+  const [upgradeRequired, setUpgradeRequired] = useState(null);
   const [currentProject, setCurrentProject] = useState(selectedProject);
   const [showProjectSelector, setShowProjectSelector] = useState(false);
   const [showExportModal, setShowExportModal] = useState(false);
@@ -278,6 +281,14 @@ const InviteDevelopers = ({ selectedProject, onClose, onInviteSent }) => {
       console.error('Invite error - Error message:', error?.message);
       console.error('Invite error - Error response:', error?.response);
       console.error('Invite error - Error response data:', error?.response?.data);
+
+      // Over the plan's invite limit: offer an upgrade instead of an error toast
+      const upgrade = getUpgradeRequired(error);
+      if (upgrade) {
+        setShowInviteModal(false);
+        setUpgradeRequired(upgrade);
+        return;
+      }
       
       // Extract error message from various possible locations
       let errorMessage = 'Failed to send invitation';
@@ -939,6 +950,13 @@ const InviteDevelopers = ({ selectedProject, onClose, onInviteSent }) => {
             </div>
           </Modal>
         )}
+
+      <UpgradePrompt
+        isOpen={Boolean(upgradeRequired)}
+        onClose={() => setUpgradeRequired(null)}
+        title="Invite Limit Reached"
+        upgrade={upgradeRequired}
+      />
     </Modal>
   );
 };
@@ -50,7 +50,7 @@ import {
 import { Input, Button } from "../../../components";
 import { createProject, generateProjectDescription, generateRequirements, generateBenefits, generateBudgetSuggestions, updateProject, listProjects } from "../slice/projectSlice";
 import { getSearchSuggestionsApi } from "../slice/projectAction";
-import { canPostProject, getProjectLimit, getRemainingProjectSlots } from "../../billingsubscription/utils/subscriptionLimits";
+import { canPostProject, getProjectLimit, getRemainingProjectSlots, getUpgradeRequired } from "../../billingsubscription/utils/subscriptionLimits";
 import UpgradePrompt from "../../billingsubscription/components/UpgradePrompt";
 import { getBillingData } from "../../billingsubscription/slice/billingSlice";
 
@@ -110,6 +110,7 @@ const ProjectForm = forwardRef(({ dispatch: propDispatch, onProjectCreated, onPr
   const { user } = useSelector((state) => state.user);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showUpgradePrompt, setShowUpgradePrompt] = useState(false);
+  const [upgradeRequired, setUpgradeRequired] = useState(null);
   const isEditMode = Boolean(editingProject && editingProject.id);
   
   // Get current subscription and project count
@@ -256,6 +257,16 @@ const ProjectForm = forwardRef(({ dispatch: propDispatch, onProjectCreated, onPr
     return Object.keys(newErrors).length === 0;
   };
 
+  // Plan limits enforced by the server (projects, AI credits) come back as UPGRADE_REQUIRED errors
+  const showUpgradeIfRequired = (error) => {
+    const upgrade = getUpgradeRequired(error);
+    if (upgrade) {
+      setUpgradeRequired(upgrade);
+      setShowUpgradePrompt(true);
+    }
+    return Boolean(upgrade);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -370,6 +381,7 @@ const ProjectForm = forwardRef(({ dispatch: propDispatch, onProjectCreated, onPr
       console.error('Error creating project:', error);
       setIsSubmitting(false);
       // Error handling is done by Redux slice
+      showUpgradeIfRequired(error);
     }
   };
 
@@ -625,7 +637,7 @@ const ProjectForm = forwardRef(({ dispatch: propDispatch, onProjectCreated, onPr
                               setFormData({ ...formData, description: description.slice(0, 1000) });
                             }
                           } catch (e) {
-                            // ignore
+                            showUpgradeIfRequired(e);
                           } finally {
                             setGeneratingDesc(false);
                           }
@@ -978,8 +990,9 @@ const ProjectForm = forwardRef(({ dispatch: propDispatch, onProjectCreated, onPr
                             const res = await dispatch(generateRequirements(payload)).unwrap();
                             const requirements = res?.requirements || projectState?.aiSuggestions?.requirements || '';
                             if (requirements) setFormData({ ...formData, requirements });
-                          } catch {}
-                          finally {
+                          } catch (e) {
+                            showUpgradeIfRequired(e);
+                          } finally {
                             setGeneratingReq(false);
                           }
                         }}
@@ -1014,8 +1027,9 @@ const ProjectForm = forwardRef(({ dispatch: propDispatch, onProjectCreated, onPr
                             const res = await dispatch(generateBenefits(payload)).unwrap();
                             const benefits = res?.benefits || projectState?.aiSuggestions?.benefits || '';
                             if (benefits) setFormData({ ...formData, benefits });
-                          } catch {}
-                          finally {
+                          } catch (e) {
+                            showUpgradeIfRequired(e);
+                          } finally {
                             setGeneratingBenefits(false);
                           }
                         }}
@@ -1258,8 +1272,20 @@ const ProjectForm = forwardRef(({ dispatch: propDispatch, onProjectCreated, onPr
         )}
       </div>
 
+      {/* Upgrade Prompt for plan limits reported by the server (projects, AI credits) */}
+      {upgradeRequired && (
+        <UpgradePrompt
+          isOpen={showUpgradePrompt}
+          onClose={() => {
+            setShowUpgradePrompt(false);
+            setUpgradeRequired(null);
+          }}
+          upgrade={upgradeRequired}
+        />
+      )}
+
       {/* Upgrade Prompt for Project Limit */}
-      {!isEditMode && (user?.role === 'project-owner' || user?.role === 'project_owner') && (
+      {!upgradeRequired && !isEditMode && (user?.role === 'project-owner' || user?.role === 'project_owner') && (
         <UpgradePrompt
           isOpen={showUpgradePrompt}
           onClose={() => setShowUpgradePrompt(false)}
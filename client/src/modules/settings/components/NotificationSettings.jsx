@@ -33,6 +33,14 @@ import {
   updateQuietHoursLocal,
   resetNotificationSuccess,
 } from "../slice/settingsSlice";
+import { enableWebPush, disableWebPush } from "../../notifications/hooks/useWebPush";
+import { isPushSupported, getPushSubscription } from "../../../services/sw/serviceWorker";
+
+const WEB_PUSH_MESSAGES = {
+  denied: "Browser notifications are blocked. Allow them in your browser settings to get push alerts.",
+  unsupported: "This browser doesn't support push notifications.",
+  not_configured: "Push notifications aren't available on this server yet.",
+};
 
 export default function NotificationSettings() {
   const dispatch = useDispatch();
@@ -52,6 +60,8 @@ export default function NotificationSettings() {
   const [localFrequency, setLocalFrequency] = useState(notificationFrequency);
   const [localQuietHours, setLocalQuietHours] = useState(quietHours);
   const [isBulkSave, setIsBulkSave] = useState(false);
+  // Whether this browser is subscribed to Web Push (the "push" toggle is account-wide)
+  const [pushDeviceEnabled, setPushDeviceEnabled] = useState(false);
 
   // Load settings on component mount
   useEffect(() => {
@@ -60,6 +70,31 @@ export default function NotificationSettings() {
     dispatch(getQuietHours());
   }, [dispatch]);
 
+  useEffect(() => {
+    getPushSubscription()
+      .then((subscription) => setPushDeviceEnabled(Boolean(subscription)))
+      .catch(() => setPushDeviceEnabled(false));
+  }, []);
+
+  // Must run from the click itself: browsers only show the permission prompt for user actions
+  const updatePushDevice = async (enable) => {
+    try {
+      if (!enable) {
+        await disableWebPush();
+        setPushDeviceEnabled(false);
+        return;
+      }
+      const result = await enableWebPush();
+      setPushDeviceEnabled(result === "enabled");
+      if (WEB_PUSH_MESSAGES[result]) {
+        toast.warn(WEB_PUSH_MESSAGES[result]);
+      }
+    } catch (error) {
+      console.error('Failed to update push subscription:', error);
+      toast.error('Failed to update push notifications for this browser.');
+    }
+  };
+
   // Update local state when Redux state changes
   useEffect(() => {
     setLocalNotifPrefs(notificationSettings);
@@ -89,6 +124,10 @@ export default function NotificationSettings() {
     const newValue = !localNotifPrefs[type];
     const oldValue = localNotifPrefs[type];
     
+    if (type === 'push') {
+      updatePushDevice(newValue);
+    }
+
     // Optimistically update UI
     setLocalNotifPrefs((prev) => ({ ...prev, [type]: newValue }));
     dispatch(updateNotificationPreference({ key: type, value: newValue }));
@@ -354,7 +393,15 @@ export default function NotificationSettings() {
               </div>
               
               {/* Status Badge */}
-              <div className="flex justify-end">
+              <div className="flex justify-end items-center gap-2">
+                {key === "push" && localNotifPrefs.push && !pushDeviceEnabled && isPushSupported() && (
+                  <button
+                    onClick={() => updatePushDevice(true)}
+                    className="text-xs text-purple-300 hover:text-purple-200 underline"
+                  >
+                    Enable on this browser
+                  </button>
+                )}
                 <Badge
                   variant={localNotifPrefs[key] ? "success" : "error"}
                   className="text-xs"
@@ -476,6 +523,10 @@ export default function NotificationSettings() {
                   className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
                 />
               </div>
+              <p className="col-span-2 text-xs text-gray-400">
+                Email, SMS and push notifications are held until quiet hours end
+                {localQuietHours.timezone ? ` (${localQuietHours.timezone})` : ""}. Security alerts are always sent.
+              </p>
             </div>
           )}
         </div>
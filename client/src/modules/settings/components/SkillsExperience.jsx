@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { toast } from "react-toastify";
-import { Code, MapPin, Clock, Save, Loader2, Plus, X } from "lucide-react";
+import { Code, MapPin, Clock, DollarSign, Save, Loader2, Plus, X } from "lucide-react";
 import { Button, Badge, Input } from "../../../components";
 import {
   getUserProfile,
@@ -27,6 +27,7 @@ export default function SkillsExperience({ user }) {
     experience: "",
     location: "",
     availability: "",
+    hourlyRate: "",
   });
 
   const [newSkill, setNewSkill] = useState({ name: "", level: "Beginner" });
@@ -45,6 +46,7 @@ export default function SkillsExperience({ user }) {
         experience: userProfile.experience || "",
         location: userProfile.location || "",
         availability: userProfile.availability || "",
+        hourlyRate: userProfile.hourlyRate || "",
       });
     } else if (user) {
       // Fallback to props if Redux state is empty
@@ -53,6 +55,7 @@ export default function SkillsExperience({ user }) {
         experience: user.experience || "",
         location: user.location || "",
         availability: user.availability || "",
+        hourlyRate: user.hourlyRate || "",
       });
     }
   }, [userProfile, user]);
@@ -171,7 +174,7 @@ export default function SkillsExperience({ user }) {
         />
       </div>
       
-      {/* Location & Availability */}
+      {/* Location, Availability & Hourly Rate */}
       <div className='grid grid-cols-1 md:grid-cols-2 gap-4'>
         <div className='space-y-2'>
           <label className='text-white text-sm font-medium flex items-center gap-2'>
@@ -201,6 +204,22 @@ export default function SkillsExperience({ user }) {
             { value: "Not available", label: "Not available" }
           ]}
         />
+
+        {/* Billed on hourly projects unless the owner invoices at an agreed rate */}
+        <div className='space-y-2'>
+          <label className='text-white text-sm font-medium flex items-center gap-2'>
+            <DollarSign className='w-4 h-4' /> Hourly rate
+          </label>
+          <input
+            type='number'
+            min='0'
+            step='0.01'
+            value={localData.hourlyRate}
+            onChange={(e) => handleInputChange('hourlyRate', e.target.value)}
+            placeholder='e.g. 45.00'
+            className='w-full p-2 rounded-xl bg-white/10 border border-white/20 text-white placeholder-gray-400 focus:ring-1 focus:ring-purple-400 focus:outline-none'
+          />
+        </div>
       </div>
       
       {/* Save Button */}
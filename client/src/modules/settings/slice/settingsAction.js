@@ -30,7 +30,9 @@ export const getQuietHoursApi = async () => {
 
 export const updateQuietHoursApi = async (data) => {
   const url = `api/v1/settings/quiet-hours`;
-  return await fetchFromApiServer("PUT", url, data);
+  // Quiet hours are in the user's local time; send the browser's zone so delivery can honor them
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return await fetchFromApiServer("PUT", url, { ...data, timezone });
 };
 
 // Privacy Settings APIs
@@ -65,6 +65,8 @@ const fetchApiWrapper = (
     return axios({ url, method: "post", data, ...config });
   } else if (requestType === "MULTIPART_PUT") {
     return axios({ url, method: "put", data, ...config });
+  } else if (requestType === "BLOB") {
+    return axios({ url, method: "get", responseType: "blob", ...config });
   } else if (requestType === "JSON") {
     return axios.get(url, { ...config });
   }
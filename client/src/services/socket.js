@@ -23,7 +23,9 @@ const getToken = () => {
 let socket = null;
 
 export const connectSocket = () => {
-  if (socket?.connected) {
+  // Reuse a socket that is connected or still (re)connecting, so the chat and the
+  // notification listeners share one connection
+  if (socket?.connected || socket?.active) {
     return socket;
   }
 
@@ -41,7 +43,8 @@ export const connectSocket = () => {
     reconnection: true,
     reconnectionDelay: 1000,
     reconnectionDelayMax: 5000,
-    reconnectionAttempts: 5,
+    // Keep retrying while offline; chat replays missed messages after each reconnect
+    reconnectionAttempts: Infinity,
   });
 
   socket.on("connect", () => {
@@ -1,4 +1,5 @@
-
+// Registers public/service-worker.js, which only handles Web Push (no offline caching),
+// so it is registered in development too: push works on http://localhost.
 
 const isLocalhost = Boolean(
   window.location.hostname === "localhost" ||
@@ -11,18 +12,18 @@ const isLocalhost = Boolean(
 );
 
 export function register(config) {
-  if (process.env.NODE_ENV === "production" && "serviceWorker" in navigator) {
+  if ("serviceWorker" in navigator) {
     // The URL constructor is available in all browsers that support SW.
-    const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+    const publicUrl = new URL(import.meta.env.BASE_URL, window.location.href);
     if (publicUrl.origin !== window.location.origin) {
-      // Our service worker won't work if PUBLIC_URL is on a different origin
+      // Our service worker won't work if BASE_URL is on a different origin
       // from what our page is served on. This might happen if a CDN is used to
-      // serve assets; see https://github.com/facebook/create-react-app/issues/2374
+      // serve assets.
       return;
     }
 
     window.addEventListener("load", () => {
-      const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+      const swUrl = `${import.meta.env.BASE_URL}service-worker.js`;
 
       if (isLocalhost) {
         // This is running on localhost. Let's check if a service worker still exists or not.
@@ -113,3 +114,66 @@ export function unregister() {
     });
   }
 }
+
+// ========== Web Push ==========
+
+export const isPushSupported = () =>
+  "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+
+// VAPID keys are URL-safe base64; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = "=".repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, "+").replace(/_/g, "/");
+  const rawData = window.atob(base64);
+  return Uint8Array.from(rawData, (char) => char.charCodeAt(0));
+};
+
+// This browser's current push subscription, or null
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+};
+
+/**
+ * Ask for notification permission (call from a user action) and subscribe this browser.
+ * Resolves to the subscription JSON to send to the server, or null if the user declined.
+ */
+export const subscribeToPush = async (vapidPublicKey) => {
+  if (!isPushSupported() || !vapidPublicKey) return null;
+
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") return null;
+
+  const registration = await navigator.serviceWorker.ready;
+  const applicationServerKey = urlBase64ToUint8Array(vapidPublicKey);
+  let subscription = await registration.pushManager.getSubscription();
+
+  // A subscription made with another VAPID key can't be reused
+  const currentKey = subscription?.options?.applicationServerKey;
+  if (
+    subscription &&
+    currentKey &&
+    new Uint8Array(currentKey).toString() !== applicationServerKey.toString()
+  ) {
+    await subscription.unsubscribe();
+    subscription = null;
+  }
+
+  if (!subscription) {
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey,
+    });
+  }
+  return subscription.toJSON();
+};
+
+// Unsubscribe this browser; resolves to the endpoint that was removed (or null)
+export const unsubscribeFromPush = async () => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return null;
+  const { endpoint } = subscription;
+  await subscription.unsubscribe();
+  return endpoint;
+};
@@ -195,8 +195,13 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json({ limit: "50mb" }));
-app.use(express.urlencoded({ limit: "50mb", extended: true }));
+// Payment provider webhooks are signed over the raw body, so they must reach
+// the user-service byte-for-byte instead of being parsed and re-serialized here
+const isRawBodyRoute = (req) => req.originalUrl.startsWith("/api/v1/user/billing/webhooks/");
+const jsonParser = express.json({ limit: "50mb" });
+const urlencodedParser = express.urlencoded({ limit: "50mb", extended: true });
+app.use((req, res, next) => (isRawBodyRoute(req) ? next() : jsonParser(req, res, next)));
+app.use((req, res, next) => (isRawBodyRoute(req) ? next() : urlencodedParser(req, res, next)));
 
 // Logging middleware
 app.use(loggerUtils.dev, loggerUtils.combined);
@@ -351,6 +356,26 @@ app.use(
   })
 );
 
+// Billing documents (invoice PDFs, earnings statements) - binary responses, so no utf8 response decorator
+app.use(
+  "/api/v1/billing",
+  proxy(API_USER_URL, {
+    proxyReqPathResolver: (req) => req.originalUrl,
+    proxyReqOptDecorator: (proxyReqOpts, srcReq) => {
+      // Forward all headers including Authorization
+      proxyReqOpts.headers = { ...proxyReqOpts.headers, ...srcReq.headers };
+      return proxyReqOpts;
+    },
+    userResHeaderDecorator: (headers, userReq, userRes, proxyReq, proxyRes) => {
+      return processCorsHeaders(headers, userReq);
+    },
+    onError: (err, req, res) => {
+      logger.error(`Proxy error for ${req.method} ${req.originalUrl}:`, err);
+      sendProxyErrorWithCors(err, req, res, 500, "Proxy error");
+    },
+  })
+);
+
 app.use(
   "/api/v1/projects",
   proxy(API_PROJECT_URL, {
@@ -482,8 +507,11 @@ app.use(
     userResHeaderDecorator: (headers, userReq, userRes, proxyReq, proxyRes) => {
       return processCorsHeaders(headers, userReq);
     },
+    // Chat attachments are binary; only decode text responses
     userResDecorator: async (proxyRes, proxyResData) =>
-      proxyResData.toString("utf8"),
+      /^(application\/json|text\/)/.test(proxyRes.headers["content-type"] || "")
+        ? proxyResData.toString("utf8")
+        : proxyResData,
     onError: (err, req, res) => {
       res.status(500).json({ message: "Proxy error", error: err.message });
     },
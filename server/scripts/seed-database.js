@@ -186,12 +186,14 @@ async function seedDatabase() {
         aiCredits: 100,
         maxProjects: 3,
         maxApplications: 10,
+        limits: JSON.stringify({ maxInvites: 10, maxActiveBoosts: 1 }),
         isActive: true
       },
       {
         name: 'Pro',
         price: 19.99,
         currency: 'USD',
+        prices: JSON.stringify({ EUR: '18.99', GBP: '15.99', INR: '1599.00', CAD: '26.99', AUD: '29.99' }),
         period: 'monthly',
         features: JSON.stringify([
           'Advanced AI matching',
@@ -204,12 +206,14 @@ async function seedDatabase() {
         aiCredits: 1000,
         maxProjects: -1, // Unlimited
         maxApplications: -1, // Unlimited
+        limits: JSON.stringify({ maxInvites: 100, maxActiveBoosts: 5 }),
         isActive: true
       },
       {
         name: 'Enterprise',
         price: 99.99,
         currency: 'USD',
+        prices: JSON.stringify({ EUR: '94.99', GBP: '79.99', INR: '7999.00', CAD: '134.99', AUD: '149.99' }),
         period: 'monthly',
         features: JSON.stringify([
           'Everything in Pro',
@@ -222,28 +226,58 @@ async function seedDatabase() {
         aiCredits: 5000,
         maxProjects: -1, // Unlimited
         maxApplications: -1, // Unlimited
+        limits: JSON.stringify({ maxInvites: -1, maxActiveBoosts: -1 }),
         isActive: true
       }
     ];
     
     for (const plan of subscriptionPlans) {
       await client.query(
-        `INSERT INTO subscription_plans (name, price, currency, period, features, ai_credits, max_projects, max_applications, is_active) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
+        `INSERT INTO subscription_plans (name, price, currency, prices, period, features, ai_credits, max_projects, max_applications, limits, is_active) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
          ON CONFLICT (name) DO UPDATE SET 
          price = EXCLUDED.price, 
          currency = EXCLUDED.currency, 
+         prices = EXCLUDED.prices, 
          period = EXCLUDED.period, 
          features = EXCLUDED.features, 
          ai_credits = EXCLUDED.ai_credits, 
          max_projects = EXCLUDED.max_projects, 
          max_applications = EXCLUDED.max_applications, 
+         limits = EXCLUDED.limits, 
          is_active = EXCLUDED.is_active,
          updated_at = NOW()`,
-        [plan.name, plan.price, plan.currency, plan.period, plan.features, plan.aiCredits, plan.maxProjects, plan.maxApplications, plan.isActive]
+        [plan.name, plan.price, plan.currency, plan.prices || null, plan.period, plan.features, plan.aiCredits, plan.maxProjects, plan.maxApplications, plan.limits || null, plan.isActive]
       );
     }
     console.log(`   ✅ Created ${subscriptionPlans.length} subscription plans`);
+
+    // Default tax rules (rates are fractions; region-specific rules override the country rule)
+    const taxRules = [
+      { country: 'DE', region: null, name: 'VAT', rate: 0.19 },
+      { country: 'FR', region: null, name: 'VAT', rate: 0.2 },
+      { country: 'NL', region: null, name: 'VAT', rate: 0.21 },
+      { country: 'GB', region: null, name: 'VAT', rate: 0.2 },
+      { country: 'IN', region: null, name: 'GST', rate: 0.18 },
+      { country: 'AU', region: null, name: 'GST', rate: 0.1 },
+      { country: 'CA', region: null, name: 'GST', rate: 0.05 },
+      { country: 'CA', region: 'ON', name: 'HST', rate: 0.13 },
+      { country: 'US', region: 'CA', name: 'Sales Tax', rate: 0.0725 },
+      { country: 'US', region: 'NY', name: 'Sales Tax', rate: 0.04 },
+    ];
+
+    for (const rule of taxRules) {
+      await client.query(
+        `INSERT INTO tax_rules (country, region, name, rate, is_active) 
+         VALUES ($1, $2, $3, $4, true) 
+         ON CONFLICT (country, region) DO UPDATE SET 
+         name = EXCLUDED.name, 
+         rate = EXCLUDED.rate, 
+         updated_at = NOW()`,
+        [rule.country, rule.region, rule.name, rule.rate]
+      );
+    }
+    console.log(`   ✅ Created ${taxRules.length} tax rules`);
     
     // 4. Create filter options (Essential - Standalone reference table for filters)
     console.log('\n4️⃣ Creating filter options...');
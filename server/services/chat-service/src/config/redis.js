@@ -0,0 +1,63 @@
+const { createClient } = require("redis");
+require("dotenv").config();
+
+// Redis is optional: without REDIS_URL the chat service runs as a single instance
+// with in-memory presence and the default socket.io adapter.
+let pubClient = null;
+let subClient = null;
+
+const isRedisEnabled = () => Boolean(process.env.REDIS_URL);
+
+const createRedisClient = (name) => {
+  const client = createClient({
+    url: process.env.REDIS_URL,
+    socket: {
+      connectTimeout: 10000,
+      // Keep retrying: presence and cross-instance delivery depend on this connection
+      reconnectStrategy: (retries) => Math.min(retries * 1000, 5000),
+    },
+  });
+
+  client.on("error", (err) => console.error(`Redis ${name} Client Error:`, err.message));
+  client.on("connect", () => console.log(`Redis ${name} Client Connected`));
+  client.on("reconnecting", () => console.log(`Redis ${name} Client Reconnecting...`));
+  client.on("end", () => console.log(`Redis ${name} Client Connection Ended`));
+  return client;
+};
+
+/**
+ * Connect the publisher (also used for regular commands) and the subscriber client.
+ * Subscriber connections can't run other commands, so the socket.io adapter needs both.
+ */
+const connectRedis = async () => {
+  if (!pubClient) {
+    pubClient = createRedisClient("Pub");
+    subClient = pubClient.duplicate();
+    subClient.on("error", (err) => console.error("Redis Sub Client Error:", err.message));
+  }
+
+  try {
+    await Promise.all([
+      pubClient.isOpen ? null : pubClient.connect(),
+      subClient.isOpen ? null : subClient.connect(),
+    ]);
+  } catch (error) {
+    console.error("Redis Connection Error:", error.message);
+    throw error;
+  }
+
+  return { pubClient, subClient };
+};
+
+const getRedisClient = () => {
+  if (!pubClient) {
+    throw new Error("Redis client is not initialized; call connectRedis() first");
+  }
+  return pubClient;
+};
+
+module.exports = {
+  isRedisEnabled,
+  connectRedis,
+  getRedisClient,
+};
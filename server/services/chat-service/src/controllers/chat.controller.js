@@ -1,8 +1,45 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 const {
   ConversationsModel,
   MessagesModel,
   ConversationParticipantsModel,
+  MessageReactionsModel,
+  MessageAttachmentsModel,
+  ScheduledMessagesModel,
+  ModerationReviewsModel,
 } = require("../models");
+const { getStorage, getStorageDriverName } = require("../storage");
+const {
+  validateAttachment,
+  normalizeMimeType,
+  isImageType,
+  isAudioType,
+  getMessageTypeForMime,
+  parseAudioMetadata,
+  createThumbnail,
+} = require("../utils/attachment.utils");
+const {
+  SCHEDULE_KINDS,
+  SCHEDULE_RECURRENCES,
+  isValidTimeZone,
+  isValidTimeOfDay,
+  getNextRunAt,
+} = require("../utils/schedule.utils");
+const {
+  MAX_RETENTION_DAYS,
+  getRetentionDefaults,
+  getEffectiveRetention,
+  isValidRetentionDays,
+} = require("../utils/retention.utils");
+const {
+  EXPORT_FORMATS,
+  buildConversationExport,
+  renderConversationExportHtml,
+} = require("../utils/export.utils");
+const { NOTIFICATION_MODES } = require("../utils/notification.utils");
+const { moderateMessage, queueForReview, sendModerationWarning } = require("../moderation");
 const ErrorHandler = require("shared/utils/errorHandler");
 // Apply controller logger middleware to track all requests, responses, and errors
 const { applyControllerLogger } = require("shared/middleware/controllerLogger.middleware");
@@ -73,6 +110,7 @@ const getConversations = async (req, res) => {
             isArchived: conv.participant?.isArchived || false,
             isFavorite: conv.participant?.isFavorite || false,
             isMuted: conv.participant?.isMuted || false,
+            notificationMode: conv.participant?.notificationMode || "all",
             lastReadAt: conv.participant?.lastReadAt,
           },
           otherParticipantIds, // Array of user IDs for direct messages
@@ -162,7 +200,7 @@ const getMessages = async (req, res) => {
       userId = Number(userId);
     }
     const { conversationId } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
+    const { limit = 50, offset = 0, around } = req.query;
 
     if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
     if (!conversationId) return new ErrorHandler("Conversation ID is required", 400).sendError(res);
@@ -182,14 +220,32 @@ const getMessages = async (req, res) => {
       return new ErrorHandler("You are not a participant in this conversation", 403).sendError(res);
     }
 
+    // Jump to a message (e.g. from search): return the messages around it instead of the latest page
+    if (around) {
+      const context = await MessagesModel.getMessagesAround(Number(conversationId), Number(around), Number(limit));
+      if (!context) return new ErrorHandler("Message not found in this conversation", 404).sendError(res);
+
+      return res.status(200).json({
+        success: true,
+        status: 200,
+        message: "Messages retrieved successfully",
+        data: await MessagesModel.withDetails(context.messages),
+        context: {
+          anchorMessageId: context.anchorMessageId,
+          hasOlder: context.hasOlder,
+          hasNewer: context.hasNewer,
+        },
+      });
+    }
+
     const messages = await MessagesModel.getMessages(
       Number(conversationId),
       Number(limit),
       Number(offset)
     );
 
-    // Reverse to show oldest first (for frontend)
-    const reversedMessages = messages.reverse();
+    // Reverse to show oldest first (for frontend), with reply counts and reactions
+    const reversedMessages = await MessagesModel.withDetails(messages.reverse());
 
     // Mark messages as read when fetching
     await MessagesModel.markAsRead(Number(conversationId), Number(userId));
@@ -229,10 +285,7 @@ const sendMessage = async (req, res) => {
     const {
       conversationId,
       content,
-      messageType = "text",
-      fileUrl,
-      fileName,
-      fileSize,
+      attachmentId,
       replyToId,
     } = req.body;
 
@@ -241,7 +294,7 @@ const sendMessage = async (req, res) => {
       return new ErrorHandler("User ID is required", 400).sendError(res);
     }
     if (!conversationId) return new ErrorHandler("Conversation ID is required", 400).sendError(res);
-    if (!content) return new ErrorHandler("Message content is required", 400).sendError(res);
+    if (!content && !attachmentId) return new ErrorHandler("Message content or an attachment is required", 400).sendError(res);
 
     // Verify user is a participant - use direct lookup for better reliability
     const userParticipant = await ConversationParticipantsModel.getParticipantByConversationAndUser(
@@ -264,26 +317,86 @@ const sendMessage = async (req, res) => {
       return new ErrorHandler("Cannot send messages to flagged conversations", 403).sendError(res);
     }
 
-    const message = await MessagesModel.createMessage({
+    // Replies always attach to the root message of a thread
+    let threadRootId = null;
+    if (replyToId) {
+      threadRootId = await MessagesModel.getThreadRootId(Number(conversationId), Number(replyToId));
+      if (!threadRootId) {
+        return new ErrorHandler("The message you are replying to was not found in this conversation", 404).sendError(res);
+      }
+    }
+
+    // Attachments must have been uploaded by the sender to this conversation and not sent yet
+    let attachment = null;
+    if (attachmentId) {
+      attachment = await MessageAttachmentsModel.getPendingAttachment(attachmentId, Number(conversationId), userId);
+      if (!attachment) {
+        return new ErrorHandler("Attachment not found or already sent", 404).sendError(res);
+      }
+    }
+
+    const verdict = await moderateMessage({
+      content,
+      senderId: userId,
+      senderRole: req.user?.role,
+      conversationId,
+    });
+    if (verdict.action === "hold") {
+      const review = await queueForReview(verdict, {
+        conversationId,
+        senderId: userId,
+        content,
+        attachmentId: attachment?.id || null,
+        replyToId: threadRootId,
+      });
+      return res.status(202).json({
+        success: true,
+        status: 202,
+        message: "Message held for moderation review",
+        data: {
+          reviewId: review.id,
+          conversationId: Number(conversationId),
+          status: review.status,
+          reasons: verdict.findings.map((finding) => finding.reason),
+        },
+      });
+    }
+
+    const created = await MessagesModel.createMessage({
       conversationId: Number(conversationId),
       senderId: Number(userId),
-      content,
-      messageType,
-      fileUrl,
-      fileName,
-      fileSize,
-      replyToId: replyToId ? Number(replyToId) : null,
+      content: content || "",
+      messageType: attachment ? getMessageTypeForMime(attachment.mimeType) : "text",
+      fileUrl: attachment?.storageKey || null,
+      fileName: attachment?.fileName || null,
+      fileSize: attachment?.fileSize || null,
+      replyToId: threadRootId,
     });
+    if (attachment) {
+      await MessageAttachmentsModel.attachToMessage(attachment.id, created.id);
+    }
+    const [message] = await MessagesModel.withDetails([created]);
 
     // Emit Socket.io event for real-time message delivery
     if (global.io && global.socketHandlers) {
-      await global.socketHandlers.emitToConversation(
-        Number(conversationId),
-        "new_message",
-        {
-          conversationId: Number(conversationId),
-          message,
-        }
+      if (threadRootId) {
+        await global.socketHandlers.emitThreadReply(Number(conversationId), message);
+      } else {
+        await global.socketHandlers.emitToParticipants(
+          Number(conversationId),
+          "new_message",
+          {
+            conversationId: Number(conversationId),
+            message,
+          }
+        );
+      }
+      global.socketHandlers.notifyRecipients(Number(conversationId), message);
+    }
+
+    if (verdict.action === "flag") {
+      queueForReview(verdict, { conversationId, senderId: userId, content, messageId: message.id }).catch((error) =>
+        console.error(`[Moderation] Failed to queue message ${message.id} for review:`, error.message)
       );
     }
 
@@ -304,6 +417,418 @@ const sendMessage = async (req, res) => {
   }
 };
 
+// Full-text search over messages in the caller's conversations
+const searchMessages = async (req, res) => {
+  try {
+    const userId = Number(req.user?.userId || req.user?.id);
+    const {
+      q,
+      conversationId,
+      senderId,
+      messageType,
+      from,
+      to,
+      limit = 20,
+      offset = 0,
+    } = req.query;
+
+    if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
+
+    const query = typeof q === "string" ? q.trim() : "";
+    if (query.length < 2) {
+      return new ErrorHandler("Search query must be at least 2 characters", 400).sendError(res);
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    // A plain date (YYYY-MM-DD) includes the whole day
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate.setUTCHours(23, 59, 59, 999);
+    }
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return new ErrorHandler("from and to must be valid dates", 400).sendError(res);
+    }
+    if (messageType && !["text", "file", "image", "audio", "system"].includes(messageType)) {
+      return new ErrorHandler("Invalid message type", 400).sendError(res);
+    }
+
+    const parsedLimit = Math.min(Math.max(Number(limit) || 20, 1), 50);
+    const parsedOffset = Math.max(Number(offset) || 0, 0);
+
+    const { results, total } = await MessagesModel.searchMessages(userId, {
+      query: query.slice(0, 200),
+      conversationId: conversationId ? Number(conversationId) : null,
+      senderId: senderId ? Number(senderId) : null,
+      messageType: messageType || null,
+      from: fromDate,
+      to: toDate,
+      limit: parsedLimit,
+      offset: parsedOffset,
+    });
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      message: "Search results retrieved successfully",
+      data: results,
+      pagination: {
+        limit: parsedLimit,
+        offset: parsedOffset,
+        total,
+      },
+    });
+  } catch (error) {
+    console.error("Search Messages Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to search messages",
+      error: error.message,
+    });
+  }
+};
+
+// Upload a file to a conversation; it is sent afterwards as a message with the returned attachment ID
+const uploadAttachment = async (req, res) => {
+  const file = req.files?.file;
+  try {
+    const userId = Number(req.user?.userId || req.user?.id);
+    const { conversationId } = req.body;
+
+    if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
+    if (!conversationId) return new ErrorHandler("Conversation ID is required", 400).sendError(res);
+    if (!file || Array.isArray(file)) {
+      return new ErrorHandler("A single file is required in the 'file' field", 400).sendError(res);
+    }
+
+    const participant = await ConversationParticipantsModel.getParticipantByConversationAndUser(
+      Number(conversationId),
+      userId
+    );
+    if (!participant) {
+      return new ErrorHandler("You are not a participant in this conversation", 403).sendError(res);
+    }
+
+    const conversation = await ConversationsModel.getConversationById(Number(conversationId));
+    if (conversation?.isFlagged && req.user?.role !== "admin") {
+      return new ErrorHandler("Cannot send messages to flagged conversations", 403).sendError(res);
+    }
+
+    const buffer = file.tempFilePath ? await fs.promises.readFile(file.tempFilePath) : file.data;
+    const problem = validateAttachment(file, buffer);
+    if (problem) return new ErrorHandler(problem.message, problem.status).sendError(res);
+
+    const mimeType = normalizeMimeType(file.mimetype);
+
+    // Voice notes carry the duration and waveform the recorder measured
+    let audioMetadata = { durationMs: null, waveform: null };
+    if (isAudioType(mimeType)) {
+      audioMetadata = parseAudioMetadata(req.body);
+      if (audioMetadata.problem) return new ErrorHandler(audioMetadata.problem, 400).sendError(res);
+    }
+
+    const storageDriver = getStorageDriverName();
+    const storage = getStorage(storageDriver);
+    const baseKey = `conversations/${Number(conversationId)}/${crypto.randomUUID()}`;
+    const storageKey = `${baseKey}${path.extname(file.name).toLowerCase()}`;
+    await storage.putObject({ key: storageKey, body: buffer, contentType: mimeType });
+
+    let thumbnailKey = null;
+    if (isImageType(mimeType)) {
+      const thumbnail = await createThumbnail(buffer);
+      if (thumbnail) {
+        thumbnailKey = `${baseKey}_thumb.webp`;
+        await storage.putObject({ key: thumbnailKey, body: thumbnail, contentType: "image/webp" });
+      }
+    }
+
+    const attachment = await MessageAttachmentsModel.createAttachment({
+      conversationId: Number(conversationId),
+      uploaderId: userId,
+      storageDriver,
+      storageKey,
+      thumbnailKey,
+      fileName: path.basename(file.name).slice(0, 255),
+      mimeType,
+      fileSize: file.size,
+      durationMs: audioMetadata.durationMs,
+      waveform: audioMetadata.waveform,
+    });
+
+    return res.status(201).json({
+      success: true,
+      status: 201,
+      message: "File uploaded successfully",
+      data: {
+        ...(await MessageAttachmentsModel.toPayload(attachment)),
+        messageType: getMessageTypeForMime(mimeType),
+      },
+    });
+  } catch (error) {
+    console.error("Upload Attachment Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to upload file",
+      error: error.message,
+    });
+  } finally {
+    if (file?.tempFilePath) {
+      fs.promises.unlink(file.tempFilePath).catch(() => {});
+    }
+  }
+};
+
+// Get a thread: the root message and its replies
+const getThread = async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const { messageId } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+
+    if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
+
+    const parsedMessageId = Number(messageId);
+    if (isNaN(parsedMessageId) || parsedMessageId <= 0) {
+      return new ErrorHandler("Invalid message ID", 400).sendError(res);
+    }
+
+    const message = await MessagesModel.getMessageById(parsedMessageId);
+    if (!message || message.isDeleted) {
+      return new ErrorHandler("Message not found", 404).sendError(res);
+    }
+
+    const userParticipant = await ConversationParticipantsModel.getParticipantByConversationAndUser(
+      message.conversationId,
+      Number(userId)
+    );
+    if (!userParticipant) {
+      return new ErrorHandler("You are not a participant in this conversation", 403).sendError(res);
+    }
+
+    // Opening a reply shows the whole thread it belongs to
+    const rootMessage = message.replyToId
+      ? await MessagesModel.getMessageById(message.replyToId)
+      : message;
+    if (!rootMessage || rootMessage.isDeleted) {
+      return new ErrorHandler("Message not found", 404).sendError(res);
+    }
+
+    const replies = await MessagesModel.getThreadReplies(rootMessage.id, Number(limit), Number(offset));
+    const [root, ...threadReplies] = await MessagesModel.withDetails([rootMessage, ...replies]);
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      message: "Thread retrieved successfully",
+      data: {
+        root,
+        replies: threadReplies,
+      },
+      pagination: {
+        limit: Number(limit),
+        offset: Number(offset),
+        total: root.replyCount,
+      },
+    });
+  } catch (error) {
+    console.error("Get Thread Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to fetch thread",
+      error: error.message,
+    });
+  }
+};
+
+// Add or remove an emoji reaction on a message
+const updateReaction = (action) => async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const { messageId } = req.params;
+    const emoji = action === "add" ? req.body?.emoji : req.params.emoji;
+
+    if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
+
+    const parsedMessageId = Number(messageId);
+    if (isNaN(parsedMessageId) || parsedMessageId <= 0) {
+      return new ErrorHandler("Invalid message ID", 400).sendError(res);
+    }
+    if (!MessageReactionsModel.isValidEmoji(emoji)) {
+      return new ErrorHandler("A single emoji is required", 400).sendError(res);
+    }
+
+    const message = await MessagesModel.getMessageById(parsedMessageId);
+    if (!message || message.isDeleted) {
+      return new ErrorHandler("Message not found", 404).sendError(res);
+    }
+
+    const userParticipant = await ConversationParticipantsModel.getParticipantByConversationAndUser(
+      message.conversationId,
+      Number(userId)
+    );
+    if (!userParticipant) {
+      return new ErrorHandler("You are not a participant in this conversation", 403).sendError(res);
+    }
+
+    if (action === "add") {
+      await MessageReactionsModel.addReaction(parsedMessageId, Number(userId), emoji);
+    } else {
+      await MessageReactionsModel.removeReaction(parsedMessageId, Number(userId), emoji);
+    }
+
+    const reactions = await MessageReactionsModel.getReactionSummary(parsedMessageId);
+
+    if (global.io && global.socketHandlers) {
+      await global.socketHandlers.emitToConversation(message.conversationId, "reaction_updated", {
+        conversationId: message.conversationId,
+        messageId: parsedMessageId,
+        threadRootId: message.replyToId || null,
+        reactions,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      message: action === "add" ? "Reaction added" : "Reaction removed",
+      data: {
+        messageId: parsedMessageId,
+        reactions,
+      },
+    });
+  } catch (error) {
+    console.error("Update Reaction Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to update reaction",
+      error: error.message,
+    });
+  }
+};
+
+const addReaction = updateReaction("add");
+const removeReaction = updateReaction("remove");
+
+const MAX_PINNED_MESSAGES = Number(process.env.CHAT_MAX_PINNED_MESSAGES) || 25;
+
+// Get the pinned messages of a conversation
+const getPinnedMessages = async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const { conversationId } = req.params;
+
+    if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
+
+    const parsedConversationId = Number(conversationId);
+    if (isNaN(parsedConversationId) || parsedConversationId <= 0) {
+      return new ErrorHandler("Invalid conversation ID", 400).sendError(res);
+    }
+
+    const userParticipant = await ConversationParticipantsModel.getParticipantByConversationAndUser(
+      parsedConversationId,
+      Number(userId)
+    );
+    if (!userParticipant) {
+      return new ErrorHandler("You are not a participant in this conversation", 403).sendError(res);
+    }
+
+    const pinned = await MessagesModel.withDetails(await MessagesModel.getPinnedMessages(parsedConversationId));
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      message: "Pinned messages retrieved successfully",
+      data: pinned,
+    });
+  } catch (error) {
+    console.error("Get Pinned Messages Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to retrieve pinned messages",
+      error: error.message,
+    });
+  }
+};
+
+// Pin or unpin a message for everyone in its conversation
+const updatePin = (action) => async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const { messageId } = req.params;
+
+    if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
+
+    const parsedMessageId = Number(messageId);
+    if (isNaN(parsedMessageId) || parsedMessageId <= 0) {
+      return new ErrorHandler("Invalid message ID", 400).sendError(res);
+    }
+
+    const message = await MessagesModel.getMessageById(parsedMessageId);
+    if (!message || message.isDeleted) {
+      return new ErrorHandler("Message not found", 404).sendError(res);
+    }
+
+    const userParticipant = await ConversationParticipantsModel.getParticipantByConversationAndUser(
+      message.conversationId,
+      Number(userId)
+    );
+    if (!userParticipant) {
+      return new ErrorHandler("You are not a participant in this conversation", 403).sendError(res);
+    }
+
+    if (action === "pin" && !message.pinnedAt) {
+      const pinnedCount = await MessagesModel.countPinnedMessages(message.conversationId);
+      if (pinnedCount >= MAX_PINNED_MESSAGES) {
+        return new ErrorHandler(
+          `A conversation can have at most ${MAX_PINNED_MESSAGES} pinned messages`,
+          409
+        ).sendError(res);
+      }
+    }
+
+    const updated =
+      action === "pin" && message.pinnedAt
+        ? message
+        : await MessagesModel.setPinned(parsedMessageId, action === "pin" ? Number(userId) : null);
+    const [payload] = await MessagesModel.withDetails([updated]);
+
+    if (global.io && global.socketHandlers) {
+      await global.socketHandlers.emitToParticipants(
+        message.conversationId,
+        action === "pin" ? "message_pinned" : "message_unpinned",
+        {
+          conversationId: message.conversationId,
+          messageId: parsedMessageId,
+          message: payload,
+          userId: Number(userId),
+        }
+      );
+    }
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      message: action === "pin" ? "Message pinned" : "Message unpinned",
+      data: payload,
+    });
+  } catch (error) {
+    console.error("Update Pin Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: `Failed to ${action} message`,
+      error: error.message,
+    });
+  }
+};
+
+const pinMessage = updatePin("pin");
+const unpinMessage = updatePin("unpin");
+
 // Mark messages as read
 const markAsRead = async (req, res) => {
   try {
@@ -591,20 +1116,24 @@ const createGroupConversation = async (req, res) => {
   }
 };
 
-// Update conversation participant settings (archive, favorite, mute)
+// Update conversation participant settings (archive, favorite, mute, notification mode)
 const updateParticipantSettings = async (req, res) => {
   try {
     const userId = req.user?.userId || req.user?.id;
     const { conversationId } = req.params;
-    const { isArchived, isFavorite, isMuted } = req.body;
+    const { isArchived, isFavorite, isMuted, notificationMode } = req.body;
 
     if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
     if (!conversationId) return new ErrorHandler("Conversation ID is required", 400).sendError(res);
+    if (notificationMode !== undefined && !NOTIFICATION_MODES.includes(notificationMode)) {
+      return new ErrorHandler(`notificationMode must be one of: ${NOTIFICATION_MODES.join(", ")}`, 400).sendError(res);
+    }
 
     const updates = {};
     if (isArchived !== undefined) updates.isArchived = isArchived;
     if (isFavorite !== undefined) updates.isFavorite = isFavorite;
     if (isMuted !== undefined) updates.isMuted = isMuted;
+    if (notificationMode !== undefined) updates.notificationMode = notificationMode;
 
     if (Object.keys(updates).length === 0) {
       return new ErrorHandler("No updates provided", 400).sendError(res);
@@ -666,49 +1195,213 @@ const flagConversation = async (req, res) => {
       data: conversation,
     });
   } catch (error) {
-    console.error("Flag Conversation Error:", error);
+    console.error("Flag Conversation Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to flag conversation",
+      error: error.message,
+    });
+  }
+};
+
+// Unflag conversation (admin only)
+const unflagConversation = async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const { conversationId } = req.params;
+
+    if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
+    if (!conversationId) return new ErrorHandler("Conversation ID is required", 400).sendError(res);
+
+    // Validate conversationId is a valid number
+    const parsedConversationId = Number(conversationId);
+    if (isNaN(parsedConversationId) || parsedConversationId <= 0) {
+      return new ErrorHandler("Invalid conversation ID", 400).sendError(res);
+    }
+
+    const conversation = await ConversationsModel.unflagConversation(parsedConversationId);
+
+    if (!conversation) {
+      return new ErrorHandler("Conversation not found", 404).sendError(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      message: "Conversation unflagged successfully",
+      data: conversation,
+    });
+  } catch (error) {
+    console.error("Unflag Conversation Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to unflag conversation",
+      error: error.message,
+    });
+  }
+};
+
+const REVIEW_STATUSES = ["pending", "approved", "removed", "warned"];
+// Review action -> resulting review status
+const REVIEW_ACTIONS = { approve: "approved", remove: "removed", warn: "warned" };
+
+// Get the moderation review queue (admin only)
+const getModerationReviews = async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const { status = "pending", conversationId, limit = 20, offset = 0 } = req.query;
+
+    if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
+    if (status !== "all" && !REVIEW_STATUSES.includes(status)) {
+      return new ErrorHandler(`status must be one of: all, ${REVIEW_STATUSES.join(", ")}`, 400).sendError(res);
+    }
+
+    const parsedLimit = Math.min(Math.max(Number(limit) || 20, 1), 100);
+    const parsedOffset = Math.max(Number(offset) || 0, 0);
+
+    const { reviews, total } = await ModerationReviewsModel.getReviews({
+      status: status === "all" ? null : status,
+      conversationId: conversationId ? Number(conversationId) : undefined,
+      limit: parsedLimit,
+      offset: parsedOffset,
+    });
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      message: "Moderation reviews retrieved successfully",
+      data: reviews,
+      pagination: {
+        limit: parsedLimit,
+        offset: parsedOffset,
+        total,
+      },
+    });
+  } catch (error) {
+    console.error("Get Moderation Reviews Error:", error);
     return res.status(500).json({
       success: false,
       status: 500,
-      message: "Failed to flag conversation",
+      message: "Failed to retrieve moderation reviews",
       error: error.message,
     });
   }
 };
 
-// Unflag conversation (admin only)
-const unflagConversation = async (req, res) => {
+// Deliver a held message once an admin approves it
+const publishHeldMessage = async (review) => {
+  const attachment = review.attachmentId
+    ? await MessageAttachmentsModel.getPendingAttachment(review.attachmentId, review.conversationId, review.senderId)
+    : null;
+  // The thread may have been deleted while the reply waited for review
+  const threadRootId = review.replyToId
+    ? await MessagesModel.getThreadRootId(review.conversationId, review.replyToId)
+    : null;
+
+  const created = await MessagesModel.createMessage({
+    conversationId: review.conversationId,
+    senderId: review.senderId,
+    content: review.content,
+    messageType: attachment ? getMessageTypeForMime(attachment.mimeType) : "text",
+    fileUrl: attachment?.storageKey || null,
+    fileName: attachment?.fileName || null,
+    fileSize: attachment?.fileSize || null,
+    replyToId: threadRootId,
+  });
+  if (attachment) {
+    await MessageAttachmentsModel.attachToMessage(attachment.id, created.id);
+  }
+  const [message] = await MessagesModel.withDetails([created]);
+
+  if (global.io && global.socketHandlers) {
+    if (threadRootId) {
+      await global.socketHandlers.emitThreadReply(review.conversationId, message);
+    } else {
+      await global.socketHandlers.emitToParticipants(review.conversationId, "new_message", {
+        conversationId: review.conversationId,
+        message,
+      });
+    }
+    global.socketHandlers.notifyRecipients(review.conversationId, message);
+  }
+  return message;
+};
+
+// Approve, remove or warn on a queued message (admin only)
+const resolveModerationReview = async (req, res) => {
   try {
     const userId = req.user?.userId || req.user?.id;
-    const { conversationId } = req.params;
+    const { reviewId } = req.params;
+    const { action, note, warning } = req.body || {};
 
     if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
-    if (!conversationId) return new ErrorHandler("Conversation ID is required", 400).sendError(res);
+    if (!reviewId) return new ErrorHandler("Review ID is required", 400).sendError(res);
+    if (!REVIEW_ACTIONS[action]) {
+      return new ErrorHandler(`action must be one of: ${Object.keys(REVIEW_ACTIONS).join(", ")}`, 400).sendError(res);
+    }
 
-    // Validate conversationId is a valid number
-    const parsedConversationId = Number(conversationId);
-    if (isNaN(parsedConversationId) || parsedConversationId <= 0) {
-      return new ErrorHandler("Invalid conversation ID", 400).sendError(res);
+    const existing = await ModerationReviewsModel.getReviewById(Number(reviewId));
+    if (!existing) return new ErrorHandler("Review not found", 404).sendError(res);
+
+    // Claim the review first so two admins can't both act on it
+    let review = await ModerationReviewsModel.resolveReview(Number(reviewId), {
+      status: REVIEW_ACTIONS[action],
+      reviewedBy: Number(userId),
+      reviewNote: typeof note === "string" ? note.trim().slice(0, 1000) : null,
+    });
+    if (!review) return new ErrorHandler("Review has already been resolved", 409).sendError(res);
+
+    if (action === "approve") {
+      if (!review.messageId) {
+        const message = await publishHeldMessage(review);
+        review = await ModerationReviewsModel.updateReview(review.id, { messageId: message.id });
+      }
+    } else if (review.messageId) {
+      // Flagged messages were already delivered; take them down again
+      await MessagesModel.removeMessage(review.messageId);
+      if (global.io && global.socketHandlers) {
+        await global.socketHandlers.emitToParticipants(review.conversationId, "message_removed", {
+          conversationId: review.conversationId,
+          messageId: review.messageId,
+        });
+      }
     }
 
-    const conversation = await ConversationsModel.unflagConversation(parsedConversationId);
+    if (action === "warn") {
+      const reasons = (review.rules || []).map((finding) => finding.reason).join("; ");
+      const defaultWarning = `⚠️ A message you sent was removed by a moderator${reasons ? ` (${reasons})` : ""}. Please keep conversations and payments on the platform and follow the community guidelines.`;
+      await sendModerationWarning({
+        userId: review.senderId,
+        adminId: userId,
+        content: typeof warning === "string" && warning.trim() ? warning.trim().slice(0, 4000) : defaultWarning,
+      });
+    }
 
-    if (!conversation) {
-      return new ErrorHandler("Conversation not found", 404).sendError(res);
+    if (global.io && global.socketHandlers) {
+      global.socketHandlers.emitToUser(review.senderId, "message_review_resolved", {
+        reviewId: review.id,
+        conversationId: review.conversationId,
+        status: review.status,
+        content: review.content,
+        messageId: review.messageId,
+      });
+      global.socketHandlers.emitToAdmins("moderation_review_resolved", { review });
     }
 
     return res.status(200).json({
       success: true,
       status: 200,
-      message: "Conversation unflagged successfully",
-      data: conversation,
+      message: `Review ${review.status}`,
+      data: review,
     });
   } catch (error) {
-    console.error("Unflag Conversation Error:", error);
+    console.error("Resolve Moderation Review Error:", error);
     return res.status(500).json({
       success: false,
       status: 500,
-      message: "Failed to unflag conversation",
+      message: "Failed to resolve moderation review",
       error: error.message,
     });
   }
@@ -1070,6 +1763,7 @@ const deleteGroupConversation = async (req, res) => {
 
     // Soft delete the conversation (set status to 'deleted')
     const deletedConversation = await ConversationsModel.deleteConversation(Number(conversationId));
+    await ScheduledMessagesModel.deactivateByConversationId(Number(conversationId));
 
     // Emit Socket.io event to notify all participants
     if (global.io && global.socketHandlers) {
@@ -1100,11 +1794,492 @@ const deleteGroupConversation = async (req, res) => {
   }
 };
 
+// Group conversation whose scheduled messages the user may view; only its project-owner may manage them
+const getScheduleAccess = async (conversationId, userId, userRole) => {
+  const conversation = await ConversationsModel.getConversationById(Number(conversationId));
+  if (!conversation || conversation.status === "deleted") {
+    return { error: new ErrorHandler("Conversation not found", 404) };
+  }
+  if (conversation.type !== "group") {
+    return { error: new ErrorHandler("Scheduled messages are only available in group conversations", 400) };
+  }
+
+  const participant = await ConversationParticipantsModel.getParticipantByConversationAndUser(
+    Number(conversationId),
+    Number(userId)
+  );
+  if (!participant && userRole !== "admin") {
+    return { error: new ErrorHandler("You are not a participant in this conversation", 403) };
+  }
+
+  return { conversation, canManage: participant?.role === "project-owner" };
+};
+
+/**
+ * Validate schedule fields from a request body.
+ * On update, `existing` supplies the fields the body leaves out.
+ * @returns {{ error?: string, values?: Object }}
+ */
+const buildScheduleValues = (body, conversation, existing = null) => {
+  const pickField = (name, fallback) => (body[name] !== undefined ? body[name] : existing ? existing[name] : fallback);
+
+  const kind = pickField("kind", "custom");
+  const recurrence = pickField("recurrence", "none");
+  const timezone = pickField("timezone", "UTC");
+  const rawContent = pickField("content", null);
+  const content = typeof rawContent === "string" && rawContent.trim() ? rawContent.trim() : null;
+  const isActive = pickField("isActive", true);
+
+  if (!SCHEDULE_KINDS.includes(kind)) {
+    return { error: `kind must be one of: ${SCHEDULE_KINDS.join(", ")}` };
+  }
+  if (!SCHEDULE_RECURRENCES.includes(recurrence)) {
+    return { error: `recurrence must be one of: ${SCHEDULE_RECURRENCES.join(", ")}` };
+  }
+  if (!isValidTimeZone(timezone)) {
+    return { error: "timezone must be a valid IANA time zone (e.g. Europe/Berlin)" };
+  }
+  if (kind === "custom" && !content) {
+    return { error: "content is required for custom scheduled messages" };
+  }
+  if (content && content.length > 4000) {
+    return { error: "content must be at most 4000 characters" };
+  }
+  if (typeof isActive !== "boolean") {
+    return { error: "isActive must be a boolean" };
+  }
+
+  const values = { kind, content, recurrence, timezone, isActive, timeOfDay: null, dayOfWeek: null };
+
+  if (kind === "deadline_countdown") {
+    if (!conversation.projectId) {
+      return { error: "Deadline countdowns need a group that belongs to a project" };
+    }
+    const daysAhead = Number(pickField("daysAhead", 3));
+    if (!Number.isInteger(daysAhead) || daysAhead < 1 || daysAhead > 30) {
+      return { error: "daysAhead must be an integer between 1 and 30" };
+    }
+    values.daysAhead = daysAhead;
+  }
+
+  if (recurrence === "none") {
+    // One-off: keep the pending run time unless a new one is given
+    const runAt = body.runAt !== undefined ? new Date(body.runAt) : existing?.recurrence === "none" ? existing.nextRunAt : null;
+    if (!runAt || isNaN(new Date(runAt).getTime())) {
+      return { error: "runAt (ISO date-time) is required for one-off scheduled messages" };
+    }
+    if (body.runAt !== undefined && runAt <= new Date()) {
+      return { error: "runAt must be in the future" };
+    }
+    values.nextRunAt = new Date(runAt);
+    return { values };
+  }
+
+  const timeOfDay = pickField("timeOfDay", null);
+  if (!isValidTimeOfDay(timeOfDay)) {
+    return { error: "timeOfDay must be in HH:MM (24-hour) format for recurring scheduled messages" };
+  }
+  values.timeOfDay = timeOfDay;
+
+  if (recurrence === "weekly") {
+    const dayOfWeek = Number(pickField("dayOfWeek", null));
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      return { error: "dayOfWeek must be an integer between 0 (Sunday) and 6 (Saturday) for weekly schedules" };
+    }
+    values.dayOfWeek = dayOfWeek;
+  }
+
+  // Recomputed on every change so resuming a paused schedule doesn't post a backlog
+  values.nextRunAt = getNextRunAt(values);
+  return { values };
+};
+
+// Get scheduled messages of a group conversation
+const getScheduledMessages = async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const userRole = req.user?.role || req.user?.roles?.[0];
+    const { conversationId } = req.params;
+
+    if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
+    if (!conversationId) return new ErrorHandler("Conversation ID is required", 400).sendError(res);
+
+    const access = await getScheduleAccess(conversationId, userId, userRole);
+    if (access.error) return access.error.sendError(res);
+
+    const schedules = await ScheduledMessagesModel.getScheduledMessagesByConversationId(Number(conversationId));
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      message: "Scheduled messages retrieved successfully",
+      data: schedules,
+    });
+  } catch (error) {
+    console.error("Get Scheduled Messages Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to retrieve scheduled messages",
+      error: error.message,
+    });
+  }
+};
+
+// Schedule a one-off or recurring system message (group project-owner only)
+const createScheduledMessage = async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const userRole = req.user?.role || req.user?.roles?.[0];
+    const { conversationId } = req.params;
+
+    if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
+    if (!conversationId) return new ErrorHandler("Conversation ID is required", 400).sendError(res);
+
+    const access = await getScheduleAccess(conversationId, userId, userRole);
+    if (access.error) return access.error.sendError(res);
+    if (!access.canManage) {
+      return new ErrorHandler("Only the group's project owner can schedule messages", 403).sendError(res);
+    }
+
+    const { error, values } = buildScheduleValues(req.body || {}, access.conversation);
+    if (error) return new ErrorHandler(error, 400).sendError(res);
+
+    const schedule = await ScheduledMessagesModel.createScheduledMessage({
+      ...values,
+      conversationId: Number(conversationId),
+      createdBy: Number(userId),
+    });
+
+    return res.status(201).json({
+      success: true,
+      status: 201,
+      message: "Scheduled message created successfully",
+      data: schedule,
+    });
+  } catch (error) {
+    console.error("Create Scheduled Message Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to create scheduled message",
+      error: error.message,
+    });
+  }
+};
+
+// Update (or pause / resume) a scheduled message (group project-owner only)
+const updateScheduledMessage = async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const userRole = req.user?.role || req.user?.roles?.[0];
+    const { conversationId, scheduleId } = req.params;
+
+    if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
+    if (!conversationId || !scheduleId) {
+      return new ErrorHandler("Conversation ID and schedule ID are required", 400).sendError(res);
+    }
+
+    const access = await getScheduleAccess(conversationId, userId, userRole);
+    if (access.error) return access.error.sendError(res);
+    if (!access.canManage) {
+      return new ErrorHandler("Only the group's project owner can manage scheduled messages", 403).sendError(res);
+    }
+
+    const existing = await ScheduledMessagesModel.getScheduledMessageById(Number(scheduleId));
+    if (!existing || existing.conversationId !== Number(conversationId)) {
+      return new ErrorHandler("Scheduled message not found", 404).sendError(res);
+    }
+
+    const { error, values } = buildScheduleValues(req.body || {}, access.conversation, existing);
+    if (error) return new ErrorHandler(error, 400).sendError(res);
+
+    // The current owner takes over as the sender of future posts
+    const schedule = await ScheduledMessagesModel.updateScheduledMessage(Number(scheduleId), {
+      ...values,
+      createdBy: Number(userId),
+    });
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      message: "Scheduled message updated successfully",
+      data: schedule,
+    });
+  } catch (error) {
+    console.error("Update Scheduled Message Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to update scheduled message",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a scheduled message (group project-owner only)
+const deleteScheduledMessage = async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const userRole = req.user?.role || req.user?.roles?.[0];
+    const { conversationId, scheduleId } = req.params;
+
+    if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
+    if (!conversationId || !scheduleId) {
+      return new ErrorHandler("Conversation ID and schedule ID are required", 400).sendError(res);
+    }
+
+    const access = await getScheduleAccess(conversationId, userId, userRole);
+    if (access.error) return access.error.sendError(res);
+    if (!access.canManage) {
+      return new ErrorHandler("Only the group's project owner can manage scheduled messages", 403).sendError(res);
+    }
+
+    const existing = await ScheduledMessagesModel.getScheduledMessageById(Number(scheduleId));
+    if (!existing || existing.conversationId !== Number(conversationId)) {
+      return new ErrorHandler("Scheduled message not found", 404).sendError(res);
+    }
+
+    await ScheduledMessagesModel.deleteScheduledMessage(Number(scheduleId));
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      message: "Scheduled message deleted successfully",
+      data: { id: Number(scheduleId) },
+    });
+  } catch (error) {
+    console.error("Delete Scheduled Message Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to delete scheduled message",
+      error: error.message,
+    });
+  }
+};
+
+const EXPORT_PAGE_SIZE = 1000;
+
+/**
+ * Who may export a conversation or change its retention:
+ * admins always; project owners for conversations they take part in (retention: groups they own)
+ * @returns {{ error?: ErrorHandler, conversation?: Object, canExport?: boolean, canManageRetention?: boolean }}
+ */
+const getConversationDataAccess = async (conversationId, userId, userRole) => {
+  const isAdmin = userRole === "admin";
+  const conversation = await ConversationsModel.getConversationById(Number(conversationId));
+  // Admins can still export deleted conversations, e.g. for a dispute
+  if (!conversation || (conversation.status === "deleted" && !isAdmin)) {
+    return { error: new ErrorHandler("Conversation not found", 404) };
+  }
+
+  const participant = await ConversationParticipantsModel.getParticipantByConversationAndUser(
+    Number(conversationId),
+    Number(userId)
+  );
+  if (!participant && !isAdmin) {
+    return { error: new ErrorHandler("You are not a participant in this conversation", 403) };
+  }
+
+  return {
+    conversation,
+    canExport: isAdmin || userRole === "project-owner",
+    canManageRetention: isAdmin || (conversation.type === "group" && participant?.role === "project-owner"),
+  };
+};
+
+const toRetentionPayload = (conversation, canManage) => {
+  const defaults = getRetentionDefaults();
+  const effective = getEffectiveRetention(conversation, defaults);
+  return {
+    conversationId: conversation.id,
+    retentionDays: conversation.retentionDays ?? null,
+    effectiveRetentionDays: effective.days,
+    source: effective.source,
+    purgeDeletedAfterDays: defaults.purgeDeletedAfterDays,
+    canManage,
+  };
+};
+
+// Export a conversation (messages, participants, attachment manifest) as JSON or HTML
+const exportConversation = async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const userRole = req.user?.role || req.user?.roles?.[0];
+    const { conversationId } = req.params;
+    const format = String(req.query.format || "json").toLowerCase();
+    const includeDeleted = req.query.includeDeleted === "true";
+
+    if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
+    if (!conversationId) return new ErrorHandler("Conversation ID is required", 400).sendError(res);
+    if (!EXPORT_FORMATS.includes(format)) {
+      return new ErrorHandler(`format must be one of: ${EXPORT_FORMATS.join(", ")}`, 400).sendError(res);
+    }
+    if (includeDeleted && userRole !== "admin") {
+      return new ErrorHandler("Only admins can export deleted messages", 403).sendError(res);
+    }
+
+    const access = await getConversationDataAccess(conversationId, userId, userRole);
+    if (access.error) return access.error.sendError(res);
+    if (!access.canExport) {
+      return new ErrorHandler("Only admins and project owners can export conversations", 403).sendError(res);
+    }
+    const { conversation } = access;
+
+    // Page through the messages so a large conversation isn't read in one query
+    const maxMessages = Number(process.env.CHAT_EXPORT_MAX_MESSAGES) || 50000;
+    const messages = [];
+    let truncated = false;
+    for (;;) {
+      const page = await MessagesModel.getMessagesForExport(conversation.id, {
+        afterId: messages.length ? messages[messages.length - 1].id : 0,
+        limit: EXPORT_PAGE_SIZE,
+        includeDeleted,
+      });
+      messages.push(...page);
+      if (messages.length > maxMessages) {
+        truncated = true;
+        messages.length = maxMessages;
+        break;
+      }
+      if (page.length < EXPORT_PAGE_SIZE) break;
+    }
+
+    const messageIds = new Set(messages.map((message) => message.id));
+    const attachmentRows = (await MessageAttachmentsModel.getAttachmentsByConversationId(conversation.id)).filter(
+      (attachment) => messageIds.has(attachment.messageId)
+    );
+    const attachments = await Promise.all(
+      attachmentRows.map(async (attachment) => ({
+        ...attachment,
+        url: (await MessageAttachmentsModel.toPayload(attachment)).url,
+      }))
+    );
+
+    const participants = await ConversationParticipantsModel.getParticipantHistory(conversation.id);
+    const users = await ConversationParticipantsModel.getUserSummaries([
+      Number(userId),
+      ...participants.map((participant) => participant.userId),
+      ...messages.map((message) => message.senderId),
+    ]);
+
+    const data = buildConversationExport({
+      conversation,
+      retention: getEffectiveRetention(conversation),
+      participants,
+      users,
+      messages,
+      attachments,
+      exportedBy: { id: userId, role: userRole },
+      truncated,
+    });
+    console.log(`📦 Conversation ${conversation.id} exported as ${format} by user ${userId} (${messages.length} messages)`);
+
+    const fileName = `conversation-${conversation.id}-${data.exportedAt.slice(0, 10)}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Cache-Control", "no-store");
+    if (format === "html") {
+      return res.status(200).type("html").send(renderConversationExportHtml(data));
+    }
+    return res.status(200).json(data);
+  } catch (error) {
+    console.error("Export Conversation Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to export conversation",
+      error: error.message,
+    });
+  }
+};
+
+// Get the retention policy of a conversation
+const getRetentionPolicy = async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const userRole = req.user?.role || req.user?.roles?.[0];
+    const { conversationId } = req.params;
+
+    if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
+    if (!conversationId) return new ErrorHandler("Conversation ID is required", 400).sendError(res);
+
+    const access = await getConversationDataAccess(conversationId, userId, userRole);
+    if (access.error) return access.error.sendError(res);
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      message: "Retention policy retrieved successfully",
+      data: toRetentionPayload(access.conversation, access.canManageRetention),
+    });
+  } catch (error) {
+    console.error("Get Retention Policy Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to retrieve retention policy",
+      error: error.message,
+    });
+  }
+};
+
+// Set or clear the retention policy of a conversation (admins, or the group's project owner)
+const updateRetentionPolicy = async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const userRole = req.user?.role || req.user?.roles?.[0];
+    const { conversationId } = req.params;
+    const { retentionDays } = req.body || {};
+
+    if (!userId) return new ErrorHandler("User ID is required", 400).sendError(res);
+    if (!conversationId) return new ErrorHandler("Conversation ID is required", 400).sendError(res);
+    if (retentionDays === undefined || !isValidRetentionDays(retentionDays)) {
+      return new ErrorHandler(
+        `retentionDays must be null (use the default), 0 (keep forever) or a whole number of days up to ${MAX_RETENTION_DAYS}`,
+        400
+      ).sendError(res);
+    }
+
+    const access = await getConversationDataAccess(conversationId, userId, userRole);
+    if (access.error) return access.error.sendError(res);
+    if (!access.canManageRetention) {
+      return new ErrorHandler("Only admins and the group's project owner can change the retention policy", 403).sendError(res);
+    }
+
+    const conversation = await ConversationsModel.updateRetention(access.conversation.id, retentionDays);
+    console.log(`🗄️ Retention of conversation ${conversation.id} set to ${retentionDays ?? "default"} by user ${userId}`);
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      message: "Retention policy updated successfully",
+      data: toRetentionPayload(conversation, true),
+    });
+  } catch (error) {
+    console.error("Update Retention Policy Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to update retention policy",
+      error: error.message,
+    });
+  }
+};
+
 const controllers = {
   getConversations,
   getOrCreateDirectConversation,
   getMessages,
+  searchMessages,
   sendMessage,
+  uploadAttachment,
+  getThread,
+  addReaction,
+  removeReaction,
+  getPinnedMessages,
+  pinMessage,
+  unpinMessage,
   markAsRead,
   deleteMessage,
   editMessage,
@@ -1115,7 +2290,16 @@ const controllers = {
   updateParticipantSettings,
   flagConversation,
   unflagConversation,
+  getModerationReviews,
+  resolveModerationReview,
   deleteGroupConversation,
+  getScheduledMessages,
+  createScheduledMessage,
+  updateScheduledMessage,
+  deleteScheduledMessage,
+  exportConversation,
+  getRetentionPolicy,
+  updateRetentionPolicy,
 };
 
 
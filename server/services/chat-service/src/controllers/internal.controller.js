@@ -0,0 +1,48 @@
+const ErrorHandler = require("shared/utils/errorHandler");
+// Apply controller logger middleware to track all requests, responses, and errors
+const { applyControllerLogger } = require("shared/middleware/controllerLogger.middleware");
+
+// Events other services may push to a user's sockets (see user-service notification-push.service)
+const PUSHABLE_EVENTS = ["notification_created", "notifications_updated"];
+
+/**
+ * Relay an event from another service to every socket of a user.
+ * The chat socket is the app's only real-time channel, so other services push through it.
+ */
+const pushToUser = async (req, res) => {
+  try {
+    const { userId, event, data } = req.body || {};
+
+    if (!Number.isInteger(Number(userId)) || Number(userId) <= 0) {
+      return new ErrorHandler("A valid userId is required", 400).sendError(res);
+    }
+    if (!PUSHABLE_EVENTS.includes(event)) {
+      return new ErrorHandler(`event must be one of: ${PUSHABLE_EVENTS.join(", ")}`, 400).sendError(res);
+    }
+    if (!global.socketHandlers) {
+      return new ErrorHandler("Socket server is not ready", 503).sendError(res);
+    }
+
+    global.socketHandlers.emitToUser(Number(userId), event, data || {});
+
+    return res.status(202).json({
+      success: true,
+      status: 202,
+      message: "Event pushed",
+    });
+  } catch (error) {
+    console.error("Push To User Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to push event",
+      error: error.message,
+    });
+  }
+};
+
+const controllers = {
+  pushToUser,
+};
+
+module.exports = applyControllerLogger(controllers);
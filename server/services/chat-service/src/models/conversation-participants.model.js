@@ -1,5 +1,5 @@
 const { pgTable, serial, integer, text, timestamp, boolean } = require("drizzle-orm/pg-core");
-const { eq, and, ne, isNull } = require("drizzle-orm");
+const { eq, and, ne, asc, isNull, inArray, sql } = require("drizzle-orm");
 const { db } = require("../config/database");
 
 // Conversation Participants table - users in a conversation
@@ -14,6 +14,7 @@ const conversationParticipantsTable = pgTable("conversation_participants", {
   isArchived: boolean("is_archived").default(false),
   isFavorite: boolean("is_favorite").default(false),
   isMuted: boolean("is_muted").default(false),
+  notificationMode: text("notification_mode").default("all"), // all, mentions (only when @mentioned), none
   leftAt: timestamp("left_at"), // When user left (null if still in conversation)
   createdAt: timestamp("created_at").defaultNow().notNull(),
   updatedAt: timestamp("updated_at")
@@ -216,6 +217,58 @@ class ConversationParticipantsModel {
       .returning();
     return participant;
   }
+
+  /**
+   * Get the IDs of everyone who shares an active conversation with the user
+   */
+  static async getContactIds(userId) {
+    const userConversations = db
+      .select({ conversationId: conversationParticipantsTable.conversationId })
+      .from(conversationParticipantsTable)
+      .where(
+        and(
+          eq(conversationParticipantsTable.userId, Number(userId)),
+          isNull(conversationParticipantsTable.leftAt)
+        )
+      );
+
+    const contacts = await db
+      .selectDistinct({ userId: conversationParticipantsTable.userId })
+      .from(conversationParticipantsTable)
+      .where(
+        and(
+          inArray(conversationParticipantsTable.conversationId, userConversations),
+          ne(conversationParticipantsTable.userId, Number(userId)),
+          isNull(conversationParticipantsTable.leftAt)
+        )
+      );
+    return contacts.map((contact) => Number(contact.userId));
+  }
+
+  /**
+   * Everyone who has been in a conversation, including people who left (for exports)
+   */
+  static async getParticipantHistory(conversationId) {
+    return await db
+      .select()
+      .from(conversationParticipantsTable)
+      .where(eq(conversationParticipantsTable.conversationId, Number(conversationId)))
+      .orderBy(asc(conversationParticipantsTable.joinedAt));
+  }
+
+  /**
+   * Name, email and role of users (the users table lives in user-service)
+   */
+  static async getUserSummaries(userIds) {
+    const ids = [...new Set((userIds || []).map(Number))].filter((id) => id > 0);
+    if (ids.length === 0) return [];
+    const result = await db.execute(sql`
+      SELECT id, name, email, role
+      FROM users
+      WHERE id IN (${sql.join(ids.map((id) => sql`${id}`), sql`, `)})
+    `);
+    return result.rows || [];
+  }
 }
 
 module.exports = {
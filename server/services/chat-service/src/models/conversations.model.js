@@ -1,5 +1,5 @@
 const { pgTable, serial, integer, text, timestamp, boolean, pgEnum } = require("drizzle-orm/pg-core");
-const { eq, and, desc, ne, isNull, or } = require("drizzle-orm");
+const { eq, and, desc, ne, isNull, or, sql } = require("drizzle-orm");
 const { db } = require("../config/database");
 
 // Enum for conversation types
@@ -28,6 +28,7 @@ const conversationsTable = pgTable("conversations", {
   flaggedReason: text("flagged_reason"), // Reason for flagging
   flaggedAt: timestamp("flagged_at"), // When it was flagged
   flaggedBy: integer("flagged_by"), // Admin who flagged it
+  retentionDays: integer("retention_days"), // Delete messages older than this; null = default for the type, 0 = keep forever
   createdAt: timestamp("created_at").defaultNow().notNull(),
   updatedAt: timestamp("updated_at")
     .defaultNow()
@@ -115,6 +116,47 @@ class ConversationsModel {
     return conversation;
   }
 
+  /**
+   * Get or create the conversation a user receives moderation warnings in.
+   * The admin issuing the warning is added so they can follow up.
+   * @param {number} userId - User being warned
+   * @param {number} adminId - Admin issuing the warning
+   */
+  static async getOrCreateModerationConversation(userId, adminId) {
+    const { conversationParticipantsTable, ConversationParticipantsModel } = require("./conversation-participants.model");
+
+    const [existing] = await db
+      .select({ conversation: conversationsTable })
+      .from(conversationsTable)
+      .innerJoin(
+        conversationParticipantsTable,
+        eq(conversationParticipantsTable.conversationId, conversationsTable.id)
+      )
+      .where(
+        and(
+          eq(conversationsTable.type, "moderation"),
+          ne(conversationsTable.status, "deleted"),
+          eq(conversationParticipantsTable.userId, Number(userId)),
+          isNull(conversationParticipantsTable.leftAt)
+        )
+      )
+      .limit(1);
+
+    if (existing) {
+      await ConversationParticipantsModel.addParticipant(existing.conversation.id, Number(adminId), "admin");
+      return existing.conversation;
+    }
+
+    const conversation = await this.createConversation({
+      type: "moderation",
+      name: "Moderation Notices",
+      createdBy: Number(adminId),
+      creatorRole: "admin",
+    });
+    await ConversationParticipantsModel.addParticipant(conversation.id, Number(userId), "member");
+    return conversation;
+  }
+
   /**
    * Get or create direct conversation between two users
    * @param {number} userId1 - First user ID
@@ -386,6 +428,47 @@ class ConversationsModel {
     return conversation;
   }
 
+  /**
+   * Set a conversation's retention policy (null falls back to the default for its type)
+   */
+  static async updateRetention(conversationId, retentionDays) {
+    const [conversation] = await db
+      .update(conversationsTable)
+      .set({ retentionDays })
+      .where(eq(conversationsTable.id, Number(conversationId)))
+      .returning();
+    return conversation;
+  }
+
+  /**
+   * Conversations whose messages expire, with the number of days they are kept.
+   * Flagged conversations are on hold and never expire; see retention.utils for the defaults.
+   * @param {{ directDays: number|null, groupDays: number|null }} defaults
+   */
+  static async getConversationsWithRetention({ directDays, groupDays }) {
+    const effectiveDays = sql`COALESCE(
+      ${conversationsTable.retentionDays},
+      CASE
+        WHEN ${conversationsTable.type} = 'direct' AND ${conversationsTable.projectId} IS NULL THEN ${directDays}::int
+        WHEN ${conversationsTable.type} = 'group' THEN ${groupDays}::int
+      END
+    )`;
+
+    return await db
+      .select({
+        id: conversationsTable.id,
+        retentionDays: effectiveDays.mapWith(Number),
+      })
+      .from(conversationsTable)
+      .where(
+        and(
+          ne(conversationsTable.status, "deleted"),
+          or(isNull(conversationsTable.isFlagged), eq(conversationsTable.isFlagged, false)),
+          sql`${effectiveDays} > 0`
+        )
+      );
+  }
+
   /**
    * Update conversation updatedAt timestamp
    */
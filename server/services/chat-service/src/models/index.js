@@ -24,12 +24,47 @@ const {
   MessageReadReceiptsModel,
 } = require("./message-read-receipts.model");
 
+// Message Delivery Receipts
+const {
+  messageDeliveryReceiptsTable,
+  MessageDeliveryReceiptsModel,
+} = require("./message-delivery-receipts.model");
+
+// Message Reactions
+const {
+  messageReactionsTable,
+  MessageReactionsModel,
+} = require("./message-reactions.model");
+
+// Message Attachments
+const {
+  messageAttachmentsTable,
+  MessageAttachmentsModel,
+} = require("./message-attachments.model");
+
+// Scheduled Messages
+const {
+  scheduledMessagesTable,
+  ScheduledMessagesModel,
+} = require("./scheduled-messages.model");
+
+// Moderation Reviews
+const {
+  moderationReviewsTable,
+  ModerationReviewsModel,
+} = require("./moderation-reviews.model");
+
 module.exports = {
   // Tables (for database operations)
   conversationsTable,
   conversationParticipantsTable,
   messagesTable,
   messageReadReceiptsTable,
+  messageDeliveryReceiptsTable,
+  messageReactionsTable,
+  messageAttachmentsTable,
+  scheduledMessagesTable,
+  moderationReviewsTable,
   
   // Enums
   conversationTypeEnum,
@@ -40,4 +75,9 @@ module.exports = {
   ConversationParticipantsModel,
   MessagesModel,
   MessageReadReceiptsModel,
+  MessageDeliveryReceiptsModel,
+  MessageReactionsModel,
+  MessageAttachmentsModel,
+  ScheduledMessagesModel,
+  ModerationReviewsModel,
 };
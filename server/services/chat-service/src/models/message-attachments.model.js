@@ -0,0 +1,149 @@
+const { pgTable, serial, integer, text, timestamp, jsonb } = require("drizzle-orm/pg-core");
+const { eq, and, asc, isNull, isNotNull, inArray } = require("drizzle-orm");
+const { db } = require("../config/database");
+const { getStorage } = require("../storage");
+
+// Message Attachments table - uploaded files, linked to a message once it is sent
+const messageAttachmentsTable = pgTable("message_attachments", {
+  id: serial("id").primaryKey(),
+  conversationId: integer("conversation_id").notNull(), // FK -> conversations.id
+  uploaderId: integer("uploader_id").notNull(), // FK -> users.id
+  messageId: integer("message_id"), // FK -> messages.id (null until the message is sent)
+  storageDriver: text("storage_driver").notNull(), // local, s3
+  storageKey: text("storage_key").notNull(),
+  thumbnailKey: text("thumbnail_key"), // Only for images, when a thumbnail could be generated
+  fileName: text("file_name").notNull(), // Original file name
+  mimeType: text("mime_type").notNull(),
+  fileSize: integer("file_size").notNull(), // File size in bytes
+  durationMs: integer("duration_ms"), // Audio only: playback length
+  waveform: jsonb("waveform"), // Audio only: peak levels (0-100) for the player
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+class MessageAttachmentsModel {
+  /**
+   * Create an attachment record for an uploaded file
+   */
+  static async createAttachment(data) {
+    const [attachment] = await db
+      .insert(messageAttachmentsTable)
+      .values(data)
+      .returning();
+    return attachment;
+  }
+
+  /**
+   * Get attachment by ID
+   */
+  static async getAttachmentById(attachmentId) {
+    const [attachment] = await db
+      .select()
+      .from(messageAttachmentsTable)
+      .where(eq(messageAttachmentsTable.id, Number(attachmentId)));
+    return attachment || null;
+  }
+
+  /**
+   * Get an attachment the user uploaded to this conversation that isn't used by a message yet
+   */
+  static async getPendingAttachment(attachmentId, conversationId, uploaderId) {
+    const [attachment] = await db
+      .select()
+      .from(messageAttachmentsTable)
+      .where(
+        and(
+          eq(messageAttachmentsTable.id, Number(attachmentId)),
+          eq(messageAttachmentsTable.conversationId, Number(conversationId)),
+          eq(messageAttachmentsTable.uploaderId, Number(uploaderId)),
+          isNull(messageAttachmentsTable.messageId)
+        )
+      );
+    return attachment || null;
+  }
+
+  /**
+   * Link an attachment to the message it was sent with
+   */
+  static async attachToMessage(attachmentId, messageId) {
+    const [attachment] = await db
+      .update(messageAttachmentsTable)
+      .set({ messageId: Number(messageId) })
+      .where(eq(messageAttachmentsTable.id, Number(attachmentId)))
+      .returning();
+    return attachment || null;
+  }
+
+  /**
+   * Get attachments for multiple messages
+   */
+  static async getAttachmentsByMessageIds(messageIds) {
+    if (!messageIds || messageIds.length === 0) return [];
+    return await db
+      .select()
+      .from(messageAttachmentsTable)
+      .where(inArray(messageAttachmentsTable.messageId, messageIds.map(Number)));
+  }
+
+  /**
+   * Get every sent attachment of a conversation (for exports)
+   */
+  static async getAttachmentsByConversationId(conversationId) {
+    return await db
+      .select()
+      .from(messageAttachmentsTable)
+      .where(
+        and(
+          eq(messageAttachmentsTable.conversationId, Number(conversationId)),
+          isNotNull(messageAttachmentsTable.messageId)
+        )
+      )
+      .orderBy(asc(messageAttachmentsTable.id));
+  }
+
+  /**
+   * Remove the stored files (and thumbnails) of attachment records that were deleted
+   * @returns {Promise<number>} number of files that could not be removed
+   */
+  static async deleteStoredFiles(attachments) {
+    let failures = 0;
+    for (const attachment of attachments) {
+      const storage = getStorage(attachment.storageDriver);
+      for (const key of [attachment.storageKey, attachment.thumbnailKey].filter(Boolean)) {
+        try {
+          await storage.deleteObject(key);
+        } catch (error) {
+          failures += 1;
+          console.error(`[MessageAttachments] Failed to delete ${attachment.storageDriver} object ${key}:`, error.message);
+        }
+      }
+    }
+    return failures;
+  }
+
+  /**
+   * Client-facing view of an attachment with download / thumbnail URLs
+   */
+  static async toPayload(attachment) {
+    const storage = getStorage(attachment.storageDriver);
+    const [url, thumbnailUrl] = await Promise.all([
+      storage.getObjectUrl(attachment.storageKey),
+      attachment.thumbnailKey ? storage.getObjectUrl(attachment.thumbnailKey) : null,
+    ]);
+
+    return {
+      id: attachment.id,
+      fileName: attachment.fileName,
+      mimeType: attachment.mimeType,
+      fileSize: attachment.fileSize,
+      url,
+      thumbnailUrl,
+      durationMs: attachment.durationMs ?? null,
+      waveform: attachment.waveform ?? null,
+    };
+  }
+}
+
+module.exports = {
+  messageAttachmentsTable,
+  MessageAttachmentsModel,
+};
@@ -0,0 +1,55 @@
+const { pgTable, serial, integer, timestamp, unique } = require("drizzle-orm/pg-core");
+const { eq, inArray } = require("drizzle-orm");
+const { db } = require("../config/database");
+
+// Message Delivery Receipts table - track which messages reached which recipients' devices
+const messageDeliveryReceiptsTable = pgTable("message_delivery_receipts", {
+  id: serial("id").primaryKey(),
+  messageId: integer("message_id").notNull(), // FK -> messages.id
+  userId: integer("user_id").notNull(), // FK -> users.id (the recipient)
+  deliveredAt: timestamp("delivered_at").defaultNow().notNull(),
+}, (table) => ({
+  uniqueMessageUser: unique("unique_message_delivery").on(table.messageId, table.userId),
+}));
+
+class MessageDeliveryReceiptsModel {
+  /**
+   * Record that messages reached a user (already recorded deliveries are ignored)
+   */
+  static async createDeliveryReceipts(messageIds, userId) {
+    if (!messageIds || messageIds.length === 0) return 0;
+
+    const receipts = await db
+      .insert(messageDeliveryReceiptsTable)
+      .values(messageIds.map((messageId) => ({ messageId: Number(messageId), userId: Number(userId) })))
+      .onConflictDoNothing()
+      .returning({ id: messageDeliveryReceiptsTable.id });
+    return receipts.length;
+  }
+
+  /**
+   * Get delivery receipts for a message
+   */
+  static async getDeliveryReceiptsByMessageId(messageId) {
+    return await db
+      .select()
+      .from(messageDeliveryReceiptsTable)
+      .where(eq(messageDeliveryReceiptsTable.messageId, Number(messageId)));
+  }
+
+  /**
+   * Get delivery receipts for multiple messages
+   */
+  static async getDeliveryReceiptsByMessageIds(messageIds) {
+    if (!messageIds || messageIds.length === 0) return [];
+    return await db
+      .select()
+      .from(messageDeliveryReceiptsTable)
+      .where(inArray(messageDeliveryReceiptsTable.messageId, messageIds.map(Number)));
+  }
+}
+
+module.exports = {
+  messageDeliveryReceiptsTable,
+  MessageDeliveryReceiptsModel,
+};
@@ -0,0 +1,107 @@
+const { pgTable, serial, integer, text, timestamp, unique } = require("drizzle-orm/pg-core");
+const { eq, and, inArray, asc } = require("drizzle-orm");
+const { db } = require("../config/database");
+
+// Message Reactions table - one row per user, message and emoji
+const messageReactionsTable = pgTable("message_reactions", {
+  id: serial("id").primaryKey(),
+  messageId: integer("message_id").notNull(), // FK -> messages.id
+  userId: integer("user_id").notNull(), // FK -> users.id
+  emoji: text("emoji").notNull(), // The emoji itself, e.g. "👍"
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+}, (table) => ({
+  uniqueMessageUserEmoji: unique("unique_message_reaction").on(table.messageId, table.userId, table.emoji),
+}));
+
+const MAX_EMOJI_LENGTH = 16;
+
+class MessageReactionsModel {
+  /**
+   * Check that an emoji is a short, non-empty string (a single emoji with modifiers fits in 16 chars)
+   */
+  static isValidEmoji(emoji) {
+    return typeof emoji === "string" && emoji.trim().length > 0 && emoji.length <= MAX_EMOJI_LENGTH && !/\s/.test(emoji);
+  }
+
+  /**
+   * Add a reaction (no-op if the user already reacted with this emoji)
+   */
+  static async addReaction(messageId, userId, emoji) {
+    const [reaction] = await db
+      .insert(messageReactionsTable)
+      .values({
+        messageId: Number(messageId),
+        userId: Number(userId),
+        emoji,
+      })
+      .onConflictDoNothing()
+      .returning();
+    return reaction || null;
+  }
+
+  /**
+   * Remove a user's reaction
+   */
+  static async removeReaction(messageId, userId, emoji) {
+    const [reaction] = await db
+      .delete(messageReactionsTable)
+      .where(
+        and(
+          eq(messageReactionsTable.messageId, Number(messageId)),
+          eq(messageReactionsTable.userId, Number(userId)),
+          eq(messageReactionsTable.emoji, emoji)
+        )
+      )
+      .returning();
+    return reaction || null;
+  }
+
+  /**
+   * Get reactions for multiple messages, oldest first
+   */
+  static async getReactionsByMessageIds(messageIds) {
+    if (!messageIds || messageIds.length === 0) return [];
+    return await db
+      .select()
+      .from(messageReactionsTable)
+      .where(inArray(messageReactionsTable.messageId, messageIds.map(Number)))
+      .orderBy(asc(messageReactionsTable.createdAt));
+  }
+
+  /**
+   * Aggregate reactions per message: messageId -> [{ emoji, count, userIds }]
+   * Emojis are ordered by their first use so the list doesn't reshuffle as counts change.
+   */
+  static summarize(reactions) {
+    const summary = new Map();
+    for (const reaction of reactions) {
+      if (!summary.has(reaction.messageId)) {
+        summary.set(reaction.messageId, new Map());
+      }
+      const byEmoji = summary.get(reaction.messageId);
+      const entry = byEmoji.get(reaction.emoji) || { emoji: reaction.emoji, count: 0, userIds: [] };
+      entry.count += 1;
+      entry.userIds.push(reaction.userId);
+      byEmoji.set(reaction.emoji, entry);
+    }
+
+    const result = {};
+    summary.forEach((byEmoji, messageId) => {
+      result[messageId] = Array.from(byEmoji.values());
+    });
+    return result;
+  }
+
+  /**
+   * Get the aggregated reactions of a single message
+   */
+  static async getReactionSummary(messageId) {
+    const reactions = await this.getReactionsByMessageIds([messageId]);
+    return this.summarize(reactions)[Number(messageId)] || [];
+  }
+}
+
+module.exports = {
+  messageReactionsTable,
+  MessageReactionsModel,
+};
@@ -1,6 +1,12 @@
-const { pgTable, serial, integer, text, timestamp, boolean } = require("drizzle-orm/pg-core");
-const { eq, and, or, desc, ne, isNull } = require("drizzle-orm");
+const { pgTable, serial, integer, text, timestamp, boolean, jsonb, index } = require("drizzle-orm/pg-core");
+const { eq, and, or, asc, desc, ne, gt, gte, lt, lte, isNull, isNotNull, inArray, sql } = require("drizzle-orm");
 const { db } = require("../config/database");
+const { extractMentions } = require("../utils/notification.utils");
+
+// Text search configuration used by both the GIN index and search queries (they must match for the index to be used)
+const SEARCH_CONFIG = "english";
+const searchVector = (content) => sql`to_tsvector(${sql.raw(`'${SEARCH_CONFIG}'`)}, ${content})`;
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "';
 
 // Messages table
 const messagesTable = pgTable("messages", {
@@ -12,18 +18,23 @@ const messagesTable = pgTable("messages", {
   fileUrl: text("file_url"), // For file/image/audio messages
   fileName: text("file_name"), // Original file name
   fileSize: integer("file_size"), // File size in bytes
-  replyToId: integer("reply_to_id"), // FK -> messages.id (for replies)
+  replyToId: integer("reply_to_id"), // FK -> messages.id (root message of the thread this reply belongs to)
   status: text("status").default("sent"), // sent, delivered, read
   isDeleted: boolean("is_deleted").default(false),
   deletedAt: timestamp("deleted_at"),
   isEdited: boolean("is_edited").default(false),
   editedAt: timestamp("edited_at"),
+  mentions: jsonb("mentions"), // IDs of the participants @mentioned in the content
+  pinnedAt: timestamp("pinned_at"), // Set while the message is pinned to its conversation
+  pinnedBy: integer("pinned_by"), // FK -> users.id
   createdAt: timestamp("created_at").defaultNow().notNull(),
   updatedAt: timestamp("updated_at")
     .defaultNow()
     .$onUpdate(() => new Date())
     .notNull(),
-});
+}, (table) => ({
+  contentSearchIdx: index("messages_content_search_idx").using("gin", searchVector(table.content)),
+}));
 
 class MessagesModel {
   /**
@@ -39,6 +50,7 @@ class MessagesModel {
     fileSize,
     replyToId,
   }) {
+    const mentions = messageType === "system" ? [] : await this.resolveMentions(conversationId, senderId, content);
     const [message] = await db
       .insert(messagesTable)
       .values({
@@ -50,6 +62,7 @@ class MessagesModel {
         fileName,
         fileSize,
         replyToId: replyToId ? Number(replyToId) : null,
+        mentions: mentions.length > 0 ? mentions : null,
         status: "sent",
       })
       .returning();
@@ -88,7 +101,23 @@ class MessagesModel {
   }
 
   /**
-   * Get messages for a conversation
+   * IDs of the conversation's active participants (other than the sender) @mentioned in the content
+   */
+  static async resolveMentions(conversationId, senderId, content) {
+    if (!content || !content.includes("@")) return [];
+    const { ConversationParticipantsModel } = require("./conversation-participants.model");
+    const participants = await ConversationParticipantsModel.getParticipantsByConversationId(
+      Number(conversationId),
+      senderId
+    );
+    const users = await ConversationParticipantsModel.getUserSummaries(
+      participants.map((participant) => participant.userId)
+    );
+    return extractMentions(content, users);
+  }
+
+  /**
+   * Get messages for a conversation (thread replies are fetched with getThreadReplies)
    */
   static async getMessages(conversationId, limit = 50, offset = 0) {
     return await db
@@ -97,7 +126,8 @@ class MessagesModel {
       .where(
         and(
           eq(messagesTable.conversationId, Number(conversationId)),
-          eq(messagesTable.isDeleted, false)
+          eq(messagesTable.isDeleted, false),
+          isNull(messagesTable.replyToId)
         )
       )
       .orderBy(desc(messagesTable.createdAt))
@@ -105,6 +135,233 @@ class MessagesModel {
       .offset(Number(offset));
   }
 
+  /**
+   * Get the messages (including thread replies) sent after a message the client already has,
+   * oldest first. Used to replay what a client missed while it was offline.
+   */
+  static async getMessagesSince(conversationId, afterMessageId, limit = 100) {
+    const messages = await db
+      .select()
+      .from(messagesTable)
+      .where(
+        and(
+          eq(messagesTable.conversationId, Number(conversationId)),
+          gt(messagesTable.id, Number(afterMessageId)),
+          eq(messagesTable.isDeleted, false)
+        )
+      )
+      .orderBy(asc(messagesTable.id))
+      .limit(Number(limit) + 1);
+
+    return {
+      messages: messages.slice(0, Number(limit)),
+      hasMore: messages.length > Number(limit),
+    };
+  }
+
+  /**
+   * Get a window of top-level messages around one message (oldest first).
+   * A thread reply is anchored on its root message. Returns null if the message
+   * doesn't exist in this conversation.
+   */
+  static async getMessagesAround(conversationId, messageId, limit = 50) {
+    const message = await this.getMessageById(messageId);
+    if (!message || message.isDeleted || message.conversationId !== Number(conversationId)) {
+      return null;
+    }
+    const anchor = message.replyToId ? await this.getMessageById(message.replyToId) : message;
+    if (!anchor) return null;
+
+    const half = Math.max(Math.floor(Number(limit) / 2), 1);
+    const topLevel = and(
+      eq(messagesTable.conversationId, Number(conversationId)),
+      eq(messagesTable.isDeleted, false),
+      isNull(messagesTable.replyToId)
+    );
+
+    // Fetch one extra row on each side to know whether there is more to load
+    const [before, after] = await Promise.all([
+      db
+        .select()
+        .from(messagesTable)
+        .where(and(topLevel, lte(messagesTable.createdAt, anchor.createdAt)))
+        .orderBy(desc(messagesTable.createdAt), desc(messagesTable.id))
+        .limit(half + 1),
+      db
+        .select()
+        .from(messagesTable)
+        .where(and(topLevel, gt(messagesTable.createdAt, anchor.createdAt)))
+        .orderBy(asc(messagesTable.createdAt), asc(messagesTable.id))
+        .limit(half + 1),
+    ]);
+
+    return {
+      anchorMessageId: anchor.id,
+      messages: [...before.slice(0, half).reverse(), ...after.slice(0, half)],
+      hasOlder: before.length > half,
+      hasNewer: after.length > half,
+    };
+  }
+
+  /**
+   * Full-text search over message content in the conversations a user currently belongs to.
+   * `query` uses web search syntax ("quoted phrases", -excluded, or).
+   * Returns matches with a highlighted snippet (<mark>…</mark>), best matches first.
+   */
+  static async searchMessages(userId, {
+    query,
+    conversationId,
+    senderId,
+    messageType,
+    from,
+    to,
+    limit = 20,
+    offset = 0,
+  }) {
+    const { conversationParticipantsTable } = require("./conversation-participants.model");
+    const tsQuery = sql`websearch_to_tsquery(${sql.raw(`'${SEARCH_CONFIG}'`)}, ${query})`;
+    const rank = sql`ts_rank(${searchVector(messagesTable.content)}, ${tsQuery})`;
+
+    const conditions = [
+      eq(messagesTable.isDeleted, false),
+      sql`${searchVector(messagesTable.content)} @@ ${tsQuery}`,
+      inArray(
+        messagesTable.conversationId,
+        db
+          .select({ conversationId: conversationParticipantsTable.conversationId })
+          .from(conversationParticipantsTable)
+          .where(
+            and(
+              eq(conversationParticipantsTable.userId, Number(userId)),
+              isNull(conversationParticipantsTable.leftAt)
+            )
+          )
+      ),
+    ];
+    if (conversationId) conditions.push(eq(messagesTable.conversationId, Number(conversationId)));
+    if (senderId) conditions.push(eq(messagesTable.senderId, Number(senderId)));
+    if (messageType) conditions.push(eq(messagesTable.messageType, messageType));
+    if (from) conditions.push(gte(messagesTable.createdAt, from));
+    if (to) conditions.push(lte(messagesTable.createdAt, to));
+    const where = and(...conditions);
+
+    const [results, [{ total }]] = await Promise.all([
+      db
+        .select({
+          id: messagesTable.id,
+          conversationId: messagesTable.conversationId,
+          senderId: messagesTable.senderId,
+          messageType: messagesTable.messageType,
+          fileName: messagesTable.fileName,
+          replyToId: messagesTable.replyToId,
+          createdAt: messagesTable.createdAt,
+          snippet: sql`ts_headline(${sql.raw(`'${SEARCH_CONFIG}'`)}, ${messagesTable.content}, ${tsQuery}, ${HEADLINE_OPTIONS})`,
+          rank: sql`${rank}`.mapWith(Number),
+        })
+        .from(messagesTable)
+        .where(where)
+        .orderBy(desc(rank), desc(messagesTable.createdAt))
+        .limit(Number(limit))
+        .offset(Number(offset)),
+      db
+        .select({ total: sql`count(*)::int`.mapWith(Number) })
+        .from(messagesTable)
+        .where(where),
+    ]);
+
+    return { results, total };
+  }
+
+  /**
+   * Get the replies in a thread, oldest first
+   */
+  static async getThreadReplies(rootMessageId, limit = 50, offset = 0) {
+    return await db
+      .select()
+      .from(messagesTable)
+      .where(
+        and(
+          eq(messagesTable.replyToId, Number(rootMessageId)),
+          eq(messagesTable.isDeleted, false)
+        )
+      )
+      .orderBy(asc(messagesTable.createdAt))
+      .limit(Number(limit))
+      .offset(Number(offset));
+  }
+
+  /**
+   * Get reply counts for root messages: messageId -> { replyCount, lastReplyAt }
+   */
+  static async getReplyStats(messageIds) {
+    if (!messageIds || messageIds.length === 0) return {};
+
+    const rows = await db
+      .select({
+        messageId: messagesTable.replyToId,
+        replyCount: sql`count(*)::int`,
+        lastReplyAt: sql`max(${messagesTable.createdAt})`,
+      })
+      .from(messagesTable)
+      .where(
+        and(
+          inArray(messagesTable.replyToId, messageIds.map(Number)),
+          eq(messagesTable.isDeleted, false)
+        )
+      )
+      .groupBy(messagesTable.replyToId);
+
+    return rows.reduce((stats, row) => {
+      stats[row.messageId] = { replyCount: row.replyCount, lastReplyAt: row.lastReplyAt };
+      return stats;
+    }, {});
+  }
+
+  /**
+   * Resolve the thread a reply belongs to. Replies to a reply join the root's thread,
+   * so threads stay one level deep. Returns null if the message can't be replied to.
+   */
+  static async getThreadRootId(conversationId, replyToId) {
+    const parent = await this.getMessageById(replyToId);
+    if (!parent || parent.isDeleted || parent.conversationId !== Number(conversationId)) {
+      return null;
+    }
+    return parent.replyToId || parent.id;
+  }
+
+  /**
+   * Add reply counts, aggregated reactions and attachment URLs to messages for API and socket payloads
+   */
+  static async withDetails(messages) {
+    const { MessageReactionsModel } = require("./message-reactions.model");
+    const { MessageAttachmentsModel } = require("./message-attachments.model");
+    if (!messages || messages.length === 0) return [];
+
+    const messageIds = messages.map((message) => message.id);
+    const rootIds = messages.filter((message) => !message.replyToId).map((message) => message.id);
+    const attachmentMessageIds = messages.filter((message) => message.fileUrl).map((message) => message.id);
+    const [replyStats, reactions, attachments] = await Promise.all([
+      this.getReplyStats(rootIds),
+      MessageReactionsModel.getReactionsByMessageIds(messageIds),
+      MessageAttachmentsModel.getAttachmentsByMessageIds(attachmentMessageIds),
+    ]);
+    const reactionSummary = MessageReactionsModel.summarize(reactions);
+    const attachmentPayloads = await Promise.all(
+      attachments.map((attachment) => MessageAttachmentsModel.toPayload(attachment))
+    );
+    const attachmentByMessageId = new Map(
+      attachments.map((attachment, index) => [attachment.messageId, attachmentPayloads[index]])
+    );
+
+    return messages.map((message) => ({
+      ...message,
+      replyCount: replyStats[message.id]?.replyCount || 0,
+      lastReplyAt: replyStats[message.id]?.lastReplyAt || null,
+      reactions: reactionSummary[message.id] || [],
+      attachment: attachmentByMessageId.get(message.id) || null,
+    }));
+  }
+
   /**
    * Get last message in conversation
    */
@@ -198,6 +455,57 @@ class MessagesModel {
     return { success: true };
   }
 
+  /**
+   * Record that messages reached a recipient and move the ones every recipient
+   * has now received from "sent" to "delivered".
+   * @returns {Promise<Array<{ id: number, senderId: number }>>} messages whose status changed
+   */
+  static async markAsDelivered(conversationId, userId, messageIds) {
+    if (!messageIds || messageIds.length === 0) return [];
+
+    const { MessageDeliveryReceiptsModel, messageDeliveryReceiptsTable } = require("./message-delivery-receipts.model");
+    const { conversationParticipantsTable } = require("./conversation-participants.model");
+
+    // Only other people's messages in this conversation count as delivered to this user
+    const deliverable = await db
+      .select({ id: messagesTable.id })
+      .from(messagesTable)
+      .where(
+        and(
+          inArray(messagesTable.id, messageIds.map(Number)),
+          eq(messagesTable.conversationId, Number(conversationId)),
+          ne(messagesTable.senderId, Number(userId))
+        )
+      );
+    if (deliverable.length === 0) return [];
+
+    const deliverableIds = deliverable.map((message) => message.id);
+    await MessageDeliveryReceiptsModel.createDeliveryReceipts(deliverableIds, userId);
+
+    // A message is delivered once no current recipient is missing a receipt
+    return await db
+      .update(messagesTable)
+      .set({ status: "delivered", updatedAt: new Date() })
+      .where(
+        and(
+          inArray(messagesTable.id, deliverableIds),
+          eq(messagesTable.status, "sent"),
+          sql`not exists (
+            select 1 from ${conversationParticipantsTable}
+            where ${conversationParticipantsTable.conversationId} = ${messagesTable.conversationId}
+              and ${conversationParticipantsTable.userId} <> ${messagesTable.senderId}
+              and ${conversationParticipantsTable.leftAt} is null
+              and not exists (
+                select 1 from ${messageDeliveryReceiptsTable}
+                where ${messageDeliveryReceiptsTable.messageId} = ${messagesTable.id}
+                  and ${messageDeliveryReceiptsTable.userId} = ${conversationParticipantsTable.userId}
+              )
+          )`
+        )
+      )
+      .returning({ id: messagesTable.id, senderId: messagesTable.senderId });
+  }
+
   /**
    * Update message status (e.g., sent -> delivered -> read)
    */
@@ -235,10 +543,15 @@ class MessagesModel {
    * Edit message
    */
   static async editMessage(messageId, userId, newContent) {
+    const existing = await this.getMessageById(messageId);
+    if (!existing || Number(existing.senderId) !== Number(userId)) return null;
+
+    const mentions = await this.resolveMentions(existing.conversationId, userId, newContent);
     const [message] = await db
       .update(messagesTable)
       .set({
         content: newContent,
+        mentions: mentions.length > 0 ? mentions : null,
         isEdited: true,
         editedAt: new Date(),
         updatedAt: new Date(),
@@ -253,6 +566,179 @@ class MessagesModel {
     return message;
   }
 
+  /**
+   * Recent sending activity of a user, for spam heuristics
+   * @returns {Promise<{ recentCount: number, duplicateCount: number }>} messages sent since `rateSince`,
+   *   and messages with exactly this content sent since `duplicateSince`
+   */
+  static async getRecentSenderActivity(senderId, content, { rateSince, duplicateSince }) {
+    const windowStart = rateSince < duplicateSince ? rateSince : duplicateSince;
+    const [activity] = await db
+      .select({
+        recentCount: sql`count(*) filter (where ${messagesTable.createdAt} >= ${rateSince.toISOString()})`.mapWith(Number),
+        duplicateCount: sql`count(*) filter (where ${messagesTable.createdAt} >= ${duplicateSince.toISOString()} and ${messagesTable.content} = ${content || ""} and ${messagesTable.content} <> '')`.mapWith(Number),
+      })
+      .from(messagesTable)
+      .where(
+        and(
+          eq(messagesTable.senderId, Number(senderId)),
+          gte(messagesTable.createdAt, windowStart)
+        )
+      );
+    return activity || { recentCount: 0, duplicateCount: 0 };
+  }
+
+  /**
+   * Remove a message on a moderator's decision (soft delete, regardless of sender)
+   */
+  static async removeMessage(messageId) {
+    const [message] = await db
+      .update(messagesTable)
+      .set({
+        isDeleted: true,
+        deletedAt: new Date(),
+        updatedAt: new Date(),
+      })
+      .where(eq(messagesTable.id, Number(messageId)))
+      .returning();
+    return message;
+  }
+
+  /**
+   * Soft-delete the messages of a conversation that are older than its retention period
+   * @returns {Promise<number>} number of messages that expired
+   */
+  static async expireMessagesBefore(conversationId, cutoff) {
+    const expired = await db
+      .update(messagesTable)
+      .set({
+        isDeleted: true,
+        deletedAt: new Date(),
+        updatedAt: new Date(),
+      })
+      .where(
+        and(
+          eq(messagesTable.conversationId, Number(conversationId)),
+          eq(messagesTable.isDeleted, false),
+          lt(messagesTable.createdAt, cutoff)
+        )
+      )
+      .returning({ id: messagesTable.id });
+    return expired.length;
+  }
+
+  /**
+   * IDs of messages deleted before `deletedBefore`, outside flagged conversations (those are on hold)
+   */
+  static async getPurgeableMessageIds(deletedBefore, limit = 500) {
+    const rows = await db
+      .select({ id: messagesTable.id })
+      .from(messagesTable)
+      .where(
+        and(
+          eq(messagesTable.isDeleted, true),
+          lt(messagesTable.deletedAt, deletedBefore),
+          sql`${messagesTable.conversationId} NOT IN (SELECT id FROM conversations WHERE is_flagged = true)`
+        )
+      )
+      .orderBy(asc(messagesTable.id))
+      .limit(Number(limit));
+    return rows.map((row) => row.id);
+  }
+
+  /**
+   * Permanently delete messages with their receipts, reactions and attachment records.
+   * Stored files are not touched; the caller removes them using the returned attachments.
+   * @returns {Promise<{ messageCount: number, attachments: Object[] }>}
+   */
+  static async purgeMessages(messageIds) {
+    if (!messageIds || messageIds.length === 0) return { messageCount: 0, attachments: [] };
+    const { messageReadReceiptsTable } = require("./message-read-receipts.model");
+    const { messageDeliveryReceiptsTable } = require("./message-delivery-receipts.model");
+    const { messageReactionsTable } = require("./message-reactions.model");
+    const { messageAttachmentsTable } = require("./message-attachments.model");
+    const ids = messageIds.map(Number);
+
+    return await db.transaction(async (tx) => {
+      await tx.delete(messageReadReceiptsTable).where(inArray(messageReadReceiptsTable.messageId, ids));
+      await tx.delete(messageDeliveryReceiptsTable).where(inArray(messageDeliveryReceiptsTable.messageId, ids));
+      await tx.delete(messageReactionsTable).where(inArray(messageReactionsTable.messageId, ids));
+      const attachments = await tx
+        .delete(messageAttachmentsTable)
+        .where(inArray(messageAttachmentsTable.messageId, ids))
+        .returning();
+      const purged = await tx
+        .delete(messagesTable)
+        .where(inArray(messagesTable.id, ids))
+        .returning({ id: messagesTable.id });
+      return { messageCount: purged.length, attachments };
+    });
+  }
+
+  /**
+   * A page of a conversation's messages (thread replies included), oldest first, for exports
+   */
+  static async getMessagesForExport(conversationId, { afterId = 0, limit = 1000, includeDeleted = false } = {}) {
+    const conditions = [
+      eq(messagesTable.conversationId, Number(conversationId)),
+      gt(messagesTable.id, Number(afterId)),
+    ];
+    if (!includeDeleted) conditions.push(eq(messagesTable.isDeleted, false));
+
+    return await db
+      .select()
+      .from(messagesTable)
+      .where(and(...conditions))
+      .orderBy(asc(messagesTable.id))
+      .limit(Number(limit));
+  }
+
+  /**
+   * Pinned messages of a conversation, most recently pinned first
+   */
+  static async getPinnedMessages(conversationId) {
+    return await db
+      .select()
+      .from(messagesTable)
+      .where(
+        and(
+          eq(messagesTable.conversationId, Number(conversationId)),
+          eq(messagesTable.isDeleted, false),
+          isNotNull(messagesTable.pinnedAt)
+        )
+      )
+      .orderBy(desc(messagesTable.pinnedAt));
+  }
+
+  static async countPinnedMessages(conversationId) {
+    const [result] = await db
+      .select({ count: sql`count(*)`.mapWith(Number) })
+      .from(messagesTable)
+      .where(
+        and(
+          eq(messagesTable.conversationId, Number(conversationId)),
+          eq(messagesTable.isDeleted, false),
+          isNotNull(messagesTable.pinnedAt)
+        )
+      );
+    return result?.count || 0;
+  }
+
+  /**
+   * Pin or unpin a message (userId = null unpins)
+   */
+  static async setPinned(messageId, userId) {
+    const [message] = await db
+      .update(messagesTable)
+      .set({
+        pinnedAt: userId ? new Date() : null,
+        pinnedBy: userId ? Number(userId) : null,
+      })
+      .where(eq(messagesTable.id, Number(messageId)))
+      .returning();
+    return message;
+  }
+
   /**
    * Get message by ID
    */
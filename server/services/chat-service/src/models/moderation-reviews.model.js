@@ -0,0 +1,136 @@
+const { pgTable, serial, integer, text, timestamp, jsonb, index } = require("drizzle-orm/pg-core");
+const { eq, and, desc, count } = require("drizzle-orm");
+const { db } = require("../config/database");
+
+// Moderation Reviews table - admin review queue fed by the automatic moderation rules
+const moderationReviewsTable = pgTable("moderation_reviews", {
+  id: serial("id").primaryKey(),
+  conversationId: integer("conversation_id").notNull(), // FK -> conversations.id
+  senderId: integer("sender_id").notNull(), // FK -> users.id
+  messageId: integer("message_id"), // FK -> messages.id; null while a held message is unpublished
+  content: text("content").notNull(), // Snapshot of the text the rules matched
+  attachmentId: integer("attachment_id"), // Held messages: attachment to publish on approval
+  replyToId: integer("reply_to_id"), // Held messages: thread root to publish into on approval
+  action: text("action").notNull(), // flag (delivered, queued for review), hold (not delivered until approved)
+  rules: jsonb("rules").default([]).notNull(), // [{ rule, action, reason }]
+  status: text("status").default("pending").notNull(), // pending, approved, removed, warned
+  reviewedBy: integer("reviewed_by"), // FK -> users.id (admin)
+  reviewedAt: timestamp("reviewed_at"),
+  reviewNote: text("review_note"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .$onUpdate(() => new Date())
+    .notNull(),
+}, (table) => ({
+  statusIdx: index("idx_moderation_reviews_status").on(table.status, table.createdAt),
+  senderIdx: index("idx_moderation_reviews_sender").on(table.senderId, table.conversationId, table.status),
+}));
+
+class ModerationReviewsModel {
+  /**
+   * Queue a message for admin review
+   */
+  static async createReview(data) {
+    const [review] = await db
+      .insert(moderationReviewsTable)
+      .values({
+        ...data,
+        conversationId: Number(data.conversationId),
+        senderId: Number(data.senderId),
+      })
+      .returning();
+    return review;
+  }
+
+  /**
+   * Get a review by ID
+   */
+  static async getReviewById(reviewId) {
+    const [review] = await db
+      .select()
+      .from(moderationReviewsTable)
+      .where(eq(moderationReviewsTable.id, Number(reviewId)));
+    return review;
+  }
+
+  /**
+   * Review queue, newest first
+   * @returns {Promise<{ reviews: Array, total: number }>}
+   */
+  static async getReviews({ status = "pending", conversationId, limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+    if (status) conditions.push(eq(moderationReviewsTable.status, status));
+    if (conversationId) conditions.push(eq(moderationReviewsTable.conversationId, Number(conversationId)));
+    const where = conditions.length > 0 ? and(...conditions) : undefined;
+
+    const [reviews, [{ total }]] = await Promise.all([
+      db
+        .select()
+        .from(moderationReviewsTable)
+        .where(where)
+        .orderBy(desc(moderationReviewsTable.createdAt))
+        .limit(Number(limit))
+        .offset(Number(offset)),
+      db.select({ total: count() }).from(moderationReviewsTable).where(where),
+    ]);
+    return { reviews, total: Number(total) };
+  }
+
+  /**
+   * Pending reviews of one sender in one conversation (drives automatic conversation flagging)
+   */
+  static async countPendingBySender(conversationId, senderId) {
+    const [{ total }] = await db
+      .select({ total: count() })
+      .from(moderationReviewsTable)
+      .where(
+        and(
+          eq(moderationReviewsTable.conversationId, Number(conversationId)),
+          eq(moderationReviewsTable.senderId, Number(senderId)),
+          eq(moderationReviewsTable.status, "pending")
+        )
+      );
+    return Number(total);
+  }
+
+  /**
+   * Update a review
+   */
+  static async updateReview(reviewId, updates) {
+    const [review] = await db
+      .update(moderationReviewsTable)
+      .set(updates)
+      .where(eq(moderationReviewsTable.id, Number(reviewId)))
+      .returning();
+    return review;
+  }
+
+  /**
+   * Resolve a pending review. Returns undefined if it was already resolved,
+   * so two admins acting at once can't both apply their action.
+   */
+  static async resolveReview(reviewId, { status, reviewedBy, reviewNote }) {
+    const [review] = await db
+      .update(moderationReviewsTable)
+      .set({
+        status,
+        reviewedBy: Number(reviewedBy),
+        reviewedAt: new Date(),
+        reviewNote: reviewNote || null,
+      })
+      .where(
+        and(
+          eq(moderationReviewsTable.id, Number(reviewId)),
+          eq(moderationReviewsTable.status, "pending")
+        )
+      )
+      .returning();
+    return review;
+  }
+}
+
+module.exports = {
+  moderationReviewsTable,
+  ModerationReviewsModel,
+};
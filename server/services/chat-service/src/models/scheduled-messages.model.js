@@ -0,0 +1,167 @@
+const { pgTable, serial, integer, text, timestamp, boolean, index } = require("drizzle-orm/pg-core");
+const { eq, and, asc, lte, sql } = require("drizzle-orm");
+const { db } = require("../config/database");
+
+// Scheduled Messages table - recurring or one-off system messages posted into group chats
+const scheduledMessagesTable = pgTable("scheduled_messages", {
+  id: serial("id").primaryKey(),
+  conversationId: integer("conversation_id").notNull(), // FK -> conversations.id
+  createdBy: integer("created_by").notNull(), // FK -> users.id (posted as the sender)
+  kind: text("kind").default("custom").notNull(), // custom, standup, sprint_kickoff, deadline_countdown
+  content: text("content"), // Message text (heading for deadline countdowns); null uses the kind's default
+  recurrence: text("recurrence").default("none").notNull(), // none, daily, weekdays, weekly
+  timeOfDay: text("time_of_day"), // "HH:MM" wall-clock time for recurring schedules
+  dayOfWeek: integer("day_of_week"), // 0 (Sunday) - 6 (Saturday), weekly schedules only
+  timezone: text("timezone").default("UTC").notNull(), // IANA time zone for timeOfDay
+  daysAhead: integer("days_ahead").default(3).notNull(), // Deadline countdown look-ahead window
+  nextRunAt: timestamp("next_run_at"), // null once a one-off schedule has run
+  lastRunAt: timestamp("last_run_at"),
+  isActive: boolean("is_active").default(true).notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .$onUpdate(() => new Date())
+    .notNull(),
+}, (table) => ({
+  dueIdx: index("idx_scheduled_messages_due").on(table.isActive, table.nextRunAt),
+  conversationIdx: index("idx_scheduled_messages_conversation").on(table.conversationId),
+}));
+
+class ScheduledMessagesModel {
+  /**
+   * Create a scheduled message
+   */
+  static async createScheduledMessage(data) {
+    const [schedule] = await db
+      .insert(scheduledMessagesTable)
+      .values({
+        ...data,
+        conversationId: Number(data.conversationId),
+        createdBy: Number(data.createdBy),
+      })
+      .returning();
+    return schedule;
+  }
+
+  /**
+   * Get a scheduled message by ID
+   */
+  static async getScheduledMessageById(scheduleId) {
+    const [schedule] = await db
+      .select()
+      .from(scheduledMessagesTable)
+      .where(eq(scheduledMessagesTable.id, Number(scheduleId)));
+    return schedule;
+  }
+
+  /**
+   * Get all scheduled messages of a conversation (soonest first)
+   */
+  static async getScheduledMessagesByConversationId(conversationId) {
+    return await db
+      .select()
+      .from(scheduledMessagesTable)
+      .where(eq(scheduledMessagesTable.conversationId, Number(conversationId)))
+      .orderBy(sql`${scheduledMessagesTable.nextRunAt} ASC NULLS LAST`, asc(scheduledMessagesTable.id));
+  }
+
+  /**
+   * Update a scheduled message
+   */
+  static async updateScheduledMessage(scheduleId, updates) {
+    const [schedule] = await db
+      .update(scheduledMessagesTable)
+      .set(updates)
+      .where(eq(scheduledMessagesTable.id, Number(scheduleId)))
+      .returning();
+    return schedule;
+  }
+
+  /**
+   * Delete a scheduled message
+   */
+  static async deleteScheduledMessage(scheduleId) {
+    const [schedule] = await db
+      .delete(scheduledMessagesTable)
+      .where(eq(scheduledMessagesTable.id, Number(scheduleId)))
+      .returning();
+    return schedule;
+  }
+
+  /**
+   * Active schedules whose run time has passed
+   */
+  static async getDueScheduledMessages(now = new Date(), limit = 100) {
+    return await db
+      .select()
+      .from(scheduledMessagesTable)
+      .where(
+        and(
+          eq(scheduledMessagesTable.isActive, true),
+          lte(scheduledMessagesTable.nextRunAt, now)
+        )
+      )
+      .orderBy(asc(scheduledMessagesTable.nextRunAt))
+      .limit(limit);
+  }
+
+  /**
+   * Claim a due run by moving nextRunAt forward.
+   * Only one scheduler replica wins the compare-and-set on the old nextRunAt.
+   * @param {Object} schedule - Row as read by getDueScheduledMessages
+   * @param {Date|null} nextRunAt - Following run, or null to finish a one-off schedule
+   * @returns {Promise<Object|undefined>} - The updated row when this caller won the claim
+   */
+  static async claimScheduledRun(schedule, nextRunAt, now = new Date()) {
+    const [claimed] = await db
+      .update(scheduledMessagesTable)
+      .set({
+        nextRunAt,
+        lastRunAt: now,
+        isActive: nextRunAt !== null,
+      })
+      .where(
+        and(
+          eq(scheduledMessagesTable.id, schedule.id),
+          eq(scheduledMessagesTable.isActive, true),
+          eq(scheduledMessagesTable.nextRunAt, schedule.nextRunAt)
+        )
+      )
+      .returning();
+    return claimed;
+  }
+
+  /**
+   * Deactivate every schedule of a conversation (e.g. when the group is deleted)
+   */
+  static async deactivateByConversationId(conversationId) {
+    return await db
+      .update(scheduledMessagesTable)
+      .set({ isActive: false })
+      .where(eq(scheduledMessagesTable.conversationId, Number(conversationId)))
+      .returning({ id: scheduledMessagesTable.id });
+  }
+
+  /**
+   * Open tasks of a project due within the next `daysAhead` days (project_tasks lives in project-service)
+   */
+  static async getUpcomingProjectTasks(projectId, daysAhead, now = new Date()) {
+    const until = new Date(now.getTime() + Number(daysAhead) * 24 * 60 * 60 * 1000);
+    const result = await db.execute(sql`
+      SELECT id, title, due_date AS "dueDate", assigned_to AS "assignedTo"
+      FROM project_tasks
+      WHERE project_id = ${Number(projectId)}
+        AND status NOT IN ('completed', 'cancelled')
+        AND due_date >= ${now.toISOString()}
+        AND due_date <= ${until.toISOString()}
+      ORDER BY due_date ASC
+      LIMIT 20
+    `);
+    return result.rows || [];
+  }
+}
+
+module.exports = {
+  scheduledMessagesTable,
+  ScheduledMessagesModel,
+};
@@ -0,0 +1,33 @@
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i;
+// Nine or more digits, optionally split by spaces, dots, dashes or brackets
+const PHONE_PATTERN = /(?:\+|\b)\d(?:[\s().-]*\d){8,}\b/;
+const MESSENGER_PATTERN = /\b(whats\s?app|telegram|signal\s+me|skype|wechat|discord)\b|\b(wa\.me|t\.me)\//i;
+
+const PAYMENT_PATTERN =
+  /\b(paypal|venmo|cash\s?app|zelle|western\s+union|moneygram|payoneer|wise\s+transfer|wire\s+transfer|bank\s+transfer|iban|swift\s+code|bitcoin|btc|usdt|crypto\s+wallet)\b/i;
+const OFF_PLATFORM_PATTERN =
+  /\b(pay|paid|payment|invoice)\b.{0,40}\b(directly|outside|off[\s-]?platform|off\s+the\s+platform|avoid\s+(the\s+)?fees?)\b/i;
+
+/**
+ * Detects attempts to move the conversation or the payment off the platform.
+ * Sharing contact details is flagged; steering payment outside the platform is held.
+ */
+class ContactInfoRule {
+  static async check({ content }) {
+    if (!content) return null;
+
+    if (PAYMENT_PATTERN.test(content) || OFF_PLATFORM_PATTERN.test(content)) {
+      return { action: "hold", reason: "Off-platform payment" };
+    }
+
+    const found = [];
+    if (EMAIL_PATTERN.test(content)) found.push("email address");
+    if (PHONE_PATTERN.test(content)) found.push("phone number");
+    if (MESSENGER_PATTERN.test(content)) found.push("external messenger");
+    if (found.length === 0) return null;
+
+    return { action: "flag", reason: `Contact details shared (${found.join(", ")})` };
+  }
+}
+
+module.exports = ContactInfoRule;
@@ -0,0 +1,127 @@
+const {
+  ConversationsModel,
+  MessagesModel,
+  ModerationReviewsModel,
+} = require("../models");
+const ProfanityRule = require("./profanity.rule");
+const ContactInfoRule = require("./contact-info.rule");
+const SpamRule = require("./spam.rule");
+
+/**
+ * Message moderation pipeline
+ *
+ * Every rule exposes the same static method:
+ * - check({ content, senderId, conversationId }) -> null, or { action: "flag" | "hold", reason }
+ *
+ * "flag" delivers the message and queues it for admin review; "hold" keeps it
+ * from the other participants until an admin approves it. Enabled rules are
+ * listed in CHAT_MODERATION_RULES (all by default); CHAT_MODERATION_ENABLED=false
+ * turns moderation off. Admins' messages are never moderated.
+ */
+const RULES = {
+  profanity: ProfanityRule,
+  contact_info: ContactInfoRule,
+  spam: SpamRule,
+};
+
+const isModerationEnabled = () => process.env.CHAT_MODERATION_ENABLED !== "false";
+
+const getEnabledRules = () => {
+  const names = (process.env.CHAT_MODERATION_RULES || Object.keys(RULES).join(","))
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  return names.filter((name) => RULES[name]).map((name) => [name, RULES[name]]);
+};
+
+/**
+ * Run the enabled rules against an outgoing message
+ * @returns {Promise<{ action: "allow" | "flag" | "hold", findings: Array<{ rule: string, action: string, reason: string }> }>}
+ */
+const moderateMessage = async ({ content, senderId, senderRole, conversationId }) => {
+  if (!isModerationEnabled() || senderRole === "admin") {
+    return { action: "allow", findings: [] };
+  }
+
+  const findings = [];
+  for (const [name, rule] of getEnabledRules()) {
+    try {
+      const result = await rule.check({ content: content || "", senderId: Number(senderId), conversationId: Number(conversationId) });
+      if (result) findings.push({ rule: name, ...result });
+    } catch (error) {
+      // A broken rule must not stop people from chatting
+      console.error(`[Moderation] Rule "${name}" failed:`, error.message);
+    }
+  }
+
+  const action = findings.some((finding) => finding.action === "hold")
+    ? "hold"
+    : findings.length > 0
+      ? "flag"
+      : "allow";
+  return { action, findings };
+};
+
+/**
+ * Put a flagged or held message in the admin review queue. Once a sender has
+ * CHAT_MODERATION_AUTOFLAG_THRESHOLD pending reviews in a conversation, the
+ * conversation itself is flagged.
+ */
+const queueForReview = async (verdict, { conversationId, senderId, content, messageId = null, attachmentId = null, replyToId = null }) => {
+  const review = await ModerationReviewsModel.createReview({
+    conversationId,
+    senderId,
+    messageId,
+    content: content || "",
+    attachmentId,
+    replyToId,
+    action: verdict.action,
+    rules: verdict.findings,
+  });
+
+  const threshold = Number(process.env.CHAT_MODERATION_AUTOFLAG_THRESHOLD) || 3;
+  const pending = await ModerationReviewsModel.countPendingBySender(conversationId, senderId);
+  if (pending >= threshold) {
+    const conversation = await ConversationsModel.getConversationById(Number(conversationId));
+    if (conversation && !conversation.isFlagged) {
+      await ConversationsModel.flagConversation(
+        Number(conversationId),
+        null,
+        `Automatically flagged: ${pending} messages from user ${senderId} awaiting review`
+      );
+      console.log(`[Moderation] 🚩 Conversation ${conversationId} auto-flagged`);
+    }
+  }
+
+  if (global.socketHandlers) {
+    global.socketHandlers.emitToAdmins("moderation_review_created", { review });
+  }
+  return review;
+};
+
+/**
+ * Post a warning into the user's moderation conversation
+ */
+const sendModerationWarning = async ({ userId, adminId, content }) => {
+  const conversation = await ConversationsModel.getOrCreateModerationConversation(Number(userId), Number(adminId));
+  const message = await MessagesModel.createMessage({
+    conversationId: conversation.id,
+    senderId: Number(adminId),
+    content,
+    messageType: "system",
+  });
+
+  if (global.socketHandlers) {
+    await global.socketHandlers.emitToParticipants(conversation.id, "new_message", {
+      conversationId: conversation.id,
+      message,
+    });
+  }
+  return { conversation, message };
+};
+
+module.exports = {
+  moderateMessage,
+  queueForReview,
+  sendModerationWarning,
+};
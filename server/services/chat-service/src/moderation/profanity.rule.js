@@ -0,0 +1,56 @@
+// Small built-in list; deployments extend or replace it with CHAT_MODERATION_PROFANITY_WORDS
+const DEFAULT_WORDS = [
+  "fuck",
+  "fucking",
+  "motherfucker",
+  "shit",
+  "bullshit",
+  "bitch",
+  "asshole",
+  "bastard",
+  "cunt",
+  "dickhead",
+  "retard",
+  "whore",
+  "slut",
+];
+
+// Common character swaps used to dodge word filters
+const LEET_MAP = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a", $: "s", "!": "i" };
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const getWordPattern = () => {
+  const configured = (process.env.CHAT_MODERATION_PROFANITY_WORDS || "")
+    .split(",")
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean);
+  const words = configured.length > 0 ? configured : DEFAULT_WORDS;
+  return new RegExp(`(?:^|[^a-z])(${words.map(escapeRegExp).join("|")})(?=$|[^a-z])`, "g");
+};
+
+const normalize = (content) =>
+  content
+    .toLowerCase()
+    .replace(/[013457@$!]/g, (char) => LEET_MAP[char] || char)
+    // "f.u.c.k" / "f u c k" -> "fuck"
+    .replace(/\b(\w)(?:[\s._*-](\w)\b)+/g, (match) => match.replace(/[\s._*-]/g, ""));
+
+/**
+ * Flags messages containing words from the profanity list
+ */
+class ProfanityRule {
+  static async check({ content }) {
+    if (!content) return null;
+
+    const matches = [...normalize(content).matchAll(getWordPattern())].map((match) => match[1]);
+    if (matches.length === 0) return null;
+
+    return {
+      action: process.env.CHAT_MODERATION_PROFANITY_ACTION === "hold" ? "hold" : "flag",
+      reason: `Profanity (${[...new Set(matches)].join(", ")})`,
+    };
+  }
+}
+
+module.exports = ProfanityRule;
@@ -0,0 +1,38 @@
+const { MessagesModel } = require("../models");
+
+const URL_PATTERN = /\bhttps?:\/\/\S+|\bwww\.\S+/gi;
+
+const getLimit = (name, fallback) => Number(process.env[name]) || fallback;
+
+/**
+ * Rate and repetition heuristics over the sender's recent messages (across all conversations)
+ */
+class SpamRule {
+  static async check({ content, senderId }) {
+    const rateLimit = getLimit("CHAT_MODERATION_RATE_LIMIT", 10); // messages per minute
+    const duplicateLimit = getLimit("CHAT_MODERATION_DUPLICATE_LIMIT", 3); // same text per 10 minutes
+    const linkLimit = getLimit("CHAT_MODERATION_LINK_LIMIT", 3); // links per message
+
+    const now = Date.now();
+    const { recentCount, duplicateCount } = await MessagesModel.getRecentSenderActivity(senderId, content, {
+      rateSince: new Date(now - 60 * 1000),
+      duplicateSince: new Date(now - 10 * 60 * 1000),
+    });
+
+    // Counts exclude the message being checked
+    if (recentCount >= rateLimit) {
+      return { action: "hold", reason: `Message rate (${recentCount + 1} messages in a minute)` };
+    }
+    if (content && duplicateCount + 1 >= duplicateLimit) {
+      return { action: "hold", reason: `Repeated message (sent ${duplicateCount + 1} times in 10 minutes)` };
+    }
+
+    const links = (content || "").match(URL_PATTERN) || [];
+    if (links.length > linkLimit) {
+      return { action: "flag", reason: `Many links (${links.length})` };
+    }
+    return null;
+  }
+}
+
+module.exports = SpamRule;
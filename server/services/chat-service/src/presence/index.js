@@ -0,0 +1,20 @@
+const { isRedisEnabled } = require("../config/redis");
+const MemoryPresence = require("./memory.presence");
+const RedisPresence = require("./redis.presence");
+
+/**
+ * Presence store
+ *
+ * Both stores expose the same static methods:
+ * - addSocket(userId, socketId) -> true if this is the user's first connection
+ * - removeSocket(userId, socketId) -> true if the user has no connections left
+ * - startHeartbeat(getConnections) -> keep this instance's sockets alive
+ * - getOnlineUserIds(userIds) -> the subset of userIds that are online
+ *
+ * Redis is used whenever REDIS_URL is set, so presence is shared across replicas.
+ */
+const getPresenceStore = () => (isRedisEnabled() ? RedisPresence : MemoryPresence);
+
+module.exports = {
+  getPresenceStore,
+};
@@ -0,0 +1,36 @@
+// userId -> Set of socket IDs
+const connections = new Map();
+
+/**
+ * In-process presence, used when Redis isn't configured (single chat-service instance)
+ */
+class MemoryPresence {
+  static async addSocket(userId, socketId) {
+    const sockets = connections.get(Number(userId)) || new Set();
+    sockets.add(socketId);
+    connections.set(Number(userId), sockets);
+    return sockets.size === 1;
+  }
+
+  static async removeSocket(userId, socketId) {
+    const sockets = connections.get(Number(userId));
+    if (!sockets) return true;
+
+    sockets.delete(socketId);
+    if (sockets.size > 0) return false;
+
+    connections.delete(Number(userId));
+    return true;
+  }
+
+  // Nothing expires in memory
+  static startHeartbeat() {
+    return null;
+  }
+
+  static async getOnlineUserIds(userIds) {
+    return userIds.map(Number).filter((userId) => connections.has(userId));
+  }
+}
+
+module.exports = MemoryPresence;
@@ -0,0 +1,87 @@
+const { getRedisClient } = require("../config/redis");
+
+const KEY_PREFIX = "chat:presence:user:";
+const DEFAULT_TTL_SECONDS = 90;
+
+const keyFor = (userId) => `${KEY_PREFIX}${Number(userId)}`;
+
+const getTtlMs = () => (Number(process.env.CHAT_PRESENCE_TTL_SECONDS) || DEFAULT_TTL_SECONDS) * 1000;
+
+/**
+ * Presence shared by every chat-service instance
+ *
+ * Each user has a sorted set of their socket IDs, scored by when the entry expires.
+ * Instances refresh the entries of their own sockets on a heartbeat, so sockets of an
+ * instance that crashed stop counting as online once their TTL passes.
+ */
+class RedisPresence {
+  static async addSocket(userId, socketId) {
+    const key = keyFor(userId);
+    const now = Date.now();
+    const ttl = getTtlMs();
+
+    const [, , count] = await getRedisClient()
+      .multi()
+      .zRemRangeByScore(key, "-inf", now)
+      .zAdd(key, { score: now + ttl, value: socketId })
+      .zCard(key)
+      .pExpire(key, ttl)
+      .exec();
+    return Number(count) === 1;
+  }
+
+  static async removeSocket(userId, socketId) {
+    const key = keyFor(userId);
+
+    const [, , count] = await getRedisClient()
+      .multi()
+      .zRem(key, socketId)
+      .zRemRangeByScore(key, "-inf", Date.now())
+      .zCard(key)
+      .exec();
+    return Number(count) === 0;
+  }
+
+  /**
+   * Extend the TTL of sockets connected to this instance
+   * @param {{ userId: number, socketId: string }[]} connections
+   */
+  static async refresh(connections) {
+    if (connections.length === 0) return;
+
+    const expiresAt = Date.now() + getTtlMs();
+    const multi = getRedisClient().multi();
+    connections.forEach(({ userId, socketId }) => {
+      multi.zAdd(keyFor(userId), { score: expiresAt, value: socketId });
+      multi.pExpire(keyFor(userId), getTtlMs());
+    });
+    await multi.exec();
+  }
+
+  /**
+   * Refresh this instance's sockets every third of the TTL
+   * @param {() => { userId: number, socketId: string }[]} getConnections
+   */
+  static startHeartbeat(getConnections) {
+    const timer = setInterval(() => {
+      this.refresh(getConnections()).catch((error) => {
+        console.error("Presence heartbeat failed:", error.message);
+      });
+    }, Math.floor(getTtlMs() / 3));
+    timer.unref();
+    return timer;
+  }
+
+  static async getOnlineUserIds(userIds) {
+    if (userIds.length === 0) return [];
+
+    const now = Date.now();
+    const multi = getRedisClient().multi();
+    userIds.forEach((userId) => multi.zCount(keyFor(userId), now, "+inf"));
+    const counts = await multi.exec();
+
+    return userIds.map(Number).filter((userId, index) => Number(counts[index]) > 0);
+  }
+}
+
+module.exports = RedisPresence;
@@ -41,9 +41,27 @@ chatRouter.delete(
 // Get messages for a conversation
 chatRouter.get("/conversations/:conversationId/messages", chatController.getMessages);
 
+// Full-text search across the user's conversations
+chatRouter.get("/search", chatController.searchMessages);
+
 // Send a message
 chatRouter.post("/messages", chatController.sendMessage);
 
+// Upload a file attachment (multipart: file, conversationId)
+chatRouter.post("/attachments", chatController.uploadAttachment);
+
+// Get a thread (root message and its replies)
+chatRouter.get("/messages/:messageId/thread", chatController.getThread);
+
+// Add / remove an emoji reaction
+chatRouter.post("/messages/:messageId/reactions", chatController.addReaction);
+chatRouter.delete("/messages/:messageId/reactions/:emoji", chatController.removeReaction);
+
+// Pinned messages of a conversation; any participant can pin / unpin
+chatRouter.get("/conversations/:conversationId/pins", chatController.getPinnedMessages);
+chatRouter.post("/messages/:messageId/pin", chatController.pinMessage);
+chatRouter.delete("/messages/:messageId/pin", chatController.unpinMessage);
+
 // Mark messages as read
 chatRouter.post("/conversations/:conversationId/read", chatController.markAsRead);
 
@@ -53,9 +71,42 @@ chatRouter.delete("/messages/:messageId", chatController.deleteMessage);
 // Edit a message
 chatRouter.put("/messages/:messageId", chatController.editMessage);
 
-// Update participant settings (archive, favorite, mute)
+// Update participant settings (archive, favorite, mute, notification mode)
 chatRouter.put("/conversations/:conversationId/participant", chatController.updateParticipantSettings);
 
+// Scheduled system messages in a group (project owner of the group manages them)
+chatRouter.get("/conversations/:conversationId/scheduled-messages", chatController.getScheduledMessages);
+chatRouter.post(
+  "/conversations/:conversationId/scheduled-messages",
+  requireRole(["project-owner"]),
+  chatController.createScheduledMessage
+);
+chatRouter.put(
+  "/conversations/:conversationId/scheduled-messages/:scheduleId",
+  requireRole(["project-owner"]),
+  chatController.updateScheduledMessage
+);
+chatRouter.delete(
+  "/conversations/:conversationId/scheduled-messages/:scheduleId",
+  requireRole(["project-owner"]),
+  chatController.deleteScheduledMessage
+);
+
+// Export a conversation as JSON or HTML (admins, project owners in the conversation)
+chatRouter.get(
+  "/conversations/:conversationId/export",
+  requireRole(["admin", "project-owner"]),
+  chatController.exportConversation
+);
+
+// Retention policy (admins, or the project owner of a group)
+chatRouter.get("/conversations/:conversationId/retention", chatController.getRetentionPolicy);
+chatRouter.put(
+  "/conversations/:conversationId/retention",
+  requireRole(["admin", "project-owner"]),
+  chatController.updateRetentionPolicy
+);
+
 // Flag conversation (admin only)
 chatRouter.post(
   "/conversations/:conversationId/flag",
@@ -70,6 +121,18 @@ chatRouter.delete(
   chatController.unflagConversation
 );
 
+// Moderation review queue (admin only)
+chatRouter.get(
+  "/moderation/reviews",
+  requireRole(["admin"]),
+  chatController.getModerationReviews
+);
+chatRouter.post(
+  "/moderation/reviews/:reviewId/resolve",
+  requireRole(["admin"]),
+  chatController.resolveModerationReview
+);
+
 // Delete conversation (group or direct)
 // - Groups: Only project owners who created the group can delete
 // - Direct: Only developers who started the conversation can delete
@@ -0,0 +1,13 @@
+const express = require("express");
+const internalController = require("../controllers/internal.controller");
+const { requireInternalKey } = require("shared/middleware/internalAuth.middleware");
+
+const internalRouter = express.Router();
+
+// Service-to-service only: called directly by other services, not exposed through the gateway
+internalRouter.use(requireInternalKey);
+
+// Push a real-time event to every socket of a user
+internalRouter.post("/push", internalController.pushToUser);
+
+module.exports = internalRouter;
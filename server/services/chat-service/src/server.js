@@ -2,16 +2,24 @@ require("dotenv").config();
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
+const { createAdapter } = require("@socket.io/redis-adapter");
 const cors = require("cors");
 const helmet = require("helmet");
 const session = require("express-session");
 const fileUpload = require("express-fileupload");
 const errorMiddleware = require("shared/middleware/error.middleware");
+const ErrorHandler = require("shared/utils/errorHandler");
 const logger = require("shared/utils/logger.utils");
 const { initializeDatabase } = require("./config/database");
+const { isRedisEnabled, connectRedis } = require("./config/redis");
 const chatRouter = require("./routes/chat.routes");
+const internalRouter = require("./routes/internal.routes");
+const LocalStorage = require("./storage/local.storage");
+const { getMaxFileSize, isInlineFile } = require("./utils/attachment.utils");
 const socketAuth = require("./socket/socket.auth");
 const SocketHandlers = require("./socket/socket.handlers");
+const { startScheduledMessagesWorker } = require("./workers/scheduled-messages.worker");
+const { startRetentionWorker } = require("./workers/retention.worker");
 
 const app = express();
 const server = http.createServer(app);
@@ -60,6 +68,8 @@ app.use(
 app.use(
   fileUpload({
     useTempFiles: true,
+    // Oversized files are marked as truncated and rejected by the upload handler
+    limits: { fileSize: getMaxFileSize() },
   })
 );
 
@@ -67,7 +77,39 @@ app.use(
 app.use(logger.dev, logger.combined);
 
 // 📂 Route Mounting
+// Files written by the local storage driver; only signed, unexpired URLs from
+// LocalStorage.getObjectUrl are served (no auth header, so <img> and <audio> tags work)
+app.get(`${LocalStorage.getPublicPath()}/*key`, (req, res, next) => {
+  const key = req.params.key.join("/");
+  if (!LocalStorage.verifyUrl(key, req.query)) {
+    return new ErrorHandler("File link is invalid or has expired", 403).sendError(res);
+  }
+
+  res.sendFile(
+    LocalStorage.resolvePath(key),
+    {
+      dotfiles: "deny",
+      // Private: the link is only valid for a while and only for people it was handed to
+      cacheControl: false,
+      headers: {
+        "Cache-Control": `private, max-age=${Math.max(Number(req.query.expires) - Math.floor(Date.now() / 1000), 0)}`,
+        // Only images (incl. .webp thumbnails) and audio are shown inline; everything else downloads
+        ...(isInlineFile(key) ? {} : { "Content-Disposition": "attachment" }),
+      },
+    },
+    (error) => {
+      if (!error) return;
+      if (error.status === 404 || error.code === "ENOENT") {
+        if (!res.headersSent) new ErrorHandler("File not found", 404).sendError(res);
+        return;
+      }
+      next(error);
+    }
+  );
+});
 app.use("/api/v1/chat", chatRouter);
+// Service-to-service endpoints (not proxied by the API gateway)
+app.use("/internal/v1/realtime", internalRouter);
 
 // Health check
 app.get("/health", (req, res) => {
@@ -86,10 +128,22 @@ app.use(errorMiddleware);
 const startServer = async () => {
   try {
     await initializeDatabase();
+
+    // With Redis, rooms and broadcasts span every chat-service replica
+    if (isRedisEnabled()) {
+      const { pubClient, subClient } = await connectRedis();
+      io.adapter(createAdapter(pubClient, subClient));
+      console.log("📡 Socket.io Redis adapter enabled");
+    }
+    socketHandlers.startPresenceHeartbeat();
+
     server.listen(PORT, () => {
       console.log(`🚀 Chat Service running on http://localhost:${PORT}`);
       console.log(`📡 Socket.io server initialized`);
     });
+
+    startScheduledMessagesWorker();
+    startRetentionWorker();
   } catch (error) {
     console.error("❌ Failed to start server:", error);
     process.exit(1);
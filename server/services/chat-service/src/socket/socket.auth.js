@@ -31,6 +31,8 @@ const socketAuth = (socket, next) => {
       role: decoded.role || null,
       roles: decoded.roles || [],
     };
+    // Kept for calls to other services made on the user's behalf
+    socket.authToken = token;
 
     next();
   } catch (error) {
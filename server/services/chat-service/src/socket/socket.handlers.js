@@ -3,7 +3,18 @@ const {
   MessagesModel,
   ConversationParticipantsModel,
   MessageReadReceiptsModel,
+  MessageReactionsModel,
+  MessageAttachmentsModel,
 } = require("../models");
+const { getMessageTypeForMime } = require("../utils/attachment.utils");
+const { getPresenceStore } = require("../presence");
+const { createChatMessageNotification } = require("../utils/userServiceClient");
+const { getNotificationRecipients } = require("../utils/notification.utils");
+const { moderateMessage, queueForReview } = require("../moderation");
+
+// Most messages replayed per conversation by sync_messages; clients reload the conversation beyond that
+const SYNC_MESSAGES_LIMIT = 100;
+const SYNC_CONVERSATIONS_LIMIT = 50;
 
 /**
  * Socket.io event handlers
@@ -11,44 +22,43 @@ const {
 class SocketHandlers {
   constructor(io) {
     this.io = io;
-    // Store active users: userId -> socketId
-    this.activeUsers = new Map();
+    // Sockets connected to this instance: socketId -> userId
+    // (cluster-wide presence lives in the presence store)
+    this.localSockets = new Map();
     // Store typing users: conversationId -> { userId -> timestamp }
     this.typingUsers = new Map();
   }
 
   /**
-   * Get active users count
+   * Keep this instance's sockets marked online in the presence store
    */
-  getActiveUsersCount() {
-    return this.activeUsers.size;
+  startPresenceHeartbeat() {
+    return getPresenceStore().startHeartbeat(() =>
+      Array.from(this.localSockets, ([socketId, userId]) => ({ userId, socketId }))
+    );
   }
 
   /**
-   * Get user's socket ID
+   * Get the number of sockets connected to this instance
    */
-  getUserSocketId(userId) {
-    return this.activeUsers.get(Number(userId));
+  getActiveUsersCount() {
+    return this.localSockets.size;
   }
 
   /**
-   * Get all socket IDs for a conversation (all participants)
+   * Get all socket IDs for a conversation (all participants, on every instance)
    */
   async getConversationSocketIds(conversationId) {
     try {
       const participants = await ConversationParticipantsModel.getParticipantsByConversationId(
         Number(conversationId)
       );
-      const socketIds = [];
-      
-      participants.forEach((participant) => {
-        const socketId = this.activeUsers.get(Number(participant.userId));
-        if (socketId) {
-          socketIds.push(socketId);
-        }
-      });
+      if (participants.length === 0) return [];
 
-      return socketIds;
+      const sockets = await this.io
+        .in(participants.map((participant) => `user:${participant.userId}`))
+        .fetchSockets();
+      return sockets.map((participantSocket) => participantSocket.id);
     } catch (error) {
       console.error("Error getting conversation socket IDs:", error);
       return [];
@@ -67,17 +77,21 @@ class SocketHandlers {
       return;
     }
 
-    // Store user's socket connection
-    this.activeUsers.set(Number(userId), socket.id);
+    // Track the connection on this instance
+    this.localSockets.set(socket.id, Number(userId));
 
     console.log(`✅ User ${userId} connected (Socket: ${socket.id})`);
-    console.log(`📊 Active users: ${this.activeUsers.size}`);
+    console.log(`📊 Sockets on this instance: ${this.localSockets.size}`);
 
     // Join user's personal room (for direct notifications)
     socket.join(`user:${userId}`);
+    // Admins also get moderation queue updates
+    if (socket.user?.role === "admin") {
+      socket.join("role:admin");
+    }
 
-    // Emit user online status to relevant users
-    this.broadcastUserStatus(userId, "online");
+    // Record presence and tell the user's contacts (event handlers below are registered right away)
+    this.handlePresenceConnect(socket, userId);
 
     /**
      * Handle joining a conversation room
@@ -126,10 +140,10 @@ class SocketHandlers {
      */
     socket.on("send_message", async (data) => {
       try {
-        const { conversationId, content, messageType = "text", replyToId } = data;
+        const { conversationId, content, attachmentId, replyToId } = data;
 
-        if (!conversationId || !content) {
-          socket.emit("error", { message: "Conversation ID and content are required" });
+        if (!conversationId || (!content && !attachmentId)) {
+          socket.emit("error", { message: "Conversation ID and content or an attachment are required" });
           return;
         }
 
@@ -144,26 +158,93 @@ class SocketHandlers {
           return;
         }
 
-        // Create message in database
-        const message = await MessagesModel.createMessage({
-          conversationId: Number(conversationId),
-          senderId: Number(userId),
+        // Replies always attach to the root message of a thread
+        let threadRootId = null;
+        if (replyToId) {
+          threadRootId = await MessagesModel.getThreadRootId(Number(conversationId), Number(replyToId));
+          if (!threadRootId) {
+            socket.emit("error", { message: "The message you are replying to was not found in this conversation" });
+            return;
+          }
+        }
+
+        // Attachments must have been uploaded by the sender to this conversation and not sent yet
+        let attachment = null;
+        if (attachmentId) {
+          attachment = await MessageAttachmentsModel.getPendingAttachment(attachmentId, Number(conversationId), Number(userId));
+          if (!attachment) {
+            socket.emit("error", { message: "Attachment not found or already sent" });
+            return;
+          }
+        }
+
+        // Flagged conversations are read-only until an admin resolves them
+        const conversation = await ConversationsModel.getConversationById(Number(conversationId));
+        if (conversation?.isFlagged && socket.user?.role !== "admin") {
+          socket.emit("error", { message: "Cannot send messages to flagged conversations" });
+          return;
+        }
+
+        const verdict = await moderateMessage({
           content,
-          messageType,
-          replyToId: replyToId ? Number(replyToId) : null,
+          senderId: userId,
+          senderRole: socket.user?.role,
+          conversationId,
         });
+        if (verdict.action === "hold") {
+          const review = await queueForReview(verdict, {
+            conversationId,
+            senderId: userId,
+            content,
+            attachmentId: attachment?.id || null,
+            replyToId: threadRootId,
+          });
+          socket.emit("message_held", {
+            conversationId: Number(conversationId),
+            reviewId: review.id,
+            content: content || "",
+            reasons: verdict.findings.map((finding) => finding.reason),
+          });
+          console.log(`🛑 Message from user ${userId} in conversation ${conversationId} held for review ${review.id}`);
+          return;
+        }
 
-        // Get all participants for this conversation
-        const conversationSocketIds = await this.getConversationSocketIds(conversationId);
-
-        // Emit message to all participants in the conversation room
-        this.io.to(`conversation:${conversationId}`).emit("new_message", {
+        // Create message in database
+        const created = await MessagesModel.createMessage({
           conversationId: Number(conversationId),
-          message,
+          senderId: Number(userId),
+          content: content || "",
+          messageType: attachment ? getMessageTypeForMime(attachment.mimeType) : "text",
+          fileUrl: attachment?.storageKey || null,
+          fileName: attachment?.fileName || null,
+          fileSize: attachment?.fileSize || null,
+          replyToId: threadRootId,
         });
+        if (attachment) {
+          await MessageAttachmentsModel.attachToMessage(attachment.id, created.id);
+        }
+        const [message] = await MessagesModel.withDetails([created]);
+
+        if (threadRootId) {
+          // Thread replies don't appear in the main timeline
+          await this.emitThreadReply(conversationId, message);
+        } else {
+          // Emit message to all participants
+          await this.emitToParticipants(conversationId, "new_message", {
+            conversationId: Number(conversationId),
+            message,
+          });
+        }
 
         // Update conversation's updatedAt (already done in MessagesModel.createMessage)
-        
+        this.notifyRecipients(conversationId, message);
+
+        if (verdict.action === "flag") {
+          queueForReview(verdict, { conversationId, senderId: userId, content, messageId: message.id }).catch((error) =>
+            console.error(`[Moderation] Failed to queue message ${message.id} for review:`, error.message)
+          );
+        }
+
         console.log(`💬 Message sent in conversation ${conversationId} by user ${userId}`);
       } catch (error) {
         console.error("Error sending message:", error);
@@ -171,6 +252,127 @@ class SocketHandlers {
       }
     });
 
+    /**
+     * Handle delivery acknowledgements: the client received these messages
+     */
+    socket.on("message_delivered", async ({ conversationId, messageIds } = {}) => {
+      try {
+        if (!conversationId || !Array.isArray(messageIds) || messageIds.length === 0) return;
+
+        const participant = await ConversationParticipantsModel.getParticipantByConversationAndUser(
+          Number(conversationId),
+          Number(userId)
+        );
+        if (!participant) {
+          socket.emit("error", { message: "You are not a participant in this conversation" });
+          return;
+        }
+
+        const delivered = await MessagesModel.markAsDelivered(
+          Number(conversationId),
+          Number(userId),
+          messageIds.filter((messageId) => Number.isInteger(Number(messageId))).slice(0, SYNC_MESSAGES_LIMIT)
+        );
+        this.emitMessagesDelivered(conversationId, delivered);
+      } catch (error) {
+        console.error("Error handling message_delivered:", error);
+      }
+    });
+
+    /**
+     * Replay messages missed while offline.
+     * Payload: { conversations: [{ conversationId, lastMessageId }] } - the newest message ID the client has
+     */
+    socket.on("sync_messages", async ({ conversations } = {}) => {
+      try {
+        if (!Array.isArray(conversations)) {
+          socket.emit("error", { message: "A list of conversations is required" });
+          return;
+        }
+
+        const synced = [];
+        for (const { conversationId, lastMessageId } of conversations.slice(0, SYNC_CONVERSATIONS_LIMIT)) {
+          if (!conversationId || !lastMessageId) continue;
+
+          const participant = await ConversationParticipantsModel.getParticipantByConversationAndUser(
+            Number(conversationId),
+            Number(userId)
+          );
+          if (!participant) continue;
+
+          const { messages, hasMore } = await MessagesModel.getMessagesSince(
+            Number(conversationId),
+            Number(lastMessageId),
+            SYNC_MESSAGES_LIMIT
+          );
+          if (messages.length === 0) continue;
+
+          // Current reply counts of threads that received replies, so clients don't have to count them
+          const threadRootIds = [...new Set(messages.filter((message) => message.replyToId).map((message) => message.replyToId))];
+
+          synced.push({
+            conversationId: Number(conversationId),
+            messages: await MessagesModel.withDetails(messages),
+            threadStats: threadRootIds.length > 0 ? await MessagesModel.getReplyStats(threadRootIds) : {},
+            hasMore,
+          });
+        }
+
+        socket.emit("messages_synced", { conversations: synced });
+      } catch (error) {
+        console.error("Error syncing messages:", error);
+        socket.emit("error", { message: "Failed to sync messages" });
+      }
+    });
+
+    /**
+     * Handle adding / removing an emoji reaction
+     */
+    const handleReaction = (action) => async ({ messageId, emoji } = {}) => {
+      try {
+        if (!messageId || !MessageReactionsModel.isValidEmoji(emoji)) {
+          socket.emit("error", { message: "Message ID and a single emoji are required" });
+          return;
+        }
+
+        const message = await MessagesModel.getMessageById(Number(messageId));
+        if (!message || message.isDeleted) {
+          socket.emit("error", { message: "Message not found" });
+          return;
+        }
+
+        // Verify user is a participant
+        const participant = await ConversationParticipantsModel.getParticipantByConversationAndUser(
+          message.conversationId,
+          Number(userId)
+        );
+        if (!participant) {
+          socket.emit("error", { message: "You are not a participant in this conversation" });
+          return;
+        }
+
+        if (action === "add") {
+          await MessageReactionsModel.addReaction(message.id, Number(userId), emoji);
+        } else {
+          await MessageReactionsModel.removeReaction(message.id, Number(userId), emoji);
+        }
+
+        // Broadcast the new totals so every client renders the same counts
+        this.io.to(`conversation:${message.conversationId}`).emit("reaction_updated", {
+          conversationId: message.conversationId,
+          messageId: message.id,
+          threadRootId: message.replyToId || null,
+          reactions: await MessageReactionsModel.getReactionSummary(message.id),
+        });
+      } catch (error) {
+        console.error(`Error handling ${action}_reaction:`, error);
+        socket.emit("error", { message: "Failed to update reaction" });
+      }
+    };
+
+    socket.on("add_reaction", handleReaction("add"));
+    socket.on("remove_reaction", handleReaction("remove"));
+
     /**
      * Handle typing indicator
      */
@@ -271,8 +473,7 @@ class SocketHandlers {
      * Handle disconnection
      */
     socket.on("disconnect", () => {
-      // Remove user from active users
-      this.activeUsers.delete(Number(userId));
+      this.localSockets.delete(socket.id);
 
       // Remove from all typing lists
       this.typingUsers.forEach((users, conversationId) => {
@@ -282,29 +483,62 @@ class SocketHandlers {
         }
       });
 
-      // Broadcast user offline status
-      this.broadcastUserStatus(userId, "offline");
+      // Only the user's last connection (across all instances) takes them offline
+      this.handlePresenceDisconnect(socket, userId);
 
       console.log(`❌ User ${userId} disconnected (Socket: ${socket.id})`);
-      console.log(`📊 Active users: ${this.activeUsers.size}`);
+      console.log(`📊 Sockets on this instance: ${this.localSockets.size}`);
     });
   }
 
   /**
-   * Broadcast user online/offline status
+   * Mark the socket online, announce the user if this is their first connection,
+   * and send the new socket which of its contacts are online
    */
-  async broadcastUserStatus(userId, status) {
+  async handlePresenceConnect(socket, userId) {
+    try {
+      const presence = getPresenceStore();
+      const isFirstConnection = await presence.addSocket(userId, socket.id);
+      const contactIds = await ConversationParticipantsModel.getContactIds(userId);
+
+      if (isFirstConnection) {
+        this.broadcastUserStatus(userId, "online", contactIds);
+      }
+
+      socket.emit("presence_snapshot", {
+        onlineUserIds: await presence.getOnlineUserIds(contactIds),
+      });
+    } catch (error) {
+      console.error("Error recording presence:", error);
+    }
+  }
+
+  async handlePresenceDisconnect(socket, userId) {
     try {
-      // Find all conversations this user is part of
-      // This is simplified - in production, you might want to cache this
+      const isLastConnection = await getPresenceStore().removeSocket(userId, socket.id);
+      if (isLastConnection) {
+        await this.broadcastUserStatus(userId, "offline");
+      }
+    } catch (error) {
+      console.error("Error clearing presence:", error);
+    }
+  }
+
+  /**
+   * Broadcast user online/offline status to the people who share a conversation with them
+   */
+  async broadcastUserStatus(userId, status, contactIds = null) {
+    try {
+      const recipients = contactIds || (await ConversationParticipantsModel.getContactIds(userId));
+      if (recipients.length === 0) return;
+
       const statusUpdate = {
         userId: Number(userId),
         status,
         timestamp: new Date().toISOString(),
       };
 
-      // Broadcast to all connected sockets (they'll filter on their end)
-      this.io.emit("user_status_change", statusUpdate);
+      this.io.to(recipients.map((contactId) => `user:${contactId}`)).emit("user_status_change", statusUpdate);
     } catch (error) {
       console.error("Error broadcasting user status:", error);
     }
@@ -318,14 +552,108 @@ class SocketHandlers {
   }
 
   /**
-   * Emit to specific user
+   * Emit to the conversation room and to every participant's personal room,
+   * so participants who have another conversation open still receive it
    */
-  emitToUser(userId, event, data) {
-    const socketId = this.activeUsers.get(Number(userId));
-    if (socketId) {
-      this.io.to(socketId).emit(event, data);
+  async emitToParticipants(conversationId, event, data) {
+    const participants = await ConversationParticipantsModel.getParticipantsByConversationId(Number(conversationId));
+    this.io
+      .to([`conversation:${conversationId}`, ...participants.map((participant) => `user:${participant.userId}`)])
+      .emit(event, data);
+  }
+
+  /**
+   * Emit an event to every connected admin
+   */
+  emitToAdmins(event, data) {
+    this.io.to("role:admin").emit(event, data);
+  }
+
+  /**
+   * Tell senders which of their messages have now reached every recipient
+   * @param {Array<{ id: number, senderId: number }>} messages
+   */
+  emitMessagesDelivered(conversationId, messages) {
+    const messageIdsBySender = messages.reduce((groups, message) => {
+      groups[message.senderId] = [...(groups[message.senderId] || []), message.id];
+      return groups;
+    }, {});
+
+    Object.entries(messageIdsBySender).forEach(([senderId, messageIds]) => {
+      this.emitToUser(senderId, "messages_delivered", {
+        conversationId: Number(conversationId),
+        messageIds,
+      });
+    });
+  }
+
+  /**
+   * Leave "Chat Message" notifications in user-service according to each participant's
+   * notification mode (all / mentions / none).
+   * - @mentioned participants are always notified, even when online or the conversation is muted
+   * - Others are notified while offline, and only for the first unread message of the
+   *   conversation, so a burst of messages produces one notification until they read it
+   */
+  async notifyRecipients(conversationId, message) {
+    try {
+      const participants = await ConversationParticipantsModel.getParticipantsByConversationId(
+        Number(conversationId),
+        message.senderId
+      );
+      const { mentioned, others } = getNotificationRecipients(participants, message.mentions);
+      const candidates = others.filter((participant) => (participant.unreadCount || 0) <= 1);
+
+      const onlineUserIds = new Set(
+        candidates.length > 0
+          ? await getPresenceStore().getOnlineUserIds(candidates.map((participant) => participant.userId))
+          : []
+      );
+      const offlineRecipients = candidates.filter((participant) => !onlineUserIds.has(participant.userId));
+      if (mentioned.length === 0 && offlineRecipients.length === 0) return;
+
+      const conversation = await ConversationsModel.getConversationById(Number(conversationId));
+      await Promise.all([
+        ...mentioned.map((participant) =>
+          createChatMessageNotification({
+            recipientId: participant.userId,
+            conversation,
+            message,
+            isMention: true,
+          })
+        ),
+        ...offlineRecipients.map((participant) =>
+          createChatMessageNotification({
+            recipientId: participant.userId,
+            conversation,
+            message,
+          })
+        ),
+      ]);
+    } catch (error) {
+      console.error("Error notifying recipients:", error);
     }
   }
+
+  /**
+   * Emit a thread reply along with the root message's updated reply count
+   */
+  async emitThreadReply(conversationId, message) {
+    const stats = await MessagesModel.getReplyStats([message.replyToId]);
+    await this.emitToParticipants(conversationId, "thread_reply", {
+      conversationId: Number(conversationId),
+      rootMessageId: message.replyToId,
+      message,
+      replyCount: stats[message.replyToId]?.replyCount || 0,
+      lastReplyAt: stats[message.replyToId]?.lastReplyAt || message.createdAt,
+    });
+  }
+
+  /**
+   * Emit to specific user (every connection, on every instance)
+   */
+  emitToUser(userId, event, data) {
+    this.io.to(`user:${userId}`).emit(event, data);
+  }
 }
 
 module.exports = SocketHandlers;
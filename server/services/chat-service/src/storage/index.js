@@ -0,0 +1,34 @@
+const LocalStorage = require("./local.storage");
+const S3Storage = require("./s3.storage");
+
+/**
+ * Attachment storage registry
+ *
+ * Every storage driver exposes the same static methods:
+ * - putObject({ key, body, contentType }) -> { key }
+ * - getObjectUrl(key) -> URL the client can download the object from
+ * - deleteObject(key)
+ *
+ * The active driver is chosen with CHAT_STORAGE_DRIVER (defaults to local disk).
+ * Attachments remember the driver they were written with, so switching drivers
+ * doesn't break links to older files.
+ */
+const DRIVERS = {
+  local: LocalStorage,
+  s3: S3Storage,
+};
+
+const getStorageDriverName = () => (process.env.CHAT_STORAGE_DRIVER || "local").toLowerCase();
+
+const getStorage = (name = getStorageDriverName()) => {
+  const driver = DRIVERS[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+module.exports = {
+  getStorage,
+  getStorageDriverName,
+};
@@ -0,0 +1,86 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, "../../uploads");
+const DEFAULT_PUBLIC_PATH = "/api/v1/chat/files";
+const DEFAULT_URL_TTL_SECONDS = 3600;
+
+/**
+ * Local disk storage
+ * Files are written under CHAT_UPLOAD_DIR and served by server.js at CHAT_FILES_PUBLIC_PATH.
+ * Like S3 presigned links, URLs are signed and expire after CHAT_FILE_URL_TTL_SECONDS, so a
+ * link copied out of a conversation stops working once the client would have refreshed it.
+ */
+class LocalStorage {
+  static getRootDir() {
+    return path.resolve(process.env.CHAT_UPLOAD_DIR || DEFAULT_UPLOAD_DIR);
+  }
+
+  static getPublicPath() {
+    return (process.env.CHAT_FILES_PUBLIC_PATH || DEFAULT_PUBLIC_PATH).replace(/\/+$/, "");
+  }
+
+  static getUrlTtlSeconds() {
+    return Number(process.env.CHAT_FILE_URL_TTL_SECONDS) || DEFAULT_URL_TTL_SECONDS;
+  }
+
+  static sign(key, expires) {
+    const secret = process.env.CHAT_FILE_URL_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error("CHAT_FILE_URL_SECRET or JWT_SECRET must be set to sign chat file URLs");
+    }
+    return crypto.createHmac("sha256", secret).update(`chat-file:${key}:${expires}`).digest("hex");
+  }
+
+  /**
+   * Check the expires/signature query of a file URL against its key
+   */
+  static verifyUrl(key, { expires, signature } = {}) {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now() || typeof signature !== "string") {
+      return false;
+    }
+    const expected = Buffer.from(this.sign(key, expiresAt));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Resolve a key to a path inside the upload directory (never outside it)
+   */
+  static resolvePath(key) {
+    const rootDir = this.getRootDir();
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  static async putObject({ key, body }) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+    return { key };
+  }
+
+  /**
+   * Signed URL valid for CHAT_FILE_URL_TTL_SECONDS
+   */
+  static async getObjectUrl(key) {
+    const expires = Math.floor(Date.now() / 1000) + this.getUrlTtlSeconds();
+    const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+    return `${this.getPublicPath()}/${encodedKey}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  static async deleteObject(key) {
+    try {
+      await fs.promises.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,170 @@
+const crypto = require("crypto");
+
+const DEFAULT_URL_TTL_SECONDS = 3600;
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const hmac = (key, value) => crypto.createHmac("sha256", key).update(value).digest();
+
+// encodeURIComponent plus the characters SigV4 also requires to be escaped
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split("/").map(encodeRfc3986).join("/");
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, Cloudflare R2, ...)
+ * Talks to the S3 REST API directly with Signature V4 so no SDK is required.
+ * Objects stay private; reads go through short-lived presigned URLs.
+ */
+class S3Storage {
+  static getConfig() {
+    const {
+      S3_BUCKET,
+      S3_REGION,
+      S3_ENDPOINT,
+      S3_ACCESS_KEY_ID,
+      S3_SECRET_ACCESS_KEY,
+      S3_FORCE_PATH_STYLE,
+      CHAT_FILE_URL_TTL_SECONDS,
+    } = process.env;
+
+    if (!S3_BUCKET || !S3_ACCESS_KEY_ID || !S3_SECRET_ACCESS_KEY) {
+      throw new Error("S3 configuration missing: S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required");
+    }
+
+    const region = S3_REGION || "us-east-1";
+    return {
+      bucket: S3_BUCKET,
+      region,
+      endpoint: (S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, ""),
+      // Custom endpoints (MinIO, R2) are usually addressed path-style
+      forcePathStyle: S3_FORCE_PATH_STYLE ? S3_FORCE_PATH_STYLE === "true" : Boolean(S3_ENDPOINT),
+      accessKeyId: S3_ACCESS_KEY_ID,
+      secretAccessKey: S3_SECRET_ACCESS_KEY,
+      urlTtlSeconds: Number(CHAT_FILE_URL_TTL_SECONDS) || DEFAULT_URL_TTL_SECONDS,
+    };
+  }
+
+  static getObjectLocation(config, key) {
+    const endpoint = new URL(config.endpoint);
+    if (config.forcePathStyle) {
+      return new URL(`${endpoint.origin}/${config.bucket}/${encodeKey(key)}`);
+    }
+    return new URL(`${endpoint.protocol}//${config.bucket}.${endpoint.host}/${encodeKey(key)}`);
+  }
+
+  static getTimestamps(date = new Date()) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+    return { amzDate, dateStamp: amzDate.slice(0, 8) };
+  }
+
+  /**
+   * Build the SigV4 signature for a request.
+   * `headers` must contain every header listed in the signature (lower-case names).
+   */
+  static sign(config, { method, url, headers, query = {}, payloadHash, amzDate, dateStamp }) {
+    const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+    const headerNames = Object.keys(headers).sort();
+    const canonicalHeaders = headerNames.map((name) => `${name}:${String(headers[name]).trim()}\n`).join("");
+    const signedHeaders = headerNames.join(";");
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join("&");
+
+    const canonicalRequest = [method, url.pathname, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join("\n");
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+
+    let signingKey = hmac(`AWS4${config.secretAccessKey}`, dateStamp);
+    signingKey = hmac(signingKey, config.region);
+    signingKey = hmac(signingKey, "s3");
+    signingKey = hmac(signingKey, "aws4_request");
+
+    return {
+      scope,
+      signedHeaders,
+      signature: crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex"),
+    };
+  }
+
+  static async request(method, key, { body, contentType } = {}) {
+    const config = this.getConfig();
+    const url = this.getObjectLocation(config, key);
+    const { amzDate, dateStamp } = this.getTimestamps();
+    const payloadHash = sha256(body || "");
+    const headers = {
+      host: url.host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+    };
+    if (contentType) headers["content-type"] = contentType;
+
+    const { scope, signedHeaders, signature } = this.sign(config, {
+      method,
+      url,
+      headers,
+      payloadHash,
+      amzDate,
+      dateStamp,
+    });
+
+    const { host, ...requestHeaders } = headers;
+    const response = await fetch(url, {
+      method,
+      headers: {
+        ...requestHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+      },
+      body,
+    });
+
+    if (!response.ok && !(method === "DELETE" && response.status === 404)) {
+      const details = await response.text().catch(() => "");
+      throw new Error(`S3 ${method} ${key} failed (${response.status}): ${details.slice(0, 200)}`);
+    }
+    return response;
+  }
+
+  static async putObject({ key, body, contentType }) {
+    await this.request("PUT", key, { body, contentType });
+    return { key };
+  }
+
+  /**
+   * Presigned GET URL valid for CHAT_FILE_URL_TTL_SECONDS
+   */
+  static async getObjectUrl(key) {
+    const config = this.getConfig();
+    const url = this.getObjectLocation(config, key);
+    const { amzDate, dateStamp } = this.getTimestamps();
+    const query = {
+      "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+      "X-Amz-Credential": `${config.accessKeyId}/${dateStamp}/${config.region}/s3/aws4_request`,
+      "X-Amz-Date": amzDate,
+      "X-Amz-Expires": String(config.urlTtlSeconds),
+      "X-Amz-SignedHeaders": "host",
+    };
+
+    const { signature } = this.sign(config, {
+      method: "GET",
+      url,
+      headers: { host: url.host },
+      query,
+      payloadHash: "UNSIGNED-PAYLOAD",
+      amzDate,
+      dateStamp,
+    });
+
+    const search = Object.keys(query)
+      .sort()
+      .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join("&");
+    return `${url.origin}${url.pathname}?${search}&X-Amz-Signature=${signature}`;
+  }
+
+  static async deleteObject(key) {
+    await this.request("DELETE", key);
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,202 @@
+const path = require("path");
+
+const DEFAULT_MAX_FILE_SIZE_MB = 10;
+const THUMBNAIL_SIZE = 320;
+const MAX_AUDIO_DURATION_MS = 60 * 60 * 1000;
+const MAX_WAVEFORM_SAMPLES = 128;
+
+// Allowed MIME types and the file extensions each one may use
+const ALLOWED_TYPES = {
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/png": [".png"],
+  "image/gif": [".gif"],
+  "image/webp": [".webp"],
+  "application/pdf": [".pdf"],
+  "text/plain": [".txt", ".log", ".md"],
+  "text/csv": [".csv"],
+  "application/zip": [".zip"],
+  "application/msword": [".doc"],
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [".docx"],
+  "application/vnd.ms-excel": [".xls"],
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": [".xlsx"],
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": [".pptx"],
+  "audio/webm": [".webm", ".weba"],
+  "audio/ogg": [".ogg", ".oga", ".opus"],
+  "audio/mpeg": [".mp3"],
+  "audio/mp4": [".m4a", ".mp4"],
+  "audio/aac": [".aac"],
+  "audio/wav": [".wav"],
+};
+
+// Leading bytes of each image format, so a renamed HTML/SVG file can't pass as an image
+const IMAGE_SIGNATURES = {
+  "image/jpeg": (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  "image/png": (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  "image/gif": (buffer) => buffer.subarray(0, 4).toString("ascii") === "GIF8",
+  "image/webp": (buffer) =>
+    buffer.subarray(0, 4).toString("ascii") === "RIFF" && buffer.subarray(8, 12).toString("ascii") === "WEBP",
+};
+
+// Audio is played inline too, so it gets the same container check
+const AUDIO_SIGNATURES = {
+  "audio/webm": (buffer) => buffer.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])),
+  "audio/ogg": (buffer) => buffer.subarray(0, 4).toString("ascii") === "OggS",
+  "audio/mpeg": (buffer) =>
+    buffer.subarray(0, 3).toString("ascii") === "ID3" || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0),
+  "audio/mp4": (buffer) => buffer.subarray(4, 8).toString("ascii") === "ftyp",
+  "audio/aac": (buffer) =>
+    buffer.subarray(0, 3).toString("ascii") === "ID3" || (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0),
+  "audio/wav": (buffer) =>
+    buffer.subarray(0, 4).toString("ascii") === "RIFF" && buffer.subarray(8, 12).toString("ascii") === "WAVE",
+};
+
+// Browsers report some of these under other names (MediaRecorder adds codecs, Safari uses x-m4a)
+const MIME_ALIASES = {
+  "audio/x-m4a": "audio/mp4",
+  "audio/mp3": "audio/mpeg",
+  "audio/x-wav": "audio/wav",
+  "audio/wave": "audio/wav",
+  "audio/opus": "audio/ogg",
+};
+
+const getMaxFileSize = () =>
+  (Number(process.env.CHAT_ATTACHMENT_MAX_SIZE_MB) || DEFAULT_MAX_FILE_SIZE_MB) * 1024 * 1024;
+
+// "audio/webm;codecs=opus" -> "audio/webm"
+const normalizeMimeType = (mimeType) => {
+  const base = String(mimeType || "").split(";")[0].trim().toLowerCase();
+  return MIME_ALIASES[base] || base;
+};
+
+const isImageType = (mimeType) => Boolean(IMAGE_SIGNATURES[mimeType]);
+
+const isAudioType = (mimeType) => Boolean(AUDIO_SIGNATURES[mimeType]);
+
+// Whether a stored file (by its extension) is an image or audio clip that may be served inline
+const isInlineFile = (filePath) => {
+  const extension = path.extname(filePath).toLowerCase();
+  return [...Object.keys(IMAGE_SIGNATURES), ...Object.keys(AUDIO_SIGNATURES)].some((mimeType) =>
+    ALLOWED_TYPES[mimeType].includes(extension)
+  );
+};
+
+// messages.messageType for a message carrying a file of this type
+const getMessageTypeForMime = (mimeType) => {
+  if (isImageType(mimeType)) return "image";
+  if (isAudioType(mimeType)) return "audio";
+  return "file";
+};
+
+/**
+ * Check an uploaded file against the size and MIME limits.
+ * @returns {{ status: number, message: string } | null} the problem, or null if the file is accepted
+ */
+const validateAttachment = (file, buffer) => {
+  const maxFileSize = getMaxFileSize();
+  if (file.truncated || file.size > maxFileSize) {
+    return {
+      status: 413,
+      message: `File is too large. The maximum size is ${Math.round(maxFileSize / (1024 * 1024))} MB`,
+    };
+  }
+  if (!file.size) {
+    return { status: 400, message: "File is empty" };
+  }
+
+  const mimeType = normalizeMimeType(file.mimetype);
+  const extension = path.extname(file.name || "").toLowerCase();
+  const extensions = ALLOWED_TYPES[mimeType];
+  if (!extensions) {
+    return { status: 415, message: `File type ${mimeType || "unknown"} is not allowed` };
+  }
+  if (!extensions.includes(extension)) {
+    return { status: 415, message: `File extension ${extension || "(none)"} does not match type ${mimeType}` };
+  }
+  if (isImageType(mimeType) && !IMAGE_SIGNATURES[mimeType](buffer)) {
+    return { status: 415, message: "File content is not a valid image" };
+  }
+  if (isAudioType(mimeType) && !AUDIO_SIGNATURES[mimeType](buffer)) {
+    return { status: 415, message: "File content is not a valid audio file" };
+  }
+
+  return null;
+};
+
+/**
+ * Read the playback metadata the client measured while recording.
+ * `duration` is in seconds; `waveform` is a JSON array (or an array) of peak levels from 0 to 100.
+ * @returns {{ problem: string } | { durationMs: number | null, waveform: number[] | null }}
+ */
+const parseAudioMetadata = ({ duration, waveform } = {}) => {
+  let durationMs = null;
+  if (duration !== undefined && duration !== null && duration !== "") {
+    const seconds = Number(duration);
+    if (!Number.isFinite(seconds) || seconds <= 0 || seconds * 1000 > MAX_AUDIO_DURATION_MS) {
+      return { problem: `duration must be a number of seconds between 0 and ${MAX_AUDIO_DURATION_MS / 1000}` };
+    }
+    durationMs = Math.round(seconds * 1000);
+  }
+
+  let samples = null;
+  if (waveform !== undefined && waveform !== null && waveform !== "") {
+    try {
+      samples = typeof waveform === "string" ? JSON.parse(waveform) : waveform;
+    } catch (error) {
+      return { problem: "waveform must be a JSON array of numbers" };
+    }
+    if (
+      !Array.isArray(samples) ||
+      samples.length === 0 ||
+      samples.length > MAX_WAVEFORM_SAMPLES ||
+      !samples.every((sample) => Number.isFinite(Number(sample)))
+    ) {
+      return { problem: `waveform must be an array of 1-${MAX_WAVEFORM_SAMPLES} numbers` };
+    }
+    samples = samples.map((sample) => Math.min(100, Math.max(0, Math.round(Number(sample)))));
+  }
+
+  return { durationMs, waveform: samples };
+};
+
+let sharp;
+let sharpUnavailable = false;
+
+/**
+ * Render a small WebP preview of an image.
+ * Returns null (and the client falls back to the full image) if sharp isn't installed
+ * or the image can't be decoded.
+ */
+const createThumbnail = async (buffer) => {
+  if (sharpUnavailable) return null;
+  try {
+    sharp = sharp || require("sharp");
+  } catch (error) {
+    sharpUnavailable = true;
+    console.warn("sharp is not installed; chat image thumbnails are disabled");
+    return null;
+  }
+
+  try {
+    return await sharp(buffer, { animated: false })
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 75 })
+      .toBuffer();
+  } catch (error) {
+    console.warn("Failed to create thumbnail:", error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  ALLOWED_TYPES,
+  getMaxFileSize,
+  normalizeMimeType,
+  isImageType,
+  isAudioType,
+  isInlineFile,
+  getMessageTypeForMime,
+  validateAttachment,
+  parseAudioMetadata,
+  createThumbnail,
+};
@@ -0,0 +1,195 @@
+const EXPORT_FORMATS = ["json", "html"];
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Assemble the export document of a conversation
+ * @param {Object} params
+ * @param {Object} params.conversation - Conversation row
+ * @param {{ days: number|null, source: string }} params.retention - Effective retention policy
+ * @param {Object[]} params.participants - Participant rows, including people who left
+ * @param {Object[]} params.users - { id, name, email, role } of participants and senders
+ * @param {Object[]} params.messages - Message rows, oldest first
+ * @param {Object[]} params.attachments - Attachment payloads with storageDriver / storageKey / uploaderId / messageId
+ * @param {Object} params.exportedBy - { id, role }
+ * @param {boolean} params.truncated - Whether the message limit cut the export short
+ */
+const buildConversationExport = ({ conversation, retention, participants, users, messages, attachments, exportedBy, truncated }) => {
+  const usersById = new Map(users.map((user) => [Number(user.id), user]));
+  const attachmentByMessageId = new Map(attachments.map((attachment) => [attachment.messageId, attachment]));
+  const nameOf = (userId) => usersById.get(Number(userId))?.name || `User #${userId}`;
+
+  return {
+    exportedAt: new Date().toISOString(),
+    exportedBy: { id: Number(exportedBy.id), name: nameOf(exportedBy.id), role: exportedBy.role },
+    conversation: {
+      id: conversation.id,
+      type: conversation.type,
+      name: conversation.name,
+      projectId: conversation.projectId,
+      status: conversation.status,
+      isFlagged: Boolean(conversation.isFlagged),
+      flaggedReason: conversation.flaggedReason || null,
+      createdAt: toIso(conversation.createdAt),
+      retentionDays: retention.days,
+      retentionSource: retention.source,
+    },
+    participants: participants.map((participant) => {
+      const user = usersById.get(Number(participant.userId));
+      return {
+        userId: Number(participant.userId),
+        name: user?.name || null,
+        email: user?.email || null,
+        userRole: user?.role || null,
+        conversationRole: participant.role,
+        joinedAt: toIso(participant.joinedAt),
+        leftAt: toIso(participant.leftAt),
+      };
+    }),
+    messages: messages.map((message) => ({
+      id: message.id,
+      senderId: message.senderId,
+      senderName: nameOf(message.senderId),
+      messageType: message.messageType,
+      content: message.content,
+      replyToId: message.replyToId,
+      attachmentId: attachmentByMessageId.get(message.id)?.id || null,
+      createdAt: toIso(message.createdAt),
+      isEdited: Boolean(message.isEdited),
+      editedAt: toIso(message.editedAt),
+      isDeleted: Boolean(message.isDeleted),
+      deletedAt: toIso(message.deletedAt),
+    })),
+    attachments: attachments.map((attachment) => ({
+      id: attachment.id,
+      messageId: attachment.messageId,
+      uploadedBy: attachment.uploaderId,
+      fileName: attachment.fileName,
+      mimeType: attachment.mimeType,
+      fileSize: attachment.fileSize,
+      durationMs: attachment.durationMs,
+      storageDriver: attachment.storageDriver,
+      storageKey: attachment.storageKey,
+      url: attachment.url,
+      createdAt: toIso(attachment.createdAt),
+    })),
+    counts: {
+      participants: participants.length,
+      messages: messages.length,
+      attachments: attachments.length,
+    },
+    truncated,
+  };
+};
+
+/**
+ * Render an export document as a standalone, printable HTML page.
+ * Attachments are listed, not embedded; presigned URLs in the manifest expire.
+ */
+const renderConversationExportHtml = (data) => {
+  const { conversation } = data;
+  const title = conversation.name || `${conversation.type} conversation #${conversation.id}`;
+  const attachmentsById = new Map(data.attachments.map((attachment) => [attachment.id, attachment]));
+
+  const participantRows = data.participants
+    .map(
+      (participant) => `<tr>
+        <td>${escapeHtml(participant.name || `User #${participant.userId}`)}</td>
+        <td>${escapeHtml(participant.email || "")}</td>
+        <td>${escapeHtml(participant.conversationRole || "")}</td>
+        <td>${escapeHtml(participant.joinedAt || "")}</td>
+        <td>${escapeHtml(participant.leftAt || "")}</td>
+      </tr>`
+    )
+    .join("");
+
+  const messageRows = data.messages
+    .map((message) => {
+      const attachment = message.attachmentId ? attachmentsById.get(message.attachmentId) : null;
+      const flags = [
+        message.replyToId ? `reply to #${message.replyToId}` : null,
+        message.isEdited ? `edited ${message.editedAt || ""}` : null,
+        message.isDeleted ? `deleted ${message.deletedAt || ""}` : null,
+      ].filter(Boolean);
+      return `<div class="message${message.isDeleted ? " deleted" : ""}${message.messageType === "system" ? " system" : ""}">
+        <div class="meta">#${message.id} · ${escapeHtml(message.senderName)} · ${escapeHtml(message.createdAt)}${
+        flags.length ? ` · ${escapeHtml(flags.join(" · "))}` : ""
+      }</div>
+        ${message.content ? `<div class="content">${escapeHtml(message.content)}</div>` : ""}
+        ${attachment ? `<div class="attachment">📎 ${escapeHtml(attachment.fileName)} (${escapeHtml(attachment.mimeType)}, ${attachment.fileSize} bytes)</div>` : ""}
+      </div>`;
+    })
+    .join("");
+
+  const attachmentRows = data.attachments
+    .map(
+      (attachment) => `<tr>
+        <td>${attachment.id}</td>
+        <td>${attachment.messageId}</td>
+        <td>${escapeHtml(attachment.fileName)}</td>
+        <td>${escapeHtml(attachment.mimeType)}</td>
+        <td>${attachment.fileSize}</td>
+        <td>${escapeHtml(`${attachment.storageDriver}:${attachment.storageKey}`)}</td>
+      </tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} - chat export</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem; color: #1f2937; }
+  h1 { margin-bottom: 0.25rem; }
+  .summary { color: #6b7280; margin-bottom: 1.5rem; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; font-size: 0.85rem; }
+  th, td { border: 1px solid #e5e7eb; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; }
+  .message { border-bottom: 1px solid #f3f4f6; padding: 0.5rem 0; }
+  .message.deleted { color: #9ca3af; }
+  .message.system { background: #f5f3ff; }
+  .meta { font-size: 0.75rem; color: #6b7280; }
+  .content { white-space: pre-wrap; word-break: break-word; }
+  .attachment { font-size: 0.85rem; color: #2563eb; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="summary">
+  Conversation #${conversation.id} (${escapeHtml(conversation.type)}${conversation.projectId ? `, project #${conversation.projectId}` : ""})
+  · exported ${escapeHtml(data.exportedAt)} by ${escapeHtml(data.exportedBy.name)}
+  · retention: ${conversation.retentionDays ? `${conversation.retentionDays} days` : "kept indefinitely"}
+  ${conversation.isFlagged ? `· flagged: ${escapeHtml(conversation.flaggedReason || "")}` : ""}
+  ${data.truncated ? "· <strong>truncated: the message limit was reached</strong>" : ""}
+</div>
+<h2>Participants (${data.counts.participants})</h2>
+<table>
+  <tr><th>Name</th><th>Email</th><th>Role</th><th>Joined</th><th>Left</th></tr>
+  ${participantRows}
+</table>
+<h2>Messages (${data.counts.messages})</h2>
+${messageRows || "<p>No messages.</p>"}
+<h2>Attachments (${data.counts.attachments})</h2>
+<table>
+  <tr><th>ID</th><th>Message</th><th>File</th><th>Type</th><th>Bytes</th><th>Stored at</th></tr>
+  ${attachmentRows}
+</table>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildConversationExport,
+  renderConversationExportHtml,
+};
@@ -0,0 +1,85 @@
+// Per-participant notification modes (conversation_participants.notification_mode)
+const NOTIFICATION_MODES = ["all", "mentions", "none"];
+
+// Characters that can't continue a name, so "@Ann" doesn't match inside "@Anna"
+const NAME_CONTINUATION = /[\p{L}\p{N}_-]/u;
+
+const isNameBoundary = (content, index) => index >= content.length || !NAME_CONTINUATION.test(content[index]);
+
+/**
+ * Find the users mentioned in a message.
+ * A mention is "@" followed by a user's full name ("@Jane Doe") or, when no other candidate
+ * shares it, their first name ("@Jane"). Matching is case-insensitive and prefers the longest name.
+ *
+ * @param {string} content - Message text
+ * @param {{ id: number, name: string }[]} candidates - Users that can be mentioned (the conversation's participants)
+ * @returns {number[]} Mentioned user IDs, in order of first mention
+ */
+const extractMentions = (content, candidates) => {
+  if (!content || !content.includes("@") || !candidates?.length) return [];
+
+  const firstNameCounts = new Map();
+  candidates.forEach((candidate) => {
+    const firstName = String(candidate.name || "").trim().split(/\s+/)[0].toLowerCase();
+    if (firstName) firstNameCounts.set(firstName, (firstNameCounts.get(firstName) || 0) + 1);
+  });
+
+  // [lowercased alias, user id], longest first so "@Jane Doe" wins over "@Jane"
+  const aliases = [];
+  candidates.forEach((candidate) => {
+    const fullName = String(candidate.name || "").trim().replace(/\s+/g, " ").toLowerCase();
+    if (!fullName) return;
+    aliases.push([fullName, Number(candidate.id)]);
+    const firstName = fullName.split(" ")[0];
+    if (firstName !== fullName && firstNameCounts.get(firstName) === 1) {
+      aliases.push([firstName, Number(candidate.id)]);
+    }
+  });
+  aliases.sort((a, b) => b[0].length - a[0].length);
+
+  const text = content.toLowerCase();
+  const mentioned = [];
+  for (let at = text.indexOf("@"); at !== -1; at = text.indexOf("@", at + 1)) {
+    // "name@example.com" is an email address, not a mention
+    if (at > 0 && NAME_CONTINUATION.test(text[at - 1])) continue;
+    const start = at + 1;
+    const match = aliases.find(([alias]) => text.startsWith(alias, start) && isNameBoundary(text, start + alias.length));
+    if (match && !mentioned.includes(match[1])) mentioned.push(match[1]);
+  }
+  return mentioned;
+};
+
+/**
+ * Split the recipients of a message by how they should be notified.
+ * - Mentioned participants are notified unless their mode is "none", even when the
+ *   conversation is muted
+ * - Everyone else is notified only in "all" mode and when the conversation isn't muted
+ *   (the caller still decides about presence and bursts)
+ *
+ * @param {Object[]} participants - Active participants other than the sender
+ * @param {number[]} mentions - User IDs mentioned in the message
+ * @returns {{ mentioned: Object[], others: Object[] }}
+ */
+const getNotificationRecipients = (participants, mentions = []) => {
+  const mentionedIds = new Set((mentions || []).map(Number));
+  const mentioned = [];
+  const others = [];
+
+  participants.forEach((participant) => {
+    const mode = participant.notificationMode || "all";
+    if (mode === "none") return;
+    if (mentionedIds.has(Number(participant.userId))) {
+      mentioned.push(participant);
+    } else if (mode === "all" && !participant.isMuted) {
+      others.push(participant);
+    }
+  });
+
+  return { mentioned, others };
+};
+
+module.exports = {
+  NOTIFICATION_MODES,
+  extractMentions,
+  getNotificationRecipients,
+};
@@ -0,0 +1,59 @@
+const MAX_RETENTION_DAYS = 3650;
+const DEFAULT_PURGE_DELETED_AFTER_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Positive whole number of days from an env var, or null when unset / "0" (keep forever)
+const readDays = (name) => {
+  const days = Math.floor(Number(process.env[name]));
+  return Number.isFinite(days) && days > 0 ? days : null;
+};
+
+/**
+ * Retention defaults for conversations without their own policy.
+ * - directDays: direct messages that aren't tied to a project (CHAT_RETENTION_DIRECT_DAYS)
+ * - groupDays: group conversations (CHAT_RETENTION_GROUP_DAYS)
+ * - purgeDeletedAfterDays: how long deleted messages stay recoverable before they are
+ *   removed for good (CHAT_RETENTION_PURGE_DELETED_AFTER_DAYS, default 30)
+ */
+const getRetentionDefaults = () => ({
+  directDays: readDays("CHAT_RETENTION_DIRECT_DAYS"),
+  groupDays: readDays("CHAT_RETENTION_GROUP_DAYS"),
+  purgeDeletedAfterDays:
+    process.env.CHAT_RETENTION_PURGE_DELETED_AFTER_DAYS === undefined
+      ? DEFAULT_PURGE_DELETED_AFTER_DAYS
+      : readDays("CHAT_RETENTION_PURGE_DELETED_AFTER_DAYS"),
+});
+
+/**
+ * Retention that applies to a conversation (mirrors ConversationsModel.getConversationsWithRetention).
+ * conversation.retentionDays: null uses the default for its type, 0 keeps messages forever.
+ * @returns {{ days: number | null, source: "conversation" | "default" | "none" }}
+ */
+const getEffectiveRetention = (conversation, defaults = getRetentionDefaults()) => {
+  if (conversation.retentionDays !== null && conversation.retentionDays !== undefined) {
+    return {
+      days: conversation.retentionDays > 0 ? conversation.retentionDays : null,
+      source: "conversation",
+    };
+  }
+
+  let days = null;
+  if (conversation.type === "direct" && !conversation.projectId) days = defaults.directDays;
+  if (conversation.type === "group") days = defaults.groupDays;
+  return { days, source: days ? "default" : "none" };
+};
+
+// null (use default) or a whole number of days from 0 (keep forever) to MAX_RETENTION_DAYS
+const isValidRetentionDays = (value) =>
+  value === null || (Number.isInteger(value) && value >= 0 && value <= MAX_RETENTION_DAYS);
+
+const daysAgo = (days, now = new Date()) => new Date(now.getTime() - days * DAY_MS);
+
+module.exports = {
+  MAX_RETENTION_DAYS,
+  getRetentionDefaults,
+  getEffectiveRetention,
+  isValidRetentionDays,
+  daysAgo,
+};
@@ -0,0 +1,126 @@
+// Helpers for scheduled group messages: wall-clock times in the schedule's IANA time zone
+
+const SCHEDULE_KINDS = ["custom", "standup", "sprint_kickoff", "deadline_countdown"];
+const SCHEDULE_RECURRENCES = ["none", "daily", "weekdays", "weekly"];
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const DEFAULT_CONTENT = {
+  standup: "🗓️ Daily stand-up: what did you finish yesterday, what are you working on today, and is anything blocking you?",
+  sprint_kickoff: "🚀 Sprint kickoff! Review the backlog, pick up your tasks and flag anything that needs clarification.",
+  deadline_countdown: "⏳ Upcoming deadlines",
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isValidTimeOfDay = (value) => TIME_OF_DAY_PATTERN.test(value || "");
+
+// Calendar fields of an instant as seen in the given time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const values = Object.fromEntries(parts.map((part) => [part.type, Number(part.value)]));
+  return {
+    year: values.year,
+    month: values.month,
+    day: values.day,
+    hour: values.hour,
+    minute: values.minute,
+    second: values.second,
+  };
+};
+
+const getTimeZoneOffsetMs = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant at which the wall clock in `timeZone` shows the given local date and time
+const zonedTimeToUtc = (year, month, day, hour, minute, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimeZoneOffsetMs(new Date(guess), timeZone);
+  const result = guess - offset;
+  // Re-check once so DST transitions between the guess and the result are honoured
+  const correctedOffset = getTimeZoneOffsetMs(new Date(result), timeZone);
+  if (correctedOffset === offset) return new Date(result);
+
+  // A wall time skipped by a spring-forward gap runs just after the gap instead
+  const corrected = new Date(guess - correctedOffset);
+  const parts = getZonedParts(corrected, timeZone);
+  return parts.hour === hour && parts.minute === minute ? corrected : new Date(result);
+};
+
+/**
+ * Next run strictly after `after` for a recurring schedule
+ * @param {{ recurrence: string, timeOfDay: string, dayOfWeek?: number, timezone?: string }} schedule
+ * @returns {Date|null} - null for one-off schedules
+ */
+const getNextRunAt = ({ recurrence, timeOfDay, dayOfWeek, timezone = "UTC" }, after = new Date()) => {
+  if (recurrence === "none" || !isValidTimeOfDay(timeOfDay)) return null;
+
+  const [hour, minute] = timeOfDay.split(":").map(Number);
+  const today = getZonedParts(after, timezone);
+
+  // A weekly schedule always matches within eight calendar days
+  for (let offset = 0; offset <= 8; offset++) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const weekday = day.getUTCDay();
+
+    if (recurrence === "weekdays" && (weekday === 0 || weekday === 6)) continue;
+    if (recurrence === "weekly" && weekday !== Number(dayOfWeek)) continue;
+
+    const candidate = zonedTimeToUtc(
+      day.getUTCFullYear(),
+      day.getUTCMonth() + 1,
+      day.getUTCDate(),
+      hour,
+      minute,
+      timezone
+    );
+    if (candidate > after) return candidate;
+  }
+  return null;
+};
+
+/**
+ * Text for a deadline countdown message, or null when nothing is due
+ * @param {Array<{ title: string, dueDate: Date|string }>} tasks
+ */
+const buildDeadlineCountdown = (heading, tasks, now = new Date()) => {
+  if (!tasks || tasks.length === 0) return null;
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const lines = tasks.map((task) => {
+    const dueDate = new Date(task.dueDate);
+    const daysLeft = Math.ceil((dueDate - now) / dayMs);
+    const when = daysLeft <= 0 ? "due today" : daysLeft === 1 ? "due tomorrow" : `due in ${daysLeft} days`;
+    return `• ${task.title} — ${when} (${dueDate.toISOString().slice(0, 10)})`;
+  });
+  return [heading || DEFAULT_CONTENT.deadline_countdown, ...lines].join("\n");
+};
+
+module.exports = {
+  SCHEDULE_KINDS,
+  SCHEDULE_RECURRENCES,
+  DEFAULT_CONTENT,
+  isValidTimeZone,
+  isValidTimeOfDay,
+  zonedTimeToUtc,
+  getNextRunAt,
+  buildDeadlineCountdown,
+};
@@ -0,0 +1,109 @@
+const axios = require("axios");
+const { INTERNAL_KEY_HEADER } = require("shared/middleware/internalAuth.middleware");
+
+/**
+ * User Service Client
+ * Utility to communicate with the user-service internal notifications API
+ *
+ * Used to leave a "Chat Message" notification for recipients who are offline
+ * when a message is sent, or who were @mentioned in it.
+ */
+
+// Called directly with the internal key (same variable the gateway uses)
+const API_USER_URL = process.env.API_USER_URL;
+const NOTIFICATIONS_URL = `${API_USER_URL}/internal/v1/notifications`;
+
+const PREVIEW_LENGTH = 120;
+
+let warnedNotConfigured = false;
+
+/**
+ * Create a "Chat Message" notification for a recipient
+ *
+ * @param {Object} params
+ * @param {number} params.recipientId - User who should be notified
+ * @param {Object} params.conversation - Conversation the message was sent in
+ * @param {Object} params.message - The message that was sent
+ * @param {boolean} params.isMention - Whether the recipient was @mentioned in the message
+ * @returns {Promise<Object|null>} - Created notification or null if failed
+ */
+const createChatMessageNotification = async ({ recipientId, conversation, message, isMention = false }) => {
+  try {
+    if (!recipientId || !message) {
+      console.error("[UserServiceClient] Missing recipient or message for chat notification");
+      return null;
+    }
+
+    if (!API_USER_URL || !process.env.INTERNAL_API_KEY) {
+      if (!warnedNotConfigured) {
+        console.warn("[UserServiceClient] API_USER_URL or INTERNAL_API_KEY not set, chat notifications disabled");
+        warnedNotConfigured = true;
+      }
+      return null;
+    }
+
+    const headers = {
+      "Content-Type": "application/json",
+      [INTERNAL_KEY_HEADER]: process.env.INTERNAL_API_KEY,
+    };
+
+    const content = (message.content || "").trim();
+    const preview = content
+      ? content.length > PREVIEW_LENGTH ? `${content.slice(0, PREVIEW_LENGTH)}…` : content
+      : `Sent an attachment${message.fileName ? `: ${message.fileName}` : ""}`;
+
+    const inGroup = conversation?.type === "group" && conversation?.name;
+    let title = inGroup ? `💬 New message in ${conversation.name}` : "💬 New Message";
+    if (isMention) {
+      title = inGroup ? `📣 You were mentioned in ${conversation.name}` : "📣 You were mentioned";
+    }
+
+    const requestBody = {
+      userId: Number(recipientId),
+      type: "Chat Message",
+      title,
+      message: preview,
+      category: "chat",
+      priority: isMention ? "medium" : "low",
+      action: "View Messages",
+      actionUrl: `/chat?conversationId=${message.conversationId}`,
+      relatedEntityId: message.conversationId,
+      relatedEntityType: "conversation",
+      metadata: {
+        conversationId: message.conversationId,
+        messageId: message.id,
+        senderId: message.senderId,
+        isMention,
+      },
+    };
+
+    const response = await axios.post(NOTIFICATIONS_URL, requestBody, {
+      headers,
+      timeout: 10000,
+      validateStatus: (status) => status < 500,
+    });
+
+    if (response.status === 201 && response.data?.success) {
+      return response.data.data;
+    }
+
+    console.error(`[UserServiceClient] Failed to create chat notification for user ${recipientId}:`, {
+      status: response.status,
+      data: response.data,
+    });
+    return null;
+  } catch (error) {
+    // Log error but don't throw - this is a non-blocking operation
+    console.error("[UserServiceClient] Error creating chat notification:", {
+      error: error.message,
+      recipientId,
+      messageId: message?.id,
+      response: error.response?.data,
+    });
+    return null;
+  }
+};
+
+module.exports = {
+  createChatMessageNotification,
+};
@@ -0,0 +1,96 @@
+const { ConversationsModel, MessagesModel, MessageAttachmentsModel } = require("../models");
+const { getRetentionDefaults, daysAgo } = require("../utils/retention.utils");
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // every hour
+const PURGE_BATCH_SIZE = 500;
+const MAX_PURGE_BATCHES = 20; // per cycle, so one run can't hold the database for long
+
+let isRunning = false;
+
+/**
+ * Soft-delete messages older than each conversation's retention period.
+ * They disappear for users right away and are purged with other deleted messages later.
+ */
+const expireOldMessages = async (defaults, now) => {
+  const conversations = await ConversationsModel.getConversationsWithRetention(defaults);
+  let total = 0;
+
+  for (const conversation of conversations) {
+    try {
+      const before = daysAgo(conversation.retentionDays, now);
+      const count = await MessagesModel.expireMessagesBefore(conversation.id, before);
+      if (count === 0) continue;
+      total += count;
+
+      if (global.socketHandlers) {
+        await global.socketHandlers.emitToParticipants(conversation.id, "messages_expired", {
+          conversationId: conversation.id,
+          before: before.toISOString(),
+        });
+      }
+    } catch (error) {
+      console.error(`[RetentionWorker] Failed to expire messages of conversation ${conversation.id}:`, error.message);
+    }
+  }
+  return total;
+};
+
+/**
+ * Permanently remove messages that have been deleted (by their sender, a moderator or
+ * retention) for longer than the grace period, with their attachments' files.
+ */
+const purgeDeletedMessages = async (defaults, now) => {
+  if (!defaults.purgeDeletedAfterDays) return 0;
+  const deletedBefore = daysAgo(defaults.purgeDeletedAfterDays, now);
+  let total = 0;
+
+  for (let batch = 0; batch < MAX_PURGE_BATCHES; batch++) {
+    const messageIds = await MessagesModel.getPurgeableMessageIds(deletedBefore, PURGE_BATCH_SIZE);
+    if (messageIds.length === 0) break;
+
+    const { messageCount, attachments } = await MessagesModel.purgeMessages(messageIds);
+    await MessageAttachmentsModel.deleteStoredFiles(attachments);
+    total += messageCount;
+    if (messageIds.length < PURGE_BATCH_SIZE) break;
+  }
+  return total;
+};
+
+const runRetentionCycle = async () => {
+  if (isRunning) return;
+  isRunning = true;
+  try {
+    const defaults = getRetentionDefaults();
+    const now = new Date();
+    const expired = await expireOldMessages(defaults, now);
+    const purged = await purgeDeletedMessages(defaults, now);
+    if (expired || purged) {
+      console.log(`[RetentionWorker] 🗑️ Expired ${expired} messages, purged ${purged} deleted messages`);
+    }
+  } catch (error) {
+    console.error("[RetentionWorker] Cycle failed:", error.message);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the periodic retention loop.
+ * Disable with CHAT_RETENTION_ENABLED=false.
+ */
+const startRetentionWorker = () => {
+  if (process.env.CHAT_RETENTION_ENABLED === "false") {
+    console.log("⏸️ Retention worker disabled");
+    return null;
+  }
+
+  const interval = Number(process.env.CHAT_RETENTION_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  runRetentionCycle();
+  console.log(`🔁 Retention worker running every ${Math.round(interval / 60000)}min`);
+  return setInterval(runRetentionCycle, interval);
+};
+
+module.exports = {
+  startRetentionWorker,
+  runRetentionCycle,
+};
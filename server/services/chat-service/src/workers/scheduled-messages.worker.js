@@ -0,0 +1,115 @@
+const {
+  ConversationsModel,
+  ConversationParticipantsModel,
+  MessagesModel,
+  ScheduledMessagesModel,
+} = require("../models");
+const { DEFAULT_CONTENT, getNextRunAt, buildDeadlineCountdown } = require("../utils/schedule.utils");
+
+const DEFAULT_INTERVAL_MS = 60 * 1000; // every minute
+
+let isRunning = false;
+
+// Text to post for a schedule, or null when there is nothing to say this time
+const buildScheduledContent = async (schedule, conversation, now) => {
+  if (schedule.kind === "deadline_countdown") {
+    if (!conversation.projectId) return null;
+    const tasks = await ScheduledMessagesModel.getUpcomingProjectTasks(conversation.projectId, schedule.daysAhead, now);
+    return buildDeadlineCountdown(schedule.content, tasks, now);
+  }
+  return schedule.content || DEFAULT_CONTENT[schedule.kind] || null;
+};
+
+const postScheduledMessage = async (schedule, now) => {
+  const conversation = await ConversationsModel.getConversationById(schedule.conversationId);
+  if (!conversation || conversation.status === "deleted") {
+    await ScheduledMessagesModel.updateScheduledMessage(schedule.id, { isActive: false });
+    return;
+  }
+
+  // Messages are posted on behalf of the schedule's author; stop once they have left the group
+  const author = await ConversationParticipantsModel.getParticipantByConversationAndUser(
+    schedule.conversationId,
+    schedule.createdBy
+  );
+  if (!author) {
+    await ScheduledMessagesModel.updateScheduledMessage(schedule.id, { isActive: false });
+    console.warn(`[ScheduledMessagesWorker] Author of schedule ${schedule.id} left conversation ${schedule.conversationId}; deactivated`);
+    return;
+  }
+
+  const content = await buildScheduledContent(schedule, conversation, now);
+  if (!content) return;
+
+  const message = await MessagesModel.createMessage({
+    conversationId: schedule.conversationId,
+    senderId: schedule.createdBy,
+    content,
+    messageType: "system",
+  });
+
+  if (global.socketHandlers) {
+    try {
+      await global.socketHandlers.emitToParticipants(schedule.conversationId, "new_message", {
+        conversationId: Number(schedule.conversationId),
+        message,
+      });
+    } catch (socketError) {
+      console.error(`[ScheduledMessagesWorker] Socket.io emit error (non-critical):`, socketError);
+    }
+  }
+};
+
+/**
+ * Post every scheduled message whose run time has passed.
+ * Each run is claimed before posting so several replicas never post it twice.
+ */
+const postDueScheduledMessages = async () => {
+  const now = new Date();
+  const schedules = await ScheduledMessagesModel.getDueScheduledMessages(now);
+
+  for (const schedule of schedules) {
+    try {
+      // Runs missed while the service was down collapse into this single post
+      const claimed = await ScheduledMessagesModel.claimScheduledRun(schedule, getNextRunAt(schedule, now), now);
+      if (!claimed) continue;
+
+      await postScheduledMessage(schedule, now);
+    } catch (error) {
+      console.error(`[ScheduledMessagesWorker] Failed to post schedule ${schedule.id}:`, error.message);
+    }
+  }
+};
+
+const runScheduledMessagesCycle = async () => {
+  if (isRunning) return;
+  isRunning = true;
+  try {
+    await postDueScheduledMessages();
+  } catch (error) {
+    console.error("[ScheduledMessagesWorker] Cycle failed:", error.message);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the periodic scheduled-message loop.
+ * Disable with CHAT_SCHEDULER_ENABLED=false.
+ */
+const startScheduledMessagesWorker = () => {
+  if (process.env.CHAT_SCHEDULER_ENABLED === "false") {
+    console.log("⏸️ Scheduled messages worker disabled");
+    return null;
+  }
+
+  const interval = Number(process.env.CHAT_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  runScheduledMessagesCycle();
+  console.log(`🔁 Scheduled messages worker running every ${Math.round(interval / 1000)}s`);
+  return setInterval(runScheduledMessagesCycle, interval);
+};
+
+module.exports = {
+  startScheduledMessagesWorker,
+  runScheduledMessagesCycle,
+};
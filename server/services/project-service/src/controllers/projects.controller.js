@@ -4,7 +4,7 @@ const { uploadFileToSupabase } = require("shared/utils/uploadFile.utils");
 const { supabase } = require("shared/utils/supabase.utils");
 const { db } = require("../config/database");
 const { ilike, asc, sql } = require("drizzle-orm");
-const { sendMail } = require("shared/utils/sendEmail");
+const { sendTemplatedMail } = require("shared/utils/sendEmail");
 const {
   createOrGetDirectConversation,
   extractAuthToken,
@@ -15,16 +15,14 @@ const sendError = (res, message, status = 400) =>
   res.status(status).json({ success: false, status, message });
 
 // Helper function to get user information directly from database
-// Required environment variables:
-// - EMAIL_USER: Gmail address for sending emails
-// - EMAIL_PASS: Gmail app password for sending emails
+// Email delivery is configured in shared/utils/sendEmail (EMAIL_TRANSPORT, SMTP_*, EMAIL_USER/EMAIL_PASS)
 const getUserInfo = async (userId) => {
   try {
     // Get user information directly from the database using the same connection
     // Import the user table from the shared database schema
     // Note: This assumes the project service has access to the same database
     const userQuery = await db.execute(sql`
-      SELECT id, name, email, role 
+      SELECT id, name, email, role, locale
       FROM users 
       WHERE id = ${userId} AND is_deleted = false
     `);
@@ -45,50 +43,20 @@ const sendApplicationConfirmationEmail = async (
   developerEmail,
   developerName,
   projectTitle,
-  projectOwnerName
+  projectOwnerName,
+  locale
 ) => {
   try {
-    const emailBody = {
-      from: process.env.EMAIL_USER,
+    await sendTemplatedMail("application-submitted", {
       to: developerEmail,
-      subject: `✅ Application Submitted: "${projectTitle}"`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; text-align: center;">
-            <h1 style="color: white; margin: 0; font-size: 28px;">✅ Application Submitted!</h1>
-          </div>
-          <div style="padding: 30px; background: #f8f9fa; border-radius: 10px; margin-top: 20px;">
-            <h2 style="color: #333; margin-top: 0;">Hello ${developerName},</h2>
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              Thank you for applying to <strong>"${projectTitle}"</strong>! Your application has been successfully submitted to <strong>${projectOwnerName}</strong>.
-            </p>
-            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
-              <h3 style="color: #28a745; margin-top: 0;">What Happens Next?</h3>
-              <ul style="color: #666; line-height: 1.6;">
-                <li>The project owner will review your application</li>
-                <li>You'll be notified if you're shortlisted for an interview</li>
-                <li>Keep an eye on your email for updates</li>
-                <li>You can track your application status in your dashboard</li>
-              </ul>
-            </div>
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              We wish you the best of luck with your application!
-            </p>
-            <div style="text-align: center; margin-top: 30px;">
-              <a href="${process.env.CLIENT_URL}/project" 
-                 style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: bold;">
-                View My Applications
-              </a>
-            </div>
-          </div>
-          <div style="text-align: center; margin-top: 20px; color: #999; font-size: 14px;">
-            <p>This email was sent from SkillBridge Pro</p>
-          </div>
-        </div>
-      `,
-    };
-
-    await sendMail(emailBody);
+      locale,
+      data: {
+        developerName,
+        ownerName: projectOwnerName,
+        projectTitle,
+        applicationsUrl: `${process.env.CLIENT_URL}/project`,
+      },
+    });
     console.log(`✅ Application confirmation email sent to ${developerEmail}`);
   } catch (error) {
     console.error("❌ Error sending application confirmation email:", error);
@@ -102,57 +70,21 @@ const sendNewApplicationNotificationEmail = async (
   ownerName,
   projectTitle,
   developerName,
-  developerEmail
+  developerEmail,
+  locale
 ) => {
   try {
-    const emailBody = {
-      from: process.env.EMAIL_USER,
+    await sendTemplatedMail("new-application", {
       to: ownerEmail,
-      subject: `🔔 New Application for "${projectTitle}"`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; text-align: center;">
-            <h1 style="color: white; margin: 0; font-size: 28px;">🔔 New Application!</h1>
-          </div>
-          <div style="padding: 30px; background: #f8f9fa; border-radius: 10px; margin-top: 20px;">
-            <h2 style="color: #333; margin-top: 0;">Hello ${ownerName},</h2>
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              You have received a new application for your project <strong>"${projectTitle}"</strong>!
-            </p>
-            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #007bff;">
-              <h3 style="color: #007bff; margin-top: 0;">Applicant Details</h3>
-              <p style="color: #666; line-height: 1.6; margin: 0;">
-                <strong>Name:</strong> ${developerName}<br>
-                <strong>Email:</strong> ${developerEmail}
-              </p>
-            </div>
-            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ffc107;">
-              <h3 style="color: #ffc107; margin-top: 0;">Next Steps</h3>
-              <ul style="color: #666; line-height: 1.6;">
-                <li>Review the applicant's profile and application</li>
-                <li>Shortlist promising candidates for interviews</li>
-                <li>Update application status to keep applicants informed</li>
-                <li>Contact applicants directly if needed</li>
-              </ul>
-            </div>
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              Don't keep applicants waiting - timely responses help you find the best talent!
-            </p>
-            <div style="text-align: center; margin-top: 30px;">
-              <a href="${process.env.CLIENT_URL}/project" 
-                 style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: bold;">
-                Review Applications
-              </a>
-            </div>
-          </div>
-          <div style="text-align: center; margin-top: 20px; color: #999; font-size: 14px;">
-            <p>This email was sent from SkillBridge Pro</p>
-          </div>
-        </div>
-      `,
-    };
-
-    await sendMail(emailBody);
+      locale,
+      data: {
+        ownerName,
+        projectTitle,
+        developerName,
+        developerEmail,
+        applicationsUrl: `${process.env.CLIENT_URL}/project`,
+      },
+    });
     console.log(`✅ New application notification email sent to ${ownerEmail}`);
   } catch (error) {
     console.error(
@@ -171,87 +103,24 @@ const sendDeveloperInviteEmail = async (
   projectOwnerName,
   role,
   message,
-  inviteId
+  inviteId,
+  locale
 ) => {
   try {
-    const inviteUrl = `${
-      process.env.CLIENT_URL
-    }/invites/${inviteId}`;
-    
-    const emailBody = {
-      from: process.env.EMAIL_USER,
-      to: invitedEmail,
-      subject: `🎯 You're Invited to Join "${projectTitle}"`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; text-align: center;">
-            <h1 style="color: white; margin: 0; font-size: 28px;">🎯 Project Invitation</h1>
-          </div>
-          <div style="padding: 30px; background: #f8f9fa; border-radius: 10px; margin-top: 20px;">
-            <h2 style="color: #333; margin-top: 0;">Hello ${
-              invitedName || "Developer"
-            },</h2>
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              <strong>${projectOwnerName}</strong> has invited you to join their project <strong>"${projectTitle}"</strong>!
-            </p>
-            
-            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #007bff;">
-              <h3 style="color: #007bff; margin-top: 0;">Project Details</h3>
-              <p style="color: #666; line-height: 1.6; margin: 0;">
-                <strong>Project:</strong> ${projectTitle}<br>
-                <strong>Role:</strong> ${role || "Developer"}<br>
-                <strong>Invited by:</strong> ${projectOwnerName}
-              </p>
-            </div>
-            
-            ${
-              message
-                ? `
-            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
-              <h3 style="color: #28a745; margin-top: 0;">Personal Message</h3>
-              <p style="color: #666; line-height: 1.6; margin: 0; font-style: italic;">
-                "${message}"
-              </p>
-            </div>
-            `
-                : ""
-            }
-            
-            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ffc107;">
-              <h3 style="color: #ffc107; margin-top: 0;">What's Next?</h3>
-              <ul style="color: #666; line-height: 1.6;">
-                <li>Click the button below to view the full project details</li>
-                <li>Review the project requirements and your role</li>
-                <li>Accept or decline the invitation</li>
-                <li>Start collaborating if you accept!</li>
-              </ul>
-            </div>
-            
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              This is a great opportunity to work on an exciting project. We hope you'll consider joining!
-            </p>
-            
-            <div style="text-align: center; margin-top: 30px;">
-              <a href="${inviteUrl}" 
-                 style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 40px; text-decoration: none; border-radius: 25px; font-weight: bold; font-size: 16px; display: inline-block;">
-                View Invitation & Respond
-              </a>
-            </div>
-            
-            <div style="text-align: center; margin-top: 20px;">
-              <p style="color: #999; font-size: 14px; margin: 0;">
-                Or copy and paste this link: <a href="${inviteUrl}" style="color: #667eea;">${inviteUrl}</a>
-              </p>
-            </div>
-          </div>
-          <div style="text-align: center; margin-top: 20px; color: #999; font-size: 14px;">
-            <p>This invitation was sent from SkillBridge Pro</p>
-          </div>
-        </div>
-      `,
-    };
+    const inviteUrl = `${process.env.CLIENT_URL}/invites/${inviteId}`;
 
-    await sendMail(emailBody);
+    await sendTemplatedMail("project-invite", {
+      to: invitedEmail,
+      locale,
+      data: {
+        invitedName,
+        ownerName: projectOwnerName,
+        projectTitle,
+        role,
+        message,
+        inviteUrl,
+      },
+    });
     console.log(
       `✅ Developer invite email sent to ${invitedEmail} for project: ${projectTitle}`
     );
@@ -268,124 +137,34 @@ const sendInviteResponseNotificationEmail = async (
   projectTitle,
   responderName,
   responderEmail,
-  status
+  status,
+  locale
 ) => {
   try {
-    const statusMessages = {
-      accepted: {
-        subject: `🎉 Invitation Accepted for "${projectTitle}"`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-            <div style="background: linear-gradient(135deg, #28a745 0%, #20c997 100%); padding: 30px; border-radius: 10px; text-align: center;">
-              <h1 style="color: white; margin: 0; font-size: 28px;">🎉 Invitation Accepted!</h1>
-            </div>
-            <div style="padding: 30px; background: #f8f9fa; border-radius: 10px; margin-top: 20px;">
-              <h2 style="color: #333; margin-top: 0;">Hello ${ownerName},</h2>
-              <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                Great news! <strong>${responderName}</strong> has accepted your invitation to join <strong>"${projectTitle}"</strong>!
-              </p>
-              
-              <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
-                <h3 style="color: #28a745; margin-top: 0;">Developer Details</h3>
-                <p style="color: #666; line-height: 1.6; margin: 0;">
-                  <strong>Name:</strong> ${responderName}<br>
-                  <strong>Email:</strong> ${responderEmail}
-                </p>
-              </div>
-              
-              <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #007bff;">
-                <h3 style="color: #007bff; margin-top: 0;">Next Steps</h3>
-                <ul style="color: #666; line-height: 1.6;">
-                  <li>Welcome the new team member to your project</li>
-                  <li>Share project details and access credentials</li>
-                  <li>Set up communication channels</li>
-                  <li>Begin collaboration on the project</li>
-                </ul>
-              </div>
-              
-              <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                Your project team is growing! Time to start building something amazing together.
-              </p>
-              
-              <div style="text-align: center; margin-top: 30px;">
-                <a href="${process.env.CLIENT_URL}/project/${projectTitle.replace(/\s+/g, "-").toLowerCase()}" 
-                   style="background: linear-gradient(135deg, #28a745 0%, #20c997 100%); color: white; padding: 15px 40px; text-decoration: none; border-radius: 25px; font-weight: bold; font-size: 16px; display: inline-block;">
-                  View Project
-                </a>
-              </div>
-            </div>
-            <div style="text-align: center; margin-top: 20px; color: #999; font-size: 14px;">
-              <p>This notification was sent from SkillBridge Pro</p>
-            </div>
-          </div>
-        `,
-      },
-      declined: {
-        subject: `📝 Invitation Declined for "${projectTitle}"`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-            <div style="background: linear-gradient(135deg, #6c757d 0%, #495057 100%); padding: 30px; border-radius: 10px; text-align: center;">
-              <h1 style="color: white; margin: 0; font-size: 28px;">📝 Invitation Declined</h1>
-            </div>
-            <div style="padding: 30px; background: #f8f9fa; border-radius: 10px; margin-top: 20px;">
-              <h2 style="color: #333; margin-top: 0;">Hello ${ownerName},</h2>
-              <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                <strong>${responderName}</strong> has declined your invitation to join <strong>"${projectTitle}"</strong>.
-              </p>
-              
-              <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #6c757d;">
-                <h3 style="color: #6c757d; margin-top: 0;">Developer Details</h3>
-                <p style="color: #666; line-height: 1.6; margin: 0;">
-                  <strong>Name:</strong> ${responderName}<br>
-                  <strong>Email:</strong> ${responderEmail}
-                </p>
-              </div>
-              
-              <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ffc107;">
-                <h3 style="color: #ffc107; margin-top: 0;">Don't Give Up!</h3>
-                <ul style="color: #666; line-height: 1.6;">
-                  <li>Continue searching for other qualified developers</li>
-                  <li>Consider reaching out to more candidates</li>
-                  <li>Review your project requirements and make them more attractive</li>
-                  <li>Post your project publicly to reach a wider audience</li>
-                </ul>
-              </div>
-              
-              <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                There are many talented developers out there. Keep looking and you'll find the perfect match for your project!
-              </p>
-              
-              <div style="text-align: center; margin-top: 30px;">
-                <a href="${ process.env.CLIENT_URL}/project" 
-                   style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 40px; text-decoration: none; border-radius: 25px; font-weight: bold; font-size: 16px; display: inline-block;">
-                  Find More Developers
-                </a>
-              </div>
-            </div>
-            <div style="text-align: center; margin-top: 20px; color: #999; font-size: 14px;">
-              <p>This notification was sent from SkillBridge Pro</p>
-            </div>
-          </div>
-        `,
-      },
-    };
-
-    const emailTemplate = statusMessages[status];
-    if (!emailTemplate) {
+    if (!["accepted", "declined"].includes(status)) {
       console.log(
         `No email template found for invite response status: ${status}`
       );
       return;
     }
 
-    const emailBody = {
-      from: process.env.EMAIL_USER,
-      to: ownerEmail,
-      subject: emailTemplate.subject,
-      html: emailTemplate.html,
-    };
+    const projectUrl =
+      status === "accepted"
+        ? `${process.env.CLIENT_URL}/project/${projectTitle.replace(/\s+/g, "-").toLowerCase()}`
+        : `${process.env.CLIENT_URL}/project`;
 
-    await sendMail(emailBody);
+    await sendTemplatedMail("invite-response", {
+      to: ownerEmail,
+      locale,
+      data: {
+        ownerName,
+        projectTitle,
+        responderName,
+        responderEmail,
+        status,
+        projectUrl,
+      },
+    });
     console.log(
       `✅ Invite response notification email sent to ${ownerEmail} for status: ${status}`
     );
@@ -404,102 +183,26 @@ const sendApplicationStatusEmail = async (
   userName,
   projectTitle,
   status,
-  projectOwnerName
+  projectOwnerName,
+  locale
 ) => {
   try {
-    const statusMessages = {
-      shortlisted: {
-        subject: `🎉 Great News! You've been shortlisted for "${projectTitle}"`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; text-align: center;">
-              <h1 style="color: white; margin: 0; font-size: 28px;">🎉 Congratulations!</h1>
-            </div>
-            <div style="padding: 30px; background: #f8f9fa; border-radius: 10px; margin-top: 20px;">
-              <h2 style="color: #333; margin-top: 0;">Hello ${userName},</h2>
-              <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                We're excited to inform you that your application for <strong>"${projectTitle}"</strong> has been <strong style="color: #28a745;">shortlisted</strong>!
-              </p>
-              <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                The project owner, <strong>${projectOwnerName}</strong>, was impressed with your profile and would like to move forward with your application.
-              </p>
-              <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
-                <h3 style="color: #28a745; margin-top: 0;">What's Next?</h3>
-                <ul style="color: #666; line-height: 1.6;">
-                  <li>You may be contacted for an interview or further discussion</li>
-                  <li>Keep an eye on your email for updates from the project owner</li>
-                  <li>Be prepared to discuss your experience and availability</li>
-                </ul>
-              </div>
-              <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                Thank you for your interest in this project. We wish you the best of luck!
-              </p>
-              <div style="text-align: center; margin-top: 30px;">
-                <a href="${process.env.CLIENT_URL}/project" 
-                   style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: bold;">
-                  View Project Details
-                </a>
-              </div>
-            </div>
-            <div style="text-align: center; margin-top: 20px; color: #999; font-size: 14px;">
-              <p>This email was sent from SkillBridge Pro</p>
-            </div>
-          </div>
-        `,
-      },
-      rejected: {
-        subject: `Application Update: "${projectTitle}"`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; text-align: center;">
-              <h1 style="color: white; margin: 0; font-size: 28px;">Application Update</h1>
-            </div>
-            <div style="padding: 30px; background: #f8f9fa; border-radius: 10px; margin-top: 20px;">
-              <h2 style="color: #333; margin-top: 0;">Hello ${userName},</h2>
-              <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                Thank you for your interest in <strong>"${projectTitle}"</strong>. After careful consideration, we regret to inform you that your application has not been selected for this project.
-              </p>
-              <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #6c757d;">
-                <h3 style="color: #6c757d; margin-top: 0;">Don't Give Up!</h3>
-                <ul style="color: #666; line-height: 1.6;">
-                  <li>This decision doesn't reflect on your skills or potential</li>
-                  <li>Keep applying to other projects that match your expertise</li>
-                  <li>Consider updating your profile to make it more attractive to project owners</li>
-                  <li>Use this as an opportunity to improve and grow</li>
-                </ul>
-              </div>
-              <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                We encourage you to continue exploring other opportunities on our platform. Your next great project is just around the corner!
-              </p>
-              <div style="text-align: center; margin-top: 30px;">
-                <a href="${process.env.CLIENT_URL}/project" 
-                   style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: bold;">
-                  Explore More Projects
-                </a>
-              </div>
-            </div>
-            <div style="text-align: center; margin-top: 20px; color: #999; font-size: 14px;">
-              <p>This email was sent from SkillBridge Pro</p>
-            </div>
-          </div>
-        `,
-      },
-    };
-
-    const emailTemplate = statusMessages[status];
-    if (!emailTemplate) {
+    if (!["shortlisted", "rejected"].includes(status)) {
       console.log(`No email template found for status: ${status}`);
       return;
     }
 
-    const emailBody = {
-      from: process.env.EMAIL_USER,
+    await sendTemplatedMail("applicant-status", {
       to: userEmail,
-      subject: emailTemplate.subject,
-      html: emailTemplate.html,
-    };
-
-    await sendMail(emailBody);
+      locale,
+      data: {
+        name: userName,
+        ownerName: projectOwnerName,
+        projectTitle,
+        status,
+        projectUrl: `${process.env.CLIENT_URL}/project`,
+      },
+    });
     console.log(
       `✅ Application status email sent to ${userEmail} for status: ${status}`
     );
@@ -1028,7 +731,8 @@ const applyToProject = async (req, res) => {
           developer.email,
           developer.name,
           project.title,
-          projectOwner.name
+          projectOwner.name,
+          developer.locale
         );
         
         // Send notification email to project owner
@@ -1037,7 +741,8 @@ const applyToProject = async (req, res) => {
           projectOwner.name,
           project.title,
           developer.name,
-          developer.email
+          developer.email,
+          projectOwner.locale
         );
       } else {
         console.log("Missing information for application emails:", {
@@ -1081,58 +786,21 @@ const sendApplicationWithdrawalEmail = async (
   ownerName,
   projectTitle,
   developerName,
-  developerEmail
+  developerEmail,
+  locale
 ) => {
   try {
-    const emailBody = {
-      from: process.env.EMAIL_USER,
+    await sendTemplatedMail("application-withdrawn", {
       to: ownerEmail,
-      subject: `📤 Application Withdrawn: "${projectTitle}"`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; text-align: center;">
-            <h1 style="color: white; margin: 0; font-size: 28px;">📤 Application Withdrawn</h1>
-          </div>
-          <div style="padding: 30px; background: #f8f9fa; border-radius: 10px; margin-top: 20px;">
-            <h2 style="color: #333; margin-top: 0;">Hello ${ownerName},</h2>
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              We wanted to inform you that <strong>${developerName}</strong> has withdrawn their application for your project <strong>"${projectTitle}"</strong>.
-            </p>
-            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #6c757d;">
-              <h3 style="color: #6c757d; margin-top: 0;">📋 Application Details</h3>
-              <p style="color: #666; line-height: 1.6; margin: 0;">
-                <strong>Developer:</strong> ${developerName}<br>
-                <strong>Email:</strong> ${developerEmail}<br>
-                <strong>Project:</strong> ${projectTitle}<br>
-                <strong>Status:</strong> Withdrawn
-              </p>
-            </div>
-            <div style="background: #d1ecf1; padding: 15px; border-radius: 8px; border-left: 4px solid #17a2b8; margin: 20px 0;">
-              <h4 style="color: #0c5460; margin-top: 0;">💡 What This Means:</h4>
-              <ul style="color: #0c5460; line-height: 1.6; margin: 0; padding-left: 20px;">
-                <li>The developer is no longer interested in this project</li>
-                <li>You can focus on other applicants</li>
-                <li>Your project remains active for new applications</li>
-                <li>Consider reaching out to other shortlisted candidates</li>
-              </ul>
-            </div>
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              Don't worry - there are many talented developers looking for great projects like yours!
-            </p>
-            <div style="text-align: center; margin-top: 30px;">
-              <a href="${process.env.CLIENT_URL }/projects"
-                 style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: bold;">
-                View Other Applications
-              </a>
-            </div>
-          </div>
-          <div style="text-align: center; margin-top: 20px; color: #999; font-size: 14px;">
-            <p>This email was sent from SkillBridge Pro</p>
-          </div>
-        </div>
-      `,
-    };
-    await sendMail(emailBody);
+      locale,
+      data: {
+        ownerName,
+        projectTitle,
+        developerName,
+        developerEmail,
+        applicationsUrl: `${process.env.CLIENT_URL}/projects`,
+      },
+    });
     console.log(
       `✅ Application withdrawal notification email sent to ${ownerEmail}`
     );
@@ -1172,7 +840,8 @@ const withdrawApplication = async (req, res) => {
             projectOwner.name,
             project.title,
             developer.name,
-            developer.email
+            developer.email,
+            projectOwner.locale
           );
         } else {
           console.log("Missing information for withdrawal email:", {
@@ -1258,7 +927,8 @@ const updateApplicantStatus = async (req, res) => {
             user.name || "Developer",
             project.title,
             status,
-            projectOwner.name
+            projectOwner.name,
+            user.locale
           );
         } else {
           console.log("Missing information for email notification:", {
@@ -1766,7 +1436,8 @@ const createInvite = async (req, res) => {
           projectOwner.name,
           role,
           message,
-          row.id // Pass the invite ID for the link
+          row.id, // Pass the invite ID for the link
+          invitedUser?.locale
         );
         
         console.log(
@@ -2163,7 +1834,8 @@ const respondInvite = async (req, res) => {
           project.title,
           responder.name,
           responder.email,
-          status
+          status,
+          projectOwner.locale
         );
         
         console.log(
@@ -2,10 +2,11 @@ const { ProjectTasksModel } = require("../models/project-tasks.model");
 const { TaskSubmissionsModel } = require("../models/task-submissions.model");
 const { TaskCommentsModel } = require("../models/task-comments.model");
 const { TaskTimeTrackingModel } = require("../models/task-time-tracking.model");
-const { ProjectModel } = require("../models");
+const { ProjectModel, ProjectMilestonesModel } = require("../models");
 const { db } = require("../config/database");
 const { sql } = require("drizzle-orm");
-const { sendMail } = require("shared/utils/sendEmail");
+const { extractAuthToken } = require("../utils/chatServiceClient");
+const { releaseMilestoneEscrow } = require("../utils/billingServiceClient");
 
 // Basic error helper
 const sendError = (res, message, status = 400) =>
@@ -330,6 +331,13 @@ const updateTask = async (req, res) => {
       }
     });
     
+    // A new due date gets its own reminders
+    if (cleanUpdateData.dueDate !== undefined) {
+      cleanUpdateData.dueDate = cleanUpdateData.dueDate ? new Date(cleanUpdateData.dueDate) : null;
+      cleanUpdateData.dueReminderSentAt = null;
+      cleanUpdateData.overdueReminderSentAt = null;
+    }
+
     // Handle status change
     if (cleanUpdateData.status === "completed" && !task.completedAt) {
       cleanUpdateData.completedAt = new Date();
@@ -653,6 +661,18 @@ const reviewSubmission = async (req, res) => {
       reviewComments
     );
     
+    // Once every task of the milestone is approved, complete it and release its escrowed payment
+    if (status === "approved" && task.milestoneId) {
+      const milestoneTasks = await ProjectTasksModel.getTasksByMilestoneId(task.milestoneId);
+      const milestoneDone = milestoneTasks.every((t) => ["completed", "cancelled"].includes(t.status));
+      if (milestoneDone) {
+        await ProjectMilestonesModel.markAsCompleted(task.milestoneId);
+        releaseMilestoneEscrow(task.milestoneId, extractAuthToken(req)).catch((err) =>
+          console.error("Release milestone escrow error:", err.message)
+        );
+      }
+    }
+    
     return res.status(200).json({
       success: true,
       status: 200,
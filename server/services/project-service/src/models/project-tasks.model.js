@@ -1,5 +1,5 @@
 const { pgTable, serial, text, integer, timestamp, boolean } = require("drizzle-orm/pg-core");
-const { eq, and, desc, or, asc, sql } = require("drizzle-orm");
+const { eq, and, desc, or, asc, sql, gt, lte, isNull, isNotNull, notInArray } = require("drizzle-orm");
 
 const { db } = require("../config/database");
 const { projectMilestonesTable } = require("./project-milestones.model");
@@ -17,6 +17,8 @@ const projectTasksTable = pgTable("project_tasks", {
   status: text("status").default("todo"), // todo, in_progress, review, completed, cancelled
   dueDate: timestamp("due_date"),
   completedAt: timestamp("completed_at"),
+  dueReminderSentAt: timestamp("due_reminder_sent_at"), // "due soon" email to the assignee; reset when dueDate changes
+  overdueReminderSentAt: timestamp("overdue_reminder_sent_at"), // "overdue" email to the assignee; reset when dueDate changes
   createdAt: timestamp("created_at").defaultNow(),
 });
 
@@ -159,6 +161,48 @@ class ProjectTasksModel {
     return row;
   }
 
+  /**
+   * Open, assigned tasks on live projects that need a deadline email:
+   * due between now and `dueBefore` without a "due soon" reminder, or overdue since
+   * `overdueSince` without an "overdue" reminder (older overdue tasks are left alone).
+   */
+  static async getTasksNeedingDeadlineReminder({ now, dueBefore, overdueSince }) {
+    return await db
+      .select({
+        id: projectTasksTable.id,
+        projectId: projectTasksTable.projectId,
+        assignedTo: projectTasksTable.assignedTo,
+        title: projectTasksTable.title,
+        status: projectTasksTable.status,
+        dueDate: projectTasksTable.dueDate,
+        dueReminderSentAt: projectTasksTable.dueReminderSentAt,
+        overdueReminderSentAt: projectTasksTable.overdueReminderSentAt,
+        projectTitle: projectsTable.title,
+      })
+      .from(projectTasksTable)
+      .innerJoin(projectsTable, eq(projectTasksTable.projectId, projectsTable.id))
+      .where(
+        and(
+          isNotNull(projectTasksTable.assignedTo),
+          notInArray(projectTasksTable.status, ["completed", "cancelled"]),
+          eq(projectsTable.isDeleted, false),
+          or(
+            and(
+              gt(projectTasksTable.dueDate, now),
+              lte(projectTasksTable.dueDate, dueBefore),
+              isNull(projectTasksTable.dueReminderSentAt)
+            ),
+            and(
+              gt(projectTasksTable.dueDate, overdueSince),
+              lte(projectTasksTable.dueDate, now),
+              isNull(projectTasksTable.overdueReminderSentAt)
+            )
+          )
+        )
+      )
+      .orderBy(asc(projectTasksTable.dueDate));
+  }
+
   static async updateTaskStatus(taskId, status) {
     const updateData = { status };
     if (status === "completed") {
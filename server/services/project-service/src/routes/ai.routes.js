@@ -1,16 +1,17 @@
 const express = require("express");
 const aiController = require("../controllers/ai.controller");
 const authenticate = require("shared/middleware/auth.middleware");
+const { requireEntitlement } = require("shared/middleware/entitlement.middleware");
 
 const aiRouter = express.Router();
 
-// AI suggestion endpoints
-aiRouter.post("/description", authenticate, aiController.generateProjectDescription);
-aiRouter.post("/titles", authenticate, aiController.generateProjectTitles);
-aiRouter.post("/skills", authenticate, aiController.generateSkillSuggestions);
-aiRouter.post("/requirements", authenticate, aiController.generateRequirements);
-aiRouter.post("/benefits", authenticate, aiController.generateBenefits);
-aiRouter.post("/budget", authenticate, aiController.generateBudgetSuggestions);
-aiRouter.post("/comprehensive", authenticate, aiController.generateComprehensiveSuggestions);
+// AI suggestion endpoints (each call uses one of the plan's AI credits)
+aiRouter.post("/description", authenticate, requireEntitlement("aiCredits"), aiController.generateProjectDescription);
+aiRouter.post("/titles", authenticate, requireEntitlement("aiCredits"), aiController.generateProjectTitles);
+aiRouter.post("/skills", authenticate, requireEntitlement("aiCredits"), aiController.generateSkillSuggestions);
+aiRouter.post("/requirements", authenticate, requireEntitlement("aiCredits"), aiController.generateRequirements);
+aiRouter.post("/benefits", authenticate, requireEntitlement("aiCredits"), aiController.generateBenefits);
+aiRouter.post("/budget", authenticate, requireEntitlement("aiCredits"), aiController.generateBudgetSuggestions);
+aiRouter.post("/comprehensive", authenticate, requireEntitlement("aiCredits"), aiController.generateComprehensiveSuggestions);
 
 module.exports = aiRouter;
@@ -8,14 +8,16 @@ const {
   requireProjectManager,
   requireAdmin,
 } = require("shared/middleware/roleAuth.middleware");
+const { requireEntitlement } = require("shared/middleware/entitlement.middleware");
 
 const projectRouter = express.Router();
 
-// 📋 Project CRUD Operations (Only project owners can create/manage projects)
+// 📋 Project CRUD Operations (Only project owners can create/manage projects; creation counts towards the plan's active projects)
 projectRouter.post(
   "/",
   authenticate,
   requireProjectOwner,
+  requireEntitlement("projects"),
   projectController.createProject
 );
 projectRouter.get("/", projectController.listProjects); // Public - anyone can view projects
@@ -59,6 +61,7 @@ projectRouter.post(
   "/apply",
   authenticate,
   requireDeveloper,
+  requireEntitlement("applications"),
   projectController.applyToProject
 );
 projectRouter.delete(
@@ -139,11 +142,12 @@ projectRouter.get(
   tasksController.getProjectOwnerTasks
 );
 
-// 📧 Invitation Management (Only project owners can send invites, developers can respond)
+// 📧 Invitation Management (Only project owners can send invites, developers can respond; invites count towards the plan)
 projectRouter.post(
   "/invite",
   authenticate,
   requireProjectManager,
+  requireEntitlement("invites"),
   projectController.createInvite
 );
 projectRouter.get("/invites/my", authenticate, projectController.getMyInvites); // Developers can view their invites
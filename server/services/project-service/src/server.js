@@ -11,6 +11,7 @@ const projectRouter = require("./routes/projects.routes");
 const tasksRouter = require("./routes/tasks.routes");
 const aiRouter = require("./routes/ai.routes");
 const aiCareerRouter = require("./routes/ai-career.routes");
+const { startTaskDeadlineWorker } = require("./workers/task-deadline.worker");
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -52,6 +53,7 @@ app.use(errorMiddleware);
 const startServer = async () => {
   try {
     await initializeDatabase();
+    startTaskDeadlineWorker();
     app.listen(PORT, () =>
       console.log(`🚀 Project Service running on http://localhost:${PORT}`)
     );
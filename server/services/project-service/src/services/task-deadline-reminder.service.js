@@ -0,0 +1,84 @@
+const { sql } = require("drizzle-orm");
+const { db } = require("../config/database");
+const { ProjectTasksModel } = require("../models/project-tasks.model");
+const { sendTemplatedMail } = require("shared/utils/sendEmail");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// "Due soon" reminders go out this long before the due date
+const getReminderWindowMs = () => (Number(process.env.TASK_DEADLINE_REMINDER_HOURS) || 24) * HOUR_MS;
+
+// Tasks that were already overdue for longer (e.g. when reminders are first enabled) are not emailed
+const OVERDUE_LOOKBACK_MS = 7 * 24 * HOUR_MS;
+
+const getAssignee = async (userId) => {
+  const result = await db.execute(sql`
+    SELECT id, name, email, locale
+    FROM users
+    WHERE id = ${userId} AND is_deleted = false
+  `);
+  return result.rows?.[0] || null;
+};
+
+/**
+ * Deadline reminder emails ("task-deadline" template) to task assignees
+ *
+ * Each task gets at most one "due soon" and one "overdue" email per due date; the sent
+ * timestamps live on project_tasks and are reset when the due date changes.
+ */
+class TaskDeadlineReminderService {
+  /**
+   * Email one task's assignee and record the reminder
+   *
+   * @returns {Promise<boolean>} Whether an email was sent
+   */
+  static async sendReminder(task, now = new Date()) {
+    const overdue = new Date(task.dueDate) <= now;
+    const sentField = overdue ? "overdueReminderSentAt" : "dueReminderSentAt";
+
+    // Claim the reminder first so a crash or a second replica never emails twice
+    await ProjectTasksModel.updateTask(task.id, { [sentField]: now });
+
+    const assignee = await getAssignee(task.assignedTo);
+    if (!assignee?.email) return false;
+
+    await sendTemplatedMail("task-deadline", {
+      to: assignee.email,
+      locale: assignee.locale,
+      data: {
+        name: assignee.name,
+        taskTitle: task.title,
+        projectTitle: task.projectTitle,
+        dueDate: new Date(task.dueDate).toISOString(),
+        status: task.status,
+        taskUrl: `${process.env.CLIENT_URL || ""}/project/${task.projectId}`,
+      },
+    });
+    return true;
+  }
+
+  /**
+   * Send every reminder that is due
+   *
+   * @returns {Promise<number>} Number of emails sent
+   */
+  static async runReminders(now = new Date()) {
+    const tasks = await ProjectTasksModel.getTasksNeedingDeadlineReminder({
+      now,
+      dueBefore: new Date(now.getTime() + getReminderWindowMs()),
+      overdueSince: new Date(now.getTime() - OVERDUE_LOOKBACK_MS),
+    });
+
+    let sent = 0;
+    for (const task of tasks) {
+      try {
+        if (await TaskDeadlineReminderService.sendReminder(task, now)) sent += 1;
+      } catch (error) {
+        console.error(`[TaskDeadline] Failed to send the reminder for task ${task.id}:`, error.message);
+      }
+    }
+    return sent;
+  }
+}
+
+module.exports = TaskDeadlineReminderService;
@@ -0,0 +1,71 @@
+const axios = require("axios");
+
+/**
+ * Billing Service Client
+ * Utility to communicate with the user-service billing API through the API Gateway
+ *
+ * Used to release milestone payments held in escrow once a milestone's tasks
+ * have all been approved.
+ */
+
+// Get API Gateway URL from environment or use default
+const API_GATEWAY_URL = process.env.API_GATEWAY_URL || process.env.API_GATEWAY_BASE_URL || process.env.BACKEND_URL;
+const BILLING_SERVICE_BASE_URL = `${API_GATEWAY_URL}/api/v1/user/billing`;
+
+/**
+ * Release the escrowed payment of a milestone to its developer
+ * The billing service re-checks ownership and that every task of the milestone is approved.
+ *
+ * @param {number} milestoneId - Milestone whose escrow should be released
+ * @param {string|null} authToken - Auth token of the project owner who approved the work
+ * @returns {Promise<Object|null>} - Released escrow, or null if nothing was released
+ */
+const releaseMilestoneEscrow = async (milestoneId, authToken = null) => {
+  try {
+    if (!milestoneId) {
+      console.error("[BillingServiceClient] Missing milestone ID");
+      return null;
+    }
+
+    const headers = {};
+    if (authToken) {
+      headers.Authorization = `Bearer ${authToken}`;
+    }
+
+    const response = await axios.post(
+      `${BILLING_SERVICE_BASE_URL}/escrow/milestones/${milestoneId}/release`,
+      {},
+      {
+        headers,
+        timeout: 15000,
+        validateStatus: (status) => status < 500,
+      }
+    );
+
+    if (response.status === 200 && response.data?.success) {
+      console.log(`[BillingServiceClient] ✅ Released escrow for milestone ${milestoneId}`);
+      return response.data.data;
+    }
+
+    // 404 means the milestone was never funded, which is normal
+    if (response.status !== 404) {
+      console.error(`[BillingServiceClient] Failed to release escrow for milestone ${milestoneId}:`, {
+        status: response.status,
+        data: response.data,
+      });
+    }
+    return null;
+  } catch (error) {
+    // Log error but don't throw - this is a non-blocking operation
+    console.error("[BillingServiceClient] Error releasing milestone escrow:", {
+      error: error.message,
+      milestoneId,
+      response: error.response?.data,
+    });
+    return null;
+  }
+};
+
+module.exports = {
+  releaseMilestoneEscrow,
+};
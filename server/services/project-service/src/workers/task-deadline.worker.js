@@ -0,0 +1,41 @@
+const TaskDeadlineReminderService = require("../services/task-deadline-reminder.service");
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000; // every 15 minutes; each reminder is only sent once
+
+let isRunning = false;
+
+const runDeadlineCycle = async () => {
+  if (isRunning) return;
+  isRunning = true;
+  try {
+    const sent = await TaskDeadlineReminderService.runReminders();
+    if (sent) {
+      console.log(`[TaskDeadlineWorker] ⏰ Sent ${sent} task deadline reminders`);
+    }
+  } catch (error) {
+    console.error("[TaskDeadlineWorker] Reminder cycle failed:", error.message);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the periodic loop that emails assignees about upcoming and overdue tasks.
+ * Disable with TASK_DEADLINE_WORKER_ENABLED=false.
+ */
+const startTaskDeadlineWorker = () => {
+  if (process.env.TASK_DEADLINE_WORKER_ENABLED === "false") {
+    console.log("⏸️ Task deadline worker disabled");
+    return null;
+  }
+
+  const interval = Number(process.env.TASK_DEADLINE_WORKER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  runDeadlineCycle();
+  console.log(`🔁 Task deadline worker running every ${Math.round(interval / 1000)}s`);
+  return setInterval(runDeadlineCycle, interval);
+};
+
+module.exports = {
+  startTaskDeadlineWorker,
+  runDeadlineCycle,
+};
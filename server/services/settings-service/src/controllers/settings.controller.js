@@ -30,6 +30,15 @@ const resolveUserId = (req) => {
   return null;
 };
 
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return typeof timeZone === "string" && timeZone.length > 0;
+  } catch (error) {
+    return false;
+  }
+};
+
 // ---------- Notification Settings (toggles)
 async function getNotificationSettings(req, res, next) {
   try {
@@ -101,6 +110,9 @@ async function upsertQuietHours(req, res, next) {
     const userId = resolveUserId(req);
     if (!userId) throw new HttpException(400, "userId is required");
     const payload = req.body || {};
+    if (payload.timezone !== undefined && payload.timezone !== null && !isValidTimeZone(payload.timezone)) {
+      throw new HttpException(400, "timezone must be a valid IANA time zone (e.g. Europe/Berlin)");
+    }
     const row = await UserQuietHoursModel.upsertByUserId(userId, payload);
     res.json({ success: true, data: row });
   } catch (err) {
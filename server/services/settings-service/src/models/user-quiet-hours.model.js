@@ -1,4 +1,4 @@
-const { pgTable, serial, integer, boolean, time, timestamp } = require("drizzle-orm/pg-core");
+const { pgTable, serial, integer, boolean, time, text, timestamp } = require("drizzle-orm/pg-core");
 const { eq } = require("drizzle-orm");
 const { db } = require("../config/database");
 
@@ -8,6 +8,7 @@ const userQuietHoursTable = pgTable("user_quiet_hours", {
   enabled: boolean("enabled").notNull().default(false),
   start: time("start"),
   end: time("end"),
+  timezone: text("timezone"), // IANA zone the start/end times are in (UTC when unset)
   createdAt: timestamp("created_at").defaultNow().notNull(),
   updatedAt: timestamp("updated_at").defaultNow().$onUpdate(() => new Date()).notNull(),
 });
@@ -6,9 +6,13 @@ const userSubscriptionsTable = pgTable("user_subscriptions", {
   id: serial("id").primaryKey(),
   userId: integer("user_id").notNull(),
   plan: text("plan").notNull().default("Free"),
-  status: text("status").notNull().default("active"),
+  status: text("status").notNull().default("active"), // 'active', 'past_due', 'cancelled'
   currentPeriodStart: timestamp("current_period_start"),
   currentPeriodEnd: timestamp("current_period_end"),
+  pendingPlan: text("pending_plan"), // Plan to switch to at the next renewal (scheduled downgrades)
+  paymentMethodId: integer("payment_method_id"), // Payment method charged on renewal (user-service payment_methods)
+  pastDueSince: timestamp("past_due_since"), // Set when a renewal charge fails, cleared once paid
+  currency: text("currency").notNull().default("USD"), // Currency the subscription is billed in (renewals keep it)
   createdAt: timestamp("created_at").defaultNow().notNull(),
   updatedAt: timestamp("updated_at").defaultNow().$onUpdate(() => new Date()).notNull(),
 });
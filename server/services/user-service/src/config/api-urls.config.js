@@ -10,6 +10,9 @@ const API_URLS = {
   // API Gateway Base URL (for OAuth callbacks)
   API_GATEWAY_BASE_URL,
 
+  // Chat service, called directly for real-time pushes (same variable the gateway uses)
+  CHAT_SERVICE_URL: process.env.API_CHAT_URL,
+
   // GitHub API URLs
   GITHUB_API_BASE_URL: process.env.GITHUB_API_BASE_URL,
   GITHUB_WEB_BASE_URL: process.env.GITHUB_WEB_BASE_URL,
@@ -5,8 +5,24 @@ const {
   DisputesModel,
   SubscriptionPlansModel,
   SuspendedAccountsModel,
+  TaxRulesModel,
+  CouponsModel,
+  RefundsModel,
+  MilestoneEscrowsModel,
+  PayoutRequestsModel,
+  HourlyInvoicesModel,
 } = require("../models/billing.model");
+const PaymentService = require("../services/payment.service");
+const InvoicePdfService = require("../services/invoice-pdf.service");
+const SubscriptionService = require("../services/subscription.service");
+const PricingService = require("../services/pricing.service");
+const CouponService = require("../services/coupon.service");
+const RefundService = require("../services/refund.service");
+const EscrowService = require("../services/escrow.service");
+const EarningsService = require("../services/earnings.service");
+const HourlyInvoiceService = require("../services/hourly-invoice.service");
 const HttpException = require("shared/utils/HttpException.utils");
+const { getEntitlements: getUserEntitlements } = require("shared/utils/entitlements.utils");
 const { db } = require("../config/database");
 const { sql, eq } = require("drizzle-orm");
 
@@ -29,6 +45,64 @@ const getUserInfo = async (userId) => {
   }
 };
 
+// Helper to resolve the payment method for a charge (explicit ID or the user's default)
+const resolvePaymentMethod = async (userId, paymentMethodId) => {
+  if (paymentMethodId) {
+    const method = await PaymentMethodsModel.getPaymentMethodById(parseInt(paymentMethodId));
+    if (!method || method.userId !== userId || !method.isActive) {
+      return null;
+    }
+    return method;
+  }
+
+  const [defaultMethod] = await PaymentMethodsModel.getPaymentMethodsByUserId(userId);
+  return defaultMethod || null;
+};
+
+// Helper to price a project boost; boosts are billed in the project's budget currency when we price in it
+const getBoostQuote = async (projectId, visibilityType, billingAddress) => {
+  const projectQuery = await db.execute(sql`
+    SELECT id, title, currency FROM projects
+    WHERE id = ${projectId}
+    LIMIT 1
+  `);
+  const project = projectQuery.rows && projectQuery.rows.length > 0 ? projectQuery.rows[0] : null;
+  const { amount, currency } = PricingService.priceForBoost(visibilityType, {
+    requestedCurrency: project?.currency,
+    billingAddress,
+  });
+  return { project, amount, currency };
+};
+
+const formatPaymentStatus = (status, type = null) => {
+  switch (status) {
+    case "completed":
+      return type === "refund" ? "Refunded" : "Paid";
+    case "pending":
+      return "Pending";
+    case "failed":
+      return "Failed";
+    case "refunded":
+      return "Refunded";
+    default:
+      return status;
+  }
+};
+
+// Helper to format a billing_history row for the client
+const formatBillingRecord = (record, paymentMethod = null) => ({
+  id: record.id,
+  date: record.createdAt.toISOString().split('T')[0],
+  amount: PricingService.formatMoney(record.amount, record.currency),
+  currency: record.currency,
+  status: formatPaymentStatus(record.status, record.type),
+  description: record.description || "Payment",
+  invoiceId: record.invoiceId,
+  paymentMethod: paymentMethod || record.paymentMethodId ? "Card" : "N/A",
+  type: record.type,
+  failureReason: record.failureReason || null,
+});
+
 /**
  * Get billing data for current user
  * GET /api/v1/user/billing
@@ -73,6 +147,8 @@ const getBillingData = async (req, res, next) => {
       projectVisibility: subscription.plan?.toLowerCase() !== "free" ? "premium" : "standard",
       nextBillingDate: subscription.currentPeriodEnd ? new Date(subscription.currentPeriodEnd).toISOString().split('T')[0] : null,
       autoRenew: subscription.status === "active",
+      scheduledPlan: subscription.pending_plan?.toLowerCase() || null,
+      currency: subscription.currency || "USD",
       startDate: subscription.currentPeriodStart ? new Date(subscription.currentPeriodStart).toISOString().split('T')[0] : null,
       planFeatures: {
         aiCredits: planDetails.aiCredits || 0,
@@ -103,16 +179,7 @@ const getBillingData = async (req, res, next) => {
     };
 
     // Format billing history
-    const formattedHistory = billingHistory.map(record => ({
-      id: record.id,
-      date: record.createdAt.toISOString().split('T')[0],
-      amount: `$${parseFloat(record.amount).toFixed(2)}`,
-      status: record.status === "completed" ? "Paid" : record.status === "pending" ? "Pending" : record.status,
-      description: record.description || "Payment",
-      invoiceId: record.invoiceId,
-      paymentMethod: record.paymentMethodId ? "Card" : "N/A",
-      type: record.type,
-    }));
+    const formattedHistory = billingHistory.map(record => formatBillingRecord(record));
 
     // Format payment methods
     const formattedPaymentMethods = paymentMethods.map(method => ({
@@ -158,11 +225,18 @@ const getBillingData = async (req, res, next) => {
 /**
  * Purchase subscription
  * POST /api/v1/user/billing/subscription/purchase
+ *
+ * Paid plans are charged through the active payment provider and the subscription
+ * is only activated once the provider confirms the payment via webhook.
+ * Upgrades mid-period are charged the prorated difference; downgrades are scheduled
+ * for the next renewal. Prices are in the requested currency (or the billing country's
+ * local currency) and tax is added from the payment method's billing address.
+ * An optional couponCode discounts the amount charged now (not later renewals).
  */
 const purchaseSubscription = async (req, res, next) => {
   try {
     const userId = req.user.userId;
-    const { planId, paymentMethodId } = req.body;
+    const { planId, paymentMethodId, currency, couponCode } = req.body;
 
     if (!planId) {
       return next(new HttpException(400, "Plan ID is required"));
@@ -175,78 +249,114 @@ const purchaseSubscription = async (req, res, next) => {
       return next(new HttpException(404, "Plan not found"));
     }
 
-    // Create billing history record
-    const billingRecord = await BillingHistoryModel.createBillingRecord({
+    // The billing address drives both the currency and the tax rate
+    const paymentMethod = await resolvePaymentMethod(userId, paymentMethodId);
+    const change = await SubscriptionService.previewPlanChange(userId, selectedPlan, {
+      requestedCurrency: currency,
+      billingAddress: paymentMethod?.billingAddress,
+    });
+
+    if (change.amount === null) {
+      return next(new HttpException(400, `The ${selectedPlan.name} plan is not available in ${change.currency}`));
+    }
+
+    if (change.kind === "same") {
+      // Re-selecting the current plan cancels a scheduled downgrade
+      if (change.subscription?.pending_plan) {
+        await SubscriptionService.schedulePlanChange(userId, null);
+        return res.status(200).json({
+          success: true,
+          message: `Scheduled change cancelled. You will stay on the ${selectedPlan.name} plan.`,
+          data: { scheduledChange: null },
+        });
+      }
+      return next(new HttpException(400, `You are already subscribed to the ${selectedPlan.name} plan`));
+    }
+
+    // Downgrades take effect at the end of the current billing period
+    if (change.kind === "downgrade") {
+      await SubscriptionService.schedulePlanChange(userId, selectedPlan.name);
+      const effectiveDate = new Date(change.subscription.current_period_end).toISOString().split('T')[0];
+      return res.status(200).json({
+        success: true,
+        message: `Your plan will change to ${selectedPlan.name} on ${effectiveDate}.`,
+        data: {
+          scheduledChange: {
+            plan: selectedPlan.name.toLowerCase(),
+            effectiveDate,
+          },
+        },
+      });
+    }
+
+    const discount = couponCode
+      ? await CouponService.previewDiscount(couponCode, {
+          userId,
+          purchaseType: "subscription",
+          planName: selectedPlan.name,
+          amount: change.amount,
+          currency: change.currency,
+        })
+      : null;
+
+    if (change.amount - (discount?.amount || 0) > 0 && !paymentMethod) {
+      return next(new HttpException(400, "A valid payment method is required for paid plans"));
+    }
+
+    const isUpgrade = change.kind === "upgrade";
+    const description = isUpgrade
+      ? `${selectedPlan.name} Plan - Prorated Upgrade from ${change.currentPlan.name}`
+      : `${selectedPlan.name} Plan - ${selectedPlan.period === 'forever' ? 'Forever' : 'Monthly'} Subscription`;
+    const { billingRecord, payment } = await PaymentService.startCheckout({
       userId,
-      amount: selectedPlan.price.toString(),
-      currency: selectedPlan.currency || "USD",
-      status: "completed", // In production, this would be pending until payment confirmation
-      description: `${selectedPlan.name} Plan - ${selectedPlan.period === 'forever' ? 'Forever' : 'Monthly'} Subscription`,
-      invoiceId: `INV-${selectedPlan.name.toUpperCase()}-${new Date().getFullYear()}-${String(new Date().getMonth() + 1).padStart(2, '0')}`,
-      paymentMethodId: paymentMethodId || null,
+      customerEmail: req.user.email,
+      amount: change.amount,
+      currency: change.currency,
+      description,
       type: "subscription",
-      metadata: { planId, planName: selectedPlan.name },
+      metadata: {
+        planId,
+        planName: selectedPlan.name,
+        ...(isUpgrade && { prorationFrom: change.currentPlan.name }),
+      },
+      items: change.items,
+      paymentMethod,
+      discount,
     });
 
-    // Update or create subscription
-    const now = new Date();
-    const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, now.getDate());
-    
-    // Check if subscription exists
-    const existingSubQuery = await db.execute(sql`
-      SELECT * FROM user_subscriptions 
-      WHERE user_id = ${userId} 
-      LIMIT 1
-    `);
-    
-    if (existingSubQuery.rows && existingSubQuery.rows.length > 0) {
-      // Update existing
-      await db.execute(sql`
-        UPDATE user_subscriptions 
-        SET plan = ${selectedPlan.name},
-            status = 'active',
-            current_period_start = ${now.toISOString()},
-            current_period_end = ${nextMonth.toISOString()},
-            updated_at = NOW()
-        WHERE user_id = ${userId}
-      `);
-    } else {
-      // Create new
-      await db.execute(sql`
-        INSERT INTO user_subscriptions (user_id, plan, status, current_period_start, current_period_end)
-        VALUES (${userId}, ${selectedPlan.name}, 'active', ${now.toISOString()}, ${nextMonth.toISOString()})
-      `);
+    if (billingRecord.status === "failed") {
+      return next(new HttpException(402, `Payment failed: ${billingRecord.failureReason}`, {
+        billingHistoryId: billingRecord.id,
+      }));
     }
 
-    // Create invoice
-    const invoiceNumber = `INV-${Date.now()}-${userId}`;
-    await InvoicesModel.createInvoice({
-      userId,
-      invoiceNumber,
-      amount: selectedPlan.price.toString(),
-      currency: "USD",
-      status: "paid",
-      items: [
-        {
-          description: `${selectedPlan.name} Plan Subscription`,
-          quantity: 1,
-          price: selectedPlan.price,
+    const billingHistory = formatBillingRecord(billingRecord, paymentMethod);
+
+    // Paid plan: subscription is activated by the provider webhook
+    if (billingRecord.status === "pending") {
+      return res.status(202).json({
+        success: true,
+        message: "Payment is being processed. Your plan will be activated once the payment is confirmed.",
+        data: {
+          payment: {
+            billingHistoryId: billingRecord.id,
+            provider: payment.provider,
+            status: "pending",
+            clientSecret: payment.clientSecret || null,
+          },
+          billingHistory,
         },
-      ],
-      subtotal: selectedPlan.price.toString(),
-      tax: "0.00",
-      total: selectedPlan.price.toString(),
-      paidAt: now,
-      billingHistoryId: billingRecord.id,
-    });
+      });
+    }
 
-    // Get updated subscription
     const subscriptionQuery = await db.execute(sql`
       SELECT * FROM user_subscriptions 
       WHERE user_id = ${userId} 
       LIMIT 1
     `);
     const subscription = subscriptionQuery.rows && subscriptionQuery.rows.length > 0 ? subscriptionQuery.rows[0] : null;
+    const periodStart = subscription?.current_period_start ? new Date(subscription.current_period_start) : new Date();
+    const periodEnd = subscription?.current_period_end ? new Date(subscription.current_period_end) : null;
 
     res.status(200).json({
       success: true,
@@ -258,9 +368,9 @@ const purchaseSubscription = async (req, res, next) => {
           enhancedTools: selectedPlan.name?.toLowerCase() !== "free",
           matchmakingBoost: selectedPlan.name?.toLowerCase() !== "free",
           projectVisibility: selectedPlan.name?.toLowerCase() !== "free" ? "premium" : "standard",
-          nextBillingDate: nextMonth.toISOString().split('T')[0],
+          nextBillingDate: periodEnd ? periodEnd.toISOString().split('T')[0] : null,
           autoRenew: true,
-          startDate: now.toISOString().split('T')[0],
+          startDate: periodStart.toISOString().split('T')[0],
           planFeatures: {
             aiCredits: selectedPlan.aiCredits || 0,
             maxProjects: selectedPlan.maxProjects,
@@ -270,21 +380,12 @@ const purchaseSubscription = async (req, res, next) => {
             customBranding: selectedPlan.name?.toLowerCase() === "enterprise",
           },
         },
-        billingHistory: {
-          id: billingRecord.id,
-          date: billingRecord.createdAt.toISOString().split('T')[0],
-          amount: `$${parseFloat(selectedPlan.price).toFixed(2)}`,
-          status: "Paid",
-          description: `${selectedPlan.name} Plan - Monthly Subscription`,
-          invoiceId: billingRecord.invoiceId,
-          paymentMethod: paymentMethodId ? "Card" : "N/A",
-          type: "subscription",
-        },
+        billingHistory,
       },
     });
   } catch (error) {
     console.error("Purchase subscription error:", error);
-    next(new HttpException(500, error.message || "Failed to purchase subscription"));
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to purchase subscription"));
   }
 };
 
@@ -295,66 +396,169 @@ const purchaseSubscription = async (req, res, next) => {
 const upgradeProjectVisibility = async (req, res, next) => {
   try {
     const userId = req.user.userId;
-    const { projectId, visibilityType } = req.body;
+    const { projectId, visibilityType, paymentMethodId, couponCode } = req.body;
 
     if (!projectId || !visibilityType) {
       return next(new HttpException(400, "Project ID and visibility type are required"));
     }
 
-    const boostCosts = {
-      standard: 10.00,
-      premium: 15.00,
-      featured: 20.00,
-    };
-
-    const cost = boostCosts[visibilityType] || 15.00;
     const now = new Date();
     const expiresAt = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000); // 30 days
 
-    // Create billing history record
-    const billingRecord = await BillingHistoryModel.createBillingRecord({
+    const paymentMethod = await resolvePaymentMethod(userId, paymentMethodId);
+    if (!paymentMethod) {
+      return next(new HttpException(400, "A valid payment method is required to boost a project"));
+    }
+
+    const { project, amount: cost, currency } = await getBoostQuote(
+      projectId,
+      visibilityType,
+      paymentMethod.billingAddress
+    );
+    const discount = couponCode
+      ? await CouponService.previewDiscount(couponCode, { userId, purchaseType: "boost", amount: cost, currency })
+      : null;
+
+    const description = `Project Boost - ${visibilityType.charAt(0).toUpperCase() + visibilityType.slice(1)}`;
+    const { billingRecord, payment } = await PaymentService.startCheckout({
       userId,
-      amount: cost.toString(),
-      currency: "USD",
-      status: "completed",
-      description: `Project Boost - ${visibilityType.charAt(0).toUpperCase() + visibilityType.slice(1)}`,
-      invoiceId: `INV-BOOST-${projectId}`,
+      customerEmail: req.user.email,
+      amount: cost,
+      currency,
+      description,
       type: "boost",
       metadata: { projectId, visibilityType, expiresAt: expiresAt.toISOString() },
+      paymentMethod,
+      discount,
     });
 
-    // Get project name (would need to fetch from project service)
-    const projectName = `Project ${projectId}`;
+    if (billingRecord.status === "failed") {
+      return next(new HttpException(402, `Payment failed: ${billingRecord.failureReason}`, {
+        billingHistoryId: billingRecord.id,
+      }));
+    }
+
+    const projectName = project?.title || `Project ${projectId}`;
+    // Fully discounted boosts complete immediately; paid ones once the provider confirms the payment
+    const isPaid = billingRecord.status === "completed";
 
     const boostedProject = {
       id: projectId,
       name: projectName,
       boostType: visibilityType,
       expiresAt: expiresAt.toISOString().split('T')[0],
-      cost,
+      cost: parseFloat(billingRecord.amount),
+      currency,
       purchasedAt: now.toISOString().split('T')[0],
-      status: "active",
+      status: isPaid ? "active" : "pending",
     };
 
-    res.status(200).json({
+    res.status(isPaid ? 200 : 202).json({
       success: true,
+      message: isPaid
+        ? "Your project boost is now active."
+        : "Payment is being processed. The boost will start once the payment is confirmed.",
       data: {
         boostedProject,
-        billingHistory: {
-          id: billingRecord.id,
-          date: billingRecord.createdAt.toISOString().split('T')[0],
-          amount: `$${cost.toFixed(2)}`,
-          status: "Paid",
-          description: `Project Boost - ${visibilityType.charAt(0).toUpperCase() + visibilityType.slice(1)}`,
-          invoiceId: billingRecord.invoiceId,
-          paymentMethod: "Card",
-          type: "boost",
+        payment: {
+          billingHistoryId: billingRecord.id,
+          provider: payment.provider,
+          status: isPaid ? "succeeded" : "pending",
+          clientSecret: payment.clientSecret || null,
         },
+        billingHistory: formatBillingRecord(billingRecord, paymentMethod),
       },
     });
   } catch (error) {
     console.error("Upgrade project visibility error:", error);
-    next(new HttpException(500, error.message || "Failed to upgrade project visibility"));
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to upgrade project visibility"));
+  }
+};
+
+/**
+ * Get payment status for a billing record (used to poll pending payments)
+ * GET /api/v1/user/billing/payments/:billingHistoryId
+ */
+const getPaymentStatus = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { billingHistoryId } = req.params;
+
+    const record = await BillingHistoryModel.getBillingRecordById(parseInt(billingHistoryId));
+    if (!record) {
+      return next(new HttpException(404, "Payment not found"));
+    }
+
+    if (record.userId !== userId && req.user.role !== "admin") {
+      return next(new HttpException(403, "You don't have permission to view this payment"));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        billingHistoryId: record.id,
+        status: record.status,
+        provider: record.provider,
+        failureReason: record.failureReason,
+        billingHistory: formatBillingRecord(record),
+      },
+    });
+  } catch (error) {
+    console.error("Get payment status error:", error);
+    next(new HttpException(500, error.message || "Failed to fetch payment status"));
+  }
+};
+
+/**
+ * Download an invoice as PDF (owner or admin)
+ * GET /api/v1/billing/invoices/:invoiceNumber/pdf
+ */
+const downloadInvoicePdf = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { invoiceNumber } = req.params;
+
+    const invoice = await InvoicesModel.getInvoiceByInvoiceNumber(invoiceNumber);
+    if (!invoice) {
+      return next(new HttpException(404, "Invoice not found"));
+    }
+
+    if (invoice.userId !== userId && req.user.role !== "admin") {
+      return next(new HttpException(403, "You don't have permission to view this invoice"));
+    }
+
+    // Missing (older invoices, a wiped storage dir, a failed render) or stale files are rendered on demand
+    let pdf = await InvoicePdfService.readPdf(invoice.invoiceNumber, { updatedAt: invoice.updatedAt });
+    if (!pdf) {
+      ({ pdf } = await InvoicePdfService.generateInvoicePdf(invoice));
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="invoice-${invoice.invoiceNumber}.pdf"`);
+    res.setHeader("Content-Length", pdf.length);
+    res.status(200).send(pdf);
+  } catch (error) {
+    console.error("Download invoice PDF error:", error);
+    next(new HttpException(500, error.message || "Failed to download invoice"));
+  }
+};
+
+/**
+ * Payment provider webhook (no user auth - verified by provider signature)
+ * POST /api/v1/user/billing/webhooks/:provider
+ */
+const handlePaymentWebhook = async (req, res, next) => {
+  try {
+    const result = await PaymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+    res.status(200).json({
+      success: true,
+      received: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Payment webhook error:", error);
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to process payment webhook"));
   }
 };
 
@@ -519,21 +723,29 @@ const getSubscriptionPlans = async (req, res, next) => {
   try {
     // Get plans from database
     const plans = await SubscriptionPlansModel.getAllPlans();
+    const { currency } = req.query;
     
-    // Format plans to match expected structure
-    const formattedPlans = plans.map(plan => ({
-      id: plan.id,
-      name: plan.name,
-      price: parseFloat(plan.price),
-      period: plan.period,
-      features: typeof plan.features === 'string' ? JSON.parse(plan.features) : plan.features,
-      aiCredits: plan.aiCredits || 0,
-      maxProjects: plan.maxProjects,
-      maxApplications: plan.maxApplications,
-      popular: plan.name.toLowerCase() === 'pro', // Mark Pro as popular
-      currency: plan.currency || 'USD',
-      isActive: plan.isActive,
-    }));
+    // Format plans to match expected structure (priced in ?currency= when the plan supports it)
+    const formattedPlans = plans.map(plan => {
+      const price = PricingService.getPlanPrice(plan, currency) || PricingService.getPlanPrice(plan, plan.currency);
+      return {
+        id: plan.id,
+        name: plan.name,
+        price: price.amount,
+        period: plan.period,
+        features: typeof plan.features === 'string' ? JSON.parse(plan.features) : plan.features,
+        aiCredits: plan.aiCredits || 0,
+        maxProjects: plan.maxProjects,
+        maxApplications: plan.maxApplications,
+        limits: plan.limits || {},
+        popular: plan.name.toLowerCase() === 'pro', // Mark Pro as popular
+        currency: price.currency,
+        prices: Object.fromEntries(
+          PricingService.getPlanCurrencies(plan).map((code) => [code, PricingService.getPlanPrice(plan, code).amount])
+        ),
+        isActive: plan.isActive,
+      };
+    });
     
     res.status(200).json({
       success: true,
@@ -545,6 +757,24 @@ const getSubscriptionPlans = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the current user's plan limits and usage
+ * GET /api/v1/user/billing/entitlements
+ */
+const getEntitlements = async (req, res, next) => {
+  try {
+    const entitlements = await getUserEntitlements(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      data: entitlements,
+    });
+  } catch (error) {
+    console.error("Get entitlements error:", error);
+    next(new HttpException(500, error.message || "Failed to fetch plan entitlements"));
+  }
+};
+
 /**
  * Cancel subscription
  * POST /api/v1/user/billing/subscription/cancel
@@ -613,6 +843,42 @@ const cancelSubscription = async (req, res, next) => {
   }
 };
 
+// Helper to format a refunds row (audit trail) for the client
+const formatRefund = (refund, approver = null) => ({
+  id: refund.id,
+  billingHistoryId: refund.billingHistoryId,
+  refundBillingHistoryId: refund.refundBillingHistoryId,
+  disputeId: refund.disputeId,
+  amount: parseFloat(refund.amount),
+  currency: refund.currency,
+  reason: refund.reason,
+  status: refund.status,
+  failureReason: refund.failureReason,
+  approvedBy: refund.approvedBy,
+  approvedByName: approver?.name || `User ${refund.approvedBy}`,
+  approvedAt: refund.approvedAt.toISOString(),
+});
+
+// Helper to format a milestone_escrows row for the client
+const formatEscrow = (escrow) => ({
+  id: escrow.id,
+  milestoneId: escrow.milestoneId,
+  projectId: escrow.projectId,
+  ownerId: escrow.ownerId,
+  developerId: escrow.developerId,
+  amount: parseFloat(escrow.amount),
+  currency: escrow.currency,
+  feePercent: parseFloat(escrow.feePercent),
+  platformFee: parseFloat(escrow.platformFee),
+  developerAmount: parseFloat(escrow.developerAmount),
+  status: escrow.status,
+  billingHistoryId: escrow.billingHistoryId,
+  disputeId: escrow.disputeId,
+  fundedAt: escrow.fundedAt ? escrow.fundedAt.toISOString() : null,
+  releasedAt: escrow.releasedAt ? escrow.releasedAt.toISOString() : null,
+  createdAt: escrow.createdAt.toISOString(),
+});
+
 /**
  * Create dispute
  * POST /api/v1/user/billing/disputes
@@ -673,11 +939,14 @@ const getDisputes = async (req, res, next) => {
     const formatted = await Promise.all(
       disputes.map(async (dispute) => {
         const user = await getUserInfo(dispute.userId);
+        const refunds = await RefundsModel.getRefundsByDisputeId(dispute.id);
+        const escrow = await MilestoneEscrowsModel.getEscrowByDisputeId(dispute.id);
         return {
           id: dispute.id,
           userId: dispute.userId,
           userName: user?.name || `User ${dispute.userId}`,
           email: user?.email || null,
+          billingHistoryId: dispute.billingHistoryId,
           amount: parseFloat(dispute.amount),
           reason: dispute.reason,
           description: dispute.description,
@@ -686,6 +955,10 @@ const getDisputes = async (req, res, next) => {
           resolution: dispute.resolution,
           resolvedAt: dispute.resolvedAt ? dispute.resolvedAt.toISOString().split('T')[0] : null,
           createdAt: dispute.createdAt.toISOString().split('T')[0],
+          refunds: await Promise.all(
+            refunds.map(async (refund) => formatRefund(refund, await getUserInfo(refund.approvedBy)))
+          ),
+          escrow: escrow ? formatEscrow(escrow) : null,
         };
       })
     );
@@ -703,13 +976,19 @@ const getDisputes = async (req, res, next) => {
 /**
  * Resolve dispute (admin only)
  * PUT /api/v1/user/billing/disputes/:id/resolve
+ *
+ * With `refund: true` the disputed charge is refunded (refundAmount for a partial
+ * refund, otherwise the disputed amount) before the dispute is closed. If the
+ * provider rejects the refund the dispute stays open.
+ * Disputes over a held milestone escrow need `escrowAction`: 'release' pays the
+ * developer, 'refund' returns the full escrow to the project owner.
  */
 const resolveDispute = async (req, res, next) => {
   try {
     const userRole = req.user.role;
     const adminId = req.user.userId;
     const { id } = req.params;
-    const { resolution } = req.body;
+    const { resolution, refund, refundAmount, escrowAction } = req.body;
 
     if (userRole !== "admin") {
       return next(new HttpException(403, "Admin access required"));
@@ -719,7 +998,61 @@ const resolveDispute = async (req, res, next) => {
       return next(new HttpException(400, "Resolution is required"));
     }
 
-    const dispute = await DisputesModel.resolveDispute(parseInt(id), adminId, resolution);
+    const existing = await DisputesModel.getDisputeById(parseInt(id));
+    if (!existing) {
+      return next(new HttpException(404, "Dispute not found"));
+    }
+    if (["resolved", "rejected"].includes(existing.status)) {
+      return next(new HttpException(409, "Dispute has already been closed"));
+    }
+
+    const escrow = await MilestoneEscrowsModel.getEscrowByDisputeId(existing.id);
+    const heldEscrow = escrow?.status === "disputed" ? escrow : null;
+    if (heldEscrow && !["release", "refund"].includes(escrowAction)) {
+      return next(new HttpException(400, "This dispute is about a milestone payment held in escrow; escrowAction must be 'release' or 'refund'"));
+    }
+    if (heldEscrow && escrowAction === "release" && refund) {
+      return next(new HttpException(400, "A milestone payment released to the developer can't also be refunded"));
+    }
+
+    let issuedRefund = null;
+    if (refund || (heldEscrow && escrowAction === "refund")) {
+      if (!existing.billingHistoryId) {
+        return next(new HttpException(400, "This dispute isn't linked to a payment, so it can't be refunded"));
+      }
+
+      const original = await BillingHistoryModel.getBillingRecordById(existing.billingHistoryId);
+      const refundable = original
+        ? parseFloat(original.amount) - (await RefundsModel.getRefundedTotal(original.id))
+        : 0;
+      // Escrows are refunded in full
+      const amount = heldEscrow
+        ? refundable
+        : refundAmount !== undefined && refundAmount !== null && refundAmount !== ""
+          ? refundAmount
+          : Math.min(parseFloat(existing.amount), refundable);
+
+      issuedRefund = await RefundService.issueRefund({
+        billingHistoryId: existing.billingHistoryId,
+        userId: existing.userId,
+        amount,
+        reason: resolution,
+        approvedBy: adminId,
+        disputeId: existing.id,
+      });
+
+      if (issuedRefund.status === "failed") {
+        return next(new HttpException(502, `Refund failed: ${issuedRefund.failureReason}`, {
+          refundId: issuedRefund.id,
+        }));
+      }
+    }
+
+    if (heldEscrow && escrowAction === "release") {
+      await EscrowService.releaseDisputed(heldEscrow, { adminId });
+    }
+
+    const dispute = await DisputesModel.resolveDispute(existing.id, adminId, resolution);
 
     res.status(200).json({
       success: true,
@@ -728,41 +1061,31 @@ const resolveDispute = async (req, res, next) => {
         status: dispute.status,
         resolution: dispute.resolution,
         resolvedAt: dispute.resolvedAt.toISOString().split('T')[0],
+        refund: issuedRefund ? formatRefund(issuedRefund, await getUserInfo(adminId)) : null,
+        escrow: escrow ? formatEscrow(await MilestoneEscrowsModel.getEscrowById(escrow.id)) : null,
       },
     });
   } catch (error) {
     console.error("Resolve dispute error:", error);
-    next(new HttpException(500, error.message || "Failed to resolve dispute"));
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to resolve dispute"));
   }
 };
 
 /**
- * Get suspended accounts (admin only)
- * GET /api/v1/user/billing/suspended-accounts
+ * Get refunds with who approved them (admin only)
+ * GET /api/v1/user/billing/refunds
  */
-const getSuspendedAccounts = async (req, res, next) => {
+const getRefunds = async (req, res, next) => {
   try {
-    const userRole = req.user.role;
-
-    if (userRole !== "admin") {
-      return next(new HttpException(403, "Admin access required"));
-    }
-
-    const accounts = await SuspendedAccountsModel.getAllSuspendedAccounts(100);
+    const refunds = await RefundsModel.getAllRefunds(100);
 
     const formatted = await Promise.all(
-      accounts.map(async (account) => {
-        const user = await getUserInfo(account.userId);
+      refunds.map(async (refund) => {
+        const user = await getUserInfo(refund.userId);
         return {
-          id: account.id,
-          userId: account.userId,
-          userName: user?.name || `User ${account.userId}`,
-          email: user?.email || null,
-          reason: account.reason,
-          amount: account.amount ? parseFloat(account.amount) : null,
-          daysOverdue: account.daysOverdue,
-          status: account.status,
-          suspendedAt: account.suspendedAt.toISOString().split('T')[0],
+          ...formatRefund(refund, await getUserInfo(refund.approvedBy)),
+          userId: refund.userId,
+          userName: user?.name || `User ${refund.userId}`,
         };
       })
     );
@@ -772,144 +1095,1362 @@ const getSuspendedAccounts = async (req, res, next) => {
       data: formatted,
     });
   } catch (error) {
-    console.error("Get suspended accounts error:", error);
-    next(new HttpException(500, error.message || "Failed to fetch suspended accounts"));
+    console.error("Get refunds error:", error);
+    next(new HttpException(500, error.message || "Failed to fetch refunds"));
   }
 };
 
+const isEscrowParty = (escrow, user) =>
+  escrow.ownerId === user.userId || escrow.developerId === user.userId || user.role === "admin";
+
 /**
- * Suspend account (admin only)
- * POST /api/v1/user/billing/suspended-accounts
+ * Fund a project milestone into escrow (project owner)
+ * POST /api/v1/user/billing/escrow/milestones/:milestoneId/fund
  */
-const suspendAccount = async (req, res, next) => {
+const fundMilestoneEscrow = async (req, res, next) => {
   try {
-    const userRole = req.user.role;
-    const adminId = req.user.userId;
-    const { userId, reason, amount, daysOverdue, notes } = req.body;
+    const userId = req.user.userId;
+    const milestoneId = parseInt(req.params.milestoneId);
+    const { developerId, amount, currency, paymentMethodId } = req.body;
 
-    if (userRole !== "admin") {
-      return next(new HttpException(403, "Admin access required"));
+    if (!developerId || !amount) {
+      return next(new HttpException(400, "Developer ID and amount are required"));
     }
 
-    if (!userId || !reason) {
-      return next(new HttpException(400, "User ID and reason are required"));
+    const paymentMethod = await resolvePaymentMethod(userId, paymentMethodId);
+    if (!paymentMethod) {
+      return next(new HttpException(400, "A valid payment method is required to fund a milestone"));
     }
 
-    const account = await SuspendedAccountsModel.createSuspendedAccount({
-      userId: parseInt(userId),
-      reason,
-      amount: amount ? amount.toString() : null,
-      daysOverdue: daysOverdue || 0,
-      status: "suspended",
-      suspendedBy: adminId,
-      notes: notes || null,
+    const { escrow, milestone } = await EscrowService.prepareFunding({
+      milestoneId,
+      ownerId: userId,
+      developerId: parseInt(developerId),
+      amount,
+      currency,
     });
 
-    res.status(201).json({
+    // Escrow deposits are held on the developer's behalf, so they aren't taxed
+    const checkout = await PaymentService.startCheckout({
+      userId,
+      customerEmail: req.user.email,
+      amount: parseFloat(escrow.amount),
+      currency: escrow.currency,
+      description: `Milestone escrow - ${milestone.title}`,
+      type: "escrow",
+      metadata: {
+        escrowId: escrow.id,
+        milestoneId,
+        projectId: milestone.projectId,
+        milestoneTitle: milestone.title,
+      },
+      paymentMethod,
+      taxable: false,
+    }).catch(async (error) => {
+      // Free the milestone so it can be funded again
+      await MilestoneEscrowsModel.transitionEscrow(escrow.id, ["pending"], { status: "failed" });
+      throw error;
+    });
+    const { billingRecord, payment } = checkout;
+    await EscrowService.attachFundingCharge(escrow.id, billingRecord.id);
+
+    if (billingRecord.status === "failed") {
+      return next(new HttpException(402, `Payment failed: ${billingRecord.failureReason}`, {
+        billingHistoryId: billingRecord.id,
+      }));
+    }
+
+    const current = await MilestoneEscrowsModel.getEscrowById(escrow.id);
+    const isFunded = current.status === "funded";
+
+    res.status(isFunded ? 200 : 202).json({
       success: true,
+      message: isFunded
+        ? "The milestone is funded. The payment is released to the developer once its tasks are approved."
+        : "Payment is being processed. The milestone will be funded once the payment is confirmed.",
       data: {
-        id: account.id,
-        userId: account.userId,
-        reason: account.reason,
-        amount: account.amount ? parseFloat(account.amount) : null,
-        daysOverdue: account.daysOverdue,
-        status: account.status,
-        suspendedAt: account.suspendedAt.toISOString().split('T')[0],
+        escrow: formatEscrow(current),
+        payment: {
+          billingHistoryId: billingRecord.id,
+          provider: payment.provider,
+          status: isFunded ? "succeeded" : "pending",
+          clientSecret: payment.clientSecret || null,
+        },
+        billingHistory: formatBillingRecord(billingRecord, paymentMethod),
       },
     });
   } catch (error) {
-    console.error("Suspend account error:", error);
-    next(new HttpException(500, error.message || "Failed to suspend account"));
+    console.error("Fund milestone escrow error:", error);
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to fund milestone"));
   }
 };
 
 /**
- * Unsuspend account (admin only)
- * PUT /api/v1/user/billing/suspended-accounts/:id/unsuspend
+ * Get the escrow history of a milestone (project owner, developer or admin)
+ * GET /api/v1/user/billing/escrow/milestones/:milestoneId
  */
-const unsuspendAccount = async (req, res, next) => {
+const getMilestoneEscrow = async (req, res, next) => {
   try {
-    const userRole = req.user.role;
-    const adminId = req.user.userId;
-    const { id } = req.params;
-
-    if (userRole !== "admin") {
-      return next(new HttpException(403, "Admin access required"));
-    }
-
-    const account = await SuspendedAccountsModel.unsuspendAccount(parseInt(id), adminId);
+    const milestoneId = parseInt(req.params.milestoneId);
+    const escrows = (await MilestoneEscrowsModel.getEscrowsByMilestoneId(milestoneId))
+      .filter((escrow) => isEscrowParty(escrow, req.user));
+    const active = escrows.find((escrow) => ["pending", "funded", "disputed"].includes(escrow.status));
 
     res.status(200).json({
       success: true,
       data: {
-        id: account.id,
-        status: account.status,
-        unsuspendedAt: account.unsuspendedAt.toISOString().split('T')[0],
+        milestoneId,
+        active: active ? formatEscrow(active) : null,
+        escrows: escrows.map(formatEscrow),
       },
     });
   } catch (error) {
-    console.error("Unsuspend account error:", error);
-    next(new HttpException(500, error.message || "Failed to unsuspend account"));
+    console.error("Get milestone escrow error:", error);
+    next(new HttpException(500, error.message || "Failed to fetch milestone escrow"));
   }
 };
 
 /**
- * Get admin billing dashboard data
- * GET /api/v1/user/billing/admin/dashboard
+ * Release a milestone's escrow to the developer once its tasks are approved (project owner or admin)
+ * POST /api/v1/user/billing/escrow/milestones/:milestoneId/release
  */
-const getAdminDashboard = async (req, res, next) => {
+const releaseMilestoneEscrow = async (req, res, next) => {
   try {
-    const userRole = req.user.role;
+    const userId = req.user.userId;
+    const milestoneId = parseInt(req.params.milestoneId);
 
-    if (userRole !== "admin") {
-      return next(new HttpException(403, "Admin access required"));
+    const escrow = await MilestoneEscrowsModel.getActiveEscrowByMilestoneId(milestoneId);
+    if (!escrow) {
+      return next(new HttpException(404, "This milestone has no payment held in escrow"));
+    }
+    if (escrow.ownerId !== userId && req.user.role !== "admin") {
+      return next(new HttpException(403, "Only the project owner can release this milestone payment"));
     }
 
-    const adminData = await getAdminBillingData();
+    const released = await EscrowService.release(escrow, { releasedBy: userId });
 
     res.status(200).json({
       success: true,
-      data: adminData,
+      message: "The milestone payment has been released to the developer.",
+      data: formatEscrow(released),
     });
   } catch (error) {
-    console.error("Get admin dashboard error:", error);
-    next(new HttpException(500, error.message || "Failed to fetch admin dashboard data"));
+    console.error("Release milestone escrow error:", error);
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to release milestone payment"));
   }
 };
 
-// Helper functions removed - now using database queries via SubscriptionPlansModel
-
-async function getAdminBillingData() {
+/**
+ * Get escrows the user funds or is paid from, optionally for one project
+ * GET /api/v1/user/billing/escrow?projectId=
+ */
+const getEscrows = async (req, res, next) => {
   try {
-    // Get total revenue from billing history
-    const revenueQuery = await db.execute(sql`
-      SELECT COALESCE(SUM(amount::numeric), 0) as total_revenue
-      FROM billing_history
-      WHERE status = 'completed'
-    `);
-    const totalRevenue = parseFloat(revenueQuery.rows[0]?.total_revenue || 0);
-
-    // Get active subscriptions count
-    const subscriptionsQuery = await db.execute(sql`
-      SELECT COUNT(*) as count
-      FROM user_subscriptions
-      WHERE status = 'active'
-    `);
-    const activeSubscriptions = parseInt(subscriptionsQuery.rows[0]?.count || 0);
+    const userId = req.user.userId;
+    const projectId = req.query.projectId ? parseInt(req.query.projectId) : null;
 
-    // Get pending payments
-    const pendingQuery = await db.execute(sql`
-      SELECT COUNT(*) as count
-      FROM billing_history
-      WHERE status = 'pending'
-    `);
-    const pendingPayments = parseInt(pendingQuery.rows[0]?.count || 0);
+    const escrows = await MilestoneEscrowsModel.getEscrowsForUser(userId, { projectId });
 
-    // Get disputes
-    const disputes = await DisputesModel.getAllDisputes(null, 100);
+    res.status(200).json({
+      success: true,
+      data: escrows.map(formatEscrow),
+    });
+  } catch (error) {
+    console.error("Get escrows error:", error);
+    next(new HttpException(500, error.message || "Failed to fetch escrows"));
+  }
+};
 
-    // Get suspended accounts
-    const suspendedAccounts = await SuspendedAccountsModel.getAllSuspendedAccounts(100);
+/**
+ * Dispute a funded milestone escrow, freezing it until an admin resolves it (owner or developer)
+ * POST /api/v1/user/billing/escrow/:id/dispute
+ */
+const disputeEscrow = async (req, res, next) => {
+  try {
+    const { reason, description } = req.body;
+    if (!reason) {
+      return next(new HttpException(400, "Reason is required"));
+    }
+
+    const escrow = await MilestoneEscrowsModel.getEscrowById(parseInt(req.params.id));
+    if (!escrow) {
+      return next(new HttpException(404, "Escrow not found"));
+    }
+
+    const { escrow: disputed, dispute } = await EscrowService.openDispute(escrow, {
+      userId: req.user.userId,
+      reason,
+      description,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "The milestone payment is on hold until the dispute is resolved.",
+      data: {
+        escrow: formatEscrow(disputed),
+        dispute: {
+          id: dispute.id,
+          amount: parseFloat(dispute.amount),
+          reason: dispute.reason,
+          description: dispute.description,
+          status: dispute.status,
+          priority: dispute.priority,
+          createdAt: dispute.createdAt.toISOString().split('T')[0],
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Dispute escrow error:", error);
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to dispute milestone payment"));
+  }
+};
+
+/**
+ * Get the developer's ledger of released milestone payments
+ * GET /api/v1/user/billing/escrow/ledger
+ */
+const getDeveloperLedger = async (req, res, next) => {
+  try {
+    const { balances, entries } = await EscrowService.getLedger(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        balances,
+        entries: entries.map((entry) => ({
+          id: entry.id,
+          escrowId: entry.escrowId,
+          projectId: entry.projectId,
+          milestoneId: entry.milestoneId,
+          type: entry.type,
+          amount: parseFloat(entry.amount),
+          currency: entry.currency,
+          description: entry.description,
+          createdAt: entry.createdAt.toISOString(),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get developer ledger error:", error);
+    next(new HttpException(500, error.message || "Failed to fetch ledger"));
+  }
+};
+
+// Helper to format a payout_requests row for the client
+const formatPayoutRequest = (request) => ({
+  id: request.id,
+  developerId: request.developerId,
+  amount: parseFloat(request.amount),
+  currency: request.currency,
+  method: request.method,
+  destination: request.destination,
+  status: request.status,
+  reference: request.reference,
+  notes: request.notes,
+  processedAt: request.processedAt ? request.processedAt.toISOString() : null,
+  createdAt: request.createdAt.toISOString(),
+});
+
+/**
+ * Get the developer's earnings: balances, earnings per project/milestone and payout requests
+ * GET /api/v1/user/billing/earnings
+ */
+const getEarnings = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    const [balances, projects, payouts] = await Promise.all([
+      EarningsService.getBalances(userId),
+      EarningsService.getEarningsByProject(userId),
+      PayoutRequestsModel.getPayoutRequestsByDeveloperId(userId),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        balances,
+        projects,
+        payouts: payouts.map(formatPayoutRequest),
+        payoutSettings: EarningsService.getPayoutSettings(),
+      },
+    });
+  } catch (error) {
+    console.error("Get earnings error:", error);
+    next(new HttpException(500, error.message || "Failed to fetch earnings"));
+  }
+};
+
+/**
+ * Download an earnings statement as CSV or PDF
+ * GET /api/v1/billing/earnings/statement?format=csv|pdf&from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+const downloadEarningsStatement = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { from, to } = req.query;
+    const format = (req.query.format || "pdf").toLowerCase();
+
+    if (!["csv", "pdf"].includes(format)) {
+      return next(new HttpException(400, "Format must be 'csv' or 'pdf'"));
+    }
+
+    const statement = await EarningsService.getStatement(userId, { from, to });
+    const fileName = `earnings-statement-${statement.from}-to-${statement.to}.${format}`;
+
+    const file = format === "csv"
+      ? Buffer.from(EarningsService.renderStatementCsv(statement), "utf8")
+      : await InvoicePdfService.renderEarningsStatement(statement, { developer: await getUserInfo(userId) });
+
+    res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Content-Length", file.length);
+    res.status(200).send(file);
+  } catch (error) {
+    console.error("Download earnings statement error:", error);
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to generate earnings statement"));
+  }
+};
+
+/**
+ * Request a payout of available earnings
+ * POST /api/v1/user/billing/earnings/payouts
+ */
+const requestPayout = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { amount, currency, method, destination, notes } = req.body;
+
+    if (!amount || !method) {
+      return next(new HttpException(400, "Amount and payout method are required"));
+    }
+
+    const request = await EarningsService.requestPayout(userId, { amount, currency, method, destination, notes });
+
+    res.status(201).json({
+      success: true,
+      message: "Payout requested. It will be processed by our team.",
+      data: {
+        payout: formatPayoutRequest(request),
+        balances: await EarningsService.getBalances(userId),
+      },
+    });
+  } catch (error) {
+    console.error("Request payout error:", error);
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to request payout"));
+  }
+};
+
+/**
+ * Get payout requests, optionally by status (admin only)
+ * GET /api/v1/user/billing/earnings/admin/payouts?status=requested
+ */
+const getPayoutRequests = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const requests = await PayoutRequestsModel.getPayoutRequests({ status });
+
+    const formatted = await Promise.all(
+      requests.map(async (request) => {
+        const developer = await getUserInfo(request.developerId);
+        return {
+          ...formatPayoutRequest(request),
+          developerName: developer?.name || `User ${request.developerId}`,
+          developerEmail: developer?.email || null,
+        };
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      data: formatted,
+    });
+  } catch (error) {
+    console.error("Get payout requests error:", error);
+    next(new HttpException(500, error.message || "Failed to fetch payout requests"));
+  }
+};
+
+/**
+ * Mark a payout request as paid or reject it (admin only)
+ * PUT /api/v1/user/billing/earnings/admin/payouts/:id
+ */
+const processPayoutRequest = async (req, res, next) => {
+  try {
+    const { status, reference, notes } = req.body;
+
+    const processed = await EarningsService.processPayout(parseInt(req.params.id), {
+      adminId: req.user.userId,
+      status,
+      reference,
+      notes,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: status === "paid" ? "Payout marked as paid." : "Payout rejected and returned to the developer's balance.",
+      data: formatPayoutRequest(processed),
+    });
+  } catch (error) {
+    console.error("Process payout request error:", error);
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to process payout request"));
+  }
+};
+
+const formatHourlyInvoiceEntry = (entry) => ({
+  id: entry.id,
+  timeTrackingId: entry.timeTrackingId,
+  taskId: entry.taskId,
+  taskTitle: entry.taskTitle,
+  startTime: entry.startTime,
+  endTime: entry.endTime,
+  description: entry.description,
+  trackedMinutes: entry.trackedMinutes,
+  billableMinutes: entry.billableMinutes,
+  status: entry.status,
+  contest: entry.contestStatus
+    ? {
+        status: entry.contestStatus,
+        reason: entry.contestReason,
+        proposedMinutes: entry.proposedMinutes,
+        response: entry.contestResponse,
+        contestedAt: entry.contestedAt,
+        resolvedAt: entry.resolvedAt,
+      }
+    : null,
+});
+
+const formatHourlyInvoice = (invoice, entries = null) => ({
+  id: invoice.id,
+  projectId: invoice.projectId,
+  ownerId: invoice.ownerId,
+  developerId: invoice.developerId,
+  periodStart: invoice.periodStart,
+  periodEnd: invoice.periodEnd,
+  hourlyRate: parseFloat(invoice.hourlyRate),
+  currency: invoice.currency,
+  status: invoice.status,
+  billableMinutes: invoice.billableMinutes,
+  billableHours: Math.round((invoice.billableMinutes / 60) * 100) / 100,
+  amount: parseFloat(invoice.amount),
+  billingHistoryId: invoice.billingHistoryId,
+  invoiceNumber: invoice.invoiceNumber,
+  finalizedAt: invoice.finalizedAt,
+  paidAt: invoice.paidAt,
+  createdAt: invoice.createdAt,
+  ...(entries && {
+    entries: entries.map(formatHourlyInvoiceEntry),
+    openContests: entries.filter((entry) => entry.contestStatus === "open").length,
+  }),
+});
+
+const isHourlyInvoiceParty = (invoice, user) =>
+  invoice.ownerId === user.userId || invoice.developerId === user.userId || user.role === "admin";
+
+// Loads an invoice the requesting user is a party to, or passes a 404 to next()
+const loadHourlyInvoice = async (req, next) => {
+  const invoice = await HourlyInvoicesModel.getInvoiceById(parseInt(req.params.id));
+  if (!invoice || !isHourlyInvoiceParty(invoice, req.user)) {
+    next(new HttpException(404, "Hourly invoice not found"));
+    return null;
+  }
+  return invoice;
+};
+
+/**
+ * Get the hourly invoices the user owes or is paid by, optionally for one project
+ * GET /api/v1/user/billing/hourly-invoices?projectId=
+ */
+const getHourlyInvoices = async (req, res, next) => {
+  try {
+    const projectId = req.query.projectId ? parseInt(req.query.projectId) : undefined;
+    const invoices = await HourlyInvoicesModel.getInvoicesForUser(req.user.userId, { projectId });
+
+    const formatted = await Promise.all(
+      invoices.map(async (invoice) => {
+        const counterpartId = invoice.ownerId === req.user.userId ? invoice.developerId : invoice.ownerId;
+        const counterpart = await getUserInfo(counterpartId);
+        return {
+          ...formatHourlyInvoice(invoice),
+          role: invoice.ownerId === req.user.userId ? "owner" : "developer",
+          counterpartName: counterpart?.name || `User ${counterpartId}`,
+        };
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      data: formatted,
+    });
+  } catch (error) {
+    console.error("Get hourly invoices error:", error);
+    next(new HttpException(500, error.message || "Failed to fetch hourly invoices"));
+  }
+};
+
+/**
+ * Generate a draft invoice from a developer's approved tracked hours (project owner)
+ * POST /api/v1/user/billing/hourly-invoices
+ */
+const generateHourlyInvoice = async (req, res, next) => {
+  try {
+    const { projectId, developerId, from, to, hourlyRate } = req.body;
+
+    if (!projectId || !developerId || !from || !to) {
+      return next(new HttpException(400, "Project ID, developer ID, from and to are required"));
+    }
+
+    const { invoice, entries } = await HourlyInvoiceService.generateDraft({
+      ownerId: req.user.userId,
+      projectId: parseInt(projectId),
+      developerId: parseInt(developerId),
+      from,
+      to,
+      hourlyRate,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Draft invoice created. The developer can contest entries until you finalize it.",
+      data: formatHourlyInvoice(invoice, entries),
+    });
+  } catch (error) {
+    console.error("Generate hourly invoice error:", error);
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to generate hourly invoice"));
+  }
+};
+
+/**
+ * Get an hourly invoice with its entries (project owner, developer or admin)
+ * GET /api/v1/user/billing/hourly-invoices/:id
+ */
+const getHourlyInvoice = async (req, res, next) => {
+  try {
+    const invoice = await loadHourlyInvoice(req, next);
+    if (!invoice) return;
+
+    const entries = await HourlyInvoicesModel.getEntriesByInvoiceId(invoice.id);
+
+    res.status(200).json({
+      success: true,
+      data: formatHourlyInvoice(invoice, entries),
+    });
+  } catch (error) {
+    console.error("Get hourly invoice error:", error);
+    next(new HttpException(500, error.message || "Failed to fetch hourly invoice"));
+  }
+};
+
+/**
+ * Adjust the billable minutes of an entry or exclude it (project owner, draft only)
+ * PUT /api/v1/user/billing/hourly-invoices/:id/entries/:entryId
+ */
+const adjustHourlyInvoiceEntry = async (req, res, next) => {
+  try {
+    const invoice = await loadHourlyInvoice(req, next);
+    if (!invoice) return;
+
+    const { billableMinutes, excluded } = req.body;
+    if (billableMinutes === undefined && excluded === undefined) {
+      return next(new HttpException(400, "billableMinutes or excluded is required"));
+    }
+
+    const { invoice: updated, entry } = await HourlyInvoiceService.adjustEntry(invoice, parseInt(req.params.entryId), {
+      ownerId: req.user.userId,
+      billableMinutes,
+      excluded,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Invoice entry updated",
+      data: {
+        invoice: formatHourlyInvoice(updated),
+        entry: formatHourlyInvoiceEntry(entry),
+      },
+    });
+  } catch (error) {
+    console.error("Adjust hourly invoice entry error:", error);
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to update invoice entry"));
+  }
+};
+
+/**
+ * Contest an entry of a draft invoice (invoiced developer)
+ * POST /api/v1/user/billing/hourly-invoices/:id/entries/:entryId/contest
+ */
+const contestHourlyInvoiceEntry = async (req, res, next) => {
+  try {
+    const invoice = await loadHourlyInvoice(req, next);
+    if (!invoice) return;
+
+    const { reason, proposedMinutes } = req.body;
+    const entry = await HourlyInvoiceService.contestEntry(invoice, parseInt(req.params.entryId), {
+      developerId: req.user.userId,
+      reason,
+      proposedMinutes,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Entry contested. The invoice can't be finalized until the project owner resolves it.",
+      data: formatHourlyInvoiceEntry(entry),
+    });
+  } catch (error) {
+    console.error("Contest hourly invoice entry error:", error);
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to contest invoice entry"));
+  }
+};
+
+/**
+ * Accept or reject a contested entry (project owner)
+ * PUT /api/v1/user/billing/hourly-invoices/:id/entries/:entryId/contest
+ */
+const resolveHourlyInvoiceContest = async (req, res, next) => {
+  try {
+    const invoice = await loadHourlyInvoice(req, next);
+    if (!invoice) return;
+
+    const { accept, response } = req.body;
+    if (typeof accept !== "boolean") {
+      return next(new HttpException(400, "accept must be true or false"));
+    }
+
+    const { invoice: updated, entry } = await HourlyInvoiceService.resolveContest(invoice, parseInt(req.params.entryId), {
+      ownerId: req.user.userId,
+      accept,
+      response,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: accept ? "Contest accepted and the entry updated" : "Contest rejected",
+      data: {
+        invoice: formatHourlyInvoice(updated),
+        entry: formatHourlyInvoiceEntry(entry),
+      },
+    });
+  } catch (error) {
+    console.error("Resolve hourly invoice contest error:", error);
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to resolve contested entry"));
+  }
+};
+
+/**
+ * Finalize a draft invoice and charge the project owner
+ * POST /api/v1/user/billing/hourly-invoices/:id/finalize
+ */
+const finalizeHourlyInvoice = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const invoice = await loadHourlyInvoice(req, next);
+    if (!invoice) return;
+
+    const paymentMethod = await resolvePaymentMethod(userId, req.body.paymentMethodId);
+    if (!paymentMethod) {
+      return next(new HttpException(400, "A valid payment method is required to pay this invoice"));
+    }
+
+    const { invoice: finalized, items, project } = await HourlyInvoiceService.prepareFinalize(invoice, { ownerId: userId });
+
+    // Like escrow deposits, hourly pay goes to the developer and isn't taxed here
+    const { billingRecord, payment } = await PaymentService.startCheckout({
+      userId,
+      customerEmail: req.user.email,
+      amount: parseFloat(finalized.amount),
+      currency: finalized.currency,
+      description: `Hourly work - ${project?.title || `Project ${finalized.projectId}`}`,
+      type: "hourly_invoice",
+      metadata: {
+        hourlyInvoiceId: finalized.id,
+        projectId: finalized.projectId,
+        developerId: finalized.developerId,
+      },
+      items: items.map(({ description, quantity, price }) => ({ description, quantity, price })),
+      paymentMethod,
+      taxable: false,
+    }).catch(async (error) => {
+      await HourlyInvoiceService.revertToDraft(finalized.id);
+      throw error;
+    });
+    await HourlyInvoiceService.attachCharge(finalized.id, billingRecord);
+
+    if (billingRecord.status === "failed") {
+      return next(new HttpException(402, `Payment failed: ${billingRecord.failureReason}`, {
+        billingHistoryId: billingRecord.id,
+      }));
+    }
+
+    const current = await HourlyInvoicesModel.getInvoiceById(finalized.id);
+    const isPaid = current.status === "paid";
+
+    res.status(isPaid ? 200 : 202).json({
+      success: true,
+      message: isPaid
+        ? "Invoice paid. The developer's earnings have been credited."
+        : "Payment is being processed. The invoice will be marked as paid once the payment is confirmed.",
+      data: {
+        hourlyInvoice: formatHourlyInvoice(current),
+        payment: {
+          billingHistoryId: billingRecord.id,
+          provider: payment.provider,
+          status: isPaid ? "succeeded" : "pending",
+          clientSecret: payment.clientSecret || null,
+        },
+        billingHistory: formatBillingRecord(billingRecord, paymentMethod),
+      },
+    });
+  } catch (error) {
+    console.error("Finalize hourly invoice error:", error);
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to finalize hourly invoice"));
+  }
+};
+
+/**
+ * Discard a draft invoice so its hours can be invoiced again (project owner)
+ * DELETE /api/v1/user/billing/hourly-invoices/:id
+ */
+const voidHourlyInvoice = async (req, res, next) => {
+  try {
+    const invoice = await loadHourlyInvoice(req, next);
+    if (!invoice) return;
+
+    const voided = await HourlyInvoiceService.voidDraft(invoice, { ownerId: req.user.userId });
+
+    res.status(200).json({
+      success: true,
+      message: "Draft invoice discarded",
+      data: formatHourlyInvoice(voided),
+    });
+  } catch (error) {
+    console.error("Void hourly invoice error:", error);
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to discard hourly invoice"));
+  }
+};
+
+/**
+ * Get suspended accounts (admin only)
+ * GET /api/v1/user/billing/suspended-accounts
+ */
+const getSuspendedAccounts = async (req, res, next) => {
+  try {
+    const userRole = req.user.role;
+
+    if (userRole !== "admin") {
+      return next(new HttpException(403, "Admin access required"));
+    }
+
+    const accounts = await SuspendedAccountsModel.getAllSuspendedAccounts(100);
+
+    const formatted = await Promise.all(
+      accounts.map(async (account) => {
+        const user = await getUserInfo(account.userId);
+        return {
+          id: account.id,
+          userId: account.userId,
+          userName: user?.name || `User ${account.userId}`,
+          email: user?.email || null,
+          reason: account.reason,
+          amount: account.amount ? parseFloat(account.amount) : null,
+          daysOverdue: account.daysOverdue,
+          status: account.status,
+          suspendedAt: account.suspendedAt.toISOString().split('T')[0],
+        };
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      data: formatted,
+    });
+  } catch (error) {
+    console.error("Get suspended accounts error:", error);
+    next(new HttpException(500, error.message || "Failed to fetch suspended accounts"));
+  }
+};
+
+/**
+ * Suspend account (admin only)
+ * POST /api/v1/user/billing/suspended-accounts
+ */
+const suspendAccount = async (req, res, next) => {
+  try {
+    const userRole = req.user.role;
+    const adminId = req.user.userId;
+    const { userId, reason, amount, daysOverdue, notes } = req.body;
+
+    if (userRole !== "admin") {
+      return next(new HttpException(403, "Admin access required"));
+    }
+
+    if (!userId || !reason) {
+      return next(new HttpException(400, "User ID and reason are required"));
+    }
+
+    const account = await SuspendedAccountsModel.createSuspendedAccount({
+      userId: parseInt(userId),
+      reason,
+      amount: amount ? amount.toString() : null,
+      daysOverdue: daysOverdue || 0,
+      status: "suspended",
+      suspendedBy: adminId,
+      notes: notes || null,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: account.id,
+        userId: account.userId,
+        reason: account.reason,
+        amount: account.amount ? parseFloat(account.amount) : null,
+        daysOverdue: account.daysOverdue,
+        status: account.status,
+        suspendedAt: account.suspendedAt.toISOString().split('T')[0],
+      },
+    });
+  } catch (error) {
+    console.error("Suspend account error:", error);
+    next(new HttpException(500, error.message || "Failed to suspend account"));
+  }
+};
+
+/**
+ * Unsuspend account (admin only)
+ * PUT /api/v1/user/billing/suspended-accounts/:id/unsuspend
+ */
+const unsuspendAccount = async (req, res, next) => {
+  try {
+    const userRole = req.user.role;
+    const adminId = req.user.userId;
+    const { id } = req.params;
+
+    if (userRole !== "admin") {
+      return next(new HttpException(403, "Admin access required"));
+    }
+
+    const account = await SuspendedAccountsModel.unsuspendAccount(parseInt(id), adminId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: account.id,
+        status: account.status,
+        unsuspendedAt: account.unsuspendedAt.toISOString().split('T')[0],
+      },
+    });
+  } catch (error) {
+    console.error("Unsuspend account error:", error);
+    next(new HttpException(500, error.message || "Failed to unsuspend account"));
+  }
+};
+
+// Helper to format a tax_rules row for the client
+const formatTaxRule = (rule) => ({
+  id: rule.id,
+  country: rule.country,
+  region: rule.region,
+  name: rule.name,
+  rate: parseFloat(rule.rate),
+  ratePercent: Math.round(parseFloat(rule.rate) * 10000) / 100,
+  isActive: rule.isActive,
+});
+
+// Helper to validate/normalize a tax rule payload; returns an error message or the data to save
+const parseTaxRuleInput = ({ country, region, name, rate, isActive }, { partial = false } = {}) => {
+  const data = {};
+
+  if (country !== undefined || !partial) {
+    if (!country || !/^[A-Za-z]{2}$/.test(country)) {
+      return { error: "Country must be a 2-letter ISO code" };
+    }
+    data.country = country.toUpperCase();
+  }
+  if (region !== undefined) {
+    data.region = region ? String(region).trim().toUpperCase() : null;
+  }
+  if (name !== undefined || !partial) {
+    if (!name) {
+      return { error: "Tax name is required" };
+    }
+    data.name = name;
+  }
+  if (rate !== undefined || !partial) {
+    const parsedRate = parseFloat(rate);
+    if (isNaN(parsedRate) || parsedRate < 0 || parsedRate >= 1) {
+      return { error: "Rate must be a fraction between 0 and 1 (e.g. 0.19 for 19%)" };
+    }
+    data.rate = parsedRate.toFixed(4);
+  }
+  if (isActive !== undefined) {
+    data.isActive = Boolean(isActive);
+  }
+
+  return { data };
+};
+
+/**
+ * Get tax rules (admin only)
+ * GET /api/v1/user/billing/tax-rules
+ */
+const getTaxRules = async (req, res, next) => {
+  try {
+    const rules = await TaxRulesModel.getAllTaxRules();
+
+    res.status(200).json({
+      success: true,
+      data: rules.map(formatTaxRule),
+    });
+  } catch (error) {
+    console.error("Get tax rules error:", error);
+    next(new HttpException(500, error.message || "Failed to fetch tax rules"));
+  }
+};
+
+/**
+ * Create tax rule (admin only)
+ * POST /api/v1/user/billing/tax-rules
+ */
+const createTaxRule = async (req, res, next) => {
+  try {
+    const { error, data } = parseTaxRuleInput(req.body);
+    if (error) {
+      return next(new HttpException(400, error));
+    }
+
+    const existing = await TaxRulesModel.getActiveRulesForCountry(data.country);
+    if (existing.some((rule) => (rule.region || null) === (data.region || null))) {
+      return next(new HttpException(409, "A tax rule already exists for this country/region"));
+    }
+
+    const rule = await TaxRulesModel.createTaxRule(data);
+
+    res.status(201).json({
+      success: true,
+      data: formatTaxRule(rule),
+    });
+  } catch (error) {
+    console.error("Create tax rule error:", error);
+    next(new HttpException(500, error.message || "Failed to create tax rule"));
+  }
+};
+
+/**
+ * Update tax rule (admin only)
+ * PUT /api/v1/user/billing/tax-rules/:id
+ */
+const updateTaxRule = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { error, data } = parseTaxRuleInput(req.body, { partial: true });
+    if (error) {
+      return next(new HttpException(400, error));
+    }
+
+    const existing = await TaxRulesModel.getTaxRuleById(parseInt(id));
+    if (!existing) {
+      return next(new HttpException(404, "Tax rule not found"));
+    }
+
+    const rule = await TaxRulesModel.updateTaxRule(existing.id, data);
+
+    res.status(200).json({
+      success: true,
+      data: formatTaxRule(rule),
+    });
+  } catch (error) {
+    console.error("Update tax rule error:", error);
+    next(new HttpException(500, error.message || "Failed to update tax rule"));
+  }
+};
+
+/**
+ * Delete tax rule (admin only)
+ * DELETE /api/v1/user/billing/tax-rules/:id
+ */
+const deleteTaxRule = async (req, res, next) => {
+  try {
+    const rule = await TaxRulesModel.deleteTaxRule(parseInt(req.params.id));
+    if (!rule) {
+      return next(new HttpException(404, "Tax rule not found"));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Tax rule deleted",
+    });
+  } catch (error) {
+    console.error("Delete tax rule error:", error);
+    next(new HttpException(500, error.message || "Failed to delete tax rule"));
+  }
+};
+
+// Helper to format a coupons row for the client
+const formatCoupon = (coupon) => ({
+  id: coupon.id,
+  code: coupon.code,
+  description: coupon.description,
+  discountType: coupon.discountType,
+  discountValue: parseFloat(coupon.discountValue),
+  currency: coupon.currency,
+  appliesTo: coupon.appliesTo,
+  planNames: coupon.planNames || [],
+  maxRedemptions: coupon.maxRedemptions,
+  maxRedemptionsPerUser: coupon.maxRedemptionsPerUser,
+  redemptionCount: coupon.redemptionCount,
+  expiresAt: coupon.expiresAt ? coupon.expiresAt.toISOString() : null,
+  isActive: coupon.isActive,
+  createdAt: coupon.createdAt.toISOString().split('T')[0],
+});
+
+// Helper to parse an optional positive integer limit (null/empty = unlimited)
+const parseLimit = (value) => {
+  if (value === null || value === "") return { value: null };
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? { value: parsed } : { error: true };
+};
+
+// Helper to validate/normalize a coupon payload; returns an error message or the data to save
+const parseCouponInput = (body, { partial = false } = {}) => {
+  const {
+    code,
+    description,
+    discountType,
+    discountValue,
+    currency,
+    appliesTo,
+    planNames,
+    maxRedemptions,
+    maxRedemptionsPerUser,
+    expiresAt,
+    isActive,
+  } = body;
+  const data = {};
+
+  // Codes are immutable once created; redemptions and invoices reference them
+  if (!partial) {
+    if (!code || !/^[A-Za-z0-9_-]{3,32}$/.test(code)) {
+      return { error: "Code must be 3-32 letters, numbers, dashes or underscores" };
+    }
+    data.code = code.toUpperCase();
+  }
+  if (description !== undefined) {
+    data.description = description || null;
+  }
+  if (discountType !== undefined || !partial) {
+    if (!["percent", "fixed"].includes(discountType)) {
+      return { error: "Discount type must be 'percent' or 'fixed'" };
+    }
+    data.discountType = discountType;
+  }
+  if (discountValue !== undefined || !partial) {
+    const value = parseFloat(discountValue);
+    if (isNaN(value) || value <= 0) {
+      return { error: "Discount value must be greater than 0" };
+    }
+    data.discountValue = value.toFixed(2);
+  }
+  if (currency !== undefined) {
+    if (currency && !/^[A-Za-z]{3}$/.test(currency)) {
+      return { error: "Currency must be a 3-letter ISO code" };
+    }
+    data.currency = currency ? currency.toUpperCase() : null;
+  }
+  if (appliesTo !== undefined) {
+    if (!["all", "subscription", "boost"].includes(appliesTo)) {
+      return { error: "appliesTo must be 'all', 'subscription' or 'boost'" };
+    }
+    data.appliesTo = appliesTo;
+  }
+  if (planNames !== undefined) {
+    if (planNames !== null && (!Array.isArray(planNames) || planNames.some((name) => typeof name !== "string"))) {
+      return { error: "planNames must be a list of plan names" };
+    }
+    data.planNames = planNames && planNames.length > 0 ? planNames : null;
+  }
+  if (maxRedemptions !== undefined) {
+    const limit = parseLimit(maxRedemptions);
+    if (limit.error) {
+      return { error: "maxRedemptions must be a positive whole number" };
+    }
+    data.maxRedemptions = limit.value;
+  }
+  if (maxRedemptionsPerUser !== undefined) {
+    const limit = parseLimit(maxRedemptionsPerUser);
+    if (limit.error) {
+      return { error: "maxRedemptionsPerUser must be a positive whole number" };
+    }
+    data.maxRedemptionsPerUser = limit.value;
+  }
+  if (expiresAt !== undefined) {
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+      return { error: "expiresAt must be a valid date" };
+    }
+    data.expiresAt = expiresAt ? new Date(expiresAt) : null;
+  }
+  if (isActive !== undefined) {
+    data.isActive = Boolean(isActive);
+  }
+
+  return { data };
+};
+
+// Helper to check rules that span several coupon fields (after merging an update)
+const validateCouponRules = (coupon) => {
+  if (coupon.discountType === "percent" && parseFloat(coupon.discountValue) > 100) {
+    return "Percent discounts can't exceed 100";
+  }
+  if (coupon.discountType === "fixed" && !coupon.currency) {
+    return "Currency is required for fixed-amount discounts";
+  }
+  return null;
+};
+
+/**
+ * Check a promo code against a plan or boost before purchase
+ * POST /api/v1/user/billing/coupons/validate
+ *
+ * Returns the discount the code would give; the code is only redeemed at checkout.
+ */
+const validateCoupon = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { code, planId, projectId, visibilityType, paymentMethodId, currency } = req.body;
+
+    if (!code) {
+      return next(new HttpException(400, "Promo code is required"));
+    }
+    if (!planId && !visibilityType) {
+      return next(new HttpException(400, "Plan ID or visibility type is required"));
+    }
+
+    const paymentMethod = await resolvePaymentMethod(userId, paymentMethodId);
+    let purchase;
+
+    if (planId) {
+      const selectedPlan = await SubscriptionPlansModel.getPlanById(planId);
+      if (!selectedPlan) {
+        return next(new HttpException(404, "Plan not found"));
+      }
+
+      const change = await SubscriptionService.previewPlanChange(userId, selectedPlan, {
+        requestedCurrency: currency,
+        billingAddress: paymentMethod?.billingAddress,
+      });
+      if (change.amount === null) {
+        return next(new HttpException(400, `The ${selectedPlan.name} plan is not available in ${change.currency}`));
+      }
+      if (!["new", "upgrade"].includes(change.kind)) {
+        return next(new HttpException(400, "Promo codes only apply to new plans and upgrades"));
+      }
+
+      purchase = {
+        purchaseType: "subscription",
+        planName: selectedPlan.name,
+        amount: change.amount,
+        currency: change.currency,
+      };
+    } else {
+      const quote = await getBoostQuote(projectId, visibilityType, paymentMethod?.billingAddress);
+      purchase = { purchaseType: "boost", amount: quote.amount, currency: quote.currency };
+    }
+
+    const discount = await CouponService.previewDiscount(code, { userId, ...purchase });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        code: discount.coupon.code,
+        description: discount.coupon.description,
+        discountType: discount.coupon.discountType,
+        discountValue: parseFloat(discount.coupon.discountValue),
+        currency: purchase.currency,
+        subtotal: purchase.amount,
+        discount: discount.amount,
+        total: Math.max(purchase.amount - discount.amount, 0),
+      },
+    });
+  } catch (error) {
+    console.error("Validate coupon error:", error);
+    next(error instanceof HttpException ? error : new HttpException(500, error.message || "Failed to validate promo code"));
+  }
+};
+
+/**
+ * Get coupons (admin only)
+ * GET /api/v1/user/billing/coupons
+ */
+const getCoupons = async (req, res, next) => {
+  try {
+    const coupons = await CouponsModel.getAllCoupons();
+
+    res.status(200).json({
+      success: true,
+      data: coupons.map(formatCoupon),
+    });
+  } catch (error) {
+    console.error("Get coupons error:", error);
+    next(new HttpException(500, error.message || "Failed to fetch coupons"));
+  }
+};
+
+/**
+ * Create coupon (admin only)
+ * POST /api/v1/user/billing/coupons
+ */
+const createCoupon = async (req, res, next) => {
+  try {
+    const { error, data } = parseCouponInput(req.body);
+    if (error) {
+      return next(new HttpException(400, error));
+    }
+
+    const ruleError = validateCouponRules(data);
+    if (ruleError) {
+      return next(new HttpException(400, ruleError));
+    }
+
+    const existing = await CouponsModel.getCouponByCode(data.code);
+    if (existing) {
+      return next(new HttpException(409, "A coupon with this code already exists"));
+    }
+
+    const coupon = await CouponsModel.createCoupon({ ...data, createdBy: req.user.userId });
+
+    res.status(201).json({
+      success: true,
+      data: formatCoupon(coupon),
+    });
+  } catch (error) {
+    console.error("Create coupon error:", error);
+    next(new HttpException(500, error.message || "Failed to create coupon"));
+  }
+};
+
+/**
+ * Update coupon (admin only); set isActive to false to retire a code
+ * PUT /api/v1/user/billing/coupons/:id
+ */
+const updateCoupon = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { error, data } = parseCouponInput(req.body, { partial: true });
+    if (error) {
+      return next(new HttpException(400, error));
+    }
+
+    const existing = await CouponsModel.getCouponById(parseInt(id));
+    if (!existing) {
+      return next(new HttpException(404, "Coupon not found"));
+    }
+
+    const ruleError = validateCouponRules({ ...existing, ...data });
+    if (ruleError) {
+      return next(new HttpException(400, ruleError));
+    }
+
+    const coupon = await CouponsModel.updateCoupon(existing.id, data);
+
+    res.status(200).json({
+      success: true,
+      data: formatCoupon(coupon),
+    });
+  } catch (error) {
+    console.error("Update coupon error:", error);
+    next(new HttpException(500, error.message || "Failed to update coupon"));
+  }
+};
+
+/**
+ * Get admin billing dashboard data
+ * GET /api/v1/user/billing/admin/dashboard
+ */
+const getAdminDashboard = async (req, res, next) => {
+  try {
+    const userRole = req.user.role;
+
+    if (userRole !== "admin") {
+      return next(new HttpException(403, "Admin access required"));
+    }
+
+    const adminData = await getAdminBillingData();
+
+    res.status(200).json({
+      success: true,
+      data: adminData,
+    });
+  } catch (error) {
+    console.error("Get admin dashboard error:", error);
+    next(new HttpException(500, error.message || "Failed to fetch admin dashboard data"));
+  }
+};
+
+// Helper functions removed - now using database queries via SubscriptionPlansModel
+
+async function getAdminBillingData() {
+  try {
+    // Get total revenue from billing history
+    const revenueQuery = await db.execute(sql`
+      SELECT COALESCE(SUM(amount::numeric), 0) as total_revenue
+      FROM billing_history
+      WHERE status = 'completed'
+    `);
+    const totalRevenue = parseFloat(revenueQuery.rows[0]?.total_revenue || 0);
+
+    // Get active subscriptions count
+    const subscriptionsQuery = await db.execute(sql`
+      SELECT COUNT(*) as count
+      FROM user_subscriptions
+      WHERE status = 'active'
+    `);
+    const activeSubscriptions = parseInt(subscriptionsQuery.rows[0]?.count || 0);
+
+    // Get pending payments
+    const pendingQuery = await db.execute(sql`
+      SELECT COUNT(*) as count
+      FROM billing_history
+      WHERE status = 'pending'
+    `);
+    const pendingPayments = parseInt(pendingQuery.rows[0]?.count || 0);
+
+    // Get disputes
+    const disputes = await DisputesModel.getAllDisputes(null, 100);
+
+    // Get suspended accounts
+    const suspendedAccounts = await SuspendedAccountsModel.getAllSuspendedAccounts(100);
+
+    // Promo code usage; only redemptions on completed payments count
+    const couponTotalsQuery = await db.execute(sql`
+      SELECT currency, COUNT(*) as redemptions, COALESCE(SUM(discount_amount::numeric), 0) as total_discount
+      FROM coupon_redemptions
+      WHERE status = 'applied'
+      GROUP BY currency
+    `);
+    const topCouponsQuery = await db.execute(sql`
+      SELECT c.code, COUNT(r.id) as redemptions, COALESCE(SUM(r.discount_amount::numeric), 0) as total_discount
+      FROM coupon_redemptions r
+      JOIN coupons c ON c.id = r.coupon_id
+      WHERE r.status = 'applied'
+      GROUP BY c.code
+      ORDER BY redemptions DESC
+      LIMIT 5
+    `);
+    const discountedRevenueQuery = await db.execute(sql`
+      SELECT COALESCE(SUM(amount::numeric), 0) as revenue
+      FROM billing_history
+      WHERE status = 'completed' AND metadata->>'couponCode' IS NOT NULL
+    `);
+    const couponAnalytics = {
+      totalRedemptions: couponTotalsQuery.rows.reduce((sum, row) => sum + parseInt(row.redemptions), 0),
+      discountsByCurrency: Object.fromEntries(
+        couponTotalsQuery.rows.map((row) => [row.currency, parseFloat(row.total_discount)])
+      ),
+      discountedRevenue: parseFloat(discountedRevenueQuery.rows[0]?.revenue || 0),
+      topCoupons: topCouponsQuery.rows.map((row) => ({
+        code: row.code,
+        redemptions: parseInt(row.redemptions),
+        totalDiscount: parseFloat(row.total_discount),
+      })),
+    };
 
     // Calculate monthly recurring revenue (simplified)
     const monthlyRecurringRevenue = activeSubscriptions * 29.99; // Average plan price
@@ -922,19 +2463,25 @@ async function getAdminBillingData() {
       churnRate: 2.5, // Would calculate from actual data
       averageRevenuePerUser: activeSubscriptions > 0 ? totalRevenue / activeSubscriptions : 0,
       revenueGrowth: 12.5, // Would calculate from historical data
+      couponAnalytics,
       subscriptionBreakdown: {
         free: Math.floor(activeSubscriptions * 0.68),
         premium: Math.floor(activeSubscriptions * 0.28),
         enterprise: Math.floor(activeSubscriptions * 0.04),
       },
-      disputes: disputes.map(d => ({
-        id: d.id,
-        userId: d.userId,
-        amount: parseFloat(d.amount),
-        reason: d.reason,
-        status: d.status,
-        priority: d.priority,
-        createdAt: d.createdAt.toISOString().split('T')[0],
+      disputes: await Promise.all(disputes.map(async (d) => {
+        const escrow = await MilestoneEscrowsModel.getEscrowByDisputeId(d.id);
+        return {
+          id: d.id,
+          userId: d.userId,
+          billingHistoryId: d.billingHistoryId,
+          amount: parseFloat(d.amount),
+          reason: d.reason,
+          status: d.status,
+          priority: d.priority,
+          createdAt: d.createdAt.toISOString().split('T')[0],
+          escrow: escrow ? formatEscrow(escrow) : null,
+        };
       })),
       suspendedAccounts: suspendedAccounts.map(a => ({
         id: a.id,
@@ -956,6 +2503,7 @@ async function getAdminBillingData() {
       averageRevenuePerUser: 0,
       revenueGrowth: 0,
       subscriptionBreakdown: { free: 0, premium: 0, enterprise: 0 },
+      couponAnalytics: { totalRedemptions: 0, discountsByCurrency: {}, discountedRevenue: 0, topCoupons: [] },
       disputes: [],
       suspendedAccounts: [],
       recentTransactions: [],
@@ -1028,18 +2576,50 @@ module.exports = {
   getBillingData,
   purchaseSubscription,
   upgradeProjectVisibility,
+  getPaymentStatus,
+  downloadInvoicePdf,
+  handlePaymentWebhook,
   getPaymentMethods,
   addPaymentMethod,
   deletePaymentMethod,
   setDefaultPaymentMethod,
   getSubscriptionPlans,
+  getEntitlements,
   cancelSubscription,
   createDispute,
   getDisputes,
   resolveDispute,
+  getRefunds,
+  fundMilestoneEscrow,
+  getMilestoneEscrow,
+  releaseMilestoneEscrow,
+  getEscrows,
+  disputeEscrow,
+  getDeveloperLedger,
+  getEarnings,
+  downloadEarningsStatement,
+  requestPayout,
+  getPayoutRequests,
+  processPayoutRequest,
+  getHourlyInvoices,
+  generateHourlyInvoice,
+  getHourlyInvoice,
+  adjustHourlyInvoiceEntry,
+  contestHourlyInvoiceEntry,
+  resolveHourlyInvoiceContest,
+  finalizeHourlyInvoice,
+  voidHourlyInvoice,
   getSuspendedAccounts,
   suspendAccount,
   unsuspendAccount,
+  getTaxRules,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+  validateCoupon,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
   getAdminDashboard,
 };
 
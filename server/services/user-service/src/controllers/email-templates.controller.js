@@ -0,0 +1,60 @@
+const ErrorHandler = require("shared/utils/errorHandler");
+const { getTemplate, listTemplates, renderTemplate } = require("shared/email/registry");
+const { SUPPORTED_LOCALES, getDefaultLocale } = require("shared/email/locales");
+
+// List every registered transactional email template
+const getEmailTemplates = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      status: 200,
+      data: {
+        templates: listTemplates(),
+        locales: SUPPORTED_LOCALES,
+        defaultLocale: getDefaultLocale(),
+      },
+    });
+  } catch (error) {
+    console.error("Get email templates error:", error);
+    return new ErrorHandler("Failed to fetch email templates", 500).sendError(res);
+  }
+};
+
+/**
+ * Render a template with its sample data (GET) or sample data overridden by body.data (POST).
+ * ?format=html returns the rendered page itself so it can be opened in a browser tab.
+ */
+const previewEmailTemplate = async (req, res) => {
+  try {
+    const template = getTemplate(req.params.name);
+    if (!template) {
+      return new ErrorHandler(`Email template "${req.params.name}" not found`, 404).sendError(res);
+    }
+
+    const locale = req.body?.locale || req.query.locale;
+    const overrides = req.body?.data;
+    if (overrides !== undefined && (typeof overrides !== "object" || Array.isArray(overrides) || overrides === null)) {
+      return new ErrorHandler("data must be an object", 400).sendError(res);
+    }
+
+    const rendered = renderTemplate(template.name, { ...template.sampleData, ...overrides }, locale);
+
+    if ((req.body?.format || req.query.format) === "html") {
+      return res.status(200).type("html").send(rendered.html);
+    }
+
+    res.status(200).json({
+      success: true,
+      status: 200,
+      data: rendered,
+    });
+  } catch (error) {
+    console.error("Preview email template error:", error);
+    return new ErrorHandler("Failed to render email template", 500).sendError(res);
+  }
+};
+
+module.exports = {
+  getEmailTemplates,
+  previewEmailTemplate,
+};
@@ -1,4 +1,12 @@
 const { NotificationsModel } = require("../models/notifications.model");
+const { PushSubscriptionsModel } = require("../models/push-subscriptions.model");
+const NotificationDeliveryService = require("../services/notification-delivery.service");
+const { publishNotificationsUpdated } = require("../services/notification-push.service");
+const {
+  verifyUnsubscribeToken,
+  disableEmailNotifications,
+} = require("../services/notification-preferences.service");
+const { isWebPushConfigured, getVapidPublicKey } = require("../services/web-push.service");
 const ErrorHandler = require("shared/utils/errorHandler");
 
 /**
@@ -84,55 +92,95 @@ const getUnreadCount = async (req, res) => {
   }
 };
 
+const NOTIFICATION_TYPES = [
+  "Project Match", "Application Update", "Invitation", "Task Deadline",
+  "Chat Message", "Endorsement", "Review", "Career Opportunity",
+  "New Applicant", "Recommended Developer", "Project Update", "Billing Reminder",
+  "Project Milestone", "Team Invitation", "Budget Alert", "Flagged User",
+  "Dispute Report", "System Alert", "Billing Alert", "Moderation Task",
+  "Security Alert", "Platform Health", "User Verification", "Feature Request",
+  "Compliance Alert", "Other"
+];
+
+// Urgent types skip quiet hours and digests, so users can't send them through the public route
+const URGENT_TYPES = ["Security Alert"];
+
+// Validate the body and route the notification to the user's channels (in-app, email, SMS, push)
+const deliverNotification = async (req, res, targetUserId) => {
+  const { type, title, message, category, priority, action, actionUrl, relatedEntityId, relatedEntityType, metadata } = req.body;
+
+  if (!title || !message) {
+    return new ErrorHandler("Title and message are required", 400).sendError(res);
+  }
+
+  // Default type if not provided - use a valid enum value
+  const notificationType = type && NOTIFICATION_TYPES.includes(type) ? type : "Other";
+
+  const notification = await NotificationDeliveryService.createNotification({
+    userId: targetUserId,
+    type: notificationType,
+    title,
+    message,
+    category,
+    priority: priority || "medium",
+    action,
+    actionUrl,
+    relatedEntityId,
+    relatedEntityType,
+    metadata,
+  });
+
+  return res.status(201).json({
+    success: true,
+    status: 201,
+    message: "Notification created successfully",
+    data: notification,
+  });
+};
+
 /**
  * Create a new notification
+ * Users can only notify themselves; admins can target any user and send urgent types.
  */
 const createNotification = async (req, res) => {
   try {
-    const userId = req.user?.userId || req.user?.id;
-    const { type, title, message, category, priority, action, actionUrl, relatedEntityId, relatedEntityType, metadata } = req.body;
+    const userId = Number(req.user?.userId || req.user?.id);
+    const isAdmin = req.user?.role === "admin" || (req.user?.roles || []).includes("admin");
+
+    // If userId is not in body, use authenticated user
+    const targetUserId = req.body.userId ? Number(req.body.userId) : userId;
 
-    if (!title || !message) {
-      return new ErrorHandler("Title and message are required", 400).sendError(res);
+    if (targetUserId !== userId && !isAdmin) {
+      return new ErrorHandler("You can only create notifications for yourself", 403).sendError(res);
+    }
+    if (URGENT_TYPES.includes(req.body.type) && !isAdmin) {
+      return new ErrorHandler(`Only administrators can send ${req.body.type} notifications`, 403).sendError(res);
     }
 
-    // If userId is not in body, use authenticated user
-    const targetUserId = req.body.userId ? Number(req.body.userId) : Number(userId);
-    
-    // Default type if not provided - use a valid enum value
-    const validTypes = [
-      "Project Match", "Application Update", "Invitation", "Task Deadline",
-      "Chat Message", "Endorsement", "Review", "Career Opportunity",
-      "New Applicant", "Recommended Developer", "Project Update", "Billing Reminder",
-      "Project Milestone", "Team Invitation", "Budget Alert", "Flagged User",
-      "Dispute Report", "System Alert", "Billing Alert", "Moderation Task",
-      "Security Alert", "Platform Health", "User Verification", "Feature Request",
-      "Compliance Alert", "Other"
-    ];
-    const notificationType = type && validTypes.includes(type) ? type : 'Other';
-
-    const notification = await NotificationsModel.createNotification({
-      userId: targetUserId,
-      type: notificationType,
-      title,
-      message,
-      category,
-      priority: priority || "medium",
-      action,
-      actionUrl,
-      relatedEntityId,
-      relatedEntityType,
-      metadata,
+    return await deliverNotification(req, res, targetUserId);
+  } catch (error) {
+    console.error("Create Notification Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to create notification",
+      error: error.message,
     });
+  }
+};
 
-    return res.status(201).json({
-      success: true,
-      status: 201,
-      message: "Notification created successfully",
-      data: notification,
-    });
+/**
+ * Create a notification for any user (service-to-service, internal key only)
+ */
+const createInternalNotification = async (req, res) => {
+  try {
+    if (!req.body.userId) {
+      return new ErrorHandler("userId is required", 400).sendError(res);
+    }
+
+    return await deliverNotification(req, res, Number(req.body.userId));
   } catch (error) {
-    console.error("Create Notification Error:", error);
+    console.error("Create Internal Notification Error:", error);
     return res.status(500).json({
       success: false,
       status: 500,
@@ -165,6 +213,7 @@ const markAsRead = async (req, res) => {
     }
 
     const updatedNotification = await NotificationsModel.markAsRead(notificationId);
+    publishNotificationsUpdated(notification.userId, "read", notificationId);
 
     return res.status(200).json({
       success: true,
@@ -194,6 +243,7 @@ const markAllAsRead = async (req, res) => {
     }
 
     await NotificationsModel.markAllAsRead(Number(userId));
+    publishNotificationsUpdated(userId, "read_all");
 
     return res.status(200).json({
       success: true,
@@ -234,6 +284,7 @@ const deleteNotification = async (req, res) => {
     }
 
     const deletedNotification = await NotificationsModel.deleteNotification(notificationId);
+    publishNotificationsUpdated(notification.userId, "deleted", notificationId);
 
     return res.status(200).json({
       success: true,
@@ -252,6 +303,42 @@ const deleteNotification = async (req, res) => {
   }
 };
 
+/**
+ * Get the per-channel delivery status of a notification
+ */
+const getNotificationDeliveries = async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const { notificationId } = req.params;
+
+    const notification = await NotificationsModel.getNotificationById(notificationId);
+    if (!notification) {
+      return new ErrorHandler("Notification not found", 404).sendError(res);
+    }
+
+    if (Number(notification.userId) !== Number(userId)) {
+      return new ErrorHandler("Unauthorized to view this notification", 403).sendError(res);
+    }
+
+    const deliveries = await NotificationDeliveryService.getDeliveries(notificationId);
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      message: "Notification deliveries retrieved successfully",
+      data: deliveries,
+    });
+  } catch (error) {
+    console.error("Get Notification Deliveries Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to fetch notification deliveries",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Delete all notifications
  */
@@ -263,6 +350,7 @@ const deleteAllNotifications = async (req, res) => {
     }
 
     await NotificationsModel.deleteAllNotifications(Number(userId));
+    publishNotificationsUpdated(userId, "deleted_all");
 
     return res.status(200).json({
       success: true,
@@ -280,13 +368,245 @@ const deleteAllNotifications = async (req, res) => {
   }
 };
 
+const renderUnsubscribePage = (title, body) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; text-align: center;">
+    <h1 style="color: #333;">${title}</h1>
+    ${body}
+  </div>
+`;
+
+/**
+ * Unsubscribe link in notification emails. Only shows a confirmation form: link scanners and
+ * mail previews fetch GET links, so the unsubscribe itself happens on POST.
+ */
+const showEmailUnsubscribePage = async (req, res) => {
+  try {
+    const userId = verifyUnsubscribeToken(req.query.token);
+    if (!userId) {
+      return new ErrorHandler("Invalid unsubscribe link", 400).sendError(res);
+    }
+
+    return res.status(200).type("html").send(
+      renderUnsubscribePage(
+        "Unsubscribe from notification emails?",
+        `<p style="color: #666;">You won't receive notification emails from SkillBridge anymore.</p>
+    <form method="POST" action="?token=${encodeURIComponent(req.query.token)}">
+      <button type="submit" style="background: #333; color: #fff; border: 0; padding: 10px 20px; cursor: pointer;">Unsubscribe</button>
+    </form>`
+      )
+    );
+  } catch (error) {
+    console.error("Unsubscribe Page Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to load the unsubscribe page",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Unsubscribe from notification emails: the confirmation form above, or the RFC 8058
+ * one-click request mail clients send from the List-Unsubscribe header.
+ */
+const unsubscribeFromEmails = async (req, res) => {
+  try {
+    const userId = verifyUnsubscribeToken(req.query.token);
+    if (!userId) {
+      return new ErrorHandler("Invalid unsubscribe link", 400).sendError(res);
+    }
+
+    await disableEmailNotifications(userId);
+
+    // Browsers submitting the form get a page; mail clients get JSON
+    if (req.accepts(["json", "html"]) === "html") {
+      const settingsUrl = `${process.env.CLIENT_URL || ""}/settings`;
+      return res.status(200).type("html").send(
+        renderUnsubscribePage(
+          "You're unsubscribed",
+          `<p style="color: #666;">You won't receive notification emails from SkillBridge anymore.</p>
+    <p style="color: #666;">You can turn them back on in your <a href="${settingsUrl}">notification settings</a>.</p>`
+        )
+      );
+    }
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      message: "Unsubscribed from notification emails",
+    });
+  } catch (error) {
+    console.error("Unsubscribe Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to unsubscribe from notification emails",
+      error: error.message,
+    });
+  }
+};
+
+// Subscription fields the client may see; keys stay server-side
+const toPushSubscriptionResponse = ({ id, endpoint, userAgent, expirationTime, lastSuccessAt, createdAt }) => ({
+  id,
+  endpoint,
+  userAgent,
+  expirationTime,
+  lastSuccessAt,
+  createdAt,
+});
+
+/**
+ * VAPID public key the client subscribes with
+ */
+const getPushPublicKey = async (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      data: {
+        enabled: isWebPushConfigured(),
+        publicKey: isWebPushConfigured() ? getVapidPublicKey() : null,
+      },
+    });
+  } catch (error) {
+    console.error("Get Push Public Key Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to fetch push configuration",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List the devices the user enabled push notifications on
+ */
+const getPushSubscriptions = async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const subscriptions = await PushSubscriptionsModel.getSubscriptionsByUserId(userId);
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      data: subscriptions.map(toPushSubscriptionResponse),
+    });
+  } catch (error) {
+    console.error("Get Push Subscriptions Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to fetch push subscriptions",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Save this device's push subscription (the browser's PushSubscription.toJSON())
+ */
+const subscribeToPush = async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const subscription = req.body?.subscription || req.body || {};
+    const { endpoint, expirationTime, keys = {} } = subscription;
+
+    if (!isWebPushConfigured()) {
+      return new ErrorHandler("Push notifications are not configured", 503).sendError(res);
+    }
+
+    if (!endpoint || !keys.p256dh || !keys.auth) {
+      return new ErrorHandler("endpoint, keys.p256dh and keys.auth are required", 400).sendError(res);
+    }
+
+    // The server POSTs to this URL on every push, so only accept real push service URLs
+    let endpointUrl;
+    try {
+      endpointUrl = new URL(endpoint);
+    } catch {
+      endpointUrl = null;
+    }
+    if (!endpointUrl || endpointUrl.protocol !== "https:") {
+      return new ErrorHandler("endpoint must be an https URL", 400).sendError(res);
+    }
+
+    const saved = await PushSubscriptionsModel.upsertSubscription({
+      userId: Number(userId),
+      endpoint,
+      p256dh: keys.p256dh,
+      auth: keys.auth,
+      userAgent: req.get("user-agent") || null,
+      expirationTime: expirationTime ? new Date(expirationTime) : null,
+    });
+
+    return res.status(201).json({
+      success: true,
+      status: 201,
+      message: "Push notifications enabled for this device",
+      data: toPushSubscriptionResponse(saved),
+    });
+  } catch (error) {
+    console.error("Subscribe To Push Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to save push subscription",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove this device's push subscription
+ */
+const unsubscribeFromPush = async (req, res) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    const endpoint = req.body?.endpoint;
+
+    if (!endpoint) {
+      return new ErrorHandler("endpoint is required", 400).sendError(res);
+    }
+
+    const removed = await PushSubscriptionsModel.deleteSubscription(userId, endpoint);
+    if (!removed) {
+      return new ErrorHandler("Push subscription not found", 404).sendError(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      status: 200,
+      message: "Push notifications disabled for this device",
+    });
+  } catch (error) {
+    console.error("Unsubscribe From Push Error:", error);
+    return res.status(500).json({
+      success: false,
+      status: 500,
+      message: "Failed to remove push subscription",
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getNotifications,
   getUnreadCount,
   createNotification,
+  createInternalNotification,
   markAsRead,
   markAllAsRead,
   deleteNotification,
   deleteAllNotifications,
+  getNotificationDeliveries,
+  showEmailUnsubscribePage,
+  unsubscribeFromEmails,
+  getPushPublicKey,
+  getPushSubscriptions,
+  subscribeToPush,
+  unsubscribeFromPush,
 };
 
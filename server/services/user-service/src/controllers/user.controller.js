@@ -2,7 +2,8 @@ const { UserModel } = require("../models/user.model");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
-const { sendMail } = require("shared/utils/sendEmail");
+const { sendTemplatedMail } = require("shared/utils/sendEmail");
+const { normalizeLocale, resolveLocale } = require("shared/email/locales");
 const ErrorHandler = require("shared/utils/errorHandler");
 const { uploadFileToSupabase } = require("shared/utils/uploadFile.utils");
 const { supabase } = require("shared/utils/supabase.utils");
@@ -95,6 +96,10 @@ const registerUser = async (req, res) => {
       isEmailVerified: false,
       resetPasswordToken: hashedVerificationToken,
       resetPasswordExpire: new Date(Date.now() + 15 * 60 * 1000),
+      // Language for transactional emails: explicit choice, else the browser's
+      locale:
+        normalizeLocale(req.body.locale) ||
+        resolveLocale(req.headers["accept-language"]),
     };
 
     // Add role-specific fields
@@ -146,154 +151,11 @@ const registerUser = async (req, res) => {
       process.env.VERIFY_EMAIL_URL || process.env.CLIENT_URL + "/verify-email";
     const verificationUrl = `${verifyEmailBaseUrl}?token=${verificationToken}`;
 
-    // Role-specific email template generator
-    const getRoleSpecificSignupEmail = (
-      role,
-      name,
-      userEmail,
-      verificationUrl
-    ) => {
-      const templates = {
-        developer: {
-          gradient: "135deg, #3b82f6 0%, #8b5cf6 100%",
-          emoji: "👨‍💻",
-          title: "Welcome Developer!",
-          greeting: `Hello ${name},`,
-          message:
-            "Thank you for joining SkillBridge Pro as a Developer! We're excited to help you build your career and connect with amazing projects.",
-          nextSteps: [
-            "Verify your email to activate your developer account",
-            "Complete your developer profile with skills and experience",
-            "Browse and apply to exciting projects that match your expertise",
-            "Build your portfolio and showcase your work",
-            "Connect with project owners and fellow developers",
-          ],
-          buttonColor: "135deg, #3b82f6 0%, #8b5cf6 100%",
-          buttonText: "✅ Verify My Developer Account",
-        },
-        "project-owner": {
-          gradient: "135deg, #10b981 0%, #14b8a6 100%",
-          emoji: "🏢",
-          title: "Welcome Project Owner!",
-          greeting: `Hello ${name},`,
-          message:
-            "Thank you for joining SkillBridge Pro as a Project Owner! We're thrilled to help you find talented developers and bring your projects to life.",
-          nextSteps: [
-            "Verify your email to activate your project owner account",
-            "Complete your company profile and business information",
-            "Post your first project and start receiving applications",
-            "Browse talented developers and their portfolios",
-            "Build your dream development team",
-          ],
-          buttonColor: "135deg, #10b981 0%, #14b8a6 100%",
-          buttonText: "✅ Verify My Project Owner Account",
-        },
-        admin: {
-          gradient: "135deg, #ef4444 0%, #f97316 100%",
-          emoji: "🔐",
-          title: "Welcome Admin!",
-          greeting: `Hello ${name},`,
-          message:
-            "Thank you for joining SkillBridge Pro as an Administrator! You now have access to manage and monitor the SkillBridge platform.",
-          nextSteps: [
-            "Verify your email to activate your admin account",
-            "Access the admin dashboard and system controls",
-            "Manage users, projects, and platform settings",
-            "Monitor system analytics and performance",
-            "Ensure platform security and quality",
-          ],
-          buttonColor: "135deg, #ef4444 0%, #f97316 100%",
-          buttonText: "✅ Verify My Admin Account",
-          securityNote: true,
-        },
-      };
-
-      const template = templates[role] || templates.developer;
-
-      return {
-        from: process.env.EMAIL_USER,
-        to: userEmail,
-        subject: `✅ ${template.title} - Verify Your Email`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-            <div style="background: linear-gradient(${
-              template.gradient
-            }); padding: 30px; border-radius: 10px; text-align: center;">
-              <h1 style="color: white; margin: 0; font-size: 28px;">${
-                template.emoji
-              } ${template.title}</h1>
-            </div>
-            <div style="padding: 30px; background: #f8f9fa; border-radius: 10px; margin-top: 20px;">
-              <h2 style="color: #333; margin-top: 0;">${template.greeting}</h2>
-              <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                ${
-                  template.message
-                } To get started, please verify your email address.
-              </p>
-              <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid ${
-                role === "developer"
-                  ? "#3b82f6"
-                  : role === "project-owner"
-                  ? "#10b981"
-                  : "#ef4444"
-              };">
-                <h3 style="color: ${
-                  role === "developer"
-                    ? "#3b82f6"
-                    : role === "project-owner"
-                    ? "#10b981"
-                    : "#ef4444"
-                }; margin-top: 0;">🚀 What's Next?</h3>
-                <ul style="color: #666; line-height: 1.6;">
-                  ${template.nextSteps
-                    .map((step) => `<li>${step}</li>`)
-                    .join("")}
-                </ul>
-              </div>
-              ${
-                template.securityNote
-                  ? `
-              <div style="background: #fee2e2; padding: 15px; border-radius: 8px; border-left: 4px solid #ef4444; margin: 20px 0;">
-                <p style="color: #991b1b; margin: 0; font-size: 14px;">
-                  <strong>🔒 Security Notice:</strong> This is a secure admin account. Only authorized personnel should verify this email.
-                </p>
-              </div>
-              `
-                  : ""
-              }
-              <div style="text-align: center; margin: 30px 0;">
-                <a href="${verificationUrl}" 
-                   style="background: linear-gradient(${
-                     template.buttonColor
-                   }); color: white; padding: 15px 40px; text-decoration: none; border-radius: 25px; font-weight: bold; font-size: 16px; display: inline-block;">
-                  ${template.buttonText}
-                </a>
-              </div>
-              <div style="background: #fff3cd; padding: 15px; border-radius: 8px; border-left: 4px solid #ffc107; margin: 20px 0;">
-                <p style="color: #856404; margin: 0; font-size: 14px;">
-                  <strong>⏰ Important:</strong> This verification link will expire in 15 minutes for security reasons.
-                </p>
-              </div>
-              <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                If you didn't create an account with SkillBridge Pro, you can safely ignore this email.
-              </p>
-            </div>
-            <div style="text-align: center; margin-top: 20px; color: #999; font-size: 14px;">
-              <p>This email was sent from SkillBridge Pro</p>
-            </div>
-          </div>
-        `,
-      };
-    };
-
-    const emailBody = getRoleSpecificSignupEmail(
-      role,
-      name,
-      email,
-      verificationUrl
-    );
-
-    await sendMail(emailBody);
+    await sendTemplatedMail("email-verification", {
+      to: email,
+      locale: user.locale,
+      data: { name, role, context: "signup", verificationUrl },
+    });
 
     res.status(201).json({
       success: true,
@@ -475,143 +337,16 @@ const loginUser = async (req, res) => {
         process.env.CLIENT_URL + "/verify-email";
       const verificationUrl = `${verifyEmailBaseUrl}?token=${verificationToken}`;
 
-      // Role-specific login verification email template generator
-      const getRoleSpecificLoginVerificationEmail = (
-        role,
-        userName,
-        userEmail,
-        verificationUrl
-      ) => {
-        const templates = {
-          developer: {
-            gradient: "135deg, #3b82f6 0%, #8b5cf6 100%",
-            emoji: "👨‍💻",
-            title: "Email Verification Required",
-            greeting: `Hello ${userName},`,
-            message:
-              "We noticed you're trying to log in to your Developer account, but your email address hasn't been verified yet. Please verify your email to access your developer dashboard and start applying to projects.",
-            actionText:
-              "To complete your login and access your developer account, please verify your email address by clicking the button below.",
-            buttonColor: "135deg, #3b82f6 0%, #8b5cf6 100%",
-            buttonText: "✅ Verify My Developer Account",
-            afterVerification:
-              "Once verified, you'll be able to log in and access your developer dashboard, browse projects, and build your career!",
-          },
-          "project-owner": {
-            gradient: "135deg, #10b981 0%, #14b8a6 100%",
-            emoji: "🏢",
-            title: "Email Verification Required",
-            greeting: `Hello ${userName},`,
-            message:
-              "We noticed you're trying to log in to your Project Owner account, but your email address hasn't been verified yet. Please verify your email to access your project management dashboard.",
-            actionText:
-              "To complete your login and access your project owner account, please verify your email address by clicking the button below.",
-            buttonColor: "135deg, #10b981 0%, #14b8a6 100%",
-            buttonText: "✅ Verify My Project Owner Account",
-            afterVerification:
-              "Once verified, you'll be able to log in and access your project dashboard, post projects, and hire talented developers!",
-          },
-          admin: {
-            gradient: "135deg, #ef4444 0%, #f97316 100%",
-            emoji: "🔐",
-            title: "Email Verification Required - Admin Account",
-            greeting: `Hello ${userName},`,
-            message:
-              "We noticed you're trying to log in to your Admin account, but your email address hasn't been verified yet. Please verify your email to access the admin dashboard.",
-            actionText:
-              "To complete your login and access the admin panel, please verify your email address by clicking the button below.",
-            buttonColor: "135deg, #ef4444 0%, #f97316 100%",
-            buttonText: "✅ Verify My Admin Account",
-            afterVerification:
-              "Once verified, you'll be able to log in and access the admin dashboard to manage and monitor the SkillBridge platform.",
-            securityNote: true,
-          },
-        };
-
-        const template = templates[role] || templates.developer;
-
-        return {
-          from: process.env.EMAIL_USER,
-          to: userEmail,
-          subject: `${template.emoji} ${template.title} - SkillBridge Pro`,
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-              <div style="background: linear-gradient(${
-                template.gradient
-              }); padding: 30px; border-radius: 10px; text-align: center;">
-                <h1 style="color: white; margin: 0; font-size: 28px;">${
-                  template.emoji
-                } ${template.title}</h1>
-              </div>
-              <div style="padding: 30px; background: #f8f9fa; border-radius: 10px; margin-top: 20px;">
-                <h2 style="color: #333; margin-top: 0;">${
-                  template.greeting
-                }</h2>
-                <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                  ${template.message}
-                </p>
-                <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid ${
-                  role === "developer"
-                    ? "#3b82f6"
-                    : role === "project-owner"
-                    ? "#10b981"
-                    : "#ef4444"
-                };">
-                  <h3 style="color: ${
-                    role === "developer"
-                      ? "#3b82f6"
-                      : role === "project-owner"
-                      ? "#10b981"
-                      : "#ef4444"
-                  }; margin-top: 0;">⚠️ Action Required</h3>
-                  <p style="color: #666; line-height: 1.6; margin: 0;">
-                    ${template.actionText}
-                  </p>
-                </div>
-                ${
-                  template.securityNote
-                    ? `
-                <div style="background: #fee2e2; padding: 15px; border-radius: 8px; border-left: 4px solid #ef4444; margin: 20px 0;">
-                  <p style="color: #991b1b; margin: 0; font-size: 14px;">
-                    <strong>🔒 Security Notice:</strong> This is a secure admin account. Only authorized personnel should verify this email.
-                  </p>
-                </div>
-                `
-                    : ""
-                }
-                <div style="text-align: center; margin: 30px 0;">
-                  <a href="${verificationUrl}" 
-                     style="background: linear-gradient(${
-                       template.buttonColor
-                     }); color: white; padding: 15px 40px; text-decoration: none; border-radius: 25px; font-weight: bold; font-size: 16px; display: inline-block;">
-                    ${template.buttonText}
-                  </a>
-                </div>
-                <div style="background: #fff3cd; padding: 15px; border-radius: 8px; border-left: 4px solid #ffc107; margin: 20px 0;">
-                  <p style="color: #856404; margin: 0; font-size: 14px;">
-                    <strong>⏰ Important:</strong> This verification link will expire in 15 minutes for security reasons.
-                  </p>
-                </div>
-                <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                  ${template.afterVerification}
-                </p>
-              </div>
-              <div style="text-align: center; margin-top: 20px; color: #999; font-size: 14px;">
-                <p>This email was sent from SkillBridge Pro</p>
-              </div>
-            </div>
-          `,
-        };
-      };
-
-      const emailBody = getRoleSpecificLoginVerificationEmail(
-        requestedRole,
-        user.name,
-        user.email,
-        verificationUrl
-      );
-
-      await sendMail(emailBody);
+      await sendTemplatedMail("email-verification", {
+        to: user.email,
+        locale: user.locale || req.headers["accept-language"],
+        data: {
+          name: user.name,
+          role: requestedRole,
+          context: "login",
+          verificationUrl,
+        },
+      });
 
       return res.status(403).json({
         success: false,
@@ -714,56 +449,12 @@ const forgetPassword = async (req, res) => {
       process.env.RESET_PASSWORD_URL ||
       process.env.CLIENT_URL + "/reset-password";
     const resetUrl = `${resetPasswordBaseUrl}?token=${resetToken}`;
-    const emailBody = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: "🔒 Password Reset Request - SkillBridge Pro",
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; text-align: center;">
-            <h1 style="color: white; margin: 0; font-size: 28px;">🔒 Password Reset Request</h1>
-          </div>
-          <div style="padding: 30px; background: #f8f9fa; border-radius: 10px; margin-top: 20px;">
-            <h2 style="color: #333; margin-top: 0;">Hello,</h2>
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              We received a request to reset your password for your SkillBridge Pro account. If you made this request, please click the button below to reset your password.
-            </p>
-            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc3545;">
-              <h3 style="color: #dc3545; margin-top: 0;">🔐 Security Notice</h3>
-              <p style="color: #666; line-height: 1.6; margin: 0;">
-                For your security, this password reset link will expire in 15 minutes. If you didn't request this reset, please ignore this email and your password will remain unchanged.
-              </p>
-            </div>
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${resetUrl}" 
-                 style="background: linear-gradient(135deg, #dc3545 0%, #c82333 100%); color: white; padding: 15px 40px; text-decoration: none; border-radius: 25px; font-weight: bold; font-size: 16px; display: inline-block;">
-                🔒 Reset My Password
-              </a>
-            </div>
-            <div style="background: #d1ecf1; padding: 15px; border-radius: 8px; border-left: 4px solid #17a2b8; margin: 20px 0;">
-              <h4 style="color: #0c5460; margin-top: 0;">💡 Security Tips:</h4>
-              <ul style="color: #0c5460; line-height: 1.6; margin: 0; padding-left: 20px;">
-                <li>Use a strong, unique password</li>
-                <li>Don't share your password with anyone</li>
-                <li>Enable two-factor authentication if available</li>
-                <li>Log out from shared devices</li>
-              </ul>
-            </div>
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              If you're having trouble with the button above, copy and paste the following link into your browser:
-            </p>
-            <div style="background: #e9ecef; padding: 10px; border-radius: 5px; word-break: break-all; font-family: monospace; font-size: 12px; color: #495057;">
-              ${resetUrl}
-            </div>
-          </div>
-          <div style="text-align: center; margin-top: 20px; color: #999; font-size: 14px;">
-            <p>This email was sent from SkillBridge Pro</p>
-          </div>
-        </div>
-      `,
-    };
 
-    await sendMail(emailBody);
+    await sendTemplatedMail("password-reset", {
+      to: email,
+      locale: user.locale || req.headers["accept-language"],
+      data: { resetUrl },
+    });
 
     res.status(200).json({
       success: true,
@@ -988,6 +679,15 @@ const updateUserProfile = async (req, res) => {
       });
     }
 
+    if (updateData.locale !== undefined && updateData.locale !== null) {
+      const locale = normalizeLocale(updateData.locale);
+      if (locale) {
+        updateData.locale = locale;
+      } else {
+        delete updateData.locale;
+      }
+    }
+
     if (updateData.resetPasswordExpire !== undefined) {
       if (!updateData.resetPasswordExpire) {
         updateData.resetPasswordExpire = null;
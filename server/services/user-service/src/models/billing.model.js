@@ -8,8 +8,9 @@ const {
   numeric,
   json,
   pgEnum,
+  unique,
 } = require("drizzle-orm/pg-core");
-const { eq, and, desc, gte, lte } = require("drizzle-orm");
+const { eq, and, or, desc, gte, lte, ne, inArray, sql } = require("drizzle-orm");
 const { db } = require("../config/database");
 
 // Enums
@@ -44,8 +45,11 @@ const billingHistoryTable = pgTable("billing_history", {
   description: text("description"),
   invoiceId: text("invoice_id"),
   paymentMethodId: integer("payment_method_id"),
-  type: text("type").notNull(), // 'subscription', 'boost', 'one-time', 'refund'
+  type: text("type").notNull(), // 'subscription', 'boost', 'escrow', 'hourly_invoice', 'one-time', 'refund'
   metadata: json("metadata"), // Additional data like project_id for boosts
+  provider: text("provider"), // Payment provider that processed the charge ('stripe', 'fake')
+  providerPaymentId: text("provider_payment_id"), // Provider-side payment ID (e.g. Stripe PaymentIntent)
+  failureReason: text("failure_reason"), // Provider decline/error message when status is 'failed'
   createdAt: timestamp("created_at").defaultNow().notNull(),
   updatedAt: timestamp("updated_at")
     .defaultNow()
@@ -81,14 +85,17 @@ const invoicesTable = pgTable("invoices", {
   invoiceNumber: text("invoice_number").unique().notNull(),
   amount: numeric("amount", { precision: 10, scale: 2 }).notNull(),
   currency: text("currency").default("USD").notNull(),
-  status: text("status").default("draft").notNull(), // 'draft', 'sent', 'paid', 'overdue', 'cancelled'
+  status: text("status").default("draft").notNull(), // 'draft', 'sent', 'paid', 'overdue', 'cancelled', 'issued' (credit notes)
   items: json("items").notNull(), // Array of invoice items
   subtotal: numeric("subtotal", { precision: 10, scale: 2 }),
   tax: numeric("tax", { precision: 10, scale: 2 }),
+  taxRate: numeric("tax_rate", { precision: 6, scale: 4 }), // Applied rate, e.g. 0.1900 for 19%
+  taxLabel: text("tax_label"), // e.g. 'VAT (DE)', 'Sales Tax (US-CA)'
   total: numeric("total", { precision: 10, scale: 2 }).notNull(),
   dueDate: timestamp("due_date"),
   paidAt: timestamp("paid_at"),
   billingHistoryId: integer("billing_history_id"), // Link to billing_history
+  creditNoteFor: text("credit_note_for"), // Invoice number this credit note refunds (credit notes only)
   pdfUrl: text("pdf_url"), // URL to generated PDF
   createdAt: timestamp("created_at").defaultNow().notNull(),
   updatedAt: timestamp("updated_at")
@@ -123,11 +130,13 @@ const subscriptionPlansTable = pgTable("subscription_plans", {
   name: text("name").notNull().unique(),
   price: numeric("price", { precision: 10, scale: 2 }).notNull(),
   currency: text("currency").default("USD").notNull(),
+  prices: json("prices"), // Prices in other currencies, e.g. { "EUR": "27.00", "GBP": "24.00" }
   period: text("period").notNull(), // 'monthly', 'yearly'
   features: json("features").notNull(), // Array of features
   aiCredits: integer("ai_credits").default(0),
   maxProjects: integer("max_projects"), // -1 for unlimited
   maxApplications: integer("max_applications"), // -1 for unlimited
+  limits: json("limits"), // Other entitlements, e.g. { "maxInvites": 10, "maxActiveBoosts": 1 }; -1 or missing for unlimited
   isActive: boolean("is_active").default(true).notNull(),
   createdAt: timestamp("created_at").defaultNow().notNull(),
   updatedAt: timestamp("updated_at")
@@ -155,6 +164,247 @@ const suspendedAccountsTable = pgTable("suspended_accounts", {
     .notNull(),
 });
 
+// Tax Rules Table (rate per billing country, optionally narrowed to a region/state)
+const taxRulesTable = pgTable("tax_rules", {
+  id: serial("id").primaryKey(),
+  country: text("country").notNull(), // ISO 3166-1 alpha-2, e.g. 'DE', 'US'
+  region: text("region"), // State/province code, e.g. 'CA'; null applies to the whole country
+  name: text("name").notNull(), // 'VAT', 'GST', 'Sales Tax'
+  rate: numeric("rate", { precision: 6, scale: 4 }).notNull(), // 0.1900 for 19%
+  isActive: boolean("is_active").default(true).notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .$onUpdate(() => new Date())
+    .notNull(),
+}, (table) => ({
+  // NULLS NOT DISTINCT so there is only one country-wide (region = null) rule per country
+  uniqueCountryRegion: unique("unique_tax_rule_country_region").on(table.country, table.region).nullsNotDistinct(),
+}));
+
+// Coupons Table (admin-managed discount / promo codes)
+const couponsTable = pgTable("coupons", {
+  id: serial("id").primaryKey(),
+  code: text("code").notNull().unique(), // Stored upper-case
+  description: text("description"),
+  discountType: text("discount_type").notNull(), // 'percent', 'fixed'
+  discountValue: numeric("discount_value", { precision: 10, scale: 2 }).notNull(), // 20 = 20% or 20.00 off
+  currency: text("currency"), // Required for 'fixed' coupons; they only apply to charges in this currency
+  appliesTo: text("applies_to").default("all").notNull(), // 'all', 'subscription', 'boost'
+  planNames: json("plan_names"), // Optional list of plan names the coupon is restricted to
+  maxRedemptions: integer("max_redemptions"), // Total uses; null = unlimited
+  maxRedemptionsPerUser: integer("max_redemptions_per_user").default(1),
+  redemptionCount: integer("redemption_count").default(0).notNull(), // Pending + applied redemptions
+  expiresAt: timestamp("expires_at"),
+  isActive: boolean("is_active").default(true).notNull(),
+  createdBy: integer("created_by"), // Admin user ID
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .$onUpdate(() => new Date())
+    .notNull(),
+});
+
+// Coupon Redemptions Table (one row per checkout that used a coupon)
+const couponRedemptionsTable = pgTable("coupon_redemptions", {
+  id: serial("id").primaryKey(),
+  couponId: integer("coupon_id").notNull(),
+  userId: integer("user_id").notNull(),
+  billingHistoryId: integer("billing_history_id"),
+  discountAmount: numeric("discount_amount", { precision: 10, scale: 2 }).notNull(),
+  currency: text("currency").default("USD").notNull(),
+  status: text("status").default("pending").notNull(), // 'pending', 'applied', 'void' (payment failed)
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .$onUpdate(() => new Date())
+    .notNull(),
+});
+
+// Refunds Table (audit trail of every refund, who approved it and why)
+const refundsTable = pgTable("refunds", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id").notNull(),
+  billingHistoryId: integer("billing_history_id").notNull(), // Charge being refunded
+  refundBillingHistoryId: integer("refund_billing_history_id"), // The 'refund' billing_history entry
+  disputeId: integer("dispute_id"),
+  amount: numeric("amount", { precision: 10, scale: 2 }).notNull(),
+  currency: text("currency").default("USD").notNull(),
+  reason: text("reason"),
+  status: text("status").default("pending").notNull(), // 'pending', 'succeeded', 'failed'
+  provider: text("provider"),
+  providerRefundId: text("provider_refund_id"),
+  failureReason: text("failure_reason"),
+  approvedBy: integer("approved_by").notNull(), // Admin user ID
+  approvedAt: timestamp("approved_at").defaultNow().notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .$onUpdate(() => new Date())
+    .notNull(),
+});
+
+// Milestone Escrows Table (owner funds a project milestone; released to the developer once its tasks are approved)
+const milestoneEscrowsTable = pgTable("milestone_escrows", {
+  id: serial("id").primaryKey(),
+  milestoneId: integer("milestone_id").notNull(), // FK -> project_milestones.id (project-service)
+  projectId: integer("project_id").notNull(), // FK -> projects.id
+  ownerId: integer("owner_id").notNull(), // Project owner funding the milestone
+  developerId: integer("developer_id").notNull(), // Developer paid on release
+  amount: numeric("amount", { precision: 10, scale: 2 }).notNull(), // Amount charged to the owner
+  currency: text("currency").default("USD").notNull(),
+  feePercent: numeric("fee_percent", { precision: 5, scale: 2 }).notNull(), // Platform fee rate at funding time
+  platformFee: numeric("platform_fee", { precision: 10, scale: 2 }).notNull(),
+  developerAmount: numeric("developer_amount", { precision: 10, scale: 2 }).notNull(), // amount - platformFee
+  status: text("status").default("pending").notNull(), // 'pending' (awaiting payment), 'funded', 'disputed', 'released', 'refunded', 'failed'
+  billingHistoryId: integer("billing_history_id"), // Funding charge
+  disputeId: integer("dispute_id"),
+  fundedAt: timestamp("funded_at"),
+  releasedAt: timestamp("released_at"),
+  releasedBy: integer("released_by"), // Owner (or admin resolving a dispute) who released the funds
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .$onUpdate(() => new Date())
+    .notNull(),
+});
+
+// Developer Ledger Table (payout ledger: earnings credited from escrow releases, signed amounts per currency)
+const developerLedgerTable = pgTable("developer_ledger", {
+  id: serial("id").primaryKey(),
+  developerId: integer("developer_id").notNull(),
+  escrowId: integer("escrow_id"),
+  projectId: integer("project_id"),
+  milestoneId: integer("milestone_id"),
+  type: text("type").notNull(), // 'escrow_release' / 'hourly_payment' (credits), 'reversal' (debit), 'payout' (debit), 'payout_reversal' (credit, rejected payout)
+  amount: numeric("amount", { precision: 10, scale: 2 }).notNull(), // Positive credits, negative debits
+  currency: text("currency").default("USD").notNull(),
+  description: text("description"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// Payout Requests Table (developer withdrawals of available earnings; the ledger is debited on request)
+const payoutRequestsTable = pgTable("payout_requests", {
+  id: serial("id").primaryKey(),
+  developerId: integer("developer_id").notNull(),
+  amount: numeric("amount", { precision: 10, scale: 2 }).notNull(),
+  currency: text("currency").default("USD").notNull(),
+  method: text("method").notNull(), // 'bank_transfer', 'paypal', ...
+  destination: json("destination"), // Payout details as entered by the developer (account, email, ...)
+  status: text("status").default("requested").notNull(), // 'requested', 'paid', 'rejected'
+  ledgerEntryId: integer("ledger_entry_id"), // The 'payout' debit
+  reference: text("reference"), // Transfer reference recorded by the admin
+  notes: text("notes"),
+  processedBy: integer("processed_by"), // Admin who paid or rejected the request
+  processedAt: timestamp("processed_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .$onUpdate(() => new Date())
+    .notNull(),
+});
+
+// Hourly Invoices Table (owner invoices for a developer's tracked hours on an hourly project)
+const hourlyInvoicesTable = pgTable("hourly_invoices", {
+  id: serial("id").primaryKey(),
+  projectId: integer("project_id").notNull(), // FK -> projects.id (project-service)
+  ownerId: integer("owner_id").notNull(), // Project owner billed
+  developerId: integer("developer_id").notNull(), // Developer whose hours are billed
+  periodStart: timestamp("period_start").notNull(),
+  periodEnd: timestamp("period_end").notNull(),
+  hourlyRate: numeric("hourly_rate", { precision: 10, scale: 2 }).notNull(),
+  currency: text("currency").default("USD").notNull(),
+  status: text("status").default("draft").notNull(), // 'draft' (entries can be adjusted/contested), 'finalized' (payment pending), 'paid', 'void'
+  billableMinutes: integer("billable_minutes").default(0).notNull(),
+  amount: numeric("amount", { precision: 10, scale: 2 }).default("0").notNull(),
+  billingHistoryId: integer("billing_history_id"), // Owner's charge once finalized
+  invoiceNumber: text("invoice_number"), // invoices row created by the checkout
+  finalizedAt: timestamp("finalized_at"),
+  paidAt: timestamp("paid_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .$onUpdate(() => new Date())
+    .notNull(),
+});
+
+// Hourly Invoice Entries Table (one per task_time_tracking session on a draft/final invoice)
+const hourlyInvoiceEntriesTable = pgTable("hourly_invoice_entries", {
+  id: serial("id").primaryKey(),
+  hourlyInvoiceId: integer("hourly_invoice_id").notNull(),
+  timeTrackingId: integer("time_tracking_id").notNull(), // FK -> task_time_tracking.id (project-service)
+  taskId: integer("task_id").notNull(),
+  taskTitle: text("task_title"),
+  startTime: timestamp("start_time").notNull(),
+  endTime: timestamp("end_time"),
+  description: text("description"),
+  trackedMinutes: integer("tracked_minutes").notNull(), // As recorded by the timer
+  billableMinutes: integer("billable_minutes").notNull(), // As billed (owner can adjust while draft)
+  status: text("status").default("included").notNull(), // 'included', 'excluded'
+  contestStatus: text("contest_status"), // null, 'open', 'accepted', 'rejected'
+  contestReason: text("contest_reason"), // Developer's reason
+  proposedMinutes: integer("proposed_minutes"), // Developer's proposed billable minutes
+  contestResponse: text("contest_response"), // Owner's response
+  contestedAt: timestamp("contested_at"),
+  resolvedAt: timestamp("resolved_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .$onUpdate(() => new Date())
+    .notNull(),
+});
+
+// Payment Events Table (processed provider webhooks, for idempotency)
+const paymentEventsTable = pgTable("payment_events", {
+  id: serial("id").primaryKey(),
+  provider: text("provider").notNull(),
+  eventId: text("event_id").notNull().unique(), // Provider event ID
+  type: text("type").notNull(), // Normalized type: 'payment.succeeded', 'payment.failed', ...
+  providerPaymentId: text("provider_payment_id"),
+  billingHistoryId: integer("billing_history_id"),
+  payload: json("payload"), // Raw event as received from the provider
+  processedAt: timestamp("processed_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// Subscription Renewals Table (one row per renewal period, drives dunning retries)
+const subscriptionRenewalsTable = pgTable("subscription_renewals", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id").notNull(),
+  planName: text("plan_name").notNull(),
+  periodStart: timestamp("period_start").notNull(), // Start of the period being paid for
+  periodEnd: timestamp("period_end").notNull(),
+  billingHistoryId: integer("billing_history_id"),
+  status: text("status").default("pending").notNull(), // 'pending', 'retrying', 'paid', 'failed'
+  attemptCount: integer("attempt_count").default(0).notNull(),
+  nextRetryAt: timestamp("next_retry_at"),
+  lastError: text("last_error"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .$onUpdate(() => new Date())
+    .notNull(),
+}, (table) => ({
+  // A period can only be renewed once; the insert doubles as the worker's claim on it
+  uniqueUserPeriod: unique("unique_subscription_renewal_period").on(table.userId, table.periodStart),
+}));
+
+// Entitlement Usage Table (metered plan entitlements such as AI credits, read and written by shared/utils/entitlements.utils)
+const entitlementUsageTable = pgTable("entitlement_usage", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id").notNull(),
+  feature: text("feature").notNull(), // 'aiCredits'
+  periodStart: timestamp("period_start").notNull(), // Usage resets with each subscription period (or calendar month)
+  used: integer("used").default(0).notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .$onUpdate(() => new Date())
+    .notNull(),
+}, (table) => ({
+  uniqueUserFeaturePeriod: unique("unique_entitlement_usage_period").on(table.userId, table.feature, table.periodStart),
+}));
+
 // Billing History Model
 class BillingHistoryModel {
   static async createBillingRecord(data) {
@@ -182,6 +432,19 @@ class BillingHistoryModel {
     return record;
   }
 
+  static async getBillingRecordByProviderPaymentId(provider, providerPaymentId) {
+    const [record] = await db
+      .select()
+      .from(billingHistoryTable)
+      .where(
+        and(
+          eq(billingHistoryTable.provider, provider),
+          eq(billingHistoryTable.providerPaymentId, providerPaymentId)
+        )
+      );
+    return record;
+  }
+
   static async updateBillingRecord(id, data) {
     const [record] = await db
       .update(billingHistoryTable)
@@ -293,6 +556,14 @@ class InvoicesModel {
     return invoice;
   }
 
+  static async getInvoiceByBillingHistoryId(billingHistoryId) {
+    const [invoice] = await db
+      .select()
+      .from(invoicesTable)
+      .where(eq(invoicesTable.billingHistoryId, billingHistoryId));
+    return invoice;
+  }
+
   static async updateInvoice(id, data) {
     const [invoice] = await db
       .update(invoicesTable)
@@ -301,6 +572,16 @@ class InvoicesModel {
       .returning();
     return invoice;
   }
+
+  // Record where the rendered PDF can be downloaded; leaves updatedAt alone so the stored file stays current
+  static async setPdfUrl(id, pdfUrl) {
+    const [invoice] = await db
+      .update(invoicesTable)
+      .set({ pdfUrl })
+      .where(eq(invoicesTable.id, id))
+      .returning();
+    return invoice;
+  }
 }
 
 // Disputes Model
@@ -395,6 +676,712 @@ class SubscriptionPlansModel {
   }
 }
 
+// Tax Rules Model
+class TaxRulesModel {
+  static async getAllTaxRules() {
+    return await db
+      .select()
+      .from(taxRulesTable)
+      .orderBy(taxRulesTable.country, taxRulesTable.region);
+  }
+
+  static async getTaxRuleById(id) {
+    const [rule] = await db
+      .select()
+      .from(taxRulesTable)
+      .where(eq(taxRulesTable.id, id));
+    return rule;
+  }
+
+  /**
+   * Active rules for a country: the region-specific rule (if any) and the country-wide one.
+   */
+  static async getActiveRulesForCountry(country) {
+    return await db
+      .select()
+      .from(taxRulesTable)
+      .where(and(eq(taxRulesTable.country, country), eq(taxRulesTable.isActive, true)));
+  }
+
+  static async createTaxRule(data) {
+    const [rule] = await db
+      .insert(taxRulesTable)
+      .values(data)
+      .returning();
+    return rule;
+  }
+
+  static async updateTaxRule(id, data) {
+    const [rule] = await db
+      .update(taxRulesTable)
+      .set({ ...data, updatedAt: new Date() })
+      .where(eq(taxRulesTable.id, id))
+      .returning();
+    return rule;
+  }
+
+  static async deleteTaxRule(id) {
+    const [rule] = await db
+      .delete(taxRulesTable)
+      .where(eq(taxRulesTable.id, id))
+      .returning();
+    return rule;
+  }
+}
+
+// Coupons Model
+class CouponsModel {
+  static async getAllCoupons() {
+    return await db
+      .select()
+      .from(couponsTable)
+      .orderBy(desc(couponsTable.createdAt));
+  }
+
+  static async getCouponById(id) {
+    const [coupon] = await db
+      .select()
+      .from(couponsTable)
+      .where(eq(couponsTable.id, id));
+    return coupon;
+  }
+
+  static async getCouponByCode(code) {
+    const [coupon] = await db
+      .select()
+      .from(couponsTable)
+      .where(eq(couponsTable.code, code.toUpperCase()));
+    return coupon;
+  }
+
+  static async createCoupon(data) {
+    const [coupon] = await db
+      .insert(couponsTable)
+      .values({ ...data, code: data.code.toUpperCase() })
+      .returning();
+    return coupon;
+  }
+
+  static async updateCoupon(id, data) {
+    const [coupon] = await db
+      .update(couponsTable)
+      .set({ ...data, updatedAt: new Date() })
+      .where(eq(couponsTable.id, id))
+      .returning();
+    return coupon;
+  }
+
+  /**
+   * Atomically take one use of a coupon; returns undefined when the usage limit is reached.
+   */
+  static async claimRedemption(id) {
+    const [coupon] = await db
+      .update(couponsTable)
+      .set({ redemptionCount: sql`${couponsTable.redemptionCount} + 1`, updatedAt: new Date() })
+      .where(
+        and(
+          eq(couponsTable.id, id),
+          sql`(${couponsTable.maxRedemptions} IS NULL OR ${couponsTable.redemptionCount} < ${couponsTable.maxRedemptions})`
+        )
+      )
+      .returning();
+    return coupon;
+  }
+
+  static async releaseRedemption(id) {
+    const [coupon] = await db
+      .update(couponsTable)
+      .set({ redemptionCount: sql`GREATEST(${couponsTable.redemptionCount} - 1, 0)`, updatedAt: new Date() })
+      .where(eq(couponsTable.id, id))
+      .returning();
+    return coupon;
+  }
+}
+
+// Coupon Redemptions Model
+class CouponRedemptionsModel {
+  static async createRedemption(data) {
+    const [redemption] = await db
+      .insert(couponRedemptionsTable)
+      .values(data)
+      .returning();
+    return redemption;
+  }
+
+  static async getRedemptionByBillingHistoryId(billingHistoryId) {
+    const [redemption] = await db
+      .select()
+      .from(couponRedemptionsTable)
+      .where(eq(couponRedemptionsTable.billingHistoryId, billingHistoryId));
+    return redemption;
+  }
+
+  // Redemptions that still count against per-user limits (pending or applied)
+  static async countUserRedemptions(couponId, userId) {
+    const [row] = await db
+      .select({ count: sql`COUNT(*)::int` })
+      .from(couponRedemptionsTable)
+      .where(
+        and(
+          eq(couponRedemptionsTable.couponId, couponId),
+          eq(couponRedemptionsTable.userId, userId),
+          ne(couponRedemptionsTable.status, "void")
+        )
+      );
+    return row?.count || 0;
+  }
+
+  static async updateRedemption(id, data) {
+    const [redemption] = await db
+      .update(couponRedemptionsTable)
+      .set({ ...data, updatedAt: new Date() })
+      .where(eq(couponRedemptionsTable.id, id))
+      .returning();
+    return redemption;
+  }
+}
+
+// Refunds Model
+class RefundsModel {
+  static async createRefund(data) {
+    const [refund] = await db
+      .insert(refundsTable)
+      .values(data)
+      .returning();
+    return refund;
+  }
+
+  static async getRefundById(id) {
+    const [refund] = await db
+      .select()
+      .from(refundsTable)
+      .where(eq(refundsTable.id, id));
+    return refund;
+  }
+
+  static async getRefundByProviderRefundId(provider, providerRefundId) {
+    const [refund] = await db
+      .select()
+      .from(refundsTable)
+      .where(
+        and(
+          eq(refundsTable.provider, provider),
+          eq(refundsTable.providerRefundId, providerRefundId)
+        )
+      );
+    return refund;
+  }
+
+  static async getRefundsByDisputeId(disputeId) {
+    return await db
+      .select()
+      .from(refundsTable)
+      .where(eq(refundsTable.disputeId, disputeId))
+      .orderBy(desc(refundsTable.createdAt));
+  }
+
+  static async getAllRefunds(limit = 100) {
+    return await db
+      .select()
+      .from(refundsTable)
+      .orderBy(desc(refundsTable.createdAt))
+      .limit(limit);
+  }
+
+  // Amount already refunded (or being refunded) for a charge
+  static async getRefundedTotal(billingHistoryId) {
+    const [row] = await db
+      .select({ total: sql`COALESCE(SUM(${refundsTable.amount}), 0)` })
+      .from(refundsTable)
+      .where(
+        and(
+          eq(refundsTable.billingHistoryId, billingHistoryId),
+          ne(refundsTable.status, "failed")
+        )
+      );
+    return parseFloat(row?.total || 0);
+  }
+
+  static async updateRefund(id, data) {
+    const [refund] = await db
+      .update(refundsTable)
+      .set({ ...data, updatedAt: new Date() })
+      .where(eq(refundsTable.id, id))
+      .returning();
+    return refund;
+  }
+}
+
+// Milestone Escrows Model
+const ACTIVE_ESCROW_STATUSES = ["pending", "funded", "disputed"];
+
+class MilestoneEscrowsModel {
+  static async createEscrow(data) {
+    const [escrow] = await db
+      .insert(milestoneEscrowsTable)
+      .values(data)
+      .returning();
+    return escrow;
+  }
+
+  static async getEscrowById(id) {
+    const [escrow] = await db
+      .select()
+      .from(milestoneEscrowsTable)
+      .where(eq(milestoneEscrowsTable.id, id));
+    return escrow;
+  }
+
+  static async getEscrowByDisputeId(disputeId) {
+    const [escrow] = await db
+      .select()
+      .from(milestoneEscrowsTable)
+      .where(eq(milestoneEscrowsTable.disputeId, disputeId));
+    return escrow;
+  }
+
+  // The escrow currently holding (or about to hold) money for a milestone
+  static async getActiveEscrowByMilestoneId(milestoneId) {
+    const [escrow] = await db
+      .select()
+      .from(milestoneEscrowsTable)
+      .where(
+        and(
+          eq(milestoneEscrowsTable.milestoneId, milestoneId),
+          inArray(milestoneEscrowsTable.status, ACTIVE_ESCROW_STATUSES)
+        )
+      )
+      .orderBy(desc(milestoneEscrowsTable.createdAt))
+      .limit(1);
+    return escrow;
+  }
+
+  static async getEscrowsByMilestoneId(milestoneId) {
+    return await db
+      .select()
+      .from(milestoneEscrowsTable)
+      .where(eq(milestoneEscrowsTable.milestoneId, milestoneId))
+      .orderBy(desc(milestoneEscrowsTable.createdAt));
+  }
+
+  // Escrows a user funded or is paid from, optionally for one project
+  static async getEscrowsForUser(userId, { projectId } = {}) {
+    const conditions = [
+      or(eq(milestoneEscrowsTable.ownerId, userId), eq(milestoneEscrowsTable.developerId, userId)),
+    ];
+    if (projectId) {
+      conditions.push(eq(milestoneEscrowsTable.projectId, projectId));
+    }
+    return await db
+      .select()
+      .from(milestoneEscrowsTable)
+      .where(and(...conditions))
+      .orderBy(desc(milestoneEscrowsTable.createdAt));
+  }
+
+  // Conditional transition so concurrent releases/disputes can't both win
+  static async transitionEscrow(id, fromStatuses, data) {
+    const [escrow] = await db
+      .update(milestoneEscrowsTable)
+      .set({ ...data, updatedAt: new Date() })
+      .where(
+        and(
+          eq(milestoneEscrowsTable.id, id),
+          inArray(milestoneEscrowsTable.status, fromStatuses)
+        )
+      )
+      .returning();
+    return escrow;
+  }
+
+  static async updateEscrow(id, data) {
+    const [escrow] = await db
+      .update(milestoneEscrowsTable)
+      .set({ ...data, updatedAt: new Date() })
+      .where(eq(milestoneEscrowsTable.id, id))
+      .returning();
+    return escrow;
+  }
+}
+
+// Developer Ledger Model
+class DeveloperLedgerModel {
+  static async createEntry(data) {
+    const [entry] = await db
+      .insert(developerLedgerTable)
+      .values(data)
+      .returning();
+    return entry;
+  }
+
+  static async getEntriesByDeveloperId(developerId, limit = 100) {
+    return await db
+      .select()
+      .from(developerLedgerTable)
+      .where(eq(developerLedgerTable.developerId, developerId))
+      .orderBy(desc(developerLedgerTable.createdAt))
+      .limit(limit);
+  }
+
+  // Ledger balance per currency
+  static async getBalances(developerId) {
+    const rows = await db
+      .select({
+        currency: developerLedgerTable.currency,
+        balance: sql`COALESCE(SUM(${developerLedgerTable.amount}), 0)`,
+      })
+      .from(developerLedgerTable)
+      .where(eq(developerLedgerTable.developerId, developerId))
+      .groupBy(developerLedgerTable.currency);
+    return rows.map((row) => ({ currency: row.currency, balance: parseFloat(row.balance) }));
+  }
+
+  /**
+   * Balance per currency, split into what is still clearing and what can be paid out.
+   * Earnings (escrow releases, hourly invoice payments) after `clearedBefore` are pending;
+   * every other entry counts immediately.
+   */
+  static async getEarningsSummary(developerId, clearedBefore) {
+    const rows = await db
+      .select({
+        currency: developerLedgerTable.currency,
+        earned: sql`COALESCE(SUM(${developerLedgerTable.amount}) FILTER (WHERE ${developerLedgerTable.type} IN ('escrow_release', 'hourly_payment', 'reversal')), 0)`,
+        pending: sql`COALESCE(SUM(${developerLedgerTable.amount}) FILTER (WHERE ${developerLedgerTable.type} IN ('escrow_release', 'hourly_payment') AND ${developerLedgerTable.createdAt} > ${clearedBefore.toISOString()}), 0)`,
+        balance: sql`COALESCE(SUM(${developerLedgerTable.amount}), 0)`,
+      })
+      .from(developerLedgerTable)
+      .where(eq(developerLedgerTable.developerId, developerId))
+      .groupBy(developerLedgerTable.currency);
+    return rows.map((row) => ({
+      currency: row.currency,
+      earned: parseFloat(row.earned),
+      pending: parseFloat(row.pending),
+      available: parseFloat(row.balance) - parseFloat(row.pending),
+      balance: parseFloat(row.balance),
+    }));
+  }
+
+  // Earnings per project and milestone (milestones and projects live in project-service tables)
+  static async getEarningsByMilestone(developerId) {
+    const result = await db.execute(sql`
+      SELECT l.project_id, p.title AS project_title, l.milestone_id, m.title AS milestone_title,
+             l.currency, SUM(l.amount) AS amount, MAX(l.created_at) AS last_paid_at
+      FROM developer_ledger l
+      LEFT JOIN projects p ON p.id = l.project_id
+      LEFT JOIN project_milestones m ON m.id = l.milestone_id
+      WHERE l.developer_id = ${developerId} AND l.type IN ('escrow_release', 'hourly_payment', 'reversal')
+      GROUP BY l.project_id, p.title, l.milestone_id, m.title, l.currency
+      ORDER BY MAX(l.created_at) DESC
+    `);
+    return result.rows || [];
+  }
+
+  static async getEntriesInRange(developerId, { from, to }) {
+    return await db
+      .select()
+      .from(developerLedgerTable)
+      .where(
+        and(
+          eq(developerLedgerTable.developerId, developerId),
+          gte(developerLedgerTable.createdAt, from),
+          lte(developerLedgerTable.createdAt, to)
+        )
+      )
+      .orderBy(developerLedgerTable.createdAt);
+  }
+
+  // Balance per currency of all entries before a date (statement opening balance)
+  static async getBalancesBefore(developerId, before) {
+    const rows = await db
+      .select({
+        currency: developerLedgerTable.currency,
+        balance: sql`COALESCE(SUM(${developerLedgerTable.amount}), 0)`,
+      })
+      .from(developerLedgerTable)
+      .where(
+        and(
+          eq(developerLedgerTable.developerId, developerId),
+          sql`${developerLedgerTable.createdAt} < ${before.toISOString()}`
+        )
+      )
+      .groupBy(developerLedgerTable.currency);
+    return rows.map((row) => ({ currency: row.currency, balance: parseFloat(row.balance) }));
+  }
+}
+
+// Hourly Invoices Model
+class HourlyInvoicesModel {
+  static async createInvoiceWithEntries(data, entries) {
+    return await db.transaction(async (tx) => {
+      const [invoice] = await tx.insert(hourlyInvoicesTable).values(data).returning();
+      const rows = entries.length
+        ? await tx
+            .insert(hourlyInvoiceEntriesTable)
+            .values(entries.map((entry) => ({ ...entry, hourlyInvoiceId: invoice.id })))
+            .returning()
+        : [];
+      return { invoice, entries: rows };
+    });
+  }
+
+  static async getInvoiceById(id) {
+    const [invoice] = await db
+      .select()
+      .from(hourlyInvoicesTable)
+      .where(eq(hourlyInvoicesTable.id, id));
+    return invoice;
+  }
+
+  // Invoices the user is billed on (owner) or paid from (developer), optionally for one project
+  static async getInvoicesForUser(userId, { projectId } = {}) {
+    const conditions = [
+      or(eq(hourlyInvoicesTable.ownerId, userId), eq(hourlyInvoicesTable.developerId, userId)),
+      ne(hourlyInvoicesTable.status, "void"),
+    ];
+    if (projectId) {
+      conditions.push(eq(hourlyInvoicesTable.projectId, projectId));
+    }
+    return await db
+      .select()
+      .from(hourlyInvoicesTable)
+      .where(and(...conditions))
+      .orderBy(desc(hourlyInvoicesTable.createdAt));
+  }
+
+  static async getEntriesByInvoiceId(hourlyInvoiceId) {
+    return await db
+      .select()
+      .from(hourlyInvoiceEntriesTable)
+      .where(eq(hourlyInvoiceEntriesTable.hourlyInvoiceId, hourlyInvoiceId))
+      .orderBy(hourlyInvoiceEntriesTable.startTime);
+  }
+
+  static async getEntryById(id) {
+    const [entry] = await db
+      .select()
+      .from(hourlyInvoiceEntriesTable)
+      .where(eq(hourlyInvoiceEntriesTable.id, id));
+    return entry;
+  }
+
+  // Time tracking sessions already on a draft, finalized or paid invoice (never billed twice)
+  static async getBilledTimeTrackingIds(timeTrackingIds) {
+    if (!timeTrackingIds.length) return [];
+    const rows = await db
+      .select({ timeTrackingId: hourlyInvoiceEntriesTable.timeTrackingId })
+      .from(hourlyInvoiceEntriesTable)
+      .innerJoin(hourlyInvoicesTable, eq(hourlyInvoicesTable.id, hourlyInvoiceEntriesTable.hourlyInvoiceId))
+      .where(
+        and(
+          inArray(hourlyInvoiceEntriesTable.timeTrackingId, timeTrackingIds),
+          ne(hourlyInvoicesTable.status, "void")
+        )
+      );
+    return rows.map((row) => row.timeTrackingId);
+  }
+
+  static async updateEntry(id, data) {
+    const [entry] = await db
+      .update(hourlyInvoiceEntriesTable)
+      .set({ ...data, updatedAt: new Date() })
+      .where(eq(hourlyInvoiceEntriesTable.id, id))
+      .returning();
+    return entry;
+  }
+
+  // Conditional status change so concurrent finalize/pay/void calls can't both win
+  static async transitionInvoice(id, fromStatuses, data) {
+    const [invoice] = await db
+      .update(hourlyInvoicesTable)
+      .set({ ...data, updatedAt: new Date() })
+      .where(
+        and(
+          eq(hourlyInvoicesTable.id, id),
+          inArray(hourlyInvoicesTable.status, fromStatuses)
+        )
+      )
+      .returning();
+    return invoice;
+  }
+
+  static async updateInvoice(id, data) {
+    const [invoice] = await db
+      .update(hourlyInvoicesTable)
+      .set({ ...data, updatedAt: new Date() })
+      .where(eq(hourlyInvoicesTable.id, id))
+      .returning();
+    return invoice;
+  }
+}
+
+// Payout Requests Model
+class PayoutRequestsModel {
+  /**
+   * Debit the ledger and create the payout request in one transaction. A per-developer
+   * advisory lock serialises concurrent requests so the available balance can't be overdrawn.
+   * Resolves to null when the available balance (as of `clearedBefore`) is too low.
+   */
+  static async createPayoutRequest({ developerId, amount, currency, method, destination, notes }, { clearedBefore }) {
+    return await db.transaction(async (tx) => {
+      await tx.execute(sql`SELECT pg_advisory_xact_lock(hashtext('developer_payout'), ${developerId})`);
+
+      const [{ available }] = await tx
+        .select({
+          available: sql`COALESCE(SUM(${developerLedgerTable.amount}) FILTER (WHERE NOT (${developerLedgerTable.type} IN ('escrow_release', 'hourly_payment') AND ${developerLedgerTable.createdAt} > ${clearedBefore.toISOString()})), 0)`,
+        })
+        .from(developerLedgerTable)
+        .where(
+          and(
+            eq(developerLedgerTable.developerId, developerId),
+            eq(developerLedgerTable.currency, currency)
+          )
+        );
+      if (parseFloat(available) < parseFloat(amount)) {
+        return null;
+      }
+
+      const [entry] = await tx
+        .insert(developerLedgerTable)
+        .values({
+          developerId,
+          type: "payout",
+          amount: (-parseFloat(amount)).toFixed(2),
+          currency,
+          description: `Payout request (${method})`,
+        })
+        .returning();
+
+      const [request] = await tx
+        .insert(payoutRequestsTable)
+        .values({
+          developerId,
+          amount,
+          currency,
+          method,
+          destination,
+          notes,
+          status: "requested",
+          ledgerEntryId: entry.id,
+        })
+        .returning();
+      return request;
+    });
+  }
+
+  static async getPayoutRequestById(id) {
+    const [request] = await db
+      .select()
+      .from(payoutRequestsTable)
+      .where(eq(payoutRequestsTable.id, id));
+    return request;
+  }
+
+  static async getPayoutRequestsByDeveloperId(developerId, limit = 50) {
+    return await db
+      .select()
+      .from(payoutRequestsTable)
+      .where(eq(payoutRequestsTable.developerId, developerId))
+      .orderBy(desc(payoutRequestsTable.createdAt))
+      .limit(limit);
+  }
+
+  static async getPayoutRequests({ status } = {}, limit = 100) {
+    const query = db.select().from(payoutRequestsTable);
+    return await (status ? query.where(eq(payoutRequestsTable.status, status)) : query)
+      .orderBy(desc(payoutRequestsTable.createdAt))
+      .limit(limit);
+  }
+
+  // Conditional status change so a request is only paid or rejected once
+  static async transitionPayoutRequest(id, fromStatuses, data) {
+    const [request] = await db
+      .update(payoutRequestsTable)
+      .set({ ...data, updatedAt: new Date() })
+      .where(
+        and(
+          eq(payoutRequestsTable.id, id),
+          inArray(payoutRequestsTable.status, fromStatuses)
+        )
+      )
+      .returning();
+    return request;
+  }
+}
+
+// Payment Events Model
+class PaymentEventsModel {
+  static async getEventByEventId(eventId) {
+    const [event] = await db
+      .select()
+      .from(paymentEventsTable)
+      .where(eq(paymentEventsTable.eventId, eventId));
+    return event;
+  }
+
+  static async createEvent(data) {
+    const [event] = await db
+      .insert(paymentEventsTable)
+      .values(data)
+      .onConflictDoNothing({ target: paymentEventsTable.eventId })
+      .returning();
+    return event;
+  }
+
+  static async markProcessed(id, billingHistoryId = null) {
+    const [event] = await db
+      .update(paymentEventsTable)
+      .set({ processedAt: new Date(), billingHistoryId })
+      .where(eq(paymentEventsTable.id, id))
+      .returning();
+    return event;
+  }
+}
+
+// Subscription Renewals Model
+class SubscriptionRenewalsModel {
+  static async claimRenewal(data) {
+    const [renewal] = await db
+      .insert(subscriptionRenewalsTable)
+      .values(data)
+      .onConflictDoNothing({
+        target: [subscriptionRenewalsTable.userId, subscriptionRenewalsTable.periodStart],
+      })
+      .returning();
+    return renewal;
+  }
+
+  static async getRenewalById(id) {
+    const [renewal] = await db
+      .select()
+      .from(subscriptionRenewalsTable)
+      .where(eq(subscriptionRenewalsTable.id, id));
+    return renewal;
+  }
+
+  static async getRenewalsDueForRetry(now = new Date(), limit = 100) {
+    return await db
+      .select()
+      .from(subscriptionRenewalsTable)
+      .where(
+        and(
+          eq(subscriptionRenewalsTable.status, "retrying"),
+          lte(subscriptionRenewalsTable.nextRetryAt, now)
+        )
+      )
+      .orderBy(subscriptionRenewalsTable.nextRetryAt)
+      .limit(limit);
+  }
+
+  static async updateRenewal(id, data) {
+    const [renewal] = await db
+      .update(subscriptionRenewalsTable)
+      .set({ ...data, updatedAt: new Date() })
+      .where(eq(subscriptionRenewalsTable.id, id))
+      .returning();
+    return renewal;
+  }
+}
+
 // Suspended Accounts Model
 class SuspendedAccountsModel {
   static async createSuspendedAccount(data) {
@@ -451,11 +1438,33 @@ module.exports = {
   disputesTable,
   subscriptionPlansTable,
   suspendedAccountsTable,
+  paymentEventsTable,
+  subscriptionRenewalsTable,
+  taxRulesTable,
+  couponsTable,
+  couponRedemptionsTable,
+  refundsTable,
+  entitlementUsageTable,
+  milestoneEscrowsTable,
+  developerLedgerTable,
+  payoutRequestsTable,
+  hourlyInvoicesTable,
+  hourlyInvoiceEntriesTable,
   BillingHistoryModel,
   PaymentMethodsModel,
   InvoicesModel,
   DisputesModel,
   SubscriptionPlansModel,
   SuspendedAccountsModel,
+  PaymentEventsModel,
+  SubscriptionRenewalsModel,
+  TaxRulesModel,
+  CouponsModel,
+  CouponRedemptionsModel,
+  RefundsModel,
+  MilestoneEscrowsModel,
+  DeveloperLedgerModel,
+  PayoutRequestsModel,
+  HourlyInvoicesModel,
 };
 
@@ -1,5 +1,8 @@
 const { userTable, UserModel } = require("./user.model");
 const { notificationsTable, NotificationsModel } = require("./notifications.model");
+const { notificationDeliveriesTable, NotificationDeliveriesModel } = require("./notification-deliveries.model");
+const { notificationDigestsTable, NotificationDigestsModel } = require("./notification-digests.model");
+const { pushSubscriptionsTable, PushSubscriptionsModel } = require("./push-subscriptions.model");
 const {
   PortfolioSyncModel,
   integrationTokensTable,
@@ -14,12 +17,34 @@ const {
   disputesTable,
   subscriptionPlansTable,
   suspendedAccountsTable,
+  paymentEventsTable,
+  subscriptionRenewalsTable,
+  taxRulesTable,
+  couponsTable,
+  couponRedemptionsTable,
+  refundsTable,
+  entitlementUsageTable,
+  milestoneEscrowsTable,
+  developerLedgerTable,
+  payoutRequestsTable,
+  hourlyInvoicesTable,
+  hourlyInvoiceEntriesTable,
   BillingHistoryModel,
   PaymentMethodsModel,
   InvoicesModel,
   DisputesModel,
   SubscriptionPlansModel,
   SuspendedAccountsModel,
+  PaymentEventsModel,
+  SubscriptionRenewalsModel,
+  TaxRulesModel,
+  CouponsModel,
+  CouponRedemptionsModel,
+  RefundsModel,
+  MilestoneEscrowsModel,
+  DeveloperLedgerModel,
+  PayoutRequestsModel,
+  HourlyInvoicesModel,
 } = require("./billing.model");
 const {
   endorsementsTable,
@@ -31,6 +56,12 @@ module.exports = {
   UserModel,
   notificationsTable,
   NotificationsModel,
+  notificationDeliveriesTable,
+  NotificationDeliveriesModel,
+  notificationDigestsTable,
+  NotificationDigestsModel,
+  pushSubscriptionsTable,
+  PushSubscriptionsModel,
   PortfolioSyncModel,
   integrationTokensTable,
   portfolioSyncDataTable,
@@ -42,12 +73,34 @@ module.exports = {
   disputesTable,
   subscriptionPlansTable,
   suspendedAccountsTable,
+  paymentEventsTable,
+  subscriptionRenewalsTable,
+  taxRulesTable,
+  couponsTable,
+  couponRedemptionsTable,
+  refundsTable,
+  entitlementUsageTable,
+  milestoneEscrowsTable,
+  developerLedgerTable,
+  payoutRequestsTable,
+  hourlyInvoicesTable,
+  hourlyInvoiceEntriesTable,
   BillingHistoryModel,
   PaymentMethodsModel,
   InvoicesModel,
   DisputesModel,
   SubscriptionPlansModel,
   SuspendedAccountsModel,
+  PaymentEventsModel,
+  SubscriptionRenewalsModel,
+  TaxRulesModel,
+  CouponsModel,
+  CouponRedemptionsModel,
+  RefundsModel,
+  MilestoneEscrowsModel,
+  DeveloperLedgerModel,
+  PayoutRequestsModel,
+  HourlyInvoicesModel,
   endorsementsTable,
   EndorsementsModel,
 };
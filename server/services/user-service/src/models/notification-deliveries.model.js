@@ -0,0 +1,150 @@
+const { pgTable, serial, integer, text, timestamp, unique } = require("drizzle-orm/pg-core");
+const { eq, and, asc, lt, lte, inArray } = require("drizzle-orm");
+const { db } = require("../config/database");
+const { notificationsTable } = require("./notifications.model");
+
+const DELIVERY_CHANNELS = ["in_app", "email", "sms", "push"];
+
+// pending -> sending -> sent | failed; deferred waits for scheduled_for (quiet hours, batching, retries);
+// digest is left for the email digest; skipped records why a channel wasn't used
+const DELIVERY_STATUSES = ["pending", "deferred", "sending", "sent", "failed", "skipped", "digest"];
+
+// Notification Deliveries Table (one row per notification and channel, written by the delivery router)
+const notificationDeliveriesTable = pgTable("notification_deliveries", {
+  id: serial("id").primaryKey(),
+  notificationId: integer("notification_id").notNull(), // FK -> notifications.id
+  userId: integer("user_id").notNull(),
+  channel: text("channel").notNull(), // 'in_app', 'email', 'sms', 'push'
+  status: text("status").default("pending").notNull(),
+  reason: text("reason"), // Why it was skipped or deferred: 'channel_disabled', 'quiet_hours', 'daily_digest', ...
+  scheduledFor: timestamp("scheduled_for"), // When a deferred delivery is due
+  attemptCount: integer("attempt_count").default(0).notNull(),
+  lastError: text("last_error"),
+  sentAt: timestamp("sent_at"),
+  digestId: integer("digest_id"), // FK -> notification_digests.id, the digest email that carried it
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .$onUpdate(() => new Date())
+    .notNull(),
+}, (table) => ({
+  uniqueNotificationChannel: unique("unique_notification_delivery_channel").on(table.notificationId, table.channel),
+}));
+
+class NotificationDeliveriesModel {
+  static async createDeliveries(deliveries) {
+    if (!deliveries.length) return [];
+    return await db
+      .insert(notificationDeliveriesTable)
+      .values(deliveries)
+      .onConflictDoNothing()
+      .returning();
+  }
+
+  static async getDeliveriesByNotificationId(notificationId) {
+    return await db
+      .select()
+      .from(notificationDeliveriesTable)
+      .where(eq(notificationDeliveriesTable.notificationId, Number(notificationId)))
+      .orderBy(asc(notificationDeliveriesTable.id));
+  }
+
+  /**
+   * Deferred deliveries whose time has come
+   */
+  static async getDueDeliveries(now = new Date(), limit = 100) {
+    return await db
+      .select()
+      .from(notificationDeliveriesTable)
+      .where(
+        and(
+          eq(notificationDeliveriesTable.status, "deferred"),
+          lte(notificationDeliveriesTable.scheduledFor, now)
+        )
+      )
+      .orderBy(asc(notificationDeliveriesTable.scheduledFor))
+      .limit(limit);
+  }
+
+  /**
+   * Move a delivery to "sending" if it is still in the expected status.
+   * Returns null when another worker got to it first.
+   */
+  static async claimDelivery(id, fromStatus) {
+    const [delivery] = await db
+      .update(notificationDeliveriesTable)
+      .set({ status: "sending", updatedAt: new Date() })
+      .where(
+        and(
+          eq(notificationDeliveriesTable.id, Number(id)),
+          eq(notificationDeliveriesTable.status, fromStatus)
+        )
+      )
+      .returning();
+    return delivery || null;
+  }
+
+  /**
+   * Users with email deliveries waiting for a digest created before the given time
+   */
+  static async getDigestUserIds(before) {
+    const rows = await db
+      .selectDistinct({ userId: notificationDeliveriesTable.userId })
+      .from(notificationDeliveriesTable)
+      .where(
+        and(
+          eq(notificationDeliveriesTable.channel, "email"),
+          eq(notificationDeliveriesTable.status, "digest"),
+          lt(notificationDeliveriesTable.createdAt, before)
+        )
+      );
+    return rows.map((row) => row.userId);
+  }
+
+  /**
+   * A user's waiting digest deliveries with their notifications, oldest first
+   */
+  static async getDigestItems(userId, before) {
+    return await db
+      .select({
+        delivery: notificationDeliveriesTable,
+        notification: notificationsTable,
+      })
+      .from(notificationDeliveriesTable)
+      .innerJoin(notificationsTable, eq(notificationsTable.id, notificationDeliveriesTable.notificationId))
+      .where(
+        and(
+          eq(notificationDeliveriesTable.userId, Number(userId)),
+          eq(notificationDeliveriesTable.channel, "email"),
+          eq(notificationDeliveriesTable.status, "digest"),
+          lt(notificationDeliveriesTable.createdAt, before)
+        )
+      )
+      .orderBy(asc(notificationDeliveriesTable.createdAt));
+  }
+
+  static async updateDeliveries(ids, data) {
+    if (!ids.length) return [];
+    return await db
+      .update(notificationDeliveriesTable)
+      .set({ ...data, updatedAt: new Date() })
+      .where(inArray(notificationDeliveriesTable.id, ids))
+      .returning({ id: notificationDeliveriesTable.id });
+  }
+
+  static async updateDelivery(id, data) {
+    const [delivery] = await db
+      .update(notificationDeliveriesTable)
+      .set({ ...data, updatedAt: new Date() })
+      .where(eq(notificationDeliveriesTable.id, Number(id)))
+      .returning();
+    return delivery;
+  }
+}
+
+module.exports = {
+  DELIVERY_CHANNELS,
+  DELIVERY_STATUSES,
+  notificationDeliveriesTable,
+  NotificationDeliveriesModel,
+};
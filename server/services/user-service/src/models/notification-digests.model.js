@@ -0,0 +1,55 @@
+const { pgTable, serial, integer, text, timestamp, unique } = require("drizzle-orm/pg-core");
+const { eq } = require("drizzle-orm");
+const { db } = require("../config/database");
+
+// Notification Digests Table (one row per user and digest period, written by the digest worker)
+const notificationDigestsTable = pgTable("notification_digests", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id").notNull(),
+  frequency: text("frequency").notNull(), // 'daily', 'weekly'
+  periodStart: timestamp("period_start").notNull(),
+  periodEnd: timestamp("period_end").notNull(),
+  status: text("status").default("sending").notNull(), // 'sending', 'sent', 'failed', 'skipped'
+  reason: text("reason"), // Why nothing was sent: 'nothing_unread', 'channel_disabled', 'no_email_address'
+  notificationCount: integer("notification_count").default(0).notNull(),
+  lastError: text("last_error"),
+  sentAt: timestamp("sent_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .$onUpdate(() => new Date())
+    .notNull(),
+}, (table) => ({
+  // A period is only digested once; the insert doubles as the worker's claim on it
+  uniqueUserPeriod: unique("unique_notification_digest_period").on(table.userId, table.frequency, table.periodStart),
+}));
+
+class NotificationDigestsModel {
+  /**
+   * Claim a user's digest for a period. Returns undefined when it was already claimed.
+   */
+  static async claimDigest(data) {
+    const [digest] = await db
+      .insert(notificationDigestsTable)
+      .values(data)
+      .onConflictDoNothing({
+        target: [notificationDigestsTable.userId, notificationDigestsTable.frequency, notificationDigestsTable.periodStart],
+      })
+      .returning();
+    return digest;
+  }
+
+  static async updateDigest(id, data) {
+    const [digest] = await db
+      .update(notificationDigestsTable)
+      .set({ ...data, updatedAt: new Date() })
+      .where(eq(notificationDigestsTable.id, Number(id)))
+      .returning();
+    return digest;
+  }
+}
+
+module.exports = {
+  notificationDigestsTable,
+  NotificationDigestsModel,
+};
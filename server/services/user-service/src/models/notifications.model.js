@@ -1,5 +1,5 @@
 const { pgTable, serial, text, integer, timestamp, boolean, pgEnum } = require("drizzle-orm/pg-core");
-const { eq, and, desc, ne, or, isNull } = require("drizzle-orm");
+const { eq, and, desc, ne, or, isNull, count } = require("drizzle-orm");
 const { db } = require("../config/database");
 
 // Enum for notification types
@@ -189,8 +189,8 @@ class NotificationsModel {
    * Get unread count for a user
    */
   static async getUnreadCount(userId) {
-    const result = await db
-      .select()
+    const [result] = await db
+      .select({ count: count() })
       .from(notificationsTable)
       .where(and(
         eq(notificationsTable.userId, Number(userId)),
@@ -199,7 +199,7 @@ class NotificationsModel {
       ));
 
     // Return count of unread notifications
-    return result ? result.length : 0;
+    return result ? Number(result.count) : 0;
   }
 
   /**
@@ -0,0 +1,92 @@
+const { pgTable, serial, integer, text, timestamp } = require("drizzle-orm/pg-core");
+const { eq, and, desc, inArray } = require("drizzle-orm");
+const { db } = require("../config/database");
+
+// Push Subscriptions Table (one row per browser/device that accepted Web Push)
+const pushSubscriptionsTable = pgTable("push_subscriptions", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id").notNull(),
+  endpoint: text("endpoint").notNull().unique(), // Push service URL; identifies the device
+  p256dh: text("p256dh").notNull(), // Client public key (payload encryption)
+  auth: text("auth").notNull(), // Client auth secret (payload encryption)
+  userAgent: text("user_agent"),
+  expirationTime: timestamp("expiration_time"),
+  lastSuccessAt: timestamp("last_success_at"),
+  lastError: text("last_error"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .$onUpdate(() => new Date())
+    .notNull(),
+});
+
+class PushSubscriptionsModel {
+  /**
+   * Save a device subscription. Re-subscribing the same browser (same endpoint) refreshes its
+   * keys and moves it to the current user, so a shared device only notifies whoever is logged in.
+   */
+  static async upsertSubscription(data) {
+    const [subscription] = await db
+      .insert(pushSubscriptionsTable)
+      .values(data)
+      .onConflictDoUpdate({
+        target: pushSubscriptionsTable.endpoint,
+        set: {
+          userId: data.userId,
+          p256dh: data.p256dh,
+          auth: data.auth,
+          userAgent: data.userAgent,
+          expirationTime: data.expirationTime,
+          lastError: null,
+          updatedAt: new Date(),
+        },
+      })
+      .returning();
+    return subscription;
+  }
+
+  static async getSubscriptionsByUserId(userId) {
+    return await db
+      .select()
+      .from(pushSubscriptionsTable)
+      .where(eq(pushSubscriptionsTable.userId, Number(userId)))
+      .orderBy(desc(pushSubscriptionsTable.createdAt));
+  }
+
+  static async updateSubscription(id, data) {
+    const [subscription] = await db
+      .update(pushSubscriptionsTable)
+      .set({ ...data, updatedAt: new Date() })
+      .where(eq(pushSubscriptionsTable.id, Number(id)))
+      .returning();
+    return subscription;
+  }
+
+  // Unsubscribe a device; scoped to the user so one user can't remove another's device
+  static async deleteSubscription(userId, endpoint) {
+    const [subscription] = await db
+      .delete(pushSubscriptionsTable)
+      .where(
+        and(
+          eq(pushSubscriptionsTable.userId, Number(userId)),
+          eq(pushSubscriptionsTable.endpoint, endpoint)
+        )
+      )
+      .returning();
+    return subscription;
+  }
+
+  // Drop subscriptions the push service reported as gone (404/410)
+  static async deleteSubscriptionsByIds(ids) {
+    if (!ids.length) return [];
+    return await db
+      .delete(pushSubscriptionsTable)
+      .where(inArray(pushSubscriptionsTable.id, ids))
+      .returning();
+  }
+}
+
+module.exports = {
+  pushSubscriptionsTable,
+  PushSubscriptionsModel,
+};
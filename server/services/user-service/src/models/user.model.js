@@ -9,6 +9,7 @@ const {
   json,
   uuid,
   pgEnum,
+  numeric,
 } = require("drizzle-orm/pg-core");
 
 const { eq, and, or, ne, ilike, desc } = require("drizzle-orm");
@@ -33,6 +34,7 @@ const userTable = pgTable("users", {
   experience: text("experience"),
   location: text("location"),
   availability: text("availability"),
+  hourlyRate: numeric("hourly_rate", { precision: 10, scale: 2 }), // Default rate billed on hourly projects
   resumeUrl: text("resume_url"),
   xp: integer("xp").default(0),
   badges: json("badges").default([]),
@@ -46,6 +48,7 @@ const userTable = pgTable("users", {
   resetPasswordToken: text("reset_password_token"),
   resetPasswordExpire: timestamp("reset_password_expire"),
   notificationPrefs: json("notification_prefs").default({}),
+  locale: text("locale"), // Preferred email language ("en", "es"); null = default
   role: roleEnum("role").default("developer").notNull(), // Keep for backward compatibility
   roles: json("roles").default([]), // New: array of roles
   isDeleted: boolean("is_deleted").default(false).notNull(),
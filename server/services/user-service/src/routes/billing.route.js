@@ -2,10 +2,14 @@ const express = require("express");
 const billingController = require("../controllers/billing.controller");
 const authenticate = require("shared/middleware/auth.middleware");
 const { requireRole } = require("shared/middleware/roleAuth.middleware");
+const { requireEntitlement } = require("shared/middleware/entitlement.middleware");
 
 const billingRouter = express.Router();
 
-// All routes require authentication
+// Payment provider webhooks (authenticated by provider signature, not JWT)
+billingRouter.post("/webhooks/:provider", billingController.handlePaymentWebhook);
+
+// All other routes require authentication
 billingRouter.use(authenticate);
 
 // Get billing data (all users)
@@ -16,8 +20,14 @@ billingRouter.get("/subscription-plans", billingController.getSubscriptionPlans)
 billingRouter.post("/subscription/purchase", billingController.purchaseSubscription);
 billingRouter.post("/subscription/cancel", billingController.cancelSubscription);
 
-// Project visibility/boost endpoints (project owners)
-billingRouter.post("/project/upgrade-visibility", billingController.upgradeProjectVisibility);
+// Plan limits and usage (projects, invites, AI credits, boosts, ...)
+billingRouter.get("/entitlements", billingController.getEntitlements);
+
+// Project visibility/boost endpoints (project owners; limited active boosts per plan)
+billingRouter.post("/project/upgrade-visibility", requireEntitlement("boosts"), billingController.upgradeProjectVisibility);
+
+// Payment status endpoint (poll pending payments)
+billingRouter.get("/payments/:billingHistoryId", billingController.getPaymentStatus);
 
 // Payment methods endpoints
 billingRouter.get("/payment-methods", billingController.getPaymentMethods);
@@ -30,11 +40,50 @@ billingRouter.post("/disputes", billingController.createDispute);
 billingRouter.get("/disputes", requireRole(["admin"]), billingController.getDisputes);
 billingRouter.put("/disputes/:id/resolve", requireRole(["admin"]), billingController.resolveDispute);
 
+// Refunds audit trail (admin only)
+billingRouter.get("/refunds", requireRole(["admin"]), billingController.getRefunds);
+
+// Milestone escrow endpoints (owners fund and release, developers see their ledger)
+billingRouter.get("/escrow", billingController.getEscrows);
+billingRouter.get("/escrow/ledger", billingController.getDeveloperLedger);
+billingRouter.get("/escrow/milestones/:milestoneId", billingController.getMilestoneEscrow);
+billingRouter.post("/escrow/milestones/:milestoneId/fund", billingController.fundMilestoneEscrow);
+billingRouter.post("/escrow/milestones/:milestoneId/release", billingController.releaseMilestoneEscrow);
+billingRouter.post("/escrow/:id/dispute", billingController.disputeEscrow);
+
+// Developer earnings and payouts
+billingRouter.get("/earnings", billingController.getEarnings);
+billingRouter.post("/earnings/payouts", billingController.requestPayout);
+billingRouter.get("/earnings/admin/payouts", requireRole(["admin"]), billingController.getPayoutRequests);
+billingRouter.put("/earnings/admin/payouts/:id", requireRole(["admin"]), billingController.processPayoutRequest);
+
+// Hourly invoices from tracked time
+billingRouter.get("/hourly-invoices", billingController.getHourlyInvoices);
+billingRouter.post("/hourly-invoices", billingController.generateHourlyInvoice);
+billingRouter.get("/hourly-invoices/:id", billingController.getHourlyInvoice);
+billingRouter.put("/hourly-invoices/:id/entries/:entryId", billingController.adjustHourlyInvoiceEntry);
+billingRouter.post("/hourly-invoices/:id/entries/:entryId/contest", billingController.contestHourlyInvoiceEntry);
+billingRouter.put("/hourly-invoices/:id/entries/:entryId/contest", billingController.resolveHourlyInvoiceContest);
+billingRouter.post("/hourly-invoices/:id/finalize", billingController.finalizeHourlyInvoice);
+billingRouter.delete("/hourly-invoices/:id", billingController.voidHourlyInvoice);
+
 // Suspended accounts endpoints (admin only)
 billingRouter.get("/suspended-accounts", requireRole(["admin"]), billingController.getSuspendedAccounts);
 billingRouter.post("/suspended-accounts", requireRole(["admin"]), billingController.suspendAccount);
 billingRouter.put("/suspended-accounts/:id/unsuspend", requireRole(["admin"]), billingController.unsuspendAccount);
 
+// Tax rules (admin only)
+billingRouter.get("/tax-rules", requireRole(["admin"]), billingController.getTaxRules);
+billingRouter.post("/tax-rules", requireRole(["admin"]), billingController.createTaxRule);
+billingRouter.put("/tax-rules/:id", requireRole(["admin"]), billingController.updateTaxRule);
+billingRouter.delete("/tax-rules/:id", requireRole(["admin"]), billingController.deleteTaxRule);
+
+// Coupons: buyers preview a code, admins manage codes
+billingRouter.post("/coupons/validate", billingController.validateCoupon);
+billingRouter.get("/coupons", requireRole(["admin"]), billingController.getCoupons);
+billingRouter.post("/coupons", requireRole(["admin"]), billingController.createCoupon);
+billingRouter.put("/coupons/:id", requireRole(["admin"]), billingController.updateCoupon);
+
 // Admin dashboard endpoint
 billingRouter.get("/admin/dashboard", requireRole(["admin"]), billingController.getAdminDashboard);
 
@@ -0,0 +1,13 @@
+const express = require("express");
+const notificationsController = require("../controllers/notifications.controller");
+const { requireInternalKey } = require("shared/middleware/internalAuth.middleware");
+
+const internalRouter = express.Router();
+
+// Service-to-service only: called directly by other services, not exposed through the gateway
+internalRouter.use(requireInternalKey);
+
+// Notify any user (e.g. chat-service for offline recipients and @mentions)
+internalRouter.post("/notifications", notificationsController.createInternalNotification);
+
+module.exports = internalRouter;
@@ -0,0 +1,15 @@
+const express = require("express");
+const billingController = require("../controllers/billing.controller");
+const authenticate = require("shared/middleware/auth.middleware");
+
+const invoiceRouter = express.Router();
+
+invoiceRouter.use(authenticate);
+
+// Download invoice PDF (owner or admin)
+invoiceRouter.get("/invoices/:invoiceNumber/pdf", billingController.downloadInvoicePdf);
+
+// Download the developer's earnings statement (CSV or PDF)
+invoiceRouter.get("/earnings/statement", billingController.downloadEarningsStatement);
+
+module.exports = invoiceRouter;
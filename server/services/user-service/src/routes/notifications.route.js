@@ -4,10 +4,21 @@ const authenticate = require("shared/middleware/auth.middleware");
 
 const notificationsRouter = express.Router();
 
+// Email unsubscribe (token in the link, no login); GET only shows the confirmation form
+notificationsRouter.get("/unsubscribe", notificationsController.showEmailUnsubscribePage);
+notificationsRouter.post("/unsubscribe", notificationsController.unsubscribeFromEmails);
+
+// Web Push (per-device subscriptions)
+notificationsRouter.get("/push/public-key", authenticate, notificationsController.getPushPublicKey);
+notificationsRouter.get("/push/subscriptions", authenticate, notificationsController.getPushSubscriptions);
+notificationsRouter.post("/push/subscriptions", authenticate, notificationsController.subscribeToPush);
+notificationsRouter.delete("/push/subscriptions", authenticate, notificationsController.unsubscribeFromPush);
+
 // All notification routes
 notificationsRouter.get("/", authenticate, notificationsController.getNotifications);
 notificationsRouter.get("/unread-count", authenticate, notificationsController.getUnreadCount);
 notificationsRouter.post("/", authenticate, notificationsController.createNotification);
+notificationsRouter.get("/:notificationId/deliveries", authenticate, notificationsController.getNotificationDeliveries);
 notificationsRouter.put("/:notificationId/read", authenticate, notificationsController.markAsRead);
 notificationsRouter.put("/read-all", authenticate, notificationsController.markAllAsRead);
 notificationsRouter.delete("/:notificationId", authenticate, notificationsController.deleteNotification);
@@ -1,5 +1,6 @@
 const express = require("express");
 const userController = require("../controllers/user.controller");
+const emailTemplatesController = require("../controllers/email-templates.controller");
 const authenticate = require("shared/middleware/auth.middleware");
 const { requireRole } = require("shared/middleware/roleAuth.middleware");
 
@@ -57,6 +58,11 @@ userRouter.get("/:userId/with-roles", authenticate, requireRole(['admin']), user
 userRouter.get("/roles/stats", authenticate, requireRole(['admin']), userController.getRoleStats);
 userRouter.get("/admin/analytics", authenticate, requireRole(['admin']), userController.getAdminAnalytics);
 
+// Email Templates (Admin only)
+userRouter.get("/admin/email-templates", authenticate, requireRole(['admin']), emailTemplatesController.getEmailTemplates);
+userRouter.get("/admin/email-templates/:name/preview", authenticate, requireRole(['admin']), emailTemplatesController.previewEmailTemplate);
+userRouter.post("/admin/email-templates/:name/preview", authenticate, requireRole(['admin']), emailTemplatesController.previewEmailTemplate);
+
 // Developer Dashboard / Gamification
 userRouter.get("/developer/stats", authenticate, userController.getDeveloperStats);
 userRouter.get("/developer/reviews", authenticate, userController.getDeveloperReviews);
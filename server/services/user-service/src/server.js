@@ -16,6 +16,12 @@ const authRouter = require("./routes/auth.route");
 const notificationsRouter = require("./routes/notifications.route");
 const portfolioSyncRouter = require("./routes/portfolio-sync.route");
 const billingRouter = require("./routes/billing.route");
+const invoiceRouter = require("./routes/invoice.route");
+const internalRouter = require("./routes/internal.route");
+const { validatePaymentConfig } = require("./services/payment-providers");
+const { startRenewalWorker } = require("./workers/subscription-renewal.worker");
+const { startDeliveryWorker } = require("./workers/notification-delivery.worker");
+const { startDigestWorker } = require("./workers/notification-digest.worker");
 require("./config/passport");
 
 const app = express();
@@ -28,7 +34,14 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false
 }));
 
-app.use(express.json());
+// Keep the raw body around for payment webhook signature verification
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(
   session({
     secret: process.env.SESSION_SECRET || "default_secret",
@@ -61,7 +74,9 @@ app.use("/api/v1/user", userRouter);
 app.use("/api/v1/user/notifications", notificationsRouter);
 app.use("/api/v1/user/portfolio-sync", portfolioSyncRouter);
 app.use("/api/v1/user/billing", billingRouter);
+app.use("/api/v1/billing", invoiceRouter);
 app.use("/api/v1/auth", authRouter);
+app.use("/internal/v1", internalRouter);
 
 // ❌ Handle Undefined Routes (Optional)
 // app.all("*", (req, res, next) => {
@@ -74,7 +89,11 @@ app.use(errorMiddleware);
 // 🚀 Start Server
 const startServer = async () => {
   try {
+    console.log(`💳 Payment provider: ${validatePaymentConfig()}`);
     await initializeDatabase();
+    startRenewalWorker();
+    startDeliveryWorker();
+    startDigestWorker();
     app.listen(PORT, () =>
       console.log(`🚀 User Service running on http://localhost:${PORT}`)
     );
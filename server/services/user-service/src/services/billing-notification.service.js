@@ -0,0 +1,67 @@
+const NotificationDeliveryService = require("./notification-delivery.service");
+const { UserModel } = require("../models/user.model");
+const { sendTemplatedMail } = require("shared/utils/sendEmail");
+
+/**
+ * Create an in-app billing notification for a user.
+ * Notifications are best-effort: a failure here never fails the billing operation.
+ */
+const notifyBillingEvent = async (
+  userId,
+  {
+    type = "Billing Reminder",
+    title,
+    message,
+    priority = "medium",
+    relatedEntityId,
+    relatedEntityType = "billing_history",
+    metadata,
+  }
+) => {
+  try {
+    await NotificationDeliveryService.createNotification({
+      userId,
+      type,
+      title,
+      message,
+      category: "billing",
+      priority,
+      action: "View Billing",
+      actionUrl: "/billing-subscription",
+      relatedEntityId,
+      relatedEntityType,
+      metadata,
+    });
+  } catch (error) {
+    console.error("[BillingNotification] Failed to create billing notification:", error.message);
+  }
+};
+
+/**
+ * Email the "invoice" receipt for a paid invoice in the user's language.
+ * Best-effort like notifyBillingEvent.
+ */
+const sendInvoiceEmail = async (userId, invoice, { description } = {}) => {
+  try {
+    const user = await UserModel.getUserById(userId);
+    if (!user?.email) return;
+
+    await sendTemplatedMail("invoice", {
+      to: user.email,
+      locale: user.locale,
+      data: {
+        name: user.name,
+        invoiceNumber: invoice.invoiceNumber,
+        description,
+        amount: invoice.total ?? invoice.amount,
+        currency: invoice.currency,
+        paidAt: invoice.paidAt,
+        invoiceUrl: `${process.env.CLIENT_URL || ""}/billing-subscription`,
+      },
+    });
+  } catch (error) {
+    console.error("[BillingNotification] Failed to send invoice email:", error.message);
+  }
+};
+
+module.exports = { notifyBillingEvent, sendInvoiceEmail };
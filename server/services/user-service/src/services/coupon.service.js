@@ -0,0 +1,133 @@
+const {
+  CouponsModel,
+  CouponRedemptionsModel,
+} = require("../models/billing.model");
+const HttpException = require("shared/utils/HttpException.utils");
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const PURCHASE_TYPE_LABELS = {
+  subscription: "subscriptions",
+  boost: "project boosts",
+};
+
+/**
+ * Promo codes: validation, discount calculation and the redemption lifecycle.
+ *
+ * A redemption is reserved when checkout starts (counting towards usage limits),
+ * applied once the payment succeeds and voided - releasing the use - if it fails.
+ * Coupons only discount the charge they were entered on, never later renewals.
+ */
+class CouponService {
+  static calculateDiscount(coupon, amount) {
+    const value = parseFloat(coupon.discountValue);
+    const discount = coupon.discountType === "percent" ? amount * (value / 100) : value;
+    return roundMoney(Math.min(Math.max(discount, 0), amount));
+  }
+
+  /**
+   * Check a code against a purchase and work out the discount.
+   * Throws a 400 HttpException with a buyer-facing message when the code can't be used.
+   *
+   * @param {string} code
+   * @param {Object} purchase
+   * @param {number} purchase.userId
+   * @param {'subscription'|'boost'} purchase.purchaseType
+   * @param {string} [purchase.planName] - Plan being bought (subscriptions)
+   * @param {number} purchase.amount - Pre-tax amount the coupon applies to
+   * @param {string} purchase.currency
+   * @returns {Promise<{ coupon: Object, amount: number }>}
+   */
+  static async previewDiscount(code, { userId, purchaseType, planName, amount, currency }) {
+    const coupon = code ? await CouponsModel.getCouponByCode(String(code).trim()) : null;
+    if (!coupon || !coupon.isActive) {
+      throw new HttpException(400, "Invalid promo code");
+    }
+
+    if (coupon.expiresAt && new Date(coupon.expiresAt) <= new Date()) {
+      throw new HttpException(400, "This promo code has expired");
+    }
+
+    if (coupon.appliesTo !== "all" && coupon.appliesTo !== purchaseType) {
+      throw new HttpException(400, `This promo code is only valid for ${PURCHASE_TYPE_LABELS[coupon.appliesTo] || coupon.appliesTo}`);
+    }
+
+    const planNames = Array.isArray(coupon.planNames) ? coupon.planNames : [];
+    if (purchaseType === "subscription" && planNames.length > 0
+      && !planNames.some((name) => name.toLowerCase() === String(planName).toLowerCase())) {
+      throw new HttpException(400, `This promo code is only valid for the ${planNames.join(", ")} plan${planNames.length > 1 ? "s" : ""}`);
+    }
+
+    if (coupon.discountType === "fixed" && coupon.currency && coupon.currency !== currency) {
+      throw new HttpException(400, `This promo code can only be used for payments in ${coupon.currency}`);
+    }
+
+    if (coupon.maxRedemptions !== null && coupon.redemptionCount >= coupon.maxRedemptions) {
+      throw new HttpException(400, "This promo code has reached its usage limit");
+    }
+
+    if (coupon.maxRedemptionsPerUser) {
+      const used = await CouponRedemptionsModel.countUserRedemptions(coupon.id, userId);
+      if (used >= coupon.maxRedemptionsPerUser) {
+        throw new HttpException(400, "You have already used this promo code");
+      }
+    }
+
+    const discount = CouponService.calculateDiscount(coupon, parseFloat(amount) || 0);
+    if (discount <= 0) {
+      throw new HttpException(400, "This promo code doesn't reduce the price of this purchase");
+    }
+
+    return { coupon, amount: discount };
+  }
+
+  /**
+   * Take one use of the coupon before the billing record exists.
+   * Throws if the last use was taken by a concurrent checkout.
+   */
+  static async reserve(coupon) {
+    const claimed = await CouponsModel.claimRedemption(coupon.id);
+    if (!claimed) {
+      throw new HttpException(400, "This promo code has reached its usage limit");
+    }
+    return claimed;
+  }
+
+  static async release(coupon) {
+    await CouponsModel.releaseRedemption(coupon.id);
+  }
+
+  static async recordRedemption({ coupon, userId, billingHistoryId, discountAmount, currency, status = "pending" }) {
+    return await CouponRedemptionsModel.createRedemption({
+      couponId: coupon.id,
+      userId,
+      billingHistoryId,
+      discountAmount: discountAmount.toFixed(2),
+      currency,
+      status,
+    });
+  }
+
+  /**
+   * Payment for a discounted checkout succeeded.
+   */
+  static async confirmRedemption(billingHistoryId) {
+    const redemption = await CouponRedemptionsModel.getRedemptionByBillingHistoryId(billingHistoryId);
+    if (redemption && redemption.status === "pending") {
+      await CouponRedemptionsModel.updateRedemption(redemption.id, { status: "applied" });
+    }
+  }
+
+  /**
+   * Payment for a discounted checkout failed: give the use back so the buyer can retry.
+   */
+  static async voidRedemption(billingHistoryId) {
+    const redemption = await CouponRedemptionsModel.getRedemptionByBillingHistoryId(billingHistoryId);
+    if (redemption && redemption.status === "pending") {
+      await CouponRedemptionsModel.updateRedemption(redemption.id, { status: "void" });
+      await CouponsModel.releaseRedemption(redemption.couponId);
+    }
+  }
+}
+
+module.exports = CouponService;
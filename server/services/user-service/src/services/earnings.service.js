@@ -0,0 +1,338 @@
+const {
+  DeveloperLedgerModel,
+  MilestoneEscrowsModel,
+  PayoutRequestsModel,
+} = require("../models/billing.model");
+const HttpException = require("shared/utils/HttpException.utils");
+const { notifyBillingEvent } = require("./billing-notification.service");
+const PricingService = require("./pricing.service");
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const DEFAULT_CLEARANCE_DAYS = 7;
+const DEFAULT_PAYOUT_MINIMUM = 50;
+const PAYOUT_METHODS = ["bank_transfer", "paypal", "wise"];
+
+// Days released earnings stay pending before they can be paid out
+const getClearanceDays = () => {
+  const days = parseInt(process.env.EARNINGS_CLEARANCE_DAYS);
+  return isNaN(days) || days < 0 ? DEFAULT_CLEARANCE_DAYS : days;
+};
+
+// Smallest payout a developer can request, in the payout currency
+const getPayoutMinimum = () => {
+  const amount = parseFloat(process.env.PAYOUT_MINIMUM_AMOUNT);
+  return isNaN(amount) || amount < 0 ? DEFAULT_PAYOUT_MINIMUM : amount;
+};
+
+const getClearedBefore = () => new Date(Date.now() - getClearanceDays() * 24 * 60 * 60 * 1000);
+
+const LEDGER_TYPE_LABELS = {
+  escrow_release: "Milestone payment",
+  hourly_payment: "Hourly invoice",
+  reversal: "Reversal",
+  payout: "Payout",
+  payout_reversal: "Payout returned",
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Statement periods are whole UTC days; defaults to the current calendar month
+const parseStatementPeriod = ({ from, to }) => {
+  const now = new Date();
+  const start = from
+    ? new Date(`${from}T00:00:00.000Z`)
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const end = to
+    ? new Date(`${to}T23:59:59.999Z`)
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0, 23, 59, 59, 999));
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new HttpException(400, "from and to must be dates in YYYY-MM-DD format");
+  }
+  if (start > end) {
+    throw new HttpException(400, "from must be on or before to");
+  }
+  return { start, end };
+};
+
+/**
+ * Developer earnings on top of the developer_ledger.
+ *
+ * Released milestone escrows and paid hourly invoices are credited to the ledger and stay
+ * pending for the clearance period (EARNINGS_CLEARANCE_DAYS) before they become available.
+ * A payout request debits the available balance straight away; an admin then marks it paid,
+ * or rejects it, which credits the amount back.
+ */
+class EarningsService {
+  static getPayoutSettings() {
+    return {
+      minimumAmount: getPayoutMinimum(),
+      clearanceDays: getClearanceDays(),
+      methods: PAYOUT_METHODS,
+    };
+  }
+
+  /**
+   * Balances per currency: in escrow (funded, not released), pending (clearing),
+   * available (can be paid out), plus totals earned and paid out.
+   */
+  static async getBalances(developerId) {
+    const [summary, escrows, payouts] = await Promise.all([
+      DeveloperLedgerModel.getEarningsSummary(developerId, getClearedBefore()),
+      MilestoneEscrowsModel.getEscrowsForUser(developerId),
+      PayoutRequestsModel.getPayoutRequestsByDeveloperId(developerId, 1000),
+    ]);
+
+    const balances = {};
+    const forCurrency = (currency) => {
+      if (!balances[currency]) {
+        balances[currency] = { currency, inEscrow: 0, pending: 0, available: 0, earned: 0, requested: 0, paidOut: 0 };
+      }
+      return balances[currency];
+    };
+
+    summary.forEach((row) => {
+      Object.assign(forCurrency(row.currency), {
+        pending: roundMoney(row.pending),
+        available: roundMoney(row.available),
+        earned: roundMoney(row.earned),
+      });
+    });
+    escrows
+      .filter((escrow) => escrow.developerId === developerId && ["funded", "disputed"].includes(escrow.status))
+      .forEach((escrow) => {
+        const balance = forCurrency(escrow.currency);
+        balance.inEscrow = roundMoney(balance.inEscrow + parseFloat(escrow.developerAmount));
+      });
+    payouts.forEach((payout) => {
+      const balance = forCurrency(payout.currency);
+      if (payout.status === "requested") balance.requested = roundMoney(balance.requested + parseFloat(payout.amount));
+      if (payout.status === "paid") balance.paidOut = roundMoney(balance.paidOut + parseFloat(payout.amount));
+    });
+
+    return Object.values(balances);
+  }
+
+  // Released earnings grouped per project, with the milestones that paid them
+  static async getEarningsByProject(developerId) {
+    const rows = await DeveloperLedgerModel.getEarningsByMilestone(developerId);
+
+    const projects = new Map();
+    rows.forEach((row) => {
+      const key = `${row.project_id}:${row.currency}`;
+      if (!projects.has(key)) {
+        projects.set(key, {
+          projectId: row.project_id,
+          projectTitle: row.project_title || `Project ${row.project_id}`,
+          currency: row.currency,
+          amount: 0,
+          milestones: [],
+        });
+      }
+      const project = projects.get(key);
+      const amount = parseFloat(row.amount);
+      project.amount = roundMoney(project.amount + amount);
+      project.milestones.push({
+        milestoneId: row.milestone_id,
+        milestoneTitle: row.milestone_title || (row.milestone_id ? `Milestone ${row.milestone_id}` : "Hourly work"),
+        amount,
+        lastPaidAt: row.last_paid_at ? new Date(row.last_paid_at).toISOString() : null,
+      });
+    });
+
+    return Array.from(projects.values());
+  }
+
+  /**
+   * Request a payout of available earnings.
+   * Throws a 400 HttpException for invalid input, amounts under the minimum or over the available balance.
+   */
+  static async requestPayout(developerId, { amount, currency, method, destination, notes }) {
+    const payoutAmount = roundMoney(parseFloat(amount));
+    if (isNaN(payoutAmount) || payoutAmount <= 0) {
+      throw new HttpException(400, "Amount must be greater than 0");
+    }
+
+    const payoutCurrency = String(currency || "USD").trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(payoutCurrency)) {
+      throw new HttpException(400, "Currency must be a 3-letter ISO code");
+    }
+
+    if (!PAYOUT_METHODS.includes(method)) {
+      throw new HttpException(400, `Payout method must be one of: ${PAYOUT_METHODS.join(", ")}`);
+    }
+    if (!destination || (typeof destination === "object" && Object.keys(destination).length === 0)) {
+      throw new HttpException(400, "Payout destination details are required");
+    }
+
+    const minimum = getPayoutMinimum();
+    if (payoutAmount < minimum) {
+      throw new HttpException(400, `The minimum payout is ${PricingService.formatMoney(minimum, payoutCurrency)}`, {
+        minimumAmount: minimum,
+      });
+    }
+
+    const request = await PayoutRequestsModel.createPayoutRequest(
+      {
+        developerId,
+        amount: payoutAmount.toFixed(2),
+        currency: payoutCurrency,
+        method,
+        destination: typeof destination === "string" ? { details: destination } : destination,
+        notes: notes || null,
+      },
+      { clearedBefore: getClearedBefore() }
+    );
+    if (!request) {
+      throw new HttpException(400, "The requested amount is more than your available balance");
+    }
+
+    await notifyBillingEvent(developerId, {
+      type: "Billing Reminder",
+      title: "Payout requested",
+      message: `Your payout of ${PricingService.formatMoney(payoutAmount, payoutCurrency)} has been requested and will be processed by our team.`,
+      priority: "low",
+      relatedEntityId: request.id,
+      relatedEntityType: "payout_request",
+    });
+
+    return request;
+  }
+
+  /**
+   * Admin marks a requested payout as paid (with the transfer reference) or rejects it,
+   * crediting the amount back to the developer's available balance.
+   */
+  static async processPayout(payoutId, { adminId, status, reference, notes }) {
+    if (!["paid", "rejected"].includes(status)) {
+      throw new HttpException(400, "Status must be 'paid' or 'rejected'");
+    }
+
+    const existing = await PayoutRequestsModel.getPayoutRequestById(payoutId);
+    if (!existing) {
+      throw new HttpException(404, "Payout request not found");
+    }
+
+    const processed = await PayoutRequestsModel.transitionPayoutRequest(payoutId, ["requested"], {
+      status,
+      reference: reference || null,
+      notes: notes || existing.notes,
+      processedBy: adminId,
+      processedAt: new Date(),
+    });
+    if (!processed) {
+      throw new HttpException(409, `This payout request has already been ${existing.status}`);
+    }
+
+    const formatted = PricingService.formatMoney(processed.amount, processed.currency);
+    if (status === "rejected") {
+      await DeveloperLedgerModel.createEntry({
+        developerId: processed.developerId,
+        type: "payout_reversal",
+        amount: processed.amount,
+        currency: processed.currency,
+        description: `Payout request #${processed.id} rejected`,
+      });
+    }
+
+    await notifyBillingEvent(processed.developerId, {
+      type: status === "paid" ? "Billing Reminder" : "Billing Alert",
+      title: status === "paid" ? "Payout sent" : "Payout rejected",
+      message: status === "paid"
+        ? `Your payout of ${formatted} has been sent${reference ? ` (reference ${reference})` : ""}.`
+        : `Your payout of ${formatted} was rejected${notes ? `: ${notes}` : ""}. The amount is back in your available balance.`,
+      priority: status === "paid" ? "medium" : "high",
+      relatedEntityId: processed.id,
+      relatedEntityType: "payout_request",
+    });
+
+    return processed;
+  }
+
+  /**
+   * Ledger statement for a period: opening and closing balance per currency and every entry in between.
+   * @param {number} developerId
+   * @param {Object} period - { from, to } as YYYY-MM-DD strings (defaults to the current month)
+   */
+  static async getStatement(developerId, period = {}) {
+    const { start, end } = parseStatementPeriod(period);
+    const [opening, entries, projectEarnings] = await Promise.all([
+      DeveloperLedgerModel.getBalancesBefore(developerId, start),
+      DeveloperLedgerModel.getEntriesInRange(developerId, { from: start, to: end }),
+      DeveloperLedgerModel.getEarningsByMilestone(developerId),
+    ]);
+
+    const projectTitles = new Map(projectEarnings.map((row) => [row.project_id, row.project_title]));
+    const milestoneTitles = new Map(projectEarnings.map((row) => [row.milestone_id, row.milestone_title]));
+
+    const totals = {};
+    const forCurrency = (currency) => {
+      if (!totals[currency]) {
+        totals[currency] = { currency, openingBalance: 0, credits: 0, debits: 0, closingBalance: 0 };
+      }
+      return totals[currency];
+    };
+    opening.forEach((row) => {
+      forCurrency(row.currency).openingBalance = roundMoney(row.balance);
+    });
+
+    const lines = entries.map((entry) => {
+      const amount = parseFloat(entry.amount);
+      const total = forCurrency(entry.currency);
+      if (amount >= 0) total.credits = roundMoney(total.credits + amount);
+      else total.debits = roundMoney(total.debits + amount);
+      return {
+        date: entry.createdAt.toISOString(),
+        type: entry.type,
+        typeLabel: LEDGER_TYPE_LABELS[entry.type] || entry.type,
+        description: entry.description,
+        projectTitle: entry.projectId ? projectTitles.get(entry.projectId) || `Project ${entry.projectId}` : null,
+        milestoneTitle: entry.milestoneId ? milestoneTitles.get(entry.milestoneId) || `Milestone ${entry.milestoneId}` : null,
+        amount,
+        currency: entry.currency,
+      };
+    });
+
+    Object.values(totals).forEach((total) => {
+      total.closingBalance = roundMoney(total.openingBalance + total.credits + total.debits);
+    });
+
+    return {
+      from: start.toISOString().split("T")[0],
+      to: end.toISOString().split("T")[0],
+      totals: Object.values(totals),
+      entries: lines,
+    };
+  }
+
+  static renderStatementCsv(statement) {
+    const rows = [
+      ["Date", "Type", "Description", "Project", "Milestone", "Amount", "Currency"],
+      ...statement.entries.map((entry) => [
+        entry.date.split("T")[0],
+        entry.typeLabel,
+        entry.description,
+        entry.projectTitle,
+        entry.milestoneTitle,
+        entry.amount.toFixed(2),
+        entry.currency,
+      ]),
+      [],
+      ["Currency", "Opening balance", "Credits", "Debits", "Closing balance"],
+      ...statement.totals.map((total) => [
+        total.currency,
+        total.openingBalance.toFixed(2),
+        total.credits.toFixed(2),
+        total.debits.toFixed(2),
+        total.closingBalance.toFixed(2),
+      ]),
+    ];
+    return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+  }
+}
+
+module.exports = EarningsService;
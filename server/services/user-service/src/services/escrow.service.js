@@ -0,0 +1,341 @@
+const { sql } = require("drizzle-orm");
+const { db } = require("../config/database");
+const {
+  MilestoneEscrowsModel,
+  DeveloperLedgerModel,
+  DisputesModel,
+} = require("../models/billing.model");
+const HttpException = require("shared/utils/HttpException.utils");
+const { notifyBillingEvent } = require("./billing-notification.service");
+const PricingService = require("./pricing.service");
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+const formatAmount = (amount) => parseFloat(amount).toFixed(2);
+
+const DEFAULT_PLATFORM_FEE_PERCENT = 10;
+
+// Platform fee kept from each milestone escrow on release, as a percentage (e.g. "10")
+const getPlatformFeePercent = () => {
+  const percent = parseFloat(process.env.ESCROW_PLATFORM_FEE_PERCENT);
+  return isNaN(percent) || percent < 0 || percent > 100 ? DEFAULT_PLATFORM_FEE_PERCENT : percent;
+};
+
+/**
+ * Escrow-style milestone payments.
+ *
+ * The project owner funds a project_milestones row through a regular checkout ('escrow'
+ * billing type, untaxed). The money is held until every task of the milestone is approved
+ * through task review, then released to the developer minus the platform fee and credited
+ * to their developer_ledger. Either side can dispute a funded escrow, which freezes it until
+ * an admin resolves the dispute by releasing or refunding it.
+ */
+class EscrowService {
+  static calculateFee(amount, feePercent = getPlatformFeePercent()) {
+    const platformFee = roundMoney(amount * (feePercent / 100));
+    return {
+      feePercent,
+      platformFee,
+      developerAmount: roundMoney(amount - platformFee),
+    };
+  }
+
+  // Milestones and projects belong to project-service; read them from the shared database
+  static async getMilestone(milestoneId) {
+    const result = await db.execute(sql`
+      SELECT m.id, m.project_id, m.title, m.is_completed, p.owner_id, p.title AS project_title, p.currency
+      FROM project_milestones m
+      JOIN projects p ON p.id = m.project_id
+      WHERE m.id = ${milestoneId}
+      LIMIT 1
+    `);
+    const row = result.rows?.[0];
+    if (!row) return null;
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      title: row.title,
+      isCompleted: row.is_completed,
+      ownerId: row.owner_id,
+      projectTitle: row.project_title,
+      projectCurrency: row.currency,
+    };
+  }
+
+  /**
+   * A milestone is ready for release once it has tasks and all of them are completed
+   * (a task completes when its submissions are approved) or cancelled.
+   */
+  static async isMilestoneApproved(milestoneId) {
+    const result = await db.execute(sql`
+      SELECT
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE status NOT IN ('completed', 'cancelled')) AS open
+      FROM project_tasks
+      WHERE milestone_id = ${milestoneId}
+    `);
+    const row = result.rows?.[0] || {};
+    return Number(row.total) > 0 && Number(row.open) === 0;
+  }
+
+  static async isProjectDeveloper(projectId, developerId) {
+    const result = await db.execute(sql`
+      SELECT 1 FROM project_team WHERE project_id = ${projectId} AND user_id = ${developerId}
+      UNION ALL
+      SELECT 1 FROM project_applicants WHERE project_id = ${projectId} AND user_id = ${developerId} AND status = 'accepted'
+      UNION ALL
+      SELECT 1 FROM project_tasks WHERE project_id = ${projectId} AND assigned_to = ${developerId}
+      LIMIT 1
+    `);
+    return (result.rows?.length || 0) > 0;
+  }
+
+  /**
+   * Validate a funding request and create the pending escrow; the caller runs the checkout.
+   *
+   * @param {Object} params
+   * @param {number} params.milestoneId
+   * @param {number} params.ownerId - User funding the milestone (must own the project)
+   * @param {number} params.developerId - Developer paid on release (must be on the project)
+   * @param {number} params.amount - Amount to hold, charged as-is (no tax)
+   * @param {string} [params.currency] - Defaults to the project's budget currency
+   * @returns {Promise<{ escrow: Object, milestone: Object }>}
+   */
+  static async prepareFunding({ milestoneId, ownerId, developerId, amount, currency }) {
+    const milestone = await EscrowService.getMilestone(milestoneId);
+    if (!milestone) {
+      throw new HttpException(404, "Milestone not found");
+    }
+    if (milestone.ownerId !== ownerId) {
+      throw new HttpException(403, "You can only fund milestones of your own projects");
+    }
+    if (milestone.isCompleted) {
+      throw new HttpException(400, "This milestone is already completed");
+    }
+
+    const escrowAmount = roundMoney(parseFloat(amount));
+    if (isNaN(escrowAmount) || escrowAmount <= 0) {
+      throw new HttpException(400, "Amount must be greater than 0");
+    }
+
+    if (!developerId || !(await EscrowService.isProjectDeveloper(milestone.projectId, developerId))) {
+      throw new HttpException(400, "The developer must be assigned to this project");
+    }
+
+    const existing = await MilestoneEscrowsModel.getActiveEscrowByMilestoneId(milestoneId);
+    if (existing) {
+      throw new HttpException(409, existing.status === "pending"
+        ? "A payment for this milestone is already being processed"
+        : "This milestone is already funded");
+    }
+
+    const escrowCurrency = String(currency || milestone.projectCurrency || "USD").trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(escrowCurrency)) {
+      throw new HttpException(400, "Currency must be a 3-letter ISO code");
+    }
+
+    const fee = EscrowService.calculateFee(escrowAmount);
+    const escrow = await MilestoneEscrowsModel.createEscrow({
+      milestoneId,
+      projectId: milestone.projectId,
+      ownerId,
+      developerId,
+      amount: formatAmount(escrowAmount),
+      currency: escrowCurrency,
+      feePercent: String(fee.feePercent),
+      platformFee: formatAmount(fee.platformFee),
+      developerAmount: formatAmount(fee.developerAmount),
+      status: "pending",
+    });
+
+    return { escrow, milestone };
+  }
+
+  static async attachFundingCharge(escrowId, billingHistoryId) {
+    return await MilestoneEscrowsModel.updateEscrow(escrowId, { billingHistoryId });
+  }
+
+  /**
+   * Funding charge succeeded (called from PaymentService.fulfillPayment).
+   */
+  static async markFunded(billingRecord) {
+    const escrowId = billingRecord.metadata?.escrowId;
+    if (!escrowId) return null;
+
+    const escrow = await MilestoneEscrowsModel.transitionEscrow(escrowId, ["pending"], {
+      status: "funded",
+      fundedAt: new Date(),
+      billingHistoryId: billingRecord.id,
+    });
+    if (!escrow) return null;
+
+    await notifyBillingEvent(escrow.developerId, {
+      type: "Billing Reminder",
+      title: "Milestone funded",
+      message: `${billingRecord.metadata?.milestoneTitle || "A milestone"} has been funded with ${PricingService.formatMoney(escrow.developerAmount, escrow.currency)} for you. It's released once the milestone's tasks are approved.`,
+      priority: "medium",
+      relatedEntityId: escrow.id,
+      relatedEntityType: "milestone_escrow",
+    });
+
+    return escrow;
+  }
+
+  /**
+   * Funding charge failed (called from PaymentService.markPaymentFailed); the milestone can be funded again.
+   */
+  static async markFundingFailed(billingRecord) {
+    const escrowId = billingRecord.metadata?.escrowId;
+    if (!escrowId) return null;
+    return await MilestoneEscrowsModel.transitionEscrow(escrowId, ["pending"], {
+      status: "failed",
+      billingHistoryId: billingRecord.id,
+    });
+  }
+
+  /**
+   * Release a funded escrow to its developer once the milestone's tasks are all approved.
+   * Throws a 409 HttpException when the escrow isn't releasable.
+   */
+  static async release(escrow, { releasedBy }) {
+    if (escrow.status === "disputed") {
+      throw new HttpException(409, "This milestone payment is under dispute and can't be released until the dispute is resolved");
+    }
+    if (escrow.status !== "funded") {
+      throw new HttpException(409, `This milestone payment can't be released (status: ${escrow.status})`);
+    }
+    if (!(await EscrowService.isMilestoneApproved(escrow.milestoneId))) {
+      throw new HttpException(409, "All of the milestone's tasks must be approved before its payment is released");
+    }
+
+    return await EscrowService.completeRelease(escrow, ["funded"], releasedBy);
+  }
+
+  static async completeRelease(escrow, fromStatuses, releasedBy) {
+    const released = await MilestoneEscrowsModel.transitionEscrow(escrow.id, fromStatuses, {
+      status: "released",
+      releasedAt: new Date(),
+      releasedBy,
+    });
+    if (!released) {
+      throw new HttpException(409, "This milestone payment has already been released or refunded");
+    }
+
+    const milestone = await EscrowService.getMilestone(released.milestoneId);
+    const milestoneName = milestone ? `"${milestone.title}" (${milestone.projectTitle})` : `milestone ${released.milestoneId}`;
+
+    await DeveloperLedgerModel.createEntry({
+      developerId: released.developerId,
+      escrowId: released.id,
+      projectId: released.projectId,
+      milestoneId: released.milestoneId,
+      type: "escrow_release",
+      amount: released.developerAmount,
+      currency: released.currency,
+      description: `Milestone ${milestoneName}`,
+    });
+
+    await notifyBillingEvent(released.developerId, {
+      type: "Billing Reminder",
+      title: "Milestone payment released",
+      message: `${PricingService.formatMoney(released.developerAmount, released.currency)} for milestone ${milestoneName} has been added to your earnings (after a ${parseFloat(released.feePercent)}% platform fee).`,
+      priority: "medium",
+      relatedEntityId: released.id,
+      relatedEntityType: "milestone_escrow",
+    });
+    await notifyBillingEvent(released.ownerId, {
+      type: "Billing Reminder",
+      title: "Milestone payment released",
+      message: `The ${PricingService.formatMoney(released.amount, released.currency)} held for milestone ${milestoneName} has been released to the developer.`,
+      priority: "low",
+      relatedEntityId: released.id,
+      relatedEntityType: "milestone_escrow",
+    });
+
+    return released;
+  }
+
+  /**
+   * Freeze a funded escrow and open a dispute for it. Only the owner or the developer can dispute.
+   */
+  static async openDispute(escrow, { userId, reason, description }) {
+    if (userId !== escrow.ownerId && userId !== escrow.developerId) {
+      throw new HttpException(403, "Only the project owner or the developer can dispute this milestone payment");
+    }
+
+    const disputed = await MilestoneEscrowsModel.transitionEscrow(escrow.id, ["funded"], { status: "disputed" });
+    if (!disputed) {
+      throw new HttpException(409, "Only funded milestone payments that haven't been released can be disputed");
+    }
+
+    let dispute;
+    try {
+      dispute = await DisputesModel.createDispute({
+        userId,
+        billingHistoryId: escrow.billingHistoryId,
+        amount: escrow.amount,
+        reason,
+        description: description || `Milestone escrow #${escrow.id}`,
+        status: "pending",
+        priority: "high",
+      });
+    } catch (error) {
+      await MilestoneEscrowsModel.transitionEscrow(escrow.id, ["disputed"], { status: "funded" });
+      throw error;
+    }
+
+    const updated = await MilestoneEscrowsModel.updateEscrow(escrow.id, { disputeId: dispute.id });
+
+    const otherPartyId = userId === escrow.ownerId ? escrow.developerId : escrow.ownerId;
+    await notifyBillingEvent(otherPartyId, {
+      type: "Billing Alert",
+      title: "Milestone payment disputed",
+      message: `The ${PricingService.formatMoney(escrow.amount, escrow.currency)} held for a milestone has been disputed and is on hold until our team resolves it.`,
+      priority: "high",
+      relatedEntityId: escrow.id,
+      relatedEntityType: "milestone_escrow",
+    });
+
+    return { escrow: updated, dispute };
+  }
+
+  /**
+   * Admin resolved the dispute in the developer's favour: release without the task check.
+   */
+  static async releaseDisputed(escrow, { adminId }) {
+    if (escrow.status !== "disputed") {
+      throw new HttpException(409, "This milestone payment isn't under dispute");
+    }
+    return await EscrowService.completeRelease(escrow, ["disputed"], adminId);
+  }
+
+  /**
+   * The funding charge was refunded in full (called from RefundService.revokePurchase).
+   */
+  static async markRefunded(escrowId) {
+    const escrow = await MilestoneEscrowsModel.transitionEscrow(escrowId, ["funded", "disputed"], {
+      status: "refunded",
+    });
+    if (!escrow) return null;
+
+    await notifyBillingEvent(escrow.developerId, {
+      type: "Billing Alert",
+      title: "Milestone payment refunded",
+      message: `The ${PricingService.formatMoney(escrow.amount, escrow.currency)} held for a milestone has been refunded to the project owner.`,
+      priority: "high",
+      relatedEntityId: escrow.id,
+      relatedEntityType: "milestone_escrow",
+    });
+
+    return escrow;
+  }
+
+  static async getLedger(developerId) {
+    const [balances, entries] = await Promise.all([
+      DeveloperLedgerModel.getBalances(developerId),
+      DeveloperLedgerModel.getEntriesByDeveloperId(developerId),
+    ]);
+    return { balances, entries };
+  }
+}
+
+module.exports = EscrowService;
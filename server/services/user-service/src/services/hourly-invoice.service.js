@@ -0,0 +1,440 @@
+const { sql } = require("drizzle-orm");
+const { db } = require("../config/database");
+const {
+  HourlyInvoicesModel,
+  DeveloperLedgerModel,
+} = require("../models/billing.model");
+const HttpException = require("shared/utils/HttpException.utils");
+const { notifyBillingEvent } = require("./billing-notification.service");
+const PricingService = require("./pricing.service");
+const EscrowService = require("./escrow.service");
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+const formatAmount = (amount) => parseFloat(amount).toFixed(2);
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+// Invoice periods are whole UTC days
+const parsePeriod = ({ from, to }) => {
+  const start = new Date(`${from}T00:00:00.000Z`);
+  const end = new Date(`${to}T23:59:59.999Z`);
+  if (!from || !to || isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new HttpException(400, "from and to must be dates in YYYY-MM-DD format");
+  }
+  if (start > end) {
+    throw new HttpException(400, "from must be on or before to");
+  }
+  return { start, end };
+};
+
+const parseMinutes = (value, field) => {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0) {
+    throw new HttpException(400, `${field} must be a whole number of minutes`);
+  }
+  return minutes;
+};
+
+/**
+ * Hourly invoicing from task time tracking.
+ *
+ * On projects with hourly payment terms the owner generates a draft invoice for a developer
+ * over a date range from their finished task_time_tracking sessions on approved (completed)
+ * tasks, at the developer's hourly rate. While the invoice is a draft the owner can adjust or
+ * exclude entries and the developer can contest individual entries; the owner accepts or
+ * rejects each contest. Finalizing charges the owner ('hourly_invoice' billing type, one line
+ * per task) and, once paid, credits the developer's ledger minus the platform fee.
+ */
+class HourlyInvoiceService {
+  // Projects belong to project-service; read them from the shared database
+  static async getProject(projectId) {
+    const result = await db.execute(sql`
+      SELECT id, title, owner_id, payment_terms, currency
+      FROM projects
+      WHERE id = ${projectId} AND is_deleted = false
+      LIMIT 1
+    `);
+    const row = result.rows?.[0];
+    if (!row) return null;
+    return {
+      id: row.id,
+      title: row.title,
+      ownerId: row.owner_id,
+      paymentTerms: row.payment_terms,
+      currency: row.currency,
+    };
+  }
+
+  static async getDeveloperRate(developerId) {
+    const result = await db.execute(sql`
+      SELECT hourly_rate FROM users WHERE id = ${developerId} AND is_deleted = false
+    `);
+    const rate = parseFloat(result.rows?.[0]?.hourly_rate);
+    return isNaN(rate) ? null : rate;
+  }
+
+  /**
+   * Finished timer sessions of a developer on the project's completed tasks, started within the period.
+   */
+  static async getApprovedTimeEntries(projectId, developerId, { start, end }) {
+    const result = await db.execute(sql`
+      SELECT tt.id, tt.task_id, t.title AS task_title, tt.start_time, tt.end_time, tt.duration, tt.description
+      FROM task_time_tracking tt
+      JOIN project_tasks t ON t.id = tt.task_id
+      WHERE t.project_id = ${projectId}
+        AND tt.user_id = ${developerId}
+        AND t.status = 'completed'
+        AND tt.is_active = false
+        AND tt.end_time IS NOT NULL
+        AND tt.duration > 0
+        AND tt.start_time >= ${start.toISOString()}
+        AND tt.start_time <= ${end.toISOString()}
+      ORDER BY tt.start_time
+    `);
+    return result.rows || [];
+  }
+
+  /**
+   * Invoice lines: one per task with its billable hours (entries that are included).
+   */
+  static buildLineItems(entries, hourlyRate) {
+    const tasks = new Map();
+    entries
+      .filter((entry) => entry.status === "included" && entry.billableMinutes > 0)
+      .forEach((entry) => {
+        const task = tasks.get(entry.taskId) || { taskId: entry.taskId, title: entry.taskTitle, minutes: 0 };
+        task.minutes += entry.billableMinutes;
+        tasks.set(entry.taskId, task);
+      });
+
+    const rate = parseFloat(hourlyRate);
+    return Array.from(tasks.values()).map((task) => {
+      const hours = toHours(task.minutes);
+      return {
+        taskId: task.taskId,
+        description: `${task.title || `Task ${task.taskId}`} (${hours} h)`,
+        quantity: hours,
+        price: formatAmount(rate),
+        amount: roundMoney(hours * rate),
+        minutes: task.minutes,
+      };
+    });
+  }
+
+  static async recalculate(invoice) {
+    const entries = await HourlyInvoicesModel.getEntriesByInvoiceId(invoice.id);
+    const items = HourlyInvoiceService.buildLineItems(entries, invoice.hourlyRate);
+    return await HourlyInvoicesModel.updateInvoice(invoice.id, {
+      billableMinutes: items.reduce((sum, item) => sum + item.minutes, 0),
+      amount: formatAmount(items.reduce((sum, item) => sum + item.amount, 0)),
+    });
+  }
+
+  /**
+   * Create a draft invoice for a developer's approved, not yet invoiced hours.
+   *
+   * @param {Object} params
+   * @param {number} params.ownerId - Must own the project
+   * @param {number} params.projectId - Project with hourly payment terms
+   * @param {number} params.developerId - Developer on the project
+   * @param {string} params.from - YYYY-MM-DD
+   * @param {string} params.to - YYYY-MM-DD
+   * @param {number} [params.hourlyRate] - Agreed rate; defaults to the developer's profile rate
+   * @returns {Promise<{ invoice: Object, entries: Array }>}
+   */
+  static async generateDraft({ ownerId, projectId, developerId, from, to, hourlyRate }) {
+    const project = await HourlyInvoiceService.getProject(projectId);
+    if (!project) {
+      throw new HttpException(404, "Project not found");
+    }
+    if (project.ownerId !== ownerId) {
+      throw new HttpException(403, "You can only invoice hours on your own projects");
+    }
+    if (project.paymentTerms !== "hourly") {
+      throw new HttpException(400, "Hourly invoices are only available for projects with hourly payment terms");
+    }
+    if (!developerId || !(await EscrowService.isProjectDeveloper(projectId, developerId))) {
+      throw new HttpException(400, "The developer must be assigned to this project");
+    }
+
+    const rate = hourlyRate !== undefined && hourlyRate !== null && hourlyRate !== ""
+      ? roundMoney(parseFloat(hourlyRate))
+      : await HourlyInvoiceService.getDeveloperRate(developerId);
+    if (rate === null || isNaN(rate) || rate <= 0) {
+      throw new HttpException(400, "The developer has no hourly rate set; pass hourlyRate to invoice at an agreed rate");
+    }
+
+    const period = parsePeriod({ from, to });
+    const timeEntries = await HourlyInvoiceService.getApprovedTimeEntries(projectId, developerId, period);
+    const billed = new Set(await HourlyInvoicesModel.getBilledTimeTrackingIds(timeEntries.map((entry) => entry.id)));
+    const unbilled = timeEntries.filter((entry) => !billed.has(entry.id));
+    if (unbilled.length === 0) {
+      throw new HttpException(400, "There are no approved, uninvoiced hours for this developer in that period");
+    }
+
+    const entries = unbilled.map((entry) => {
+      const minutes = Math.max(Math.round(Number(entry.duration) / 60000), 1);
+      return {
+        timeTrackingId: entry.id,
+        taskId: entry.task_id,
+        taskTitle: entry.task_title,
+        startTime: new Date(entry.start_time),
+        endTime: entry.end_time ? new Date(entry.end_time) : null,
+        description: entry.description,
+        trackedMinutes: minutes,
+        billableMinutes: minutes,
+        status: "included",
+      };
+    });
+    const items = HourlyInvoiceService.buildLineItems(entries, rate);
+
+    const created = await HourlyInvoicesModel.createInvoiceWithEntries(
+      {
+        projectId,
+        ownerId,
+        developerId,
+        periodStart: period.start,
+        periodEnd: period.end,
+        hourlyRate: formatAmount(rate),
+        currency: project.currency || "USD",
+        status: "draft",
+        billableMinutes: items.reduce((sum, item) => sum + item.minutes, 0),
+        amount: formatAmount(items.reduce((sum, item) => sum + item.amount, 0)),
+      },
+      entries
+    );
+
+    await notifyBillingEvent(developerId, {
+      type: "Billing Reminder",
+      title: "Hourly invoice drafted",
+      message: `A draft invoice for ${toHours(created.invoice.billableMinutes)} hours on ${project.title} has been created. Review the entries and contest any you disagree with before it's finalized.`,
+      priority: "medium",
+      relatedEntityId: created.invoice.id,
+      relatedEntityType: "hourly_invoice",
+    });
+
+    return created;
+  }
+
+  static assertDraft(invoice) {
+    if (invoice.status !== "draft") {
+      throw new HttpException(409, "Only draft invoices can be changed");
+    }
+  }
+
+  static async getInvoiceEntry(invoice, entryId) {
+    const entry = await HourlyInvoicesModel.getEntryById(entryId);
+    if (!entry || entry.hourlyInvoiceId !== invoice.id) {
+      throw new HttpException(404, "Invoice entry not found");
+    }
+    return entry;
+  }
+
+  /**
+   * Owner changes the billable minutes of an entry or excludes it (draft only).
+   */
+  static async adjustEntry(invoice, entryId, { ownerId, billableMinutes, excluded }) {
+    if (invoice.ownerId !== ownerId) {
+      throw new HttpException(403, "Only the project owner can adjust invoice entries");
+    }
+    HourlyInvoiceService.assertDraft(invoice);
+    const entry = await HourlyInvoiceService.getInvoiceEntry(invoice, entryId);
+
+    const data = {};
+    if (billableMinutes !== undefined) {
+      data.billableMinutes = parseMinutes(billableMinutes, "billableMinutes");
+    }
+    if (excluded !== undefined) {
+      data.status = excluded ? "excluded" : "included";
+    }
+
+    const updated = await HourlyInvoicesModel.updateEntry(entry.id, data);
+    return { invoice: await HourlyInvoiceService.recalculate(invoice), entry: updated };
+  }
+
+  /**
+   * Developer contests an entry of a draft invoice, optionally proposing the minutes to bill.
+   */
+  static async contestEntry(invoice, entryId, { developerId, reason, proposedMinutes }) {
+    if (invoice.developerId !== developerId) {
+      throw new HttpException(403, "Only the invoiced developer can contest entries");
+    }
+    HourlyInvoiceService.assertDraft(invoice);
+    if (!reason) {
+      throw new HttpException(400, "Reason is required");
+    }
+    const entry = await HourlyInvoiceService.getInvoiceEntry(invoice, entryId);
+    if (entry.contestStatus === "open") {
+      throw new HttpException(409, "This entry is already contested");
+    }
+
+    const updated = await HourlyInvoicesModel.updateEntry(entry.id, {
+      contestStatus: "open",
+      contestReason: reason,
+      proposedMinutes: proposedMinutes !== undefined && proposedMinutes !== null
+        ? parseMinutes(proposedMinutes, "proposedMinutes")
+        : entry.trackedMinutes,
+      contestResponse: null,
+      contestedAt: new Date(),
+      resolvedAt: null,
+    });
+
+    await notifyBillingEvent(invoice.ownerId, {
+      type: "Billing Alert",
+      title: "Invoice entry contested",
+      message: `The developer contested an entry on hourly invoice #${invoice.id} (${entry.taskTitle || `task ${entry.taskId}`}): ${reason}`,
+      priority: "medium",
+      relatedEntityId: invoice.id,
+      relatedEntityType: "hourly_invoice",
+    });
+
+    return updated;
+  }
+
+  /**
+   * Owner accepts a contest (bills the proposed minutes) or rejects it.
+   */
+  static async resolveContest(invoice, entryId, { ownerId, accept, response }) {
+    if (invoice.ownerId !== ownerId) {
+      throw new HttpException(403, "Only the project owner can resolve contested entries");
+    }
+    HourlyInvoiceService.assertDraft(invoice);
+    const entry = await HourlyInvoiceService.getInvoiceEntry(invoice, entryId);
+    if (entry.contestStatus !== "open") {
+      throw new HttpException(409, "This entry isn't contested");
+    }
+
+    const updated = await HourlyInvoicesModel.updateEntry(entry.id, {
+      contestStatus: accept ? "accepted" : "rejected",
+      contestResponse: response || null,
+      resolvedAt: new Date(),
+      ...(accept && { billableMinutes: entry.proposedMinutes ?? entry.trackedMinutes, status: "included" }),
+    });
+
+    await notifyBillingEvent(invoice.developerId, {
+      type: "Billing Reminder",
+      title: accept ? "Contested entry accepted" : "Contested entry rejected",
+      message: `Your contest of ${entry.taskTitle || `task ${entry.taskId}`} on hourly invoice #${invoice.id} was ${accept ? "accepted" : "rejected"}${response ? `: ${response}` : "."}`,
+      priority: "medium",
+      relatedEntityId: invoice.id,
+      relatedEntityType: "hourly_invoice",
+    });
+
+    return { invoice: await HourlyInvoiceService.recalculate(invoice), entry: updated };
+  }
+
+  /**
+   * Lock a draft for payment. Throws 409 while entries are contested; the caller runs the checkout.
+   * @returns {Promise<{ invoice: Object, items: Array, project: Object }>}
+   */
+  static async prepareFinalize(invoice, { ownerId }) {
+    if (invoice.ownerId !== ownerId) {
+      throw new HttpException(403, "Only the project owner can finalize this invoice");
+    }
+    HourlyInvoiceService.assertDraft(invoice);
+
+    const entries = await HourlyInvoicesModel.getEntriesByInvoiceId(invoice.id);
+    const contested = entries.filter((entry) => entry.contestStatus === "open").length;
+    if (contested > 0) {
+      throw new HttpException(409, `Resolve the ${contested} contested ${contested === 1 ? "entry" : "entries"} before finalizing`);
+    }
+    const items = HourlyInvoiceService.buildLineItems(entries, invoice.hourlyRate);
+    if (items.length === 0) {
+      throw new HttpException(400, "There are no billable hours on this invoice");
+    }
+
+    const finalized = await HourlyInvoicesModel.transitionInvoice(invoice.id, ["draft"], {
+      status: "finalized",
+      finalizedAt: new Date(),
+      billableMinutes: items.reduce((sum, item) => sum + item.minutes, 0),
+      amount: formatAmount(items.reduce((sum, item) => sum + item.amount, 0)),
+    });
+    if (!finalized) {
+      throw new HttpException(409, "Only draft invoices can be finalized");
+    }
+
+    return { invoice: finalized, items, project: await HourlyInvoiceService.getProject(invoice.projectId) };
+  }
+
+  // Checkout couldn't be started; the owner can fix the problem and finalize again
+  static async revertToDraft(invoiceId) {
+    return await HourlyInvoicesModel.transitionInvoice(invoiceId, ["finalized"], {
+      status: "draft",
+      finalizedAt: null,
+      billingHistoryId: null,
+      invoiceNumber: null,
+    });
+  }
+
+  static async attachCharge(invoiceId, billingRecord) {
+    return await HourlyInvoicesModel.updateInvoice(invoiceId, {
+      billingHistoryId: billingRecord.id,
+      invoiceNumber: billingRecord.invoiceId,
+    });
+  }
+
+  /**
+   * Owner's charge succeeded (called from PaymentService.fulfillPayment): credit the developer.
+   */
+  static async markPaid(billingRecord) {
+    const invoiceId = billingRecord.metadata?.hourlyInvoiceId;
+    if (!invoiceId) return null;
+
+    const paid = await HourlyInvoicesModel.transitionInvoice(invoiceId, ["finalized"], {
+      status: "paid",
+      paidAt: new Date(),
+      billingHistoryId: billingRecord.id,
+      invoiceNumber: billingRecord.invoiceId,
+    });
+    if (!paid) return null;
+
+    const fee = EscrowService.calculateFee(parseFloat(paid.amount));
+    const hours = toHours(paid.billableMinutes);
+    const project = await HourlyInvoiceService.getProject(paid.projectId);
+    const projectName = project?.title || `project ${paid.projectId}`;
+
+    await DeveloperLedgerModel.createEntry({
+      developerId: paid.developerId,
+      projectId: paid.projectId,
+      type: "hourly_payment",
+      amount: formatAmount(fee.developerAmount),
+      currency: paid.currency,
+      description: `Hourly invoice #${paid.id} - ${hours} h on ${projectName}`,
+    });
+
+    await notifyBillingEvent(paid.developerId, {
+      type: "Billing Reminder",
+      title: "Hourly invoice paid",
+      message: `${PricingService.formatMoney(fee.developerAmount, paid.currency)} for ${hours} hours on ${projectName} has been added to your earnings (after a ${fee.feePercent}% platform fee).`,
+      priority: "medium",
+      relatedEntityId: paid.id,
+      relatedEntityType: "hourly_invoice",
+    });
+
+    return paid;
+  }
+
+  /**
+   * Owner's charge failed (called from PaymentService.markPaymentFailed); back to draft so it can be paid again.
+   */
+  static async markPaymentFailed(billingRecord) {
+    const invoiceId = billingRecord.metadata?.hourlyInvoiceId;
+    if (!invoiceId) return null;
+    return await HourlyInvoiceService.revertToDraft(invoiceId);
+  }
+
+  /**
+   * Discard a draft; its time entries can be invoiced again.
+   */
+  static async voidDraft(invoice, { ownerId }) {
+    if (invoice.ownerId !== ownerId) {
+      throw new HttpException(403, "Only the project owner can discard this invoice");
+    }
+    const voided = await HourlyInvoicesModel.transitionInvoice(invoice.id, ["draft"], { status: "void" });
+    if (!voided) {
+      throw new HttpException(409, "Only draft invoices can be discarded");
+    }
+    return voided;
+  }
+}
+
+module.exports = HourlyInvoiceService;
@@ -0,0 +1,347 @@
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const { UserModel } = require("../models/user.model");
+const { BillingHistoryModel, PaymentMethodsModel, InvoicesModel } = require("../models/billing.model");
+
+const COMPANY = {
+  name: process.env.INVOICE_COMPANY_NAME || "SkillBridge",
+  address: process.env.INVOICE_COMPANY_ADDRESS || "",
+  email: process.env.INVOICE_COMPANY_EMAIL || "billing@skillbridge.com",
+};
+
+const getStorageDir = () =>
+  process.env.INVOICE_PDF_DIR || path.join(process.cwd(), "storage", "invoices");
+
+// Invoice numbers end up in file names, so keep them to a safe character set
+const toFileName = (invoiceNumber) => `${String(invoiceNumber).replace(/[^A-Za-z0-9_-]/g, "_")}.pdf`;
+
+// The built-in PDF fonts only cover Latin-1 symbols ($, €, £); other currencies print their ISO code
+const SYMBOL_CURRENCIES = ["USD", "EUR", "GBP"];
+
+const formatMoney = (value, currency = "USD") => {
+  const amount = parseFloat(value || 0);
+  const currencyDisplay = SYMBOL_CURRENCIES.includes(currency) ? "symbol" : "code";
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency, currencyDisplay }).format(amount);
+  } catch (error) {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+};
+
+const formatDate = (date) =>
+  date ? new Date(date).toISOString().split("T")[0] : "-";
+
+/**
+ * Billing addresses are stored as free-form JSON on payment_methods;
+ * accept the common key spellings (or a plain string) and return printable lines.
+ */
+const formatAddressLines = (address) => {
+  if (!address) return [];
+  if (typeof address === "string") return address.split("\n").filter(Boolean);
+
+  const cityLine = [
+    address.city,
+    [address.state || address.region, address.postalCode || address.postal_code || address.zip || address.zipCode]
+      .filter(Boolean)
+      .join(" "),
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  return [
+    address.name,
+    address.line1 || address.street || address.address,
+    address.line2,
+    cityLine,
+    address.country,
+  ].filter(Boolean);
+};
+
+/**
+ * Server-side invoice PDF rendering and storage (plus developer earnings statements).
+ * Invoice PDFs are rendered when the invoice is created or changes (see InvoiceService) and
+ * kept on local disk (INVOICE_PDF_DIR); the download endpoint renders a missing file, or one
+ * older than the invoice's last update, again.
+ */
+class InvoicePdfService {
+  /**
+   * Render an invoice to a PDF buffer.
+   * @param {Object} invoice - invoices row
+   * @param {Object} [context]
+   * @param {Object} [context.customer] - { name, email }
+   * @param {Object} [context.paymentMethod] - payment_methods row (billing address, card)
+   */
+  static renderInvoice(invoice, { customer = null, paymentMethod = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: `Invoice ${invoice.invoiceNumber}` } });
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      const currency = invoice.currency || "USD";
+      const left = doc.page.margins.left;
+      const right = doc.page.width - doc.page.margins.right;
+
+      // Header
+      doc.fontSize(20).font("Helvetica-Bold").text(COMPANY.name, left, 50);
+      doc.fontSize(9).font("Helvetica").fillColor("#555555");
+      if (COMPANY.address) doc.text(COMPANY.address);
+      doc.text(COMPANY.email);
+
+      // Refunds are documented as credit notes (negative totals) against the original invoice
+      const isCreditNote = Boolean(invoice.creditNoteFor) || parseFloat(invoice.total) < 0;
+      doc.fillColor("#000000").fontSize(20).font("Helvetica-Bold")
+        .text(isCreditNote ? "CREDIT NOTE" : "INVOICE", left, 50, { align: "right" });
+      doc.fontSize(10).font("Helvetica");
+      doc.text(`${isCreditNote ? "Credit note" : "Invoice"} #: ${invoice.invoiceNumber}`, { align: "right" });
+      if (invoice.creditNoteFor) doc.text(`Credits invoice #: ${invoice.creditNoteFor}`, { align: "right" });
+      doc.text(`Issued: ${formatDate(invoice.createdAt)}`, { align: "right" });
+      if (!isCreditNote) doc.text(`Due: ${formatDate(invoice.dueDate)}`, { align: "right" });
+      doc.text(`Status: ${String(invoice.status || "").toUpperCase()}`, { align: "right" });
+      if (invoice.paidAt) doc.text(`Paid: ${formatDate(invoice.paidAt)}`, { align: "right" });
+
+      // Bill to
+      const billToLines = [
+        customer?.name,
+        customer?.email,
+        ...formatAddressLines(paymentMethod?.billingAddress),
+      ].filter(Boolean);
+      doc.moveDown(2);
+      const billToTop = Math.max(doc.y, 150);
+      doc.fontSize(10).font("Helvetica-Bold").text("Bill To", left, billToTop);
+      doc.font("Helvetica");
+      billToLines.forEach((line) => doc.text(line));
+      if (paymentMethod?.last4) {
+        doc.moveDown(0.5).fillColor("#555555")
+          .text(`Payment method: ${paymentMethod.brand || paymentMethod.type} ending in ${paymentMethod.last4}`)
+          .fillColor("#000000");
+      }
+
+      // Line items
+      const columns = { description: left, quantity: 340, price: 400, total: 470 };
+      const drawRow = (y, cells, bold = false) => {
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+        doc.text(cells.description, columns.description, y, { width: 280 });
+        const rowBottom = doc.y;
+        doc.text(cells.quantity, columns.quantity, y, { width: 50, align: "right" });
+        doc.text(cells.price, columns.price, y, { width: 65, align: "right" });
+        doc.text(cells.total, columns.total, y, { width: right - columns.total, align: "right" });
+        return Math.max(rowBottom, doc.y) + 6;
+      };
+
+      let y = doc.y + 30;
+      y = drawRow(y, { description: "Description", quantity: "Qty", price: "Unit Price", total: "Amount" }, true);
+      doc.moveTo(left, y - 3).lineTo(right, y - 3).strokeColor("#cccccc").stroke();
+
+      const items = Array.isArray(invoice.items) ? invoice.items : [];
+      items.forEach((item) => {
+        const quantity = Number(item.quantity) || 1;
+        const price = parseFloat(item.price || 0);
+        y = drawRow(y, {
+          description: item.description || "-",
+          quantity: String(quantity),
+          price: formatMoney(price, currency),
+          total: formatMoney(price * quantity, currency),
+        });
+      });
+      doc.moveTo(left, y).lineTo(right, y).strokeColor("#cccccc").stroke();
+
+      // Totals
+      const drawTotal = (label, value, bold = false) => {
+        y += 8;
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(bold ? 12 : 10);
+        doc.text(label, columns.price - 140, y, { width: 200, align: "right" });
+        doc.text(formatMoney(value, currency), columns.total, y, { width: right - columns.total, align: "right" });
+        y = doc.y;
+      };
+      drawTotal("Subtotal", invoice.subtotal ?? invoice.total);
+      const taxRate = parseFloat(invoice.taxRate || 0);
+      const taxLabel = invoice.taxLabel || "Tax";
+      drawTotal(taxRate > 0 ? `${taxLabel} ${Math.round(taxRate * 10000) / 100}%` : taxLabel, invoice.tax || 0);
+      drawTotal(`Total (${currency})`, invoice.total, true);
+
+      doc.fontSize(8).font("Helvetica").fillColor("#777777").text(
+        `Thank you for your business. Questions about this invoice? Contact ${COMPANY.email}.`,
+        left,
+        doc.page.height - doc.page.margins.bottom - 20,
+        { align: "center", width: right - left }
+      );
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Render a developer earnings statement (see EarningsService.getStatement) to a PDF buffer.
+   * Statements are generated on request and never stored.
+   * @param {Object} statement - { from, to, totals, entries }
+   * @param {Object} [context]
+   * @param {Object} [context.developer] - { name, email }
+   */
+  static renderEarningsStatement(statement, { developer = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: "A4",
+        margin: 50,
+        info: { Title: `Earnings statement ${statement.from} - ${statement.to}` },
+      });
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      const left = doc.page.margins.left;
+      const right = doc.page.width - doc.page.margins.right;
+      const bottom = doc.page.height - doc.page.margins.bottom;
+
+      // Header
+      doc.fontSize(20).font("Helvetica-Bold").text(COMPANY.name, left, 50);
+      doc.fontSize(9).font("Helvetica").fillColor("#555555");
+      if (COMPANY.address) doc.text(COMPANY.address);
+      doc.text(COMPANY.email);
+
+      doc.fillColor("#000000").fontSize(20).font("Helvetica-Bold")
+        .text("EARNINGS STATEMENT", left, 50, { align: "right" });
+      doc.fontSize(10).font("Helvetica");
+      doc.text(`Period: ${statement.from} to ${statement.to}`, { align: "right" });
+      doc.text(`Issued: ${formatDate(new Date())}`, { align: "right" });
+
+      doc.moveDown(2);
+      const developerTop = Math.max(doc.y, 150);
+      doc.fontSize(10).font("Helvetica-Bold").text("Developer", left, developerTop);
+      doc.font("Helvetica");
+      [developer?.name, developer?.email].filter(Boolean).forEach((line) => doc.text(line));
+
+      // Entries
+      const columns = { date: left, description: 120, amount: 430 };
+      const drawRow = (y, cells, bold = false) => {
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+        doc.text(cells.date, columns.date, y, { width: 65 });
+        doc.text(cells.description, columns.description, y, { width: 300 });
+        const rowBottom = doc.y;
+        doc.text(cells.amount, columns.amount, y, { width: right - columns.amount, align: "right" });
+        return Math.max(rowBottom, doc.y) + 5;
+      };
+
+      let y = doc.y + 25;
+      y = drawRow(y, { date: "Date", description: "Description", amount: "Amount" }, true);
+      doc.moveTo(left, y - 3).lineTo(right, y - 3).strokeColor("#cccccc").stroke();
+
+      if (statement.entries.length === 0) {
+        doc.font("Helvetica").fontSize(9).fillColor("#555555")
+          .text("No earnings or payouts in this period.", left, y)
+          .fillColor("#000000");
+        y = doc.y + 5;
+      }
+      statement.entries.forEach((entry) => {
+        if (y > bottom - 60) {
+          doc.addPage();
+          y = doc.page.margins.top;
+        }
+        const details = [entry.projectTitle, entry.milestoneTitle].filter(Boolean).join(" / ");
+        y = drawRow(y, {
+          date: formatDate(entry.date),
+          description: `${entry.typeLabel}${details ? ` - ${details}` : ""}`,
+          amount: formatMoney(entry.amount, entry.currency),
+        });
+      });
+      doc.moveTo(left, y).lineTo(right, y).strokeColor("#cccccc").stroke();
+
+      // Balances per currency
+      statement.totals.forEach((total) => {
+        if (y > bottom - 90) {
+          doc.addPage();
+          y = doc.page.margins.top;
+        }
+        y += 10;
+        doc.font("Helvetica-Bold").fontSize(10).text(total.currency, left, y);
+        y = doc.y + 2;
+        [
+          ["Opening balance", total.openingBalance],
+          ["Credits", total.credits],
+          ["Debits", total.debits],
+          ["Closing balance", total.closingBalance],
+        ].forEach(([label, value], index) => {
+          doc.font(index === 3 ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+          doc.text(label, columns.amount - 200, y, { width: 190, align: "right" });
+          doc.text(formatMoney(value, total.currency), columns.amount, y, { width: right - columns.amount, align: "right" });
+          y = doc.y + 2;
+        });
+      });
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Render an invoice with its customer and the billing address of the payment method used,
+   * store it, and set pdfUrl on first generation.
+   * @param {Object} invoice - invoices row
+   * @returns {Promise<{ pdf: Buffer, invoice: Object }>} The PDF and the invoice with pdfUrl set
+   */
+  static async generateInvoicePdf(invoice) {
+    const customer = await UserModel.getUserById(invoice.userId);
+
+    let paymentMethod = null;
+    if (invoice.billingHistoryId) {
+      const record = await BillingHistoryModel.getBillingRecordById(invoice.billingHistoryId);
+      if (record?.paymentMethodId) {
+        paymentMethod = await PaymentMethodsModel.getPaymentMethodById(record.paymentMethodId);
+      }
+    }
+    if (!paymentMethod) {
+      // Fall back to the customer's default billing details
+      [paymentMethod] = await PaymentMethodsModel.getPaymentMethodsByUserId(invoice.userId);
+    }
+
+    const pdf = await InvoicePdfService.renderInvoice(invoice, {
+      customer: customer ? { name: customer.name, email: customer.email } : null,
+      paymentMethod,
+    });
+    await InvoicePdfService.savePdf(invoice.invoiceNumber, pdf);
+
+    if (!invoice.pdfUrl) {
+      const updated = await InvoicesModel.setPdfUrl(invoice.id, InvoicePdfService.getPdfUrl(invoice.invoiceNumber));
+      return { pdf, invoice: updated || invoice };
+    }
+    return { pdf, invoice };
+  }
+
+  static getPdfPath(invoiceNumber) {
+    return path.join(getStorageDir(), toFileName(invoiceNumber));
+  }
+
+  static async savePdf(invoiceNumber, buffer) {
+    const filePath = InvoicePdfService.getPdfPath(invoiceNumber);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return filePath;
+  }
+
+  /**
+   * Read a stored PDF; resolves to null when it has not been generated yet,
+   * or was generated before `updatedAt` (the invoice changed since).
+   */
+  static async readPdf(invoiceNumber, { updatedAt = null } = {}) {
+    const filePath = InvoicePdfService.getPdfPath(invoiceNumber);
+    try {
+      if (updatedAt) {
+        const { mtime } = await fs.promises.stat(filePath);
+        if (mtime < new Date(updatedAt)) return null;
+      }
+      return await fs.promises.readFile(filePath);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  // Public download URL stored in invoices.pdf_url
+  static getPdfUrl(invoiceNumber) {
+    return `/api/v1/billing/invoices/${encodeURIComponent(invoiceNumber)}/pdf`;
+  }
+}
+
+module.exports = InvoicePdfService;
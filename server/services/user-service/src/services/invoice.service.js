@@ -0,0 +1,37 @@
+const { InvoicesModel } = require("../models/billing.model");
+const InvoicePdfService = require("./invoice-pdf.service");
+
+// Invoice fields printed on the PDF; changing any of them re-renders it
+const PDF_FIELDS = ["status", "paidAt", "items", "total"];
+
+/**
+ * Invoice writes that keep the stored PDF (and invoices.pdf_url) in sync.
+ * PDF failures are logged and never fail the billing operation; the download
+ * endpoint renders the PDF again on demand.
+ */
+class InvoiceService {
+  static async createInvoice(data) {
+    const invoice = await InvoicesModel.createInvoice(data);
+    return await InvoiceService.renderPdf(invoice);
+  }
+
+  static async updateInvoice(id, data) {
+    const invoice = await InvoicesModel.updateInvoice(id, data);
+    if (invoice && PDF_FIELDS.some((key) => key in data)) {
+      return await InvoiceService.renderPdf(invoice);
+    }
+    return invoice;
+  }
+
+  static async renderPdf(invoice) {
+    try {
+      const { invoice: rendered } = await InvoicePdfService.generateInvoicePdf(invoice);
+      return rendered;
+    } catch (error) {
+      console.error(`Failed to generate PDF for invoice ${invoice.invoiceNumber}:`, error.message);
+      return invoice;
+    }
+  }
+}
+
+module.exports = InvoiceService;
@@ -0,0 +1,29 @@
+const { sendTemplatedMail } = require("shared/utils/sendEmail");
+const { getActionLink } = require("./notification-link");
+
+/**
+ * Email channel: sends the notification right away (digests are handled separately)
+ */
+class EmailChannel {
+  static retryable = true;
+
+  static async send(notification, user) {
+    if (!user?.email) {
+      return { status: "skipped", reason: "no_email_address" };
+    }
+    await sendTemplatedMail("notification", {
+      to: user.email,
+      locale: user.locale,
+      data: {
+        name: user.name,
+        title: notification.title,
+        message: notification.message,
+        action: notification.action,
+        actionUrl: getActionLink(notification),
+      },
+    });
+    return { status: "sent" };
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,23 @@
+const { isPushConfigured, publishNotificationCreated } = require("../notification-push.service");
+
+/**
+ * In-app channel: the notification row is the inbox entry; delivering it means
+ * pushing it live to the user's open sockets.
+ */
+class InAppChannel {
+  // A late live push is useless: clients re-sync when their socket reconnects
+  static retryable = false;
+
+  static async send(notification) {
+    if (!isPushConfigured()) {
+      return { status: "skipped", reason: "realtime_not_configured" };
+    }
+    const pushed = await publishNotificationCreated(notification);
+    if (!pushed) {
+      throw new Error("Real-time push failed");
+    }
+    return { status: "sent" };
+  }
+}
+
+module.exports = InAppChannel;
@@ -0,0 +1,31 @@
+const InAppChannel = require("./in-app.channel");
+const EmailChannel = require("./email.channel");
+const SmsChannel = require("./sms.channel");
+const PushChannel = require("./push.channel");
+
+/**
+ * Notification channel registry
+ *
+ * Every channel exposes:
+ * - static retryable: whether a failed delivery is tried again later
+ * - static send(notification, user)
+ *     -> { status: 'sent' } or { status: 'skipped', reason }; throws when delivery fails
+ */
+const CHANNELS = {
+  in_app: InAppChannel,
+  email: EmailChannel,
+  sms: SmsChannel,
+  push: PushChannel,
+};
+
+const getChannel = (name) => {
+  const channel = CHANNELS[name];
+  if (!channel) {
+    throw new Error(`Unknown notification channel: ${name}`);
+  }
+  return channel;
+};
+
+module.exports = {
+  getChannel,
+};
@@ -0,0 +1,12 @@
+/**
+ * Absolute link for a notification's in-app actionUrl (emails are opened outside the app)
+ */
+const getActionLink = (notification) => {
+  const target = notification.actionUrl || "/notifications";
+  if (/^https?:\/\//i.test(target)) return target;
+  return `${process.env.CLIENT_URL || ""}${target.startsWith("/") ? target : `/${target}`}`;
+};
+
+module.exports = {
+  getActionLink,
+};
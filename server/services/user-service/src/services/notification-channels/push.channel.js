@@ -0,0 +1,33 @@
+const { isWebPushConfigured, buildPushPayload, sendWebPush } = require("../web-push.service");
+const { isUrgent } = require("../notification-preferences.service");
+
+/**
+ * Push channel: Web Push to every browser the user enabled push notifications on.
+ * Sent when at least one device accepted it; retried only when every device failed.
+ */
+class PushChannel {
+  static retryable = true;
+
+  static async send(notification, user) {
+    if (!isWebPushConfigured()) {
+      return { status: "skipped", reason: "push_not_configured" };
+    }
+
+    const result = await sendWebPush(user.id, buildPushPayload(notification), {
+      urgency: isUrgent(notification) ? "high" : "normal",
+    });
+
+    if (result.sent > 0) {
+      return { status: "sent" };
+    }
+    if (result.total === 0) {
+      return { status: "skipped", reason: "no_push_subscription" };
+    }
+    if (result.failed === 0) {
+      return { status: "skipped", reason: "push_subscription_expired" };
+    }
+    throw new Error(result.lastError);
+  }
+}
+
+module.exports = PushChannel;
@@ -0,0 +1,13 @@
+/**
+ * SMS channel: no SMS gateway is integrated yet, so enabled SMS deliveries are
+ * recorded as skipped instead of silently dropped.
+ */
+class SmsChannel {
+  static retryable = false;
+
+  static async send() {
+    return { status: "skipped", reason: "sms_not_configured" };
+  }
+}
+
+module.exports = SmsChannel;
@@ -0,0 +1,190 @@
+const { NotificationsModel } = require("../models/notifications.model");
+const { NotificationDeliveriesModel } = require("../models/notification-deliveries.model");
+const { UserModel } = require("../models/user.model");
+const { getChannel } = require("./notification-channels");
+const {
+  getPreferences,
+  getPreferenceKey,
+  isUrgent,
+  getQuietHoursEnd,
+  getPushBatchTime,
+} = require("./notification-preferences.service");
+
+const MAX_DELIVERY_ATTEMPTS = 3;
+const RETRY_BACKOFF_MS = 5 * 60 * 1000; // 5 min, 10 min
+
+// Channels that interrupt the user; the in-app inbox always receives the notification
+const EXTERNAL_CHANNELS = ["email", "sms", "push"];
+
+/**
+ * Notification delivery router
+ *
+ * Every notification gets one notification_deliveries row per channel:
+ * - in_app is always delivered (live socket push; the notification row is the inbox entry)
+ * - email / sms / push honor the user's channel toggles and category toggles from settings-service
+ * - email with a daily/weekly frequency is left for the digest; push with a batched/hourly
+ *   frequency waits for the next batch
+ * - during quiet hours external channels are deferred until they end (security alerts excepted)
+ *
+ * Deferred deliveries and retries are sent by workers/notification-delivery.worker.js.
+ */
+class NotificationDeliveryService {
+  /**
+   * Decide what happens on each channel (pure, no side effects)
+   *
+   * @returns {{ channel, status, reason, scheduledFor }[]}
+   */
+  static planDeliveries(notification, preferences, now = new Date()) {
+    const { settings, frequency, quietHours } = preferences;
+    const preferenceKey = getPreferenceKey(notification);
+    const urgent = isUrgent(notification);
+    const quietHoursEnd = urgent ? null : getQuietHoursEnd(quietHours, now);
+
+    const plan = [{ channel: "in_app", status: "pending", reason: null, scheduledFor: null }];
+
+    EXTERNAL_CHANNELS.forEach((channel) => {
+      if (!settings[channel]) {
+        plan.push({ channel, status: "skipped", reason: "channel_disabled", scheduledFor: null });
+        return;
+      }
+      if (preferenceKey && settings[preferenceKey] === false) {
+        plan.push({ channel, status: "skipped", reason: "category_disabled", scheduledFor: null });
+        return;
+      }
+      if (channel === "email" && frequency.email !== "immediate" && !urgent) {
+        plan.push({ channel, status: "digest", reason: `${frequency.email}_digest`, scheduledFor: null });
+        return;
+      }
+
+      const batchTime = channel === "push" && !urgent ? getPushBatchTime(frequency.push, now) : null;
+      const scheduledFor = [batchTime, quietHoursEnd]
+        .filter(Boolean)
+        .reduce((latest, time) => (!latest || time > latest ? time : latest), null);
+
+      if (!scheduledFor) {
+        plan.push({ channel, status: "pending", reason: null, scheduledFor: null });
+        return;
+      }
+      const reason = quietHoursEnd && scheduledFor.getTime() === quietHoursEnd.getTime() ? "quiet_hours" : `${frequency.push}_push`;
+      plan.push({ channel, status: "deferred", reason, scheduledFor });
+    });
+
+    return plan;
+  }
+
+  /**
+   * Create a notification and route it to the user's channels.
+   * Routing problems never fail the notification itself.
+   */
+  static async createNotification(data) {
+    const notification = await NotificationsModel.createNotification(data);
+    try {
+      await NotificationDeliveryService.routeNotification(notification);
+    } catch (error) {
+      console.error(`[NotificationDelivery] Failed to route notification ${notification.id}:`, error.message);
+    }
+    return notification;
+  }
+
+  /**
+   * Record the delivery plan and start the immediate deliveries in the background
+   */
+  static async routeNotification(notification, now = new Date()) {
+    const preferences = await getPreferences(notification.userId);
+    const plan = NotificationDeliveryService.planDeliveries(notification, preferences, now);
+
+    const deliveries = await NotificationDeliveriesModel.createDeliveries(
+      plan.map((entry) => ({
+        notificationId: notification.id,
+        userId: notification.userId,
+        ...entry,
+      }))
+    );
+
+    deliveries
+      .filter((delivery) => delivery.status === "pending")
+      .forEach((delivery) => {
+        NotificationDeliveryService.dispatch(delivery, "pending", notification).catch((error) =>
+          console.error(`[NotificationDelivery] Delivery ${delivery.id} failed:`, error.message)
+        );
+      });
+
+    return deliveries;
+  }
+
+  /**
+   * Send one delivery through its channel and record the outcome
+   *
+   * @param {Object} delivery - notification_deliveries row
+   * @param {"pending"|"deferred"} fromStatus - Status the delivery is expected to be in (claim guard)
+   * @param {Object|null} notification - The notification, when the caller already has it
+   */
+  static async dispatch(delivery, fromStatus, notification = null) {
+    const claimed = await NotificationDeliveriesModel.claimDelivery(delivery.id, fromStatus);
+    if (!claimed) return null;
+
+    const channel = getChannel(claimed.channel);
+    const attemptCount = claimed.attemptCount + 1;
+    try {
+      const current = notification || (await NotificationsModel.getNotificationById(claimed.notificationId));
+      if (!current || current.archivedAt) {
+        return NotificationDeliveriesModel.updateDelivery(claimed.id, { status: "skipped", reason: "notification_deleted" });
+      }
+      // Held back by quiet hours or batching, but the user has seen it in the meantime
+      if (fromStatus === "deferred" && current.read && claimed.channel !== "in_app") {
+        return NotificationDeliveriesModel.updateDelivery(claimed.id, { status: "skipped", reason: "already_read" });
+      }
+
+      const user = claimed.channel === "in_app" ? null : await UserModel.getUserById(claimed.userId);
+      if (claimed.channel !== "in_app" && !user) {
+        return NotificationDeliveriesModel.updateDelivery(claimed.id, { status: "skipped", reason: "user_not_found", attemptCount });
+      }
+
+      const result = await channel.send(current, user);
+      if (result.status === "skipped") {
+        return NotificationDeliveriesModel.updateDelivery(claimed.id, { status: "skipped", reason: result.reason, attemptCount });
+      }
+      return NotificationDeliveriesModel.updateDelivery(claimed.id, {
+        status: "sent",
+        reason: null,
+        sentAt: new Date(),
+        attemptCount,
+        lastError: null,
+      });
+    } catch (error) {
+      if (channel.retryable && attemptCount < MAX_DELIVERY_ATTEMPTS) {
+        return NotificationDeliveriesModel.updateDelivery(claimed.id, {
+          status: "deferred",
+          reason: "retry",
+          scheduledFor: new Date(Date.now() + RETRY_BACKOFF_MS * attemptCount),
+          attemptCount,
+          lastError: error.message,
+        });
+      }
+      return NotificationDeliveriesModel.updateDelivery(claimed.id, { status: "failed", attemptCount, lastError: error.message });
+    }
+  }
+
+  /**
+   * Send every deferred delivery that is due (quiet hours over, batch time reached, retry due)
+   *
+   * @returns {Promise<number>} Number of deliveries processed
+   */
+  static async processDueDeliveries(now = new Date()) {
+    const deliveries = await NotificationDeliveriesModel.getDueDeliveries(now);
+    for (const delivery of deliveries) {
+      try {
+        await NotificationDeliveryService.dispatch(delivery, "deferred");
+      } catch (error) {
+        console.error(`[NotificationDelivery] Deferred delivery ${delivery.id} failed:`, error.message);
+      }
+    }
+    return deliveries.length;
+  }
+
+  static async getDeliveries(notificationId) {
+    return NotificationDeliveriesModel.getDeliveriesByNotificationId(notificationId);
+  }
+}
+
+module.exports = NotificationDeliveryService;
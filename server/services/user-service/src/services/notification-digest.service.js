@@ -0,0 +1,195 @@
+const { sendTemplatedMail } = require("shared/utils/sendEmail");
+const API_URLS = require("../config/api-urls.config");
+const { NotificationDeliveriesModel } = require("../models/notification-deliveries.model");
+const { NotificationDigestsModel } = require("../models/notification-digests.model");
+const { UserModel } = require("../models/user.model");
+const { getPreferences, createUnsubscribeToken } = require("./notification-preferences.service");
+const { getActionLink } = require("./notification-channels/notification-link");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Notifications listed per category; the rest are summarised as "and N more"
+const MAX_ITEMS_PER_CATEGORY = 5;
+
+// Localized by the template; the label is the fallback for categories it doesn't know
+const getCategory = (notification) => {
+  const category = String(notification.category || "").toLowerCase();
+  if (category) {
+    return { category, label: category.charAt(0).toUpperCase() + category.slice(1) };
+  }
+  return { category: null, label: notification.type || "Other" };
+};
+
+/**
+ * Group notifications by category, largest group first
+ *
+ * @returns {{ category: string|null, label: string, total: number, items: Object[] }[]}
+ */
+const groupByCategory = (notifications) => {
+  const groups = new Map();
+  notifications.forEach((notification) => {
+    const { category, label } = getCategory(notification);
+    if (!groups.has(label)) groups.set(label, { category, label, notifications: [] });
+    groups.get(label).notifications.push(notification);
+  });
+  return [...groups.values()]
+    .sort((a, b) => b.notifications.length - a.notifications.length)
+    .map(({ category, label, notifications: items }) => ({
+      category,
+      label,
+      total: items.length,
+      items: items.slice(0, MAX_ITEMS_PER_CATEGORY).map((notification) => ({
+        title: notification.title,
+        message: notification.message,
+        url: getActionLink(notification),
+      })),
+    }));
+};
+
+const getUnsubscribeUrl = (userId) =>
+  `${API_URLS.API_GATEWAY_BASE_URL || ""}/api/v1/user/notifications/unsubscribe?token=${encodeURIComponent(
+    createUnsubscribeToken(userId)
+  )}`;
+
+const sendDigestEmail = (user, frequency, notifications) => {
+  const unsubscribeUrl = getUnsubscribeUrl(user.id);
+  return sendTemplatedMail("notification-digest", {
+    to: user.email,
+    locale: user.locale,
+    headers: {
+      // One-click unsubscribe (RFC 8058) for mail clients that support it
+      "List-Unsubscribe": `<${unsubscribeUrl}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+    data: {
+      name: user.name,
+      frequency,
+      count: notifications.length,
+      groups: groupByCategory(notifications),
+      notificationsUrl: `${process.env.CLIENT_URL || ""}/notifications`,
+      settingsUrl: `${process.env.CLIENT_URL || ""}/settings`,
+      unsubscribeUrl,
+    },
+  });
+};
+
+/**
+ * Email digests for users whose email frequency is daily or weekly
+ *
+ * The delivery router leaves their email deliveries in the "digest" status. Once a period
+ * has ended, each user gets one email listing their still-unread notifications by category;
+ * the notification_digests row (unique per user and period) is claimed before sending, so a
+ * period is never digested twice, even with several workers running.
+ */
+class NotificationDigestService {
+  /**
+   * The most recent completed digest period (UTC): yesterday for daily,
+   * last Monday-to-Monday week for weekly.
+   */
+  static getDigestPeriod(frequency, now = new Date()) {
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    if (frequency === "weekly") {
+      const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+      const periodEnd = new Date(today - daysSinceMonday * DAY_MS);
+      return { periodStart: new Date(periodEnd.getTime() - 7 * DAY_MS), periodEnd };
+    }
+    return { periodStart: new Date(today - DAY_MS), periodEnd: new Date(today) };
+  }
+
+  /**
+   * Send the digest for one user and period
+   *
+   * @returns {Promise<Object|null>} The digest row, or null when there is nothing due or the period was already claimed
+   */
+  static async sendUserDigest(userId, frequency, { periodStart, periodEnd }, preferences) {
+    const items = await NotificationDeliveriesModel.getDigestItems(userId, periodEnd);
+    if (!items.length) return null;
+
+    const digest = await NotificationDigestsModel.claimDigest({
+      userId,
+      frequency,
+      periodStart,
+      periodEnd,
+      status: "sending",
+    });
+    if (!digest) return null;
+
+    try {
+      const deliveryIds = (entries) => entries.map(({ delivery }) => delivery.id);
+      const skipAll = async (entries, reason) => {
+        await NotificationDeliveriesModel.updateDeliveries(deliveryIds(entries), { status: "skipped", reason, digestId: digest.id });
+        return NotificationDigestsModel.updateDigest(digest.id, { status: "skipped", reason });
+      };
+
+      // Email turned off since the notifications were routed
+      if (!preferences.settings.email) {
+        return skipAll(items, "channel_disabled");
+      }
+
+      const unread = items.filter(({ notification }) => !notification.read && !notification.archivedAt);
+      const seen = items.filter(({ notification }) => notification.read || notification.archivedAt);
+      await NotificationDeliveriesModel.updateDeliveries(deliveryIds(seen), {
+        status: "skipped",
+        reason: "already_read",
+        digestId: digest.id,
+      });
+
+      if (!unread.length) {
+        return NotificationDigestsModel.updateDigest(digest.id, { status: "skipped", reason: "nothing_unread" });
+      }
+
+      const user = await UserModel.getUserById(userId);
+      if (!user?.email) {
+        return skipAll(unread, "no_email_address");
+      }
+
+      await sendDigestEmail(user, frequency, unread.map(({ notification }) => notification));
+
+      const sentAt = new Date();
+      await NotificationDeliveriesModel.updateDeliveries(deliveryIds(unread), {
+        status: "sent",
+        sentAt,
+        digestId: digest.id,
+      });
+      return NotificationDigestsModel.updateDigest(digest.id, {
+        status: "sent",
+        notificationCount: unread.length,
+        sentAt,
+      });
+    } catch (error) {
+      // Deliveries stay in "digest" and are picked up by the user's next digest
+      console.error(`[NotificationDigest] Digest ${digest.id} for user ${userId} failed:`, error.message);
+      return NotificationDigestsModel.updateDigest(digest.id, { status: "failed", lastError: error.message });
+    }
+  }
+
+  /**
+   * Send every digest whose period has ended
+   *
+   * @returns {Promise<number>} Number of digests processed
+   */
+  static async runDigests(now = new Date()) {
+    const periods = {
+      daily: NotificationDigestService.getDigestPeriod("daily", now),
+      weekly: NotificationDigestService.getDigestPeriod("weekly", now),
+    };
+
+    // The daily period always ends last, so this covers weekly users too
+    const userIds = await NotificationDeliveriesModel.getDigestUserIds(periods.daily.periodEnd);
+    let claimed = 0;
+    for (const userId of userIds) {
+      try {
+        const preferences = await getPreferences(userId);
+        // Users who switched to immediate emails get their leftovers in a daily digest
+        const frequency = preferences.frequency.email === "weekly" ? "weekly" : "daily";
+        const digest = await NotificationDigestService.sendUserDigest(userId, frequency, periods[frequency], preferences);
+        if (digest) claimed += 1;
+      } catch (error) {
+        console.error(`[NotificationDigest] Failed to process digest for user ${userId}:`, error.message);
+      }
+    }
+    return claimed;
+  }
+}
+
+module.exports = NotificationDigestService;
@@ -0,0 +1,257 @@
+const crypto = require("crypto");
+const { sql } = require("drizzle-orm");
+const { db } = require("../config/database");
+
+/**
+ * Notification preferences
+ * Reads the user's settings-service preferences (user_notification_settings,
+ * user_notification_frequency, user_quiet_hours) straight from the shared database.
+ * Missing rows fall back to the same defaults as the settings-service tables.
+ */
+
+const DEFAULT_SETTINGS = {
+  email: true,
+  sms: false,
+  push: true,
+  reminders: true,
+  projectUpdates: true,
+  xpNotifications: true,
+  aiSuggestions: true,
+  profileReminders: false,
+  securityAlerts: true,
+};
+
+const DEFAULT_FREQUENCY = {
+  email: "daily", // immediate | daily | weekly
+  push: "immediate", // immediate | batched | hourly
+};
+
+const DEFAULT_QUIET_HOURS = { enabled: false, start: null, end: null, timezone: null };
+
+// How long push notifications are held for the batched frequencies
+const PUSH_BATCH_MINUTES = {
+  batched: 15,
+  hourly: 60,
+};
+
+// Category toggle that covers a notification, by its category first and then its type.
+// Notifications not listed here (chat, billing, moderation, system...) have no toggle.
+const CATEGORY_PREFERENCES = {
+  deadline: "reminders",
+  reminder: "reminders",
+  project: "projectUpdates",
+  milestone: "projectUpdates",
+  match: "projectUpdates",
+  application: "projectUpdates",
+  invitation: "projectUpdates",
+  team: "projectUpdates",
+  review: "xpNotifications",
+  endorsement: "xpNotifications",
+  gamification: "xpNotifications",
+  recommendation: "aiSuggestions",
+  career: "aiSuggestions",
+  profile: "profileReminders",
+  security: "securityAlerts",
+};
+
+const TYPE_PREFERENCES = {
+  "Task Deadline": "reminders",
+  "Billing Reminder": "reminders",
+  "Project Update": "projectUpdates",
+  "Project Milestone": "projectUpdates",
+  "Project Match": "projectUpdates",
+  "Application Update": "projectUpdates",
+  "New Applicant": "projectUpdates",
+  Invitation: "projectUpdates",
+  "Team Invitation": "projectUpdates",
+  "Budget Alert": "projectUpdates",
+  Endorsement: "xpNotifications",
+  Review: "xpNotifications",
+  "Recommended Developer": "aiSuggestions",
+  "Career Opportunity": "aiSuggestions",
+  "Security Alert": "securityAlerts",
+};
+
+const getPreferenceKey = (notification) =>
+  CATEGORY_PREFERENCES[String(notification.category || "").toLowerCase()] || TYPE_PREFERENCES[notification.type] || null;
+
+// Security alerts skip quiet hours and the email digest
+const isUrgent = (notification) => notification.type === "Security Alert";
+
+const firstRow = async (query) => {
+  const result = await db.execute(query);
+  return result.rows?.[0] || null;
+};
+
+/**
+ * Load a user's delivery preferences.
+ * A failed lookup (e.g. settings tables not migrated yet) falls back to the defaults.
+ */
+const getPreferences = async (userId) => {
+  const id = Number(userId);
+  try {
+    const [settings, frequency, quietHours] = await Promise.all([
+      firstRow(sql`
+        SELECT email, sms, push, reminders, project_updates, xp_notifications, ai_suggestions,
+               profile_reminders, security_alerts
+        FROM user_notification_settings
+        WHERE user_id = ${id}
+        LIMIT 1
+      `),
+      firstRow(sql`
+        SELECT email_frequency, push_frequency
+        FROM user_notification_frequency
+        WHERE user_id = ${id}
+        LIMIT 1
+      `),
+      firstRow(sql`
+        SELECT enabled, start, "end", timezone
+        FROM user_quiet_hours
+        WHERE user_id = ${id}
+        LIMIT 1
+      `),
+    ]);
+
+    return {
+      settings: settings
+        ? {
+            email: settings.email,
+            sms: settings.sms,
+            push: settings.push,
+            reminders: settings.reminders,
+            projectUpdates: settings.project_updates,
+            xpNotifications: settings.xp_notifications,
+            aiSuggestions: settings.ai_suggestions,
+            profileReminders: settings.profile_reminders,
+            securityAlerts: settings.security_alerts,
+          }
+        : { ...DEFAULT_SETTINGS },
+      frequency: {
+        email: frequency?.email_frequency || DEFAULT_FREQUENCY.email,
+        push: frequency?.push_frequency || DEFAULT_FREQUENCY.push,
+      },
+      quietHours: quietHours
+        ? { enabled: quietHours.enabled, start: quietHours.start, end: quietHours.end, timezone: quietHours.timezone }
+        : { ...DEFAULT_QUIET_HOURS },
+    };
+  } catch (error) {
+    console.error(`[NotificationPreferences] Failed to load preferences for user ${id}, using defaults:`, error.message);
+    return {
+      settings: { ...DEFAULT_SETTINGS },
+      frequency: { ...DEFAULT_FREQUENCY },
+      quietHours: { ...DEFAULT_QUIET_HOURS },
+    };
+  }
+};
+
+// "22:30" or "22:30:00" -> minutes after midnight
+const parseTimeOfDay = (value) => {
+  const match = /^(\d{1,2}):(\d{2})/.exec(String(value || ""));
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes < 24 * 60 ? minutes : null;
+};
+
+// Minutes after midnight of `date` in a time zone (UTC for unknown zones)
+const getMinutesInZone = (date, timeZone) => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat("en-GB", {
+      timeZone: timeZone || "UTC",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(date);
+  } catch (error) {
+    return date.getUTCHours() * 60 + date.getUTCMinutes();
+  }
+  const get = (type) => Number(parts.find((part) => part.type === type)?.value || 0);
+  return get("hour") * 60 + get("minute");
+};
+
+/**
+ * When the user's quiet hours end, if `now` falls inside them.
+ * Handles overnight windows (22:00-08:00); equal start and end means no window.
+ *
+ * @returns {Date|null} End of the current quiet period, or null when not in quiet hours
+ */
+const getQuietHoursEnd = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled) return null;
+  const start = parseTimeOfDay(quietHours.start);
+  const end = parseTimeOfDay(quietHours.end);
+  if (start === null || end === null || start === end) return null;
+
+  const current = getMinutesInZone(now, quietHours.timezone);
+  const inside = start < end ? current >= start && current < end : current >= start || current < end;
+  if (!inside) return null;
+
+  const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+  const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+  endsAt.setUTCSeconds(0, 0);
+  return endsAt;
+};
+
+/**
+ * Next send time for a batched push frequency (the next 15-minute or hourly boundary)
+ *
+ * @returns {Date|null} null for immediate delivery
+ */
+const getPushBatchTime = (frequency, now = new Date()) => {
+  const minutes = PUSH_BATCH_MINUTES[frequency];
+  if (!minutes) return null;
+  const step = minutes * 60 * 1000;
+  return new Date(Math.floor(now.getTime() / step) * step + step);
+};
+
+// Unsubscribe tokens are HMACs rather than JWTs so they can never double as login tokens
+const signUnsubscribe = (userId) =>
+  crypto
+    .createHmac("sha256", process.env.EMAIL_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET || "")
+    .update(`email-unsubscribe:${userId}`)
+    .digest("base64url");
+
+/**
+ * Token for the one-click unsubscribe link in notification emails (does not expire)
+ */
+const createUnsubscribeToken = (userId) => `${Number(userId)}.${signUnsubscribe(Number(userId))}`;
+
+/**
+ * @returns {number|null} The user ID the token was issued for, or null when it is invalid
+ */
+const verifyUnsubscribeToken = (token) => {
+  const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(token || ""));
+  if (!match) return null;
+  const expected = Buffer.from(signUnsubscribe(Number(match[1])));
+  const received = Buffer.from(match[2]);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+  return Number(match[1]);
+};
+
+/**
+ * Turn off the email channel in the user's settings-service notification settings
+ */
+const disableEmailNotifications = async (userId) => {
+  const id = Number(userId);
+  const updated = await db.execute(sql`
+    UPDATE user_notification_settings
+    SET email = false, updated_at = NOW()
+    WHERE user_id = ${id}
+  `);
+  if (!updated.rowCount) {
+    await db.execute(sql`
+      INSERT INTO user_notification_settings (user_id, email)
+      VALUES (${id}, false)
+    `);
+  }
+};
+
+module.exports = {
+  getPreferences,
+  getPreferenceKey,
+  isUrgent,
+  getQuietHoursEnd,
+  getPushBatchTime,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  disableEmailNotifications,
+};
@@ -0,0 +1,95 @@
+const axios = require("axios");
+const API_URLS = require("../config/api-urls.config");
+const { NotificationsModel } = require("../models/notifications.model");
+const { INTERNAL_KEY_HEADER } = require("shared/middleware/internalAuth.middleware");
+
+/**
+ * Real-time notification push
+ * New notifications and unread-count changes are relayed to the user's open sockets
+ * through the chat-service, which owns the app's Socket.io server.
+ *
+ * Events (received by the client's notificationSlice):
+ * - notification_created: { notification, unreadCount }
+ * - notifications_updated: { action, notificationId, unreadCount }
+ *   action is one of "read", "read_all", "deleted", "deleted_all"
+ *
+ * Pushes are best-effort: a failure never fails the request that triggered it,
+ * and clients re-sync the unread count when their socket reconnects.
+ */
+
+const PUSH_TIMEOUT_MS = 5000;
+
+let warnedNotConfigured = false;
+
+const isPushConfigured = () => Boolean(API_URLS.CHAT_SERVICE_URL && process.env.INTERNAL_API_KEY);
+
+const pushToUser = async (userId, event, data) => {
+  if (!isPushConfigured()) {
+    if (!warnedNotConfigured) {
+      console.warn("[NotificationPush] API_CHAT_URL or INTERNAL_API_KEY not set, real-time push disabled");
+      warnedNotConfigured = true;
+    }
+    return false;
+  }
+
+  try {
+    await axios.post(
+      `${API_URLS.CHAT_SERVICE_URL}/internal/v1/realtime/push`,
+      { userId: Number(userId), event, data },
+      {
+        headers: { [INTERNAL_KEY_HEADER]: process.env.INTERNAL_API_KEY },
+        timeout: PUSH_TIMEOUT_MS,
+      }
+    );
+    return true;
+  } catch (error) {
+    console.error(`[NotificationPush] Failed to push ${event} to user ${userId}:`, error.response?.data?.message || error.message);
+    return false;
+  }
+};
+
+/**
+ * Push a newly created notification with the user's new unread count
+ */
+const publishNotificationCreated = async (notification) => {
+  try {
+    if (!notification?.userId) return false;
+    const unreadCount = await NotificationsModel.getUnreadCount(notification.userId);
+    const metadata = typeof notification.metadata === "string" ? JSON.parse(notification.metadata) : notification.metadata;
+
+    return await pushToUser(notification.userId, "notification_created", {
+      notification: { ...notification, metadata: metadata || null },
+      unreadCount,
+    });
+  } catch (error) {
+    console.error("[NotificationPush] Failed to publish new notification:", error.message);
+    return false;
+  }
+};
+
+/**
+ * Push a read/delete change so the user's other tabs and devices stay in sync
+ *
+ * @param {number} userId - Owner of the notifications
+ * @param {"read"|"read_all"|"deleted"|"deleted_all"} action - What changed
+ * @param {number|null} notificationId - Affected notification (null for the *_all actions)
+ */
+const publishNotificationsUpdated = async (userId, action, notificationId = null) => {
+  try {
+    const unreadCount = await NotificationsModel.getUnreadCount(userId);
+    return await pushToUser(userId, "notifications_updated", {
+      action,
+      notificationId: notificationId ? Number(notificationId) : null,
+      unreadCount,
+    });
+  } catch (error) {
+    console.error("[NotificationPush] Failed to publish notification update:", error.message);
+    return false;
+  }
+};
+
+module.exports = {
+  isPushConfigured,
+  publishNotificationCreated,
+  publishNotificationsUpdated,
+};
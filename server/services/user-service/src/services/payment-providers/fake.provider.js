@@ -0,0 +1,110 @@
+const axios = require("axios");
+const crypto = require("crypto");
+
+// Cards ending in these digits are declined, mirroring Stripe's test cards
+const DECLINED_CARD_LAST4 = ["0002", "9995"];
+const SIGNATURE_HEADER = "x-fake-signature";
+
+// Development-only default; validatePaymentConfig refuses it in production
+const DEFAULT_WEBHOOK_SECRET = "fake_whsec_dev";
+
+const getWebhookSecret = () => process.env.FAKE_PAYMENT_WEBHOOK_SECRET || DEFAULT_WEBHOOK_SECRET;
+
+const getWebhookUrl = () =>
+  process.env.FAKE_PAYMENT_WEBHOOK_URL ||
+  `http://localhost:${process.env.PORT || 3001}/api/v1/user/billing/webhooks/fake`;
+
+const sign = (payload) =>
+  crypto.createHmac("sha256", getWebhookSecret()).update(payload).digest("hex");
+
+/**
+ * Local fake payment gateway
+ * Accepts every charge except known decline cards and reports the outcome
+ * through a signed webhook, exactly like a real provider would.
+ * Intended for local development and staging only.
+ */
+class FakeProvider {
+  static usesDefaultWebhookSecret() {
+    return getWebhookSecret() === DEFAULT_WEBHOOK_SECRET;
+  }
+
+  static async createPayment({ amount, currency, paymentMethod, metadata = {} }) {
+    const id = `fake_pi_${crypto.randomBytes(12).toString("hex")}`;
+    const declined = DECLINED_CARD_LAST4.includes(paymentMethod?.last4);
+
+    const event = {
+      id: `fake_evt_${crypto.randomBytes(12).toString("hex")}`,
+      type: declined ? "payment.failed" : "payment.succeeded",
+      data: {
+        paymentId: id,
+        amount,
+        currency,
+        metadata,
+        failureReason: declined ? "Your card was declined." : null,
+      },
+      createdAt: new Date().toISOString(),
+    };
+
+    if (process.env.FAKE_PAYMENT_AUTO_CONFIRM !== "false") {
+      const delay = Number(process.env.FAKE_PAYMENT_WEBHOOK_DELAY_MS) || 2000;
+      setTimeout(() => FakeProvider.dispatchWebhook(event), delay);
+    }
+
+    return {
+      id,
+      status: "pending",
+      clientSecret: null,
+      failureReason: null,
+    };
+  }
+
+  // Fake refunds always go through right away
+  static async refundPayment() {
+    return {
+      id: `fake_re_${crypto.randomBytes(12).toString("hex")}`,
+      status: "succeeded",
+      failureReason: null,
+    };
+  }
+
+  static async dispatchWebhook(event) {
+    const payload = JSON.stringify(event);
+    try {
+      await axios.post(getWebhookUrl(), payload, {
+        headers: {
+          "Content-Type": "application/json",
+          [SIGNATURE_HEADER]: sign(payload),
+        },
+        timeout: 10000,
+      });
+    } catch (error) {
+      console.error("[FakeProvider] Failed to deliver webhook:", {
+        eventId: event.id,
+        error: error.message,
+      });
+    }
+  }
+
+  static parseWebhookEvent(rawBody, headers) {
+    const signature = headers[SIGNATURE_HEADER];
+    if (!signature || !rawBody) {
+      throw new Error("Missing fake gateway signature");
+    }
+
+    const expected = sign(rawBody.toString("utf8"));
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new Error("Invalid fake gateway signature");
+    }
+
+    const event = JSON.parse(rawBody.toString("utf8"));
+    return {
+      id: event.id,
+      type: event.type,
+      paymentId: event.data?.paymentId,
+      failureReason: event.data?.failureReason || null,
+      raw: event,
+    };
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,63 @@
+const StripeProvider = require("./stripe.provider");
+const FakeProvider = require("./fake.provider");
+
+/**
+ * Payment provider registry
+ *
+ * Every provider exposes the same static methods:
+ * - createPayment({ amount, currency, description, paymentMethod, customerEmail, idempotencyKey, offSession, metadata })
+ *     -> { id, status: 'pending' | 'failed', clientSecret, failureReason }
+ * - refundPayment({ paymentId, amount, currency, idempotencyKey, metadata })
+ *     -> { id, status: 'succeeded' | 'pending' | 'failed', failureReason }
+ * - parseWebhookEvent(rawBody, headers)
+ *     -> { id, type: 'payment.succeeded' | 'payment.failed' | 'refund.succeeded' | 'refund.failed' | <other>,
+ *          paymentId (refund ID for refund events), failureReason, raw }
+ *
+ * The active provider is chosen with PAYMENT_PROVIDER; it has no default, so a deployment
+ * never ends up on the fake gateway by accident.
+ */
+const PROVIDERS = {
+  stripe: StripeProvider,
+  fake: FakeProvider,
+};
+
+const getProviderName = () => {
+  if (!process.env.PAYMENT_PROVIDER) {
+    throw new Error(`PAYMENT_PROVIDER is not set (one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  return process.env.PAYMENT_PROVIDER.toLowerCase();
+};
+
+const isActiveProvider = (name) => String(name).toLowerCase() === getProviderName();
+
+/**
+ * Check the payment configuration at startup; throws when the service must not start.
+ * The fake gateway approves every charge and its webhook secret has a public default,
+ * so it is refused in production. Webhooks are only accepted for the active provider,
+ * so the fake secret is never checked there either.
+ */
+const validatePaymentConfig = () => {
+  const name = getProviderName();
+  const provider = getPaymentProvider(name);
+
+  if (process.env.NODE_ENV === "production" && provider === FakeProvider) {
+    const secret = FakeProvider.usesDefaultWebhookSecret() ? " (with the default webhook secret)" : "";
+    throw new Error(`PAYMENT_PROVIDER=fake${secret} cannot be used in production`);
+  }
+  return name;
+};
+
+const getPaymentProvider = (name = getProviderName()) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider,
+  getProviderName,
+  isActiveProvider,
+  validatePaymentConfig,
+};
@@ -0,0 +1,195 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const qs = require("qs");
+
+const STRIPE_API_BASE_URL = process.env.STRIPE_API_BASE_URL || "https://api.stripe.com/v1";
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Stripe event types we act on, mapped to the provider-neutral event types
+const EVENT_TYPE_MAP = {
+  "payment_intent.succeeded": "payment.succeeded",
+  "payment_intent.payment_failed": "payment.failed",
+  "payment_intent.canceled": "payment.failed",
+};
+
+// Stripe refund statuses mapped to the provider-neutral refund statuses
+const REFUND_STATUS_MAP = {
+  succeeded: "succeeded",
+  failed: "failed",
+  canceled: "failed",
+};
+
+/**
+ * Stripe payment provider
+ * Talks to the Stripe REST API directly (form-encoded) so no SDK is required.
+ */
+class StripeProvider {
+  static getSecretKey() {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new Error("Stripe configuration missing: STRIPE_SECRET_KEY not set");
+    }
+    return process.env.STRIPE_SECRET_KEY;
+  }
+
+  /**
+   * Create a PaymentIntent for the given amount.
+   * If a saved Stripe payment method is supplied the intent is confirmed right away;
+   * otherwise the client must confirm it with the returned clientSecret.
+   * Off-session charges (renewals) are made without the customer present.
+   * The final outcome always arrives through the webhook.
+   */
+  static async createPayment({ amount, currency, description, paymentMethod, customerEmail, idempotencyKey, offSession = false, metadata = {} }) {
+    const params = {
+      amount: Math.round(parseFloat(amount) * 100),
+      currency: (currency || "USD").toLowerCase(),
+      description,
+      receipt_email: customerEmail || undefined,
+      metadata,
+      payment_method_types: ["card"],
+    };
+
+    if (paymentMethod?.stripePaymentMethodId) {
+      params.payment_method = paymentMethod.stripePaymentMethodId;
+      params.confirm = true;
+      if (offSession) {
+        params.off_session = true;
+      }
+    }
+
+    try {
+      const response = await axios.post(
+        `${STRIPE_API_BASE_URL}/payment_intents`,
+        qs.stringify(params, { arrayFormat: "brackets" }),
+        {
+          headers: {
+            Authorization: `Bearer ${StripeProvider.getSecretKey()}`,
+            "Content-Type": "application/x-www-form-urlencoded",
+            "Idempotency-Key": idempotencyKey || crypto.randomUUID(),
+          },
+          timeout: 15000,
+        }
+      );
+
+      const intent = response.data;
+      return {
+        id: intent.id,
+        status: intent.status === "requires_payment_method" && intent.last_payment_error ? "failed" : "pending",
+        clientSecret: intent.client_secret,
+        failureReason: intent.last_payment_error?.message || null,
+      };
+    } catch (error) {
+      // Card errors come back as 402 with a PaymentIntent attached; surface them as failed payments
+      const stripeError = error.response?.data?.error;
+      if (stripeError?.payment_intent) {
+        return {
+          id: stripeError.payment_intent.id,
+          status: "failed",
+          clientSecret: stripeError.payment_intent.client_secret,
+          failureReason: stripeError.message,
+        };
+      }
+      throw new Error(`Stripe API error: ${stripeError?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Refund all or part of a PaymentIntent.
+   * Most card refunds succeed immediately; the rest finish through a refund.updated webhook.
+   */
+  static async refundPayment({ paymentId, amount, idempotencyKey, metadata = {} }) {
+    const params = {
+      payment_intent: paymentId,
+      amount: Math.round(parseFloat(amount) * 100),
+      metadata,
+    };
+
+    try {
+      const response = await axios.post(
+        `${STRIPE_API_BASE_URL}/refunds`,
+        qs.stringify(params, { arrayFormat: "brackets" }),
+        {
+          headers: {
+            Authorization: `Bearer ${StripeProvider.getSecretKey()}`,
+            "Content-Type": "application/x-www-form-urlencoded",
+            "Idempotency-Key": idempotencyKey || crypto.randomUUID(),
+          },
+          timeout: 15000,
+        }
+      );
+
+      const refund = response.data;
+      return {
+        id: refund.id,
+        status: REFUND_STATUS_MAP[refund.status] || "pending",
+        failureReason: refund.failure_reason || null,
+      };
+    } catch (error) {
+      const stripeError = error.response?.data?.error;
+      throw new Error(`Stripe API error: ${stripeError?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Verify the Stripe-Signature header and normalize the event.
+   * @param {Buffer} rawBody - Raw request body exactly as Stripe sent it
+   * @param {Object} headers - Request headers
+   */
+  static parseWebhookEvent(rawBody, headers) {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new Error("Stripe configuration missing: STRIPE_WEBHOOK_SECRET not set");
+    }
+
+    const signatureHeader = headers["stripe-signature"];
+    if (!signatureHeader || !rawBody) {
+      throw new Error("Missing Stripe signature");
+    }
+
+    const parts = signatureHeader.split(",").reduce((acc, part) => {
+      const [key, value] = part.split("=");
+      (acc[key] = acc[key] || []).push(value);
+      return acc;
+    }, {});
+    const timestamp = parts.t?.[0];
+    const signatures = parts.v1 || [];
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error("Stripe signature timestamp outside tolerance");
+    }
+
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${rawBody.toString("utf8")}`)
+      .digest("hex");
+    const isValid = signatures.some(
+      (sig) => sig.length === expected.length && crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))
+    );
+    if (!isValid) {
+      throw new Error("Invalid Stripe signature");
+    }
+
+    const event = JSON.parse(rawBody.toString("utf8"));
+    const intent = event.data?.object || {};
+
+    if (event.type === "refund.updated" || event.type === "charge.refund.updated") {
+      const status = REFUND_STATUS_MAP[intent.status];
+      return {
+        id: event.id,
+        type: status ? `refund.${status}` : event.type,
+        paymentId: intent.id,
+        failureReason: intent.failure_reason || null,
+        raw: event,
+      };
+    }
+
+    return {
+      id: event.id,
+      type: EVENT_TYPE_MAP[event.type] || event.type,
+      paymentId: intent.id,
+      failureReason: intent.last_payment_error?.message || (event.type === "payment_intent.canceled" ? "Payment was cancelled" : null),
+      raw: event,
+    };
+  }
+}
+
+module.exports = StripeProvider;
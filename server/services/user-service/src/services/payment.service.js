@@ -0,0 +1,436 @@
+const {
+  BillingHistoryModel,
+  InvoicesModel,
+  PaymentEventsModel,
+} = require("../models/billing.model");
+const HttpException = require("shared/utils/HttpException.utils");
+const { getPaymentProvider, getProviderName, isActiveProvider } = require("./payment-providers");
+const { notifyBillingEvent, sendInvoiceEmail } = require("./billing-notification.service");
+const TaxService = require("./tax.service");
+const PricingService = require("./pricing.service");
+const SubscriptionService = require("./subscription.service");
+const CouponService = require("./coupon.service");
+const RefundService = require("./refund.service");
+const EscrowService = require("./escrow.service");
+const HourlyInvoiceService = require("./hourly-invoice.service");
+const InvoiceService = require("./invoice.service");
+
+const formatAmount = (amount) => parseFloat(amount).toFixed(2);
+
+class PaymentService {
+  // ========== Checkout ==========
+
+  /**
+   * Create a pending billing record + invoice and ask the active provider to charge it.
+   * `amount` is the pre-tax price in `currency`; tax is added from the billing address
+   * of the payment method and the charged total is stored on the billing record.
+   * Zero-amount checkouts are completed immediately without touching the provider.
+   * Fulfillment (activating a subscription, etc.) only happens once the payment succeeds.
+   * Set offSession for charges made without the customer present (renewals, dunning retries).
+   * `discount` (from CouponService.previewDiscount) is taken off `amount` before tax, shown as
+   * a negative invoice line and reserves one use of the coupon until the payment settles.
+   * Set taxable to false for money only held on someone's behalf (milestone escrow).
+   *
+   * @returns {Promise<{ billingRecord: Object, invoice: Object, payment: Object }>}
+   */
+  static async startCheckout({
+    userId,
+    customerEmail,
+    amount,
+    currency = "USD",
+    description,
+    type,
+    metadata = {},
+    items,
+    paymentMethod = null,
+    offSession = false,
+    discount = null,
+    taxable = true,
+  }) {
+    let lineItems = items || [{ description, quantity: 1, price: formatAmount(amount) }];
+    let subtotal = amount;
+
+    if (discount) {
+      lineItems = [
+        ...lineItems,
+        { description: `Discount (${discount.coupon.code})`, quantity: 1, price: formatAmount(-discount.amount) },
+      ];
+      subtotal = Math.max(parseFloat(amount) - discount.amount, 0);
+      metadata = { ...metadata, couponCode: discount.coupon.code, discount: formatAmount(discount.amount) };
+    }
+
+    const untaxed = parseFloat(formatAmount(subtotal));
+    const tax = taxable
+      ? await TaxService.calculateTax(subtotal, paymentMethod?.billingAddress)
+      : { subtotal: untaxed, tax: 0, total: untaxed, rate: 0, label: null };
+    const isFree = tax.total <= 0;
+    const providerName = isFree ? null : getProviderName();
+    const now = new Date();
+    const invoiceNumber = `INV-${Date.now()}-${userId}`;
+
+    if (discount) {
+      await CouponService.reserve(discount.coupon);
+    }
+
+    let billingRecord;
+    let invoice;
+    let redeemed = false;
+    let payment;
+    try {
+      billingRecord = await BillingHistoryModel.createBillingRecord({
+        userId,
+        amount: formatAmount(tax.total),
+        currency,
+        status: isFree ? "completed" : "pending",
+        description,
+        invoiceId: invoiceNumber,
+        paymentMethodId: paymentMethod?.id || null,
+        type,
+        metadata,
+        provider: providerName,
+      });
+
+      invoice = await InvoiceService.createInvoice({
+        userId,
+        invoiceNumber,
+        amount: formatAmount(tax.total),
+        currency,
+        status: isFree ? "paid" : "sent",
+        items: lineItems,
+        subtotal: formatAmount(tax.subtotal),
+        tax: formatAmount(tax.tax),
+        taxRate: tax.rate ? String(tax.rate) : null,
+        taxLabel: tax.label,
+        total: formatAmount(tax.total),
+        dueDate: now,
+        paidAt: isFree ? now : null,
+        billingHistoryId: billingRecord.id,
+      });
+
+      if (discount) {
+        await CouponService.recordRedemption({
+          coupon: discount.coupon,
+          userId,
+          billingHistoryId: billingRecord.id,
+          discountAmount: discount.amount,
+          currency,
+          status: isFree ? "applied" : "pending",
+        });
+        redeemed = true;
+      }
+
+      // Provider errors and declines fail the record through markPaymentFailed; the catch
+      // covers anything that throws before that (e.g. an unknown provider)
+      if (!isFree) {
+        payment = await PaymentService.chargeBillingRecord(billingRecord, {
+          paymentMethod,
+          customerEmail,
+          offSession,
+        });
+      }
+    } catch (error) {
+      await PaymentService.abandonCheckout({ billingRecord, invoice, discount, redeemed }, error);
+      throw error;
+    }
+
+    if (isFree) {
+      await PaymentService.fulfillPayment(billingRecord);
+      return { billingRecord, invoice, payment: { status: "succeeded", provider: null } };
+    }
+
+    billingRecord = payment.billingRecord;
+
+    return { billingRecord, invoice, payment };
+  }
+
+  /**
+   * Undo a checkout that threw part-way: fail the billing record, cancel its invoice and hand
+   * the reserved coupon use back. Cleanup errors are only logged so the caller rethrows the
+   * original error.
+   */
+  static async abandonCheckout({ billingRecord, invoice, discount, redeemed }, error) {
+    try {
+      const current = billingRecord && (await BillingHistoryModel.getBillingRecordById(billingRecord.id));
+      // Already failed (and cleaned up) by markPaymentFailed
+      if (current && current.status !== "failed") {
+        await BillingHistoryModel.updateBillingRecord(billingRecord.id, {
+          status: "failed",
+          failureReason: error.message || "Checkout failed",
+        });
+        if (invoice) {
+          await InvoiceService.updateInvoice(invoice.id, { status: "cancelled" });
+        }
+      }
+
+      if (redeemed) {
+        await CouponService.voidRedemption(billingRecord.id);
+      } else if (discount) {
+        await CouponService.release(discount.coupon);
+      }
+    } catch (cleanupError) {
+      console.error(
+        `[PaymentService] Failed to clean up checkout ${billingRecord?.invoiceId || "(no billing record)"}:`,
+        cleanupError.message
+      );
+    }
+  }
+
+  /**
+   * Submit an existing pending billing record to the payment provider.
+   * A synchronous decline or a provider error marks the record failed right away;
+   * otherwise the record stays pending until the provider webhook arrives.
+   */
+  static async chargeBillingRecord(
+    billingRecord,
+    { paymentMethod, customerEmail, attempt = 1, offSession = false } = {}
+  ) {
+    const providerName = billingRecord.provider || getProviderName();
+    const provider = getPaymentProvider(providerName);
+
+    if (!paymentMethod) {
+      const updated = await PaymentService.markPaymentFailed(billingRecord, "No payment method on file");
+      return {
+        billingRecord: updated,
+        provider: providerName,
+        status: "failed",
+        clientSecret: null,
+        failureReason: updated.failureReason,
+      };
+    }
+
+    let result;
+    try {
+      result = await provider.createPayment({
+        amount: billingRecord.amount,
+        currency: billingRecord.currency,
+        description: billingRecord.description,
+        paymentMethod,
+        customerEmail,
+        idempotencyKey: `billing-${billingRecord.id}-${attempt}`,
+        offSession,
+        metadata: {
+          billingHistoryId: String(billingRecord.id),
+          userId: String(billingRecord.userId),
+          type: billingRecord.type,
+        },
+      });
+    } catch (error) {
+      // No webhook will ever settle a payment the provider never accepted: fail the record
+      // (cancels the invoice, voids the coupon redemption, schedules renewal retries)
+      console.error(`[PaymentService] Provider error for billing record ${billingRecord.id}:`, error.message);
+      const updated = await PaymentService.markPaymentFailed(billingRecord, error.message || "Payment provider error");
+      return {
+        billingRecord: updated,
+        provider: providerName,
+        status: "failed",
+        clientSecret: null,
+        failureReason: updated.failureReason,
+      };
+    }
+
+    let updated = await BillingHistoryModel.updateBillingRecord(billingRecord.id, {
+      provider: providerName,
+      providerPaymentId: result.id,
+      paymentMethodId: paymentMethod?.id || billingRecord.paymentMethodId,
+    });
+
+    if (result.status === "failed") {
+      updated = await PaymentService.markPaymentFailed(updated, result.failureReason);
+    }
+
+    return {
+      billingRecord: updated,
+      provider: providerName,
+      status: result.status,
+      clientSecret: result.clientSecret,
+      failureReason: result.failureReason,
+    };
+  }
+
+  // ========== Webhooks ==========
+
+  /**
+   * Verify, de-duplicate and apply a provider webhook.
+   * @param {string} providerName - Provider from the webhook URL (e.g. 'stripe')
+   * @param {Buffer} rawBody - Raw request body (needed for signature checks)
+   * @param {Object} headers - Request headers
+   */
+  static async handleWebhook(providerName, rawBody, headers) {
+    let provider;
+    let event;
+    try {
+      // Only the configured gateway may report outcomes (the fake one would let anyone mark a charge paid)
+      if (!isActiveProvider(providerName)) {
+        throw new Error(`${providerName} is not the active payment provider`);
+      }
+      provider = getPaymentProvider(providerName);
+      event = provider.parseWebhookEvent(rawBody, headers);
+    } catch (error) {
+      throw new HttpException(400, `Webhook rejected: ${error.message}`);
+    }
+
+    let storedEvent = await PaymentEventsModel.createEvent({
+      provider: providerName,
+      eventId: event.id,
+      type: event.type,
+      providerPaymentId: event.paymentId || null,
+      payload: event.raw,
+    });
+
+    if (!storedEvent) {
+      storedEvent = await PaymentEventsModel.getEventByEventId(event.id);
+      if (storedEvent?.processedAt) {
+        return { eventId: event.id, duplicate: true };
+      }
+    }
+
+    if (["refund.succeeded", "refund.failed"].includes(event.type) && event.paymentId) {
+      const refund = await RefundService.handleRefundEvent(providerName, event);
+      await PaymentEventsModel.markProcessed(storedEvent.id, refund?.refundBillingHistoryId || null);
+      return { eventId: event.id, refundId: refund?.id || null, type: event.type, ignored: !refund };
+    }
+
+    if (!["payment.succeeded", "payment.failed"].includes(event.type) || !event.paymentId) {
+      await PaymentEventsModel.markProcessed(storedEvent.id);
+      return { eventId: event.id, ignored: true };
+    }
+
+    const billingRecord = await BillingHistoryModel.getBillingRecordByProviderPaymentId(
+      providerName,
+      event.paymentId
+    );
+    if (!billingRecord) {
+      // Unknown payment (e.g. created outside SkillBridge); acknowledge so the provider stops retrying
+      await PaymentEventsModel.markProcessed(storedEvent.id);
+      return { eventId: event.id, ignored: true };
+    }
+
+    if (event.type === "payment.succeeded") {
+      await PaymentService.markPaymentSucceeded(billingRecord);
+    } else {
+      await PaymentService.markPaymentFailed(billingRecord, event.failureReason);
+    }
+
+    await PaymentEventsModel.markProcessed(storedEvent.id, billingRecord.id);
+    return { eventId: event.id, billingHistoryId: billingRecord.id, type: event.type };
+  }
+
+  // ========== State transitions ==========
+
+  static async markPaymentSucceeded(billingRecord) {
+    if (billingRecord.status === "completed") {
+      return billingRecord;
+    }
+
+    const updated = await BillingHistoryModel.updateBillingRecord(billingRecord.id, {
+      status: "completed",
+      failureReason: null,
+    });
+
+    const invoice = await InvoicesModel.getInvoiceByBillingHistoryId(billingRecord.id);
+    let paidInvoice = null;
+    if (invoice) {
+      paidInvoice = await InvoiceService.updateInvoice(invoice.id, { status: "paid", paidAt: new Date() });
+    }
+
+    if (updated.metadata?.couponCode) {
+      await CouponService.confirmRedemption(updated.id);
+    }
+
+    await PaymentService.fulfillPayment(updated);
+    await notifyBillingEvent(updated.userId, {
+      type: "Billing Reminder",
+      title: "Payment received",
+      message: `Your payment of ${PricingService.formatMoney(updated.amount, updated.currency)} for ${updated.description || "your purchase"} was successful.`,
+      priority: "low",
+      relatedEntityId: updated.id,
+    });
+    if (paidInvoice) {
+      await sendInvoiceEmail(updated.userId, paidInvoice, { description: updated.description });
+    }
+
+    return updated;
+  }
+
+  static async markPaymentFailed(billingRecord, failureReason) {
+    // A late failure event must never undo a payment that already succeeded
+    if (billingRecord.status === "completed" || billingRecord.status === "refunded") {
+      return billingRecord;
+    }
+
+    const updated = await BillingHistoryModel.updateBillingRecord(billingRecord.id, {
+      status: "failed",
+      failureReason: failureReason || "Payment failed",
+    });
+
+    const renewalId = updated.metadata?.renewalId;
+    const invoice = await InvoicesModel.getInvoiceByBillingHistoryId(billingRecord.id);
+    if (invoice && invoice.status !== "paid") {
+      // Renewal invoices stay open while dunning retries are pending
+      await InvoiceService.updateInvoice(invoice.id, { status: renewalId ? "overdue" : "cancelled" });
+    }
+
+    if (updated.metadata?.couponCode) {
+      await CouponService.voidRedemption(updated.id);
+    }
+
+    if (updated.type === "escrow") {
+      await EscrowService.markFundingFailed(updated);
+    }
+
+    if (updated.type === "hourly_invoice") {
+      await HourlyInvoiceService.markPaymentFailed(updated);
+    }
+
+    if (renewalId) {
+      // The dunning flow sends its own past-due / cancellation notifications
+      await SubscriptionService.recordRenewalFailure(renewalId, updated.failureReason);
+      return updated;
+    }
+
+    await notifyBillingEvent(updated.userId, {
+      type: "Billing Alert",
+      title: "Payment failed",
+      message: `We couldn't process your payment of ${PricingService.formatMoney(updated.amount, updated.currency)} for ${updated.description || "your purchase"}: ${updated.failureReason}`,
+      priority: "high",
+      relatedEntityId: updated.id,
+    });
+
+    return updated;
+  }
+
+  /**
+   * Apply the effect of a confirmed payment based on its billing type.
+   */
+  static async fulfillPayment(billingRecord) {
+    const metadata = billingRecord.metadata || {};
+
+    switch (billingRecord.type) {
+      case "subscription":
+        if (metadata.renewalId) {
+          await SubscriptionService.completeRenewal(metadata.renewalId);
+        } else if (metadata.prorationFrom && metadata.planName) {
+          await SubscriptionService.applyPlanChange(billingRecord.userId, metadata.planName);
+        } else if (metadata.planName) {
+          await SubscriptionService.activateSubscription(billingRecord.userId, metadata.planName, {
+            paymentMethodId: billingRecord.paymentMethodId,
+            currency: billingRecord.currency,
+          });
+        }
+        break;
+      case "boost":
+        // Boosts are read straight from completed billing_history rows
+        break;
+      case "escrow":
+        await EscrowService.markFunded(billingRecord);
+        break;
+      case "hourly_invoice":
+        await HourlyInvoiceService.markPaid(billingRecord);
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,118 @@
+const TaxService = require("./tax.service");
+
+// Currency used when a billing country has no local currency we price in
+const DEFAULT_CURRENCY = "USD";
+
+// Local billing currency per country (only countries we publish prices for)
+const COUNTRY_CURRENCIES = {
+  US: "USD",
+  GB: "GBP",
+  IN: "INR",
+  CA: "CAD",
+  AU: "AUD",
+  AT: "EUR",
+  BE: "EUR",
+  DE: "EUR",
+  ES: "EUR",
+  FI: "EUR",
+  FR: "EUR",
+  IE: "EUR",
+  IT: "EUR",
+  NL: "EUR",
+  PT: "EUR",
+};
+
+// Project boost prices per currency
+const BOOST_PRICES = {
+  USD: { standard: 10.0, premium: 15.0, featured: 20.0 },
+  EUR: { standard: 9.0, premium: 14.0, featured: 18.0 },
+  GBP: { standard: 8.0, premium: 12.0, featured: 16.0 },
+  INR: { standard: 799.0, premium: 1199.0, featured: 1599.0 },
+  CAD: { standard: 13.0, premium: 20.0, featured: 27.0 },
+  AUD: { standard: 15.0, premium: 22.0, featured: 30.0 },
+};
+
+const normalizeCurrency = (currency) => (currency ? String(currency).trim().toUpperCase() : null);
+
+class PricingService {
+  /**
+   * Human-readable amount, e.g. "$15.00", "€14.00", "₹799.00".
+   */
+  static formatMoney(amount, currency = DEFAULT_CURRENCY) {
+    const value = parseFloat(amount || 0);
+    try {
+      return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(value);
+    } catch (error) {
+      return `${value.toFixed(2)} ${currency}`;
+    }
+  }
+
+  /**
+   * Currencies a plan can be bought in: its base currency plus any entries in `prices`.
+   */
+  static getPlanCurrencies(plan) {
+    return [plan.currency || DEFAULT_CURRENCY, ...Object.keys(plan.prices || {})].map(normalizeCurrency);
+  }
+
+  /**
+   * Price of a plan in the given currency, or null when the plan isn't priced in it.
+   */
+  static getPlanPrice(plan, currency) {
+    const target = normalizeCurrency(currency) || normalizeCurrency(plan.currency) || DEFAULT_CURRENCY;
+    if (target === (normalizeCurrency(plan.currency) || DEFAULT_CURRENCY)) {
+      return { amount: parseFloat(plan.price), currency: target };
+    }
+
+    const prices = Object.fromEntries(
+      Object.entries(plan.prices || {}).map(([code, price]) => [normalizeCurrency(code), price])
+    );
+    if (prices[target] === undefined) {
+      return null;
+    }
+    return { amount: parseFloat(prices[target]), currency: target };
+  }
+
+  /**
+   * Pick the billing currency: an explicit request wins, then the local currency
+   * of the billing country, then the base currency. Only `available` currencies qualify.
+   */
+  static resolveCurrency({ requested, billingAddress, available, fallback = DEFAULT_CURRENCY }) {
+    const supported = available.map(normalizeCurrency);
+    const candidates = [
+      normalizeCurrency(requested),
+      COUNTRY_CURRENCIES[TaxService.getTaxLocation(billingAddress).country],
+      normalizeCurrency(fallback),
+    ];
+    return candidates.find((currency) => currency && supported.includes(currency)) || supported[0];
+  }
+
+  /**
+   * Plan price in the customer's currency.
+   * @returns {{ amount: number, currency: string }}
+   */
+  static priceForPlan(plan, { requestedCurrency, billingAddress } = {}) {
+    const currency = PricingService.resolveCurrency({
+      requested: requestedCurrency,
+      billingAddress,
+      available: PricingService.getPlanCurrencies(plan),
+      fallback: plan.currency,
+    });
+    return PricingService.getPlanPrice(plan, currency);
+  }
+
+  /**
+   * Boost price in the customer's currency (e.g. the project's budget currency).
+   * @returns {{ amount: number, currency: string }}
+   */
+  static priceForBoost(visibilityType, { requestedCurrency, billingAddress } = {}) {
+    const currency = PricingService.resolveCurrency({
+      requested: requestedCurrency,
+      billingAddress,
+      available: Object.keys(BOOST_PRICES),
+    });
+    const prices = BOOST_PRICES[currency];
+    return { amount: prices[visibilityType] || prices.premium, currency };
+  }
+}
+
+module.exports = PricingService;
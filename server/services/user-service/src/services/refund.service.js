@@ -0,0 +1,298 @@
+const {
+  BillingHistoryModel,
+  InvoicesModel,
+  RefundsModel,
+  DisputesModel,
+  MilestoneEscrowsModel,
+} = require("../models/billing.model");
+const HttpException = require("shared/utils/HttpException.utils");
+const { getPaymentProvider } = require("./payment-providers");
+const { notifyBillingEvent } = require("./billing-notification.service");
+const PricingService = require("./pricing.service");
+const InvoiceService = require("./invoice.service");
+const SubscriptionService = require("./subscription.service");
+const EscrowService = require("./escrow.service");
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+const formatAmount = (amount) => parseFloat(amount).toFixed(2);
+
+/**
+ * Refunds of completed charges.
+ *
+ * Every refund gets a `refunds` row (who approved it, why, for which dispute), a negative
+ * `refund` billing_history entry and a credit-note invoice. The provider refund usually
+ * settles immediately; otherwise the refund stays pending until the provider webhook.
+ * Once a charge is refunded in full, what it paid for is taken back (plan, boost or milestone escrow).
+ */
+class RefundService {
+  /**
+   * Refund all or part of a completed charge.
+   * Throws a 400/404 HttpException when the charge can't be refunded for that amount.
+   *
+   * @param {Object} params
+   * @param {number} params.billingHistoryId - Charge to refund
+   * @param {number} [params.amount] - Amount to refund; defaults to everything still refundable
+   * @param {string} [params.reason]
+   * @param {number} params.approvedBy - Admin user ID approving the refund
+   * @param {number} [params.disputeId]
+   * @param {number} [params.userId] - When set, the charge must belong to this user
+   * @returns {Promise<Object>} refunds row (status 'succeeded', 'pending' or 'failed')
+   */
+  static async issueRefund({ billingHistoryId, amount, reason, approvedBy, disputeId = null, userId = null }) {
+    const original = await BillingHistoryModel.getBillingRecordById(billingHistoryId);
+    if (!original || (userId && original.userId !== userId)) {
+      throw new HttpException(404, "Payment not found");
+    }
+    if (original.type === "refund") {
+      throw new HttpException(400, "A refund can't be refunded");
+    }
+    if (!["completed", "refunded"].includes(original.status)) {
+      throw new HttpException(400, "Only completed payments can be refunded");
+    }
+    if (original.type === "escrow") {
+      // Once released the developer has been paid from this charge
+      const escrow = original.metadata?.escrowId
+        ? await MilestoneEscrowsModel.getEscrowById(original.metadata.escrowId)
+        : null;
+      if (escrow?.status === "released") {
+        throw new HttpException(400, "This milestone payment has already been released to the developer and can't be refunded");
+      }
+    }
+    if (original.type === "hourly_invoice") {
+      // Paid hourly invoices are credited to the developer as soon as the charge completes
+      throw new HttpException(400, "Hourly invoice payments have already been credited to the developer and can't be refunded");
+    }
+    if (!original.provider || !original.providerPaymentId) {
+      throw new HttpException(400, "This payment wasn't processed by a payment provider and can't be refunded automatically");
+    }
+
+    const refundable = roundMoney(parseFloat(original.amount) - (await RefundsModel.getRefundedTotal(original.id)));
+    if (refundable <= 0) {
+      throw new HttpException(400, "This payment has already been fully refunded");
+    }
+
+    const refundAmount = amount === undefined || amount === null ? refundable : roundMoney(parseFloat(amount));
+    if (isNaN(refundAmount) || refundAmount <= 0) {
+      throw new HttpException(400, "Refund amount must be greater than 0");
+    }
+    if (refundAmount > refundable) {
+      throw new HttpException(400, `Refund amount can't exceed the refundable ${PricingService.formatMoney(refundable, original.currency)}`);
+    }
+
+    let refund = await RefundsModel.createRefund({
+      userId: original.userId,
+      billingHistoryId: original.id,
+      disputeId,
+      amount: formatAmount(refundAmount),
+      currency: original.currency,
+      reason: reason || null,
+      status: "pending",
+      provider: original.provider,
+      approvedBy,
+    });
+
+    const refundRecord = await RefundService.createRefundDocuments(original, refund);
+    refund = await RefundsModel.updateRefund(refund.id, { refundBillingHistoryId: refundRecord.id });
+
+    let result;
+    try {
+      result = await getPaymentProvider(original.provider).refundPayment({
+        paymentId: original.providerPaymentId,
+        amount: refundAmount,
+        currency: original.currency,
+        idempotencyKey: `refund-${refund.id}`,
+        metadata: {
+          refundId: String(refund.id),
+          billingHistoryId: String(original.id),
+        },
+      });
+    } catch (error) {
+      console.error("[RefundService] Provider refund failed:", { refundId: refund.id, error: error.message });
+      return await RefundService.markRefundFailed(refund, error.message);
+    }
+
+    refund = await RefundsModel.updateRefund(refund.id, { providerRefundId: result.id });
+
+    if (result.status === "succeeded") {
+      return await RefundService.markRefundSucceeded(refund);
+    }
+    if (result.status === "failed") {
+      return await RefundService.markRefundFailed(refund, result.failureReason);
+    }
+    return refund;
+  }
+
+  /**
+   * Negative billing_history entry plus a draft credit note; both are finalized once the refund settles.
+   * The credit is split at the original invoice's tax rate so the tax is credited back too.
+   */
+  static async createRefundDocuments(original, refund) {
+    const refundAmount = parseFloat(refund.amount);
+    const originalInvoice = await InvoicesModel.getInvoiceByBillingHistoryId(original.id);
+    const creditNoteNumber = `CN-${Date.now()}-${original.userId}`;
+    const taxRate = parseFloat(originalInvoice?.taxRate || 0);
+    const creditSubtotal = roundMoney(refundAmount / (1 + taxRate));
+
+    const refundRecord = await BillingHistoryModel.createBillingRecord({
+      userId: original.userId,
+      amount: formatAmount(-refundAmount),
+      currency: original.currency,
+      status: "pending",
+      description: `Refund - ${original.description || "Payment"}`,
+      invoiceId: creditNoteNumber,
+      paymentMethodId: original.paymentMethodId,
+      type: "refund",
+      metadata: {
+        refundId: refund.id,
+        originalBillingHistoryId: original.id,
+        disputeId: refund.disputeId,
+      },
+      provider: original.provider,
+    });
+
+    await InvoiceService.createInvoice({
+      userId: original.userId,
+      invoiceNumber: creditNoteNumber,
+      amount: formatAmount(-refundAmount),
+      currency: original.currency,
+      status: "draft",
+      items: [
+        {
+          description: `Refund for ${original.description || "payment"}${originalInvoice ? ` (invoice ${originalInvoice.invoiceNumber})` : ""}`,
+          quantity: 1,
+          price: formatAmount(-creditSubtotal),
+        },
+      ],
+      subtotal: formatAmount(-creditSubtotal),
+      tax: formatAmount(-roundMoney(refundAmount - creditSubtotal)),
+      taxRate: originalInvoice?.taxRate || null,
+      taxLabel: originalInvoice?.taxLabel || null,
+      total: formatAmount(-refundAmount),
+      dueDate: new Date(),
+      billingHistoryId: refundRecord.id,
+      creditNoteFor: originalInvoice?.invoiceNumber || null,
+    });
+
+    return refundRecord;
+  }
+
+  static async markRefundSucceeded(refund) {
+    if (refund.status === "succeeded") {
+      return refund;
+    }
+
+    const updated = await RefundsModel.updateRefund(refund.id, { status: "succeeded", failureReason: null });
+
+    if (refund.refundBillingHistoryId) {
+      await BillingHistoryModel.updateBillingRecord(refund.refundBillingHistoryId, { status: "completed" });
+      const creditNote = await InvoicesModel.getInvoiceByBillingHistoryId(refund.refundBillingHistoryId);
+      if (creditNote) {
+        await InvoiceService.updateInvoice(creditNote.id, { status: "issued", paidAt: new Date() });
+      }
+    }
+
+    const original = await BillingHistoryModel.getBillingRecordById(refund.billingHistoryId);
+    const refundedTotal = await RefundsModel.getRefundedTotal(original.id);
+    const fullyRefunded = refundedTotal >= parseFloat(original.amount);
+
+    const refundedOriginal = await BillingHistoryModel.updateBillingRecord(original.id, {
+      status: fullyRefunded ? "refunded" : original.status,
+      metadata: { ...(original.metadata || {}), refundedAmount: formatAmount(refundedTotal) },
+    });
+
+    let adjustment = null;
+    if (fullyRefunded) {
+      adjustment = await RefundService.revokePurchase(refundedOriginal);
+    }
+
+    await notifyBillingEvent(original.userId, {
+      type: "Billing Reminder",
+      title: "Refund issued",
+      message: `We've refunded ${PricingService.formatMoney(updated.amount, updated.currency)} for ${original.description || "your payment"}.${adjustment ? ` ${adjustment}` : ""} It can take 5-10 business days to appear on your statement.`,
+      priority: "medium",
+      relatedEntityId: refund.refundBillingHistoryId,
+      metadata: { refundId: refund.id, originalBillingHistoryId: original.id },
+    });
+
+    return updated;
+  }
+
+  static async markRefundFailed(refund, failureReason) {
+    if (refund.status === "failed") {
+      return refund;
+    }
+
+    const updated = await RefundsModel.updateRefund(refund.id, {
+      status: "failed",
+      failureReason: failureReason || "Refund failed",
+    });
+
+    if (refund.refundBillingHistoryId) {
+      await BillingHistoryModel.updateBillingRecord(refund.refundBillingHistoryId, {
+        status: "failed",
+        failureReason: updated.failureReason,
+      });
+      const creditNote = await InvoicesModel.getInvoiceByBillingHistoryId(refund.refundBillingHistoryId);
+      if (creditNote) {
+        await InvoiceService.updateInvoice(creditNote.id, { status: "cancelled" });
+      }
+    }
+
+    // A refund that fails after the dispute was closed needs another look
+    if (refund.disputeId) {
+      const dispute = await DisputesModel.getDisputeById(refund.disputeId);
+      if (dispute?.status === "resolved") {
+        await DisputesModel.updateDispute(dispute.id, { status: "investigating" });
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Provider webhook for a refund that didn't settle synchronously.
+   */
+  static async handleRefundEvent(providerName, event) {
+    const refund = await RefundsModel.getRefundByProviderRefundId(providerName, event.paymentId);
+    if (!refund) {
+      return null;
+    }
+    return event.type === "refund.succeeded"
+      ? await RefundService.markRefundSucceeded(refund)
+      : await RefundService.markRefundFailed(refund, event.failureReason);
+  }
+
+  /**
+   * Take back what a fully refunded charge paid for. Returns a sentence for the user, or null.
+   */
+  static async revokePurchase(original) {
+    const metadata = original.metadata || {};
+
+    switch (original.type) {
+      case "subscription": {
+        if (!metadata.planName) return null;
+        const plan = await SubscriptionService.revokePlanPurchase(
+          original.userId,
+          metadata.planName,
+          metadata.prorationFrom || null
+        );
+        return plan ? `Your subscription has been moved to the ${plan} plan.` : null;
+      }
+      case "boost":
+        // Refunded boosts drop out of the completed boosts list; end the boost window as well
+        await BillingHistoryModel.updateBillingRecord(original.id, {
+          metadata: { ...metadata, expiresAt: new Date().toISOString() },
+        });
+        return "The project boost has ended.";
+      case "escrow": {
+        if (!metadata.escrowId) return null;
+        const escrow = await EscrowService.markRefunded(metadata.escrowId);
+        return escrow ? "The milestone payment held in escrow has been cancelled." : null;
+      }
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = RefundService;
@@ -0,0 +1,376 @@
+const { sql } = require("drizzle-orm");
+const { db } = require("../config/database");
+const {
+  InvoicesModel,
+  SubscriptionPlansModel,
+  SubscriptionRenewalsModel,
+} = require("../models/billing.model");
+const { notifyBillingEvent } = require("./billing-notification.service");
+const PricingService = require("./pricing.service");
+const InvoiceService = require("./invoice.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days to wait before each dunning retry after a failed renewal charge (e.g. "1,3,5")
+const getRetryScheduleDays = () =>
+  (process.env.DUNNING_RETRY_DAYS || "1,3,5")
+    .split(",")
+    .map((day) => Number(day.trim()))
+    .filter((day) => day > 0);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const addBillingPeriod = (date, period) => {
+  const next = new Date(date);
+  if (period === "yearly") {
+    next.setFullYear(next.getFullYear() + 1);
+  } else {
+    next.setMonth(next.getMonth() + 1);
+  }
+  return next;
+};
+
+const formatDate = (date) => new Date(date).toISOString().split("T")[0];
+
+/**
+ * Subscription lifecycle on top of the user_subscriptions table
+ * (owned by settings-service, accessed here with raw SQL like the billing controller does).
+ */
+class SubscriptionService {
+  static async getSubscription(userId) {
+    const result = await db.execute(sql`
+      SELECT * FROM user_subscriptions
+      WHERE user_id = ${userId}
+      LIMIT 1
+    `);
+    return result.rows && result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  // ========== Plan changes ==========
+
+  /**
+   * Start a fresh billing period on the given plan.
+   */
+  static async activateSubscription(userId, planName, { paymentMethodId = null, currency = "USD" } = {}) {
+    const plan = await SubscriptionPlansModel.getPlanByName(planName);
+    const now = new Date();
+    const periodEnd = addBillingPeriod(now, plan?.period);
+    const existing = await SubscriptionService.getSubscription(userId);
+
+    if (existing) {
+      await db.execute(sql`
+        UPDATE user_subscriptions
+        SET plan = ${planName},
+            status = 'active',
+            current_period_start = ${now.toISOString()},
+            current_period_end = ${periodEnd.toISOString()},
+            pending_plan = NULL,
+            past_due_since = NULL,
+            payment_method_id = COALESCE(${paymentMethodId}, payment_method_id),
+            currency = ${currency},
+            updated_at = NOW()
+        WHERE user_id = ${userId}
+      `);
+    } else {
+      await db.execute(sql`
+        INSERT INTO user_subscriptions (user_id, plan, status, current_period_start, current_period_end, payment_method_id, currency)
+        VALUES (${userId}, ${planName}, 'active', ${now.toISOString()}, ${periodEnd.toISOString()}, ${paymentMethodId}, ${currency})
+      `);
+    }
+
+    return { periodStart: now, periodEnd };
+  }
+
+  /**
+   * Switch plans without touching the current billing period (used after a prorated upgrade).
+   */
+  static async applyPlanChange(userId, planName) {
+    await db.execute(sql`
+      UPDATE user_subscriptions
+      SET plan = ${planName},
+          status = 'active',
+          pending_plan = NULL,
+          updated_at = NOW()
+      WHERE user_id = ${userId}
+    `);
+  }
+
+  /**
+   * Take back a plan whose payment was fully refunded: an upgrade falls back to the plan it
+   * was upgraded from, anything else is cancelled to Free. Does nothing if the user has
+   * already moved off that plan. Resolves to the plan the user ends up on, or null.
+   */
+  static async revokePlanPurchase(userId, planName, fallbackPlan = null) {
+    const subscription = await SubscriptionService.getSubscription(userId);
+    if (!subscription || subscription.plan?.toLowerCase() !== String(planName).toLowerCase()) {
+      return null;
+    }
+
+    if (fallbackPlan) {
+      await SubscriptionService.applyPlanChange(userId, fallbackPlan);
+      return fallbackPlan;
+    }
+
+    await db.execute(sql`
+      UPDATE user_subscriptions
+      SET plan = 'Free',
+          status = 'cancelled',
+          current_period_end = NOW(),
+          pending_plan = NULL,
+          past_due_since = NULL,
+          updated_at = NOW()
+      WHERE user_id = ${userId}
+    `);
+    return "Free";
+  }
+
+  /**
+   * Schedule a plan switch for the next renewal (downgrades). Pass null to clear it.
+   */
+  static async schedulePlanChange(userId, planName) {
+    await db.execute(sql`
+      UPDATE user_subscriptions
+      SET pending_plan = ${planName},
+          updated_at = NOW()
+      WHERE user_id = ${userId}
+    `);
+  }
+
+  /**
+   * Work out what purchasing `newPlan` means for the user's current subscription.
+   * A running paid subscription keeps its billing currency; otherwise the currency is
+   * picked from the request / billing address (see PricingService.resolveCurrency).
+   * @returns {Promise<{ kind: 'new'|'upgrade'|'downgrade'|'same', amount: number|null, currency: string, items: Array, subscription: Object|null, currentPlan: Object|null }>}
+   *   - new: no paid period in progress, charge the full price and start a new period
+   *   - upgrade: charge the prorated difference for the rest of the current period
+   *   - downgrade: no charge, switch at the next renewal
+   *   - same: already on this plan
+   *   amount is null when the plan has no price in the required currency.
+   */
+  static async previewPlanChange(userId, newPlan, { requestedCurrency, billingAddress } = {}) {
+    const subscription = await SubscriptionService.getSubscription(userId);
+    const isRunning = subscription && ["active", "past_due"].includes(subscription.status) && subscription.plan;
+
+    const currentPlan = isRunning ? await SubscriptionPlansModel.getPlanByName(subscription.plan) : null;
+    const currentPrice = currentPlan
+      ? PricingService.getPlanPrice(currentPlan, subscription.currency || currentPlan.currency)
+      : null;
+    const hasPaidPeriod = Boolean(currentPrice && currentPrice.amount > 0);
+
+    const priced = hasPaidPeriod
+      ? PricingService.getPlanPrice(newPlan, currentPrice.currency)
+      : PricingService.priceForPlan(newPlan, { requestedCurrency, billingAddress });
+    const currency = priced?.currency || currentPrice?.currency || newPlan.currency;
+    if (!priced) {
+      return { kind: "new", amount: null, currency, items: [], subscription, currentPlan };
+    }
+
+    const newPrice = priced.amount;
+    const fullPrice = {
+      kind: "new",
+      amount: newPrice,
+      currency,
+      items: [{ description: `${newPlan.name} Plan Subscription`, quantity: 1, price: newPrice.toFixed(2) }],
+      subscription,
+      currentPlan,
+    };
+
+    if (!isRunning) {
+      return fullPrice;
+    }
+
+    if (subscription.plan === newPlan.name) {
+      return { ...fullPrice, kind: "same", amount: 0, items: [] };
+    }
+
+    const periodStart = subscription.current_period_start ? new Date(subscription.current_period_start) : null;
+    const periodEnd = subscription.current_period_end ? new Date(subscription.current_period_end) : null;
+    const now = new Date();
+
+    if (!hasPaidPeriod || !periodStart || !periodEnd || periodEnd <= now) {
+      return fullPrice;
+    }
+
+    if (newPrice < currentPrice.amount) {
+      return { ...fullPrice, kind: "downgrade", amount: 0, items: [] };
+    }
+
+    const remainingRatio = Math.min(1, (periodEnd - now) / (periodEnd - periodStart));
+    const charge = roundMoney(newPrice * remainingRatio);
+    const credit = roundMoney(currentPrice.amount * remainingRatio);
+
+    return {
+      ...fullPrice,
+      kind: "upgrade",
+      amount: Math.max(roundMoney(charge - credit), 0),
+      items: [
+        {
+          description: `${newPlan.name} Plan - remaining time until ${formatDate(periodEnd)} (prorated)`,
+          quantity: 1,
+          price: charge.toFixed(2),
+        },
+        {
+          description: `Unused time on ${currentPlan.name} Plan`,
+          quantity: 1,
+          price: (-credit).toFixed(2),
+        },
+      ],
+    };
+  }
+
+  // ========== Renewals ==========
+
+  static async getSubscriptionsDueForRenewal(now = new Date(), limit = 100) {
+    const result = await db.execute(sql`
+      SELECT * FROM user_subscriptions
+      WHERE status = 'active'
+        AND current_period_end IS NOT NULL
+        AND current_period_end <= ${now.toISOString()}
+        AND plan <> 'Free'
+      ORDER BY current_period_end ASC
+      LIMIT ${limit}
+    `);
+    return result.rows || [];
+  }
+
+  /**
+   * Claim the next period of a subscription for renewal.
+   * Returns null when another worker already claimed it.
+   */
+  static async claimRenewal(subscription, plan) {
+    const periodStart = new Date(subscription.current_period_end);
+    return await SubscriptionRenewalsModel.claimRenewal({
+      userId: subscription.user_id,
+      planName: plan.name,
+      periodStart,
+      periodEnd: addBillingPeriod(periodStart, plan.period),
+      status: "pending",
+      attemptCount: 0,
+    });
+  }
+
+  /**
+   * Roll a subscription onto a free plan at the end of its period (no charge needed).
+   */
+  static async renewOnFreePlan(subscription, planName) {
+    await db.execute(sql`
+      UPDATE user_subscriptions
+      SET plan = ${planName},
+          status = 'active',
+          current_period_start = ${new Date().toISOString()},
+          current_period_end = NULL,
+          pending_plan = NULL,
+          past_due_since = NULL,
+          updated_at = NOW()
+      WHERE user_id = ${subscription.user_id}
+    `);
+  }
+
+  /**
+   * Renewal charge succeeded: move the subscription onto the paid period.
+   */
+  static async completeRenewal(renewalId) {
+    const renewal = await SubscriptionRenewalsModel.getRenewalById(Number(renewalId));
+    if (!renewal || renewal.status === "paid") {
+      return renewal;
+    }
+
+    await SubscriptionRenewalsModel.updateRenewal(renewal.id, {
+      status: "paid",
+      nextRetryAt: null,
+      lastError: null,
+    });
+
+    await db.execute(sql`
+      UPDATE user_subscriptions
+      SET plan = ${renewal.planName},
+          status = 'active',
+          current_period_start = ${renewal.periodStart.toISOString()},
+          current_period_end = ${renewal.periodEnd.toISOString()},
+          pending_plan = NULL,
+          past_due_since = NULL,
+          updated_at = NOW()
+      WHERE user_id = ${renewal.userId}
+    `);
+
+    return renewal;
+  }
+
+  /**
+   * Renewal charge failed: schedule the next dunning retry, or cancel once the
+   * grace schedule is exhausted. Each step notifies the user.
+   */
+  static async recordRenewalFailure(renewalId, failureReason) {
+    const renewal = await SubscriptionRenewalsModel.getRenewalById(Number(renewalId));
+    if (!renewal || ["paid", "failed"].includes(renewal.status)) {
+      return renewal;
+    }
+
+    const schedule = getRetryScheduleDays();
+    const retriesUsed = Math.max(renewal.attemptCount - 1, 0);
+
+    if (retriesUsed < schedule.length) {
+      const nextRetryAt = new Date(Date.now() + schedule[retriesUsed] * DAY_MS);
+      const updated = await SubscriptionRenewalsModel.updateRenewal(renewal.id, {
+        status: "retrying",
+        nextRetryAt,
+        lastError: failureReason || "Payment failed",
+      });
+
+      await db.execute(sql`
+        UPDATE user_subscriptions
+        SET status = 'past_due',
+            past_due_since = COALESCE(past_due_since, NOW()),
+            updated_at = NOW()
+        WHERE user_id = ${renewal.userId}
+      `);
+
+      await notifyBillingEvent(renewal.userId, {
+        type: "Billing Reminder",
+        title: retriesUsed === 0 ? "Subscription payment failed" : "Subscription payment still failing",
+        message: `We couldn't renew your ${renewal.planName} plan${failureReason ? ` (${failureReason})` : ""}. Your subscription is past due; we'll retry on ${formatDate(nextRetryAt)}. Please update your payment method to keep your plan.`,
+        priority: "high",
+        relatedEntityId: renewal.billingHistoryId,
+        metadata: { renewalId: renewal.id, attempt: renewal.attemptCount, nextRetryAt: nextRetryAt.toISOString() },
+      });
+
+      return updated;
+    }
+
+    const updated = await SubscriptionRenewalsModel.updateRenewal(renewal.id, {
+      status: "failed",
+      nextRetryAt: null,
+      lastError: failureReason || "Payment failed",
+    });
+
+    await db.execute(sql`
+      UPDATE user_subscriptions
+      SET plan = 'Free',
+          status = 'cancelled',
+          current_period_end = NOW(),
+          pending_plan = NULL,
+          updated_at = NOW()
+      WHERE user_id = ${renewal.userId}
+    `);
+
+    if (renewal.billingHistoryId) {
+      const invoice = await InvoicesModel.getInvoiceByBillingHistoryId(renewal.billingHistoryId);
+      if (invoice && invoice.status !== "paid") {
+        await InvoiceService.updateInvoice(invoice.id, { status: "cancelled" });
+      }
+    }
+
+    await notifyBillingEvent(renewal.userId, {
+      type: "Billing Reminder",
+      title: "Subscription cancelled",
+      message: `We were unable to collect payment for your ${renewal.planName} plan after ${renewal.attemptCount} attempts, so your subscription has been cancelled and moved to the Free plan.`,
+      priority: "high",
+      relatedEntityId: renewal.billingHistoryId,
+      metadata: { renewalId: renewal.id, attempt: renewal.attemptCount },
+    });
+
+    return updated;
+  }
+}
+
+module.exports = SubscriptionService;
@@ -0,0 +1,68 @@
+const { TaxRulesModel } = require("../models/billing.model");
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Pull the country/region codes out of a payment method billing address.
+ * Addresses are free-form JSON, so accept the usual key spellings.
+ */
+const getTaxLocation = (billingAddress) => {
+  if (!billingAddress || typeof billingAddress !== "object") {
+    return { country: null, region: null };
+  }
+
+  const country = billingAddress.country || billingAddress.countryCode || billingAddress.country_code;
+  const region = billingAddress.state || billingAddress.region || billingAddress.province;
+
+  return {
+    country: country ? String(country).trim().toUpperCase() : null,
+    region: region ? String(region).trim().toUpperCase() : null,
+  };
+};
+
+class TaxService {
+  static getTaxLocation(billingAddress) {
+    return getTaxLocation(billingAddress);
+  }
+
+  /**
+   * Find the rule that applies to a location: a region-specific rule wins over
+   * the country-wide one. Returns null when the country has no tax configured.
+   */
+  static async getTaxRule({ country, region }) {
+    if (!country) return null;
+
+    const rules = await TaxRulesModel.getActiveRulesForCountry(country);
+    const regional = region ? rules.find((rule) => rule.region && rule.region.toUpperCase() === region) : null;
+    return regional || rules.find((rule) => !rule.region) || null;
+  }
+
+  /**
+   * Compute tax for a pre-tax amount billed to the given address.
+   * @returns {Promise<{ subtotal: number, tax: number, total: number, rate: number, label: string|null, country: string|null, region: string|null }>}
+   */
+  static async calculateTax(subtotal, billingAddress) {
+    const amount = roundMoney(parseFloat(subtotal) || 0);
+    const location = getTaxLocation(billingAddress);
+    const rule = amount > 0 ? await TaxService.getTaxRule(location) : null;
+
+    if (!rule) {
+      return { subtotal: amount, tax: 0, total: amount, rate: 0, label: null, ...location };
+    }
+
+    const rate = parseFloat(rule.rate);
+    const tax = roundMoney(amount * rate);
+    const where = rule.region ? `${rule.country}-${rule.region}` : rule.country;
+
+    return {
+      subtotal: amount,
+      tax,
+      total: roundMoney(amount + tax),
+      rate,
+      label: `${rule.name} (${where})`,
+      ...location,
+    };
+  }
+}
+
+module.exports = TaxService;
@@ -0,0 +1,113 @@
+const webpush = require("web-push");
+const { PushSubscriptionsModel } = require("../models/push-subscriptions.model");
+
+/**
+ * Web Push (VAPID) to the browsers a user subscribed from
+ *
+ * Keys are generated once with `npx web-push generate-vapid-keys` and set as
+ * VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY; the public key is handed to the client,
+ * which subscribes through its service worker (client/public/service-worker.js).
+ *
+ * Payload sent to the service worker:
+ * { title, body, actionUrl, notificationId, category, priority, tag }
+ */
+
+const PUSH_TTL_SECONDS = 24 * 60 * 60; // Undelivered pushes are dropped after a day
+const MAX_BODY_LENGTH = 300; // Push payloads are limited to ~4 KB
+// The push service answers 404/410 once a subscription is gone (unsubscribed, expired, uninstalled)
+const GONE_STATUS_CODES = [404, 410];
+
+const isWebPushConfigured = () => Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+const getVapidPublicKey = () => process.env.VAPID_PUBLIC_KEY || null;
+
+const getVapidDetails = () => ({
+  subject: process.env.VAPID_SUBJECT || "mailto:no-reply@skillbridge.local",
+  publicKey: process.env.VAPID_PUBLIC_KEY,
+  privateKey: process.env.VAPID_PRIVATE_KEY,
+});
+
+const truncate = (value, length) => {
+  const text = String(value || "");
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+};
+
+/**
+ * @param {Object} notification - notifications row
+ */
+const buildPushPayload = (notification) => ({
+  title: notification.title,
+  body: truncate(notification.message, MAX_BODY_LENGTH),
+  actionUrl: notification.actionUrl || "/notifications",
+  notificationId: notification.id,
+  category: notification.category,
+  priority: notification.priority,
+  tag: `notification-${notification.id}`,
+});
+
+const toPushSubscription = (subscription) => ({
+  endpoint: subscription.endpoint,
+  keys: { p256dh: subscription.p256dh, auth: subscription.auth },
+});
+
+/**
+ * Send a payload to every device the user subscribed from.
+ * Gone subscriptions are deleted; other failures are recorded on the subscription.
+ *
+ * @param {number} userId
+ * @param {Object} payload - See buildPushPayload
+ * @param {Object} [options]
+ * @param {"very-low"|"low"|"normal"|"high"} [options.urgency]
+ * @returns {Promise<{ total: number, sent: number, gone: number, failed: number, lastError: string|null }>}
+ */
+const sendWebPush = async (userId, payload, { urgency = "normal" } = {}) => {
+  const subscriptions = await PushSubscriptionsModel.getSubscriptionsByUserId(userId);
+  const now = Date.now();
+  const active = subscriptions.filter(
+    (subscription) => !subscription.expirationTime || new Date(subscription.expirationTime).getTime() > now
+  );
+  const goneIds = subscriptions.filter((subscription) => !active.includes(subscription)).map(({ id }) => id);
+
+  const body = JSON.stringify(payload);
+  const results = await Promise.allSettled(
+    active.map((subscription) =>
+      webpush.sendNotification(toPushSubscription(subscription), body, {
+        vapidDetails: getVapidDetails(),
+        TTL: PUSH_TTL_SECONDS,
+        urgency,
+      })
+    )
+  );
+
+  let sent = 0;
+  let failed = 0;
+  let lastError = null;
+  await Promise.all(
+    results.map(async (result, index) => {
+      const subscription = active[index];
+      if (result.status === "fulfilled") {
+        sent += 1;
+        await PushSubscriptionsModel.updateSubscription(subscription.id, { lastSuccessAt: new Date(), lastError: null });
+        return;
+      }
+      if (GONE_STATUS_CODES.includes(result.reason?.statusCode)) {
+        goneIds.push(subscription.id);
+        return;
+      }
+      failed += 1;
+      lastError = result.reason?.body || result.reason?.message || "Push failed";
+      await PushSubscriptionsModel.updateSubscription(subscription.id, { lastError: truncate(lastError, 500) });
+    })
+  );
+
+  await PushSubscriptionsModel.deleteSubscriptionsByIds(goneIds);
+
+  return { total: subscriptions.length, sent, gone: goneIds.length, failed, lastError };
+};
+
+module.exports = {
+  isWebPushConfigured,
+  getVapidPublicKey,
+  buildPushPayload,
+  sendWebPush,
+};
@@ -0,0 +1,42 @@
+const NotificationDeliveryService = require("../services/notification-delivery.service");
+
+const DEFAULT_INTERVAL_MS = 60 * 1000; // every minute, so quiet hours and push batches end on time
+
+let isRunning = false;
+
+const runDeliveryCycle = async () => {
+  if (isRunning) return;
+  isRunning = true;
+  try {
+    const processed = await NotificationDeliveryService.processDueDeliveries();
+    if (processed) {
+      console.log(`[DeliveryWorker] 📬 Processed ${processed} deferred notification deliveries`);
+    }
+  } catch (error) {
+    console.error("[DeliveryWorker] Delivery cycle failed:", error.message);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the periodic loop that sends deferred notification deliveries
+ * (quiet hours over, push batch due, failed email retries).
+ * Disable with NOTIFICATION_DELIVERY_WORKER_ENABLED=false.
+ */
+const startDeliveryWorker = () => {
+  if (process.env.NOTIFICATION_DELIVERY_WORKER_ENABLED === "false") {
+    console.log("⏸️ Notification delivery worker disabled");
+    return null;
+  }
+
+  const interval = Number(process.env.NOTIFICATION_DELIVERY_WORKER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  runDeliveryCycle();
+  console.log(`🔁 Notification delivery worker running every ${Math.round(interval / 1000)}s`);
+  return setInterval(runDeliveryCycle, interval);
+};
+
+module.exports = {
+  startDeliveryWorker,
+  runDeliveryCycle,
+};
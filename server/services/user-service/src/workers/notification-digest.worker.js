@@ -0,0 +1,41 @@
+const NotificationDigestService = require("../services/notification-digest.service");
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // every hour; each period is only digested once
+
+let isRunning = false;
+
+const runDigestCycle = async () => {
+  if (isRunning) return;
+  isRunning = true;
+  try {
+    const processed = await NotificationDigestService.runDigests();
+    if (processed) {
+      console.log(`[DigestWorker] 📬 Processed ${processed} notification digests`);
+    }
+  } catch (error) {
+    console.error("[DigestWorker] Digest cycle failed:", error.message);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the periodic loop that emails daily and weekly notification digests.
+ * Disable with NOTIFICATION_DIGEST_WORKER_ENABLED=false.
+ */
+const startDigestWorker = () => {
+  if (process.env.NOTIFICATION_DIGEST_WORKER_ENABLED === "false") {
+    console.log("⏸️ Notification digest worker disabled");
+    return null;
+  }
+
+  const interval = Number(process.env.NOTIFICATION_DIGEST_WORKER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  runDigestCycle();
+  console.log(`🔁 Notification digest worker running every ${Math.round(interval / 1000)}s`);
+  return setInterval(runDigestCycle, interval);
+};
+
+module.exports = {
+  startDigestWorker,
+  runDigestCycle,
+};
@@ -0,0 +1,158 @@
+const {
+  BillingHistoryModel,
+  PaymentMethodsModel,
+  SubscriptionPlansModel,
+  SubscriptionRenewalsModel,
+} = require("../models/billing.model");
+const { UserModel } = require("../models/user.model");
+const PaymentService = require("../services/payment.service");
+const SubscriptionService = require("../services/subscription.service");
+const PricingService = require("../services/pricing.service");
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // every hour
+
+let isRunning = false;
+
+// Card saved on the subscription, falling back to the user's default card
+const getRenewalPaymentMethod = async (userId, paymentMethodId) => {
+  if (paymentMethodId) {
+    const method = await PaymentMethodsModel.getPaymentMethodById(paymentMethodId);
+    if (method && method.userId === userId && method.isActive) {
+      return method;
+    }
+  }
+
+  const [defaultMethod] = await PaymentMethodsModel.getPaymentMethodsByUserId(userId);
+  return defaultMethod || null;
+};
+
+/**
+ * Charge every subscription whose period has ended.
+ * Scheduled downgrades (pending_plan) take effect here.
+ */
+const renewDueSubscriptions = async () => {
+  const subscriptions = await SubscriptionService.getSubscriptionsDueForRenewal();
+
+  for (const subscription of subscriptions) {
+    try {
+      const plan = await SubscriptionPlansModel.getPlanByName(subscription.pending_plan || subscription.plan);
+      if (!plan) {
+        console.warn(`[RenewalWorker] Unknown plan "${subscription.pending_plan || subscription.plan}" for user ${subscription.user_id}`);
+        continue;
+      }
+
+      // Renewals stay in the currency the subscription was bought in
+      const price =
+        PricingService.getPlanPrice(plan, subscription.currency) || PricingService.getPlanPrice(plan, plan.currency);
+
+      if (price.amount <= 0) {
+        await SubscriptionService.renewOnFreePlan(subscription, plan.name);
+        continue;
+      }
+
+      // The unique (user, period) claim keeps concurrent workers from double charging
+      const renewal = await SubscriptionService.claimRenewal(subscription, plan);
+      if (!renewal) {
+        continue;
+      }
+      await SubscriptionRenewalsModel.updateRenewal(renewal.id, { attemptCount: 1 });
+
+      const user = await UserModel.getUserById(subscription.user_id);
+      const paymentMethod = await getRenewalPaymentMethod(subscription.user_id, subscription.payment_method_id);
+
+      const { billingRecord } = await PaymentService.startCheckout({
+        userId: subscription.user_id,
+        customerEmail: user?.email,
+        amount: price.amount,
+        currency: price.currency,
+        description: `${plan.name} Plan - Subscription Renewal`,
+        type: "subscription",
+        metadata: {
+          planId: plan.id,
+          planName: plan.name,
+          renewalId: renewal.id,
+          periodStart: renewal.periodStart.toISOString(),
+          periodEnd: renewal.periodEnd.toISOString(),
+        },
+        paymentMethod,
+        offSession: true,
+      });
+
+      await SubscriptionRenewalsModel.updateRenewal(renewal.id, { billingHistoryId: billingRecord.id });
+    } catch (error) {
+      console.error(`[RenewalWorker] Failed to renew subscription for user ${subscription.user_id}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Re-charge renewals whose dunning retry is due.
+ */
+const retryFailedRenewals = async () => {
+  const renewals = await SubscriptionRenewalsModel.getRenewalsDueForRetry();
+
+  for (const renewal of renewals) {
+    try {
+      const billingRecord = renewal.billingHistoryId
+        ? await BillingHistoryModel.getBillingRecordById(renewal.billingHistoryId)
+        : null;
+      if (!billingRecord) {
+        continue;
+      }
+
+      const attempt = renewal.attemptCount + 1;
+      await SubscriptionRenewalsModel.updateRenewal(renewal.id, { attemptCount: attempt, nextRetryAt: null });
+      const pendingRecord = await BillingHistoryModel.updateBillingRecord(billingRecord.id, {
+        status: "pending",
+        failureReason: null,
+      });
+
+      const subscription = await SubscriptionService.getSubscription(renewal.userId);
+      const user = await UserModel.getUserById(renewal.userId);
+      const paymentMethod = await getRenewalPaymentMethod(renewal.userId, subscription?.payment_method_id);
+
+      await PaymentService.chargeBillingRecord(pendingRecord, {
+        paymentMethod,
+        customerEmail: user?.email,
+        attempt,
+        offSession: true,
+      });
+    } catch (error) {
+      console.error(`[RenewalWorker] Failed to retry renewal ${renewal.id}:`, error.message);
+    }
+  }
+};
+
+const runRenewalCycle = async () => {
+  if (isRunning) return;
+  isRunning = true;
+  try {
+    await renewDueSubscriptions();
+    await retryFailedRenewals();
+  } catch (error) {
+    console.error("[RenewalWorker] Renewal cycle failed:", error.message);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the periodic renewal + dunning loop.
+ * Disable with RENEWAL_WORKER_ENABLED=false (e.g. when running several replicas).
+ */
+const startRenewalWorker = () => {
+  if (process.env.RENEWAL_WORKER_ENABLED === "false") {
+    console.log("⏸️ Subscription renewal worker disabled");
+    return null;
+  }
+
+  const interval = Number(process.env.RENEWAL_WORKER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  runRenewalCycle();
+  console.log(`🔁 Subscription renewal worker running every ${Math.round(interval / 1000)}s`);
+  return setInterval(runRenewalCycle, interval);
+};
+
+module.exports = {
+  startRenewalWorker,
+  runRenewalCycle,
+};
@@ -0,0 +1,92 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const NotificationDeliveryService = require("../src/services/notification-delivery.service");
+
+const preferences = ({ settings = {}, frequency = {}, quietHours = {} } = {}) => ({
+  settings: { email: true, sms: true, push: true, ...settings },
+  frequency: { email: "immediate", push: "immediate", ...frequency },
+  quietHours: { enabled: false, start: "22:00", end: "08:00", timezone: "UTC", ...quietHours },
+});
+
+const plan = (notification, prefs, now = new Date("2026-03-10T12:00:00Z")) =>
+  Object.fromEntries(
+    NotificationDeliveryService.planDeliveries(notification, prefs, now).map(({ channel, ...entry }) => [channel, entry])
+  );
+
+const projectUpdate = { type: "Project Update", category: "project" };
+const securityAlert = { type: "Security Alert", category: "security" };
+
+describe("NotificationDeliveryService.planDeliveries", () => {
+  it("sends on every channel right away by default", () => {
+    const result = plan(projectUpdate, preferences());
+    assert.deepEqual(Object.keys(result), ["in_app", "email", "sms", "push"]);
+    Object.values(result).forEach((entry) => {
+      assert.deepEqual(entry, { status: "pending", reason: null, scheduledFor: null });
+    });
+  });
+
+  it("skips disabled channels but always delivers in-app", () => {
+    const result = plan(projectUpdate, preferences({ settings: { email: false, sms: false, push: false } }));
+    assert.equal(result.in_app.status, "pending");
+    ["email", "sms", "push"].forEach((channel) => {
+      assert.equal(result[channel].status, "skipped");
+      assert.equal(result[channel].reason, "channel_disabled");
+    });
+  });
+
+  it("skips external channels when the category is turned off", () => {
+    const result = plan(projectUpdate, preferences({ settings: { projectUpdates: false } }));
+    assert.equal(result.in_app.status, "pending");
+    assert.equal(result.email.reason, "category_disabled");
+    assert.equal(result.push.reason, "category_disabled");
+  });
+
+  it("leaves email for the digest with a daily or weekly frequency", () => {
+    const result = plan(projectUpdate, preferences({ frequency: { email: "weekly" } }));
+    assert.deepEqual(result.email, { status: "digest", reason: "weekly_digest", scheduledFor: null });
+    assert.equal(result.sms.status, "pending");
+  });
+
+  it("defers batched push to the next batch", () => {
+    const result = plan(projectUpdate, preferences({ frequency: { push: "hourly" } }), new Date("2026-03-10T12:20:00Z"));
+    assert.deepEqual(result.push, {
+      status: "deferred",
+      reason: "hourly_push",
+      scheduledFor: new Date("2026-03-10T13:00:00Z"),
+    });
+  });
+
+  it("defers external channels until quiet hours end", () => {
+    const result = plan(projectUpdate, preferences({ quietHours: { enabled: true } }), new Date("2026-03-10T23:00:00Z"));
+    const end = new Date("2026-03-11T08:00:00Z");
+    assert.equal(result.in_app.status, "pending");
+    ["email", "sms", "push"].forEach((channel) => {
+      assert.deepEqual(result[channel], { status: "deferred", reason: "quiet_hours", scheduledFor: end });
+    });
+  });
+
+  it("uses the later of the push batch and the end of quiet hours", () => {
+    const result = plan(
+      projectUpdate,
+      preferences({ frequency: { push: "hourly" }, quietHours: { enabled: true, start: "12:00", end: "12:30" } }),
+      new Date("2026-03-10T12:10:00Z")
+    );
+    assert.deepEqual(result.push, {
+      status: "deferred",
+      reason: "hourly_push",
+      scheduledFor: new Date("2026-03-10T13:00:00Z"),
+    });
+    assert.equal(result.sms.reason, "quiet_hours");
+  });
+
+  it("sends security alerts immediately, ignoring quiet hours, batching and the digest", () => {
+    const result = plan(
+      securityAlert,
+      preferences({ frequency: { email: "daily", push: "batched" }, quietHours: { enabled: true } }),
+      new Date("2026-03-10T23:00:00Z")
+    );
+    ["email", "sms", "push"].forEach((channel) => {
+      assert.deepEqual(result[channel], { status: "pending", reason: null, scheduledFor: null });
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const NotificationDigestService = require("../src/services/notification-digest.service");
+const { NotificationDeliveriesModel } = require("../src/models/notification-deliveries.model");
+const { NotificationDigestsModel } = require("../src/models/notification-digests.model");
+const { UserModel } = require("../src/models/user.model");
+
+describe("NotificationDigestService.getDigestPeriod", () => {
+  it("covers yesterday for daily digests", () => {
+    assert.deepEqual(NotificationDigestService.getDigestPeriod("daily", new Date("2026-03-11T09:30:00Z")), {
+      periodStart: new Date("2026-03-10T00:00:00Z"),
+      periodEnd: new Date("2026-03-11T00:00:00Z"),
+    });
+  });
+
+  it("covers last Monday-to-Monday week for weekly digests", () => {
+    // Wednesday
+    assert.deepEqual(NotificationDigestService.getDigestPeriod("weekly", new Date("2026-03-11T09:30:00Z")), {
+      periodStart: new Date("2026-03-02T00:00:00Z"),
+      periodEnd: new Date("2026-03-09T00:00:00Z"),
+    });
+  });
+
+  it("ends the weekly period today on a Monday and last Monday on a Sunday", () => {
+    assert.deepEqual(NotificationDigestService.getDigestPeriod("weekly", new Date("2026-03-09T00:05:00Z")).periodEnd, new Date("2026-03-09T00:00:00Z"));
+    assert.deepEqual(NotificationDigestService.getDigestPeriod("weekly", new Date("2026-03-15T23:59:00Z")).periodEnd, new Date("2026-03-09T00:00:00Z"));
+  });
+});
+
+describe("NotificationDigestService.sendUserDigest", () => {
+  const period = { periodStart: new Date("2026-03-10T00:00:00Z"), periodEnd: new Date("2026-03-11T00:00:00Z") };
+  const emailOn = { settings: { email: true } };
+  const item = (id, notification = {}) => ({
+    delivery: { id },
+    notification: { id, type: "Project Update", category: "project", title: `Update ${id}`, message: "...", read: false, ...notification },
+  });
+
+  let calls;
+  const record = (name, result) => async (...args) => {
+    calls.push([name, ...args]);
+    return typeof result === "function" ? result(...args) : result;
+  };
+
+  before(() => {
+    process.env.EMAIL_TRANSPORT = "capture";
+    process.env.EMAIL_CAPTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "digest-test-"));
+  });
+
+  beforeEach((t) => {
+    calls = [];
+    t.mock.method(NotificationDeliveriesModel, "updateDeliveries", record("updateDeliveries", []));
+    t.mock.method(NotificationDigestsModel, "updateDigest", record("updateDigest", (id, data) => ({ id, ...data })));
+    t.mock.method(UserModel, "getUserById", record("getUserById", { id: 7, name: "Sam", email: "sam@example.com" }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(process.env.EMAIL_CAPTURE_DIR, { recursive: true, force: true });
+    fs.mkdirSync(process.env.EMAIL_CAPTURE_DIR);
+  });
+
+  after(() => {
+    fs.rmSync(process.env.EMAIL_CAPTURE_DIR, { recursive: true, force: true });
+  });
+
+  const capturedEmails = () => fs.readdirSync(process.env.EMAIL_CAPTURE_DIR).filter((file) => file.endsWith(".eml"));
+
+  it("does nothing when no notifications are waiting", async (t) => {
+    t.mock.method(NotificationDeliveriesModel, "getDigestItems", async () => []);
+    const claim = t.mock.method(NotificationDigestsModel, "claimDigest", async () => ({ id: 1 }));
+
+    assert.equal(await NotificationDigestService.sendUserDigest(7, "daily", period, emailOn), null);
+    assert.equal(claim.mock.callCount(), 0);
+  });
+
+  it("claims the period before sending", async (t) => {
+    t.mock.method(NotificationDeliveriesModel, "getDigestItems", async () => [item(1)]);
+    const claim = t.mock.method(NotificationDigestsModel, "claimDigest", record("claimDigest", { id: 5 }));
+
+    await NotificationDigestService.sendUserDigest(7, "daily", period, emailOn);
+
+    assert.deepEqual(claim.mock.calls[0].arguments, [{ userId: 7, frequency: "daily", ...period, status: "sending" }]);
+    assert.equal(calls[0][0], "claimDigest");
+  });
+
+  it("sends nothing when another worker already claimed the period", async (t) => {
+    t.mock.method(NotificationDeliveriesModel, "getDigestItems", async () => [item(1)]);
+    t.mock.method(NotificationDigestsModel, "claimDigest", async () => null);
+
+    assert.equal(await NotificationDigestService.sendUserDigest(7, "daily", period, emailOn), null);
+    assert.deepEqual(calls, []);
+    assert.equal(capturedEmails().length, 0);
+  });
+
+  it("emails unread notifications and skips the ones already read", async (t) => {
+    t.mock.method(NotificationDeliveriesModel, "getDigestItems", async () => [item(1), item(2, { read: true }), item(3)]);
+    t.mock.method(NotificationDigestsModel, "claimDigest", async () => ({ id: 5 }));
+
+    const digest = await NotificationDigestService.sendUserDigest(7, "daily", period, emailOn);
+
+    assert.equal(digest.status, "sent");
+    assert.equal(digest.notificationCount, 2);
+    assert.equal(capturedEmails().length, 1);
+    const updates = calls.filter(([name]) => name === "updateDeliveries").map(([, ids, data]) => [ids, data.status, data.digestId]);
+    assert.deepEqual(updates, [
+      [[2], "skipped", 5],
+      [[1, 3], "sent", 5],
+    ]);
+  });
+
+  it("skips the digest when email was turned off", async (t) => {
+    t.mock.method(NotificationDeliveriesModel, "getDigestItems", async () => [item(1)]);
+    t.mock.method(NotificationDigestsModel, "claimDigest", async () => ({ id: 5 }));
+
+    const digest = await NotificationDigestService.sendUserDigest(7, "daily", period, { settings: { email: false } });
+
+    assert.deepEqual(digest, { id: 5, status: "skipped", reason: "channel_disabled" });
+    assert.equal(capturedEmails().length, 0);
+  });
+
+  it("skips the digest when everything was read", async (t) => {
+    t.mock.method(NotificationDeliveriesModel, "getDigestItems", async () => [item(1, { read: true })]);
+    t.mock.method(NotificationDigestsModel, "claimDigest", async () => ({ id: 5 }));
+
+    const digest = await NotificationDigestService.sendUserDigest(7, "weekly", period, emailOn);
+
+    assert.deepEqual(digest, { id: 5, status: "skipped", reason: "nothing_unread" });
+    assert.equal(capturedEmails().length, 0);
+  });
+
+  it("marks the digest failed and leaves the deliveries for the next digest", async (t) => {
+    t.mock.method(NotificationDeliveriesModel, "getDigestItems", async () => [item(1)]);
+    t.mock.method(NotificationDigestsModel, "claimDigest", async () => ({ id: 5 }));
+    t.mock.method(UserModel, "getUserById", async () => {
+      throw new Error("connection reset");
+    });
+    t.mock.method(console, "error", () => {});
+
+    const digest = await NotificationDigestService.sendUserDigest(7, "daily", period, emailOn);
+
+    assert.deepEqual(digest, { id: 5, status: "failed", lastError: "connection reset" });
+    assert.equal(calls.some(([name, , data]) => name === "updateDeliveries" && data.status === "sent"), false);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getQuietHoursEnd, getPushBatchTime } = require("../src/services/notification-preferences.service");
+
+const quietHours = (overrides = {}) => ({ enabled: true, start: "22:00", end: "08:00", timezone: "UTC", ...overrides });
+
+describe("getQuietHoursEnd", () => {
+  it("returns null when quiet hours are off", () => {
+    assert.equal(getQuietHoursEnd(quietHours({ enabled: false }), new Date("2026-03-10T23:00:00Z")), null);
+    assert.equal(getQuietHoursEnd(null, new Date("2026-03-10T23:00:00Z")), null);
+  });
+
+  it("returns null outside the window", () => {
+    assert.equal(getQuietHoursEnd(quietHours(), new Date("2026-03-10T12:00:00Z")), null);
+    assert.equal(getQuietHoursEnd(quietHours(), new Date("2026-03-10T08:00:00Z")), null);
+  });
+
+  it("ends the next morning for an overnight window entered before midnight", () => {
+    const end = getQuietHoursEnd(quietHours(), new Date("2026-03-10T22:30:15Z"));
+    assert.deepEqual(end, new Date("2026-03-11T08:00:00Z"));
+  });
+
+  it("ends the same morning after midnight", () => {
+    const end = getQuietHoursEnd(quietHours(), new Date("2026-03-11T03:10:00Z"));
+    assert.deepEqual(end, new Date("2026-03-11T08:00:00Z"));
+  });
+
+  it("handles windows within one day", () => {
+    const window = quietHours({ start: "12:00", end: "14:00" });
+    assert.deepEqual(getQuietHoursEnd(window, new Date("2026-03-10T13:00:00Z")), new Date("2026-03-10T14:00:00Z"));
+    assert.equal(getQuietHoursEnd(window, new Date("2026-03-10T15:00:00Z")), null);
+  });
+
+  it("reads the window in the user's time zone", () => {
+    // 22:30 in New York (UTC-4 in summer)
+    const end = getQuietHoursEnd(quietHours({ timezone: "America/New_York" }), new Date("2026-07-01T02:30:00Z"));
+    assert.deepEqual(end, new Date("2026-07-01T12:00:00Z"));
+  });
+
+  it("falls back to UTC for unknown time zones", () => {
+    const end = getQuietHoursEnd(quietHours({ timezone: "Not/AZone" }), new Date("2026-03-10T23:00:00Z"));
+    assert.deepEqual(end, new Date("2026-03-11T08:00:00Z"));
+  });
+
+  it("treats equal or invalid start and end as no window", () => {
+    assert.equal(getQuietHoursEnd(quietHours({ end: "22:00" }), new Date("2026-03-10T22:30:00Z")), null);
+    assert.equal(getQuietHoursEnd(quietHours({ start: "25:00" }), new Date("2026-03-10T23:00:00Z")), null);
+  });
+});
+
+describe("getPushBatchTime", () => {
+  const now = new Date("2026-03-10T10:07:30Z");
+
+  it("returns null for immediate push", () => {
+    assert.equal(getPushBatchTime("immediate", now), null);
+  });
+
+  it("rounds batched push up to the next 15 minutes", () => {
+    assert.deepEqual(getPushBatchTime("batched", now), new Date("2026-03-10T10:15:00Z"));
+  });
+
+  it("rounds hourly push up to the next hour", () => {
+    assert.deepEqual(getPushBatchTime("hourly", now), new Date("2026-03-10T11:00:00Z"));
+  });
+
+  it("moves to the following boundary when already on one", () => {
+    assert.deepEqual(getPushBatchTime("batched", new Date("2026-03-10T10:15:00Z")), new Date("2026-03-10T10:30:00Z"));
+  });
+});
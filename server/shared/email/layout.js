@@ -0,0 +1,117 @@
+/**
+ * HTML building blocks for transactional emails.
+ * Every template renders into the same card layout so emails look alike across services.
+ */
+
+const DEFAULT_ACCENT = "135deg, #667eea 0%, #764ba2 100%";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Shallow copy of template data with every string escaped, for use inside HTML
+const escapeData = (data = {}) =>
+  Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [key, typeof value === "string" ? escapeHtml(value) : value])
+  );
+
+const renderParagraph = (html) => `
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">${html}</p>`;
+
+const renderList = (items) => `
+              <ul style="color: #666; line-height: 1.6;">
+                ${items.map((item) => `<li>${item}</li>`).join("\n                ")}
+              </ul>`;
+
+/**
+ * White box with a coloured left border
+ * @param {{ title: string, color: string, content: string }} panel - title/content are HTML
+ */
+const renderPanel = ({ title, color = "#007bff", content }) => `
+            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid ${color};">
+              <h3 style="color: ${color}; margin-top: 0;">${title}</h3>${content}
+            </div>`;
+
+// "Label: value" lines; values are HTML
+const renderDetails = (rows) => `
+              <p style="color: #666; line-height: 1.6; margin: 0;">
+                ${rows.map(([label, value]) => `<strong>${label}:</strong> ${value}`).join("<br>\n                ")}
+              </p>`;
+
+// Tinted call-out (warnings, tips)
+const renderNotice = ({ html, background = "#fff3cd", border = "#ffc107", color = "#856404" }) => `
+            <div style="background: ${background}; padding: 15px; border-radius: 8px; border-left: 4px solid ${border}; margin: 20px 0;">
+              <p style="color: ${color}; margin: 0; font-size: 14px;">${html}</p>
+            </div>`;
+
+const renderButton = (href, label, accent = DEFAULT_ACCENT) => `
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${href}"
+                 style="background: linear-gradient(${accent}); color: white; padding: 15px 40px; text-decoration: none; border-radius: 25px; font-weight: bold; font-size: 16px; display: inline-block;">
+                ${label}
+              </a>
+            </div>`;
+
+/**
+ * Full email document
+ * @param {Object} options
+ * @param {string} options.title - Header text (HTML)
+ * @param {string} options.greeting - First line of the card (HTML)
+ * @param {string} options.body - Card content (HTML)
+ * @param {string} options.footer - Footer line (HTML)
+ * @param {string} [options.accent] - CSS gradient for the header
+ */
+const renderLayout = ({ title, greeting, body, footer, accent = DEFAULT_ACCENT }) => `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(${accent}); padding: 30px; border-radius: 10px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">${title}</h1>
+          </div>
+          <div style="padding: 30px; background: #f8f9fa; border-radius: 10px; margin-top: 20px;">
+            <h2 style="color: #333; margin-top: 0;">${greeting}</h2>${body}
+          </div>
+          <div style="text-align: center; margin-top: 20px; color: #999; font-size: 14px;">
+            <p>${footer}</p>
+          </div>
+        </div>
+      `;
+
+/**
+ * Plain-text alternative of a rendered email (links kept as "label (url)")
+ */
+const htmlToText = (html) =>
+  String(html)
+    .replace(/\s+/g, " ")
+    .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) =>
+      label.trim() === href ? href : `${label.trim()} (${href})`
+    )
+    .replace(/<li[^>]*>/gi, "- ")
+    .replace(/<(br|\/li)[^>]*>/gi, "\n")
+    .replace(/<(\/p|\/h[1-6]|\/div|\/ul)[^>]*>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+module.exports = {
+  DEFAULT_ACCENT,
+  escapeHtml,
+  escapeData,
+  renderParagraph,
+  renderList,
+  renderPanel,
+  renderDetails,
+  renderNotice,
+  renderButton,
+  renderLayout,
+  htmlToText,
+};
@@ -0,0 +1,70 @@
+/**
+ * Locales transactional emails are written in.
+ * A template may cover a subset; anything unsupported falls back to the default locale.
+ */
+
+const SUPPORTED_LOCALES = ["en", "es"];
+
+const getDefaultLocale = () => {
+  const configured = String(process.env.DEFAULT_EMAIL_LOCALE || "").toLowerCase();
+  return SUPPORTED_LOCALES.includes(configured) ? configured : "en";
+};
+
+/**
+ * Pick the best locale for a preference such as "es", "es-MX" or an
+ * Accept-Language header ("es-MX,es;q=0.9,en;q=0.8").
+ *
+ * @param {string} [preference]
+ * @param {string[]} [available] - Locales to choose from (defaults to all supported)
+ * @returns {string}
+ */
+const resolveLocale = (preference, available = SUPPORTED_LOCALES) => {
+  const candidates = String(preference || "")
+    .split(",")
+    .map((part) => {
+      const [tag, q] = part.trim().split(";q=");
+      return { tag: tag.toLowerCase(), q: q === undefined ? 1 : Number(q) };
+    })
+    .filter(({ tag, q }) => tag && tag !== "*" && q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  for (const { tag } of candidates) {
+    if (available.includes(tag)) return tag;
+    const language = tag.split("-")[0];
+    if (available.includes(language)) return language;
+  }
+
+  const fallback = getDefaultLocale();
+  return available.includes(fallback) ? fallback : available[0];
+};
+
+/**
+ * Locale for a stored user preference, or null when it isn't supported
+ */
+const normalizeLocale = (value) => {
+  const language = String(value || "").toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+const formatDate = (value, locale) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value ?? "");
+  return new Intl.DateTimeFormat(locale, { dateStyle: "long", timeZone: "UTC" }).format(date);
+};
+
+const formatMoney = (amount, currency = "USD", locale) => {
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency }).format(Number(amount));
+  } catch (error) {
+    return `${Number(amount).toFixed(2)} ${currency}`;
+  }
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  getDefaultLocale,
+  resolveLocale,
+  normalizeLocale,
+  formatDate,
+  formatMoney,
+};
@@ -0,0 +1,70 @@
+const { escapeData, htmlToText } = require("./layout");
+const { resolveLocale } = require("./locales");
+
+/**
+ * Transactional email template registry
+ *
+ * A template module exports:
+ * - name, description
+ * - sampleData: data used by the admin preview
+ * - messages: { [locale]: copy } — one variant per supported locale
+ * - render({ data, safe, t, locale }) -> { subject, html }
+ *     data is the raw input (for the subject), safe the same data HTML-escaped, t the locale's copy
+ */
+const TEMPLATES = [
+  require("./templates/email-verification.template"),
+  require("./templates/password-reset.template"),
+  require("./templates/project-invite.template"),
+  require("./templates/invite-response.template"),
+  require("./templates/application-submitted.template"),
+  require("./templates/new-application.template"),
+  require("./templates/applicant-status.template"),
+  require("./templates/application-withdrawn.template"),
+  require("./templates/task-deadline.template"),
+  require("./templates/invoice.template"),
+  require("./templates/notification.template"),
+  require("./templates/notification-digest.template"),
+];
+
+const templatesByName = new Map(TEMPLATES.map((template) => [template.name, template]));
+
+const getTemplate = (name) => templatesByName.get(name) || null;
+
+const listTemplates = () =>
+  TEMPLATES.map(({ name, description, messages, sampleData }) => ({
+    name,
+    description,
+    locales: Object.keys(messages),
+    sampleData,
+  }));
+
+/**
+ * Render a template in the best matching locale
+ *
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @param {string} [locale] - "es", "es-MX" or an Accept-Language header; unsupported falls back to the default
+ * @returns {{ template: string, locale: string, subject: string, html: string, text: string }}
+ */
+const renderTemplate = (name, data = {}, locale) => {
+  const template = getTemplate(name);
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const resolvedLocale = resolveLocale(locale, Object.keys(template.messages));
+  const { subject, html } = template.render({
+    data,
+    safe: escapeData(data),
+    t: template.messages[resolvedLocale],
+    locale: resolvedLocale,
+  });
+
+  return { template: name, locale: resolvedLocale, subject, html, text: htmlToText(html) };
+};
+
+module.exports = {
+  getTemplate,
+  listTemplates,
+  renderTemplate,
+};
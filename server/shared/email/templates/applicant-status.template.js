@@ -0,0 +1,113 @@
+const { renderLayout, renderParagraph, renderPanel, renderList, renderButton } = require("../layout");
+
+const messages = {
+  en: {
+    greeting: (d) => `Hello ${d.name},`,
+    footer: "This email was sent from SkillBridge Pro",
+    shortlisted: {
+      subject: (d) => `🎉 Great News! You've been shortlisted for "${d.projectTitle}"`,
+      title: "🎉 Congratulations!",
+      intro: (d) =>
+        `We're excited to inform you that your application for <strong>"${d.projectTitle}"</strong> has been <strong style="color: #28a745;">shortlisted</strong>!`,
+      detail: (d) =>
+        `The project owner, <strong>${d.ownerName}</strong>, was impressed with your profile and would like to move forward with your application.`,
+      tipsTitle: "What's Next?",
+      tips: [
+        "You may be contacted for an interview or further discussion",
+        "Keep an eye on your email for updates from the project owner",
+        "Be prepared to discuss your experience and availability",
+      ],
+      closing: "Thank you for your interest in this project. We wish you the best of luck!",
+      button: "View Project Details",
+    },
+    rejected: {
+      subject: (d) => `Application Update: "${d.projectTitle}"`,
+      title: "Application Update",
+      intro: (d) =>
+        `Thank you for your interest in <strong>"${d.projectTitle}"</strong>. After careful consideration, we regret to inform you that your application has not been selected for this project.`,
+      detail: () => "",
+      tipsTitle: "Don't Give Up!",
+      tips: [
+        "This decision doesn't reflect on your skills or potential",
+        "Keep applying to other projects that match your expertise",
+        "Consider updating your profile to make it more attractive to project owners",
+        "Use this as an opportunity to improve and grow",
+      ],
+      closing:
+        "We encourage you to continue exploring other opportunities on our platform. Your next great project is just around the corner!",
+      button: "Explore More Projects",
+    },
+  },
+  es: {
+    greeting: (d) => `Hola ${d.name}:`,
+    footer: "Este correo fue enviado por SkillBridge Pro",
+    shortlisted: {
+      subject: (d) => `🎉 ¡Buenas noticias! Quedaste preseleccionado para "${d.projectTitle}"`,
+      title: "🎉 ¡Felicidades!",
+      intro: (d) =>
+        `Nos alegra contarte que tu postulación para <strong>"${d.projectTitle}"</strong> fue <strong style="color: #28a745;">preseleccionada</strong>.`,
+      detail: (d) =>
+        `El dueño del proyecto, <strong>${d.ownerName}</strong>, quedó impresionado con tu perfil y quiere avanzar con tu postulación.`,
+      tipsTitle: "¿Qué sigue?",
+      tips: [
+        "Es posible que te contacten para una entrevista o una conversación",
+        "Revisa tu correo para ver las novedades del dueño del proyecto",
+        "Prepárate para hablar de tu experiencia y disponibilidad",
+      ],
+      closing: "Gracias por tu interés en este proyecto. ¡Te deseamos mucha suerte!",
+      button: "Ver detalles del proyecto",
+    },
+    rejected: {
+      subject: (d) => `Novedades de tu postulación: "${d.projectTitle}"`,
+      title: "Novedades de tu postulación",
+      intro: (d) =>
+        `Gracias por tu interés en <strong>"${d.projectTitle}"</strong>. Después de evaluarla con atención, lamentamos informarte que tu postulación no fue seleccionada para este proyecto.`,
+      detail: () => "",
+      tipsTitle: "¡No te rindas!",
+      tips: [
+        "Esta decisión no refleja tus habilidades ni tu potencial",
+        "Sigue postulándote a proyectos que encajen con tu experiencia",
+        "Actualiza tu perfil para hacerlo más atractivo para los dueños de proyectos",
+        "Aprovecha esta oportunidad para mejorar y crecer",
+      ],
+      closing: "Te animamos a seguir explorando oportunidades en la plataforma. ¡Tu próximo gran proyecto está a la vuelta de la esquina!",
+      button: "Explorar más proyectos",
+    },
+  },
+};
+
+module.exports = {
+  name: "applicant-status",
+  description: "Application status change sent to the developer (status: shortlisted | rejected)",
+  sampleData: {
+    name: "Alex Developer",
+    ownerName: "Jordan Owner",
+    projectTitle: "E-commerce Platform Redesign",
+    status: "shortlisted",
+    projectUrl: "https://app.skillbridge.dev/project",
+  },
+  messages,
+  render: ({ data, safe, t }) => {
+    const copy = data.status === "rejected" ? t.rejected : t.shortlisted;
+    const detail = copy.detail(safe);
+    return {
+      subject: copy.subject(data),
+      html: renderLayout({
+        title: copy.title,
+        greeting: t.greeting(safe),
+        body: [
+          renderParagraph(copy.intro(safe)),
+          detail ? renderParagraph(detail) : "",
+          renderPanel({
+            title: copy.tipsTitle,
+            color: data.status === "rejected" ? "#6c757d" : "#28a745",
+            content: renderList(copy.tips),
+          }),
+          renderParagraph(copy.closing),
+          renderButton(safe.projectUrl, copy.button),
+        ].join(""),
+        footer: t.footer,
+      }),
+    };
+  },
+};
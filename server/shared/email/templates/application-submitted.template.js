@@ -0,0 +1,64 @@
+const { renderLayout, renderParagraph, renderPanel, renderList, renderButton } = require("../layout");
+
+const messages = {
+  en: {
+    subject: (d) => `✅ Application Submitted: "${d.projectTitle}"`,
+    title: "✅ Application Submitted!",
+    greeting: (d) => `Hello ${d.developerName},`,
+    intro: (d) =>
+      `Thank you for applying to <strong>"${d.projectTitle}"</strong>! Your application has been successfully submitted to <strong>${d.ownerName}</strong>.`,
+    nextStepsTitle: "What Happens Next?",
+    nextSteps: [
+      "The project owner will review your application",
+      "You'll be notified if you're shortlisted for an interview",
+      "Keep an eye on your email for updates",
+      "You can track your application status in your dashboard",
+    ],
+    closing: "We wish you the best of luck with your application!",
+    button: "View My Applications",
+    footer: "This email was sent from SkillBridge Pro",
+  },
+  es: {
+    subject: (d) => `✅ Postulación enviada: "${d.projectTitle}"`,
+    title: "✅ ¡Postulación enviada!",
+    greeting: (d) => `Hola ${d.developerName}:`,
+    intro: (d) =>
+      `¡Gracias por postularte a <strong>"${d.projectTitle}"</strong>! Tu postulación se envió correctamente a <strong>${d.ownerName}</strong>.`,
+    nextStepsTitle: "¿Qué pasa ahora?",
+    nextSteps: [
+      "El dueño del proyecto revisará tu postulación",
+      "Te avisaremos si quedas preseleccionado para una entrevista",
+      "Revisa tu correo para ver las novedades",
+      "Puedes seguir el estado de tu postulación en tu panel",
+    ],
+    closing: "¡Te deseamos mucha suerte con tu postulación!",
+    button: "Ver mis postulaciones",
+    footer: "Este correo fue enviado por SkillBridge Pro",
+  },
+};
+
+module.exports = {
+  name: "application-submitted",
+  description: "Confirmation to a developer that their project application was submitted",
+  sampleData: {
+    developerName: "Alex Developer",
+    ownerName: "Jordan Owner",
+    projectTitle: "E-commerce Platform Redesign",
+    applicationsUrl: "https://app.skillbridge.dev/project",
+  },
+  messages,
+  render: ({ data, safe, t }) => ({
+    subject: t.subject(data),
+    html: renderLayout({
+      title: t.title,
+      greeting: t.greeting(safe),
+      body: [
+        renderParagraph(t.intro(safe)),
+        renderPanel({ title: t.nextStepsTitle, color: "#28a745", content: renderList(t.nextSteps) }),
+        renderParagraph(t.closing),
+        renderButton(safe.applicationsUrl, t.button),
+      ].join(""),
+      footer: t.footer,
+    }),
+  }),
+};
@@ -0,0 +1,86 @@
+const { renderLayout, renderParagraph, renderPanel, renderList, renderDetails, renderNotice, renderButton } = require("../layout");
+
+const messages = {
+  en: {
+    subject: (d) => `📤 Application Withdrawn: "${d.projectTitle}"`,
+    title: "📤 Application Withdrawn",
+    greeting: (d) => `Hello ${d.ownerName},`,
+    intro: (d) =>
+      `We wanted to inform you that <strong>${d.developerName}</strong> has withdrawn their application for your project <strong>"${d.projectTitle}"</strong>.`,
+    detailsTitle: "📋 Application Details",
+    labels: { developer: "Developer", email: "Email", project: "Project", status: "Status" },
+    withdrawn: "Withdrawn",
+    meaningTitle: "💡 What This Means:",
+    meaning: [
+      "The developer is no longer interested in this project",
+      "You can focus on other applicants",
+      "Your project remains active for new applications",
+      "Consider reaching out to other shortlisted candidates",
+    ],
+    closing: "Don't worry - there are many talented developers looking for great projects like yours!",
+    button: "View Other Applications",
+    footer: "This email was sent from SkillBridge Pro",
+  },
+  es: {
+    subject: (d) => `📤 Postulación retirada: "${d.projectTitle}"`,
+    title: "📤 Postulación retirada",
+    greeting: (d) => `Hola ${d.ownerName}:`,
+    intro: (d) =>
+      `Te informamos que <strong>${d.developerName}</strong> retiró su postulación para tu proyecto <strong>"${d.projectTitle}"</strong>.`,
+    detailsTitle: "📋 Datos de la postulación",
+    labels: { developer: "Desarrollador", email: "Correo", project: "Proyecto", status: "Estado" },
+    withdrawn: "Retirada",
+    meaningTitle: "💡 Qué significa:",
+    meaning: [
+      "El desarrollador ya no está interesado en este proyecto",
+      "Puedes concentrarte en otros candidatos",
+      "Tu proyecto sigue abierto a nuevas postulaciones",
+      "Considera contactar a otros candidatos preseleccionados",
+    ],
+    closing: "No te preocupes: hay muchos desarrolladores talentosos buscando proyectos como el tuyo.",
+    button: "Ver otras postulaciones",
+    footer: "Este correo fue enviado por SkillBridge Pro",
+  },
+};
+
+module.exports = {
+  name: "application-withdrawn",
+  description: "Tells a project owner that a developer withdrew their application",
+  sampleData: {
+    ownerName: "Jordan Owner",
+    projectTitle: "E-commerce Platform Redesign",
+    developerName: "Alex Developer",
+    developerEmail: "alex@example.com",
+    applicationsUrl: "https://app.skillbridge.dev/projects",
+  },
+  messages,
+  render: ({ data, safe, t }) => ({
+    subject: t.subject(data),
+    html: renderLayout({
+      title: t.title,
+      greeting: t.greeting(safe),
+      body: [
+        renderParagraph(t.intro(safe)),
+        renderPanel({
+          title: t.detailsTitle,
+          color: "#6c757d",
+          content: renderDetails([
+            [t.labels.developer, safe.developerName],
+            [t.labels.email, safe.developerEmail],
+            [t.labels.project, safe.projectTitle],
+            [t.labels.status, t.withdrawn],
+          ]),
+        }),
+        renderNotice({
+          html: `<strong>${t.meaningTitle}</strong>${renderList(t.meaning)}`,
+          background: "#d1ecf1",
+          border: "#17a2b8",
+          color: "#0c5460",
+        }),
+        renderParagraph(t.closing),
+        renderButton(safe.applicationsUrl, t.button),
+      ].join(""),
+      footer: t.footer,
+    }),
+  }),
+};
@@ -0,0 +1,249 @@
+const {
+  renderLayout,
+  renderParagraph,
+  renderPanel,
+  renderList,
+  renderNotice,
+  renderButton,
+} = require("../layout");
+
+// Header gradient and panel colour per role
+const ROLE_STYLES = {
+  developer: { accent: "135deg, #3b82f6 0%, #8b5cf6 100%", color: "#3b82f6", emoji: "👨‍💻" },
+  "project-owner": { accent: "135deg, #10b981 0%, #14b8a6 100%", color: "#10b981", emoji: "🏢" },
+  admin: { accent: "135deg, #ef4444 0%, #f97316 100%", color: "#ef4444", emoji: "🔐" },
+};
+
+const messages = {
+  en: {
+    greeting: (d) => `Hello ${d.name},`,
+    footer: "This email was sent from SkillBridge Pro",
+    expiry: "<strong>⏰ Important:</strong> This verification link will expire in 15 minutes for security reasons.",
+    securityNote:
+      "<strong>🔒 Security Notice:</strong> This is a secure admin account. Only authorized personnel should verify this email.",
+    signup: {
+      subject: (title) => `✅ ${title} - Verify Your Email`,
+      nextStepsTitle: "🚀 What's Next?",
+      closing: "If you didn't create an account with SkillBridge Pro, you can safely ignore this email.",
+      roles: {
+        developer: {
+          title: "Welcome Developer!",
+          message:
+            "Thank you for joining SkillBridge Pro as a Developer! We're excited to help you build your career and connect with amazing projects.",
+          nextSteps: [
+            "Verify your email to activate your developer account",
+            "Complete your developer profile with skills and experience",
+            "Browse and apply to exciting projects that match your expertise",
+            "Build your portfolio and showcase your work",
+            "Connect with project owners and fellow developers",
+          ],
+          buttonText: "✅ Verify My Developer Account",
+        },
+        "project-owner": {
+          title: "Welcome Project Owner!",
+          message:
+            "Thank you for joining SkillBridge Pro as a Project Owner! We're thrilled to help you find talented developers and bring your projects to life.",
+          nextSteps: [
+            "Verify your email to activate your project owner account",
+            "Complete your company profile and business information",
+            "Post your first project and start receiving applications",
+            "Browse talented developers and their portfolios",
+            "Build your dream development team",
+          ],
+          buttonText: "✅ Verify My Project Owner Account",
+        },
+        admin: {
+          title: "Welcome Admin!",
+          message:
+            "Thank you for joining SkillBridge Pro as an Administrator! You now have access to manage and monitor the SkillBridge platform.",
+          nextSteps: [
+            "Verify your email to activate your admin account",
+            "Access the admin dashboard and system controls",
+            "Manage users, projects, and platform settings",
+            "Monitor system analytics and performance",
+            "Ensure platform security and quality",
+          ],
+          buttonText: "✅ Verify My Admin Account",
+        },
+      },
+      intro: (message) => `${message} To get started, please verify your email address.`,
+    },
+    login: {
+      subject: (title, emoji) => `${emoji} ${title} - SkillBridge Pro`,
+      actionTitle: "⚠️ Action Required",
+      roles: {
+        developer: {
+          title: "Email Verification Required",
+          message:
+            "We noticed you're trying to log in to your Developer account, but your email address hasn't been verified yet. Please verify your email to access your developer dashboard and start applying to projects.",
+          actionText:
+            "To complete your login and access your developer account, please verify your email address by clicking the button below.",
+          buttonText: "✅ Verify My Developer Account",
+          afterVerification:
+            "Once verified, you'll be able to log in and access your developer dashboard, browse projects, and build your career!",
+        },
+        "project-owner": {
+          title: "Email Verification Required",
+          message:
+            "We noticed you're trying to log in to your Project Owner account, but your email address hasn't been verified yet. Please verify your email to access your project management dashboard.",
+          actionText:
+            "To complete your login and access your project owner account, please verify your email address by clicking the button below.",
+          buttonText: "✅ Verify My Project Owner Account",
+          afterVerification:
+            "Once verified, you'll be able to log in and access your project dashboard, post projects, and hire talented developers!",
+        },
+        admin: {
+          title: "Email Verification Required - Admin Account",
+          message:
+            "We noticed you're trying to log in to your Admin account, but your email address hasn't been verified yet. Please verify your email to access the admin dashboard.",
+          actionText:
+            "To complete your login and access the admin panel, please verify your email address by clicking the button below.",
+          buttonText: "✅ Verify My Admin Account",
+          afterVerification:
+            "Once verified, you'll be able to log in and access the admin dashboard to manage and monitor the SkillBridge platform.",
+        },
+      },
+    },
+  },
+  es: {
+    greeting: (d) => `Hola ${d.name}:`,
+    footer: "Este correo fue enviado por SkillBridge Pro",
+    expiry: "<strong>⏰ Importante:</strong> Por motivos de seguridad, este enlace de verificación caduca en 15 minutos.",
+    securityNote:
+      "<strong>🔒 Aviso de seguridad:</strong> Esta es una cuenta de administrador protegida. Solo el personal autorizado debe verificar este correo.",
+    signup: {
+      subject: (title) => `✅ ${title} - Verifica tu correo`,
+      nextStepsTitle: "🚀 ¿Qué sigue?",
+      closing: "Si no creaste una cuenta en SkillBridge Pro, puedes ignorar este correo.",
+      roles: {
+        developer: {
+          title: "¡Bienvenido, desarrollador!",
+          message:
+            "¡Gracias por unirte a SkillBridge Pro como desarrollador! Estamos encantados de ayudarte a impulsar tu carrera y conectarte con proyectos increíbles.",
+          nextSteps: [
+            "Verifica tu correo para activar tu cuenta de desarrollador",
+            "Completa tu perfil con tus habilidades y experiencia",
+            "Explora y postúlate a proyectos que encajen con tu experiencia",
+            "Construye tu portafolio y muestra tu trabajo",
+            "Conecta con dueños de proyectos y otros desarrolladores",
+          ],
+          buttonText: "✅ Verificar mi cuenta de desarrollador",
+        },
+        "project-owner": {
+          title: "¡Bienvenido, dueño de proyecto!",
+          message:
+            "¡Gracias por unirte a SkillBridge Pro como dueño de proyecto! Nos alegra ayudarte a encontrar desarrolladores talentosos y hacer realidad tus proyectos.",
+          nextSteps: [
+            "Verifica tu correo para activar tu cuenta de dueño de proyecto",
+            "Completa el perfil y los datos de tu empresa",
+            "Publica tu primer proyecto y empieza a recibir postulaciones",
+            "Explora desarrolladores talentosos y sus portafolios",
+            "Forma el equipo de desarrollo de tus sueños",
+          ],
+          buttonText: "✅ Verificar mi cuenta de dueño de proyecto",
+        },
+        admin: {
+          title: "¡Bienvenido, administrador!",
+          message:
+            "¡Gracias por unirte a SkillBridge Pro como administrador! Ahora puedes gestionar y supervisar la plataforma SkillBridge.",
+          nextSteps: [
+            "Verifica tu correo para activar tu cuenta de administrador",
+            "Accede al panel de administración y a los controles del sistema",
+            "Gestiona usuarios, proyectos y la configuración de la plataforma",
+            "Supervisa las analíticas y el rendimiento del sistema",
+            "Vela por la seguridad y la calidad de la plataforma",
+          ],
+          buttonText: "✅ Verificar mi cuenta de administrador",
+        },
+      },
+      intro: (message) => `${message} Para empezar, verifica tu dirección de correo.`,
+    },
+    login: {
+      subject: (title, emoji) => `${emoji} ${title} - SkillBridge Pro`,
+      actionTitle: "⚠️ Acción requerida",
+      roles: {
+        developer: {
+          title: "Verificación de correo requerida",
+          message:
+            "Vimos que intentas iniciar sesión en tu cuenta de desarrollador, pero tu correo aún no está verificado. Verifícalo para acceder a tu panel de desarrollador y empezar a postularte a proyectos.",
+          actionText:
+            "Para completar el inicio de sesión y acceder a tu cuenta de desarrollador, verifica tu correo con el botón de abajo.",
+          buttonText: "✅ Verificar mi cuenta de desarrollador",
+          afterVerification:
+            "Una vez verificado, podrás iniciar sesión, acceder a tu panel, explorar proyectos y hacer crecer tu carrera.",
+        },
+        "project-owner": {
+          title: "Verificación de correo requerida",
+          message:
+            "Vimos que intentas iniciar sesión en tu cuenta de dueño de proyecto, pero tu correo aún no está verificado. Verifícalo para acceder a tu panel de gestión de proyectos.",
+          actionText:
+            "Para completar el inicio de sesión y acceder a tu cuenta de dueño de proyecto, verifica tu correo con el botón de abajo.",
+          buttonText: "✅ Verificar mi cuenta de dueño de proyecto",
+          afterVerification:
+            "Una vez verificado, podrás iniciar sesión, acceder a tu panel, publicar proyectos y contratar desarrolladores talentosos.",
+        },
+        admin: {
+          title: "Verificación de correo requerida - Cuenta de administrador",
+          message:
+            "Vimos que intentas iniciar sesión en tu cuenta de administrador, pero tu correo aún no está verificado. Verifícalo para acceder al panel de administración.",
+          actionText:
+            "Para completar el inicio de sesión y acceder al panel de administración, verifica tu correo con el botón de abajo.",
+          buttonText: "✅ Verificar mi cuenta de administrador",
+          afterVerification:
+            "Una vez verificado, podrás iniciar sesión y acceder al panel de administración para gestionar y supervisar la plataforma SkillBridge.",
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Email verification, sent on sign-up ("signup") and when an unverified user logs in ("login")
+ */
+module.exports = {
+  name: "email-verification",
+  description: "Email address verification link, on sign-up or when an unverified user logs in (role-specific copy)",
+  sampleData: {
+    name: "Alex Developer",
+    role: "developer",
+    context: "signup",
+    verificationUrl: "https://app.skillbridge.dev/verify-email?token=sample-token",
+  },
+  messages,
+  render: ({ data, safe, t }) => {
+    const role = ROLE_STYLES[data.role] ? data.role : "developer";
+    const style = ROLE_STYLES[role];
+    const isLogin = data.context === "login";
+    const copy = isLogin ? t.login.roles[role] : t.signup.roles[role];
+    const securityNote = role === "admin" ? renderNotice({ html: t.securityNote, background: "#fee2e2", border: "#ef4444", color: "#991b1b" }) : "";
+
+    const body = isLogin
+      ? [
+          renderParagraph(copy.message),
+          renderPanel({ title: t.login.actionTitle, color: style.color, content: renderParagraph(copy.actionText) }),
+          securityNote,
+          renderButton(safe.verificationUrl, copy.buttonText, style.accent),
+          renderNotice({ html: t.expiry }),
+          renderParagraph(copy.afterVerification),
+        ]
+      : [
+          renderParagraph(t.signup.intro(copy.message)),
+          renderPanel({ title: t.signup.nextStepsTitle, color: style.color, content: renderList(copy.nextSteps) }),
+          securityNote,
+          renderButton(safe.verificationUrl, copy.buttonText, style.accent),
+          renderNotice({ html: t.expiry }),
+          renderParagraph(t.signup.closing),
+        ];
+
+    return {
+      subject: isLogin ? t.login.subject(copy.title, style.emoji) : t.signup.subject(copy.title),
+      html: renderLayout({
+        title: `${style.emoji} ${copy.title}`,
+        greeting: t.greeting(safe),
+        body: body.join(""),
+        footer: t.footer,
+        accent: style.accent,
+      }),
+    };
+  },
+};
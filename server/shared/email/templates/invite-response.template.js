@@ -0,0 +1,119 @@
+const { renderLayout, renderParagraph, renderPanel, renderList, renderDetails, renderButton } = require("../layout");
+
+const STATUS_STYLES = {
+  accepted: { accent: "135deg, #28a745 0%, #20c997 100%", color: "#28a745", tipsColor: "#007bff" },
+  declined: { accent: "135deg, #6c757d 0%, #495057 100%", color: "#6c757d", tipsColor: "#ffc107" },
+};
+
+const messages = {
+  en: {
+    greeting: (d) => `Hello ${d.ownerName},`,
+    labels: { name: "Name", email: "Email" },
+    detailsTitle: "Developer Details",
+    footer: "This notification was sent from SkillBridge Pro",
+    accepted: {
+      subject: (d) => `🎉 Invitation Accepted for "${d.projectTitle}"`,
+      title: "🎉 Invitation Accepted!",
+      intro: (d) => `Great news! <strong>${d.responderName}</strong> has accepted your invitation to join <strong>"${d.projectTitle}"</strong>!`,
+      tipsTitle: "Next Steps",
+      tips: [
+        "Welcome the new team member to your project",
+        "Share project details and access credentials",
+        "Set up communication channels",
+        "Begin collaboration on the project",
+      ],
+      closing: "Your project team is growing! Time to start building something amazing together.",
+      button: "View Project",
+    },
+    declined: {
+      subject: (d) => `📝 Invitation Declined for "${d.projectTitle}"`,
+      title: "📝 Invitation Declined",
+      intro: (d) => `<strong>${d.responderName}</strong> has declined your invitation to join <strong>"${d.projectTitle}"</strong>.`,
+      tipsTitle: "Don't Give Up!",
+      tips: [
+        "Continue searching for other qualified developers",
+        "Consider reaching out to more candidates",
+        "Review your project requirements and make them more attractive",
+        "Post your project publicly to reach a wider audience",
+      ],
+      closing: "There are many talented developers out there. Keep looking and you'll find the perfect match for your project!",
+      button: "Find More Developers",
+    },
+  },
+  es: {
+    greeting: (d) => `Hola ${d.ownerName}:`,
+    labels: { name: "Nombre", email: "Correo" },
+    detailsTitle: "Datos del desarrollador",
+    footer: "Esta notificación fue enviada desde SkillBridge Pro",
+    accepted: {
+      subject: (d) => `🎉 Invitación aceptada para "${d.projectTitle}"`,
+      title: "🎉 ¡Invitación aceptada!",
+      intro: (d) => `¡Buenas noticias! <strong>${d.responderName}</strong> aceptó tu invitación para unirse a <strong>"${d.projectTitle}"</strong>.`,
+      tipsTitle: "Próximos pasos",
+      tips: [
+        "Da la bienvenida al nuevo miembro del equipo",
+        "Comparte los detalles del proyecto y los accesos",
+        "Configura los canales de comunicación",
+        "Empiecen a colaborar en el proyecto",
+      ],
+      closing: "¡Tu equipo está creciendo! Es hora de construir algo increíble juntos.",
+      button: "Ver proyecto",
+    },
+    declined: {
+      subject: (d) => `📝 Invitación rechazada para "${d.projectTitle}"`,
+      title: "📝 Invitación rechazada",
+      intro: (d) => `<strong>${d.responderName}</strong> rechazó tu invitación para unirse a <strong>"${d.projectTitle}"</strong>.`,
+      tipsTitle: "¡No te rindas!",
+      tips: [
+        "Sigue buscando otros desarrolladores calificados",
+        "Contacta a más candidatos",
+        "Revisa los requisitos del proyecto para hacerlo más atractivo",
+        "Publica tu proyecto para llegar a más personas",
+      ],
+      closing: "Hay muchos desarrolladores talentosos. ¡Sigue buscando y encontrarás a la persona ideal para tu proyecto!",
+      button: "Buscar más desarrolladores",
+    },
+  },
+};
+
+module.exports = {
+  name: "invite-response",
+  description: "Tells a project owner that an invited developer accepted or declined (status: accepted | declined)",
+  sampleData: {
+    ownerName: "Jordan Owner",
+    projectTitle: "E-commerce Platform Redesign",
+    responderName: "Alex Developer",
+    responderEmail: "alex@example.com",
+    status: "accepted",
+    projectUrl: "https://app.skillbridge.dev/project",
+  },
+  messages,
+  render: ({ data, safe, t }) => {
+    const status = data.status === "declined" ? "declined" : "accepted";
+    const style = STATUS_STYLES[status];
+    const copy = t[status];
+    return {
+      subject: copy.subject(data),
+      html: renderLayout({
+        title: copy.title,
+        greeting: t.greeting(safe),
+        body: [
+          renderParagraph(copy.intro(safe)),
+          renderPanel({
+            title: t.detailsTitle,
+            color: style.color,
+            content: renderDetails([
+              [t.labels.name, safe.responderName],
+              [t.labels.email, safe.responderEmail],
+            ]),
+          }),
+          renderPanel({ title: copy.tipsTitle, color: style.tipsColor, content: renderList(copy.tips) }),
+          renderParagraph(copy.closing),
+          renderButton(safe.projectUrl, copy.button, status === "accepted" ? style.accent : undefined),
+        ].join(""),
+        footer: t.footer,
+        accent: style.accent,
+      }),
+    };
+  },
+};
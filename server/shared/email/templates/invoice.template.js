@@ -0,0 +1,73 @@
+const { renderLayout, renderParagraph, renderPanel, renderDetails, renderButton, escapeHtml } = require("../layout");
+const { formatDate, formatMoney } = require("../locales");
+
+const ACCENT = "135deg, #10b981 0%, #14b8a6 100%";
+
+const messages = {
+  en: {
+    subject: (d) => `🧾 Your SkillBridge Pro invoice ${d.invoiceNumber}`,
+    title: "🧾 Payment Received",
+    greeting: (d) => `Hello ${d.name},`,
+    intro: (amount) => `Thank you! We received your payment of <strong>${amount}</strong>. Your invoice is ready.`,
+    detailsTitle: "Invoice Details",
+    labels: { number: "Invoice", description: "Description", amount: "Amount", date: "Paid on" },
+    closing: "You can download the PDF any time from Billing &amp; Subscriptions.",
+    button: "View Invoice",
+    footer: "This receipt was sent from SkillBridge Pro",
+  },
+  es: {
+    subject: (d) => `🧾 Tu factura de SkillBridge Pro ${d.invoiceNumber}`,
+    title: "🧾 Pago recibido",
+    greeting: (d) => `Hola ${d.name}:`,
+    intro: (amount) => `¡Gracias! Recibimos tu pago de <strong>${amount}</strong>. Tu factura ya está disponible.`,
+    detailsTitle: "Detalles de la factura",
+    labels: { number: "Factura", description: "Concepto", amount: "Importe", date: "Pagada el" },
+    closing: "Puedes descargar el PDF en cualquier momento desde Facturación y suscripciones.",
+    button: "Ver factura",
+    footer: "Este recibo fue enviado por SkillBridge Pro",
+  },
+};
+
+module.exports = {
+  name: "invoice",
+  description: "Receipt for a paid invoice with a link to the invoice PDF",
+  sampleData: {
+    name: "Jordan Owner",
+    invoiceNumber: "INV-1700000000000-7",
+    description: "Pro plan - monthly subscription",
+    amount: 29,
+    currency: "USD",
+    paidAt: new Date().toISOString(),
+    invoiceUrl: "https://app.skillbridge.dev/billing",
+  },
+  messages,
+  render: ({ data, safe, t, locale }) => {
+    const amount = escapeHtml(formatMoney(data.amount, data.currency, locale));
+    return {
+      subject: t.subject(data),
+      html: renderLayout({
+        title: t.title,
+        greeting: t.greeting(safe),
+        body: [
+          renderParagraph(t.intro(amount)),
+          renderPanel({
+            title: t.detailsTitle,
+            color: "#10b981",
+            content: renderDetails(
+              [
+                [t.labels.number, safe.invoiceNumber],
+                safe.description ? [t.labels.description, safe.description] : null,
+                [t.labels.amount, amount],
+                [t.labels.date, escapeHtml(formatDate(data.paidAt || new Date(), locale))],
+              ].filter(Boolean)
+            ),
+          }),
+          renderParagraph(t.closing),
+          renderButton(safe.invoiceUrl, t.button, ACCENT),
+        ].join(""),
+        footer: t.footer,
+        accent: ACCENT,
+      }),
+    };
+  },
+};
@@ -0,0 +1,75 @@
+const { renderLayout, renderParagraph, renderPanel, renderList, renderDetails, renderButton } = require("../layout");
+
+const messages = {
+  en: {
+    subject: (d) => `🔔 New Application for "${d.projectTitle}"`,
+    title: "🔔 New Application!",
+    greeting: (d) => `Hello ${d.ownerName},`,
+    intro: (d) => `You have received a new application for your project <strong>"${d.projectTitle}"</strong>!`,
+    detailsTitle: "Applicant Details",
+    labels: { name: "Name", email: "Email" },
+    nextStepsTitle: "Next Steps",
+    nextSteps: [
+      "Review the applicant's profile and application",
+      "Shortlist promising candidates for interviews",
+      "Update application status to keep applicants informed",
+      "Contact applicants directly if needed",
+    ],
+    closing: "Don't keep applicants waiting - timely responses help you find the best talent!",
+    button: "Review Applications",
+    footer: "This email was sent from SkillBridge Pro",
+  },
+  es: {
+    subject: (d) => `🔔 Nueva postulación para "${d.projectTitle}"`,
+    title: "🔔 ¡Nueva postulación!",
+    greeting: (d) => `Hola ${d.ownerName}:`,
+    intro: (d) => `Recibiste una nueva postulación para tu proyecto <strong>"${d.projectTitle}"</strong>.`,
+    detailsTitle: "Datos del postulante",
+    labels: { name: "Nombre", email: "Correo" },
+    nextStepsTitle: "Próximos pasos",
+    nextSteps: [
+      "Revisa el perfil y la postulación del candidato",
+      "Preselecciona a los candidatos más prometedores para entrevistas",
+      "Actualiza el estado de la postulación para mantener informados a los candidatos",
+      "Contacta directamente a los candidatos si lo necesitas",
+    ],
+    closing: "No hagas esperar a los candidatos: responder a tiempo te ayuda a encontrar el mejor talento.",
+    button: "Revisar postulaciones",
+    footer: "Este correo fue enviado por SkillBridge Pro",
+  },
+};
+
+module.exports = {
+  name: "new-application",
+  description: "Tells a project owner that a developer applied to their project",
+  sampleData: {
+    ownerName: "Jordan Owner",
+    projectTitle: "E-commerce Platform Redesign",
+    developerName: "Alex Developer",
+    developerEmail: "alex@example.com",
+    applicationsUrl: "https://app.skillbridge.dev/project",
+  },
+  messages,
+  render: ({ data, safe, t }) => ({
+    subject: t.subject(data),
+    html: renderLayout({
+      title: t.title,
+      greeting: t.greeting(safe),
+      body: [
+        renderParagraph(t.intro(safe)),
+        renderPanel({
+          title: t.detailsTitle,
+          color: "#007bff",
+          content: renderDetails([
+            [t.labels.name, safe.developerName],
+            [t.labels.email, safe.developerEmail],
+          ]),
+        }),
+        renderPanel({ title: t.nextStepsTitle, color: "#ffc107", content: renderList(t.nextSteps) }),
+        renderParagraph(t.closing),
+        renderButton(safe.applicationsUrl, t.button),
+      ].join(""),
+      footer: t.footer,
+    }),
+  }),
+};
@@ -0,0 +1,138 @@
+const { renderLayout, renderParagraph, renderButton, escapeHtml } = require("../layout");
+
+const ACCENT = "135deg, #3b82f6 0%, #8b5cf6 100%";
+
+const messages = {
+  en: {
+    subject: (d) => `Your ${d.frequency} SkillBridge digest: ${d.count} unread notification${d.count === 1 ? "" : "s"}`,
+    title: (d) => `📬 Your ${d.frequency} digest`,
+    greeting: (d) => `Hello ${d.name},`,
+    summary: (d) =>
+      `You have ${d.count} unread notification${d.count === 1 ? "" : "s"} from the last ${d.frequency === "weekly" ? "week" : "day"}.`,
+    more: (count) => `and ${count} more`,
+    button: "View all notifications",
+    footer: (settingsLink, unsubscribeLink, d) =>
+      `You receive this ${d.frequency} digest because of your notification settings. ${settingsLink("Change frequency")} · ${unsubscribeLink("Unsubscribe from notification emails")}`,
+    categories: {
+      match: "Project Matches",
+      application: "Applications",
+      invitation: "Invitations",
+      deadline: "Deadlines",
+      chat: "Messages",
+      project: "Project Updates",
+      milestone: "Milestones",
+      team: "Team",
+      review: "Reviews",
+      endorsement: "Endorsements",
+      recommendation: "Recommendations",
+      career: "Career Opportunities",
+      billing: "Billing",
+      security: "Security",
+      system: "System",
+    },
+  },
+  es: {
+    subject: (d) =>
+      `Tu resumen ${d.frequency === "weekly" ? "semanal" : "diario"} de SkillBridge: ${d.count} notificaci${d.count === 1 ? "ón sin leer" : "ones sin leer"}`,
+    title: (d) => `📬 Tu resumen ${d.frequency === "weekly" ? "semanal" : "diario"}`,
+    greeting: (d) => `Hola ${d.name}:`,
+    summary: (d) =>
+      `Tienes ${d.count} notificaci${d.count === 1 ? "ón sin leer" : "ones sin leer"} ${d.frequency === "weekly" ? "de la última semana" : "del último día"}.`,
+    more: (count) => `y ${count} más`,
+    button: "Ver todas las notificaciones",
+    footer: (settingsLink, unsubscribeLink, d) =>
+      `Recibes este resumen ${d.frequency === "weekly" ? "semanal" : "diario"} según tu configuración de notificaciones. ${settingsLink("Cambiar frecuencia")} · ${unsubscribeLink("Darte de baja de los correos de notificaciones")}`,
+    categories: {
+      match: "Proyectos recomendados",
+      application: "Postulaciones",
+      invitation: "Invitaciones",
+      deadline: "Fechas límite",
+      chat: "Mensajes",
+      project: "Novedades de proyectos",
+      milestone: "Hitos",
+      team: "Equipo",
+      review: "Reseñas",
+      endorsement: "Recomendaciones de habilidades",
+      recommendation: "Sugerencias",
+      career: "Oportunidades laborales",
+      billing: "Facturación",
+      security: "Seguridad",
+      system: "Sistema",
+    },
+  },
+};
+
+const renderFooterLink = (href) => (label) => `<a href="${href}" style="color: #999;">${label}</a>`;
+
+// Nested group data isn't covered by the registry's escaping, so it is escaped here
+const renderGroup = ({ category, label, items, total }, t) => {
+  const heading = escapeHtml(t.categories[category] || label);
+  const itemsHtml = items
+    .map(
+      (item) => `
+                <li style="margin-bottom: 12px;">
+                  <a href="${escapeHtml(item.url)}" style="color: #3b82f6; font-weight: bold; text-decoration: none;">${escapeHtml(item.title)}</a>
+                  <div style="color: #666; font-size: 14px; line-height: 1.5;">${escapeHtml(item.message)}</div>
+                </li>`
+    )
+    .join("");
+  const more = total - items.length;
+  return `
+            <h3 style="color: #333; font-size: 16px; margin: 20px 0 8px;">${heading} (${total})</h3>
+            <ul style="padding-left: 18px; margin: 0;">${itemsHtml}
+            </ul>${more > 0 ? `
+            <p style="color: #999; font-size: 13px; margin: 0 0 0 18px;">${escapeHtml(t.more(more))}</p>` : ""}`;
+};
+
+module.exports = {
+  name: "notification-digest",
+  description: "Daily or weekly summary of unread notifications, grouped by category",
+  sampleData: {
+    name: "Alex Developer",
+    frequency: "daily",
+    count: 3,
+    groups: [
+      {
+        category: "application",
+        label: "Applications",
+        total: 2,
+        items: [
+          {
+            title: "Application Update",
+            message: "You were shortlisted for E-commerce Platform Redesign.",
+            url: "https://app.skillbridge.dev/applications",
+          },
+          {
+            title: "New Applicant",
+            message: "Jordan applied to Mobile Banking App.",
+            url: "https://app.skillbridge.dev/project/12/applicants",
+          },
+        ],
+      },
+      {
+        category: "chat",
+        label: "Messages",
+        total: 1,
+        items: [{ title: "💬 New Message", message: "Can we move the call to 3pm?", url: "https://app.skillbridge.dev/chat" }],
+      },
+    ],
+    notificationsUrl: "https://app.skillbridge.dev/notifications",
+    settingsUrl: "https://app.skillbridge.dev/settings",
+    unsubscribeUrl: "https://api.skillbridge.dev/api/v1/user/notifications/unsubscribe?token=sample",
+  },
+  messages,
+  render: ({ data, safe, t }) => ({
+    subject: t.subject(data),
+    html: renderLayout({
+      title: t.title(safe),
+      greeting: t.greeting(safe),
+      body: [
+        renderParagraph(t.summary(safe)),
+        ...(data.groups || []).map((group) => renderGroup(group, t)),
+        renderButton(safe.notificationsUrl, t.button, ACCENT),
+      ].join(""),
+      footer: t.footer(renderFooterLink(safe.settingsUrl), renderFooterLink(safe.unsubscribeUrl), safe),
+      accent: ACCENT,
+    }),
+  }),
+};
@@ -0,0 +1,43 @@
+const { renderLayout, renderParagraph, renderButton } = require("../layout");
+
+const ACCENT = "135deg, #3b82f6 0%, #8b5cf6 100%";
+
+const messages = {
+  en: {
+    greeting: (d) => `Hello ${d.name},`,
+    button: "View in SkillBridge",
+    footer: "You can change which emails you receive in your notification settings.",
+  },
+  es: {
+    greeting: (d) => `Hola ${d.name}:`,
+    button: "Ver en SkillBridge",
+    footer: "Puedes elegir qué correos recibes en la configuración de notificaciones.",
+  },
+};
+
+module.exports = {
+  name: "notification",
+  description: "A single notification sent by email as soon as it is created",
+  sampleData: {
+    name: "Alex Developer",
+    title: "New Applicant",
+    message: "Jordan applied to E-commerce Platform Redesign.",
+    action: "Review Application",
+    actionUrl: "https://app.skillbridge.dev/project/12/applicants",
+  },
+  messages,
+  // title, message and the action label come from the notification itself and are not translated
+  render: ({ data, safe, t }) => ({
+    subject: data.title,
+    html: renderLayout({
+      title: `🔔 ${safe.title}`,
+      greeting: t.greeting(safe),
+      body: [
+        renderParagraph(safe.message),
+        renderButton(safe.actionUrl, safe.action || t.button, ACCENT),
+      ].join(""),
+      footer: t.footer,
+      accent: ACCENT,
+    }),
+  }),
+};
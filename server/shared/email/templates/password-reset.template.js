@@ -0,0 +1,79 @@
+const { renderLayout, renderParagraph, renderPanel, renderList, renderNotice, renderButton } = require("../layout");
+
+const ACCENT = "135deg, #dc3545 0%, #c82333 100%";
+
+const messages = {
+  en: {
+    subject: () => "🔒 Password Reset Request - SkillBridge Pro",
+    title: "🔒 Password Reset Request",
+    greeting: "Hello,",
+    intro:
+      "We received a request to reset your password for your SkillBridge Pro account. If you made this request, please click the button below to reset your password.",
+    securityTitle: "🔐 Security Notice",
+    securityText:
+      "For your security, this password reset link will expire in 15 minutes. If you didn't request this reset, please ignore this email and your password will remain unchanged.",
+    button: "🔒 Reset My Password",
+    tipsTitle: "💡 Security Tips:",
+    tips: [
+      "Use a strong, unique password",
+      "Don't share your password with anyone",
+      "Enable two-factor authentication if available",
+      "Log out from shared devices",
+    ],
+    fallback: "If you're having trouble with the button above, copy and paste the following link into your browser:",
+    footer: "This email was sent from SkillBridge Pro",
+  },
+  es: {
+    subject: () => "🔒 Solicitud de restablecimiento de contraseña - SkillBridge Pro",
+    title: "🔒 Restablecer contraseña",
+    greeting: "Hola:",
+    intro:
+      "Recibimos una solicitud para restablecer la contraseña de tu cuenta de SkillBridge Pro. Si fuiste tú, haz clic en el botón de abajo para elegir una nueva contraseña.",
+    securityTitle: "🔐 Aviso de seguridad",
+    securityText:
+      "Por tu seguridad, este enlace caduca en 15 minutos. Si no solicitaste el cambio, ignora este correo y tu contraseña seguirá siendo la misma.",
+    button: "🔒 Restablecer mi contraseña",
+    tipsTitle: "💡 Consejos de seguridad:",
+    tips: [
+      "Usa una contraseña segura y única",
+      "No compartas tu contraseña con nadie",
+      "Activa la verificación en dos pasos si está disponible",
+      "Cierra sesión en dispositivos compartidos",
+    ],
+    fallback: "Si el botón no funciona, copia y pega el siguiente enlace en tu navegador:",
+    footer: "Este correo fue enviado por SkillBridge Pro",
+  },
+};
+
+module.exports = {
+  name: "password-reset",
+  description: "Password reset link from the forgot-password flow",
+  sampleData: {
+    resetUrl: "https://app.skillbridge.dev/reset-password?token=sample-token",
+  },
+  messages,
+  render: ({ safe, t }) => ({
+    subject: t.subject(),
+    html: renderLayout({
+      title: t.title,
+      greeting: t.greeting,
+      body: [
+        renderParagraph(t.intro),
+        renderPanel({ title: t.securityTitle, color: "#dc3545", content: renderParagraph(t.securityText) }),
+        renderButton(safe.resetUrl, t.button, ACCENT),
+        renderNotice({
+          html: `<strong>${t.tipsTitle}</strong>${renderList(t.tips)}`,
+          background: "#d1ecf1",
+          border: "#17a2b8",
+          color: "#0c5460",
+        }),
+        renderParagraph(t.fallback),
+        `
+            <div style="background: #e9ecef; padding: 10px; border-radius: 5px; word-break: break-all; font-family: monospace; font-size: 12px; color: #495057;">
+              ${safe.resetUrl}
+            </div>`,
+      ].join(""),
+      footer: t.footer,
+    }),
+  }),
+};
@@ -0,0 +1,97 @@
+const { renderLayout, renderParagraph, renderPanel, renderList, renderDetails, renderButton } = require("../layout");
+
+const messages = {
+  en: {
+    subject: (d) => `🎯 You're Invited to Join "${d.projectTitle}"`,
+    title: "🎯 Project Invitation",
+    greeting: (d) => `Hello ${d.invitedName || "Developer"},`,
+    intro: (d) => `<strong>${d.ownerName}</strong> has invited you to join their project <strong>"${d.projectTitle}"</strong>!`,
+    detailsTitle: "Project Details",
+    labels: { project: "Project", role: "Role", invitedBy: "Invited by" },
+    defaultRole: "Developer",
+    messageTitle: "Personal Message",
+    nextStepsTitle: "What's Next?",
+    nextSteps: [
+      "Click the button below to view the full project details",
+      "Review the project requirements and your role",
+      "Accept or decline the invitation",
+      "Start collaborating if you accept!",
+    ],
+    closing: "This is a great opportunity to work on an exciting project. We hope you'll consider joining!",
+    button: "View Invitation & Respond",
+    fallback: "Or copy and paste this link:",
+    footer: "This invitation was sent from SkillBridge Pro",
+  },
+  es: {
+    subject: (d) => `🎯 Te invitaron a unirte a "${d.projectTitle}"`,
+    title: "🎯 Invitación a un proyecto",
+    greeting: (d) => `Hola ${d.invitedName || "desarrollador"}:`,
+    intro: (d) => `<strong>${d.ownerName}</strong> te invitó a unirte a su proyecto <strong>"${d.projectTitle}"</strong>.`,
+    detailsTitle: "Detalles del proyecto",
+    labels: { project: "Proyecto", role: "Rol", invitedBy: "Invitado por" },
+    defaultRole: "Desarrollador",
+    messageTitle: "Mensaje personal",
+    nextStepsTitle: "¿Qué sigue?",
+    nextSteps: [
+      "Haz clic en el botón de abajo para ver todos los detalles del proyecto",
+      "Revisa los requisitos del proyecto y tu rol",
+      "Acepta o rechaza la invitación",
+      "¡Si aceptas, empieza a colaborar!",
+    ],
+    closing: "Es una gran oportunidad para trabajar en un proyecto emocionante. ¡Esperamos que te unas!",
+    button: "Ver invitación y responder",
+    fallback: "O copia y pega este enlace:",
+    footer: "Esta invitación fue enviada desde SkillBridge Pro",
+  },
+};
+
+module.exports = {
+  name: "project-invite",
+  description: "Invitation for a developer to join a project",
+  sampleData: {
+    invitedName: "Alex Developer",
+    ownerName: "Jordan Owner",
+    projectTitle: "E-commerce Platform Redesign",
+    role: "Frontend Developer",
+    message: "Loved your portfolio - would be great to have you on the team!",
+    inviteUrl: "https://app.skillbridge.dev/invites/42",
+  },
+  messages,
+  render: ({ data, safe, t }) => ({
+    subject: t.subject(data),
+    html: renderLayout({
+      title: t.title,
+      greeting: t.greeting(safe),
+      body: [
+        renderParagraph(t.intro(safe)),
+        renderPanel({
+          title: t.detailsTitle,
+          color: "#007bff",
+          content: renderDetails([
+            [t.labels.project, safe.projectTitle],
+            [t.labels.role, safe.role || t.defaultRole],
+            [t.labels.invitedBy, safe.ownerName],
+          ]),
+        }),
+        safe.message
+          ? renderPanel({
+              title: t.messageTitle,
+              color: "#28a745",
+              content: `
+              <p style="color: #666; line-height: 1.6; margin: 0; font-style: italic;">"${safe.message}"</p>`,
+            })
+          : "",
+        renderPanel({ title: t.nextStepsTitle, color: "#ffc107", content: renderList(t.nextSteps) }),
+        renderParagraph(t.closing),
+        renderButton(safe.inviteUrl, t.button),
+        `
+            <div style="text-align: center; margin-top: 20px;">
+              <p style="color: #999; font-size: 14px; margin: 0;">
+                ${t.fallback} <a href="${safe.inviteUrl}" style="color: #667eea;">${safe.inviteUrl}</a>
+              </p>
+            </div>`,
+      ].join(""),
+      footer: t.footer,
+    }),
+  }),
+};
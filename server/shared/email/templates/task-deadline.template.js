@@ -0,0 +1,86 @@
+const { renderLayout, renderParagraph, renderPanel, renderDetails, renderButton, escapeHtml } = require("../layout");
+const { formatDate } = require("../locales");
+
+const ACCENT = "135deg, #f59e0b 0%, #ef4444 100%";
+
+const messages = {
+  en: {
+    subject: (d, when) => `⏰ Task due ${when}: "${d.taskTitle}"`,
+    title: "⏰ Task Deadline Approaching",
+    greeting: (d) => `Hello ${d.name},`,
+    intro: (d, when) => `Your task <strong>"${d.taskTitle}"</strong> on <strong>"${d.projectTitle}"</strong> is due ${when}.`,
+    overdueIntro: (d, date) => `Your task <strong>"${d.taskTitle}"</strong> on <strong>"${d.projectTitle}"</strong> was due on ${date} and is now overdue.`,
+    overdueSubject: (d) => `⚠️ Task overdue: "${d.taskTitle}"`,
+    when: (days, date) => (days <= 0 ? "today" : days === 1 ? "tomorrow" : `in ${days} days (${date})`),
+    detailsTitle: "Task Details",
+    labels: { task: "Task", project: "Project", due: "Due date", status: "Status" },
+    closing: "Submit your work or let the project owner know if you need more time.",
+    button: "Open Task",
+    footer: "This reminder was sent from SkillBridge Pro",
+  },
+  es: {
+    subject: (d, when) => `⏰ Tu tarea vence ${when}: "${d.taskTitle}"`,
+    title: "⏰ Se acerca la fecha límite",
+    greeting: (d) => `Hola ${d.name}:`,
+    intro: (d, when) => `Tu tarea <strong>"${d.taskTitle}"</strong> del proyecto <strong>"${d.projectTitle}"</strong> vence ${when}.`,
+    overdueIntro: (d, date) =>
+      `Tu tarea <strong>"${d.taskTitle}"</strong> del proyecto <strong>"${d.projectTitle}"</strong> vencía el ${date} y ya está atrasada.`,
+    overdueSubject: (d) => `⚠️ Tarea atrasada: "${d.taskTitle}"`,
+    when: (days, date) => (days <= 0 ? "hoy" : days === 1 ? "mañana" : `en ${days} días (${date})`),
+    detailsTitle: "Detalles de la tarea",
+    labels: { task: "Tarea", project: "Proyecto", due: "Fecha límite", status: "Estado" },
+    closing: "Entrega tu trabajo o avisa al dueño del proyecto si necesitas más tiempo.",
+    button: "Abrir tarea",
+    footer: "Este recordatorio fue enviado por SkillBridge Pro",
+  },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = {
+  name: "task-deadline",
+  description: "Reminder to a task assignee that the due date is near or has passed",
+  sampleData: {
+    name: "Alex Developer",
+    taskTitle: "Implement checkout page",
+    projectTitle: "E-commerce Platform Redesign",
+    dueDate: new Date(Date.now() + 2 * DAY_MS).toISOString(),
+    status: "in_progress",
+    taskUrl: "https://app.skillbridge.dev/project/12/tasks/34",
+  },
+  messages,
+  render: ({ data, safe, t, locale }) => {
+    const dueDate = new Date(data.dueDate);
+    const date = formatDate(dueDate, locale);
+    const daysLeft = Math.ceil((dueDate.getTime() - Date.now()) / DAY_MS);
+    const overdue = dueDate.getTime() < Date.now();
+    const when = t.when(daysLeft, date);
+
+    return {
+      subject: overdue ? t.overdueSubject(data) : t.subject(data, when),
+      html: renderLayout({
+        title: t.title,
+        greeting: t.greeting(safe),
+        body: [
+          renderParagraph(overdue ? t.overdueIntro(safe, escapeHtml(date)) : t.intro(safe, escapeHtml(when))),
+          renderPanel({
+            title: t.detailsTitle,
+            color: overdue ? "#ef4444" : "#f59e0b",
+            content: renderDetails(
+              [
+                [t.labels.task, safe.taskTitle],
+                [t.labels.project, safe.projectTitle],
+                [t.labels.due, escapeHtml(date)],
+                safe.status ? [t.labels.status, safe.status] : null,
+              ].filter(Boolean)
+            ),
+          }),
+          renderParagraph(t.closing),
+          renderButton(safe.taskUrl, t.button, ACCENT),
+        ].join(""),
+        footer: t.footer,
+        accent: ACCENT,
+      }),
+    };
+  },
+};
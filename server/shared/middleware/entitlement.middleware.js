@@ -0,0 +1,61 @@
+const HttpException = require("shared/utils/HttpException.utils");
+const {
+  FEATURES,
+  assertEntitlement,
+  consumeEntitlement,
+  releaseEntitlement,
+  isUpgradeRequiredError,
+} = require("shared/utils/entitlements.utils");
+
+/**
+ * Plan entitlement middleware (use after auth middleware)
+ * Rejects over-limit actions with a 403 whose data has code "UPGRADE_REQUIRED".
+ * Metered features (AI credits) are consumed up front and handed back if the
+ * request ends in an error response. Admins are never limited.
+ * @param {string} feature - Key of FEATURES in entitlements.utils (e.g. 'projects', 'aiCredits')
+ * @returns {Function} Express middleware function
+ */
+const requireEntitlement = (feature) => {
+  if (!FEATURES[feature]) {
+    throw new Error(`Unknown entitlement feature: ${feature}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(new HttpException(401, "Authentication required"));
+      }
+
+      const userRoles = req.user.roles || (req.user.role ? [req.user.role] : []);
+      if (userRoles.includes("admin")) {
+        return next();
+      }
+
+      if (!FEATURES[feature].metered) {
+        req.entitlement = await assertEntitlement(req.user.userId, feature);
+        return next();
+      }
+
+      const usage = await consumeEntitlement(req.user.userId, feature);
+      req.entitlement = usage;
+      res.on("finish", () => {
+        if (res.statusCode >= 400) {
+          releaseEntitlement(req.user.userId, feature, usage.period).catch((error) =>
+            console.error("Release entitlement error:", error)
+          );
+        }
+      });
+      next();
+    } catch (error) {
+      if (isUpgradeRequiredError(error)) {
+        return next(error);
+      }
+      console.error("Entitlement check error:", error);
+      return next(new HttpException(500, "Entitlement check failed"));
+    }
+  };
+};
+
+module.exports = {
+  requireEntitlement,
+};
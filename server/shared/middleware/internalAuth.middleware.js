@@ -0,0 +1,34 @@
+const crypto = require("crypto");
+const HttpException = require("shared/utils/HttpException.utils");
+
+const INTERNAL_KEY_HEADER = "x-internal-key";
+
+/**
+ * Service-to-service authentication middleware
+ * Accepts requests carrying the shared INTERNAL_API_KEY in the x-internal-key header.
+ * Internal routes are called directly between services and are never proxied by the gateway.
+ */
+const requireInternalKey = (req, res, next) => {
+  const expectedKey = process.env.INTERNAL_API_KEY;
+  if (!expectedKey) {
+    return next(new HttpException(500, "Internal API key not configured"));
+  }
+
+  const providedKey = req.headers[INTERNAL_KEY_HEADER];
+  if (!providedKey) {
+    return next(new HttpException(401, "Access denied. No internal key sent!"));
+  }
+
+  const expected = Buffer.from(expectedKey);
+  const provided = Buffer.from(String(providedKey));
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return next(new HttpException(401, "Invalid internal key"));
+  }
+
+  next();
+};
+
+module.exports = {
+  INTERNAL_KEY_HEADER,
+  requireInternalKey,
+};
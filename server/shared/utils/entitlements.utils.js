@@ -0,0 +1,334 @@
+/**
+ * ---------------------------------
+ * File: entitlements.utils.js
+ * Description:
+ * Plan entitlements shared by every service. Reads the user's plan (user_subscriptions +
+ * subscription_plans) and current usage straight from the shared database, and raises a
+ * structured "upgrade required" error when an action would go over the plan's limit.
+ *
+ * Notes:
+ * - Limits come from subscription_plans (max_projects, max_applications, ai_credits) and
+ *   its `limits` JSON (maxInvites, maxActiveBoosts); -1 or null means unlimited.
+ * - Per-period features reset at the start of the subscription period, or the calendar
+ *   month for users without a paid period.
+ * - AI credits are metered in entitlement_usage; everything else is counted from the
+ *   service's own tables.
+ * ---------------------------------
+ */
+
+const { Pool } = require("pg");
+const HttpException = require("shared/utils/HttpException.utils");
+
+const UPGRADE_REQUIRED = "UPGRADE_REQUIRED";
+const UPGRADE_URL = "/billing-subscription";
+const DEFAULT_PLAN = "Free";
+
+let pool;
+
+// Small dedicated pool; every service points at the same database
+const getPool = () => {
+  if (!pool) {
+    pool = new Pool(
+      process.env.DATABASE_URL
+        ? {
+            connectionString: process.env.DATABASE_URL,
+            ssl: { rejectUnauthorized: false },
+            max: 5,
+          }
+        : {
+            host: process.env.DB_HOST,
+            port: Number(process.env.DB_PORT) || 5432,
+            user: process.env.DB_USER,
+            password: process.env.DB_PASSWORD,
+            database: process.env.DB_NAME,
+            ssl: process.env.DB_SSL === "true" ? { rejectUnauthorized: false } : false,
+            max: 5,
+          }
+    );
+    pool.on("error", (err) => console.error("❌ Entitlements pool error:", err.message));
+  }
+  return pool;
+};
+
+const query = async (text, params) => (await getPool().query(text, params)).rows;
+
+// Timestamp columns are "without time zone" and hold UTC, while pg reads and writes them in the
+// process's local time; period bounds are read AT TIME ZONE 'UTC' and written as UTC strings
+const toUtcTimestamp = (value) => new Date(value).toISOString();
+
+const countRows = async (text, params) => {
+  const [row] = await query(text, params);
+  return Number(row?.count) || 0;
+};
+
+/**
+ * Feature definitions.
+ * - limit(plan): the plan's limit (null/-1 = unlimited)
+ * - countUsage(userId, period): usage so far (omitted for metered features)
+ * - metered: usage is consumed per call in entitlement_usage
+ */
+const FEATURES = {
+  projects: {
+    label: "active projects",
+    limit: (plan) => plan.max_projects,
+    countUsage: (userId) =>
+      countRows(
+        `SELECT COUNT(*) AS count FROM projects
+          WHERE owner_id = $1 AND status NOT IN ('completed', 'cancelled')`,
+        [userId]
+      ),
+  },
+  applications: {
+    label: "applications",
+    perPeriod: true,
+    limit: (plan) => plan.max_applications,
+    countUsage: (userId, period) =>
+      countRows(
+        `SELECT COUNT(*) AS count FROM project_applicants
+          WHERE user_id = $1 AND applied_at >= $2`,
+        [userId, toUtcTimestamp(period.start)]
+      ),
+  },
+  invites: {
+    label: "invites",
+    perPeriod: true,
+    limit: (plan) => plan.limits?.maxInvites,
+    countUsage: (userId, period) =>
+      countRows(
+        `SELECT COUNT(*) AS count FROM project_invites i
+           JOIN projects p ON p.id = i.project_id
+          WHERE p.owner_id = $1 AND i.sent_at >= $2`,
+        [userId, toUtcTimestamp(period.start)]
+      ),
+  },
+  aiCredits: {
+    label: "AI credits",
+    perPeriod: true,
+    metered: true,
+    limit: (plan) => plan.ai_credits,
+  },
+  boosts: {
+    label: "active project boosts",
+    limit: (plan) => plan.limits?.maxActiveBoosts,
+    countUsage: (userId) =>
+      countRows(
+        `SELECT COUNT(*) AS count FROM billing_history
+          WHERE user_id = $1 AND type = 'boost' AND status IN ('pending', 'completed')
+            AND (metadata->>'expiresAt')::timestamptz > NOW()`,
+        [userId]
+      ),
+  },
+};
+
+const isUnlimited = (limit) => limit === null || limit === undefined || Number(limit) < 0;
+
+const getFeature = (feature) => {
+  const definition = FEATURES[feature];
+  if (!definition) {
+    throw new Error(`Unknown entitlement feature: ${feature}`);
+  }
+  return definition;
+};
+
+const parsePlan = (plan) => ({
+  ...plan,
+  limits: typeof plan.limits === "string" ? JSON.parse(plan.limits) : plan.limits || {},
+});
+
+const getActivePlans = async () =>
+  (await query(`SELECT * FROM subscription_plans WHERE is_active = true ORDER BY price ASC`)).map(parsePlan);
+
+/**
+ * Current plan row and usage period for a user. Past-due subscriptions keep their plan
+ * until dunning cancels them; cancelled or missing subscriptions fall back to Free.
+ */
+const getUserPlan = async (userId) => {
+  const [subscription] = await query(
+    `SELECT plan, status,
+            current_period_start AT TIME ZONE 'UTC' AS current_period_start,
+            current_period_end AT TIME ZONE 'UTC' AS current_period_end
+       FROM user_subscriptions WHERE user_id = $1`,
+    [userId]
+  );
+  const planName = subscription && subscription.status !== "cancelled" ? subscription.plan : DEFAULT_PLAN;
+
+  const [plan] = await query(`SELECT * FROM subscription_plans WHERE LOWER(name) = LOWER($1)`, [planName]);
+  const [fallback] = plan ? [plan] : await query(`SELECT * FROM subscription_plans WHERE name = $1`, [DEFAULT_PLAN]);
+
+  const now = new Date();
+  const hasPaidPeriod = subscription?.current_period_start && subscription?.current_period_end
+    && new Date(subscription.current_period_end) > now;
+  const period = hasPaidPeriod
+    ? { start: new Date(subscription.current_period_start), end: new Date(subscription.current_period_end) }
+    : {
+        start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+        end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+      };
+
+  return {
+    plan: parsePlan(fallback || { name: DEFAULT_PLAN, limits: {} }),
+    period,
+  };
+};
+
+const getMeteredUsage = async (userId, feature, period) => {
+  const [row] = await query(
+    `SELECT used FROM entitlement_usage WHERE user_id = $1 AND feature = $2 AND period_start = $3`,
+    [userId, feature, toUtcTimestamp(period.start)]
+  );
+  return Number(row?.used) || 0;
+};
+
+const getUsage = (userId, feature, period) => {
+  const definition = getFeature(feature);
+  return definition.metered
+    ? getMeteredUsage(userId, feature, period)
+    : definition.countUsage(userId, period);
+};
+
+/**
+ * Cheapest active plan that would allow more of a feature than `currentLimit`.
+ */
+const findUpgradePlan = async (feature, currentLimit) => {
+  const definition = getFeature(feature);
+  const plans = await getActivePlans();
+  return (
+    plans.find((plan) => {
+      const limit = definition.limit(plan);
+      return isUnlimited(limit) || Number(limit) > Number(currentLimit);
+    }) || null
+  );
+};
+
+/**
+ * Limits and usage for every feature on the user's current plan.
+ * @returns {Promise<{ plan: string, period: Object, features: Object }>}
+ */
+const getEntitlements = async (userId) => {
+  const { plan, period } = await getUserPlan(userId);
+
+  const features = {};
+  for (const [feature, definition] of Object.entries(FEATURES)) {
+    const limit = definition.limit(plan);
+    const unlimited = isUnlimited(limit);
+    const used = await getUsage(userId, feature, period);
+    features[feature] = {
+      label: definition.label,
+      limit: unlimited ? null : Number(limit),
+      used,
+      remaining: unlimited ? null : Math.max(Number(limit) - used, 0),
+      unlimited,
+      resetsAt: definition.perPeriod ? period.end.toISOString() : null,
+    };
+  }
+
+  return {
+    plan: plan.name,
+    period: { start: period.start.toISOString(), end: period.end.toISOString() },
+    features,
+  };
+};
+
+/**
+ * The structured 403 every service returns for over-limit actions (rendered by UpgradePrompt).
+ */
+const buildUpgradeRequiredError = async (feature, { plan, limit, used, period }) => {
+  const definition = getFeature(feature);
+  const upgradePlan = await findUpgradePlan(feature, limit);
+  const upgradeLimit = upgradePlan ? definition.limit(upgradePlan) : null;
+
+  const periodNote = definition.perPeriod ? " this billing period" : "";
+  return new HttpException(
+    403,
+    `You've reached the ${plan.name} plan limit of ${limit} ${definition.label}${periodNote}. Upgrade your plan to continue.`,
+    {
+      code: UPGRADE_REQUIRED,
+      feature,
+      featureLabel: definition.label,
+      currentPlan: plan.name,
+      limit: Number(limit),
+      used,
+      resetsAt: definition.perPeriod ? period.end.toISOString() : null,
+      upgradePlan: upgradePlan?.name || null,
+      upgradeLimit: upgradePlan ? (isUnlimited(upgradeLimit) ? null : Number(upgradeLimit)) : null,
+      upgradeUrl: UPGRADE_URL,
+    }
+  );
+};
+
+/**
+ * Throw the upgrade-required HttpException when `amount` more of a feature would exceed the plan.
+ * Counted features only check; metered ones should use consumeEntitlement instead.
+ */
+const assertEntitlement = async (userId, feature, amount = 1) => {
+  const definition = getFeature(feature);
+  const { plan, period } = await getUserPlan(userId);
+  const limit = definition.limit(plan);
+  if (isUnlimited(limit)) {
+    return { plan: plan.name, limit: null, used: null };
+  }
+
+  const used = await getUsage(userId, feature, period);
+  if (used + amount > Number(limit)) {
+    throw await buildUpgradeRequiredError(feature, { plan, limit, used, period });
+  }
+  return { plan: plan.name, limit: Number(limit), used };
+};
+
+/**
+ * Atomically use `amount` of a metered feature, throwing the upgrade-required error when
+ * the period's allowance is spent. Returns the period the usage was booked against so it
+ * can be handed back with releaseEntitlement.
+ */
+const consumeEntitlement = async (userId, feature, amount = 1) => {
+  const definition = getFeature(feature);
+  if (!definition.metered) {
+    throw new Error(`Entitlement feature ${feature} is not metered`);
+  }
+
+  const { plan, period } = await getUserPlan(userId);
+  const limit = definition.limit(plan);
+  const unlimited = isUnlimited(limit);
+
+  // The WHERE on the upsert keeps concurrent calls from going over the limit
+  const [row] = await query(
+    `INSERT INTO entitlement_usage (user_id, feature, period_start, used)
+     SELECT $1::integer, $2::text, $3::timestamp, $4::integer WHERE $5::boolean OR $4::integer <= $6::integer
+     ON CONFLICT (user_id, feature, period_start)
+     DO UPDATE SET used = entitlement_usage.used + EXCLUDED.used, updated_at = NOW()
+      WHERE $5::boolean OR entitlement_usage.used + EXCLUDED.used <= $6::integer
+     RETURNING used`,
+    [userId, feature, toUtcTimestamp(period.start), amount, unlimited, unlimited ? 0 : Number(limit)]
+  );
+
+  if (!row) {
+    const used = await getMeteredUsage(userId, feature, period);
+    throw await buildUpgradeRequiredError(feature, { plan, limit, used, period });
+  }
+
+  return { plan: plan.name, limit: unlimited ? null : Number(limit), used: Number(row.used), period };
+};
+
+/**
+ * Give back metered usage, e.g. when the call it paid for failed.
+ */
+const releaseEntitlement = async (userId, feature, period, amount = 1) => {
+  await query(
+    `UPDATE entitlement_usage SET used = GREATEST(used - $4, 0), updated_at = NOW()
+      WHERE user_id = $1 AND feature = $2 AND period_start = $3`,
+    [userId, feature, toUtcTimestamp(period.start), amount]
+  );
+};
+
+const isUpgradeRequiredError = (error) => error?.data?.code === UPGRADE_REQUIRED;
+
+module.exports = {
+  UPGRADE_REQUIRED,
+  FEATURES,
+  getUserPlan,
+  getEntitlements,
+  assertEntitlement,
+  consumeEntitlement,
+  releaseEntitlement,
+  isUpgradeRequiredError,
+};
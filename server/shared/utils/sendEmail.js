@@ -1,43 +1,103 @@
+const fs = require("fs/promises");
+const path = require("path");
 const nodemailer = require("nodemailer");
+const { renderTemplate } = require("../email/registry");
+
+// EMAIL_TRANSPORT=capture writes emails to disk instead of sending them (local testing)
+const isCaptureMode = () => process.env.EMAIL_TRANSPORT === "capture";
+
+const getCaptureDir = () =>
+  process.env.EMAIL_CAPTURE_DIR || path.join(process.cwd(), "storage", "emails");
+
+const getDefaultSender = () =>
+  process.env.EMAIL_FROM || process.env.EMAIL_USER || process.env.SMTP_USER || "SkillBridge Pro <no-reply@skillbridge.local>";
+
+const connectionTimeouts = {
+  // Add connection timeout
+  connectionTimeout: 10000, // 10 seconds
+  greetingTimeout: 10000,
+  socketTimeout: 10000,
+};
+
+/**
+ * Pick the transport:
+ * - capture: nodemailer stream transport, nothing leaves the machine
+ * - SMTP_HOST set: any SMTP server (e.g. a local Mailpit/MailHog inbox on port 1025)
+ * - otherwise: Gmail with EMAIL_USER / EMAIL_PASS
+ */
+const createTransporter = () => {
+  if (isCaptureMode()) {
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+  }
+
+  if (process.env.SMTP_HOST) {
+    const port = Number(process.env.SMTP_PORT) || 587;
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE === "true" || port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      ...connectionTimeouts,
+    });
+  }
+
+  // Validate email configuration
+  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+    const errorMsg = "Email configuration missing: EMAIL_USER or EMAIL_PASS not set";
+    console.error("❌", errorMsg);
+    throw new Error(errorMsg);
+  }
+
+  return nodemailer.createTransport({
+    secure: true,
+    host: "smtp.gmail.com",
+    port: 465,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+    ...connectionTimeouts,
+  });
+};
+
+// Save a captured message as .eml (open in any mail client) plus its HTML part for the browser
+const saveCapturedEmail = async (info, mailOptions) => {
+  const dir = getCaptureDir();
+  await fs.mkdir(dir, { recursive: true });
+  const slug = String(mailOptions.subject || "email")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  const baseName = `${new Date().toISOString().replace(/[:.]/g, "-")}-${slug || "email"}`;
+  const emlPath = path.join(dir, `${baseName}.eml`);
+  await fs.writeFile(emlPath, info.message);
+  if (mailOptions.html) {
+    await fs.writeFile(path.join(dir, `${baseName}.html`), mailOptions.html);
+  }
+  return emlPath;
+};
 
 async function sendMail(emailBody) {
   try {
-    // Validate email configuration
-    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-      const errorMsg = "Email configuration missing: EMAIL_USER or EMAIL_PASS not set";
-      console.error("❌", errorMsg);
-      throw new Error(errorMsg);
-    }
+    const transporter = createTransporter();
 
     // Verify SMTP connection before sending
-    const transporter = nodemailer.createTransport({
-      secure: true,
-      host: "smtp.gmail.com",
-      port: 465,
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-      // Add connection timeout
-      connectionTimeout: 10000, // 10 seconds
-      greetingTimeout: 10000,
-      socketTimeout: 10000,
-    });
-
-    // Verify transporter configuration
-    try {
-      await transporter.verify();
-      console.log("✅ SMTP server connection verified");
-    } catch (verifyError) {
-      console.error("❌ SMTP verification failed:", verifyError.message);
-      if (verifyError.code === "EAUTH") {
-        throw new Error("SMTP Authentication failed. Please check EMAIL_USER and EMAIL_PASS. Make sure you're using a Gmail App Password, not your regular password.");
+    if (!isCaptureMode()) {
+      try {
+        await transporter.verify();
+        console.log("✅ SMTP server connection verified");
+      } catch (verifyError) {
+        console.error("❌ SMTP verification failed:", verifyError.message);
+        if (verifyError.code === "EAUTH") {
+          throw new Error("SMTP Authentication failed. Please check EMAIL_USER and EMAIL_PASS. Make sure you're using a Gmail App Password, not your regular password.");
+        }
+        throw verifyError;
       }
-      throw verifyError;
     }
 
     const mailOptions = {
-      from: emailBody.from || process.env.EMAIL_USER,
+      from: emailBody.from || getDefaultSender(),
       to: emailBody.to,
       subject: emailBody.subject,
       text: emailBody.text || "",       // optional fallback plain text
@@ -53,6 +113,12 @@ async function sendMail(emailBody) {
 
     const info = await transporter.sendMail(mailOptions);
 
+    if (isCaptureMode()) {
+      const capturedPath = await saveCapturedEmail(info, mailOptions);
+      console.log("📥 Email captured (not sent):", capturedPath);
+      return { ...info, capturedPath };
+    }
+
     console.log("✅ Email sent successfully");
     console.log("📬 Message ID:", info.messageId);
     console.log("📧 Response:", info.response);
@@ -80,4 +146,19 @@ async function sendMail(emailBody) {
   }
 }
 
-module.exports = { sendMail };
+/**
+ * Render a registered template (shared/email/registry) and send it
+ *
+ * @param {string} templateName - e.g. "password-reset"
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {Object} options.data - Template data
+ * @param {string} [options.locale] - Recipient locale or Accept-Language header
+ * @param {Object} [options.headers] - Extra email headers
+ */
+async function sendTemplatedMail(templateName, { to, data, locale, headers } = {}) {
+  const { subject, html, text } = renderTemplate(templateName, data, locale);
+  return sendMail({ to, subject, html, text, headers });
+}
+
+module.exports = { sendMail, sendTemplatedMail };